@@ -1,3 +1,6 @@
+// Feeds, sitemaps and OG images are built by the API but published under the site's own URLs
+const API_SERVER_URL = process.env.API_SERVER_URL || process.env.NEXT_PUBLIC_API_URL || 'http://localhost:8000/api/v1';
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
@@ -9,9 +12,22 @@ const nextConfig = {
   // Performance optimizations
   swcMinify: true,
   
-  // Add rewrites for API proxy when using tunnels (development only)
+  // Feed, sitemap and OG image URLs, plus the API proxy when using tunnels (development only)
   async rewrites() {
     return [
+      { source: '/feed.xml', destination: `${API_SERVER_URL}/feeds/feed.xml` },
+      { source: '/atom.xml', destination: `${API_SERVER_URL}/feeds/atom.xml` },
+      { source: '/feed.json', destination: `${API_SERVER_URL}/feeds/feed.json` },
+      {
+        source: '/blog/:scope(category|tag)/:value/:file(feed\\.xml|atom\\.xml|feed\\.json)',
+        destination: `${API_SERVER_URL}/feeds/:scope/:value/:file`
+      },
+      { source: '/sitemap.xml', destination: `${API_SERVER_URL}/sitemaps/sitemap.xml` },
+      {
+        source: '/sitemaps/:file(pages\\.xml|blog-\\d+\\.xml)',
+        destination: `${API_SERVER_URL}/sitemaps/:file`
+      },
+      { source: '/og/:kind(blog|projects)/:file', destination: `${API_SERVER_URL}/og/:kind/:file` },
       // Only apply these rewrites when not in localhost
       ...(process.env.NODE_ENV === 'development' && process.env.TUNNEL_MODE === 'true' ? [
         {
@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Contact Form Component - Message the site owner from the portfolio
+ * @author jasilmeledath@gmail.com
+ * @created 2025-01-27
+ * @version 1.0.0
+ */
+
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Send, CheckCircle } from 'lucide-react';
+import ContactService from '../services/contact-service';
+
+const EMPTY_FORM = {
+  name: '',
+  email: '',
+  subject: '',
+  message: '',
+  homepage: ''
+};
+
+const ContactForm = ({ isDark = true }) => {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [successMessage, setSuccessMessage] = useState('');
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    // Clear error when user starts typing
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Name is required';
+    }
+    if (!formData.email.trim()) {
+      newErrors.email = 'Email is required';
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
+      newErrors.email = 'Please enter a valid email address';
+    }
+    if (formData.subject.length > 150) {
+      newErrors.subject = 'Subject cannot exceed 150 characters';
+    }
+    if (!formData.message.trim()) {
+      newErrors.message = 'Message is required';
+    } else if (formData.message.trim().length < 10) {
+      newErrors.message = 'Message must be at least 10 characters long';
+    } else if (formData.message.length > 5000) {
+      newErrors.message = 'Message cannot exceed 5000 characters';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const data = await ContactService.sendMessage({
+        name: formData.name.trim(),
+        email: formData.email.trim(),
+        subject: formData.subject.trim(),
+        message: formData.message.trim(),
+        homepage: formData.homepage
+      });
+
+      setFormData(EMPTY_FORM);
+      setSuccessMessage(data.message);
+    } catch (error) {
+      setErrors({
+        submit: error.response
+          ? error.response.data?.message || 'Failed to send message'
+          : 'Network error. Please try again.'
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClass = (field) => `w-full px-4 py-3 rounded-xl border text-sm md:text-base focus:outline-none focus:ring-2 focus:ring-cyan-500 transition-colors ${
+    isDark
+      ? 'bg-white/5 text-white placeholder-gray-500'
+      : 'bg-white text-gray-900 placeholder-gray-400'
+  } ${
+    errors[field]
+      ? 'border-red-500'
+      : isDark ? 'border-white/20' : 'border-black/10'
+  }`;
+
+  const labelClass = `block text-xs md:text-sm font-medium mb-1 ${isDark ? 'text-gray-300' : 'text-gray-700'}`;
+  const errorClass = 'mt-1 text-xs md:text-sm text-red-500';
+
+  return (
+    <AnimatePresence mode="wait">
+      {successMessage ? (
+        <motion.div
+          key="sent"
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0 }}
+          className={`flex flex-col items-center text-center p-6 rounded-2xl ${isDark ? 'bg-white/5' : 'bg-black/5'}`}
+        >
+          <CheckCircle className="w-10 h-10 text-green-400 mb-3" />
+          <p className={`font-semibold mb-4 ${isDark ? 'text-white' : 'text-gray-900'}`}>{successMessage}</p>
+          <button
+            type="button"
+            onClick={() => setSuccessMessage('')}
+            className="text-sm text-cyan-500 hover:text-cyan-400 transition-colors"
+          >
+            Send another message
+          </button>
+        </motion.div>
+      ) : (
+        <motion.form
+          key="form"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          onSubmit={handleSubmit}
+          noValidate
+          className="relative space-y-4"
+        >
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="contact-name" className={labelClass}>Name *</label>
+              <input
+                type="text"
+                id="contact-name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                maxLength={100}
+                className={inputClass('name')}
+                placeholder="Your name"
+              />
+              {errors.name && <p className={errorClass}>{errors.name}</p>}
+            </div>
+
+            <div>
+              <label htmlFor="contact-email" className={labelClass}>Email *</label>
+              <input
+                type="email"
+                id="contact-email"
+                name="email"
+                value={formData.email}
+                onChange={handleChange}
+                className={inputClass('email')}
+                placeholder="your@email.com"
+              />
+              {errors.email && <p className={errorClass}>{errors.email}</p>}
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="contact-subject" className={labelClass}>Subject</label>
+            <input
+              type="text"
+              id="contact-subject"
+              name="subject"
+              value={formData.subject}
+              onChange={handleChange}
+              maxLength={150}
+              className={inputClass('subject')}
+              placeholder="What's it about?"
+            />
+            {errors.subject && <p className={errorClass}>{errors.subject}</p>}
+          </div>
+
+          <div>
+            <label htmlFor="contact-message" className={labelClass}>Message *</label>
+            <textarea
+              id="contact-message"
+              name="message"
+              rows={5}
+              value={formData.message}
+              onChange={handleChange}
+              className={`${inputClass('message')} resize-vertical`}
+              placeholder="Tell me about your project..."
+            />
+            <div className="flex justify-between items-center mt-1">
+              {errors.message && <p className="text-xs md:text-sm text-red-500">{errors.message}</p>}
+              <p className={`text-xs ml-auto ${isDark ? 'text-gray-500' : 'text-gray-400'}`}>
+                {formData.message.length}/5000
+              </p>
+            </div>
+          </div>
+
+          {/* Honeypot: hidden from people, filled in by bots */}
+          <div aria-hidden="true" className="absolute -left-[10000px] w-px h-px overflow-hidden">
+            <label>
+              Homepage
+              <input
+                type="text"
+                name="homepage"
+                tabIndex={-1}
+                autoComplete="off"
+                value={formData.homepage}
+                onChange={handleChange}
+              />
+            </label>
+          </div>
+
+          {errors.submit && (
+            <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-3">
+              <p className="text-sm text-red-500">{errors.submit}</p>
+            </div>
+          )}
+
+          <motion.button
+            type="submit"
+            disabled={isSubmitting}
+            whileHover={isSubmitting ? {} : { scale: 1.02 }}
+            whileTap={isSubmitting ? {} : { scale: 0.98 }}
+            transition={{ duration: 0.15, ease: "easeOut" }}
+            className="inline-flex items-center px-6 py-3 md:px-8 md:py-4 bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-400 hover:to-blue-500 disabled:opacity-60 disabled:cursor-not-allowed text-white font-bold rounded-xl md:rounded-2xl transition-all duration-200 shadow-lg hover:shadow-cyan-500/50 text-sm md:text-base"
+          >
+            <Send className="w-4 h-4 md:w-5 md:h-5 mr-1 md:mr-2" />
+            {isSubmitting ? 'Sending...' : 'Send Message'}
+          </motion.button>
+        </motion.form>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default ContactForm;
@@ -8,8 +8,25 @@
 
 import { useEffect } from 'react';
 import { useRouter } from 'next/router';
+import Link from 'next/link';
+import { FiShield } from 'react-icons/fi';
 import { useAuth } from '../../context/AuthContext';
 
+/**
+ * Roles allowed into the admin panel. What each role can do once inside is
+ * decided by its permissions, not by this list.
+ * @constant {Array<string>}
+ */
+const PANEL_ROLES = ['admin', 'editor', 'viewer'];
+
+/**
+ * Check whether a user may enter the admin panel
+ * @function hasPanelAccess
+ * @param {Object} user - Authenticated user
+ * @returns {boolean} Whether the user has panel access
+ */
+const hasPanelAccess = (user) => user.isAdmin || PANEL_ROLES.includes(user.role);
+
 /**
  * Higher-order component for protecting admin routes
  * @function withAdminAuth
@@ -28,8 +45,8 @@ export function withAdminAuth(WrappedComponent) {
         return;
       }
 
-      // Check if user has admin privileges
-      if (!loading && isAuthenticated && user && !user.isAdmin) {
+      // Check if user has admin panel access
+      if (!loading && isAuthenticated && user && !hasPanelAccess(user)) {
         router.push('/'); // Redirect to home if not admin
         return;
       }
@@ -46,7 +63,7 @@ export function withAdminAuth(WrappedComponent) {
     }
 
     // Don't render if not authenticated (redirect in progress)
-    if (!isAuthenticated || (user && !user.isAdmin)) {
+    if (!isAuthenticated || (user && !hasPanelAccess(user))) {
       return null;
     }
 
@@ -92,10 +109,11 @@ export function AdminLayout({ children }) {
  * @function AdminProtectedRoute
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components to protect
+ * @param {string} [props.permission] - Permission the page needs beyond panel access
  * @returns {JSX.Element} Protected route wrapper
  */
-export function AdminProtectedRoute({ children }) {
-  const { isAuthenticated, loading, user } = useAuth();
+export function AdminProtectedRoute({ children, permission }) {
+  const { isAuthenticated, loading, user, isAdmin, hasPermission } = useAuth();
   const router = useRouter();
 
   useEffect(() => {
@@ -105,8 +123,8 @@ export function AdminProtectedRoute({ children }) {
       return;
     }
 
-    // Check if user has admin privileges
-    if (!loading && isAuthenticated && user && !user.isAdmin) {
+    // Check if user has admin panel access
+    if (!loading && isAuthenticated && user && !hasPanelAccess(user)) {
       router.push('/'); // Redirect to home if not admin
       return;
     }
@@ -123,10 +141,27 @@ export function AdminProtectedRoute({ children }) {
   }
 
   // Don't render if not authenticated (redirect in progress)
-  if (!isAuthenticated || (user && !user.isAdmin)) {
+  if (!isAuthenticated || (user && !hasPanelAccess(user))) {
     return null;
   }
 
+  // Panel users without the page's permission get a notice instead of its controls
+  if (permission && !isAdmin && !hasPermission(permission)) {
+    return (
+      <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex items-center justify-center p-6">
+        <div className="text-center">
+          <FiShield className="w-12 h-12 text-red-500 mx-auto mb-4" />
+          <p className="font-medium mb-4 text-gray-700 dark:text-gray-300">
+            Your account does not have permission to manage this section.
+          </p>
+          <Link href="/admin/dashboard" className="text-blue-500 hover:text-blue-600">
+            Back to dashboard
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
   // Render the protected children
   return <>{children}</>;
 }
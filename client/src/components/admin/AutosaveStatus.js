@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Autosave Status - Editor autosave indicator and unsaved-changes restore prompt
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiCloud, FiCloudOff, FiAlertTriangle, FiRotateCcw, FiX } from 'react-icons/fi';
+
+const formatTime = (dateString) => {
+  return new Date(dateString).toLocaleTimeString('en-US', {
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * Small inline indicator for the autosave state
+ * @param {Object} props - Component props
+ * @param {string} props.status - idle | saving | saved | offline | error
+ * @param {string} [props.lastSavedAt] - Time of the last successful save
+ * @returns {JSX.Element|null} Indicator
+ */
+export default function AutosaveStatus({ status, lastSavedAt }) {
+  if (status === 'idle') return null;
+
+  const states = {
+    saving: { icon: FiCloud, className: 'text-green-600', label: 'AUTOSAVING...' },
+    saved: { icon: FiCloud, className: 'text-green-500', label: `DRAFT_SAVED ${lastSavedAt ? formatTime(lastSavedAt) : ''}` },
+    offline: { icon: FiCloudOff, className: 'text-yellow-400', label: `SAVED_LOCALLY ${lastSavedAt ? formatTime(lastSavedAt) : ''}` },
+    error: { icon: FiAlertTriangle, className: 'text-red-400', label: 'AUTOSAVE_FAILED' }
+  };
+  const { icon: Icon, className, label } = states[status] || states.error;
+
+  return (
+    <span className={`flex items-center space-x-1 font-mono text-xs ${className}`} title={status === 'offline' ? 'Server unreachable, kept in this browser until it is back' : undefined}>
+      <Icon className="w-3 h-3" />
+      <span>{label.trim()}</span>
+    </span>
+  );
+}
+
+/**
+ * Banner offering to restore unsaved changes from a previous session
+ * @param {Object} props - Component props
+ * @param {Object|null} props.recovery - { savedAt, source, stale } from useBlogAutosave
+ * @param {Function} props.onRestore - Restore handler
+ * @param {Function} props.onDiscard - Discard handler
+ * @returns {JSX.Element} Prompt
+ */
+export function DraftRecoveryPrompt({ recovery, onRestore, onDiscard }) {
+  return (
+    <AnimatePresence>
+      {recovery && (
+        <motion.div
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: -10 }}
+          className="mb-6 p-4 bg-yellow-500/10 border border-yellow-500/30 rounded-xl flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3"
+        >
+          <div className="font-mono text-sm">
+            <div className="text-yellow-400 font-medium">UNSAVED_CHANGES_FOUND</div>
+            <div className="text-yellow-600 text-xs mt-1">
+              {recovery.source === 'local' ? 'Kept in this browser' : 'Autosaved'} on {new Date(recovery.savedAt).toLocaleString()}.
+              {recovery.stale && ' The post has been saved since, restoring will replace those changes.'}
+            </div>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              type="button"
+              onClick={onRestore}
+              className="flex items-center space-x-1 px-3 py-2 bg-yellow-500/10 hover:bg-yellow-500/20 border border-yellow-500/30 rounded-lg text-yellow-400 font-mono text-xs transition-all duration-300"
+            >
+              <FiRotateCcw className="w-3 h-3" />
+              <span>RESTORE</span>
+            </button>
+            <button
+              type="button"
+              onClick={onDiscard}
+              className="flex items-center space-x-1 px-3 py-2 bg-red-500/10 hover:bg-red-500/20 border border-red-500/20 rounded-lg text-red-400 font-mono text-xs transition-all duration-300"
+            >
+              <FiX className="w-3 h-3" />
+              <span>DISCARD</span>
+            </button>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
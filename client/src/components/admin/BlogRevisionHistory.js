@@ -0,0 +1,301 @@
+/**
+ * @fileoverview Blog Revision History - Side panel listing revisions with side-by-side diff and restore
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import toast from 'react-hot-toast';
+import {
+  FiX,
+  FiClock,
+  FiRotateCcw,
+  FiGitCommit,
+  FiUser
+} from 'react-icons/fi';
+import BlogService from '../../services/blog-service';
+
+const SOURCE_LABELS = {
+  create: 'CREATED',
+  update: 'SAVED',
+  restore: 'RESTORED',
+  baseline: 'ORIGINAL'
+};
+
+const ROW_STYLES = {
+  equal: { left: 'text-green-600', right: 'text-green-600' },
+  changed: { left: 'bg-red-500/10 text-red-300', right: 'bg-green-500/10 text-green-300' },
+  removed: { left: 'bg-red-500/10 text-red-300', right: 'bg-black/40' },
+  added: { left: 'bg-black/40', right: 'bg-green-500/10 text-green-300' }
+};
+
+/**
+ * Blog Revision History Component
+ * @param {Object} props - Component props
+ * @param {string} props.blogId - Blog ID
+ * @param {boolean} props.isOpen - Whether the panel is visible
+ * @param {Function} props.onClose - Close handler
+ * @param {Function} props.onRestored - Called with the updated blog after a restore
+ * @returns {JSX.Element} Revision history panel
+ */
+export default function BlogRevisionHistory({ blogId, isOpen, onClose, onRestored }) {
+  const [revisions, setRevisions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [compare, setCompare] = useState({ from: null, to: null });
+  const [diff, setDiff] = useState(null);
+  const [isDiffLoading, setIsDiffLoading] = useState(false);
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  useEffect(() => {
+    if (isOpen && blogId) {
+      loadRevisions();
+    }
+  }, [isOpen, blogId]);
+
+  useEffect(() => {
+    if (compare.from && compare.to && compare.from !== compare.to) {
+      loadDiff(compare.from, compare.to);
+    } else {
+      setDiff(null);
+    }
+  }, [compare.from, compare.to]);
+
+  /**
+   * Load the revision list and compare the two most recent revisions
+   */
+  const loadRevisions = async () => {
+    try {
+      setIsLoading(true);
+      const response = await BlogService.getRevisions(blogId, { limit: 50 });
+      const list = response.data.revisions;
+      setRevisions(list);
+
+      if (list.length >= 2) {
+        setCompare({ from: list[1].revision, to: list[0].revision });
+      } else {
+        setCompare({ from: null, to: list[0]?.revision || null });
+      }
+    } catch (error) {
+      console.error('[BlogRevisionHistory] Error loading revisions:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Load the diff between two revisions (older one on the left)
+   * @param {number} a - Revision number
+   * @param {number} b - Revision number
+   */
+  const loadDiff = async (a, b) => {
+    try {
+      setIsDiffLoading(true);
+      const response = await BlogService.getRevisionDiff(blogId, Math.min(a, b), Math.max(a, b));
+      setDiff(response.data);
+    } catch (error) {
+      console.error('[BlogRevisionHistory] Error loading diff:', error);
+    } finally {
+      setIsDiffLoading(false);
+    }
+  };
+
+  /**
+   * Restore a revision onto the live post
+   * @param {number} revision - Revision number
+   */
+  const handleRestore = async (revision) => {
+    if (!confirm(`Restore revision #${revision}? The current version stays in the history.`)) {
+      return;
+    }
+
+    try {
+      setIsRestoring(true);
+      const response = await BlogService.restoreRevision(blogId, revision);
+      toast.success(`Revision #${revision} restored`);
+      onRestored?.(response.data);
+      await loadRevisions();
+    } catch (error) {
+      console.error('[BlogRevisionHistory] Error restoring revision:', error);
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  /**
+   * Pick a revision for one side of the comparison
+   * @param {string} side - 'from' or 'to'
+   * @param {number} revision - Revision number
+   */
+  const selectRevision = (side, revision) => {
+    setCompare(prev => ({ ...prev, [side]: revision }));
+  };
+
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const authorName = (author) => {
+    if (!author) return 'Unknown';
+    return `${author.firstName || ''} ${author.lastName || ''}`.trim() || author.email;
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black/70 z-50 flex justify-end"
+          onClick={onClose}
+        >
+          <motion.aside
+            initial={{ x: '100%' }}
+            animate={{ x: 0 }}
+            exit={{ x: '100%' }}
+            transition={{ type: 'tween', duration: 0.25 }}
+            className="w-full max-w-6xl h-full bg-black border-l border-green-500/20 flex flex-col"
+            onClick={(e) => e.stopPropagation()}
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-4 border-b border-green-500/20">
+              <div className="flex items-center space-x-2">
+                <FiClock className="w-5 h-5 text-green-400" />
+                <h2 className="text-green-400 font-mono font-bold tracking-wider">REVISION_HISTORY</h2>
+              </div>
+              <button
+                onClick={onClose}
+                className="p-2 rounded-lg bg-green-500/10 hover:bg-green-500/20 border border-green-500/20 text-green-400 transition-all duration-300"
+              >
+                <FiX className="w-4 h-4" />
+              </button>
+            </div>
+
+            <div className="flex-1 flex flex-col lg:flex-row min-h-0">
+              {/* Revision list */}
+              <div className="lg:w-72 border-b lg:border-b-0 lg:border-r border-green-500/20 overflow-y-auto max-h-64 lg:max-h-none">
+                {isLoading ? (
+                  <div className="p-4 text-green-600 font-mono text-sm">LOADING_HISTORY...</div>
+                ) : revisions.length === 0 ? (
+                  <div className="p-4 text-green-600 font-mono text-sm">No revisions yet. Saving the post creates the first one.</div>
+                ) : (
+                  <ul className="divide-y divide-green-500/10">
+                    {revisions.map((revision, index) => (
+                      <li key={revision._id} className="p-3">
+                        <div className="flex items-center justify-between">
+                          <div className="flex items-center space-x-2">
+                            <FiGitCommit className="w-4 h-4 text-green-400" />
+                            <span className="text-green-300 font-mono text-sm">#{revision.revision}</span>
+                            <span className="text-green-600 font-mono text-xs">
+                              {SOURCE_LABELS[revision.source] || revision.source.toUpperCase()}
+                              {revision.restoredFrom ? ` #${revision.restoredFrom}` : ''}
+                            </span>
+                          </div>
+                          {index > 0 && (
+                            <button
+                              onClick={() => handleRestore(revision.revision)}
+                              disabled={isRestoring}
+                              className="flex items-center space-x-1 px-2 py-1 bg-yellow-500/10 hover:bg-yellow-500/20 border border-yellow-500/20 rounded text-yellow-400 font-mono text-xs transition-all duration-300 disabled:opacity-50"
+                              title="Restore this revision"
+                            >
+                              <FiRotateCcw className="w-3 h-3" />
+                              <span>RESTORE</span>
+                            </button>
+                          )}
+                        </div>
+                        <div className="mt-1 text-green-600 font-mono text-xs truncate" title={revision.title}>
+                          {revision.title}
+                        </div>
+                        <div className="mt-1 flex items-center space-x-1 text-green-700 font-mono text-xs">
+                          <FiUser className="w-3 h-3" />
+                          <span className="truncate">{authorName(revision.author)}</span>
+                          <span>· {formatDateTime(revision.createdAt)}</span>
+                        </div>
+                        <div className="mt-2 flex space-x-2">
+                          {['from', 'to'].map(side => (
+                            <button
+                              key={side}
+                              onClick={() => selectRevision(side, revision.revision)}
+                              className={`px-2 py-0.5 rounded border font-mono text-xs transition-all duration-300 ${
+                                compare[side] === revision.revision
+                                  ? 'bg-green-500/20 border-green-500/60 text-green-300'
+                                  : 'border-green-500/20 text-green-600 hover:text-green-400'
+                              }`}
+                            >
+                              {side === 'from' ? 'A' : 'B'}
+                            </button>
+                          ))}
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+
+              {/* Diff */}
+              <div className="flex-1 overflow-auto p-4">
+                {isDiffLoading ? (
+                  <div className="text-green-600 font-mono text-sm">COMPUTING_DIFF...</div>
+                ) : !diff ? (
+                  <div className="text-green-600 font-mono text-sm">
+                    Select two different revisions as A and B to compare them.
+                  </div>
+                ) : (
+                  <div className="space-y-4">
+                    <div className="flex items-center justify-between text-green-400 font-mono text-xs">
+                      <span>#{diff.from.revision} · {formatDateTime(diff.from.createdAt)}</span>
+                      <span className="text-green-600">
+                        +{diff.content.stats.added} -{diff.content.stats.removed} ~{diff.content.stats.changed}
+                      </span>
+                      <span>#{diff.to.revision} · {formatDateTime(diff.to.createdAt)}</span>
+                    </div>
+
+                    {['title', 'excerpt'].filter(field => diff[field].changed).map(field => (
+                      <div key={field} className="grid grid-cols-2 gap-2 font-mono text-xs">
+                        <div className="p-2 rounded bg-red-500/10 text-red-300 whitespace-pre-wrap break-words">
+                          <span className="text-green-600">{field.toUpperCase()}: </span>{diff[field].from}
+                        </div>
+                        <div className="p-2 rounded bg-green-500/10 text-green-300 whitespace-pre-wrap break-words">
+                          <span className="text-green-600">{field.toUpperCase()}: </span>{diff[field].to}
+                        </div>
+                      </div>
+                    ))}
+
+                    <table className="w-full table-fixed border border-green-500/20 font-mono text-xs">
+                      <tbody>
+                        {diff.content.rows.map((row, index) => (
+                          <tr key={index} className="align-top">
+                            <td className="w-10 px-2 text-right text-green-800 select-none border-r border-green-500/10">
+                              {row.left?.number}
+                            </td>
+                            <td className={`px-2 whitespace-pre-wrap break-words border-r border-green-500/20 ${ROW_STYLES[row.type].left}`}>
+                              {row.left?.text}
+                            </td>
+                            <td className="w-10 px-2 text-right text-green-800 select-none border-r border-green-500/10">
+                              {row.right?.number}
+                            </td>
+                            <td className={`px-2 whitespace-pre-wrap break-words ${ROW_STYLES[row.type].right}`}>
+                              {row.right?.text}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            </div>
+          </motion.aside>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
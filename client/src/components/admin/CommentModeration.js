@@ -16,7 +16,8 @@ import {
   FiSearch,
   FiChevronDown,
   FiCheckSquare,
-  FiSquare
+  FiSquare,
+  FiAlertOctagon
 } from 'react-icons/fi';
 import CommentService from '../../services/comment-service';
 import CommentModerationCard from './CommentModerationCard';
@@ -31,44 +32,37 @@ const CommentModeration = () => {
     total: 0,
     pending: 0,
     approved: 0,
-    rejected: 0
+    rejected: 0,
+    spam: 0
   });
   
   // Pagination and filtering
-  const [currentPage, setCurrentPage] = useState(1);
-  const [totalPages, setTotalPages] = useState(1);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [totalComments, setTotalComments] = useState(0);
   const [searchTerm, setSearchTerm] = useState('');
   const [filterStatus, setFilterStatus] = useState('all');
   const [sortOrder, setSortOrder] = useState('desc');
   const [selectedComments, setSelectedComments] = useState(new Set());
 
-  // Fetch comments
-  const fetchComments = useCallback(async (page = 1) => {
+  // Fetch comments; with a cursor the next page is appended to the list
+  const fetchComments = useCallback(async (cursor = null) => {
     try {
       setLoading(true);
       setError(null);
 
       const params = {
-        page,
         limit: 10,
         sortOrder,
+        status: filterStatus,
         ...(searchTerm && { search: searchTerm }),
-        ...(filterStatus !== 'all' && { status: filterStatus })
+        ...(cursor && { cursor })
       };
 
       const response = await CommentService.getPendingComments(params);
       
-      setComments(response.data.comments);
-      setCurrentPage(response.data.pagination.currentPage);
-      setTotalPages(response.data.pagination.totalPages);
-      
-      // Calculate stats from response
-      const pendingCount = response.data.comments.length;
-      setStats(prev => ({
-        ...prev,
-        pending: pendingCount,
-        total: response.data.pagination.totalComments
-      }));
+      setComments(prev => cursor ? [...prev, ...response.data.comments] : response.data.comments);
+      setNextCursor(response.data.pagination.nextCursor);
+      setTotalComments(response.data.pagination.totalComments);
 
     } catch (err) {
       console.error('Error fetching comments:', err);
@@ -98,9 +92,9 @@ const CommentModeration = () => {
   const refreshData = useCallback(async () => {
     await Promise.all([
       fetchStats(),
-      fetchComments(currentPage)
+      fetchComments()
     ]);
-  }, [fetchStats, fetchComments, currentPage]);
+  }, [fetchStats, fetchComments]);
 
   // Handle comment moderation
   const handleModerateComment = async (blogId, commentId, moderationData) => {
@@ -109,12 +103,15 @@ const CommentModeration = () => {
       
       await CommentService.moderateComment(blogId, commentId, moderationData);
       
-      // Remove from current list if it's no longer pending
-      if (moderationData.status !== 'pending') {
+      const previousStatus = comments.find(c => c.comment._id === commentId)?.comment.status || 'pending';
+
+      // Remove from current list once its status has changed
+      if (moderationData.status !== previousStatus) {
         setComments(prev => prev.filter(c => c.comment._id !== commentId));
+        setTotalComments(prev => prev - 1);
         setStats(prev => ({
           ...prev,
-          pending: prev.pending - 1,
+          [previousStatus]: prev[previousStatus] - 1,
           [moderationData.status]: prev[moderationData.status] + 1
         }));
       }
@@ -137,6 +134,27 @@ const CommentModeration = () => {
     }
   };
 
+  // Handle author reply; returns whether the reply was published
+  const handleReplyAsAuthor = async (blogId, commentId, content) => {
+    try {
+      setActionLoading(commentId);
+      await CommentService.replyAsAuthor(blogId, commentId, content);
+
+      // The parent may have been approved and the reply is new, so reload
+      await refreshData();
+      return true;
+    } catch (err) {
+      console.error('Error replying to comment:', err);
+      const errorMessage = err.response?.data?.message || 
+                          err.message || 
+                          'Failed to publish reply. Please try again.';
+      setError(errorMessage);
+      return false;
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
   // Handle comment deletion
   const handleDeleteComment = async (blogId, commentId) => {
     try {
@@ -144,11 +162,14 @@ const CommentModeration = () => {
       
       await CommentService.deleteComment(blogId, commentId);
       
+      const previousStatus = comments.find(c => c.comment._id === commentId)?.comment.status || 'pending';
+
       // Remove from list
       setComments(prev => prev.filter(c => c.comment._id !== commentId));
+      setTotalComments(prev => prev - 1);
       setStats(prev => ({
         ...prev,
-        pending: prev.pending - 1,
+        [previousStatus]: prev[previousStatus] - 1,
         total: prev.total - 1
       }));
       
@@ -187,8 +208,8 @@ const CommentModeration = () => {
 
       await CommentService.bulkModerateComments(commentsToModerate);
       
-      // Refresh the list
-      await fetchComments(currentPage);
+      // Refresh the list and counts
+      await refreshData();
       
       // Clear selections
       setSelectedComments(new Set());
@@ -201,6 +222,40 @@ const CommentModeration = () => {
     }
   };
 
+  // Handle bulk deletion
+  const handleBulkDelete = async () => {
+    if (selectedComments.size === 0) return;
+    if (!window.confirm(`Permanently delete ${selectedComments.size} comment${selectedComments.size !== 1 ? 's' : ''}?`)) return;
+
+    try {
+      setLoading(true);
+
+      const commentsToDelete = comments
+        .filter(c => selectedComments.has(c.comment._id))
+        .map(c => ({
+          blogId: c.blogId,
+          commentId: c.comment._id
+        }));
+
+      const response = await CommentService.bulkDeleteComments(commentsToDelete);
+
+      // Comments with replies are kept so threads stay intact
+      const skipped = response.data?.summary?.failed || 0;
+      if (skipped > 0) {
+        setError(`${skipped} comment${skipped !== 1 ? 's' : ''} could not be deleted (comments with replies are kept).`);
+      }
+
+      await refreshData();
+      setSelectedComments(new Set());
+
+    } catch (err) {
+      console.error('Error bulk deleting comments:', err);
+      setError('Failed to bulk delete comments. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Handle comment selection
   const toggleCommentSelection = (commentId) => {
     setSelectedComments(prev => {
@@ -223,25 +278,17 @@ const CommentModeration = () => {
     }
   };
 
-  // Initial load and refetch when filters change
+  // Initial load and refetch from the start when filters change
   useEffect(() => {
     fetchStats();
-    fetchComments(1);
+    fetchComments();
   }, [fetchStats, fetchComments]);
 
-  // Reset page to 1 when filters change
-  useEffect(() => {
-    if (currentPage !== 1) {
-      setCurrentPage(1);
-      fetchComments(1);
-    }
-  }, [searchTerm, filterStatus, sortOrder]);
-
   // Debounced search effect
   useEffect(() => {
     const debounceTimer = setTimeout(() => {
       if (searchTerm !== '') {
-        fetchComments(1);
+        fetchComments();
       }
     }, 500); // 500ms delay
 
@@ -276,23 +323,30 @@ const CommentModeration = () => {
       </div>
 
       {/* Statistics Cards */}
-      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+      <div className="grid grid-cols-2 lg:grid-cols-5 gap-4">
         {[
-          { label: 'Total', value: stats.total, color: 'blue', icon: FiMessageCircle },
-          { label: 'Pending', value: stats.pending, color: 'yellow', icon: FiClock },
-          { label: 'Approved', value: stats.approved, color: 'green', icon: FiCheck },
-          { label: 'Rejected', value: stats.rejected, color: 'red', icon: FiX },
+          { label: 'Total', value: stats.total, color: 'blue', icon: FiMessageCircle, status: 'all' },
+          { label: 'Pending', value: stats.pending, color: 'yellow', icon: FiClock, status: 'pending' },
+          { label: 'Approved', value: stats.approved, color: 'green', icon: FiCheck, status: 'approved' },
+          { label: 'Rejected', value: stats.rejected, color: 'red', icon: FiX, status: 'rejected' },
+          { label: 'Spam', value: stats.spam, color: 'purple', icon: FiAlertOctagon, status: 'spam' },
         ].map((stat, index) => (
-          <motion.div
+          <motion.button
             key={stat.label}
+            type="button"
             initial={{ opacity: 0, y: 20 }}
             animate={{ opacity: 1, y: 0 }}
             transition={{ delay: index * 0.1 }}
-            className={`bg-gradient-to-br ${
+            onClick={() => setFilterStatus(stat.status)}
+            aria-pressed={filterStatus === stat.status}
+            className={`text-left bg-gradient-to-br ${
               stat.color === 'blue' ? 'from-blue-500/20 to-cyan-500/20 border-blue-500/30' :
               stat.color === 'yellow' ? 'from-yellow-500/20 to-orange-500/20 border-yellow-500/30' :
               stat.color === 'green' ? 'from-green-500/20 to-emerald-500/20 border-green-500/30' :
+              stat.color === 'purple' ? 'from-purple-500/20 to-fuchsia-500/20 border-purple-500/30' :
               'from-red-500/20 to-pink-500/20 border-red-500/30'
+            } ${
+              filterStatus === stat.status ? 'ring-2 ring-green-400/50' : ''
             } backdrop-blur-xl rounded-xl border shadow-lg p-4 sm:p-6`}
           >
             <div className="flex items-center justify-between">
@@ -304,6 +358,7 @@ const CommentModeration = () => {
                   stat.color === 'blue' ? 'text-blue-400' :
                   stat.color === 'yellow' ? 'text-yellow-400' :
                   stat.color === 'green' ? 'text-green-400' :
+                  stat.color === 'purple' ? 'text-purple-400' :
                   'text-red-400'
                 } mb-2`}>
                   {stat.value}
@@ -313,10 +368,11 @@ const CommentModeration = () => {
                 stat.color === 'blue' ? 'text-blue-400' :
                 stat.color === 'yellow' ? 'text-yellow-400' :
                 stat.color === 'green' ? 'text-green-400' :
+                stat.color === 'purple' ? 'text-purple-400' :
                 'text-red-400'
               }`} />
             </div>
-          </motion.div>
+          </motion.button>
         ))}
       </div>
 
@@ -358,6 +414,7 @@ const CommentModeration = () => {
               <option value="pending">Pending</option>
               <option value="approved">Approved</option>
               <option value="rejected">Rejected</option>
+              <option value="spam">Spam</option>
             </select>
             <FiChevronDown className="absolute right-2 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4 pointer-events-none" />
           </div>
@@ -440,6 +497,22 @@ const CommentModeration = () => {
                 >
                   Reject All
                 </motion.button>
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={() => handleBulkModeration('spam')}
+                  className="px-3 py-1.5 bg-purple-500/20 text-purple-400 rounded-lg hover:bg-purple-500/30 transition-colors text-sm font-medium"
+                >
+                  Mark Spam
+                </motion.button>
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={handleBulkDelete}
+                  className="px-3 py-1.5 bg-gray-500/20 text-gray-300 rounded-lg hover:bg-gray-500/30 transition-colors text-sm font-medium"
+                >
+                  Delete All
+                </motion.button>
               </div>
             </div>
           </motion.div>
@@ -482,7 +555,7 @@ const CommentModeration = () => {
               </span>
               {comments.length > 0 && (
                 <span className="text-gray-500 font-mono text-xs ml-2">
-                  Page {currentPage} of {totalPages}
+                  {comments.length} of {totalComments}
                 </span>
               )}
             </div>
@@ -561,6 +634,7 @@ const CommentModeration = () => {
                 onApprove={handleModerateComment}
                 onReject={handleModerateComment}
                 onDelete={handleDeleteComment}
+                onReply={handleReplyAsAuthor}
                 isLoading={actionLoading === comment.comment._id}
                 className="ml-10" // Offset for checkbox
               />
@@ -569,46 +643,17 @@ const CommentModeration = () => {
         </AnimatePresence>
       </div>
 
-      {/* Pagination */}
-      {totalPages > 1 && (
-        <div className="flex justify-center items-center gap-4 mt-8">
-          <motion.button
-            whileHover={{ scale: 1.05 }}
-            whileTap={{ scale: 0.95 }}
-            onClick={() => fetchComments(currentPage - 1)}
-            disabled={currentPage === 1 || loading}
-            className="px-4 py-2 bg-gray-800/50 text-gray-300 rounded-lg hover:bg-gray-700/50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-mono text-sm"
-          >
-            Previous
-          </motion.button>
-          
-          <div className="flex items-center gap-2">
-            {Array.from({ length: totalPages }, (_, i) => i + 1).map((page) => (
-              <motion.button
-                key={page}
-                whileHover={{ scale: 1.05 }}
-                whileTap={{ scale: 0.95 }}
-                onClick={() => fetchComments(page)}
-                disabled={loading}
-                className={`w-10 h-10 rounded-lg font-mono text-sm transition-colors ${
-                  page === currentPage
-                    ? 'bg-green-500/20 text-green-400 border border-green-500/30'
-                    : 'bg-gray-800/50 text-gray-300 hover:bg-gray-700/50'
-                } disabled:opacity-50`}
-              >
-                {page}
-              </motion.button>
-            ))}
-          </div>
-          
+      {/* Load More */}
+      {nextCursor && (
+        <div className="flex justify-center mt-8">
           <motion.button
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
-            onClick={() => fetchComments(currentPage + 1)}
-            disabled={currentPage === totalPages || loading}
+            onClick={() => fetchComments(nextCursor)}
+            disabled={loading}
             className="px-4 py-2 bg-gray-800/50 text-gray-300 rounded-lg hover:bg-gray-700/50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-mono text-sm"
           >
-            Next
+            {loading ? 'Loading...' : 'Load More'}
           </motion.button>
         </div>
       )}
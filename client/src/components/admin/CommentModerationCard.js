@@ -18,7 +18,9 @@ import {
   FiCalendar,
   FiExternalLink,
   FiTrash2,
-  FiEdit
+  FiEdit,
+  FiCornerUpLeft,
+  FiAlertOctagon
 } from 'react-icons/fi';
 
 const CommentModerationCard = ({ 
@@ -26,12 +28,15 @@ const CommentModerationCard = ({
   onApprove, 
   onReject, 
   onDelete,
+  onReply,
   isLoading,
   className = ""
 }) => {
   const [isExpanded, setIsExpanded] = useState(false);
   const [moderatorNote, setModeratorNote] = useState('');
   const [showNoteInput, setShowNoteInput] = useState(false);
+  const [showReplyInput, setShowReplyInput] = useState(false);
+  const [replyContent, setReplyContent] = useState('');
 
   const handleApprove = async () => {
     await onApprove(comment.blogId, comment.comment._id, {
@@ -51,12 +56,31 @@ const CommentModerationCard = ({
     setModeratorNote('');
   };
 
+  const handleMarkSpam = async () => {
+    await onReject(comment.blogId, comment.comment._id, {
+      status: 'spam',
+      moderatorNote: moderatorNote || undefined
+    });
+    setShowNoteInput(false);
+    setModeratorNote('');
+  };
+
   const handleDelete = async () => {
     if (window.confirm('Are you sure you want to permanently delete this comment?')) {
       await onDelete(comment.blogId, comment.comment._id);
     }
   };
 
+  const handleReply = async () => {
+    if (!replyContent.trim()) return;
+
+    const published = await onReply(comment.blogId, comment.comment._id, replyContent.trim());
+    if (published) {
+      setShowReplyInput(false);
+      setReplyContent('');
+    }
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -72,6 +96,7 @@ const CommentModerationCard = ({
       case 'approved': return 'text-green-400 bg-green-400/10 border-green-400/20';
       case 'rejected': return 'text-red-400 bg-red-400/10 border-red-400/20';
       case 'pending': return 'text-yellow-400 bg-yellow-400/10 border-yellow-400/20';
+      case 'spam': return 'text-purple-400 bg-purple-400/10 border-purple-400/20';
       default: return 'text-gray-400 bg-gray-400/10 border-gray-400/20';
     }
   };
@@ -148,6 +173,11 @@ const CommentModerationCard = ({
               <div className={`px-2 py-1 rounded-full border text-xs font-mono uppercase tracking-wider ${getStatusColor(comment.comment.status)}`}>
                 {comment.comment.status}
               </div>
+              {comment.comment.isAuthorReply && (
+                <div className="px-2 py-1 rounded-full border text-xs font-mono uppercase tracking-wider text-blue-400 bg-blue-400/10 border-blue-400/20">
+                  Author
+                </div>
+              )}
             </div>
           </div>
 
@@ -159,7 +189,7 @@ const CommentModerationCard = ({
               onClick={handleApprove}
               disabled={isLoading}
               className="p-2 bg-green-500/20 text-green-400 rounded-lg hover:bg-green-500/30 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-              title="Approve Comment"
+              title={comment.comment.status === 'spam' ? 'Not Spam' : 'Approve Comment'}
             >
               <FiCheck className="w-4 h-4" />
             </motion.button>
@@ -173,6 +203,18 @@ const CommentModerationCard = ({
             >
               <FiX className="w-4 h-4" />
             </motion.button>
+            {comment.comment.status !== 'spam' && (
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={handleMarkSpam}
+                disabled={isLoading}
+                className="p-2 bg-purple-500/20 text-purple-400 rounded-lg hover:bg-purple-500/30 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                title="Mark as Spam"
+              >
+                <FiAlertOctagon className="w-4 h-4" />
+              </motion.button>
+            )}
             <motion.button
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
@@ -183,6 +225,18 @@ const CommentModerationCard = ({
             >
               <FiEdit className="w-4 h-4" />
             </motion.button>
+            {onReply && !['rejected', 'spam'].includes(comment.comment.status) && (
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setShowReplyInput(!showReplyInput)}
+                disabled={isLoading}
+                className="p-2 bg-green-500/20 text-green-400 rounded-lg hover:bg-green-500/30 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                title={comment.comment.status === 'pending' ? 'Approve and Reply as Author' : 'Reply as Author'}
+              >
+                <FiCornerUpLeft className="w-4 h-4" />
+              </motion.button>
+            )}
             <motion.button
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
@@ -211,6 +265,22 @@ const CommentModerationCard = ({
           )}
         </div>
 
+        {/* Spam Score */}
+        {comment.comment.spamScore > 0 && (
+          <div className="mt-3 p-3 bg-purple-500/10 rounded-lg border-l-2 border-purple-400/30">
+            <span className="text-purple-400 text-xs font-mono uppercase tracking-wider">
+              Spam score {comment.comment.spamScore}/100
+            </span>
+            {comment.comment.spamReasons?.length > 0 && (
+              <ul className="mt-1 space-y-0.5 text-xs text-gray-400">
+                {comment.comment.spamReasons.map(reason => (
+                  <li key={reason}>{reason}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
         {/* Parent Comment Info */}
         {comment.comment.parentComment && (
           <div className="mt-3 p-3 bg-gray-800/30 rounded-lg border-l-2 border-blue-400/30">
@@ -220,6 +290,55 @@ const CommentModerationCard = ({
           </div>
         )}
 
+        {/* Author Reply Input */}
+        {showReplyInput && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            className="mt-4 p-3 bg-gray-800/30 rounded-lg border border-green-500/20"
+          >
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+              Reply as Author
+            </label>
+            <textarea
+              value={replyContent}
+              onChange={(e) => setReplyContent(e.target.value)}
+              placeholder="Write a public reply..."
+              rows={3}
+              maxLength={1000}
+              className="w-full px-3 py-2 bg-gray-900/50 border border-gray-600/30 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500/50 focus:border-green-500/50 transition-colors resize-none"
+            />
+            {comment.comment.status === 'pending' && (
+              <p className="mt-2 text-xs text-yellow-400 font-mono">
+                Publishing a reply also approves this comment.
+              </p>
+            )}
+            <div className="flex justify-end gap-2 mt-3">
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={() => {
+                  setShowReplyInput(false);
+                  setReplyContent('');
+                }}
+                className="px-3 py-1.5 text-sm text-gray-400 hover:text-white transition-colors"
+              >
+                Cancel
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={handleReply}
+                disabled={isLoading || replyContent.trim().length < 5}
+                className="px-4 py-1.5 bg-green-500/20 text-green-400 rounded-lg hover:bg-green-500/30 transition-colors text-sm font-medium disabled:opacity-50"
+              >
+                Publish Reply
+              </motion.button>
+            </div>
+          </motion.div>
+        )}
+
         {/* Moderator Note Input */}
         {showNoteInput && (
           <motion.div
@@ -0,0 +1,376 @@
+/**
+ * @fileoverview Content Backup Manager - Export and restore portfolio and blog content
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+import { useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import {
+  FiDownload,
+  FiUpload,
+  FiAlertCircle,
+  FiAlertTriangle,
+  FiCheckCircle,
+  FiX
+} from 'react-icons/fi';
+import PortfolioManagementService from '../../services/portfolio-management-service';
+
+const COLLECTION_LABELS = {
+  media: 'Media',
+  categories: 'Categories',
+  blogs: 'Blog Posts',
+  series: 'Series',
+  personalInfo: 'Personal Info',
+  socialLinks: 'Social Links',
+  skills: 'Skills',
+  projects: 'Projects',
+  experience: 'Experience'
+};
+
+const IMPORT_MODES = [
+  { value: 'merge', label: 'MERGE', description: 'Add new records and update matching ones. Nothing is deleted.' },
+  { value: 'replace', label: 'REPLACE', description: 'Make each collection in the archive match it exactly. Records missing from the archive are deleted.' }
+];
+
+/**
+ * Content Backup Manager Component
+ * @function ContentBackupManager
+ * @returns {JSX.Element} Backup and restore component
+ */
+export default function ContentBackupManager() {
+  const fileInputRef = useRef(null);
+  const [exportFormat, setExportFormat] = useState('json');
+  const [includeMedia, setIncludeMedia] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [archiveFile, setArchiveFile] = useState(null);
+  const [importMode, setImportMode] = useState('merge');
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  // Animation variants
+  const fadeInUp = {
+    hidden: { opacity: 0, y: 20 },
+    visible: { opacity: 1, y: 0 }
+  };
+
+  /**
+   * Download a backup archive
+   */
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const result = await PortfolioManagementService.exportContent({ format: exportFormat, includeMedia });
+      toast.success(`Downloaded ${result.data.fileName}`);
+    } catch (error) {
+      console.error('[ContentBackupManager] Export failed:', error);
+      toast.error(error.message || 'Failed to export content');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  /**
+   * Validate the chosen archive and fetch the change preview
+   * @param {File} file - Archive file
+   * @param {string} mode - Import mode
+   */
+  const loadPreview = async (file, mode) => {
+    try {
+      setPreviewing(true);
+      setPreview(null);
+      const response = await PortfolioManagementService.previewImport(file, mode);
+      setPreview(response.data);
+    } catch (error) {
+      console.error('[ContentBackupManager] Preview failed:', error);
+      toast.error(error.message || 'Failed to read archive');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setArchiveFile(file);
+    loadPreview(file, importMode);
+  };
+
+  const handleModeChange = (mode) => {
+    setImportMode(mode);
+    if (archiveFile) {
+      loadPreview(archiveFile, mode);
+    }
+  };
+
+  const resetImport = () => {
+    setArchiveFile(null);
+    setPreview(null);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  /**
+   * Apply the previewed archive
+   */
+  const handleImport = async () => {
+    if (!archiveFile || !preview?.validation.valid) return;
+
+    if (importMode === 'replace' && !window.confirm(
+      'Replace mode deletes every record that is not in the archive, in each collection the archive contains. Export a backup first if you may need it. Continue?'
+    )) {
+      return;
+    }
+
+    try {
+      setImporting(true);
+      const response = await PortfolioManagementService.importContent(archiveFile, importMode);
+      const totals = Object.values(response.data.summary).reduce((sum, counts) => ({
+        created: sum.created + counts.created,
+        updated: sum.updated + counts.updated,
+        deleted: sum.deleted + counts.deleted
+      }), { created: 0, updated: 0, deleted: 0 });
+
+      toast.success(`Imported: ${totals.created} created, ${totals.updated} updated, ${totals.deleted} deleted`);
+      resetImport();
+    } catch (error) {
+      console.error('[ContentBackupManager] Import failed:', error);
+      toast.error(error.message || 'Failed to import content');
+      // Data may have changed since the preview; show the current picture
+      loadPreview(archiveFile, importMode);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const renderChanges = () => {
+    const entries = Object.entries(preview.changes);
+
+    if (entries.length === 0) {
+      return <p className="text-xs font-mono text-gray-500">The archive contains no known collections.</p>;
+    }
+
+    return (
+      <div className="space-y-2">
+        {entries.map(([name, changes]) => (
+          <details key={name} className="p-3 bg-gray-500/10 rounded-lg border border-gray-500/20">
+            <summary className="flex items-center justify-between cursor-pointer text-sm font-mono text-gray-300">
+              <span>{COLLECTION_LABELS[name] || name}</span>
+              <span className="text-xs space-x-3">
+                <span className="text-green-400">+{changes.create.length}</span>
+                <span className="text-blue-400">~{changes.update.length}</span>
+                <span className="text-red-400">-{changes.delete.length}</span>
+                <span className="text-gray-500">={changes.unchanged}</span>
+              </span>
+            </summary>
+            <ul className="mt-3 space-y-1 text-xs font-mono">
+              {changes.create.map(label => (
+                <li key={`create-${label}`} className="text-green-400">+ {label}</li>
+              ))}
+              {changes.update.map(({ label, fields }) => (
+                <li key={`update-${label}`} className="text-blue-400">
+                  ~ {label} <span className="text-gray-500">({fields.join(', ')})</span>
+                </li>
+              ))}
+              {changes.delete.map(label => (
+                <li key={`delete-${label}`} className="text-red-400">- {label}</li>
+              ))}
+            </ul>
+          </details>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <motion.div
+      variants={fadeInUp}
+      initial="hidden"
+      animate="visible"
+      className="bg-gradient-to-br from-gray-900/50 to-black/50 backdrop-blur-xl rounded-xl border border-green-500/20 shadow-lg p-6"
+    >
+      <div className="flex items-center justify-between mb-6">
+        <h3 className="text-lg font-mono font-bold text-green-400 tracking-wide">
+          BACKUP_RESTORE
+        </h3>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Export */}
+        <div className="space-y-4">
+          <div className="text-sm font-mono text-green-300">EXPORT</div>
+          <div className="flex items-center space-x-2">
+            {['json', 'zip'].map(format => (
+              <button
+                key={format}
+                onClick={() => setExportFormat(format)}
+                className={`px-3 py-1 text-xs font-mono rounded border transition-all duration-300 ${
+                  exportFormat === format
+                    ? 'text-black bg-green-400 border-green-400'
+                    : 'text-green-400 border-green-500/30 hover:bg-green-500/10'
+                }`}
+              >
+                {format.toUpperCase()}
+              </button>
+            ))}
+          </div>
+          <label className="flex items-center space-x-2 text-xs font-mono text-gray-400">
+            <input
+              type="checkbox"
+              checked={includeMedia}
+              onChange={(e) => setIncludeMedia(e.target.checked)}
+              className="accent-green-500"
+            />
+            <span>Include media library{exportFormat === 'zip' ? ' and uploaded files' : ''}</span>
+          </label>
+          <button
+            onClick={handleExport}
+            disabled={exporting}
+            className="flex items-center space-x-3 px-4 py-3 bg-green-500/10 hover:bg-green-500/20 rounded-lg border border-green-500/20 hover:border-green-500/40 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {exporting ? (
+              <div className="w-4 h-4 border-2 border-green-400/30 border-t-green-400 rounded-full animate-spin"></div>
+            ) : (
+              <FiDownload className="w-4 h-4 text-green-400" />
+            )}
+            <span className="text-sm font-mono text-green-300">
+              {exporting ? 'Exporting...' : 'Download Backup'}
+            </span>
+          </button>
+        </div>
+
+        {/* Import */}
+        <div className="space-y-4">
+          <div className="text-sm font-mono text-green-300">IMPORT</div>
+          <div className="flex items-center space-x-2">
+            {IMPORT_MODES.map(mode => (
+              <button
+                key={mode.value}
+                onClick={() => handleModeChange(mode.value)}
+                disabled={previewing || importing}
+                className={`px-3 py-1 text-xs font-mono rounded border transition-all duration-300 disabled:opacity-50 ${
+                  importMode === mode.value
+                    ? 'text-black bg-green-400 border-green-400'
+                    : 'text-green-400 border-green-500/30 hover:bg-green-500/10'
+                }`}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+          <p className="text-xs font-mono text-gray-500">
+            {IMPORT_MODES.find(mode => mode.value === importMode).description}
+          </p>
+          <div className="flex items-center space-x-3">
+            <label className="flex items-center space-x-3 px-4 py-3 bg-blue-500/10 hover:bg-blue-500/20 rounded-lg border border-blue-500/20 hover:border-blue-500/40 transition-all duration-300 cursor-pointer">
+              <FiUpload className="w-4 h-4 text-blue-400" />
+              <span className="text-sm font-mono text-blue-300 truncate max-w-[12rem]">
+                {archiveFile ? archiveFile.name : 'Choose Archive'}
+              </span>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".json,.zip,application/json,application/zip"
+                onChange={handleFileChange}
+                disabled={previewing || importing}
+                className="hidden"
+              />
+            </label>
+            {archiveFile && (
+              <button
+                onClick={resetImport}
+                disabled={importing}
+                className="p-2 text-gray-400 hover:text-gray-200 transition-colors"
+                title="Clear"
+              >
+                <FiX className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Preview */}
+      {previewing && (
+        <div className="flex items-center justify-center py-6">
+          <div className="w-6 h-6 border-2 border-green-500/30 border-t-green-400 rounded-full animate-spin"></div>
+          <span className="ml-3 text-sm text-green-400 font-mono">Checking archive...</span>
+        </div>
+      )}
+
+      {preview && !previewing && (
+        <div className="mt-6 space-y-4">
+          <div className="text-xs font-mono text-gray-500">
+            Archive v{preview.archive.version} exported {new Date(preview.archive.exportedAt).toLocaleString()}
+            {preview.archive.mediaFiles > 0 && ` · ${preview.archive.mediaFiles} media files`}
+          </div>
+
+          {preview.validation.valid ? (
+            <div className="flex items-center space-x-3 p-3 bg-green-500/10 rounded-lg border border-green-500/20">
+              <FiCheckCircle className="w-4 h-4 text-green-400" />
+              <span className="text-sm font-mono text-green-300">Archive is valid</span>
+            </div>
+          ) : (
+            <div className="p-3 bg-red-500/10 rounded-lg border border-red-500/30">
+              <div className="flex items-center space-x-2 mb-2">
+                <FiAlertCircle className="w-4 h-4 text-red-400" />
+                <span className="text-sm font-mono text-red-300">Fix these errors before importing</span>
+              </div>
+              <ul className="space-y-1 text-xs font-mono text-red-400">
+                {preview.validation.errors.map((error, i) => (
+                  <li key={i}>
+                    {COLLECTION_LABELS[error.collection] || error.collection}
+                    {error.key ? ` "${error.key}"` : error.index !== undefined ? ` #${error.index + 1}` : ''}
+                    : {error.messages.join('; ')}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {preview.validation.warnings.length > 0 && (
+            <div className="p-3 bg-yellow-500/10 rounded-lg border border-yellow-500/30">
+              <div className="flex items-center space-x-2 mb-2">
+                <FiAlertTriangle className="w-4 h-4 text-yellow-400" />
+                <span className="text-sm font-mono text-yellow-300">Warnings</span>
+              </div>
+              <ul className="space-y-1 text-xs font-mono text-yellow-400">
+                {preview.validation.warnings.map((warning, i) => (
+                  <li key={i}>{warning}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {renderChanges()}
+
+          <div className="flex items-center justify-between">
+            <span className="text-xs font-mono text-gray-500">
+              Tip: download a backup before importing.
+            </span>
+            <button
+              onClick={handleImport}
+              disabled={!preview.validation.valid || importing}
+              className={`flex items-center space-x-2 px-4 py-2 text-sm font-mono rounded-lg border transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed ${
+                importMode === 'replace'
+                  ? 'text-red-300 bg-red-500/10 hover:bg-red-500/20 border-red-500/30'
+                  : 'text-green-300 bg-green-500/10 hover:bg-green-500/20 border-green-500/30'
+              }`}
+            >
+              {importing && (
+                <div className="w-4 h-4 border-2 border-green-400/30 border-t-green-400 rounded-full animate-spin"></div>
+              )}
+              <span>{importing ? 'Importing...' : `Apply ${importMode === 'replace' ? 'Replace' : 'Merge'}`}</span>
+            </button>
+          </div>
+        </div>
+      )}
+    </motion.div>
+  );
+}
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Media Picker - Modal for reusing an image from the media library in the editor
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiX, FiSearch, FiImage } from 'react-icons/fi';
+import MediaService from '../../services/media-service';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * Media Picker Component
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is visible
+ * @param {Function} props.onClose - Close handler
+ * @param {Function} props.onSelect - Called with the chosen media item
+ * @returns {JSX.Element} Media picker modal
+ */
+export default function MediaPicker({ isOpen, onClose, onSelect }) {
+  const [media, setMedia] = useState([]);
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const timer = setTimeout(() => loadMedia(), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [isOpen, search, page]);
+
+  /**
+   * Load one page of library images
+   */
+  const loadMedia = async () => {
+    try {
+      setIsLoading(true);
+      const response = await MediaService.getMedia({ page, limit: 24, search });
+      setMedia(response.data.media);
+      setTotalPages(response.data.pagination.totalPages || 1);
+    } catch (error) {
+      console.error('[MediaPicker] Error loading media:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="w-full max-w-4xl max-h-[85vh] bg-black border border-green-500/20 rounded-xl flex flex-col"
+            onClick={(e) => e.stopPropagation()}
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-4 border-b border-green-500/20">
+              <div className="flex items-center space-x-2">
+                <FiImage className="w-5 h-5 text-green-400" />
+                <h2 className="text-green-400 font-mono font-bold tracking-wider">MEDIA_LIBRARY</h2>
+              </div>
+              <button
+                type="button"
+                onClick={onClose}
+                className="p-2 rounded-lg bg-green-500/10 hover:bg-green-500/20 border border-green-500/20 text-green-400 transition-all duration-300"
+              >
+                <FiX className="w-4 h-4" />
+              </button>
+            </div>
+
+            {/* Search */}
+            <div className="p-4 border-b border-green-500/20">
+              <div className="relative">
+                <FiSearch className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-green-600" />
+                <input
+                  type="text"
+                  value={search}
+                  onChange={(e) => {
+                    setSearch(e.target.value);
+                    setPage(1);
+                  }}
+                  placeholder="Search by file name or alt text..."
+                  className="w-full pl-10 pr-3 py-2 bg-black/40 border border-green-500/20 rounded-lg text-green-300 placeholder-green-600 font-mono text-sm focus:outline-none focus:border-green-500/40"
+                />
+              </div>
+            </div>
+
+            {/* Grid */}
+            <div className="flex-1 overflow-y-auto p-4">
+              {isLoading ? (
+                <div className="text-green-600 font-mono text-sm">LOADING_MEDIA...</div>
+              ) : media.length === 0 ? (
+                <div className="text-green-600 font-mono text-sm">No images found. Drop or paste one into the editor to upload it.</div>
+              ) : (
+                <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-3">
+                  {media.map(item => (
+                    <button
+                      key={item._id}
+                      type="button"
+                      onClick={() => onSelect(item)}
+                      className="group text-left rounded-lg border border-green-500/20 hover:border-green-500/60 bg-black/40 overflow-hidden transition-all duration-300"
+                    >
+                      <div className="aspect-video bg-black/60 flex items-center justify-center overflow-hidden">
+                        <img
+                          src={item.thumbnailUrl || item.url}
+                          alt={item.alt || item.originalName}
+                          loading="lazy"
+                          className="max-h-full max-w-full object-contain group-hover:scale-105 transition-transform duration-300"
+                        />
+                      </div>
+                      <div className="p-2 text-green-500 font-mono text-xs truncate" title={item.originalName}>
+                        {item.alt || item.originalName}
+                      </div>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Pagination */}
+            {totalPages > 1 && (
+              <div className="flex items-center justify-between p-4 border-t border-green-500/20 font-mono text-xs">
+                <button
+                  type="button"
+                  onClick={() => setPage(p => Math.max(1, p - 1))}
+                  disabled={page <= 1}
+                  className="px-3 py-1 border border-green-500/20 rounded text-green-400 disabled:opacity-40"
+                >
+                  PREV
+                </button>
+                <span className="text-green-600">PAGE {page}/{totalPages}</span>
+                <button
+                  type="button"
+                  onClick={() => setPage(p => Math.min(totalPages, p + 1))}
+                  disabled={page >= totalPages}
+                  className="px-3 py-1 border border-green-500/20 rounded text-green-400 disabled:opacity-40"
+                >
+                  NEXT
+                </button>
+              </div>
+            )}
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -30,10 +30,12 @@ import {
   FiEdit3,
   FiLink,
   FiTrendingUp,
-  FiTrello
+  FiTrello,
+  FiMove
 } from 'react-icons/fi';
 import PortfolioManagementService from '../../services/portfolio-management-service';
 import PortfolioService from '../../services/portfolio-service';
+import { useSortableList } from '../../hooks/useSortableList';
 import MarkdownEditor from '../ui/MarkdownEditor';
 
 /**
@@ -72,8 +74,7 @@ export default function ProjectForm({ project = null, onSuccess, onCancel }) {
     teamSize: 1,
     myRole: '',
     challenges: [],
-    learnings: [],
-    order: 0
+    learnings: []
   });
 
   // Projects list state
@@ -193,8 +194,7 @@ export default function ProjectForm({ project = null, onSuccess, onCancel }) {
             console.warn('Failed to parse learnings:', e);
             return [];
           }
-        })(),
-        order: editingProject.order || 0
+        })()
       });
 
       // Set existing images - handle both old and new formats
@@ -215,6 +215,14 @@ export default function ProjectForm({ project = null, onSuccess, onCancel }) {
     }
   }, [editingProject]);
 
+  const sortable = useSortableList({
+    collection: 'projects',
+    items: projects,
+    setItems: setProjects,
+    getLabel: project => project.title,
+    onError: () => showMessage('error', 'Failed to save project order')
+  });
+
   /**
    * Load all projects
    */
@@ -294,8 +302,7 @@ export default function ProjectForm({ project = null, onSuccess, onCancel }) {
       teamSize: 1,
       myRole: '',
       challenges: [],
-      learnings: [],
-      order: 0
+      learnings: []
     });
     setProjectImages([]);
     setThumbnailImage(null);
@@ -740,10 +747,14 @@ export default function ProjectForm({ project = null, onSuccess, onCancel }) {
               </div>
             ) : (
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                {Array.isArray(projects) && projects.map((proj) => (
-                  <div
+                {sortable.orderedItems.map((proj) => (
+                  <motion.div
                     key={proj.id || proj._id}
-                    className="bg-gradient-to-br from-gray-900/50 to-black/50 backdrop-blur-xl rounded-xl border border-green-500/20 p-6 hover:border-green-500/40 transition-all duration-300"
+                    layout
+                    {...sortable.getItemProps(proj)}
+                    className={`bg-gradient-to-br from-gray-900/50 to-black/50 backdrop-blur-xl rounded-xl border p-6 hover:border-green-500/40 transition-colors duration-300 ${
+                      sortable.activeId === String(proj.id) ? 'border-green-400 shadow-lg shadow-green-500/20' : 'border-green-500/20'
+                    }`}
                   >
                     {/* Project Thumbnail */}
                     <div className="mb-4 relative h-32">
@@ -817,6 +828,12 @@ export default function ProjectForm({ project = null, onSuccess, onCancel }) {
                     
                     {/* Actions */}
                     <div className="flex space-x-2">
+                      <button
+                        {...sortable.getHandleProps(proj)}
+                        className="flex items-center justify-center px-3 py-2 bg-green-500/10 hover:bg-green-500/20 text-green-300 rounded-lg border border-green-500/20 hover:border-green-500/40 cursor-grab active:cursor-grabbing focus:outline-none focus:ring-2 focus:ring-green-500/50 transition-colors duration-300 relative z-10 pointer-events-auto"
+                      >
+                        <FiMove className="w-4 h-4" />
+                      </button>
                       <button
                         onClick={() => handleEditProject(proj)}
                         className="flex-1 flex items-center justify-center px-3 py-2 bg-green-500/10 hover:bg-green-500/20 text-green-300 font-mono text-sm rounded-lg transition-all duration-300 border border-green-500/20 hover:border-green-500/40 relative z-10 pointer-events-auto"
@@ -831,10 +848,11 @@ export default function ProjectForm({ project = null, onSuccess, onCancel }) {
                         <FiX className="w-4 h-4" />
                       </button>
                     </div>
-                  </div>
+                  </motion.div>
                 ))}
               </div>
             )}
+            <p className="sr-only" aria-live="assertive">{sortable.announcement}</p>
           </motion.div>
         </>
       ) : (
@@ -985,7 +1003,7 @@ export default function ProjectForm({ project = null, onSuccess, onCancel }) {
               />
             </div>
 
-            {/* Featured & Order */}
+            {/* Featured */}
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               <div className="flex items-center space-x-3">
                 <input
@@ -1000,20 +1018,6 @@ export default function ProjectForm({ project = null, onSuccess, onCancel }) {
                   Featured Project
                 </label>
               </div>
-              
-              <div>
-                <label className="block text-sm font-mono font-medium text-green-300 mb-2">
-                  Display Order
-                </label>
-                <input
-                  type="number"
-                  name="order"
-                  value={formData.order}
-                  onChange={handleInputChange}
-                  min="0"
-                  className="w-full px-4 py-3 bg-black/40 border border-green-500/30 rounded-lg text-green-100 font-mono focus:outline-none focus:ring-2 focus:ring-green-500/50 focus:border-green-500 transition-all duration-300"
-                />
-              </div>
             </div>
           </div>
         </motion.div>
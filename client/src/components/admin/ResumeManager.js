@@ -16,8 +16,11 @@ import {
   FiExternalLink,
   FiRefreshCw,
   FiAlertCircle,
-  FiCheckCircle
+  FiCheckCircle,
+  FiFileText,
+  FiGlobe
 } from 'react-icons/fi';
+import { useAuth } from '../../context/AuthContext';
 import PortfolioManagementService from '../../services/portfolio-management-service';
 
 /**
@@ -26,10 +29,15 @@ import PortfolioManagementService from '../../services/portfolio-management-serv
  * @returns {JSX.Element} Resume management component
  */
 export default function ResumeManager() {
+  const { isAdmin } = useAuth();
   const [resumeData, setResumeData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [downloading, setDownloading] = useState(false);
   const [viewing, setViewing] = useState(false);
+  const [settings, setSettings] = useState(null);
+  const [selectedTemplate, setSelectedTemplate] = useState('classic');
+  const [generating, setGenerating] = useState(null);
+  const [savingSettings, setSavingSettings] = useState(false);
 
   // Animation variants
   const fadeInUp = {
@@ -40,7 +48,28 @@ export default function ResumeManager() {
   // Load resume data on component mount
   useEffect(() => {
     checkResumeAvailability();
-  }, []);
+    loadSettings();
+  }, [isAdmin]);
+
+  /**
+   * Load the public resume source and generator templates (admin only)
+   */
+  const loadSettings = async () => {
+    if (!isAdmin) return;
+
+    try {
+      const response = await PortfolioManagementService.getResumeSettings();
+      setSettings(response.data);
+      setSelectedTemplate(response.data.template);
+    } catch (error) {
+      console.error('[ResumeManager] Error loading resume settings:', error);
+    }
+  };
+
+  const handleRefresh = () => {
+    checkResumeAvailability();
+    loadSettings();
+  };
 
   /**
    * Check if resume is available
@@ -73,19 +102,8 @@ export default function ResumeManager() {
       
       const response = await PortfolioManagementService.downloadResume();
       
+      // The service has already saved the file
       if (response.success) {
-        // Create blob URL and trigger download
-        const url = window.URL.createObjectURL(response.data.blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = response.data.fileName || 'resume.pdf';
-        document.body.appendChild(link);
-        link.click();
-        
-        // Cleanup
-        window.URL.revokeObjectURL(url);
-        document.body.removeChild(link);
-        
         toast.success('Resume downloaded successfully');
       }
     } catch (error) {
@@ -133,6 +151,62 @@ export default function ResumeManager() {
     }
   };
 
+  /**
+   * Open or download the generated resume in the selected template
+   * @param {string} action - 'view' or 'download'
+   */
+  const handleGenerated = async (action) => {
+    // Open the tab before the request so popup blockers allow it
+    const previewWindow = action === 'view' ? window.open('', '_blank') : null;
+
+    try {
+      setGenerating(action);
+      const { blob, fileName } = await PortfolioManagementService.getGeneratedResume(selectedTemplate);
+      const url = window.URL.createObjectURL(blob);
+
+      if (previewWindow) {
+        previewWindow.location.href = url;
+      } else {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        toast.success('Resume downloaded successfully');
+      }
+
+      // The preview tab needs the URL a little longer
+      setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      console.error('[ResumeManager] Error generating resume:', error);
+      previewWindow?.close();
+      toast.error(error.message || 'Failed to generate resume');
+    } finally {
+      setGenerating(null);
+    }
+  };
+
+  /**
+   * Choose the resume visitors download
+   * @param {string} source - 'upload' or 'generated'
+   */
+  const handleSourceChange = async (source) => {
+    try {
+      setSavingSettings(true);
+      const response = await PortfolioManagementService.updateResumeSettings({ source, template: selectedTemplate });
+      setSettings(prev => ({ ...prev, ...response.data }));
+      toast.success(source === 'generated' ? 'Visitors now get the generated resume' : 'Visitors now get the uploaded resume');
+    } catch (error) {
+      console.error('[ResumeManager] Error saving resume settings:', error);
+      toast.error(error.message || 'Failed to save resume settings');
+    } finally {
+      setSavingSettings(false);
+    }
+  };
+
+  const templateChanged = settings && settings.source === 'generated' && selectedTemplate !== settings.template;
+
   // Loading state
   if (loading) {
     return (
@@ -157,7 +231,7 @@ export default function ResumeManager() {
           RESUME_MANAGER
         </h3>
         <button
-          onClick={checkResumeAvailability}
+          onClick={handleRefresh}
           className="flex items-center space-x-2 px-3 py-1 text-xs font-mono text-green-400 hover:text-green-300 hover:bg-green-500/10 rounded border border-green-500/30 hover:border-green-500/50 transition-all duration-300"
         >
           <FiRefreshCw className="w-3 h-3" />
@@ -246,7 +320,7 @@ export default function ResumeManager() {
                 No Resume Available
               </div>
               <div className="text-sm text-yellow-600">
-                Upload a resume in Personal Info section
+                Upload a resume in Personal Info section, or generate one below
               </div>
             </div>
           </div>
@@ -260,6 +334,109 @@ export default function ResumeManager() {
           </div>
         </div>
       )}
+
+      {/* Generated Resume */}
+      {settings && (
+        <div className="mt-6 pt-6 border-t border-green-500/20 space-y-4">
+          <div className="flex items-center space-x-2">
+            <FiFileText className="w-4 h-4 text-green-400" />
+            <span className="text-sm font-mono font-bold text-green-400 tracking-wide">GENERATED_RESUME</span>
+          </div>
+          <p className="text-xs font-mono text-gray-500">
+            Built from your personal info, experience, skills and featured projects, so it never goes stale.
+          </p>
+
+          {settings.hasPersonalInfo ? (
+            <>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                {settings.templates.map(template => (
+                  <button
+                    key={template.id}
+                    onClick={() => setSelectedTemplate(template.id)}
+                    aria-pressed={selectedTemplate === template.id}
+                    className={`p-3 text-left rounded-lg border transition-all duration-300 ${
+                      selectedTemplate === template.id
+                        ? 'bg-green-500/15 border-green-400'
+                        : 'bg-gray-500/10 border-gray-500/20 hover:border-green-500/40'
+                    }`}
+                  >
+                    <div className="text-sm font-mono font-medium text-green-300">{template.name}</div>
+                    <div className="text-xs text-gray-500">{template.description}</div>
+                  </button>
+                ))}
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <button
+                  onClick={() => handleGenerated('view')}
+                  disabled={!!generating}
+                  className="flex items-center justify-center space-x-3 p-3 bg-blue-500/10 hover:bg-blue-500/20 rounded-lg border border-blue-500/20 hover:border-blue-500/40 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {generating === 'view' ? (
+                    <div className="w-4 h-4 border-2 border-blue-400/30 border-t-blue-400 rounded-full animate-spin"></div>
+                  ) : (
+                    <FiEye className="w-4 h-4 text-blue-400" />
+                  )}
+                  <span className="text-sm font-mono text-blue-300">{generating === 'view' ? 'Generating...' : 'Preview'}</span>
+                </button>
+                <button
+                  onClick={() => handleGenerated('download')}
+                  disabled={!!generating}
+                  className="flex items-center justify-center space-x-3 p-3 bg-green-500/10 hover:bg-green-500/20 rounded-lg border border-green-500/20 hover:border-green-500/40 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {generating === 'download' ? (
+                    <div className="w-4 h-4 border-2 border-green-400/30 border-t-green-400 rounded-full animate-spin"></div>
+                  ) : (
+                    <FiDownload className="w-4 h-4 text-green-400" />
+                  )}
+                  <span className="text-sm font-mono text-green-300">{generating === 'download' ? 'Generating...' : 'Download'}</span>
+                </button>
+              </div>
+            </>
+          ) : (
+            <p className="text-xs font-mono text-yellow-600">Add your personal info to generate a resume.</p>
+          )}
+
+          {/* Public download source */}
+          <div className="p-4 bg-gray-500/10 rounded-lg border border-gray-500/20">
+            <div className="flex items-center space-x-2 mb-3">
+              <FiGlobe className="w-4 h-4 text-gray-400" />
+              <span className="text-sm font-mono text-gray-300">Visitors download</span>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              <button
+                onClick={() => handleSourceChange('upload')}
+                disabled={savingSettings || !settings.hasUpload || settings.source === 'upload'}
+                className={`px-3 py-1 text-xs font-mono rounded border transition-all duration-300 disabled:cursor-not-allowed ${
+                  settings.source === 'upload'
+                    ? 'text-black bg-green-400 border-green-400'
+                    : 'text-green-400 border-green-500/30 hover:bg-green-500/10 disabled:opacity-50'
+                }`}
+              >
+                UPLOADED FILE
+              </button>
+              <button
+                onClick={() => handleSourceChange('generated')}
+                disabled={savingSettings || !settings.hasPersonalInfo || (settings.source === 'generated' && !templateChanged)}
+                className={`px-3 py-1 text-xs font-mono rounded border transition-all duration-300 disabled:cursor-not-allowed ${
+                  settings.source === 'generated'
+                    ? 'text-black bg-green-400 border-green-400'
+                    : 'text-green-400 border-green-500/30 hover:bg-green-500/10 disabled:opacity-50'
+                }`}
+              >
+                {templateChanged
+                  ? `SWITCH TO ${settings.templates.find(template => template.id === selectedTemplate)?.name.toUpperCase()}`
+                  : 'GENERATED'}
+              </button>
+            </div>
+            {settings.source === 'generated' && (
+              <div className="mt-2 text-xs font-mono text-gray-500">
+                Using the {settings.templates.find(template => template.id === settings.template)?.name} template
+              </div>
+            )}
+          </div>
+        </div>
+      )}
     </motion.div>
   );
 }
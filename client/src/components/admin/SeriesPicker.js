@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Series Picker - Blog editor panel for placing a post in a multi-part series
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+import { useState, useEffect } from 'react';
+import { FiLayers, FiPlus } from 'react-icons/fi';
+import BlogService from '../../services/blog-service';
+
+/**
+ * Series Picker Component
+ * @param {Object} props - Component props
+ * @param {string} props.series - Selected series ID, or '' for none
+ * @param {number|string} props.seriesPosition - 1-based position, or '' for the end of the series
+ * @param {Function} props.onChange - Called with { series, seriesPosition }
+ * @param {string} [props.blogId] - ID of the post being edited, so it is not counted twice
+ * @returns {JSX.Element} Series picker
+ */
+export default function SeriesPicker({ series, seriesPosition, onChange, blogId }) {
+  const [allSeries, setAllSeries] = useState([]);
+  const [isCreating, setIsCreating] = useState(false);
+  const [newTitle, setNewTitle] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    loadSeries();
+  }, []);
+
+  /**
+   * Load every series for the dropdown
+   */
+  const loadSeries = async () => {
+    try {
+      const response = await BlogService.getAllSeries();
+      setAllSeries(response.data || []);
+    } catch (error) {
+      console.error('[SeriesPicker] Error loading series:', error);
+    }
+  };
+
+  /**
+   * Create a series from the inline form and select it
+   */
+  const handleCreate = async () => {
+    if (newTitle.trim().length < 3) return;
+
+    try {
+      setIsSaving(true);
+      const response = await BlogService.createSeries({ title: newTitle.trim() });
+      setAllSeries(prev => [{ ...response.data, posts: [] }, ...prev]);
+      onChange({ series: response.data._id, seriesPosition: '' });
+      setNewTitle('');
+      setIsCreating(false);
+    } catch (error) {
+      console.error('[SeriesPicker] Error creating series:', error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const selected = allSeries.find(item => item._id === series);
+  const otherPosts = selected ? selected.posts.filter(post => post._id !== blogId) : [];
+
+  return (
+    <div className="space-y-3">
+      <select
+        value={series || ''}
+        onChange={(e) => onChange({ series: e.target.value, seriesPosition: '' })}
+        className="w-full p-2 bg-black/40 border border-green-500/20 rounded-lg text-green-300 font-mono text-sm focus:outline-none focus:border-green-500/40 transition-colors"
+      >
+        <option value="">Not part of a series</option>
+        {allSeries.map(item => (
+          <option key={item._id} value={item._id}>{item.title}</option>
+        ))}
+      </select>
+
+      {isCreating ? (
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            value={newTitle}
+            onChange={(e) => setNewTitle(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                handleCreate();
+              }
+            }}
+            placeholder="Series title..."
+            className="flex-1 min-w-0 p-2 bg-black/40 border border-green-500/20 rounded-lg text-green-300 placeholder-green-600 font-mono text-sm focus:outline-none focus:border-green-500/40 transition-colors"
+          />
+          <button
+            type="button"
+            onClick={handleCreate}
+            disabled={isSaving || newTitle.trim().length < 3}
+            className="px-3 py-2 bg-green-500/10 hover:bg-green-500/20 border border-green-500/20 rounded-lg text-green-400 font-mono text-xs transition-all duration-300 disabled:opacity-50"
+          >
+            CREATE
+          </button>
+        </div>
+      ) : (
+        <button
+          type="button"
+          onClick={() => setIsCreating(true)}
+          className="flex items-center space-x-1 text-green-500 hover:text-green-300 font-mono text-xs transition-colors"
+        >
+          <FiPlus className="w-3 h-3" />
+          <span>New series</span>
+        </button>
+      )}
+
+      {selected && (
+        <>
+          <div>
+            <label htmlFor="seriesPosition" className="block text-green-400 font-mono text-xs mb-1">
+              PART_NUMBER
+            </label>
+            <input
+              type="number"
+              id="seriesPosition"
+              min={1}
+              max={otherPosts.length + 1}
+              value={seriesPosition}
+              onChange={(e) => onChange({ series, seriesPosition: e.target.value })}
+              placeholder={`${otherPosts.length + 1} (last)`}
+              className="w-full p-2 bg-black/40 border border-green-500/20 rounded-lg text-green-300 placeholder-green-600 font-mono text-sm focus:outline-none focus:border-green-500/40 transition-colors"
+            />
+          </div>
+
+          {otherPosts.length > 0 && (
+            <ol className="space-y-1 list-decimal list-inside">
+              {otherPosts.map(post => (
+                <li key={post._id} className="text-green-600 font-mono text-xs truncate">
+                  {post.title}
+                  {post.status !== 'published' && <span className="text-yellow-500"> ({post.status})</span>}
+                </li>
+              ))}
+            </ol>
+          )}
+
+          <p className="flex items-center space-x-1 text-green-600 font-mono text-xs">
+            <FiLayers className="w-3 h-3" />
+            <span>Other parts shift to make room.</span>
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -13,6 +13,7 @@ import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { vscDarkPlus, vs } from 'react-syntax-highlighter/dist/cjs/styles/prism';
 import { useTheme } from '../../context/ThemeContext';
 import PropTypes from 'prop-types';
+import { getResponsiveImageProps } from '../../utils/image-utils';
 
 /**
  * Custom code block component with syntax highlighting
@@ -182,7 +183,7 @@ const ImageRenderer = memo(({ src, alt, title, ...props }) => {
   return (
     <figure className="my-8">
       <img
-        src={src}
+        {...getResponsiveImageProps(src)}
         alt={alt || ''}
         title={title}
         className="rounded-lg shadow-md w-full h-auto"
@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Blog Search Box - Search input with an instant-results dropdown
+ * @author jasilmeledath@gmail.com
+ * @created 2025-01-27
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiSearch, FiX, FiArrowRight } from 'react-icons/fi';
+import BlogService from '../../services/blog-service';
+
+// Pause after a keystroke before asking for instant results
+const INSTANT_SEARCH_DELAY = 200;
+const INSTANT_RESULTS_LIMIT = 5;
+const MIN_QUERY_LENGTH = 2;
+
+const HighlightedText = ({ segments }) => (
+  <>
+    {segments.map((segment, index) => (
+      segment.highlight ? (
+        <mark key={index} className="bg-yellow-200/70 dark:bg-yellow-500/30 text-inherit rounded px-0.5">
+          {segment.text}
+        </mark>
+      ) : (
+        <React.Fragment key={index}>{segment.text}</React.Fragment>
+      )
+    ))}
+  </>
+);
+
+const BlogSearchBox = ({ value = '', onSearch, onSelectCategory }) => {
+  const router = useRouter();
+  const [input, setInput] = useState(value);
+  const [results, setResults] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const containerRef = useRef(null);
+
+  // The applied query can change from outside, e.g. ?search= on load
+  useEffect(() => {
+    setInput(value);
+  }, [value]);
+
+  // Instant results; a newer keystroke cancels the pending request's update
+  useEffect(() => {
+    const query = input.trim();
+
+    if (query.length < MIN_QUERY_LENGTH) {
+      setResults(null);
+      setIsLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setIsLoading(true);
+      try {
+        const response = await BlogService.searchBlogs({ q: query, limit: INSTANT_RESULTS_LIMIT }, false);
+        if (!cancelled) {
+          setResults(response.data);
+          setActiveIndex(-1);
+        }
+      } catch (error) {
+        if (!cancelled) setResults(null);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    }, INSTANT_SEARCH_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [input]);
+
+  // Close when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const submit = (query = input) => {
+    setIsOpen(false);
+    onSearch(query.trim());
+  };
+
+  const handleClear = () => {
+    setInput('');
+    setResults(null);
+    onSearch('');
+  };
+
+  const handleKeyDown = (e) => {
+    const items = results?.results || [];
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex(index => Math.min(index + 1, items.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => Math.max(index - 1, -1));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (isOpen && items[activeIndex]) {
+        router.push(`/blog/${items[activeIndex].slug}`);
+      } else {
+        submit();
+      }
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  const showDropdown = isOpen && input.trim().length >= MIN_QUERY_LENGTH && results;
+
+  return (
+    <div ref={containerRef} className="relative">
+      <FiSearch className="absolute left-3 sm:left-4 top-1/2 transform -translate-y-1/2 text-slate-400 w-4 h-4 sm:w-5 sm:h-5" />
+      <input
+        id="blog-content-search-input-field"
+        type="text"
+        role="combobox"
+        aria-expanded={!!showDropdown}
+        aria-controls="blog-search-results"
+        aria-autocomplete="list"
+        aria-activedescendant={activeIndex >= 0 ? `blog-search-result-${activeIndex}` : undefined}
+        placeholder="Search articles, technologies..."
+        value={input}
+        onChange={(e) => {
+          setInput(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onKeyDown={handleKeyDown}
+        className="w-full pl-10 sm:pl-12 pr-3 sm:pr-4 py-2.5 sm:py-3 bg-slate-50 dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg sm:rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm sm:text-base text-slate-900 dark:text-white placeholder-slate-500 dark:placeholder-slate-400 transition-all duration-200 outline-none"
+      />
+      {input && (
+        <button
+          type="button"
+          onClick={handleClear}
+          aria-label="Clear search"
+          className="absolute right-3 sm:right-4 top-1/2 transform -translate-y-1/2 text-slate-400 hover:text-slate-600 dark:hover:text-slate-300"
+        >
+          <FiX className="w-4 h-4" />
+        </button>
+      )}
+
+      <AnimatePresence>
+        {showDropdown && (
+          <motion.div
+            initial={{ opacity: 0, y: -4 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -4 }}
+            transition={{ duration: 0.15 }}
+            className="absolute z-30 left-0 right-0 mt-2 bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-xl shadow-xl overflow-hidden text-left"
+          >
+            {results.correctedQuery && (
+              <div className="px-4 py-2 text-xs sm:text-sm text-slate-500 dark:text-slate-400 border-b border-slate-100 dark:border-slate-700">
+                Showing results for{' '}
+                <button
+                  type="button"
+                  onClick={() => submit(results.correctedQuery)}
+                  className="font-semibold text-blue-600 dark:text-blue-400 hover:underline"
+                >
+                  {results.correctedQuery}
+                </button>
+              </div>
+            )}
+
+            {results.results.length > 0 ? (
+              <ul id="blog-search-results" role="listbox" className="max-h-96 overflow-y-auto">
+                {results.results.map((blog, index) => (
+                  <li
+                    key={blog._id}
+                    id={`blog-search-result-${index}`}
+                    role="option"
+                    aria-selected={index === activeIndex}
+                  >
+                    <Link
+                      href={`/blog/${blog.slug}`}
+                      onClick={() => setIsOpen(false)}
+                      onMouseEnter={() => setActiveIndex(index)}
+                      className={`block px-4 py-3 transition-colors ${
+                        index === activeIndex ? 'bg-slate-100 dark:bg-slate-700' : ''
+                      }`}
+                    >
+                      <div className="text-sm sm:text-base font-medium text-slate-900 dark:text-white">
+                        <HighlightedText segments={blog.highlights.title} />
+                      </div>
+                      <p className="mt-1 text-xs sm:text-sm text-slate-500 dark:text-slate-400 line-clamp-2">
+                        <HighlightedText segments={blog.highlights.snippet} />
+                      </p>
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <div className="px-4 py-6 text-center text-sm text-slate-500 dark:text-slate-400">
+                {isLoading ? 'Searching...' : <>No articles match &quot;{input.trim()}&quot;</>}
+              </div>
+            )}
+
+            {results.facets.categories.length > 0 && (
+              <div className="px-4 py-2 flex flex-wrap gap-2 border-t border-slate-100 dark:border-slate-700">
+                {results.facets.categories.slice(0, 6).map(facet => (
+                  <button
+                    key={facet.value}
+                    type="button"
+                    onClick={() => {
+                      onSelectCategory(facet.value);
+                      submit();
+                    }}
+                    className="px-2.5 py-1 rounded-full text-xs font-medium capitalize bg-slate-100 dark:bg-slate-700 text-slate-600 dark:text-slate-300 hover:bg-slate-200 dark:hover:bg-slate-600"
+                  >
+                    {facet.value} <span className="text-slate-400">({facet.count})</span>
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {results.pagination.totalResults > 0 && (
+              <button
+                type="button"
+                onClick={() => submit()}
+                className="w-full flex items-center justify-center gap-2 px-4 py-2.5 text-sm font-medium text-blue-600 dark:text-blue-400 bg-slate-50 dark:bg-slate-800/80 hover:bg-slate-100 dark:hover:bg-slate-700 border-t border-slate-100 dark:border-slate-700"
+              >
+                See all {results.pagination.totalResults} result{results.pagination.totalResults !== 1 ? 's' : ''}
+                <FiArrowRight className="w-4 h-4" />
+              </button>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default BlogSearchBox;
@@ -7,6 +7,7 @@
 
 import React, { useState } from 'react';
 import { motion } from 'framer-motion';
+import CommentService from '../../services/comment-service';
 
 const CommentForm = ({ 
   blogId, 
@@ -19,16 +20,18 @@ const CommentForm = ({
     name: '',
     email: '',
     website: '',
-    content: ''
+    content: '',
+    notifyOnReply: false,
+    homepage: ''
   });
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [errors, setErrors] = useState({});
 
   const handleChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: type === 'checkbox' ? checked : value
     }));
     // Clear error when user starts typing
     if (errors[name]) {
@@ -72,41 +75,37 @@ const CommentForm = ({
     setIsSubmitting(true);
 
     try {
-      const response = await fetch(`/api/v1/comments/blog/${blogId}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
+      const data = await CommentService.addComment(blogId, {
+        author: {
+          name: formData.name.trim(),
+          email: formData.email.trim(),
+          website: formData.website.trim()
         },
-        body: JSON.stringify({
-          author: {
-            name: formData.name.trim(),
-            email: formData.email.trim(),
-            website: formData.website.trim()
-          },
-          content: formData.content.trim(),
-          parentComment
-        }),
+        content: formData.content.trim(),
+        parentComment,
+        notifyOnReply: formData.notifyOnReply,
+        homepage: formData.homepage
       });
 
-      const data = await response.json();
+      // Reset form
+      setFormData({
+        name: '',
+        email: '',
+        website: '',
+        content: '',
+        notifyOnReply: false,
+        homepage: ''
+      });
 
-      if (response.ok) {
-        // Reset form
-        setFormData({
-          name: '',
-          email: '',
-          website: '',
-          content: ''
-        });
-        
-        if (onSuccess) {
-          onSuccess(data.message);
-        }
-      } else {
-        setErrors({ submit: data.message || 'Failed to submit comment' });
+      if (onSuccess) {
+        onSuccess(data.message);
       }
     } catch (error) {
-      setErrors({ submit: 'Network error. Please try again.' });
+      setErrors({
+        submit: error.response
+          ? error.response.data?.message || 'Failed to submit comment'
+          : 'Network error. Please try again.'
+      });
     } finally {
       setIsSubmitting(false);
     }
@@ -209,6 +208,33 @@ const CommentForm = ({
           </div>
         </div>
 
+        {/* Honeypot: hidden from people, filled in by bots */}
+        <div aria-hidden="true" className="absolute -left-[10000px] w-px h-px overflow-hidden">
+          <label>
+            Homepage
+            <input
+              type="text"
+              name="homepage"
+              tabIndex={-1}
+              autoComplete="off"
+              value={formData.homepage}
+              onChange={handleChange}
+            />
+          </label>
+        </div>
+
+        {/* Reply Notifications */}
+        <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            name="notifyOnReply"
+            checked={formData.notifyOnReply}
+            onChange={handleChange}
+            className="rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500"
+          />
+          <span>Email me when someone replies to this comment</span>
+        </label>
+
         {/* Submit Error */}
         {errors.submit && (
           <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-3">
@@ -246,7 +272,7 @@ const CommentForm = ({
                 Submitting...
               </span>
             ) : (
-              'Submit Comment'
+              isReply ? 'Submit Reply' : 'Submit Comment'
             )}
           </button>
         </div>
@@ -7,17 +7,83 @@
 
 import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import toast from 'react-hot-toast';
 import CommentForm from './CommentForm';
 import CommentService from '../../services/comment-service';
+import BlogService from '../../services/blog-service';
 
-const CommentItem = ({ comment, blogId, onReplySuccess, level = 0 }) => {
+// Stable default so the liked-state sync below does not rerun on every render
+const NO_LIKED_COMMENTS = [];
+
+// Replies fetched per thread, both with the first page and with each "show more"
+const REPLIES_PAGE_SIZE = 5;
+
+const CommentItem = ({ comment, blogId, onReplySuccess, likedComments = NO_LIKED_COMMENTS, level = 0 }) => {
   const [showReplyForm, setShowReplyForm] = useState(false);
   const [likes, setLikes] = useState(comment.likes || 0);
+  const [liked, setLiked] = useState(likedComments.includes(comment._id));
+  const [isLikePending, setIsLikePending] = useState(false);
+  const [replies, setReplies] = useState(comment.replies || []);
+  const [hasMoreReplies, setHasMoreReplies] = useState(!!comment.hasMoreReplies);
+  const [isLoadingReplies, setIsLoadingReplies] = useState(false);
+  const depth = comment.depth ?? level;
+
+  // The visitor's liked comments arrive after the list has rendered
+  useEffect(() => {
+    setLiked(likedComments.includes(comment._id));
+  }, [likedComments, comment._id]);
 
   const handleReply = () => {
     setShowReplyForm(!showReplyForm);
   };
 
+  const handleLike = async () => {
+    if (isLikePending) return;
+
+    const previousLikes = likes;
+    const nextLiked = !liked;
+
+    // Optimistic update, rolled back below if the request fails
+    setLiked(nextLiked);
+    setLikes(Math.max(0, previousLikes + (nextLiked ? 1 : -1)));
+    setIsLikePending(true);
+
+    try {
+      const response = await BlogService.setCommentLiked(blogId, comment._id, nextLiked);
+      setLiked(response.data.liked);
+      setLikes(response.data.likes);
+    } catch (error) {
+      console.error('Error updating comment like:', error);
+      setLiked(!nextLiked);
+      setLikes(previousLikes);
+      toast.error(error.message || 'Could not update your like');
+    } finally {
+      setIsLikePending(false);
+    }
+  };
+
+  const loadMoreReplies = async () => {
+    try {
+      setIsLoadingReplies(true);
+      const response = await CommentService.getCommentReplies(blogId, comment._id, {
+        page: Math.floor(replies.length / REPLIES_PAGE_SIZE) + 1,
+        limit: REPLIES_PAGE_SIZE,
+        repliesLimit: REPLIES_PAGE_SIZE
+      });
+
+      setReplies(prev => {
+        const loadedIds = new Set(prev.map(reply => reply._id));
+        return [...prev, ...response.data.replies.filter(reply => !loadedIds.has(reply._id))];
+      });
+      setHasMoreReplies(response.data.pagination.hasNextPage);
+    } catch (err) {
+      console.error('Error loading replies:', err);
+      toast.error('Could not load more replies');
+    } finally {
+      setIsLoadingReplies(false);
+    }
+  };
+
   const handleReplySuccess = (message) => {
     setShowReplyForm(false);
     if (onReplySuccess) {
@@ -44,9 +110,10 @@ const CommentItem = ({ comment, blogId, onReplySuccess, level = 0 }) => {
 
   return (
     <motion.div
+      id={`comment-${comment._id}`}
       initial={{ opacity: 0, y: 20 }}
       animate={{ opacity: 1, y: 0 }}
-      className={`${level > 0 ? 'ml-8 mt-4' : 'mb-6'}`}
+      className={`${depth > 0 ? 'ml-4 sm:ml-8 mt-4' : 'mb-6'}`}
     >
       <div className="bg-white dark:bg-gray-800 rounded-lg p-4 shadow-sm border border-gray-200 dark:border-gray-700">
         {/* Comment Header */}
@@ -74,10 +141,25 @@ const CommentItem = ({ comment, blogId, onReplySuccess, level = 0 }) => {
                 </span>
               )}
               
+              {comment.isAuthorReply && (
+                <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300">
+                  Author
+                </span>
+              )}
+              
               <span className="text-sm text-gray-500 dark:text-gray-400">
                 {formatDate(comment.createdAt)}
               </span>
             </div>
+
+            {comment.replyTo && (
+              <a
+                href={`#comment-${comment.replyTo._id}`}
+                className="inline-block mb-1 text-xs text-gray-500 dark:text-gray-400 hover:underline"
+              >
+                Replying to @{comment.replyTo.name}
+              </a>
+            )}
             
             {/* Comment Content */}
             <div className="text-gray-700 dark:text-gray-300 mb-3 leading-relaxed">
@@ -97,12 +179,21 @@ const CommentItem = ({ comment, blogId, onReplySuccess, level = 0 }) => {
                 Reply
               </button>
               
-              <div className="flex items-center space-x-1 text-gray-500 dark:text-gray-400">
-                <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+              <button
+                onClick={handleLike}
+                aria-pressed={liked}
+                aria-label={liked ? 'Unlike comment' : 'Like comment'}
+                className={`flex items-center space-x-1 transition-colors ${
+                  liked
+                    ? 'text-red-500 hover:text-red-600'
+                    : 'text-gray-500 dark:text-gray-400 hover:text-red-500 dark:hover:text-red-400'
+                }`}
+              >
+                <svg className="w-4 h-4" fill={liked ? 'currentColor' : 'none'} stroke="currentColor" strokeWidth={liked ? 0 : 1.5} viewBox="0 0 20 20">
                   <path fillRule="evenodd" d="M3.172 5.172a4 4 0 015.656 0L10 6.343l1.172-1.171a4 4 0 115.656 5.656L10 17.657l-6.828-6.829a4 4 0 010-5.656z" clipRule="evenodd" />
                 </svg>
                 <span>{likes}</span>
-              </div>
+              </button>
             </div>
           </div>
         </div>
@@ -129,24 +220,37 @@ const CommentItem = ({ comment, blogId, onReplySuccess, level = 0 }) => {
       </div>
 
       {/* Render Replies */}
-      {comment.replies && comment.replies.length > 0 && (
+      {replies.length > 0 && (
         <div className="mt-4">
-          {comment.replies.map((reply) => (
+          {replies.map((reply) => (
             <CommentItem
               key={reply._id}
               comment={reply}
               blogId={blogId}
               onReplySuccess={onReplySuccess}
-              level={level + 1}
+              likedComments={likedComments}
+              level={depth + 1}
             />
           ))}
         </div>
       )}
+
+      {hasMoreReplies && (
+        <button
+          onClick={loadMoreReplies}
+          disabled={isLoadingReplies}
+          className="ml-4 sm:ml-8 mt-3 text-sm font-medium text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 disabled:opacity-50"
+        >
+          {isLoadingReplies
+            ? 'Loading replies...'
+            : `Show more replies (${comment.replyCount - replies.length})`}
+        </button>
+      )}
     </motion.div>
   );
 };
 
-const CommentList = ({ blogId }) => {
+const CommentList = ({ blogId, likedComments = NO_LIKED_COMMENTS }) => {
   const [comments, setComments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -166,6 +270,7 @@ const CommentList = ({ blogId }) => {
       const response = await CommentService.getBlogComments(blogId, { 
         page, 
         limit: 10,
+        repliesLimit: REPLIES_PAGE_SIZE,
         status: 'approved' // Only fetch approved comments for public view
       });
 
@@ -273,6 +378,7 @@ const CommentList = ({ blogId }) => {
               comment={comment}
               blogId={blogId}
               onReplySuccess={handleCommentSuccess}
+              likedComments={likedComments}
             />
           ))}
         </div>
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Series Navigation - Table of contents and previous/next links for a post in a series
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { FiLayers, FiChevronDown, FiChevronUp, FiArrowLeft, FiArrowRight } from 'react-icons/fi';
+
+/**
+ * Series Navigation Component
+ * @param {Object} props - Component props
+ * @param {Object} props.series - Series reader view ({ title, slug, posts: [{ title, slug }] })
+ * @param {string} props.currentSlug - Slug of the post being read
+ * @param {boolean} props.isDark - Dark theme flag
+ * @param {string} [props.variant='contents'] - 'contents' for the table of contents, 'pager' for previous/next links
+ * @returns {JSX.Element|null} Series navigation, or null when the post is not in the series list
+ */
+export default function SeriesNavigation({ series, currentSlug, isDark, variant = 'contents' }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const index = series?.posts?.findIndex(post => post.slug === currentSlug) ?? -1;
+
+  if (index === -1) {
+    return null;
+  }
+
+  const previous = series.posts[index - 1];
+  const next = series.posts[index + 1];
+
+  if (variant === 'pager') {
+    if (!previous && !next) {
+      return null;
+    }
+
+    const linkClass = `flex-1 p-4 rounded-lg border transition-colors ${
+      isDark
+        ? 'bg-gray-800 border-gray-700 hover:border-blue-500/50'
+        : 'bg-white border-gray-200 hover:border-blue-300'
+    }`;
+    const labelClass = `flex items-center space-x-1 text-xs font-mono mb-1 ${isDark ? 'text-gray-400' : 'text-gray-600'}`;
+    const titleClass = `font-medium ${isDark ? 'text-white' : 'text-gray-900'}`;
+
+    return (
+      <nav aria-label={`${series.title} navigation`} className="flex flex-col sm:flex-row gap-4">
+        {previous ? (
+          <Link href={`/blog/${previous.slug}`} className={linkClass}>
+            <span className={labelClass}>
+              <FiArrowLeft className="w-3 h-3" />
+              <span>Part {index}</span>
+            </span>
+            <span className={titleClass}>{previous.title}</span>
+          </Link>
+        ) : <div className="flex-1 hidden sm:block" />}
+        {next ? (
+          <Link href={`/blog/${next.slug}`} className={`${linkClass} sm:text-right`}>
+            <span className={`${labelClass} sm:justify-end`}>
+              <span>Part {index + 2}</span>
+              <FiArrowRight className="w-3 h-3" />
+            </span>
+            <span className={titleClass}>{next.title}</span>
+          </Link>
+        ) : <div className="flex-1 hidden sm:block" />}
+      </nav>
+    );
+  }
+
+  return (
+    <div className={`rounded-lg border ${isDark ? 'bg-gray-800/50 border-gray-700' : 'bg-gray-50 border-gray-200'}`}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+        className="w-full flex items-center justify-between p-4 text-left"
+      >
+        <span className="flex items-center space-x-3">
+          <FiLayers className={`w-5 h-5 flex-shrink-0 ${isDark ? 'text-blue-400' : 'text-blue-600'}`} />
+          <span>
+            <span className={`block text-xs font-mono ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+              Part {index + 1} of {series.posts.length}
+            </span>
+            <span className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>{series.title}</span>
+          </span>
+        </span>
+        {isOpen
+          ? <FiChevronUp className={isDark ? 'text-gray-400' : 'text-gray-600'} />
+          : <FiChevronDown className={isDark ? 'text-gray-400' : 'text-gray-600'} />}
+      </button>
+
+      {isOpen && (
+        <div className={`px-4 pb-4 border-t ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
+          <ol className="mt-3 space-y-2">
+            {series.posts.map((post, postIndex) => (
+              <li key={post.slug} className="flex items-baseline space-x-3 text-sm">
+                <span className={`font-mono ${isDark ? 'text-gray-500' : 'text-gray-400'}`}>{postIndex + 1}.</span>
+                {postIndex === index ? (
+                  <span aria-current="page" className={`font-medium ${isDark ? 'text-blue-400' : 'text-blue-600'}`}>
+                    {post.title}
+                  </span>
+                ) : (
+                  <Link
+                    href={`/blog/${post.slug}`}
+                    className={isDark ? 'text-gray-300 hover:text-white' : 'text-gray-700 hover:text-gray-900'}
+                  >
+                    {post.title}
+                  </Link>
+                )}
+              </li>
+            ))}
+          </ol>
+          <Link
+            href={`/blog/series/${series.slug}`}
+            className={`inline-block mt-4 text-xs font-mono ${isDark ? 'text-blue-400 hover:text-blue-300' : 'text-blue-600 hover:text-blue-800'}`}
+          >
+            View the whole series →
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -6,4 +6,7 @@
  */
 
 export { default as CommentForm } from './CommentForm';
-export { default as CommentList } from './CommentList';
\ No newline at end of file
+export { default as CommentList } from './CommentList';
+export { default as BlogSearchBox } from './BlogSearchBox';
+export { default as SeriesNavigation } from './SeriesNavigation';
+
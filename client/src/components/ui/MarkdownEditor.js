@@ -5,7 +5,7 @@
  * @version 1.0.0
  */
 
-import { useState, useMemo } from 'react';
+import { useState, useMemo, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
@@ -24,8 +24,11 @@ import {
   FiList,
   FiCode,
   FiImage,
-  FiBookOpen
+  FiBookOpen,
+  FiUploadCloud
 } from 'react-icons/fi';
+import { useMarkdownImageUpload } from '../../hooks/useMarkdownImageUpload';
+import { getResponsiveImageProps } from '../../utils/image-utils';
 
 /**
  * Markdown Editor Component with Live Preview
@@ -39,6 +42,7 @@ import {
  * @param {string} props.error - Error message
  * @param {boolean} props.required - Whether field is required
  * @param {string} props.className - Additional CSS classes
+ * @param {boolean} props.enableImageUpload - Allow dropping, pasting and picking images to upload
  * @returns {JSX.Element} Markdown editor component
  */
 export default function MarkdownEditor({
@@ -50,10 +54,20 @@ export default function MarkdownEditor({
   label = 'Description',
   error = '',
   required = false,
-  className = ''
+  className = '',
+  enableImageUpload = false
 }) {
   const [isPreviewMode, setIsPreviewMode] = useState(false);
   const [showSyntaxHints, setShowSyntaxHints] = useState(false);
+  const textareaRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  const imageUpload = useMarkdownImageUpload({
+    textareaRef,
+    value,
+    onChange,
+    enabled: enableImageUpload && !isPreviewMode
+  });
 
   // Memoized markdown rendering for performance
   const renderedMarkdown = useMemo(() => {
@@ -174,8 +188,9 @@ export default function MarkdownEditor({
           img: ({ src, alt }) => (
             <div className="mb-6">
               <img
-                src={src}
+                {...getResponsiveImageProps(src)}
                 alt={alt}
+                loading="lazy"
                 className="rounded-lg max-w-full h-auto border border-gray-600 shadow-lg mx-auto"
               />
               {alt && (
@@ -215,7 +230,7 @@ export default function MarkdownEditor({
     { icon: FiLink, syntax: '[Link text](URL)', description: 'Links' },
     { icon: FiList, syntax: '- Item 1\n- Item 2', description: 'Lists' },
     { icon: FiCode, syntax: '`code` or ```js\\ncode block\\n```', description: 'Code' },
-    { icon: FiImage, syntax: '![Alt text](image-url)', description: 'Images' },
+    { icon: FiImage, syntax: '![Alt text](image-url)', description: enableImageUpload ? 'Images (or drop / paste an image to upload)' : 'Images' },
   ];
 
   return (
@@ -227,6 +242,29 @@ export default function MarkdownEditor({
         </label>
         
         <div className="flex items-center space-x-2">
+          {/* Image Upload */}
+          {enableImageUpload && (
+            <>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept={imageUpload.acceptedTypes}
+                multiple
+                onChange={imageUpload.onFileInputChange}
+                className="hidden"
+              />
+              <button
+                type="button"
+                onClick={() => fileInputRef.current?.click()}
+                disabled={isPreviewMode}
+                className="flex items-center space-x-1 px-2 py-1 bg-green-500/10 text-green-400 rounded text-xs font-mono hover:bg-green-500/20 transition-colors duration-200 disabled:opacity-50"
+              >
+                <FiImage className="w-3 h-3" />
+                <span>{imageUpload.isUploading ? 'Uploading...' : 'Image'}</span>
+              </button>
+            </>
+          )}
+
           {/* Syntax Hints Toggle */}
           <button
             type="button"
@@ -306,8 +344,10 @@ export default function MarkdownEditor({
           {!isPreviewMode ? (
             /* Edit Mode */
             <textarea
+              ref={textareaRef}
               value={value}
               onChange={(e) => onChange(e.target.value)}
+              {...imageUpload.textareaProps}
               rows={rows}
               maxLength={maxLength}
               placeholder={placeholder}
@@ -333,6 +373,16 @@ export default function MarkdownEditor({
           )}
         </div>
 
+        {/* Drop target overlay */}
+        {imageUpload.isDragging && (
+          <div className="absolute inset-0 flex items-center justify-center rounded-lg border-2 border-dashed border-green-500 bg-black/70 pointer-events-none">
+            <div className="flex items-center space-x-2 text-green-400 font-mono text-sm">
+              <FiUploadCloud className="w-5 h-5" />
+              <span>Drop image to upload</span>
+            </div>
+          </div>
+        )}
+
         {/* Character Count & Error */}
         <div className="flex justify-between items-center mt-2">
           {error && (
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Blog Autosave Hook - Periodic draft autosave with offline fallback and recovery
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import BlogService from '../services/blog-service';
+import { saveLocalDraft, getLocalDraft, deleteLocalDraft } from '../utils/draft-storage';
+
+const AUTOSAVE_INTERVAL = 15000;
+
+/**
+ * Whether a saved draft differs from what the editor currently shows
+ * @param {Object} draftData - Draft fields
+ * @param {Object} formData - Current editor state
+ * @returns {boolean} True when restoring would change something
+ */
+const differsFromForm = (draftData, formData) => {
+  return Object.keys(draftData || {}).some(
+    field => JSON.stringify(draftData[field]) !== JSON.stringify(formData[field])
+  );
+};
+
+/**
+ * Custom hook that autosaves editor state to the server, falls back to
+ * IndexedDB when the server can't be reached (offline, expired session) and
+ * offers the newest unsaved draft back when the editor is reopened.
+ * @param {Object} options - Hook options
+ * @param {string} options.draftKey - Blog ID, or 'new' for the create page
+ * @param {Object} options.formData - Current editor state
+ * @param {boolean} options.enabled - False until the editor holds its initial data
+ * @param {string} [options.baseUpdatedAt] - updatedAt of the blog being edited
+ * @param {string} [options.userId] - Current user, so drafts aren't shared between accounts
+ * @returns {Object} Autosave status and recovery controls
+ */
+export const useBlogAutosave = ({ draftKey, formData, enabled, baseUpdatedAt, userId }) => {
+  const [status, setStatus] = useState('idle');
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+  const [recovery, setRecovery] = useState(null);
+
+  const formDataRef = useRef(formData);
+  const savedSnapshotRef = useRef(null);
+  const recoveryRef = useRef(null);
+  const stoppedRef = useRef(false);
+
+  formDataRef.current = formData;
+  recoveryRef.current = recovery;
+
+  const localKey = `blog:${userId || 'me'}:${draftKey}`;
+
+  // Take the loaded state as the saved baseline and look for unsaved work from a previous session
+  useEffect(() => {
+    if (!enabled || !draftKey) return;
+
+    let cancelled = false;
+    stoppedRef.current = false;
+    savedSnapshotRef.current = JSON.stringify(formDataRef.current);
+
+    const checkForRecovery = async () => {
+      const [serverDraft, localDraft] = await Promise.all([
+        BlogService.getAutosave(draftKey).then(response => response.data).catch(() => null),
+        getLocalDraft(localKey)
+      ]);
+
+      const candidates = [
+        serverDraft && { data: serverDraft.data, savedAt: serverDraft.savedAt, stale: serverDraft.stale, source: 'server' },
+        localDraft && { data: localDraft.data, savedAt: localDraft.savedAt, stale: false, source: 'local' }
+      ]
+        .filter(candidate => candidate && differsFromForm(candidate.data, formDataRef.current))
+        .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
+
+      if (!cancelled && candidates.length > 0) {
+        setRecovery(candidates[0]);
+      }
+    };
+
+    checkForRecovery();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, draftKey, localKey]);
+
+  /**
+   * Save the current editor state if it changed since the last save
+   */
+  const saveNow = useCallback(async () => {
+    // Don't overwrite a recoverable draft before the user has decided what to do with it
+    if (stoppedRef.current || recoveryRef.current || savedSnapshotRef.current === null) return;
+
+    const data = formDataRef.current;
+    const snapshot = JSON.stringify(data);
+    if (snapshot === savedSnapshotRef.current) return;
+
+    setStatus('saving');
+
+    try {
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        throw new Error('Offline');
+      }
+
+      const response = await BlogService.autosave(draftKey, data, baseUpdatedAt);
+      savedSnapshotRef.current = snapshot;
+      setLastSavedAt(response.data.savedAt);
+      setStatus('saved');
+      deleteLocalDraft(localKey);
+    } catch (error) {
+      // Keep a local copy and leave the snapshot alone so the next tick retries the server
+      try {
+        const record = await saveLocalDraft(localKey, data);
+        setLastSavedAt(record?.savedAt || null);
+        setStatus(record ? 'offline' : 'error');
+      } catch (storageError) {
+        console.error('[BlogAutosave] Failed to save draft locally:', storageError);
+        setStatus('error');
+      }
+    }
+  }, [draftKey, baseUpdatedAt, localKey]);
+
+  // Periodic autosave plus a save whenever the connection comes back or the tab is hidden
+  useEffect(() => {
+    if (!enabled) return;
+
+    const interval = setInterval(saveNow, AUTOSAVE_INTERVAL);
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') saveNow();
+    };
+
+    window.addEventListener('online', saveNow);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('online', saveNow);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [enabled, saveNow]);
+
+  /**
+   * Accept the recovered draft
+   * @returns {Object|null} Draft fields to merge into the editor state
+   */
+  const restoreRecovery = () => {
+    const data = recovery?.data || null;
+    setRecovery(null);
+    return data;
+  };
+
+  /**
+   * Throw the recovered draft away
+   */
+  const dismissRecovery = () => {
+    setRecovery(null);
+    BlogService.discardAutosave(draftKey).catch(() => {});
+    deleteLocalDraft(localKey);
+  };
+
+  /**
+   * Stop autosaving and drop the local copy; call after the post was saved for real
+   */
+  const clearDraft = () => {
+    stoppedRef.current = true;
+    deleteLocalDraft(localKey);
+  };
+
+  return {
+    status,
+    lastSavedAt,
+    recovery,
+    saveNow,
+    restoreRecovery,
+    dismissRecovery,
+    clearDraft
+  };
+};
+
+export default useBlogAutosave;
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Markdown Image Upload Hook - Drag-and-drop and paste image upload for markdown textareas
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+import { useState, useRef, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import MediaService from '../services/media-service';
+
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Turn a file name into readable alt text ("my-diagram_v2.png" -> "my diagram v2")
+ * @param {string} fileName - File name
+ * @returns {string} Alt text suggestion
+ */
+const altFromFileName = (fileName = '') => {
+  const base = fileName.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ').trim();
+  // Pasted screenshots are all called "image"; that says nothing about the picture
+  return base && base.toLowerCase() !== 'image' ? base : '';
+};
+
+/**
+ * Custom hook adding image upload to a markdown textarea. Dropped, pasted or
+ * picked images are uploaded and inserted at the cursor as `![alt](url)`.
+ * @param {Object} options - Hook options
+ * @param {Object} options.textareaRef - Ref to the textarea
+ * @param {string} options.value - Current markdown
+ * @param {Function} options.onChange - Called with the new markdown string
+ * @param {boolean} [options.enabled=true] - Turn uploads off without unmounting
+ * @returns {Object} Upload state, textarea handlers and a file picker handler
+ */
+export const useMarkdownImageUpload = ({ textareaRef, value, onChange, enabled = true }) => {
+  const [isDragging, setIsDragging] = useState(false);
+  const [uploadCount, setUploadCount] = useState(0);
+
+  // Uploads finish after further typing, so placeholders are swapped in the latest value
+  const valueRef = useRef(value);
+  const placeholderIdRef = useRef(0);
+  valueRef.current = value;
+
+  /**
+   * Insert text at the textarea cursor (or the end when it has no focus)
+   * @param {string} text - Text to insert
+   */
+  const insertAtCursor = useCallback((text) => {
+    const current = valueRef.current || '';
+    const textarea = textareaRef.current;
+    const start = textarea ? textarea.selectionStart : current.length;
+    const end = textarea ? textarea.selectionEnd : current.length;
+
+    const before = current.slice(0, start);
+    const after = current.slice(end);
+    const prefix = before && !before.endsWith('\n') ? '\n' : '';
+    const suffix = after.startsWith('\n') ? '' : '\n';
+
+    const next = `${before}${prefix}${text}${suffix}${after}`;
+    valueRef.current = next;
+    onChange(next);
+
+    if (textarea) {
+      const cursor = before.length + prefix.length + text.length + suffix.length;
+      requestAnimationFrame(() => textarea.setSelectionRange(cursor, cursor));
+    }
+  }, [textareaRef, onChange]);
+
+  /**
+   * Swap a placeholder for its final text
+   * @param {string} placeholder - Placeholder inserted before the upload
+   * @param {string} replacement - Final text ('' removes the placeholder line)
+   */
+  const replacePlaceholder = useCallback((placeholder, replacement) => {
+    const current = valueRef.current || '';
+    const next = replacement
+      ? current.replace(placeholder, () => replacement)
+      : current.replace(`${placeholder}\n`, '').replace(placeholder, '');
+    valueRef.current = next;
+    onChange(next);
+  }, [onChange]);
+
+  /**
+   * Upload image files and insert them into the markdown
+   * @param {FileList|Array<File>} fileList - Files to upload
+   */
+  const uploadFiles = useCallback(async (fileList) => {
+    const files = Array.from(fileList || []).filter(file => ACCEPTED_TYPES.includes(file.type));
+
+    if (files.length === 0) {
+      toast.error('Only JPEG, PNG, GIF and WebP images can be uploaded');
+      return;
+    }
+
+    for (const file of files) {
+      if (file.size > MAX_FILE_SIZE) {
+        toast.error(`${file.name} is larger than 10MB`);
+        continue;
+      }
+
+      const suggested = altFromFileName(file.name);
+      const answer = window.prompt(`Alt text for ${file.name || 'the pasted image'} (describe the image for screen readers)`, suggested);
+      const alt = ((answer ?? suggested) || 'Image').replace(/[[\]]/g, '');
+
+      placeholderIdRef.current += 1;
+      const placeholder = `![Uploading ${alt} #${placeholderIdRef.current}...]()`;
+      insertAtCursor(placeholder);
+      setUploadCount(count => count + 1);
+
+      try {
+        const response = await MediaService.uploadImage(file, alt);
+        replacePlaceholder(placeholder, `![${alt}](${response.data.url})`);
+      } catch (error) {
+        replacePlaceholder(placeholder, '');
+        toast.error(`Failed to upload ${file.name || 'image'}: ${error.message}`);
+      } finally {
+        setUploadCount(count => count - 1);
+      }
+    }
+  }, [insertAtCursor, replacePlaceholder]);
+
+  const hasImageFiles = (dataTransfer) => {
+    return Array.from(dataTransfer?.items || []).some(item => item.kind === 'file' && item.type.startsWith('image/'));
+  };
+
+  const onDragOver = (e) => {
+    if (!enabled || !hasImageFiles(e.dataTransfer)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setIsDragging(true);
+  };
+
+  const onDragLeave = () => setIsDragging(false);
+
+  const onDrop = (e) => {
+    setIsDragging(false);
+    if (!enabled || !e.dataTransfer?.files?.length) return;
+
+    const images = Array.from(e.dataTransfer.files).filter(file => file.type.startsWith('image/'));
+    if (images.length === 0) return;
+
+    e.preventDefault();
+
+    // Put the image where it was dropped rather than at the old cursor position
+    const textarea = textareaRef.current;
+    if (textarea && document.caretPositionFromPoint) {
+      const position = document.caretPositionFromPoint(e.clientX, e.clientY);
+      if (position?.offsetNode === textarea) {
+        textarea.setSelectionRange(position.offset, position.offset);
+      }
+    }
+
+    uploadFiles(images);
+  };
+
+  const onPaste = (e) => {
+    if (!enabled) return;
+
+    const images = Array.from(e.clipboardData?.files || []).filter(file => file.type.startsWith('image/'));
+    if (images.length === 0) return;
+
+    // Only take over pastes that carry an image; plain text pastes stay native
+    e.preventDefault();
+    uploadFiles(images);
+  };
+
+  /**
+   * Change handler for an <input type="file"> picker
+   * @param {Event} e - Change event
+   */
+  const onFileInputChange = (e) => {
+    if (e.target.files?.length) {
+      uploadFiles(e.target.files);
+    }
+    e.target.value = '';
+  };
+
+  /**
+   * Insert an already uploaded image, e.g. one picked from the media library
+   * @param {string} url - Image URL
+   * @param {string} alt - Alt text
+   */
+  const insertImage = (url, alt) => {
+    insertAtCursor(`![${(alt || 'Image').replace(/[[\]]/g, '')}](${url})`);
+  };
+
+  return {
+    isDragging,
+    isUploading: uploadCount > 0,
+    acceptedTypes: ACCEPTED_TYPES.join(','),
+    textareaProps: enabled ? { onDragOver, onDragLeave, onDrop, onPaste } : {},
+    onFileInputChange,
+    uploadFiles,
+    insertImage
+  };
+};
+
+export default useMarkdownImageUpload;
@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Sortable List Hook - Drag-and-drop and keyboard reordering with optimistic saves
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import PortfolioManagementService from '../services/portfolio-management-service';
+
+const KEYBOARD_STEPS = {
+  ArrowUp: -1,
+  ArrowLeft: -1,
+  ArrowDown: 1,
+  ArrowRight: 1
+};
+
+/**
+ * Put a reordered subset back into the full list: the subset's items keep
+ * the slots they already occupy, only their order among those slots changes
+ * @param {Array<Object>} allItems - Full collection
+ * @param {Array<Object>} subset - Some of its items, in their new order
+ * @returns {Array<Object>} Full collection in the new order
+ */
+export const mergeSubsetOrder = (allItems, subset) => {
+  const subsetIds = new Set(subset.map(item => String(item.id)));
+  let next = 0;
+
+  return allItems.map(item => (subsetIds.has(String(item.id)) ? subset[next++] : item));
+};
+
+/**
+ * Custom hook that lets admins reorder a collection by dragging an item's
+ * handle (mouse, touch or pen) or with the keyboard: Space/Enter picks the
+ * item up, arrow keys move it, Space/Enter drops it and Escape cancels.
+ * The new order is shown straight away and saved in the background; if the
+ * save fails the previous order comes back.
+ * @param {Object} options - Hook options
+ * @param {string} options.collection - Collection segment for the reorder endpoint
+ * @param {Array<Object>} options.items - Full collection, in its current order
+ * @param {Function} options.setItems - State setter for the full collection
+ * @param {Array<Object>} [options.visibleItems] - Filtered items the page shows, if not all of them
+ * @param {Function} options.getLabel - Item name for screen reader announcements
+ * @param {Function} [options.onError] - Called with the error when saving fails
+ * @returns {Object} Items to render, prop getters and status
+ */
+export const useSortableList = ({ collection, items, setItems, visibleItems = items, getLabel, onError }) => {
+  const [draft, setDraft] = useState(null);
+  const [activeId, setActiveId] = useState(null);
+  const [mode, setMode] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [announcement, setAnnouncement] = useState('');
+
+  const draftRef = useRef(null);
+  const handleRefs = useRef(new Map());
+
+  draftRef.current = draft;
+
+  const visibleIds = visibleItems.map(item => String(item.id));
+  const byId = new Map(visibleItems.map(item => [String(item.id), item]));
+  const orderedItems = draft ? draft.map(id => byId.get(id)).filter(Boolean) : visibleItems;
+
+  // Moving the item re-inserts its DOM node, which drops keyboard focus
+  useEffect(() => {
+    if (mode === 'keyboard' && activeId) {
+      handleRefs.current.get(activeId)?.focus();
+    }
+  }, [draft, mode, activeId]);
+
+  const describe = (id, order) => {
+    const item = byId.get(id);
+    return `${item ? getLabel(item) : 'Item'}, position ${order.indexOf(id) + 1} of ${order.length}`;
+  };
+
+  const save = async (orderedVisible) => {
+    const previous = items;
+    const next = mergeSubsetOrder(items, orderedVisible).map((item, index) => ({ ...item, order: index }));
+
+    setItems(next);
+    setIsSaving(true);
+
+    try {
+      await PortfolioManagementService.reorderItems(collection, next.map(item => String(item.id)));
+    } catch (error) {
+      console.error(`[useSortableList] Failed to save ${collection} order:`, error);
+      setItems(previous);
+      setAnnouncement('Order could not be saved and was restored');
+      onError?.(error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const start = (id, nextMode) => {
+    setDraft(visibleIds);
+    setActiveId(id);
+    setMode(nextMode);
+  };
+
+  const moveTo = (id, index) => {
+    setDraft(prev => {
+      const next = prev.filter(otherId => otherId !== id);
+      next.splice(Math.max(0, Math.min(index, next.length)), 0, id);
+      return next;
+    });
+  };
+
+  const finish = (commit) => {
+    const final = draftRef.current;
+    const id = activeId;
+
+    setDraft(null);
+    setActiveId(null);
+    setMode(null);
+
+    if (!final || !id) return;
+
+    if (commit && final.some((otherId, index) => otherId !== visibleIds[index])) {
+      setAnnouncement(`Dropped. ${describe(id, final)}`);
+      save(final.map(otherId => byId.get(otherId)).filter(Boolean));
+    } else {
+      setAnnouncement(commit ? `Dropped. ${describe(id, visibleIds)}` : 'Reorder cancelled');
+    }
+  };
+
+  const handleKeyDown = (e, id) => {
+    if (e.key === ' ' || e.key === 'Enter') {
+      e.preventDefault();
+
+      if (activeId === id) {
+        finish(true);
+      } else if (!isSaving) {
+        start(id, 'keyboard');
+        setAnnouncement(`Picked up ${describe(id, visibleIds)}. Use the arrow keys to move, Space to drop, Escape to cancel.`);
+      }
+      return;
+    }
+
+    if (activeId !== id || mode !== 'keyboard') return;
+
+    const current = draftRef.current;
+    const index = current.indexOf(id);
+    let target = null;
+
+    if (KEYBOARD_STEPS[e.key]) {
+      target = index + KEYBOARD_STEPS[e.key];
+    } else if (e.key === 'Home') {
+      target = 0;
+    } else if (e.key === 'End') {
+      target = current.length - 1;
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      finish(false);
+      return;
+    } else if (e.key === 'Tab') {
+      finish(true);
+      return;
+    }
+
+    if (target === null) return;
+
+    e.preventDefault();
+    if (target < 0 || target >= current.length || target === index) return;
+
+    const next = current.filter(otherId => otherId !== id);
+    next.splice(target, 0, id);
+    setDraft(next);
+    setAnnouncement(describe(id, next));
+  };
+
+  const handlePointerMove = (e, id) => {
+    if (mode !== 'pointer' || activeId !== id) return;
+
+    const over = document.elementFromPoint(e.clientX, e.clientY)?.closest('[data-sortable-id]');
+    const overId = over?.getAttribute('data-sortable-id');
+    if (!overId || overId === id) return;
+
+    const index = draftRef.current.indexOf(overId);
+    if (index !== -1) {
+      moveTo(id, index);
+    }
+  };
+
+  /**
+   * Props for an item's outer element
+   * @param {Object} item - Collection item
+   * @returns {Object} Props
+   */
+  const getItemProps = (item) => ({
+    'data-sortable-id': String(item.id)
+  });
+
+  /**
+   * Props for an item's drag handle button
+   * @param {Object} item - Collection item
+   * @returns {Object} Props
+   */
+  const getHandleProps = (item) => {
+    const id = String(item.id);
+
+    return {
+      type: 'button',
+      ref: (node) => {
+        if (node) handleRefs.current.set(id, node);
+        else handleRefs.current.delete(id);
+      },
+      disabled: isSaving,
+      'aria-label': `Reorder ${getLabel(item)}`,
+      'aria-pressed': activeId === id,
+      title: 'Drag, or press Space and use the arrow keys, to reorder',
+      style: { touchAction: 'none' },
+      onKeyDown: (e) => handleKeyDown(e, id),
+      onPointerDown: (e) => {
+        if (isSaving || e.button !== 0 || activeId) return;
+        e.preventDefault();
+        e.currentTarget.setPointerCapture(e.pointerId);
+        start(id, 'pointer');
+      },
+      onPointerMove: (e) => handlePointerMove(e, id),
+      onPointerUp: () => {
+        if (mode === 'pointer' && activeId === id) finish(true);
+      },
+      onPointerCancel: () => {
+        if (mode === 'pointer' && activeId === id) finish(false);
+      }
+    };
+  };
+
+  return {
+    orderedItems,
+    activeId,
+    isSaving,
+    announcement,
+    getItemProps,
+    getHandleProps
+  };
+};
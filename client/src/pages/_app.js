@@ -20,7 +20,7 @@ export default function MyApp({ Component, pageProps }) {
           <RouterPageLoader />
           
           {Component.requireAuth ? (
-            <AdminProtectedRoute>
+            <AdminProtectedRoute permission={Component.requiredPermission}>
               <Component {...pageProps} />
             </AdminProtectedRoute>
           ) : (
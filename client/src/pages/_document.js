@@ -28,7 +28,12 @@ export default function Document() {
         <link rel="icon" type="image/png" href="/favicon.png" />
         <link rel="apple-touch-icon" href="/apple-touch-icon.png" />
         <link rel="manifest" href="/manifest.json" />
-        
+
+        {/* Blog feeds */}
+        <link rel="alternate" type="application/rss+xml" title="Blog (RSS)" href="/feed.xml" />
+        <link rel="alternate" type="application/atom+xml" title="Blog (Atom)" href="/atom.xml" />
+        <link rel="alternate" type="application/feed+json" title="Blog (JSON Feed)" href="/feed.json" />
+
         {/* Preconnect to external domains for performance */}
         <link rel="preconnect" href="https://fonts.googleapis.com" />
         <link rel="preconnect" href="https://fonts.gstatic.com" crossOrigin="anonymous" />
@@ -233,6 +233,7 @@ export default function AdminBlogPage() {
   const getStatusBadge = (status) => {
     const statusClasses = {
       published: 'bg-green-500/20 text-green-400 border-green-500/40',
+      scheduled: 'bg-blue-500/20 text-blue-400 border-blue-500/40',
       draft: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/40',
       archived: 'bg-gray-500/20 text-gray-400 border-gray-500/40'
     };
@@ -252,6 +253,20 @@ export default function AdminBlogPage() {
     });
   };
 
+  /**
+   * Format date with time, used for scheduled publish times
+   * @param {string} dateString - Date string
+   * @returns {string} Formatted date and time
+   */
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
   if (loading || !isAuthenticated) {
     return (
       <div className="min-h-screen bg-black flex items-center justify-center">
@@ -323,13 +338,22 @@ export default function AdminBlogPage() {
                   </p>
                 </div>
               </div>
-              <Link 
-                href="/admin/blog/create"
-                className="flex items-center justify-center space-x-2 px-3 py-2 sm:px-4 sm:py-2 bg-gradient-to-r from-green-500/20 to-green-600/20 hover:from-green-500/30 hover:to-green-600/30 border border-green-500/40 hover:border-green-500/60 rounded-lg text-green-300 hover:text-green-200 font-mono font-medium transition-all duration-300 group text-sm sm:text-base"
-              >
-                <FiPlus className="w-4 h-4 group-hover:animate-pulse flex-shrink-0" />
-                <span>CREATE_POST</span>
-              </Link>
+              <div className="flex space-x-2">
+                <Link 
+                  href="/admin/blog/categories"
+                  className="flex-1 sm:flex-none flex items-center justify-center space-x-2 px-3 py-2 sm:px-4 sm:py-2 bg-green-500/10 hover:bg-green-500/20 border border-green-500/20 hover:border-green-500/40 rounded-lg text-green-400 hover:text-green-300 font-mono font-medium transition-all duration-300 text-sm sm:text-base"
+                >
+                  <FiTag className="w-4 h-4 flex-shrink-0" />
+                  <span>CATEGORIES</span>
+                </Link>
+                <Link 
+                  href="/admin/blog/create"
+                  className="flex-1 sm:flex-none flex items-center justify-center space-x-2 px-3 py-2 sm:px-4 sm:py-2 bg-gradient-to-r from-green-500/20 to-green-600/20 hover:from-green-500/30 hover:to-green-600/30 border border-green-500/40 hover:border-green-500/60 rounded-lg text-green-300 hover:text-green-200 font-mono font-medium transition-all duration-300 group text-sm sm:text-base"
+                >
+                  <FiPlus className="w-4 h-4 group-hover:animate-pulse flex-shrink-0" />
+                  <span>CREATE_POST</span>
+                </Link>
+              </div>
             </div>
 
             {/* Stats Cards */}
@@ -399,6 +423,7 @@ export default function AdminBlogPage() {
                 >
                   <option value="all">All Status</option>
                   <option value="published">Published</option>
+                  <option value="scheduled">Scheduled</option>
                   <option value="draft">Draft</option>
                   <option value="archived">Archived</option>
                 </select>
@@ -467,6 +492,11 @@ export default function AdminBlogPage() {
                             <span className={`px-2 py-1 rounded text-xs font-mono border ${getStatusBadge(blog.status)}`}>
                               {blog.status.toUpperCase()}
                             </span>
+                            {blog.status === 'scheduled' && blog.publishedAt && (
+                              <div className="text-blue-400 font-mono text-xs mt-2 whitespace-nowrap">
+                                {formatDateTime(blog.publishedAt)}
+                              </div>
+                            )}
                           </td>
                           <td className="p-4">
                             <span className="text-green-400 font-mono text-sm">
@@ -565,6 +595,12 @@ export default function AdminBlogPage() {
                             <FiCalendar className="w-3 h-3" />
                             <span>{formatDate(blog.createdAt)}</span>
                           </div>
+                          {blog.status === 'scheduled' && blog.publishedAt && (
+                            <div className="flex items-center space-x-1 text-blue-400">
+                              <FiClock className="w-3 h-3" />
+                              <span>{formatDateTime(blog.publishedAt)}</span>
+                            </div>
+                          )}
                         </div>
                       </div>
 
@@ -0,0 +1,436 @@
+/**
+ * @fileoverview Admin Blog Categories Page - Create, edit, rename, merge and delete categories
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import Link from 'next/link';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import * as FeatherIcons from 'react-icons/fi';
+import {
+  FiArrowLeft,
+  FiPlus,
+  FiEdit3,
+  FiTrash2,
+  FiGitMerge,
+  FiSave,
+  FiX
+} from 'react-icons/fi';
+import { useAuth } from '../../../context/AuthContext';
+import BlogService from '../../../services/blog-service';
+
+const EMPTY_FORM = {
+  name: '',
+  slug: '',
+  description: '',
+  color: '#3b82f6',
+  icon: 'FiFolder',
+  order: 0
+};
+
+const inputClassName = 'w-full p-2 bg-black/40 border border-green-500/20 rounded-lg text-green-300 placeholder-green-600 font-mono text-sm focus:outline-none focus:border-green-500/40 transition-colors';
+
+/**
+ * Category icon by react-icons/fi name, falling back to a folder
+ * @param {Object} props - Component props
+ * @param {string} props.name - Icon name, e.g. "FiCode"
+ * @param {string} [props.color] - Icon color
+ * @returns {JSX.Element} Icon
+ */
+function CategoryIcon({ name, color }) {
+  const Icon = FeatherIcons[name] || FeatherIcons.FiFolder;
+  return <Icon className="w-4 h-4 flex-shrink-0" style={{ color }} />;
+}
+
+/**
+ * Admin Blog Categories Page Component
+ * @function AdminBlogCategoriesPage
+ * @returns {JSX.Element} Category management page
+ */
+export default function AdminBlogCategoriesPage() {
+  const router = useRouter();
+  const { isAuthenticated, loading, hasPermission } = useAuth();
+
+  const [categories, setCategories] = useState([]);
+  const [categoriesLoading, setCategoriesLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [mergingId, setMergingId] = useState(null);
+  const [mergeTarget, setMergeTarget] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const canDelete = hasPermission('blog:delete');
+
+  const fadeInUp = {
+    hidden: { opacity: 0, y: 20 },
+    visible: { opacity: 1, y: 0 }
+  };
+
+  // Redirect if not authenticated
+  useEffect(() => {
+    if (!loading && !isAuthenticated) {
+      router.push('/admin/login');
+    }
+  }, [isAuthenticated, loading, router]);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadCategories();
+    }
+  }, [isAuthenticated]);
+
+  /**
+   * Load categories with post counts
+   */
+  const loadCategories = async () => {
+    try {
+      setCategoriesLoading(true);
+      const response = await BlogService.getAllCategories();
+      setCategories(response.data);
+    } catch (error) {
+      console.error('[AdminCategories] Error loading categories:', error);
+      toast.error('Failed to load categories');
+    } finally {
+      setCategoriesLoading(false);
+    }
+  };
+
+  /**
+   * Open the form for a new category, or for editing an existing one
+   * @param {Object|null} category - Category to edit, or null to create
+   */
+  const openForm = (category) => {
+    setMergingId(null);
+    setEditingId(category ? category._id : 'new');
+    setForm(category
+      ? {
+          name: category.name,
+          slug: category.slug,
+          description: category.description || '',
+          color: category.color,
+          icon: category.icon,
+          order: category.order
+        }
+      : { ...EMPTY_FORM, order: categories.length });
+  };
+
+  const closeForm = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: name === 'order' ? Number(value) : value }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const existing = categories.find(category => category._id === editingId);
+    if (existing && form.slug !== existing.slug && !confirm(
+      `Rename "${existing.slug}" to "${form.slug}"? ${existing.postCount} published post${existing.postCount === 1 ? '' : 's'}, drafts and subscriber preferences will be updated.`
+    )) {
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+
+      if (existing) {
+        const response = await BlogService.updateCategory(existing._id, form);
+        const { renamed } = response.data;
+        toast.success(renamed
+          ? `Category renamed · ${renamed.posts} posts, ${renamed.subscribers} subscribers updated`
+          : 'Category saved');
+      } else {
+        await BlogService.createCategory({ ...form, slug: form.slug || undefined });
+        toast.success('Category created');
+      }
+
+      closeForm();
+      loadCategories();
+    } catch (error) {
+      console.error('[AdminCategories] Error saving category:', error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleMerge = async (category) => {
+    const target = categories.find(item => item._id === mergeTarget);
+    if (!target || !confirm(
+      `Merge "${category.name}" into "${target.name}"? Its posts and subscribers move to ${target.name} and "${category.name}" is deleted.`
+    )) {
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      const response = await BlogService.mergeCategory(category._id, target._id);
+      toast.success(response.message);
+      setMergingId(null);
+      setMergeTarget('');
+      loadCategories();
+    } catch (error) {
+      console.error('[AdminCategories] Error merging category:', error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (category) => {
+    if (!confirm(`Delete "${category.name}"?`)) {
+      return;
+    }
+
+    try {
+      await BlogService.deleteCategory(category._id);
+      toast.success('Category deleted');
+      loadCategories();
+    } catch (error) {
+      console.error('[AdminCategories] Error deleting category:', error);
+    }
+  };
+
+  if (loading || !isAuthenticated) {
+    return (
+      <div className="min-h-screen bg-black flex items-center justify-center">
+        <div className="text-green-400 font-mono">LOADING_MODULE...</div>
+      </div>
+    );
+  }
+
+  const renderForm = () => (
+    <form onSubmit={handleSave} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div>
+        <label htmlFor="name" className="block text-green-400 font-mono text-xs mb-1">NAME *</label>
+        <input id="name" name="name" value={form.name} onChange={handleChange} required maxLength={50} className={inputClassName} />
+      </div>
+      <div>
+        <label htmlFor="slug" className="block text-green-400 font-mono text-xs mb-1">SLUG</label>
+        <input
+          id="slug"
+          name="slug"
+          value={form.slug}
+          onChange={handleChange}
+          placeholder={editingId === 'new' ? 'Generated from the name' : undefined}
+          pattern="[a-z0-9]+(-[a-z0-9]+)*"
+          className={inputClassName}
+        />
+      </div>
+      <div className="md:col-span-2">
+        <label htmlFor="description" className="block text-green-400 font-mono text-xs mb-1">DESCRIPTION</label>
+        <textarea id="description" name="description" value={form.description} onChange={handleChange} rows={2} maxLength={300} className={inputClassName} />
+      </div>
+      <div className="flex space-x-3">
+        <div>
+          <label htmlFor="color" className="block text-green-400 font-mono text-xs mb-1">COLOR</label>
+          <input id="color" name="color" type="color" value={form.color} onChange={handleChange} className="h-10 w-14 bg-black/40 border border-green-500/20 rounded-lg cursor-pointer" />
+        </div>
+        <div className="flex-1">
+          <label htmlFor="icon" className="block text-green-400 font-mono text-xs mb-1">ICON</label>
+          <div className="flex items-center space-x-2">
+            <CategoryIcon name={form.icon} color={form.color} />
+            <input id="icon" name="icon" value={form.icon} onChange={handleChange} placeholder="FiCode" className={inputClassName} />
+          </div>
+        </div>
+      </div>
+      <div>
+        <label htmlFor="order" className="block text-green-400 font-mono text-xs mb-1">ORDER</label>
+        <input id="order" name="order" type="number" value={form.order} onChange={handleChange} className={inputClassName} />
+      </div>
+      <div className="md:col-span-2 flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={closeForm}
+          className="flex items-center space-x-2 px-4 py-2 bg-black/40 border border-green-500/20 rounded-lg text-green-600 hover:text-green-400 font-mono text-sm transition-all duration-300"
+        >
+          <FiX className="w-4 h-4" />
+          <span>CANCEL</span>
+        </button>
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="flex items-center space-x-2 px-4 py-2 bg-green-500/10 hover:bg-green-500/20 border border-green-500/20 hover:border-green-500/40 rounded-lg text-green-400 hover:text-green-300 font-mono text-sm transition-all duration-300 disabled:opacity-50"
+        >
+          <FiSave className="w-4 h-4" />
+          <span>{isSaving ? 'SAVING...' : 'SAVE'}</span>
+        </button>
+      </div>
+    </form>
+  );
+
+  return (
+    <>
+      <Head>
+        <title>ADMIN_CORE - Blog Categories</title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Head>
+
+      <div className="min-h-screen bg-black relative overflow-hidden">
+        {/* Cyber Grid Background */}
+        <div className="absolute inset-0 opacity-10">
+          <div className="absolute inset-0" style={{
+            backgroundImage: `
+              linear-gradient(rgba(0, 255, 65, 0.1) 1px, transparent 1px),
+              linear-gradient(90deg, rgba(0, 255, 65, 0.1) 1px, transparent 1px)
+            `,
+            backgroundSize: '20px 20px'
+          }}></div>
+        </div>
+
+        <div className="relative z-10 max-w-5xl mx-auto p-4 sm:p-6 lg:p-8">
+          {/* Header */}
+          <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="flex flex-col space-y-4 sm:flex-row sm:items-start sm:justify-between sm:space-y-0 mb-8"
+          >
+            <div className="flex items-center space-x-3 sm:space-x-4">
+              <Link
+                href="/admin/blog"
+                className="p-2 rounded-lg bg-green-500/10 hover:bg-green-500/20 border border-green-500/20 hover:border-green-500/40 text-green-400 hover:text-green-300 transition-all duration-300 flex-shrink-0"
+              >
+                <FiArrowLeft className="w-4 h-4 sm:w-5 sm:h-5" />
+              </Link>
+              <div className="min-w-0">
+                <h1 className="text-xl sm:text-2xl lg:text-3xl font-mono font-bold text-green-400 tracking-wider truncate">
+                  CATEGORIES
+                </h1>
+                <p className="text-green-600 font-mono text-xs sm:text-sm mt-1">
+                  Renaming or merging updates every post and subscription
+                </p>
+              </div>
+            </div>
+            <button
+              type="button"
+              onClick={() => openForm(null)}
+              className="flex items-center justify-center space-x-2 px-4 py-2 bg-gradient-to-r from-green-500/20 to-green-600/20 hover:from-green-500/30 hover:to-green-600/30 border border-green-500/40 hover:border-green-500/60 rounded-lg text-green-300 hover:text-green-200 font-mono font-medium transition-all duration-300"
+            >
+              <FiPlus className="w-4 h-4" />
+              <span>NEW_CATEGORY</span>
+            </button>
+          </motion.div>
+
+          {editingId === 'new' && (
+            <motion.div
+              variants={fadeInUp}
+              initial="hidden"
+              animate="visible"
+              className="bg-gradient-to-br from-gray-900/50 to-black/50 backdrop-blur-xl rounded-xl border border-green-500/20 p-6 mb-6"
+            >
+              <h2 className="text-green-400 font-mono text-sm font-medium mb-4">NEW_CATEGORY</h2>
+              {renderForm()}
+            </motion.div>
+          )}
+
+          {categoriesLoading ? (
+            <div className="text-center py-12 text-green-400 font-mono">LOADING_CATEGORIES...</div>
+          ) : categories.length === 0 ? (
+            <div className="text-center py-12 text-green-600 font-mono">
+              No categories yet. Run <code>node migrate-categories.js</code> on the server to import the defaults.
+            </div>
+          ) : (
+            <ul className="space-y-3">
+              {categories.map(category => (
+                <motion.li
+                  key={category._id}
+                  variants={fadeInUp}
+                  initial="hidden"
+                  animate="visible"
+                  className="bg-gradient-to-br from-gray-900/50 to-black/50 backdrop-blur-xl rounded-xl border border-green-500/20 p-4"
+                >
+                  {editingId === category._id ? renderForm() : (
+                    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                      <div className="flex items-start space-x-3 min-w-0">
+                        <CategoryIcon name={category.icon} color={category.color} />
+                        <div className="min-w-0">
+                          <div className="flex items-center flex-wrap gap-2">
+                            <span className="text-green-300 font-mono font-medium">{category.name}</span>
+                            <span className="text-green-600 font-mono text-xs">/{category.slug}</span>
+                            <span className="px-2 py-0.5 rounded bg-green-500/10 text-green-500 font-mono text-xs">
+                              {category.postCount} post{category.postCount === 1 ? '' : 's'}
+                            </span>
+                          </div>
+                          {category.description && (
+                            <p className="text-green-600 font-mono text-xs mt-1">{category.description}</p>
+                          )}
+                        </div>
+                      </div>
+
+                      <div className="flex items-center space-x-2 flex-shrink-0">
+                        <button
+                          type="button"
+                          onClick={() => openForm(category)}
+                          title="Edit"
+                          className="p-2 rounded-lg bg-green-500/10 hover:bg-green-500/20 border border-green-500/20 text-green-400 transition-all duration-300"
+                        >
+                          <FiEdit3 className="w-4 h-4" />
+                        </button>
+                        {canDelete && (
+                          <>
+                            <button
+                              type="button"
+                              onClick={() => {
+                                setMergingId(mergingId === category._id ? null : category._id);
+                                setMergeTarget('');
+                              }}
+                              title="Merge into another category"
+                              className="p-2 rounded-lg bg-blue-500/10 hover:bg-blue-500/20 border border-blue-500/20 text-blue-400 transition-all duration-300"
+                            >
+                              <FiGitMerge className="w-4 h-4" />
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => handleDelete(category)}
+                              title={category.postCount > 0 ? 'Merge it into another category first' : 'Delete'}
+                              disabled={category.postCount > 0}
+                              className="p-2 rounded-lg bg-red-500/10 hover:bg-red-500/20 border border-red-500/20 text-red-400 transition-all duration-300 disabled:opacity-40 disabled:cursor-not-allowed"
+                            >
+                              <FiTrash2 className="w-4 h-4" />
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </div>
+                  )}
+
+                  {mergingId === category._id && (
+                    <div className="flex flex-col sm:flex-row gap-2 mt-4 pt-4 border-t border-green-500/20">
+                      <select
+                        value={mergeTarget}
+                        onChange={(e) => setMergeTarget(e.target.value)}
+                        className={inputClassName}
+                      >
+                        <option value="">Merge into...</option>
+                        {categories.filter(item => item._id !== category._id).map(item => (
+                          <option key={item._id} value={item._id}>{item.name}</option>
+                        ))}
+                      </select>
+                      <button
+                        type="button"
+                        onClick={() => handleMerge(category)}
+                        disabled={!mergeTarget || isSaving}
+                        className="flex items-center justify-center space-x-2 px-4 py-2 bg-blue-500/10 hover:bg-blue-500/20 border border-blue-500/20 rounded-lg text-blue-400 font-mono text-sm transition-all duration-300 disabled:opacity-50"
+                      >
+                        <FiGitMerge className="w-4 h-4" />
+                        <span>MERGE</span>
+                      </button>
+                    </div>
+                  )}
+                </motion.li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -6,7 +6,7 @@
  * @version 1.0.0
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useRouter } from 'next/router';
 import Head from 'next/head';
 import Link from 'next/link';
@@ -19,7 +19,9 @@ import {
   FiImage,
   FiTag,
   FiCalendar,
+  FiClock,
   FiUser,
+  FiFolder,
   FiEdit3,
   FiBookOpen,
   FiGlobe,
@@ -31,6 +33,11 @@ import {
 import { useAuth } from '../../../context/AuthContext';
 import BlogService from '../../../services/blog-service';
 import BlogPost from '../../../components/blog/BlogPost';
+import AutosaveStatus, { DraftRecoveryPrompt } from '../../../components/admin/AutosaveStatus';
+import useBlogAutosave from '../../../hooks/useBlogAutosave';
+import useMarkdownImageUpload from '../../../hooks/useMarkdownImageUpload';
+import MediaPicker from '../../../components/admin/MediaPicker';
+import SeriesPicker from '../../../components/admin/SeriesPicker';
 
 // Markdown template for new posts
 const MARKDOWN_TEMPLATE = `# Your Post Title
@@ -88,6 +95,8 @@ export default function AdminBlogCreatePage() {
     status: 'draft',
     featured: false,
     sticky: false,
+    series: '',
+    seriesPosition: '',
     seo: {
       metaTitle: '',
       metaDescription: '',
@@ -96,25 +105,31 @@ export default function AdminBlogCreatePage() {
   });
 
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [scheduledFor, setScheduledFor] = useState('');
   const [previewMode, setPreviewMode] = useState(false);
   const [showMarkdownHelp, setShowMarkdownHelp] = useState(false);
   const [errors, setErrors] = useState({});
 
-  // Available categories and tags
-  const availableCategories = [
-    'technology',
-    'web-development',
-    'javascript',
-    'react',
-    'nextjs',
-    'nodejs',
-    'mongodb',
-    'tutorial',
-    'tips',
-    'career',
-    'personal',
-    'general'
-  ];
+  const autosave = useBlogAutosave({
+    draftKey: 'new',
+    formData,
+    enabled: !loading && isAuthenticated,
+    userId: user?._id || user?.id
+  });
+
+  // Image drag-and-drop / paste upload into the content textarea
+  const contentRef = useRef(null);
+  const imageInputRef = useRef(null);
+  const [showMediaPicker, setShowMediaPicker] = useState(false);
+  const contentImageUpload = useMarkdownImageUpload({
+    textareaRef: contentRef,
+    value: formData.content,
+    onChange: (content) => setFormData(prev => ({ ...prev, content })),
+    enabled: !previewMode
+  });
+
+  // Categories are managed at /admin/blog/categories
+  const [availableCategories, setAvailableCategories] = useState([]);
 
   // Animation variants
   const fadeInUp = {
@@ -129,6 +144,12 @@ export default function AdminBlogCreatePage() {
     }
   }, [isAuthenticated, loading, router]);
 
+  useEffect(() => {
+    BlogService.getAllCategories()
+      .then(response => setAvailableCategories(response.data || []))
+      .catch(error => console.error('[BlogEditor] Error loading categories:', error));
+  }, []);
+
   // Auto-generate slug from title
   useEffect(() => {
     if (formData.title && !formData.slug) {
@@ -320,10 +341,48 @@ export default function AdminBlogCreatePage() {
     return Object.keys(newErrors).length === 0;
   };
 
+  /**
+   * Check the schedule picker before scheduling
+   * @returns {boolean} Whether the picked time is usable
+   */
+  const validateSchedule = () => {
+    if (!scheduledFor) {
+      setErrors(prev => ({ ...prev, scheduledFor: 'Pick a date and time to schedule this post' }));
+      return false;
+    }
+
+    if (new Date(scheduledFor) <= new Date()) {
+      setErrors(prev => ({ ...prev, scheduledFor: 'Scheduled time must be in the future' }));
+      return false;
+    }
+
+    return true;
+  };
+
+  /**
+   * Insert an image picked from the media library into the content
+   * @param {Object} media - Media library item
+   */
+  const handleMediaSelected = (media) => {
+    const alt = media.alt || window.prompt('Alt text (describe the image for screen readers)', '') || media.originalName;
+    contentImageUpload.insertImage(media.url, alt);
+    setShowMediaPicker(false);
+  };
+
+  /**
+   * Put a recovered autosave back into the form
+   */
+  const handleRestoreDraft = () => {
+    const data = autosave.restoreRecovery();
+    if (data) {
+      setFormData(prev => ({ ...prev, ...data }));
+    }
+  };
+
   /**
    * Handle form submission
    * @param {Event} e - Form event
-   * @param {string} action - Submit action (save-draft or publish)
+   * @param {string} action - Submit action (save-draft, publish or schedule)
    */
   const handleSubmit = async (e, action = 'save-draft') => {
     e.preventDefault();
@@ -332,15 +391,24 @@ export default function AdminBlogCreatePage() {
       return;
     }
 
+    if (action === 'schedule' && !validateSchedule()) {
+      return;
+    }
+
     setIsSubmitting(true);
 
     try {
       const submitData = {
         ...formData,
-        status: action === 'publish' ? 'published' : 'draft'
+        status: action === 'publish' ? 'published' : action === 'schedule' ? 'scheduled' : 'draft'
       };
 
+      if (action === 'schedule') {
+        submitData.publishedAt = new Date(scheduledFor).toISOString();
+      }
+
       const response = await BlogService.createBlog(submitData);
+      autosave.clearDraft();
       
       // Redirect to blog list with success message
       router.push('/admin/blog?success=created');
@@ -410,6 +478,7 @@ export default function AdminBlogCreatePage() {
               
               {/* Action buttons */}
               <div className="flex items-center space-x-3">
+                <AutosaveStatus status={autosave.status} lastSavedAt={autosave.lastSavedAt} />
                 <button
                   onClick={() => setPreviewMode(!previewMode)}
                   className="flex items-center space-x-2 px-3 py-2 bg-blue-500/10 hover:bg-blue-500/20 border border-blue-500/20 hover:border-blue-500/40 rounded-lg text-blue-400 hover:text-blue-300 font-mono text-sm transition-all duration-300"
@@ -421,6 +490,12 @@ export default function AdminBlogCreatePage() {
             </div>
           </motion.div>
 
+          <DraftRecoveryPrompt
+            recovery={autosave.recovery}
+            onRestore={handleRestoreDraft}
+            onDiscard={autosave.dismissRecovery}
+          />
+
           <form onSubmit={handleSubmit} className="space-y-6">
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
               {/* Main Content */}
@@ -485,6 +560,34 @@ export default function AdminBlogCreatePage() {
                       CONTENT *
                     </label>
                     <div className="flex items-center space-x-2">
+                      <input
+                        ref={imageInputRef}
+                        type="file"
+                        accept={contentImageUpload.acceptedTypes}
+                        multiple
+                        onChange={contentImageUpload.onFileInputChange}
+                        className="hidden"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => imageInputRef.current?.click()}
+                        disabled={previewMode}
+                        className="flex items-center space-x-1 px-2 py-1 bg-green-500/10 hover:bg-green-500/20 border border-green-500/20 hover:border-green-500/40 rounded text-green-400 hover:text-green-300 font-mono text-xs transition-all duration-300 disabled:opacity-50"
+                        title="Upload an image, or drop / paste one into the editor"
+                      >
+                        <FiImage className="w-3 h-3" />
+                        <span>{contentImageUpload.isUploading ? 'Uploading...' : 'Image'}</span>
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setShowMediaPicker(true)}
+                        disabled={previewMode}
+                        className="flex items-center space-x-1 px-2 py-1 bg-green-500/10 hover:bg-green-500/20 border border-green-500/20 hover:border-green-500/40 rounded text-green-400 hover:text-green-300 font-mono text-xs transition-all duration-300 disabled:opacity-50"
+                        title="Reuse an image from the media library"
+                      >
+                        <FiFolder className="w-3 h-3" />
+                        <span>Library</span>
+                      </button>
                       <button
                         type="button"
                         onClick={loadMarkdownTemplate}
@@ -555,14 +658,26 @@ export default function AdminBlogCreatePage() {
                       </div>
                     </div>
                   ) : (
-                    <textarea
-                      name="content"
-                      value={formData.content}
-                      onChange={handleInputChange}
-                      placeholder="Write your blog content here... (Supports Markdown)"
-                      rows={15}
-                      className="w-full p-3 bg-black/40 border border-green-500/20 rounded-lg text-green-300 placeholder-green-600 font-mono focus:outline-none focus:border-green-500/40 transition-colors resize-vertical"
-                    />
+                    <div className="relative">
+                      <textarea
+                        ref={contentRef}
+                        name="content"
+                        value={formData.content}
+                        onChange={handleInputChange}
+                        {...contentImageUpload.textareaProps}
+                        placeholder="Write your blog content here... (Supports Markdown, drop or paste images to upload)"
+                        rows={15}
+                        className="w-full p-3 bg-black/40 border border-green-500/20 rounded-lg text-green-300 placeholder-green-600 font-mono focus:outline-none focus:border-green-500/40 transition-colors resize-vertical"
+                      />
+                      {contentImageUpload.isDragging && (
+                        <div className="absolute inset-0 flex items-center justify-center rounded-lg border-2 border-dashed border-green-500 bg-black/70 pointer-events-none">
+                          <div className="flex items-center space-x-2 text-green-400 font-mono text-sm">
+                            <FiUpload className="w-5 h-5" />
+                            <span>DROP_IMAGE_TO_UPLOAD</span>
+                          </div>
+                        </div>
+                      )}
+                    </div>
                   )}
                   
                   {errors.content && (
@@ -651,6 +766,33 @@ export default function AdminBlogCreatePage() {
                     </div>
                   </div>
 
+                  {/* Schedule */}
+                  <div className="mt-6">
+                    <label htmlFor="scheduledFor" className="flex items-center space-x-2 text-green-400 font-mono text-sm font-medium mb-2">
+                      <FiCalendar className="w-4 h-4" />
+                      <span>SCHEDULE_FOR</span>
+                    </label>
+                    <input
+                      type="datetime-local"
+                      id="scheduledFor"
+                      value={scheduledFor}
+                      min={BlogService.toDateTimeLocalValue(new Date())}
+                      onChange={(e) => {
+                        setScheduledFor(e.target.value);
+                        if (errors.scheduledFor) {
+                          setErrors(prev => ({ ...prev, scheduledFor: '' }));
+                        }
+                      }}
+                      className="w-full p-3 bg-black/40 border border-green-500/20 rounded-lg text-green-300 font-mono text-sm focus:outline-none focus:border-green-500/40 transition-colors [color-scheme:dark]"
+                    />
+                    {errors.scheduledFor && (
+                      <p className="text-red-400 font-mono text-xs mt-2">{errors.scheduledFor}</p>
+                    )}
+                    <p className="text-green-600 font-mono text-xs mt-2">
+                      Goes live automatically and notifies subscribers at this time.
+                    </p>
+                  </div>
+
                   <div className="flex flex-col space-y-3 mt-6">
                     <button
                       type="button"
@@ -662,6 +804,15 @@ export default function AdminBlogCreatePage() {
                       <span>SAVE_DRAFT</span>
                     </button>
                     
+                    <button
+                      type="button"
+                      onClick={(e) => handleSubmit(e, 'schedule')}
+                      disabled={isSubmitting || !scheduledFor}
+                      className="flex items-center justify-center space-x-2 px-4 py-2 bg-blue-500/10 hover:bg-blue-500/20 border border-blue-500/20 hover:border-blue-500/40 rounded-lg text-blue-400 hover:text-blue-300 font-mono font-medium transition-all duration-300 disabled:opacity-50"
+                    >
+                      <FiClock className="w-4 h-4" />
+                      <span>SCHEDULE</span>
+                    </button>
                     <button
                       type="button"
                       onClick={(e) => handleSubmit(e, 'publish')}
@@ -686,16 +837,18 @@ export default function AdminBlogCreatePage() {
                   <div className="grid grid-cols-2 gap-2">
                     {availableCategories.map((category) => (
                       <button
-                        key={category}
+                        key={category.slug}
                         type="button"
-                        onClick={() => handleCategoryToggle(category)}
-                        className={`px-3 py-2 rounded-lg font-mono text-xs transition-all duration-300 ${
-                          formData.categories.includes(category)
+                        onClick={() => handleCategoryToggle(category.slug)}
+                        title={category.description || undefined}
+                        className={`flex items-center space-x-2 px-3 py-2 rounded-lg font-mono text-xs transition-all duration-300 ${
+                          formData.categories.includes(category.slug)
                             ? 'bg-green-500/20 text-green-300 border border-green-500/40'
                             : 'bg-black/40 text-green-600 border border-green-500/20 hover:border-green-500/40'
                         }`}
                       >
-                        {category.toUpperCase()}
+                        <span className="w-2 h-2 rounded-full flex-shrink-0" style={{ backgroundColor: category.color }} />
+                        <span className="truncate">{category.name.toUpperCase()}</span>
                       </button>
                     ))}
                   </div>
@@ -741,6 +894,22 @@ export default function AdminBlogCreatePage() {
                   )}
                 </motion.div>
 
+                {/* Series */}
+                <motion.div
+                  variants={fadeInUp}
+                  initial="hidden"
+                  animate="visible"
+                  transition={{ delay: 0.65 }}
+                  className="bg-gradient-to-br from-gray-900/50 to-black/50 backdrop-blur-xl rounded-xl border border-green-500/20 p-6"
+                >
+                  <h3 className="text-green-400 font-mono text-sm font-medium mb-4">SERIES</h3>
+                  <SeriesPicker
+                    series={formData.series}
+                    seriesPosition={formData.seriesPosition}
+                    onChange={(placement) => setFormData(prev => ({ ...prev, ...placement }))}
+                  />
+                </motion.div>
+
                 {/* Featured Image */}
                 <motion.div
                   variants={fadeInUp}
@@ -836,6 +1005,12 @@ export default function AdminBlogCreatePage() {
           </form>
         </div>
       </div>
+
+      <MediaPicker
+        isOpen={showMediaPicker}
+        onClose={() => setShowMediaPicker(false)}
+        onSelect={handleMediaSelected}
+      />
     </>
   );
 }
@@ -6,7 +6,7 @@
  * @version 1.0.0
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useRouter } from 'next/router';
 import Head from 'next/head';
 import Link from 'next/link';
@@ -20,7 +20,9 @@ import {
   FiImage,
   FiTag,
   FiCalendar,
+  FiClock,
   FiUser,
+  FiFolder,
   FiEdit3,
   FiBookOpen,
   FiGlobe,
@@ -29,6 +31,12 @@ import {
 } from 'react-icons/fi';
 import { useAuth } from '../../../../context/AuthContext';
 import BlogService from '../../../../services/blog-service';
+import BlogRevisionHistory from '../../../../components/admin/BlogRevisionHistory';
+import AutosaveStatus, { DraftRecoveryPrompt } from '../../../../components/admin/AutosaveStatus';
+import useBlogAutosave from '../../../../hooks/useBlogAutosave';
+import useMarkdownImageUpload from '../../../../hooks/useMarkdownImageUpload';
+import MediaPicker from '../../../../components/admin/MediaPicker';
+import SeriesPicker from '../../../../components/admin/SeriesPicker';
 
 /**
  * Admin Blog Edit Page Component
@@ -56,6 +64,8 @@ export default function AdminBlogEditPage() {
     status: 'draft',
     featured: false,
     sticky: false,
+    series: '',
+    seriesPosition: '',
     seo: {
       metaTitle: '',
       metaDescription: '',
@@ -65,25 +75,32 @@ export default function AdminBlogEditPage() {
 
   const [originalBlog, setOriginalBlog] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [scheduledFor, setScheduledFor] = useState('');
   const [isLoading, setIsLoading] = useState(true);
   const [previewMode, setPreviewMode] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
   const [errors, setErrors] = useState({});
 
-  // Available categories and tags
-  const availableCategories = [
-    'technology',
-    'web-development',
-    'javascript',
-    'react',
-    'nextjs',
-    'nodejs',
-    'mongodb',
-    'tutorial',
-    'tips',
-    'career',
-    'personal',
-    'general'
-  ];
+  const autosave = useBlogAutosave({
+    draftKey: id,
+    formData,
+    enabled: !isLoading && !!originalBlog,
+    baseUpdatedAt: originalBlog?.updatedAt,
+    userId: user?._id || user?.id
+  });
+
+  // Image drag-and-drop / paste upload into the content textarea
+  const contentRef = useRef(null);
+  const imageInputRef = useRef(null);
+  const [showMediaPicker, setShowMediaPicker] = useState(false);
+  const contentImageUpload = useMarkdownImageUpload({
+    textareaRef: contentRef,
+    value: formData.content,
+    onChange: (content) => setFormData(prev => ({ ...prev, content }))
+  });
+
+  // Categories are managed at /admin/blog/categories
+  const [availableCategories, setAvailableCategories] = useState([]);
 
   // Animation variants
   const fadeInUp = {
@@ -98,6 +115,12 @@ export default function AdminBlogEditPage() {
     }
   }, [isAuthenticated, loading, router]);
 
+  useEffect(() => {
+    BlogService.getAllCategories()
+      .then(response => setAvailableCategories(response.data || []))
+      .catch(error => console.error('[BlogEditor] Error loading categories:', error));
+  }, []);
+
   // Load blog data
   useEffect(() => {
     if (id && isAuthenticated) {
@@ -115,6 +138,7 @@ export default function AdminBlogEditPage() {
       const blog = response.data;
       
       setOriginalBlog(blog);
+      setScheduledFor(blog.status === 'scheduled' ? BlogService.toDateTimeLocalValue(blog.publishedAt) : '');
       setFormData({
         title: blog.title || '',
         slug: blog.slug || '',
@@ -130,6 +154,8 @@ export default function AdminBlogEditPage() {
         status: blog.status || 'draft',
         featured: blog.featured || false,
         sticky: blog.sticky || false,
+        series: blog.series?._id || '',
+        seriesPosition: blog.series?.position || '',
         seo: {
           metaTitle: blog.seo?.metaTitle || '',
           metaDescription: blog.seo?.metaDescription || '',
@@ -256,10 +282,28 @@ export default function AdminBlogEditPage() {
     return Object.keys(newErrors).length === 0;
   };
 
+  /**
+   * Check the schedule picker before scheduling
+   * @returns {boolean} Whether the picked time is usable
+   */
+  const validateSchedule = () => {
+    if (!scheduledFor) {
+      setErrors(prev => ({ ...prev, scheduledFor: 'Pick a date and time to schedule this post' }));
+      return false;
+    }
+
+    if (new Date(scheduledFor) <= new Date()) {
+      setErrors(prev => ({ ...prev, scheduledFor: 'Scheduled time must be in the future' }));
+      return false;
+    }
+
+    return true;
+  };
+
   /**
    * Handle form submission
    * @param {Event} e - Form event
-   * @param {string} action - Submit action (save-draft, update, or publish)
+   * @param {string} action - Submit action (save-draft, update, publish, or schedule)
    */
   const handleSubmit = async (e, action = 'update') => {
     e.preventDefault();
@@ -268,6 +312,10 @@ export default function AdminBlogEditPage() {
       return;
     }
 
+    if (action === 'schedule' && !validateSchedule()) {
+      return;
+    }
+
     setIsSubmitting(true);
 
     try {
@@ -277,9 +325,13 @@ export default function AdminBlogEditPage() {
         submitData.status = 'published';
       } else if (action === 'save-draft') {
         submitData.status = 'draft';
+      } else if (action === 'schedule') {
+        submitData.status = 'scheduled';
+        submitData.publishedAt = new Date(scheduledFor).toISOString();
       }
 
       const response = await BlogService.updateBlog(id, submitData);
+      autosave.clearDraft();
       
       // Redirect to blog list with success message
       router.push('/admin/blog?success=updated');
@@ -291,6 +343,40 @@ export default function AdminBlogEditPage() {
     }
   };
 
+  /**
+   * Apply a restored revision to the form without touching other unsaved fields
+   * @param {Object} blog - Blog returned by the restore endpoint
+   */
+  const handleRevisionRestored = (blog) => {
+    setOriginalBlog(blog);
+    setFormData(prev => ({
+      ...prev,
+      title: blog.title || '',
+      content: blog.content || '',
+      excerpt: blog.excerpt || ''
+    }));
+  };
+
+  /**
+   * Insert an image picked from the media library into the content
+   * @param {Object} media - Media library item
+   */
+  const handleMediaSelected = (media) => {
+    const alt = media.alt || window.prompt('Alt text (describe the image for screen readers)', '') || media.originalName;
+    contentImageUpload.insertImage(media.url, alt);
+    setShowMediaPicker(false);
+  };
+
+  /**
+   * Put a recovered autosave back into the form
+   */
+  const handleRestoreDraft = () => {
+    const data = autosave.restoreRecovery();
+    if (data) {
+      setFormData(prev => ({ ...prev, ...data }));
+    }
+  };
+
   /**
    * Handle blog deletion
    */
@@ -382,6 +468,7 @@ export default function AdminBlogEditPage() {
               
               {/* Action buttons */}
               <div className="flex items-center space-x-3">
+                <AutosaveStatus status={autosave.status} lastSavedAt={autosave.lastSavedAt} />
                 <button
                   onClick={() => setPreviewMode(!previewMode)}
                   className="flex items-center space-x-2 px-3 py-2 bg-blue-500/10 hover:bg-blue-500/20 border border-blue-500/20 hover:border-blue-500/40 rounded-lg text-blue-400 hover:text-blue-300 font-mono text-sm transition-all duration-300"
@@ -390,6 +477,14 @@ export default function AdminBlogEditPage() {
                   <span className="hidden sm:inline">PREVIEW</span>
                 </button>
                 
+                <button
+                  onClick={() => setShowHistory(true)}
+                  className="flex items-center space-x-2 px-3 py-2 bg-purple-500/10 hover:bg-purple-500/20 border border-purple-500/20 hover:border-purple-500/40 rounded-lg text-purple-400 hover:text-purple-300 font-mono text-sm transition-all duration-300"
+                >
+                  <FiClock className="w-4 h-4" />
+                  <span className="hidden sm:inline">HISTORY</span>
+                </button>
+                
                 <button
                   onClick={handleDelete}
                   className="flex items-center space-x-2 px-3 py-2 bg-red-500/10 hover:bg-red-500/20 border border-red-500/20 hover:border-red-500/40 rounded-lg text-red-400 hover:text-red-300 font-mono text-sm transition-all duration-300"
@@ -401,6 +496,12 @@ export default function AdminBlogEditPage() {
             </div>
           </motion.div>
 
+          <DraftRecoveryPrompt
+            recovery={autosave.recovery}
+            onRestore={handleRestoreDraft}
+            onDiscard={autosave.dismissRecovery}
+          />
+
           <form onSubmit={handleSubmit} className="space-y-6">
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
               {/* Main Content */}
@@ -460,17 +561,59 @@ export default function AdminBlogEditPage() {
                   transition={{ delay: 0.2 }}
                   className="bg-gradient-to-br from-gray-900/50 to-black/50 backdrop-blur-xl rounded-xl border border-green-500/20 p-6"
                 >
-                  <label className="block text-green-400 font-mono text-sm font-medium mb-3">
-                    CONTENT *
-                  </label>
-                  <textarea
-                    name="content"
-                    value={formData.content}
-                    onChange={handleInputChange}
-                    placeholder="Write your blog content here..."
-                    rows={15}
-                    className="w-full p-3 bg-black/40 border border-green-500/20 rounded-lg text-green-300 placeholder-green-600 font-mono focus:outline-none focus:border-green-500/40 transition-colors resize-vertical"
-                  />
+                  <div className="flex items-center justify-between mb-3">
+                    <label className="block text-green-400 font-mono text-sm font-medium">
+                      CONTENT *
+                    </label>
+                    <div className="flex items-center space-x-2">
+                      <input
+                        ref={imageInputRef}
+                        type="file"
+                        accept={contentImageUpload.acceptedTypes}
+                        multiple
+                        onChange={contentImageUpload.onFileInputChange}
+                        className="hidden"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => imageInputRef.current?.click()}
+                        className="flex items-center space-x-1 px-2 py-1 bg-green-500/10 hover:bg-green-500/20 border border-green-500/20 hover:border-green-500/40 rounded text-green-400 hover:text-green-300 font-mono text-xs transition-all duration-300 disabled:opacity-50"
+                        title="Upload an image, or drop / paste one into the editor"
+                      >
+                        <FiImage className="w-3 h-3" />
+                        <span>{contentImageUpload.isUploading ? 'Uploading...' : 'Image'}</span>
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setShowMediaPicker(true)}
+                        className="flex items-center space-x-1 px-2 py-1 bg-green-500/10 hover:bg-green-500/20 border border-green-500/20 hover:border-green-500/40 rounded text-green-400 hover:text-green-300 font-mono text-xs transition-all duration-300 disabled:opacity-50"
+                        title="Reuse an image from the media library"
+                      >
+                        <FiFolder className="w-3 h-3" />
+                        <span>Library</span>
+                      </button>
+                    </div>
+                  </div>
+                  <div className="relative">
+                    <textarea
+                      ref={contentRef}
+                      name="content"
+                      value={formData.content}
+                      onChange={handleInputChange}
+                      {...contentImageUpload.textareaProps}
+                      placeholder="Write your blog content here... (drop or paste images to upload)"
+                      rows={15}
+                      className="w-full p-3 bg-black/40 border border-green-500/20 rounded-lg text-green-300 placeholder-green-600 font-mono focus:outline-none focus:border-green-500/40 transition-colors resize-vertical"
+                    />
+                    {contentImageUpload.isDragging && (
+                      <div className="absolute inset-0 flex items-center justify-center rounded-lg border-2 border-dashed border-green-500 bg-black/70 pointer-events-none">
+                        <div className="flex items-center space-x-2 text-green-400 font-mono text-sm">
+                          <FiUpload className="w-5 h-5" />
+                          <span>DROP_IMAGE_TO_UPLOAD</span>
+                        </div>
+                      </div>
+                    )}
+                  </div>
                   {errors.content && (
                     <p className="text-red-400 font-mono text-xs mt-2">{errors.content}</p>
                   )}
@@ -557,6 +700,33 @@ export default function AdminBlogEditPage() {
                     </div>
                   </div>
 
+                  {/* Schedule */}
+                  <div className="mt-6">
+                    <label htmlFor="scheduledFor" className="flex items-center space-x-2 text-green-400 font-mono text-sm font-medium mb-2">
+                      <FiCalendar className="w-4 h-4" />
+                      <span>SCHEDULE_FOR</span>
+                    </label>
+                    <input
+                      type="datetime-local"
+                      id="scheduledFor"
+                      value={scheduledFor}
+                      min={BlogService.toDateTimeLocalValue(new Date())}
+                      onChange={(e) => {
+                        setScheduledFor(e.target.value);
+                        if (errors.scheduledFor) {
+                          setErrors(prev => ({ ...prev, scheduledFor: '' }));
+                        }
+                      }}
+                      className="w-full p-3 bg-black/40 border border-green-500/20 rounded-lg text-green-300 font-mono text-sm focus:outline-none focus:border-green-500/40 transition-colors [color-scheme:dark]"
+                    />
+                    {errors.scheduledFor && (
+                      <p className="text-red-400 font-mono text-xs mt-2">{errors.scheduledFor}</p>
+                    )}
+                    <p className="text-green-600 font-mono text-xs mt-2">
+                      Goes live automatically and notifies subscribers at this time.
+                    </p>
+                  </div>
+
                   <div className="flex flex-col space-y-3 mt-6">
                     <button
                       type="button"
@@ -578,6 +748,15 @@ export default function AdminBlogEditPage() {
                       <span>UPDATE_POST</span>
                     </button>
                     
+                    <button
+                      type="button"
+                      onClick={(e) => handleSubmit(e, 'schedule')}
+                      disabled={isSubmitting || !scheduledFor}
+                      className="flex items-center justify-center space-x-2 px-4 py-2 bg-blue-500/10 hover:bg-blue-500/20 border border-blue-500/20 hover:border-blue-500/40 rounded-lg text-blue-400 hover:text-blue-300 font-mono font-medium transition-all duration-300 disabled:opacity-50"
+                    >
+                      <FiClock className="w-4 h-4" />
+                      <span>SCHEDULE</span>
+                    </button>
                     <button
                       type="button"
                       onClick={(e) => handleSubmit(e, 'publish')}
@@ -602,16 +781,18 @@ export default function AdminBlogEditPage() {
                   <div className="grid grid-cols-2 gap-2">
                     {availableCategories.map((category) => (
                       <button
-                        key={category}
+                        key={category.slug}
                         type="button"
-                        onClick={() => handleCategoryToggle(category)}
-                        className={`px-3 py-2 rounded-lg font-mono text-xs transition-all duration-300 ${
-                          formData.categories.includes(category)
+                        onClick={() => handleCategoryToggle(category.slug)}
+                        title={category.description || undefined}
+                        className={`flex items-center space-x-2 px-3 py-2 rounded-lg font-mono text-xs transition-all duration-300 ${
+                          formData.categories.includes(category.slug)
                             ? 'bg-green-500/20 text-green-300 border border-green-500/40'
                             : 'bg-black/40 text-green-600 border border-green-500/20 hover:border-green-500/40'
                         }`}
                       >
-                        {category.toUpperCase()}
+                        <span className="w-2 h-2 rounded-full flex-shrink-0" style={{ backgroundColor: category.color }} />
+                        <span className="truncate">{category.name.toUpperCase()}</span>
                       </button>
                     ))}
                   </div>
@@ -654,6 +835,23 @@ export default function AdminBlogEditPage() {
                   </div>
                 </motion.div>
 
+                {/* Series */}
+                <motion.div
+                  variants={fadeInUp}
+                  initial="hidden"
+                  animate="visible"
+                  transition={{ delay: 0.65 }}
+                  className="bg-gradient-to-br from-gray-900/50 to-black/50 backdrop-blur-xl rounded-xl border border-green-500/20 p-6"
+                >
+                  <h3 className="text-green-400 font-mono text-sm font-medium mb-4">SERIES</h3>
+                  <SeriesPicker
+                    series={formData.series}
+                    seriesPosition={formData.seriesPosition}
+                    onChange={(placement) => setFormData(prev => ({ ...prev, ...placement }))}
+                    blogId={id}
+                  />
+                </motion.div>
+
                 {/* Featured Image */}
                 <motion.div
                   variants={fadeInUp}
@@ -696,7 +894,7 @@ export default function AdminBlogEditPage() {
                     <div>Comments: <span className="text-green-400">{originalBlog.commentCount || 0}</span></div>
                     <div>Created: <span className="text-green-400">{new Date(originalBlog.createdAt).toLocaleDateString()}</span></div>
                     {originalBlog.publishedAt && (
-                      <div>Published: <span className="text-green-400">{new Date(originalBlog.publishedAt).toLocaleDateString()}</span></div>
+                      <div>{originalBlog.status === 'scheduled' ? 'Scheduled' : 'Published'}: <span className="text-green-400">{originalBlog.status === 'scheduled' ? new Date(originalBlog.publishedAt).toLocaleString() : new Date(originalBlog.publishedAt).toLocaleDateString()}</span></div>
                     )}
                   </div>
                 </motion.div>
@@ -705,6 +903,19 @@ export default function AdminBlogEditPage() {
           </form>
         </div>
       </div>
+
+      <BlogRevisionHistory
+        blogId={id}
+        isOpen={showHistory}
+        onClose={() => setShowHistory(false)}
+        onRestored={handleRevisionRestored}
+      />
+
+      <MediaPicker
+        isOpen={showMediaPicker}
+        onClose={() => setShowMediaPicker(false)}
+        onSelect={handleMediaSelected}
+      />
     </>
   );
 }
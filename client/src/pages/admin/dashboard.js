@@ -26,13 +26,14 @@ import {
   FiUsers,
   FiTrendingUp,
   FiClock,
-  FiActivity,
   FiShield,
-  FiFolder
+  FiFolder,
+  FiInbox
 } from 'react-icons/fi';
 import { useAuth } from '../../context/AuthContext';
 import ProjectForm from '../../components/admin/ProjectForm';
 import CommentModeration from '../../components/admin/CommentModeration';
+import ContactService from '../../services/contact-service';
 
 /**
  * Admin Dashboard Main Page Component
@@ -41,7 +42,7 @@ import CommentModeration from '../../components/admin/CommentModeration';
  */
 export default function AdminDashboardPage() {
   const router = useRouter();
-  const { user, logout, isAuthenticated, loading } = useAuth();
+  const { user, logout, isAuthenticated, loading, hasPermission, isAdmin } = useAuth();
   
   // UI state
   const [sidebarOpen, setSidebarOpen] = useState(false);
@@ -52,6 +53,7 @@ export default function AdminDashboardPage() {
     pendingComments: 5,
     recentActivity: []
   });
+  const [inboxStats, setInboxStats] = useState({ unread: 0, lastWeek: 0 });
 
   // Animation variants
   const fadeInUp = {
@@ -76,6 +78,15 @@ export default function AdminDashboardPage() {
     }
   }, [isAuthenticated, loading, router]);
 
+  // Load contact inbox counts
+  useEffect(() => {
+    if (!isAuthenticated || !isAdmin) return;
+
+    ContactService.getMessageStats()
+      .then(response => setInboxStats(response.data))
+      .catch(error => console.error('[Dashboard] Inbox stats error:', error));
+  }, [isAuthenticated, isAdmin]);
+
   /**
    * Handle logout
    */
@@ -113,17 +124,36 @@ export default function AdminDashboardPage() {
       router.push('/admin/portfolio');
       return;
     }
+
+    if (section === 'users') {
+      router.push('/admin/users');
+      return;
+    }
+
+    if (section === 'media') {
+      router.push('/admin/media');
+      return;
+    }
+
+    if (section === 'inbox') {
+      router.push('/admin/inbox');
+      return;
+    }
   };
 
   // Navigation items
   const navigationItems = [
     { id: 'dashboard', label: 'System Overview', icon: FiHome },
-    { id: 'portfolio', label: 'Portfolio Mgmt', icon: FiUser },
-    { id: 'projects', label: 'Project Creator', icon: FiFolder },
+    ...(hasPermission('portfolio:write') ? [
+      { id: 'portfolio', label: 'Portfolio Mgmt', icon: FiUser },
+      { id: 'projects', label: 'Project Creator', icon: FiFolder }
+    ] : []),
     { id: 'blog', label: 'Content Hub', icon: FiFileText },
     { id: 'comments', label: 'Moderation', icon: FiMessageSquare },
+    ...(isAdmin ? [{ id: 'inbox', label: 'Inbox', icon: FiInbox }] : []),
     { id: 'media', label: 'Media Vault', icon: FiImage },
     { id: 'analytics', label: 'Analytics', icon: FiBarChart2 },
+    ...(hasPermission('users:manage') ? [{ id: 'users', label: 'Access Control', icon: FiShield }] : []),
     { id: 'settings', label: 'Config', icon: FiSettings }
   ];
 
@@ -156,15 +186,17 @@ export default function AdminDashboardPage() {
       icon: FiMessageSquare,
       color: 'yellow'
     },
-    {
-      id: 'recent-activity',
-      title: 'Active Sessions',
-      value: '3',
-      change: '0',
-      changeType: 'neutral',
-      icon: FiActivity,
-      color: 'purple'
-    }
+    ...(isAdmin ? [{
+      id: 'unread-messages',
+      title: 'Unread Transmissions',
+      value: inboxStats.unread,
+      change: `+${inboxStats.lastWeek}`,
+      changeLabel: 'in the last 7 days',
+      changeType: inboxStats.lastWeek > 0 ? 'positive' : 'neutral',
+      icon: FiInbox,
+      color: 'purple',
+      href: '/admin/inbox'
+    }] : [])
   ];
 
   // Recent activity mock data
@@ -434,7 +466,8 @@ export default function AdminDashboardPage() {
                         whileHover={{ scale: 1.02, y: -2 }}
                         transition={{ type: "spring", stiffness: 300 }}
                         id={`admin-stats-${card.id.replace('-', '-')}-card`}
-                        className={`bg-gradient-to-br ${colorClasses[card.color]} backdrop-blur-xl rounded-xl border shadow-lg hover:shadow-xl transition-all duration-300 p-4 sm:p-6 relative overflow-hidden group h-full`}
+                        onClick={card.href ? () => router.push(card.href) : undefined}
+                        className={`bg-gradient-to-br ${colorClasses[card.color]} backdrop-blur-xl rounded-xl border shadow-lg hover:shadow-xl transition-all duration-300 p-4 sm:p-6 relative overflow-hidden group h-full ${card.href ? 'cursor-pointer' : ''}`}
                       >
                         {/* Animated border */}
                         <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/5 to-transparent -translate-x-full group-hover:translate-x-full transition-transform duration-1000"></div>
@@ -462,7 +495,7 @@ export default function AdminDashboardPage() {
                               {card.change}
                             </span>
                             <span className="text-green-700 font-mono text-xs hidden sm:inline">
-                              vs last period
+                              {card.changeLabel || 'vs last period'}
                             </span>
                           </div>
                         </div>
@@ -0,0 +1,570 @@
+/**
+ * @fileoverview Admin Contact Inbox Page
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { motion, AnimatePresence } from 'framer-motion';
+import toast from 'react-hot-toast';
+import {
+    FiInbox,
+    FiArchive,
+    FiAlertOctagon,
+    FiSearch,
+    FiArrowLeft,
+    FiTrash2,
+    FiX,
+    FiMail,
+    FiSend,
+    FiCornerUpLeft,
+    FiRefreshCw,
+    FiShield
+} from 'react-icons/fi';
+import { useTheme } from '../../context/ThemeContext';
+import { useAuth } from '../../context/AuthContext';
+import AdminProtectedRoute from '../../components/admin/AdminProtectedRoute';
+import ContactService from '../../services/contact-service';
+
+const FOLDERS = [
+    { id: 'inbox', label: 'Inbox', icon: FiInbox },
+    { id: 'archived', label: 'Archived', icon: FiArchive },
+    { id: 'spam', label: 'Spam', icon: FiAlertOctagon }
+];
+
+/**
+ * Message from an axios error, preferring the API's own
+ * @param {Error} error - Request error
+ * @returns {string} Message to show
+ */
+const errorMessage = (error) => error.response?.data?.message || error.message || 'Request failed';
+
+/**
+ * Short timestamp for the message list
+ * @param {string} date - ISO date
+ * @returns {string} Time today, otherwise the date
+ */
+const formatListDate = (date) => {
+    const value = new Date(date);
+    return value.toDateString() === new Date().toDateString()
+        ? value.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : value.toLocaleDateString();
+};
+
+const ContactInbox = () => {
+    const router = useRouter();
+    const { isDark } = useTheme();
+    const { isAdmin } = useAuth();
+    const [folder, setFolder] = useState('inbox');
+    const [unreadOnly, setUnreadOnly] = useState(false);
+    const [searchTerm, setSearchTerm] = useState('');
+    const [messages, setMessages] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [counts, setCounts] = useState({ unread: 0, inbox: 0, archived: 0, spam: 0 });
+    const [selected, setSelected] = useState(null);
+    const [replyBody, setReplyBody] = useState('');
+    const [sending, setSending] = useState(false);
+
+    // Animation variants
+    const fadeInUp = {
+        hidden: { opacity: 0, y: 20 },
+        visible: { opacity: 1, y: 0, transition: { duration: 0.4 } }
+    };
+
+    const staggerContainer = {
+        hidden: { opacity: 0 },
+        visible: {
+            opacity: 1,
+            transition: { staggerChildren: 0.1 }
+        }
+    };
+
+    useEffect(() => {
+        if (!isAdmin) {
+            setLoading(false);
+            return;
+        }
+        const timer = setTimeout(() => loadMessages(), 300);
+        return () => clearTimeout(timer);
+    }, [folder, unreadOnly, searchTerm, isAdmin]);
+
+    useEffect(() => {
+        if (!isAdmin) return;
+        loadCounts();
+    }, [isAdmin]);
+
+    // Links in notification emails open the message directly
+    useEffect(() => {
+        if (isAdmin && router.isReady && router.query.message) {
+            openMessage({ _id: router.query.message });
+        }
+    }, [isAdmin, router.isReady, router.query.message]);
+
+    const loadCounts = async () => {
+        try {
+            const res = await ContactService.getMessageStats();
+            setCounts(res.data);
+        } catch (error) {
+            console.error('Failed to load message counts:', error);
+        }
+    };
+
+    const loadMessages = async (cursor = null) => {
+        try {
+            cursor ? setLoadingMore(true) : setLoading(true);
+            const res = await ContactService.getMessages({
+                folder,
+                unread: unreadOnly ? 'true' : undefined,
+                search: searchTerm || undefined,
+                limit: 25,
+                cursor: cursor || undefined
+            });
+
+            setMessages(prev => (cursor ? [...prev, ...res.data.messages] : res.data.messages));
+            setNextCursor(res.data.pagination.nextCursor);
+        } catch (error) {
+            console.error('Failed to load messages:', error);
+            toast.error('Failed to load messages');
+        } finally {
+            setLoading(false);
+            setLoadingMore(false);
+        }
+    };
+
+    /**
+     * Replace a message in the list and the detail panel after a change
+     */
+    const applyUpdate = (updated) => {
+        const stillListed = updated.folder === folder && !(unreadOnly && updated.readAt);
+
+        setMessages(prev => (stillListed
+            ? prev.map(message => (message._id === updated._id ? updated : message))
+            : prev.filter(message => message._id !== updated._id)));
+        setSelected(prev => (prev && prev._id === updated._id ? updated : prev));
+        loadCounts();
+    };
+
+    /**
+     * Open the detail panel, marking the message read
+     */
+    const openMessage = async (message) => {
+        setSelected(message);
+        setReplyBody('');
+
+        try {
+            const res = await ContactService.getMessage(message._id);
+
+            if (res.data.readAt) {
+                setSelected(res.data);
+            } else {
+                const updated = await ContactService.updateMessage(message._id, { read: true });
+                applyUpdate(updated.data);
+                setSelected(updated.data);
+            }
+        } catch (error) {
+            toast.error(errorMessage(error));
+            setSelected(null);
+        }
+    };
+
+    const handleUpdate = async (changes, successMessage) => {
+        try {
+            const res = await ContactService.updateMessage(selected._id, changes);
+            applyUpdate(res.data);
+            if (successMessage) toast.success(successMessage);
+        } catch (error) {
+            toast.error(errorMessage(error));
+        }
+    };
+
+    const handleMove = async (target) => {
+        const label = FOLDERS.find(f => f.id === target).label;
+        await handleUpdate({ folder: target }, `Moved to ${label}`);
+        setSelected(null);
+    };
+
+    const handleReply = async () => {
+        if (!replyBody.trim()) return;
+
+        try {
+            setSending(true);
+            const res = await ContactService.replyToMessage(selected._id, replyBody);
+            applyUpdate(res.data);
+            setReplyBody('');
+            toast.success(res.message);
+        } catch (error) {
+            toast.error(errorMessage(error));
+        } finally {
+            setSending(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!confirm(`Delete the message from ${selected.name}? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            await ContactService.deleteMessage(selected._id);
+            setMessages(prev => prev.filter(message => message._id !== selected._id));
+            setSelected(null);
+            loadCounts();
+            toast.success('Message deleted');
+        } catch (error) {
+            toast.error(errorMessage(error));
+        }
+    };
+
+    const cardClassName = `${isDark ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'} rounded-lg shadow-sm border`;
+    const inputClassName = `px-4 py-2 border rounded-lg ${
+        isDark
+            ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400'
+            : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'
+    } focus:ring-2 focus:ring-blue-500 focus:border-transparent`;
+    const mutedText = isDark ? 'text-gray-400' : 'text-gray-600';
+    const headingText = isDark ? 'text-white' : 'text-gray-900';
+    const secondaryButton = `flex items-center gap-2 px-3 py-2 rounded-lg text-sm transition-colors ${
+        isDark ? 'bg-gray-700 text-gray-200 hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+    }`;
+
+    if (!isAdmin) {
+        return (
+            <AdminProtectedRoute>
+                <div className={`min-h-screen ${isDark ? 'bg-gray-900' : 'bg-gray-50'} flex items-center justify-center p-6`}>
+                    <div className="text-center">
+                        <FiShield className="w-12 h-12 text-red-500 mx-auto mb-4" />
+                        <p className={`font-medium mb-4 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                            Only the site owner can read the contact inbox.
+                        </p>
+                        <Link href="/admin/dashboard" className="text-blue-500 hover:text-blue-600">
+                            Back to dashboard
+                        </Link>
+                    </div>
+                </div>
+            </AdminProtectedRoute>
+        );
+    }
+
+    return (
+        <AdminProtectedRoute>
+            <Head>
+                <title>Inbox - Admin</title>
+                <meta name="robots" content="noindex, nofollow" />
+            </Head>
+
+            <div className={`min-h-screen ${isDark ? 'bg-gray-900' : 'bg-gray-50'} p-6`}>
+                <div className="max-w-7xl mx-auto">
+                    {/* Header */}
+                    <motion.div
+                        initial="hidden"
+                        animate="visible"
+                        variants={staggerContainer}
+                        className="mb-8"
+                    >
+                        <motion.div variants={fadeInUp}>
+                            <Link
+                                href="/admin/dashboard"
+                                className={`inline-flex items-center gap-2 text-sm mb-4 ${isDark ? 'text-gray-400 hover:text-white' : 'text-gray-600 hover:text-gray-900'}`}
+                            >
+                                <FiArrowLeft className="w-4 h-4" />
+                                Dashboard
+                            </Link>
+                        </motion.div>
+                        <motion.h1
+                            variants={fadeInUp}
+                            className={`text-3xl font-bold ${headingText} mb-2`}
+                        >
+                            Inbox
+                        </motion.h1>
+                        <motion.p variants={fadeInUp} className={mutedText}>
+                            Messages sent through the contact form · {counts.unread} unread
+                        </motion.p>
+                    </motion.div>
+
+                    {/* Controls */}
+                    <div className={`${cardClassName} p-6 mb-6`}>
+                        <div className="flex flex-col lg:flex-row gap-4 justify-between items-start lg:items-center">
+                            <div className="flex flex-wrap gap-2">
+                                {FOLDERS.map(({ id, label, icon: Icon }) => (
+                                    <button
+                                        key={id}
+                                        onClick={() => {
+                                            setFolder(id);
+                                            setSelected(null);
+                                        }}
+                                        className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm transition-colors ${
+                                            folder === id
+                                                ? 'bg-blue-500 text-white'
+                                                : isDark ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                        }`}
+                                    >
+                                        <Icon className="w-4 h-4" />
+                                        {label}
+                                        <span className="text-xs opacity-75">{counts[id] || 0}</span>
+                                    </button>
+                                ))}
+                            </div>
+
+                            <div className="flex flex-col sm:flex-row gap-4 sm:items-center">
+                                <label className={`flex items-center gap-2 text-sm ${mutedText}`}>
+                                    <input
+                                        type="checkbox"
+                                        checked={unreadOnly}
+                                        onChange={(e) => setUnreadOnly(e.target.checked)}
+                                        className="rounded"
+                                    />
+                                    Unread only
+                                </label>
+                                <div className="relative">
+                                    <FiSearch className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+                                    <input
+                                        type="text"
+                                        placeholder="Search name, email or text..."
+                                        value={searchTerm}
+                                        onChange={(e) => setSearchTerm(e.target.value)}
+                                        className={`pl-10 ${inputClassName}`}
+                                    />
+                                </div>
+                                <button
+                                    onClick={() => {
+                                        loadMessages();
+                                        loadCounts();
+                                    }}
+                                    className="flex items-center justify-center gap-2 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+                                >
+                                    <FiRefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                                    Refresh
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+
+                    {/* Message list */}
+                    <div className={cardClassName}>
+                        {loading ? (
+                            <div className="flex justify-center py-16">
+                                <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-500"></div>
+                            </div>
+                        ) : messages.length === 0 ? (
+                            <div className="text-center py-16">
+                                <FiMail className={`w-12 h-12 mx-auto mb-4 ${mutedText}`} />
+                                <p className={mutedText}>No messages here</p>
+                            </div>
+                        ) : (
+                            <ul className={`divide-y ${isDark ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                                {messages.map(message => {
+                                    const unread = !message.readAt;
+
+                                    return (
+                                        <li key={message._id}>
+                                            <button
+                                                onClick={() => openMessage(message)}
+                                                className={`w-full text-left px-6 py-4 flex items-start gap-4 transition-colors ${
+                                                    isDark ? 'hover:bg-gray-700/50' : 'hover:bg-gray-50'
+                                                }`}
+                                            >
+                                                <span
+                                                    className={`mt-2 w-2 h-2 rounded-full flex-shrink-0 ${unread ? 'bg-blue-500' : 'bg-transparent'}`}
+                                                    aria-label={unread ? 'Unread' : undefined}
+                                                />
+                                                <div className="flex-1 min-w-0">
+                                                    <div className="flex items-center justify-between gap-4">
+                                                        <p className={`truncate ${unread ? 'font-semibold' : ''} ${headingText}`}>
+                                                            {message.name}
+                                                            <span className={`ml-2 text-sm font-normal ${mutedText}`}>{message.email}</span>
+                                                        </p>
+                                                        <span className={`text-xs flex-shrink-0 ${mutedText}`}>
+                                                            {formatListDate(message.createdAt)}
+                                                        </span>
+                                                    </div>
+                                                    <p className={`text-sm truncate ${unread ? headingText : mutedText}`}>
+                                                        {message.subject || '(no subject)'}
+                                                        <span className={mutedText}> — {message.message}</span>
+                                                    </p>
+                                                    <div className="flex gap-2 mt-1">
+                                                        {message.replies?.length > 0 && (
+                                                            <span className="inline-flex items-center gap-1 text-xs text-green-500">
+                                                                <FiCornerUpLeft className="w-3 h-3" />
+                                                                Replied
+                                                            </span>
+                                                        )}
+                                                        {folder === 'spam' && (
+                                                            <span className="text-xs text-red-500">
+                                                                Score {message.spamScore}
+                                                            </span>
+                                                        )}
+                                                    </div>
+                                                </div>
+                                            </button>
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                        )}
+
+                        {nextCursor && !loading && (
+                            <div className={`p-4 text-center border-t ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
+                                <button
+                                    onClick={() => loadMessages(nextCursor)}
+                                    disabled={loadingMore}
+                                    className={secondaryButton + ' mx-auto disabled:opacity-50'}
+                                >
+                                    {loadingMore ? 'Loading...' : 'Load more'}
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            {/* Message detail panel */}
+            <AnimatePresence>
+                {selected && (
+                    <motion.div
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                        className="fixed inset-0 bg-black/50 z-50 flex justify-end"
+                        onClick={() => setSelected(null)}
+                    >
+                        <motion.div
+                            initial={{ x: '100%' }}
+                            animate={{ x: 0 }}
+                            exit={{ x: '100%' }}
+                            transition={{ type: 'tween', duration: 0.25 }}
+                            className={`w-full max-w-2xl h-full overflow-y-auto ${isDark ? 'bg-gray-800' : 'bg-white'} p-6`}
+                            onClick={(e) => e.stopPropagation()}
+                        >
+                            <div className="flex items-start justify-between mb-6">
+                                <div className="min-w-0">
+                                    <h2 className={`text-xl font-bold ${headingText} break-words`}>
+                                        {selected.message === undefined ? 'Loading...' : selected.subject || '(no subject)'}
+                                    </h2>
+                                    {selected.email && (
+                                        <p className={`text-sm ${mutedText}`}>
+                                            {selected.name} &lt;{selected.email}&gt; · {new Date(selected.createdAt).toLocaleString()}
+                                        </p>
+                                    )}
+                                </div>
+                                <button onClick={() => setSelected(null)} className={mutedText} aria-label="Close">
+                                    <FiX className="w-5 h-5" />
+                                </button>
+                            </div>
+
+                            {selected.message === undefined ? (
+                                <div className="flex justify-center py-16">
+                                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+                                </div>
+                            ) : (
+                                <>
+                                    {/* Actions */}
+                                    <div className="flex flex-wrap gap-2 mb-6">
+                                        <button
+                                            onClick={() => handleUpdate({ read: !selected.readAt }, selected.readAt ? 'Marked unread' : 'Marked read')}
+                                            className={secondaryButton}
+                                        >
+                                            <FiMail className="w-4 h-4" />
+                                            {selected.readAt ? 'Mark unread' : 'Mark read'}
+                                        </button>
+                                        {selected.folder !== 'inbox' && (
+                                            <button onClick={() => handleMove('inbox')} className={secondaryButton}>
+                                                <FiInbox className="w-4 h-4" />
+                                                {selected.folder === 'spam' ? 'Not spam' : 'Move to inbox'}
+                                            </button>
+                                        )}
+                                        {selected.folder !== 'archived' && (
+                                            <button onClick={() => handleMove('archived')} className={secondaryButton}>
+                                                <FiArchive className="w-4 h-4" />
+                                                Archive
+                                            </button>
+                                        )}
+                                        {selected.folder !== 'spam' && (
+                                            <button onClick={() => handleMove('spam')} className={secondaryButton}>
+                                                <FiAlertOctagon className="w-4 h-4" />
+                                                Spam
+                                            </button>
+                                        )}
+                                        <button
+                                            onClick={handleDelete}
+                                            className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm bg-red-500 text-white hover:bg-red-600 transition-colors"
+                                        >
+                                            <FiTrash2 className="w-4 h-4" />
+                                            Delete
+                                        </button>
+                                    </div>
+
+                                    {selected.spamReasons?.length > 0 && (
+                                        <div className="mb-6 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-sm text-red-500">
+                                            Spam score {selected.spamScore}: {selected.spamReasons.join('; ')}
+                                        </div>
+                                    )}
+
+                                    <div className={`whitespace-pre-line break-words mb-8 ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>
+                                        {selected.message}
+                                    </div>
+
+                                    {/* Previous replies */}
+                                    {selected.replies?.length > 0 && (
+                                        <div className="space-y-4 mb-8">
+                                            <h3 className={`text-sm font-semibold uppercase tracking-wide ${mutedText}`}>Replies</h3>
+                                            {selected.replies.map(reply => (
+                                                <div
+                                                    key={reply._id}
+                                                    className={`p-4 rounded-lg border-l-4 border-blue-500 ${isDark ? 'bg-gray-700/50' : 'bg-gray-50'}`}
+                                                >
+                                                    <p className={`text-xs mb-2 ${mutedText}`}>
+                                                        {reply.sentBy ? `${reply.sentBy.firstName} ${reply.sentBy.lastName}` : 'Admin'} · {new Date(reply.sentAt).toLocaleString()}
+                                                    </p>
+                                                    <p className={`whitespace-pre-line break-words ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>
+                                                        {reply.body}
+                                                    </p>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+
+                                    {/* Reply form */}
+                                    {selected.folder !== 'spam' && (
+                                        <div>
+                                            <label htmlFor="reply-body" className={`block text-sm font-medium mb-2 ${headingText}`}>
+                                                Reply to {selected.name}
+                                            </label>
+                                            <textarea
+                                                id="reply-body"
+                                                rows={6}
+                                                value={replyBody}
+                                                onChange={(e) => setReplyBody(e.target.value)}
+                                                maxLength={10000}
+                                                placeholder="Your reply is emailed to the sender with their message quoted below it"
+                                                className={`w-full ${inputClassName}`}
+                                            />
+                                            <div className="flex justify-end mt-3">
+                                                <button
+                                                    onClick={handleReply}
+                                                    disabled={sending || !replyBody.trim()}
+                                                    className="flex items-center gap-2 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors disabled:opacity-50"
+                                                >
+                                                    <FiSend className="w-4 h-4" />
+                                                    {sending ? 'Sending...' : 'Send reply'}
+                                                </button>
+                                            </div>
+                                        </div>
+                                    )}
+                                </>
+                            )}
+                        </motion.div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </AdminProtectedRoute>
+    );
+};
+
+export default ContactInbox;
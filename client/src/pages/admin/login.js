@@ -9,6 +9,7 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import Head from 'next/head';
+import Link from 'next/link';
 import { motion } from 'framer-motion';
 import { FiMail, FiLock, FiEye, FiEyeOff, FiShield, FiAlertCircle } from 'react-icons/fi';
 import { useAuth } from '../../context/AuthContext';
@@ -290,9 +291,12 @@ export default function AdminLoginPage() {
                     MAINTAIN_SESSION
                   </span>
                 </label>
-                <div className="text-green-700 font-mono text-xs">
-                  SESSION_TIMEOUT: 7d
-                </div>
+                <Link
+                  href="/admin/forgot-password"
+                  className="text-green-700 hover:text-green-400 font-mono text-xs transition-colors"
+                >
+                  FORGOT_ACCESS_KEY?
+                </Link>
               </motion.div>
 
               {/* Submit Button */}
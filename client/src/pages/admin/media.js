@@ -0,0 +1,502 @@
+/**
+ * @fileoverview Admin Media Library Page
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { motion, AnimatePresence } from 'framer-motion';
+import toast from 'react-hot-toast';
+import {
+    FiImage,
+    FiSearch,
+    FiArrowLeft,
+    FiTrash2,
+    FiCopy,
+    FiX,
+    FiRefreshCw,
+    FiAlertTriangle,
+    FiLink,
+    FiCloud,
+    FiHardDrive
+} from 'react-icons/fi';
+import { useTheme } from '../../context/ThemeContext';
+import { useAuth } from '../../context/AuthContext';
+import AdminProtectedRoute from '../../components/admin/AdminProtectedRoute';
+import MediaService from '../../services/media-service';
+
+const KIND_LABELS = {
+    content: 'Post content',
+    avatar: 'Avatar',
+    project: 'Project',
+    'company-logo': 'Company logo',
+    other: 'Other'
+};
+
+const USAGE_LABELS = {
+    Blog: 'Blog post',
+    BlogDraft: 'Unsaved draft',
+    BlogRevision: 'Post revision',
+    Project: 'Project',
+    PersonalInfo: 'Profile',
+    Experience: 'Experience'
+};
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
+ */
+const formatBytes = (bytes) => {
+    if (!bytes) return '—';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const MediaLibrary = () => {
+    const { isDark } = useTheme();
+    const { hasPermission } = useAuth();
+    const [media, setMedia] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [searchTerm, setSearchTerm] = useState('');
+    const [filterKind, setFilterKind] = useState('all');
+    const [filterStatus, setFilterStatus] = useState('all');
+    const [currentPage, setCurrentPage] = useState(1);
+    const [totalPages, setTotalPages] = useState(1);
+    const [selected, setSelected] = useState(null);
+    const [altText, setAltText] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [reconciling, setReconciling] = useState(false);
+
+    const canDelete = hasPermission('media:delete');
+
+    // Animation variants
+    const fadeInUp = {
+        hidden: { opacity: 0, y: 20 },
+        visible: { opacity: 1, y: 0, transition: { duration: 0.4 } }
+    };
+
+    const staggerContainer = {
+        hidden: { opacity: 0 },
+        visible: {
+            opacity: 1,
+            transition: { staggerChildren: 0.1 }
+        }
+    };
+
+    useEffect(() => {
+        const timer = setTimeout(() => loadMedia(), 300);
+        return () => clearTimeout(timer);
+    }, [currentPage, filterKind, filterStatus, searchTerm]);
+
+    const loadMedia = async () => {
+        try {
+            setLoading(true);
+            const res = await MediaService.getMedia({
+                page: currentPage,
+                limit: 24,
+                kind: filterKind === 'all' ? undefined : filterKind,
+                status: filterStatus === 'all' ? undefined : filterStatus,
+                search: searchTerm || undefined
+            });
+
+            setMedia(res.data.media);
+            setTotalPages(res.data.pagination.totalPages || 1);
+        } catch (error) {
+            console.error('Failed to load media:', error);
+            toast.error('Failed to load media library');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    /**
+     * Open the detail panel; usage is re-checked on the server each time
+     */
+    const openDetails = async (item) => {
+        setSelected(item);
+        setAltText(item.alt || '');
+
+        try {
+            const res = await MediaService.getMediaItem(item._id);
+            setSelected(res.data);
+        } catch (error) {
+            console.error('Failed to load media details:', error);
+        }
+    };
+
+    const handleSaveAlt = async () => {
+        try {
+            setSaving(true);
+            const res = await MediaService.updateMedia(selected._id, altText);
+            setSelected(prev => ({ ...prev, alt: res.data.alt }));
+            setMedia(prev => prev.map(item => (item._id === selected._id ? { ...item, alt: res.data.alt } : item)));
+            toast.success('Alt text saved');
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!confirm(`Delete ${selected.originalName || 'this file'}? It is removed from storage and cannot be recovered.`)) {
+            return;
+        }
+
+        try {
+            await MediaService.deleteMedia(selected._id);
+            toast.success('Media deleted');
+            setSelected(null);
+            loadMedia();
+        } catch (error) {
+            toast.error(error.message);
+            // The server refused because something references it; show the fresh usage list
+            openDetails(selected);
+        }
+    };
+
+    const handleReconcile = async (purge) => {
+        if (purge && !confirm('Delete every asset that has been unreferenced for the whole grace period?')) {
+            return;
+        }
+
+        try {
+            setReconciling(true);
+            const res = await MediaService.reconcile(purge);
+            const report = res.data;
+            toast.success(
+                `Checked ${report.checked} · ${report.orphaned} orphaned · ${report.purged} purged` +
+                (report.backfilled ? ` · ${report.backfilled} added` : '')
+            );
+            loadMedia();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setReconciling(false);
+        }
+    };
+
+    const copyToClipboard = async (text, label) => {
+        try {
+            await navigator.clipboard.writeText(text);
+            toast.success(`${label} copied`);
+        } catch (error) {
+            toast.error('Clipboard is not available');
+        }
+    };
+
+    const cardClassName = `${isDark ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'} rounded-lg shadow-sm border`;
+    const inputClassName = `px-4 py-2 border rounded-lg ${
+        isDark
+            ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400'
+            : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'
+    } focus:ring-2 focus:ring-blue-500 focus:border-transparent`;
+    const mutedText = isDark ? 'text-gray-400' : 'text-gray-600';
+
+    return (
+        <AdminProtectedRoute>
+            <Head>
+                <title>Media Library - Admin</title>
+                <meta name="robots" content="noindex, nofollow" />
+            </Head>
+
+            <div className={`min-h-screen ${isDark ? 'bg-gray-900' : 'bg-gray-50'} p-6`}>
+                <div className="max-w-7xl mx-auto">
+                    {/* Header */}
+                    <motion.div
+                        initial="hidden"
+                        animate="visible"
+                        variants={staggerContainer}
+                        className="mb-8"
+                    >
+                        <motion.div variants={fadeInUp}>
+                            <Link
+                                href="/admin/dashboard"
+                                className={`inline-flex items-center gap-2 text-sm mb-4 ${isDark ? 'text-gray-400 hover:text-white' : 'text-gray-600 hover:text-gray-900'}`}
+                            >
+                                <FiArrowLeft className="w-4 h-4" />
+                                Dashboard
+                            </Link>
+                        </motion.div>
+                        <motion.h1
+                            variants={fadeInUp}
+                            className={`text-3xl font-bold ${isDark ? 'text-white' : 'text-gray-900'} mb-2`}
+                        >
+                            Media Library
+                        </motion.h1>
+                        <motion.p variants={fadeInUp} className={mutedText}>
+                            Every uploaded file, where it is used, and orphans waiting to be cleaned up
+                        </motion.p>
+                    </motion.div>
+
+                    {/* Controls */}
+                    <div className={`${cardClassName} p-6 mb-6`}>
+                        <div className="flex flex-col md:flex-row gap-4 justify-between items-start md:items-center">
+                            <div className="flex flex-col sm:flex-row gap-4 flex-1">
+                                <div className="relative">
+                                    <FiSearch className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+                                    <input
+                                        type="text"
+                                        placeholder="Search file name or alt text..."
+                                        value={searchTerm}
+                                        onChange={(e) => {
+                                            setSearchTerm(e.target.value);
+                                            setCurrentPage(1);
+                                        }}
+                                        className={`pl-10 ${inputClassName}`}
+                                    />
+                                </div>
+
+                                <select
+                                    value={filterKind}
+                                    onChange={(e) => {
+                                        setFilterKind(e.target.value);
+                                        setCurrentPage(1);
+                                    }}
+                                    className={inputClassName}
+                                >
+                                    <option value="all">All Types</option>
+                                    {Object.entries(KIND_LABELS).map(([kind, label]) => (
+                                        <option key={kind} value={kind}>{label}</option>
+                                    ))}
+                                </select>
+
+                                <select
+                                    value={filterStatus}
+                                    onChange={(e) => {
+                                        setFilterStatus(e.target.value);
+                                        setCurrentPage(1);
+                                    }}
+                                    className={inputClassName}
+                                >
+                                    <option value="all">All Files</option>
+                                    <option value="in-use">In Use</option>
+                                    <option value="orphaned">Orphaned</option>
+                                </select>
+                            </div>
+
+                            {canDelete && (
+                                <div className="flex gap-2">
+                                    <button
+                                        onClick={() => handleReconcile(false)}
+                                        disabled={reconciling}
+                                        className="flex items-center gap-2 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors disabled:opacity-50"
+                                    >
+                                        <FiRefreshCw className={`w-4 h-4 ${reconciling ? 'animate-spin' : ''}`} />
+                                        Scan Usage
+                                    </button>
+                                    <button
+                                        onClick={() => handleReconcile(true)}
+                                        disabled={reconciling}
+                                        className="flex items-center gap-2 px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors disabled:opacity-50"
+                                    >
+                                        <FiTrash2 className="w-4 h-4" />
+                                        Purge Orphans
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    </div>
+
+                    {/* Grid */}
+                    {loading ? (
+                        <div className="flex items-center justify-center py-16">
+                            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-500"></div>
+                        </div>
+                    ) : media.length === 0 ? (
+                        <div className={`${cardClassName} p-12 text-center`}>
+                            <FiImage className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                            <p className={mutedText}>No media found.</p>
+                        </div>
+                    ) : (
+                        <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6 gap-4">
+                            {media.map(item => (
+                                <button
+                                    key={item._id}
+                                    onClick={() => openDetails(item)}
+                                    className={`${cardClassName} text-left overflow-hidden hover:ring-2 hover:ring-blue-500 transition-all`}
+                                >
+                                    <div className={`aspect-square flex items-center justify-center overflow-hidden ${isDark ? 'bg-gray-900' : 'bg-gray-100'}`}>
+                                        <img
+                                            src={item.thumbnailUrl || item.url}
+                                            alt={item.alt || item.originalName}
+                                            loading="lazy"
+                                            className="max-h-full max-w-full object-contain"
+                                        />
+                                    </div>
+                                    <div className="p-2">
+                                        <p className={`text-xs font-medium truncate ${isDark ? 'text-white' : 'text-gray-900'}`} title={item.originalName}>
+                                            {item.originalName || 'Untitled'}
+                                        </p>
+                                        <div className="flex items-center justify-between mt-1">
+                                            <span className={`text-xs ${mutedText}`}>{formatBytes(item.bytes)}</span>
+                                            {item.orphanedAt ? (
+                                                <span className="text-xs text-yellow-500">Orphaned</span>
+                                            ) : (
+                                                <span className={`text-xs ${mutedText}`}>{item.usageCount} use{item.usageCount === 1 ? '' : 's'}</span>
+                                            )}
+                                        </div>
+                                    </div>
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
+                    {/* Pagination */}
+                    {totalPages > 1 && (
+                        <div className="flex items-center justify-center gap-4 mt-6">
+                            <button
+                                onClick={() => setCurrentPage(p => Math.max(1, p - 1))}
+                                disabled={currentPage <= 1}
+                                className={`px-4 py-2 rounded-lg border disabled:opacity-40 ${isDark ? 'border-gray-700 text-gray-300' : 'border-gray-300 text-gray-700'}`}
+                            >
+                                Previous
+                            </button>
+                            <span className={mutedText}>Page {currentPage} of {totalPages}</span>
+                            <button
+                                onClick={() => setCurrentPage(p => Math.min(totalPages, p + 1))}
+                                disabled={currentPage >= totalPages}
+                                className={`px-4 py-2 rounded-lg border disabled:opacity-40 ${isDark ? 'border-gray-700 text-gray-300' : 'border-gray-300 text-gray-700'}`}
+                            >
+                                Next
+                            </button>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            {/* Details Panel */}
+            <AnimatePresence>
+                {selected && (
+                    <motion.div
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                        className="fixed inset-0 bg-black/50 z-50 flex justify-end"
+                        onClick={() => setSelected(null)}
+                    >
+                        <motion.aside
+                            initial={{ x: '100%' }}
+                            animate={{ x: 0 }}
+                            exit={{ x: '100%' }}
+                            transition={{ type: 'tween', duration: 0.25 }}
+                            className={`w-full max-w-md h-full overflow-y-auto p-6 ${isDark ? 'bg-gray-800' : 'bg-white'}`}
+                            onClick={(e) => e.stopPropagation()}
+                        >
+                            <div className="flex items-center justify-between mb-4">
+                                <h2 className={`text-lg font-semibold truncate ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                                    {selected.originalName || 'Media details'}
+                                </h2>
+                                <button onClick={() => setSelected(null)} className={mutedText}>
+                                    <FiX className="w-5 h-5" />
+                                </button>
+                            </div>
+
+                            <div className={`rounded-lg overflow-hidden mb-4 flex items-center justify-center ${isDark ? 'bg-gray-900' : 'bg-gray-100'}`}>
+                                <img src={selected.url} alt={selected.alt || selected.originalName} className="max-h-64 object-contain" />
+                            </div>
+
+                            <dl className={`grid grid-cols-2 gap-2 text-sm mb-4 ${mutedText}`}>
+                                <dt>Storage</dt>
+                                <dd className="flex items-center gap-1">
+                                    {selected.storage === 'cloudinary' ? <FiCloud className="w-4 h-4" /> : <FiHardDrive className="w-4 h-4" />}
+                                    {selected.storage}
+                                </dd>
+                                <dt>Type</dt>
+                                <dd>{KIND_LABELS[selected.kind] || selected.kind}</dd>
+                                <dt>Size</dt>
+                                <dd>{formatBytes(selected.bytes)}{selected.width ? ` · ${selected.width}×${selected.height}` : ''}</dd>
+                                <dt>Uploaded</dt>
+                                <dd>{new Date(selected.createdAt).toLocaleDateString()}</dd>
+                            </dl>
+
+                            {/* Reuse */}
+                            <div className="flex gap-2 mb-6">
+                                <button
+                                    onClick={() => copyToClipboard(selected.url, 'URL')}
+                                    className="flex-1 flex items-center justify-center gap-2 px-3 py-2 border border-blue-500 text-blue-500 rounded-lg hover:bg-blue-500/10 text-sm"
+                                >
+                                    <FiLink className="w-4 h-4" />
+                                    Copy URL
+                                </button>
+                                <button
+                                    onClick={() => copyToClipboard(`![${selected.alt || ''}](${selected.url})`, 'Markdown')}
+                                    className="flex-1 flex items-center justify-center gap-2 px-3 py-2 border border-blue-500 text-blue-500 rounded-lg hover:bg-blue-500/10 text-sm"
+                                >
+                                    <FiCopy className="w-4 h-4" />
+                                    Copy Markdown
+                                </button>
+                            </div>
+
+                            {/* Alt text */}
+                            <label className={`block text-sm font-medium mb-1 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                                Default alt text
+                            </label>
+                            <textarea
+                                value={altText}
+                                onChange={(e) => setAltText(e.target.value)}
+                                rows={2}
+                                maxLength={300}
+                                className={`w-full ${inputClassName}`}
+                            />
+                            <button
+                                onClick={handleSaveAlt}
+                                disabled={saving || altText === (selected.alt || '')}
+                                className="mt-2 mb-6 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 text-sm disabled:opacity-50"
+                            >
+                                {saving ? 'Saving...' : 'Save Alt Text'}
+                            </button>
+
+                            {/* Usage */}
+                            <h3 className={`text-sm font-semibold mb-2 ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                                Used in
+                            </h3>
+                            {selected.usage?.length > 0 ? (
+                                <ul className="space-y-2 mb-6">
+                                    {selected.usage.map(usage => (
+                                        <li key={`${usage.model}-${usage.document}`} className={`text-sm ${mutedText}`}>
+                                            <span className="font-medium">{USAGE_LABELS[usage.model] || usage.model}</span>
+                                            {usage.label && <> · {usage.label}</>}
+                                            {usage.fields?.length > 0 && (
+                                                <span className="block text-xs opacity-75">{usage.fields.join(', ')}</span>
+                                            )}
+                                        </li>
+                                    ))}
+                                </ul>
+                            ) : (
+                                <p className={`text-sm mb-6 ${mutedText}`}>Not referenced anywhere.</p>
+                            )}
+
+                            {canDelete && (
+                                <>
+                                    {selected.usage?.length > 0 && (
+                                        <p className="flex items-start gap-2 text-sm text-yellow-500 mb-2">
+                                            <FiAlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                                            Remove it from everything listed above before deleting.
+                                        </p>
+                                    )}
+                                    <button
+                                        onClick={handleDelete}
+                                        disabled={selected.usage?.length > 0}
+                                        className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    >
+                                        <FiTrash2 className="w-4 h-4" />
+                                        Delete
+                                    </button>
+                                </>
+                            )}
+                        </motion.aside>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </AdminProtectedRoute>
+    );
+};
+
+export default MediaLibrary;
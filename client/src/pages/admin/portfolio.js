@@ -39,11 +39,13 @@ import {
   FiStar,
   FiAward,
   FiTarget,
-  FiDownload
+  FiDownload,
+  FiUploadCloud
 } from 'react-icons/fi';
 import { useAuth } from '../../context/AuthContext';
 import PortfolioManagementService from '../../services/portfolio-management-service';
 import ResumeManager from '../../components/admin/ResumeManager';
+import ContentBackupManager from '../../components/admin/ContentBackupManager';
 
 /**
  * Admin Portfolio Management Page Component
@@ -414,6 +416,23 @@ export default function AdminPortfolioPage() {
                       </div>
                     </motion.div>
                   </Link>
+
+                  <Link href="/admin/portfolio/import">
+                    <motion.div
+                      whileHover={{ scale: 1.02 }}
+                      className="flex items-center space-x-3 p-4 bg-yellow-500/10 hover:bg-yellow-500/20 rounded-lg border border-yellow-500/20 hover:border-yellow-500/40 transition-all duration-300 cursor-pointer group"
+                    >
+                      <FiUploadCloud className="w-5 h-5 text-yellow-400 group-hover:animate-pulse" />
+                      <div>
+                        <div className="text-sm font-mono font-medium text-yellow-300">
+                          Import Resume Data
+                        </div>
+                        <div className="text-xs text-yellow-600">
+                          JSON Resume or LinkedIn export
+                        </div>
+                      </div>
+                    </motion.div>
+                  </Link>
                 </div>
               </div>
             </motion.div>
@@ -422,6 +441,11 @@ export default function AdminPortfolioPage() {
             <motion.div variants={fadeInUp}>
               <ResumeManager />
             </motion.div>
+
+            {/* Backup & Restore */}
+            <motion.div variants={fadeInUp}>
+              <ContentBackupManager />
+            </motion.div>
           </motion.div>
         </main>
       </div>
@@ -433,3 +457,4 @@ export default function AdminPortfolioPage() {
  * Require authentication for this page
  */
 AdminPortfolioPage.requireAuth = true;
+AdminPortfolioPage.requiredPermission = 'portfolio:write';
@@ -25,9 +25,11 @@ import {
   FiMapPin,
   FiExternalLink,
   FiUpload,
-  FiImage
+  FiImage,
+  FiMove
 } from 'react-icons/fi';
 import { useAuth } from '../../../context/AuthContext';
+import { useSortableList } from '../../../hooks/useSortableList';
 import PortfolioManagementService from '../../../services/portfolio-management-service';
 
 export default function ExperiencePage() {
@@ -52,8 +54,7 @@ export default function ExperiencePage() {
     location: '',
     companyUrl: '',
     technologies: [],
-    achievements: [],
-    order: 0
+    achievements: []
   });
   const [errors, setErrors] = useState({});
   const [companyLogo, setCompanyLogo] = useState(null);
@@ -130,8 +131,7 @@ export default function ExperiencePage() {
     const { name, value, type, checked } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: type === 'checkbox' ? checked : 
-              name === 'order' ? parseInt(value) || 0 : value
+      [name]: type === 'checkbox' ? checked : value
     }));
     
     // Clear error for this field
@@ -306,8 +306,7 @@ export default function ExperiencePage() {
       location: experience.location || '',
       companyUrl: experience.companyUrl || '',
       technologies: experience.technologies || [],
-      achievements: experience.achievements || [],
-      order: experience.order || 0
+      achievements: experience.achievements || []
     });
     
     // Set existing logo
@@ -342,8 +341,7 @@ export default function ExperiencePage() {
       location: '',
       companyUrl: '',
       technologies: [],
-      achievements: [],
-      order: 0
+      achievements: []
     });
     setEditingExperience(null);
     setShowForm(false);
@@ -394,6 +392,14 @@ export default function ExperiencePage() {
     });
   };
 
+  const sortable = useSortableList({
+    collection: 'experience',
+    items: experiences,
+    setItems: setExperiences,
+    getLabel: experience => `${experience.position} at ${experience.company}`,
+    onError: () => showMessage('error', 'Failed to save experience order')
+  });
+
   const goBackToPortfolio = () => {
     router.push('/admin/portfolio');
   };
@@ -516,10 +522,12 @@ export default function ExperiencePage() {
                 </motion.div>
               ) : (
                 <div className="space-y-6">
-                  {experiences.map((experience, index) => (
+                  {sortable.orderedItems.map((experience, index) => (
                     <motion.div
                       key={experience.id}
+                      layout
                       variants={fadeInUp}
+                      {...sortable.getItemProps(experience)}
                       className="relative"
                     >
                       {/* Timeline Line */}
@@ -528,7 +536,9 @@ export default function ExperiencePage() {
                       )}
                       
                       {/* Experience Card */}
-                      <div className="bg-gradient-to-br from-gray-900/50 to-black/50 backdrop-blur-xl rounded-xl border border-purple-500/20 p-6 hover:border-purple-500/40 transition-all duration-300 ml-12 relative">
+                      <div className={`bg-gradient-to-br from-gray-900/50 to-black/50 backdrop-blur-xl rounded-xl border p-6 hover:border-purple-500/40 transition-colors duration-300 ml-12 relative ${
+                        sortable.activeId === String(experience.id) ? 'border-purple-400 shadow-lg shadow-purple-500/20' : 'border-purple-500/20'
+                      }`}>
                         {/* Timeline Dot */}
                         <div className="absolute -left-12 top-6 w-3 h-3 bg-purple-500 rounded-full border-2 border-black shadow-lg"></div>
                         
@@ -596,6 +606,12 @@ export default function ExperiencePage() {
                           </div>
                           
                           <div className="flex items-center space-x-2">
+                            <button
+                              {...sortable.getHandleProps(experience)}
+                              className="p-2 text-purple-600 hover:text-purple-400 cursor-grab active:cursor-grabbing rounded focus:outline-none focus:ring-2 focus:ring-purple-500/50 transition-colors"
+                            >
+                              <FiMove className="w-4 h-4" />
+                            </button>
                             <button
                               onClick={() => handleEditExperience(experience)}
                               className="p-2 text-purple-600 hover:text-purple-400 transition-colors"
@@ -655,6 +671,7 @@ export default function ExperiencePage() {
                   ))}
                 </div>
               )}
+              <p className="sr-only" aria-live="assertive">{sortable.announcement}</p>
             </motion.div>
           )}
 
@@ -984,24 +1001,6 @@ export default function ExperiencePage() {
                   )}
                 </div>
 
-                {/* Display Order */}
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                  <div>
-                    <label className="block text-purple-400 font-mono text-sm mb-2">
-                      DISPLAY_ORDER
-                    </label>
-                    <input
-                      type="number"
-                      name="order"
-                      value={formData.order}
-                      onChange={handleInputChange}
-                      min="0"
-                      className="w-full px-4 py-3 bg-gray-900/50 border border-purple-500/30 rounded-lg font-mono text-purple-300 focus:outline-none focus:ring-2 focus:ring-purple-500/50 transition-all duration-300"
-                      placeholder="0"
-                    />
-                  </div>
-                </div>
-
                 {/* Form Actions */}
                 <div className="flex items-center justify-end space-x-4 pt-6 border-t border-purple-500/20">
                   <button
@@ -1039,3 +1038,4 @@ export default function ExperiencePage() {
 }
 
 ExperiencePage.requireAuth = true;
+ExperiencePage.requiredPermission = 'portfolio:write';
@@ -0,0 +1,438 @@
+/**
+ * @fileoverview Resume Import Page - Review JSON Resume and LinkedIn data before importing it
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import {
+  FiArrowLeft,
+  FiUploadCloud,
+  FiDownload,
+  FiAlertCircle,
+  FiAlertTriangle,
+  FiCheckCircle,
+  FiRefreshCw
+} from 'react-icons/fi';
+import { useAuth } from '../../../context/AuthContext';
+import PortfolioManagementService from '../../../services/portfolio-management-service';
+
+const SECTIONS = [
+  { id: 'personalInfo', label: 'Personal Info' },
+  { id: 'socialLinks', label: 'Social Links' },
+  { id: 'experience', label: 'Experience' },
+  { id: 'skills', label: 'Skills' },
+  { id: 'projects', label: 'Projects' }
+];
+
+const STATUS_STYLES = {
+  new: 'text-green-300 bg-green-500/10 border-green-500/30',
+  update: 'text-blue-300 bg-blue-500/10 border-blue-500/30',
+  unchanged: 'text-gray-400 bg-gray-500/10 border-gray-500/30'
+};
+
+const DATE_FIELDS = ['startDate', 'endDate'];
+const LONG_TEXT_FIELDS = ['description', 'longDescription'];
+
+/**
+ * Missing or invalid top-level fields can be filled in here; nested ones
+ * (like a technology's category) are only reported
+ * @param {string} field - Field path from the server
+ * @returns {boolean} Whether the review screen offers an input for it
+ */
+const isEditable = (field) => !field.includes('.');
+
+export default function ResumeImportPage() {
+  const router = useRouter();
+  const { isAuthenticated, loading } = useAuth();
+  const fileInputRef = useRef(null);
+
+  const [preview, setPreview] = useState(null);
+  const [items, setItems] = useState([]);
+  const [fileName, setFileName] = useState('');
+  const [isParsing, setIsParsing] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [summary, setSummary] = useState(null);
+
+  // Redirect if not authenticated
+  useEffect(() => {
+    if (!loading && !isAuthenticated) {
+      router.push('/admin/login');
+    }
+  }, [isAuthenticated, loading, router]);
+
+  const goBackToPortfolio = () => {
+    router.push('/admin/portfolio');
+  };
+
+  const handleExport = async () => {
+    try {
+      setIsExporting(true);
+      const result = await PortfolioManagementService.exportJsonResume();
+      toast.success(`Downloaded ${result.data.fileName}`);
+    } catch (error) {
+      console.error('[ResumeImport] Export failed:', error);
+      toast.error(error.message || 'Failed to export JSON Resume');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    try {
+      setIsParsing(true);
+      setSummary(null);
+      setFileName(file.name);
+      const response = await PortfolioManagementService.previewResumeImport(file);
+
+      setPreview(response.data);
+      // New, valid items are accepted by default; updating an existing record is opt-in
+      setItems(response.data.items.map(item => ({
+        ...item,
+        accepted: item.status === 'new' && Object.keys(item.errors).length === 0,
+        edits: {}
+      })));
+    } catch (error) {
+      console.error('[ResumeImport] Preview failed:', error);
+      toast.error(error.message || 'Failed to read file');
+      setPreview(null);
+    } finally {
+      setIsParsing(false);
+      if (fileInputRef.current) {
+        fileInputRef.current.value = '';
+      }
+    }
+  };
+
+  const updateItem = (id, changes) => {
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  };
+
+  const setEdit = (item, field, value) => {
+    updateItem(item.id, { edits: { ...item.edits, [field]: value } });
+  };
+
+  const selectAll = (predicate) => {
+    setItems(prev => prev.map(item => (item.status === 'unchanged' ? item : { ...item, accepted: predicate(item) })));
+  };
+
+  /**
+   * Fields an accepted item still needs before it can be imported
+   * @param {Object} item - Review item
+   * @returns {Array<string>} Field names
+   */
+  const missingFields = (item) => Object.keys(item.errors)
+    .filter(field => !isEditable(field) || !String(item.edits[field] ?? '').trim());
+
+  const acceptedItems = items.filter(item => item.accepted);
+  const blockedItems = acceptedItems.filter(item => missingFields(item).length > 0);
+
+  const handleImport = async () => {
+    try {
+      setIsImporting(true);
+      const response = await PortfolioManagementService.importResumeItems(acceptedItems.map(item => ({
+        section: item.section,
+        data: { ...item.data, ...item.edits },
+        defaults: item.defaults
+      })));
+
+      setSummary(response.data.summary);
+      setPreview(null);
+      setItems([]);
+      toast.success('Import complete');
+    } catch (error) {
+      console.error('[ResumeImport] Import failed:', error);
+      toast.error(error.message || 'Failed to import');
+
+      // Show the server's per-item validation errors next to the items
+      if (Array.isArray(error.details)) {
+        setItems(prev => prev.map(item => {
+          const failure = error.details.find(detail => detail.section === item.section && detail.label === item.label);
+          return failure ? { ...item, errors: failure.errors } : item;
+        }));
+      }
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const renderFieldInput = (item, field, message) => {
+    const value = item.edits[field] ?? '';
+    const inputClass = 'w-full px-3 py-2 bg-black/50 border border-yellow-500/30 rounded text-sm font-mono text-green-300 focus:outline-none focus:border-green-400';
+
+    return (
+      <div key={field}>
+        <label className="block text-xs font-mono text-yellow-400 mb-1">
+          {field}: {message}
+        </label>
+        {isEditable(field) && (
+          LONG_TEXT_FIELDS.includes(field) ? (
+            <textarea
+              rows={3}
+              value={value}
+              onChange={(e) => setEdit(item, field, e.target.value)}
+              className={inputClass}
+            />
+          ) : (
+            <input
+              type={DATE_FIELDS.includes(field) ? 'date' : 'text'}
+              value={value}
+              onChange={(e) => setEdit(item, field, e.target.value)}
+              className={inputClass}
+            />
+          )
+        )}
+      </div>
+    );
+  };
+
+  const renderItem = (item) => {
+    const errorFields = Object.entries(item.errors);
+    const isUnchanged = item.status === 'unchanged';
+
+    return (
+      <div
+        key={item.id}
+        className={`p-4 rounded-lg border transition-all duration-300 ${
+          item.accepted ? 'bg-green-500/5 border-green-500/30' : 'bg-gray-900/40 border-gray-700/50'
+        }`}
+      >
+        <label className={`flex items-start space-x-3 ${isUnchanged ? 'cursor-default' : 'cursor-pointer'}`}>
+          <input
+            type="checkbox"
+            checked={item.accepted}
+            disabled={isUnchanged}
+            onChange={(e) => updateItem(item.id, { accepted: e.target.checked })}
+            className="mt-1 accent-green-500"
+            aria-label={`Import ${item.label}`}
+          />
+          <div className="flex-1 min-w-0">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-sm font-mono text-green-300 truncate">{item.label}</span>
+              <span className={`px-2 py-0.5 text-[10px] font-mono rounded border ${STATUS_STYLES[item.status]}`}>
+                {item.status.toUpperCase()}
+              </span>
+            </div>
+            {item.existing && (
+              <div className="text-xs font-mono text-gray-500 mt-1">
+                {isUnchanged
+                  ? `Already in your portfolio as "${item.existing.label}"`
+                  : `Matches "${item.existing.label}"; updates ${item.changes.join(', ')}`}
+              </div>
+            )}
+          </div>
+        </label>
+
+        {item.accepted && errorFields.length > 0 && (
+          <div className="mt-3 ml-7 space-y-2">
+            {errorFields.map(([field, message]) => renderFieldInput(item, field, message))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-black flex items-center justify-center">
+        <div className="text-center">
+          <div className="w-8 h-8 border-2 border-t-transparent border-green-400 rounded-full animate-spin mx-auto mb-4" style={{
+            animationDuration: '1s',
+            animationTimingFunction: 'linear'
+          }}></div>
+          <p className="text-green-300 text-sm font-medium">Loading...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <Head>
+        <title>Import Resume Data - Portfolio Management</title>
+        <meta name="description" content="Import experience, skills and projects from JSON Resume or LinkedIn" />
+        <meta name="robots" content="noindex, nofollow" />
+      </Head>
+
+      <div className="min-h-screen bg-black relative overflow-hidden">
+        {/* Cyber Grid Background */}
+        <div className="absolute inset-0 opacity-10">
+          <div className="absolute inset-0" style={{
+            backgroundImage: `
+              linear-gradient(rgba(0, 255, 65, 0.1) 1px, transparent 1px),
+              linear-gradient(90deg, rgba(0, 255, 65, 0.1) 1px, transparent 1px)
+            `,
+            backgroundSize: '20px 20px'
+          }}></div>
+        </div>
+
+        {/* Header */}
+        <header className="sticky top-0 z-30 bg-black/95 backdrop-blur-xl border-b border-green-500/30 shadow-lg shadow-green-500/10">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <div className="flex items-center justify-between h-16">
+              <div className="flex items-center space-x-4">
+                <button
+                  onClick={goBackToPortfolio}
+                  className="flex items-center space-x-2 text-green-400 hover:text-green-300 transition-colors group"
+                >
+                  <FiArrowLeft className="w-5 h-5 group-hover:animate-pulse" />
+                  <span className="font-mono text-sm">PORTFOLIO</span>
+                </button>
+                <div className="w-px h-6 bg-green-500/30"></div>
+                <h1 className="text-xl sm:text-2xl font-mono font-bold text-green-400 tracking-wider">
+                  RESUME_IMPORT
+                </h1>
+              </div>
+              <button
+                onClick={handleExport}
+                disabled={isExporting}
+                className="flex items-center space-x-2 px-3 py-1.5 text-xs font-mono text-green-400 hover:text-green-300 hover:bg-green-500/10 rounded border border-green-500/30 hover:border-green-500/50 transition-all duration-300 disabled:opacity-50"
+              >
+                <FiDownload className="w-3 h-3" />
+                <span>{isExporting ? 'EXPORTING...' : 'EXPORT JSON RESUME'}</span>
+              </button>
+            </div>
+          </div>
+        </header>
+
+        {/* Main Content */}
+        <main className="relative max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+            className="bg-gradient-to-br from-gray-900/50 to-black/50 backdrop-blur-xl rounded-xl border border-green-500/20 shadow-lg p-6"
+          >
+            <label className="flex flex-col items-center justify-center p-8 border-2 border-dashed border-green-500/30 hover:border-green-500/60 rounded-lg cursor-pointer transition-colors">
+              {isParsing ? (
+                <div className="w-8 h-8 border-2 border-green-500/30 border-t-green-400 rounded-full animate-spin mb-3"></div>
+              ) : (
+                <FiUploadCloud className="w-8 h-8 text-green-400 mb-3" />
+              )}
+              <span className="text-sm font-mono text-green-300">
+                {isParsing ? `Reading ${fileName}...` : 'Choose a JSON Resume file or LinkedIn data export'}
+              </span>
+              <span className="text-xs font-mono text-gray-500 mt-1">
+                resume.json · LinkedIn export .zip · Positions.csv, Skills.csv, Projects.csv or Profile.csv
+              </span>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".json,.csv,.zip,application/json,text/csv,application/zip"
+                onChange={handleFileChange}
+                disabled={isParsing || isImporting}
+                className="hidden"
+              />
+            </label>
+          </motion.div>
+
+          {summary && (
+            <div className="p-4 bg-green-500/10 rounded-lg border border-green-500/20">
+              <div className="flex items-center space-x-2 mb-2">
+                <FiCheckCircle className="w-4 h-4 text-green-400" />
+                <span className="text-sm font-mono text-green-300">Import complete</span>
+              </div>
+              <ul className="text-xs font-mono text-green-600 space-y-1">
+                {SECTIONS.filter(section => summary[section.id].created + summary[section.id].updated > 0).map(section => (
+                  <li key={section.id}>
+                    {section.label}: {summary[section.id].created} created, {summary[section.id].updated} updated
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {preview && (
+            <>
+              {preview.warnings.length > 0 && (
+                <div className="p-4 bg-yellow-500/10 rounded-lg border border-yellow-500/30">
+                  <div className="flex items-center space-x-2 mb-2">
+                    <FiAlertTriangle className="w-4 h-4 text-yellow-400" />
+                    <span className="text-sm font-mono text-yellow-300">Notes</span>
+                  </div>
+                  <ul className="text-xs font-mono text-yellow-500 space-y-1">
+                    {preview.warnings.map((warning, i) => <li key={i}>{warning}</li>)}
+                  </ul>
+                </div>
+              )}
+
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <div className="text-xs font-mono text-gray-500">
+                  {fileName} · {preview.source === 'linkedin' ? 'LinkedIn export' : 'JSON Resume'} · {items.length} items
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => selectAll(item => item.status === 'new')}
+                    className="px-3 py-1 text-xs font-mono text-green-400 rounded border border-green-500/30 hover:bg-green-500/10"
+                  >
+                    ALL NEW
+                  </button>
+                  <button
+                    onClick={() => selectAll(() => true)}
+                    className="px-3 py-1 text-xs font-mono text-green-400 rounded border border-green-500/30 hover:bg-green-500/10"
+                  >
+                    ALL
+                  </button>
+                  <button
+                    onClick={() => selectAll(() => false)}
+                    className="px-3 py-1 text-xs font-mono text-green-400 rounded border border-green-500/30 hover:bg-green-500/10"
+                  >
+                    NONE
+                  </button>
+                </div>
+              </div>
+
+              {SECTIONS.map(section => {
+                const sectionItems = items.filter(item => item.section === section.id);
+                if (sectionItems.length === 0) return null;
+
+                return (
+                  <section key={section.id} className="space-y-2">
+                    <h2 className="text-sm font-mono font-bold text-green-400 tracking-wide">
+                      {section.label.toUpperCase()} ({sectionItems.filter(item => item.accepted).length}/{sectionItems.length})
+                    </h2>
+                    {sectionItems.map(renderItem)}
+                  </section>
+                );
+              })}
+
+              <div className="sticky bottom-4 flex items-center justify-between p-4 bg-black/90 backdrop-blur-xl rounded-lg border border-green-500/30">
+                <div className="text-xs font-mono">
+                  {blockedItems.length > 0 ? (
+                    <span className="flex items-center space-x-2 text-yellow-400">
+                      <FiAlertCircle className="w-4 h-4" />
+                      <span>Fill in the missing fields on {blockedItems.length} selected item{blockedItems.length === 1 ? '' : 's'}</span>
+                    </span>
+                  ) : (
+                    <span className="text-gray-500">{acceptedItems.length} selected</span>
+                  )}
+                </div>
+                <button
+                  onClick={handleImport}
+                  disabled={isImporting || acceptedItems.length === 0 || blockedItems.length > 0}
+                  className="flex items-center space-x-2 px-4 py-2 text-sm font-mono text-black bg-green-400 hover:bg-green-300 rounded transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isImporting ? <FiRefreshCw className="w-4 h-4 animate-spin" /> : <FiCheckCircle className="w-4 h-4" />}
+                  <span>{isImporting ? 'IMPORTING...' : `IMPORT ${acceptedItems.length}`}</span>
+                </button>
+              </div>
+            </>
+          )}
+        </main>
+      </div>
+    </>
+  );
+}
+
+ResumeImportPage.requireAuth = true;
+ResumeImportPage.requiredPermission = 'portfolio:write';
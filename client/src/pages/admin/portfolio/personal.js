@@ -100,3 +100,4 @@ export default function PersonalInfoPage() {
 }
 
 PersonalInfoPage.requireAuth = true;
+PersonalInfoPage.requiredPermission = 'portfolio:write';
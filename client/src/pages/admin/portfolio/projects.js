@@ -105,3 +105,4 @@ export default function ProjectsPage() {
 }
 
 ProjectsPage.requireAuth = true;
+ProjectsPage.requiredPermission = 'portfolio:write';
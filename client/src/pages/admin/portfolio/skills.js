@@ -26,9 +26,11 @@ import {
   FiServer,
   FiTool,
   FiPenTool,
-  FiMoreHorizontal
+  FiMoreHorizontal,
+  FiMove
 } from 'react-icons/fi';
 import { useAuth } from '../../../context/AuthContext';
+import { useSortableList } from '../../../hooks/useSortableList';
 import PortfolioManagementService from '../../../services/portfolio-management-service';
 import IconPicker from '../../../components/ui/IconPicker';
 
@@ -54,8 +56,7 @@ export default function SkillsPage() {
     logoLibrary: 'react-icons/si',
     category: 'frontend',
     yearsOfExperience: 1,
-    isActive: true,
-    order: 0
+    isActive: true
   });
   const [errors, setErrors] = useState({});
 
@@ -148,7 +149,7 @@ export default function SkillsPage() {
     setFormData(prev => ({
       ...prev,
       [name]: type === 'checkbox' ? checked : 
-              name === 'level' || name === 'yearsOfExperience' || name === 'order' ? 
+              name === 'level' || name === 'yearsOfExperience' ? 
               parseInt(value) || 0 : value
     }));
     
@@ -228,8 +229,7 @@ export default function SkillsPage() {
       logoLibrary: skill.logoLibrary || 'react-icons/si',
       category: skill.category || 'frontend',
       yearsOfExperience: skill.yearsOfExperience || 1,
-      isActive: skill.isActive !== undefined ? skill.isActive : true,
-      order: skill.order || 0
+      isActive: skill.isActive !== undefined ? skill.isActive : true
     });
     setShowForm(true);
     setErrors({});
@@ -256,8 +256,7 @@ export default function SkillsPage() {
       logoLibrary: 'react-icons/si',
       category: 'frontend',
       yearsOfExperience: 1,
-      isActive: true,
-      order: 0
+      isActive: true
     });
     setEditingSkill(null);
     setShowForm(false);
@@ -338,6 +337,15 @@ export default function SkillsPage() {
     ? skills 
     : skills.filter(skill => skill.category === selectedCategory);
 
+  const sortable = useSortableList({
+    collection: 'skills',
+    items: skills,
+    setItems: setSkills,
+    visibleItems: filteredSkills,
+    getLabel: skill => skill.name,
+    onError: () => showMessage('error', 'Failed to save skill order')
+  });
+
   /**
    * Get category icon
    */
@@ -507,11 +515,15 @@ export default function SkillsPage() {
                     </motion.div>
                   ) : (
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                      {filteredSkills.map((skill) => (
+                      {sortable.orderedItems.map((skill) => (
                         <motion.div
                           key={skill.id}
+                          layout
                           variants={fadeInUp}
-                          className="bg-gradient-to-br from-gray-900/50 to-black/50 backdrop-blur-xl rounded-xl border border-green-500/20 p-6 hover:border-green-500/40 transition-all duration-300"
+                          {...sortable.getItemProps(skill)}
+                          className={`bg-gradient-to-br from-gray-900/50 to-black/50 backdrop-blur-xl rounded-xl border p-6 hover:border-green-500/40 transition-colors duration-300 ${
+                            sortable.activeId === String(skill.id) ? 'border-green-400 shadow-lg shadow-green-500/20' : 'border-green-500/20'
+                          }`}
                         >
                           {/* Skill Header */}
                           <div className="flex items-start justify-between mb-4">
@@ -529,6 +541,12 @@ export default function SkillsPage() {
                             </div>
                             
                             <div className="flex items-center space-x-2">
+                              <button
+                                {...sortable.getHandleProps(skill)}
+                                className="p-2 text-green-600 hover:text-green-400 cursor-grab active:cursor-grabbing rounded focus:outline-none focus:ring-2 focus:ring-green-500/50 transition-colors"
+                              >
+                                <FiMove className="w-4 h-4" />
+                              </button>
                               <button
                                 onClick={() => handleEditSkill(skill)}
                                 className="p-2 text-green-600 hover:text-green-400 transition-colors"
@@ -573,6 +591,7 @@ export default function SkillsPage() {
                       ))}
                     </div>
                   )}
+                  <p className="sr-only" aria-live="assertive">{sortable.announcement}</p>
                 </motion.div>
               )}
 
@@ -779,24 +798,8 @@ export default function SkillsPage() {
 
                     {/* Additional Settings */}
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                      {/* Order */}
-                      <div>
-                        <label className="block text-green-400 font-mono text-sm mb-2">
-                          DISPLAY_ORDER
-                        </label>
-                        <input
-                          type="number"
-                          name="order"
-                          value={formData.order}
-                          onChange={handleInputChange}
-                          min="0"
-                          className="w-full px-4 py-3 bg-gray-900/50 border border-green-500/30 rounded-lg font-mono text-green-300 focus:outline-none focus:ring-2 focus:ring-green-500/50 transition-all duration-300"
-                          placeholder="0"
-                        />
-                      </div>
-
                       {/* Active Status */}
-                      <div className="flex items-center justify-center">
+                      <div className="flex items-center">
                         <label className="flex items-center cursor-pointer">
                           <input
                             type="checkbox"
@@ -868,3 +871,4 @@ export default function SkillsPage() {
 }
 
 SkillsPage.requireAuth = true;
+SkillsPage.requiredPermission = 'portfolio:write';
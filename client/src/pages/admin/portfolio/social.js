@@ -13,10 +13,11 @@ import { motion } from 'framer-motion';
 import { 
   FiArrowLeft, FiLink, FiPlus, FiEdit3, FiTrash2, FiX, FiSave, 
   FiExternalLink, FiGithub, FiLinkedin, FiTwitter, FiInstagram,
-  FiGlobe, FiCheck, FiAlertCircle, FiEye, FiEyeOff
+  FiGlobe, FiCheck, FiAlertCircle, FiEye, FiEyeOff, FiMove
 } from 'react-icons/fi';
 import { FaDribbble } from 'react-icons/fa';
 import { useAuth } from '../../../context/AuthContext';
+import { useSortableList } from '../../../hooks/useSortableList';
 import PortfolioManagementService from '../../../services/portfolio-management-service';
 
 // Platform configurations
@@ -93,8 +94,7 @@ export default function SocialLinksPage() {
     platform: '',
     url: '',
     username: '',
-    isActive: true,
-    order: 0
+    isActive: true
   });
   const [errors, setErrors] = useState({});
 
@@ -278,8 +278,7 @@ export default function SocialLinksPage() {
       platform: link.platform,
       url: link.url,
       username: link.username,
-      isActive: link.isActive,
-      order: link.order
+      isActive: link.isActive
     });
     setEditingLink(link);
     setShowForm(true);
@@ -314,8 +313,7 @@ export default function SocialLinksPage() {
       platform: '',
       url: '',
       username: '',
-      isActive: true,
-      order: 0
+      isActive: true
     });
     setEditingLink(null);
     setShowForm(false);
@@ -336,6 +334,14 @@ export default function SocialLinksPage() {
     );
   };
 
+  const sortable = useSortableList({
+    collection: 'social-links',
+    items: socialLinks,
+    setItems: setSocialLinks,
+    getLabel: link => PLATFORM_CONFIG[link.platform]?.name || link.platform,
+    onError: () => showMessage('error', 'Failed to save social link order')
+  });
+
   /**
    * Go back to portfolio management
    */
@@ -461,15 +467,19 @@ export default function SocialLinksPage() {
                 </motion.div>
               ) : (
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                  {socialLinks.map((link) => {
+                  {sortable.orderedItems.map((link, index) => {
                     const config = PLATFORM_CONFIG[link.platform];
                     const IconComponent = config?.icon || FiLink;
                     
                     return (
                       <motion.div
                         key={link.id}
+                        layout
                         variants={fadeInUp}
-                        className="bg-gradient-to-br from-gray-900/50 to-black/50 backdrop-blur-xl rounded-xl border border-yellow-500/20 p-6 hover:border-yellow-500/40 transition-all duration-300"
+                        {...sortable.getItemProps(link)}
+                        className={`bg-gradient-to-br from-gray-900/50 to-black/50 backdrop-blur-xl rounded-xl border p-6 hover:border-yellow-500/40 transition-colors duration-300 ${
+                          sortable.activeId === String(link.id) ? 'border-yellow-400 shadow-lg shadow-yellow-500/20' : 'border-yellow-500/20'
+                        }`}
                       >
                         {/* Platform Header */}
                         <div className="flex items-center justify-between mb-4">
@@ -501,6 +511,12 @@ export default function SocialLinksPage() {
                           </div>
                           
                           <div className="flex items-center space-x-2">
+                            <button
+                              {...sortable.getHandleProps(link)}
+                              className="p-2 text-yellow-600 hover:text-yellow-400 cursor-grab active:cursor-grabbing rounded focus:outline-none focus:ring-2 focus:ring-yellow-500/50 transition-colors"
+                            >
+                              <FiMove className="w-4 h-4" />
+                            </button>
                             <a
                               href={link.url}
                               target="_blank"
@@ -531,10 +547,10 @@ export default function SocialLinksPage() {
                           </p>
                         </div>
 
-                        {/* Order Badge */}
+                        {/* Position Badge */}
                         <div className="mt-3 flex justify-between items-center">
                           <span className="text-yellow-700 font-mono text-xs">
-                            Order: {link.order}
+                            #{index + 1}
                           </span>
                           <span className="text-yellow-700 font-mono text-xs">
                             {new Date(link.updatedAt).toLocaleDateString()}
@@ -545,6 +561,7 @@ export default function SocialLinksPage() {
                   })}
                 </div>
               )}
+              <p className="sr-only" aria-live="assertive">{sortable.announcement}</p>
             </motion.div>
           )}
 
@@ -593,21 +610,6 @@ export default function SocialLinksPage() {
                       <p className="text-red-400 text-xs font-mono mt-1">{errors.platform}</p>
                     )}
                   </div>
-
-                  <div>
-                    <label className="block text-yellow-400 font-mono text-sm mb-2">
-                      DISPLAY_ORDER
-                    </label>
-                    <input
-                      type="number"
-                      name="order"
-                      value={formData.order}
-                      onChange={handleInputChange}
-                      min="0"
-                      className="w-full px-4 py-3 bg-gray-900/50 border border-yellow-500/30 rounded-lg font-mono text-yellow-300 focus:outline-none focus:ring-2 focus:ring-yellow-500/50 transition-all duration-300"
-                      placeholder="0"
-                    />
-                  </div>
                 </div>
 
                 {/* URL Input */}
@@ -718,3 +720,4 @@ export default function SocialLinksPage() {
 }
 
 SocialLinksPage.requireAuth = true;
+SocialLinksPage.requiredPermission = 'portfolio:write';
@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Admin Reset Password Page - Cyber Themed
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+import { useState } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import Link from 'next/link';
+import { motion } from 'framer-motion';
+import { FiLock, FiEye, FiEyeOff, FiShield, FiAlertCircle, FiCheckCircle, FiArrowLeft } from 'react-icons/fi';
+import authService from '../../../services/auth-service';
+
+/**
+ * Admin Reset Password Page Component
+ * @function AdminResetPasswordPage
+ * @returns {JSX.Element} Reset password page component
+ */
+export default function AdminResetPasswordPage() {
+  const router = useRouter();
+  const { token } = router.query;
+
+  const [formData, setFormData] = useState({
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [showPassword, setShowPassword] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [completed, setCompleted] = useState(false);
+
+  const containerVariants = {
+    hidden: { opacity: 0, y: 20 },
+    visible: {
+      opacity: 1,
+      y: 0,
+      transition: {
+        duration: 0.6,
+        staggerChildren: 0.1
+      }
+    }
+  };
+
+  const itemVariants = {
+    hidden: { opacity: 0, y: 20 },
+    visible: { opacity: 1, y: 0 }
+  };
+
+  /**
+   * Handle form input changes
+   * @param {Event} e - Input change event
+   */
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    if (error) setError('');
+  };
+
+  /**
+   * Handle form submission
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.newPassword.length < 8) {
+      setError('Access key must be at least 8 characters long');
+      return;
+    }
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setError('Access keys do not match');
+      return;
+    }
+
+    setIsSubmitting(true);
+    const result = await authService.resetPassword(token, formData.newPassword);
+    setIsSubmitting(false);
+
+    if (result.success) {
+      setCompleted(true);
+      setTimeout(() => router.push('/admin/login'), 3000);
+    } else {
+      setError(result.error?.details || result.message);
+    }
+  };
+
+  const inputClassName = 'w-full pl-12 pr-12 py-3 bg-black/40 border border-green-500/30 rounded-lg text-green-300 font-mono placeholder-green-700 focus:outline-none focus:ring-2 focus:ring-green-500/50 focus:border-green-500/50 transition-all duration-300';
+
+  return (
+    <>
+      <Head>
+        <title>ADMIN_CORE - Reset Access Key</title>
+        <meta name="description" content="Choose a new admin password" />
+        <meta name="robots" content="noindex, nofollow" />
+      </Head>
+
+      <div className="min-h-screen bg-black relative overflow-hidden flex items-center justify-center">
+        {/* Cyber Grid Background */}
+        <div className="absolute inset-0 opacity-10">
+          <div className="absolute inset-0" style={{
+            backgroundImage: `
+              linear-gradient(rgba(0, 255, 65, 0.1) 1px, transparent 1px),
+              linear-gradient(90deg, rgba(0, 255, 65, 0.1) 1px, transparent 1px)
+            `,
+            backgroundSize: '20px 20px'
+          }}></div>
+        </div>
+
+        <motion.div
+          variants={containerVariants}
+          initial="hidden"
+          animate="visible"
+          className="w-full max-w-md mx-4"
+        >
+          {/* Header Section */}
+          <motion.div variants={itemVariants} className="text-center mb-8">
+            <h1 className="text-3xl font-mono font-bold text-green-400 tracking-wider mb-2">
+              RESET_ACCESS_KEY
+            </h1>
+            <p className="text-green-600 font-mono text-sm tracking-wide">
+              SINGLE_USE_TOKEN_VERIFIED_ON_SUBMIT
+            </p>
+          </motion.div>
+
+          <motion.div
+            variants={itemVariants}
+            className="bg-gradient-to-br from-gray-900/60 to-black/60 backdrop-blur-xl rounded-xl border border-green-500/30 shadow-2xl shadow-green-500/10 p-8"
+          >
+            {error && (
+              <motion.div
+                initial={{ opacity: 0, y: -10 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="mb-6 p-4 bg-red-500/20 border border-red-500/40 rounded-lg flex items-center space-x-3"
+              >
+                <FiAlertCircle className="w-5 h-5 text-red-400 flex-shrink-0" />
+                <p className="text-red-500 font-mono text-xs">{error}</p>
+              </motion.div>
+            )}
+
+            {completed ? (
+              <div className="text-center space-y-4">
+                <FiCheckCircle className="w-12 h-12 text-green-400 mx-auto" />
+                <p className="text-green-400 font-mono text-sm font-medium">
+                  ACCESS_KEY_UPDATED
+                </p>
+                <p className="text-green-600 font-mono text-xs">
+                  Redirecting to the access terminal...
+                </p>
+              </div>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-6">
+                <div>
+                  <label className="block text-green-400 font-mono text-sm font-medium mb-3">
+                    NEW_ACCESS_KEY
+                  </label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
+                      <FiLock className="w-5 h-5 text-green-600" />
+                    </div>
+                    <input
+                      type={showPassword ? 'text' : 'password'}
+                      name="newPassword"
+                      value={formData.newPassword}
+                      onChange={handleInputChange}
+                      className={inputClassName}
+                      placeholder="••••••••••••"
+                      autoComplete="new-password"
+                      required
+                      disabled={isSubmitting}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setShowPassword(!showPassword)}
+                      className="absolute inset-y-0 right-0 pr-4 flex items-center text-green-600 hover:text-green-400 transition-colors"
+                      disabled={isSubmitting}
+                    >
+                      {showPassword ? <FiEyeOff className="w-5 h-5" /> : <FiEye className="w-5 h-5" />}
+                    </button>
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-green-400 font-mono text-sm font-medium mb-3">
+                    CONFIRM_ACCESS_KEY
+                  </label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
+                      <FiLock className="w-5 h-5 text-green-600" />
+                    </div>
+                    <input
+                      type={showPassword ? 'text' : 'password'}
+                      name="confirmPassword"
+                      value={formData.confirmPassword}
+                      onChange={handleInputChange}
+                      className={inputClassName}
+                      placeholder="••••••••••••"
+                      autoComplete="new-password"
+                      required
+                      disabled={isSubmitting}
+                    />
+                  </div>
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={isSubmitting || !token}
+                  className="w-full flex items-center justify-center px-6 py-3 bg-gradient-to-r from-green-600 to-green-500 hover:from-green-500 hover:to-green-400 text-black font-mono font-bold rounded-lg transition-all duration-300 focus:outline-none focus:ring-2 focus:ring-green-500/50 disabled:opacity-50 disabled:cursor-not-allowed shadow-lg shadow-green-500/20"
+                >
+                  {isSubmitting ? (
+                    <>
+                      <div className="w-5 h-5 border-2 border-black/30 border-t-black rounded-full animate-spin mr-3"></div>
+                      <span>UPDATING...</span>
+                    </>
+                  ) : (
+                    <>
+                      <FiShield className="w-5 h-5 mr-3" />
+                      <span>SET_NEW_ACCESS_KEY</span>
+                    </>
+                  )}
+                </button>
+              </form>
+            )}
+
+            <div className="mt-8 pt-6 border-t border-green-500/20 flex items-center justify-between">
+              <Link
+                href="/admin/login"
+                className="inline-flex items-center space-x-2 text-green-600 hover:text-green-400 font-mono text-sm transition-colors"
+              >
+                <FiArrowLeft className="w-4 h-4" />
+                <span>RETURN_TO_LOGIN</span>
+              </Link>
+              <Link
+                href="/admin/forgot-password"
+                className="text-green-700 hover:text-green-400 font-mono text-xs transition-colors"
+              >
+                REQUEST_NEW_LINK
+              </Link>
+            </div>
+          </motion.div>
+        </motion.div>
+      </div>
+    </>
+  );
+}
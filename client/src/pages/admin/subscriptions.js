@@ -20,11 +20,19 @@ import {
     FiTrendingUp,
     FiCheckCircle,
     FiXCircle,
-    FiClock
+    FiClock,
+    FiPause,
+    FiPlay,
+    FiX
 } from 'react-icons/fi';
 import { useTheme } from '../../context/ThemeContext';
 import AdminProtectedRoute from '../../components/admin/AdminProtectedRoute';
 import SubscriptionService from '../../services/subscription-service';
+import BlogService from '../../services/blog-service';
+
+// Campaign states the worker may still change, so progress keeps polling
+const LIVE_CAMPAIGN_STATUSES = ['queued', 'sending', 'paused'];
+const CAMPAIGN_POLL_INTERVAL = 3000;
 
 const SubscriptionManagement = () => {
     const { isDark } = useTheme();
@@ -38,11 +46,13 @@ const SubscriptionManagement = () => {
     const [selectedSubscribers, setSelectedSubscribers] = useState([]);
     const [showNewsletterModal, setShowNewsletterModal] = useState(false);
     const [newsletterData, setNewsletterData] = useState({
-        subject: '',
-        content: '',
-        preheader: ''
+        blogId: '',
+        testEmail: ''
     });
     const [sendingNewsletter, setSendingNewsletter] = useState(false);
+    const [publishedBlogs, setPublishedBlogs] = useState([]);
+    const [campaigns, setCampaigns] = useState([]);
+    const [campaignActionId, setCampaignActionId] = useState(null);
 
     // Animation variants
     const fadeInUp = {
@@ -75,9 +85,18 @@ const SubscriptionManagement = () => {
                 SubscriptionService.getAnalytics()
             ]);
 
+            const { stats, recentSubscriptions = [], newsletters = [], engagement } = analyticsRes.data;
+
             setSubscribers(subscribersRes.data.subscribers);
-            setTotalPages(subscribersRes.data.totalPages);
-            setAnalytics(analyticsRes.data);
+            setTotalPages(subscribersRes.data.pagination?.totalPages || 1);
+            setAnalytics({
+                totalSubscribers: stats.total,
+                activeSubscribers: stats.active,
+                monthlyGrowth: recentSubscriptions.reduce((sum, day) => sum + day.count, 0),
+                unsubscribeRate: stats.total ? ((stats.unsubscribed / stats.total) * 100).toFixed(1) : 0,
+                newsletters,
+                engagement
+            });
         } catch (error) {
             console.error('Failed to load subscription data:', error);
         } finally {
@@ -85,6 +104,51 @@ const SubscriptionManagement = () => {
         }
     };
 
+    const loadCampaigns = async () => {
+        try {
+            const response = await SubscriptionService.getCampaigns({ limit: 5 });
+            setCampaigns(response.data.campaigns);
+        } catch (error) {
+            console.error('Failed to load campaigns:', error);
+        }
+    };
+
+    useEffect(() => {
+        loadCampaigns();
+    }, []);
+
+    const hasLiveCampaign = campaigns.some(campaign => LIVE_CAMPAIGN_STATUSES.includes(campaign.status));
+
+    useEffect(() => {
+        if (!hasLiveCampaign) return;
+
+        const interval = setInterval(loadCampaigns, CAMPAIGN_POLL_INTERVAL);
+        return () => clearInterval(interval);
+    }, [hasLiveCampaign]);
+
+    useEffect(() => {
+        if (!showNewsletterModal || publishedBlogs.length > 0) return;
+
+        BlogService.getAllBlogs({ status: 'published', limit: 50 })
+            .then(response => setPublishedBlogs(response.data.blogs))
+            .catch(error => console.error('Failed to load published blogs:', error));
+    }, [showNewsletterModal]);
+
+    const handleCampaignAction = async (campaignId, action) => {
+        if (action === 'cancel' && !confirm('Cancel this campaign? Subscribers not yet emailed will not receive it.')) return;
+
+        try {
+            setCampaignActionId(campaignId);
+            await SubscriptionService.updateCampaignStatus(campaignId, action);
+            await loadCampaigns();
+        } catch (error) {
+            console.error(`Failed to ${action} campaign:`, error);
+            alert(error.message || `Failed to ${action} campaign`);
+        } finally {
+            setCampaignActionId(null);
+        }
+    };
+
     const handleDeleteSubscriber = async (subscriberId) => {
         if (!confirm('Are you sure you want to delete this subscriber?')) return;
 
@@ -114,20 +178,33 @@ const SubscriptionManagement = () => {
     };
 
     const handleSendNewsletter = async () => {
-        if (!newsletterData.subject || !newsletterData.content) {
-            alert('Please fill in subject and content');
+        if (!newsletterData.blogId) {
+            alert('Please select a blog post');
             return;
         }
 
         try {
             setSendingNewsletter(true);
-            await SubscriptionService.sendNewsletter(newsletterData);
+            const response = await SubscriptionService.sendNewsletter({
+                blogId: newsletterData.blogId,
+                testEmail: newsletterData.testEmail || undefined
+            });
+
+            if (newsletterData.testEmail) {
+                alert(`Test email sent to ${newsletterData.testEmail}`);
+                return;
+            }
+
             setShowNewsletterModal(false);
-            setNewsletterData({ subject: '', content: '', preheader: '' });
-            alert('Newsletter sent successfully!');
+            setNewsletterData({ blogId: '', testEmail: '' });
+            if (response.data?.campaignId) {
+                loadCampaigns();
+            } else {
+                alert(response.data?.message || 'No active subscribers to send to');
+            }
         } catch (error) {
             console.error('Failed to send newsletter:', error);
-            alert('Failed to send newsletter');
+            alert(error.message || 'Failed to send newsletter');
         } finally {
             setSendingNewsletter(false);
         }
@@ -162,6 +239,23 @@ const SubscriptionManagement = () => {
         }
     };
 
+    const getCampaignStatusClasses = (status) => {
+        switch (status) {
+            case 'sending':
+                return 'bg-blue-100 text-blue-800';
+            case 'queued':
+                return 'bg-yellow-100 text-yellow-800';
+            case 'paused':
+                return 'bg-orange-100 text-orange-800';
+            case 'completed':
+                return 'bg-green-100 text-green-800';
+            default:
+                return 'bg-gray-100 text-gray-800';
+        }
+    };
+
+    const formatRate = (rate) => `${(rate || 0).toFixed(1)}%`;
+
     const formatDate = (date) => {
         return new Date(date).toLocaleDateString('en-US', {
             year: 'numeric',
@@ -269,6 +363,161 @@ const SubscriptionManagement = () => {
                         </motion.div>
                     )}
 
+                    {/* Campaigns */}
+                    {campaigns.length > 0 && (
+                        <motion.div
+                            initial={{ opacity: 0, y: 20 }}
+                            animate={{ opacity: 1, y: 0 }}
+                            transition={{ delay: 0.1 }}
+                            className={`${isDark ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-sm border ${isDark ? 'border-gray-700' : 'border-gray-200'} overflow-hidden mb-6`}
+                        >
+                            <div className={`px-6 py-4 border-b ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
+                                <h2 className={`text-lg font-semibold ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                                    Campaigns
+                                </h2>
+                            </div>
+                            <div className={`divide-y ${isDark ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                                {campaigns.map((campaign) => (
+                                    <div key={campaign._id} className="px-6 py-4">
+                                        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-3">
+                                            <div className="min-w-0">
+                                                <div className={`font-medium truncate ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                                                    {campaign.subject}
+                                                </div>
+                                                <div className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+                                                    Queued {formatDate(campaign.createdAt)} · {campaign.sentCount} sent
+                                                    {campaign.failedCount > 0 && ` · ${campaign.failedCount} failed`}
+                                                    {campaign.skippedCount > 0 && ` · ${campaign.skippedCount} skipped`}
+                                                    {` · ${campaign.pendingCount} pending`}
+                                                </div>
+                                            </div>
+                                            <div className="flex items-center gap-2">
+                                                <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full capitalize ${getCampaignStatusClasses(campaign.status)}`}>
+                                                    {campaign.status}
+                                                </span>
+                                                {['queued', 'sending'].includes(campaign.status) && (
+                                                    <button
+                                                        onClick={() => handleCampaignAction(campaign._id, 'pause')}
+                                                        disabled={campaignActionId === campaign._id}
+                                                        className="p-1.5 text-orange-600 hover:text-orange-900 disabled:opacity-50"
+                                                        title="Pause campaign"
+                                                    >
+                                                        <FiPause className="w-4 h-4" />
+                                                    </button>
+                                                )}
+                                                {campaign.status === 'paused' && (
+                                                    <button
+                                                        onClick={() => handleCampaignAction(campaign._id, 'resume')}
+                                                        disabled={campaignActionId === campaign._id}
+                                                        className="p-1.5 text-green-600 hover:text-green-900 disabled:opacity-50"
+                                                        title="Resume campaign"
+                                                    >
+                                                        <FiPlay className="w-4 h-4" />
+                                                    </button>
+                                                )}
+                                                {LIVE_CAMPAIGN_STATUSES.includes(campaign.status) && (
+                                                    <button
+                                                        onClick={() => handleCampaignAction(campaign._id, 'cancel')}
+                                                        disabled={campaignActionId === campaign._id}
+                                                        className="p-1.5 text-red-600 hover:text-red-900 disabled:opacity-50"
+                                                        title="Cancel campaign"
+                                                    >
+                                                        <FiX className="w-4 h-4" />
+                                                    </button>
+                                                )}
+                                            </div>
+                                        </div>
+                                        <div className={`w-full h-2 rounded-full ${isDark ? 'bg-gray-700' : 'bg-gray-200'}`}>
+                                            <div
+                                                className={`h-2 rounded-full transition-all duration-500 ${
+                                                    campaign.status === 'cancelled' ? 'bg-gray-400' : 'bg-gradient-to-r from-blue-600 to-purple-600'
+                                                }`}
+                                                style={{ width: `${Math.min(100, campaign.progress || 0)}%` }}
+                                            />
+                                        </div>
+                                        <div className={`mt-1 text-xs text-right ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+                                            {Math.round(campaign.progress || 0)}% of {campaign.totalRecipients}
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        </motion.div>
+                    )}
+
+                    {/* Newsletter Performance */}
+                    {analytics?.newsletters?.length > 0 && (
+                        <motion.div
+                            initial={{ opacity: 0, y: 20 }}
+                            animate={{ opacity: 1, y: 0 }}
+                            transition={{ delay: 0.1 }}
+                            className={`${isDark ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-sm border ${isDark ? 'border-gray-700' : 'border-gray-200'} overflow-hidden mb-6`}
+                        >
+                            <div className={`px-6 py-4 border-b ${isDark ? 'border-gray-700' : 'border-gray-200'} flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2`}>
+                                <h2 className={`text-lg font-semibold ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                                    Newsletter Performance
+                                </h2>
+                                <div className={`flex gap-6 text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                                    <span className="flex items-center gap-2">
+                                        <FiEye className="w-4 h-4 text-blue-500" />
+                                        Avg. open rate {formatRate(analytics.engagement?.openRate)}
+                                    </span>
+                                    <span className="flex items-center gap-2">
+                                        <FiTrendingUp className="w-4 h-4 text-purple-500" />
+                                        Avg. click rate {formatRate(analytics.engagement?.clickRate)}
+                                    </span>
+                                </div>
+                            </div>
+                            <div className="overflow-x-auto">
+                                <table className="w-full">
+                                    <thead className={`${isDark ? 'bg-gray-900' : 'bg-gray-50'}`}>
+                                        <tr>
+                                            {['Email', 'Sent', 'Delivered', 'Opened', 'Open Rate', 'Clicked', 'Click Rate'].map(heading => (
+                                                <th
+                                                    key={heading}
+                                                    className={`px-6 py-3 text-left text-xs font-medium ${isDark ? 'text-gray-400' : 'text-gray-500'} uppercase tracking-wider`}
+                                                >
+                                                    {heading}
+                                                </th>
+                                            ))}
+                                        </tr>
+                                    </thead>
+                                    <tbody className={`divide-y ${isDark ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                                        {analytics.newsletters.map((send) => (
+                                            <tr key={send._id}>
+                                                <td className="px-6 py-4">
+                                                    <div className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                                                        {send.subject}
+                                                    </div>
+                                                    <div className={`text-xs capitalize ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+                                                        {send.kind.replace('-', ' ')}
+                                                    </div>
+                                                </td>
+                                                <td className={`px-6 py-4 text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+                                                    {formatDate(send.sentAt)}
+                                                </td>
+                                                <td className={`px-6 py-4 text-sm ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                                                    {send.sentCount}/{send.recipientCount}
+                                                </td>
+                                                <td className={`px-6 py-4 text-sm ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                                                    {send.uniqueOpens}
+                                                </td>
+                                                <td className="px-6 py-4 text-sm font-medium text-blue-600">
+                                                    {formatRate(send.openRate)}
+                                                </td>
+                                                <td className={`px-6 py-4 text-sm ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                                                    {send.uniqueClicks}
+                                                </td>
+                                                <td className="px-6 py-4 text-sm font-medium text-purple-600">
+                                                    {formatRate(send.clickRate)}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </motion.div>
+                    )}
+
                     {/* Controls */}
                     <motion.div
                         initial={{ opacity: 0, y: 20 }}
@@ -475,53 +724,44 @@ const SubscriptionManagement = () => {
                                     <div className="space-y-4">
                                         <div>
                                             <label className={`block text-sm font-medium ${isDark ? 'text-gray-300' : 'text-gray-700'} mb-2`}>
-                                                Subject
+                                                Blog Post
                                             </label>
-                                            <input
-                                                type="text"
-                                                value={newsletterData.subject}
-                                                onChange={(e) => setNewsletterData({...newsletterData, subject: e.target.value})}
+                                            <select
+                                                value={newsletterData.blogId}
+                                                onChange={(e) => setNewsletterData({...newsletterData, blogId: e.target.value})}
                                                 className={`w-full px-3 py-2 border rounded-lg ${
                                                     isDark 
                                                         ? 'bg-gray-700 border-gray-600 text-white' 
                                                         : 'bg-white border-gray-300 text-gray-900'
                                                 } focus:ring-2 focus:ring-blue-500 focus:border-transparent`}
-                                                placeholder="Enter newsletter subject..."
-                                            />
+                                            >
+                                                <option value="">Select a published post...</option>
+                                                {publishedBlogs.map(blog => (
+                                                    <option key={blog._id} value={blog._id}>
+                                                        {blog.title}
+                                                    </option>
+                                                ))}
+                                            </select>
                                         </div>
 
                                         <div>
                                             <label className={`block text-sm font-medium ${isDark ? 'text-gray-300' : 'text-gray-700'} mb-2`}>
-                                                Preheader (Optional)
+                                                Test Email (Optional)
                                             </label>
                                             <input
-                                                type="text"
-                                                value={newsletterData.preheader}
-                                                onChange={(e) => setNewsletterData({...newsletterData, preheader: e.target.value})}
-                                                className={`w-full px-3 py-2 border rounded-lg ${
-                                                    isDark 
-                                                        ? 'bg-gray-700 border-gray-600 text-white' 
-                                                        : 'bg-white border-gray-300 text-gray-900'
-                                                } focus:ring-2 focus:ring-blue-500 focus:border-transparent`}
-                                                placeholder="Brief preview text..."
-                                            />
-                                        </div>
-
-                                        <div>
-                                            <label className={`block text-sm font-medium ${isDark ? 'text-gray-300' : 'text-gray-700'} mb-2`}>
-                                                Content
-                                            </label>
-                                            <textarea
-                                                value={newsletterData.content}
-                                                onChange={(e) => setNewsletterData({...newsletterData, content: e.target.value})}
-                                                rows={8}
+                                                type="email"
+                                                value={newsletterData.testEmail}
+                                                onChange={(e) => setNewsletterData({...newsletterData, testEmail: e.target.value})}
                                                 className={`w-full px-3 py-2 border rounded-lg ${
                                                     isDark 
                                                         ? 'bg-gray-700 border-gray-600 text-white' 
                                                         : 'bg-white border-gray-300 text-gray-900'
                                                 } focus:ring-2 focus:ring-blue-500 focus:border-transparent`}
-                                                placeholder="Write your newsletter content here..."
+                                                placeholder="Send a single preview instead of the full campaign..."
                                             />
+                                            <p className={`mt-1 text-xs ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+                                                Leave empty to queue a campaign to all matching active subscribers.
+                                            </p>
                                         </div>
                                     </div>
 
@@ -538,7 +778,7 @@ const SubscriptionManagement = () => {
                                         </button>
                                         <button
                                             onClick={handleSendNewsletter}
-                                            disabled={sendingNewsletter || !newsletterData.subject || !newsletterData.content}
+                                            disabled={sendingNewsletter || !newsletterData.blogId}
                                             className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white rounded-lg transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
                                         >
                                             {sendingNewsletter ? (
@@ -549,7 +789,7 @@ const SubscriptionManagement = () => {
                                             ) : (
                                                 <>
                                                     <FiSend className="w-4 h-4" />
-                                                    Send Newsletter
+                                                    {newsletterData.testEmail ? 'Send Test' : 'Queue Campaign'}
                                                 </>
                                             )}
                                         </button>
@@ -0,0 +1,673 @@
+/**
+ * @fileoverview Admin User Management Page
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+    FiUsers,
+    FiUserPlus,
+    FiSearch,
+    FiEdit2,
+    FiUnlock,
+    FiLock,
+    FiSend,
+    FiCheckCircle,
+    FiXCircle,
+    FiClock,
+    FiArrowLeft,
+    FiShield
+} from 'react-icons/fi';
+import { useTheme } from '../../context/ThemeContext';
+import { useAuth } from '../../context/AuthContext';
+import UserManagementService from '../../services/user-management-service';
+
+const EMPTY_FORM = {
+    email: '',
+    firstName: '',
+    lastName: '',
+    role: 'editor',
+    permissions: [],
+    isActive: true
+};
+
+const UserManagement = () => {
+    const { isDark } = useTheme();
+    const { user: currentUser, hasPermission } = useAuth();
+    const [users, setUsers] = useState([]);
+    const [roles, setRoles] = useState([]);
+    const [availablePermissions, setAvailablePermissions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [searchTerm, setSearchTerm] = useState('');
+    const [filterRole, setFilterRole] = useState('all');
+    const [filterStatus, setFilterStatus] = useState('all');
+    const [currentPage, setCurrentPage] = useState(1);
+    const [totalPages, setTotalPages] = useState(1);
+    const [editingUser, setEditingUser] = useState(null);
+    const [showUserModal, setShowUserModal] = useState(false);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    const [saving, setSaving] = useState(false);
+    const [formError, setFormError] = useState('');
+
+    const canManageUsers = hasPermission('users:manage');
+
+    // Animation variants
+    const fadeInUp = {
+        hidden: { opacity: 0, y: 20 },
+        visible: { opacity: 1, y: 0, transition: { duration: 0.4 } }
+    };
+
+    const staggerContainer = {
+        hidden: { opacity: 0 },
+        visible: {
+            opacity: 1,
+            transition: { staggerChildren: 0.1 }
+        }
+    };
+
+    useEffect(() => {
+        if (!canManageUsers) return;
+
+        UserManagementService.getRoles()
+            .then((res) => {
+                setRoles(res.data.roles);
+                setAvailablePermissions(res.data.permissions);
+            })
+            .catch((error) => console.error('Failed to load roles:', error));
+    }, [canManageUsers]);
+
+    useEffect(() => {
+        if (!canManageUsers) {
+            setLoading(false);
+            return;
+        }
+        loadUsers();
+    }, [currentPage, filterRole, filterStatus, searchTerm, canManageUsers]);
+
+    const loadUsers = async () => {
+        try {
+            setLoading(true);
+            const res = await UserManagementService.getUsers({
+                page: currentPage,
+                limit: 10,
+                role: filterRole === 'all' ? undefined : filterRole,
+                status: filterStatus === 'all' ? undefined : filterStatus,
+                search: searchTerm || undefined
+            });
+
+            setUsers(res.data.users);
+            setTotalPages(res.data.pagination.totalPages || 1);
+        } catch (error) {
+            console.error('Failed to load users:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const getDefaultPermissions = (role) => {
+        return roles.find(r => r.role === role)?.defaultPermissions || [];
+    };
+
+    const openInviteModal = () => {
+        setEditingUser(null);
+        setFormData({ ...EMPTY_FORM, permissions: getDefaultPermissions(EMPTY_FORM.role) });
+        setFormError('');
+        setShowUserModal(true);
+    };
+
+    const openEditModal = (user) => {
+        setEditingUser(user);
+        setFormData({
+            email: user.email,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            role: user.role,
+            permissions: user.permissions || [],
+            isActive: user.isActive
+        });
+        setFormError('');
+        setShowUserModal(true);
+    };
+
+    const handleRoleChange = (role) => {
+        setFormData(prev => ({
+            ...prev,
+            role,
+            permissions: getDefaultPermissions(role)
+        }));
+    };
+
+    const togglePermission = (permission) => {
+        setFormData(prev => ({
+            ...prev,
+            permissions: prev.permissions.includes(permission)
+                ? prev.permissions.filter(p => p !== permission)
+                : [...prev.permissions, permission]
+        }));
+    };
+
+    const handleSaveUser = async () => {
+        if (!formData.firstName || !formData.lastName || (!editingUser && !formData.email)) {
+            setFormError('Please fill in email, first name and last name');
+            return;
+        }
+
+        try {
+            setSaving(true);
+            setFormError('');
+
+            if (editingUser) {
+                await UserManagementService.updateUser(editingUser._id, {
+                    firstName: formData.firstName,
+                    lastName: formData.lastName,
+                    role: formData.role,
+                    permissions: formData.permissions,
+                    isActive: formData.isActive
+                });
+            } else {
+                const res = await UserManagementService.inviteUser({
+                    email: formData.email,
+                    firstName: formData.firstName,
+                    lastName: formData.lastName,
+                    role: formData.role,
+                    permissions: formData.permissions
+                });
+                if (!res.data.invitationSent) {
+                    alert('User created, but the invitation email could not be sent. Use "Resend invitation" to try again.');
+                }
+            }
+
+            setShowUserModal(false);
+            loadUsers();
+        } catch (error) {
+            setFormError(error.message || 'Failed to save user');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleUnlock = async (user) => {
+        try {
+            await UserManagementService.unlockUser(user._id);
+            loadUsers();
+        } catch (error) {
+            console.error('Failed to unlock user:', error);
+            alert('Failed to unlock user');
+        }
+    };
+
+    const handleResendInvitation = async (user) => {
+        try {
+            await UserManagementService.resendInvitation(user._id);
+            alert(`Invitation sent to ${user.email}`);
+            loadUsers();
+        } catch (error) {
+            console.error('Failed to resend invitation:', error);
+            alert(error.message || 'Failed to resend invitation');
+        }
+    };
+
+    const getStatus = (user) => {
+        if (!user.isActive) return { label: 'inactive', icon: <FiXCircle className="w-4 h-4 text-red-500" />, color: 'text-red-600' };
+        if (user.isLocked) return { label: 'locked', icon: <FiLock className="w-4 h-4 text-orange-500" />, color: 'text-orange-600' };
+        if (user.invitationPending) return { label: 'invited', icon: <FiClock className="w-4 h-4 text-yellow-500" />, color: 'text-yellow-600' };
+        return { label: 'active', icon: <FiCheckCircle className="w-4 h-4 text-green-500" />, color: 'text-green-600' };
+    };
+
+    const formatDate = (date) => {
+        if (!date) return 'Never';
+        return new Date(date).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+    };
+
+    const inputClassName = `w-full px-3 py-2 border rounded-lg ${
+        isDark
+            ? 'bg-gray-700 border-gray-600 text-white'
+            : 'bg-white border-gray-300 text-gray-900'
+    } focus:ring-2 focus:ring-blue-500 focus:border-transparent`;
+
+    if (!canManageUsers) {
+        return (
+            <div className={`min-h-screen ${isDark ? 'bg-gray-900' : 'bg-gray-50'} flex items-center justify-center p-6`}>
+                <div className="text-center">
+                    <FiShield className="w-12 h-12 text-red-500 mx-auto mb-4" />
+                    <p className={`font-medium mb-4 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                        You need the users:manage permission to view this page.
+                    </p>
+                    <Link href="/admin/dashboard" className="text-blue-500 hover:text-blue-600">
+                        Back to dashboard
+                    </Link>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <>
+            <Head>
+                <title>User Management - Admin</title>
+                <meta name="robots" content="noindex, nofollow" />
+            </Head>
+
+            <div className={`min-h-screen ${isDark ? 'bg-gray-900' : 'bg-gray-50'} p-6`}>
+                <div className="max-w-7xl mx-auto">
+                    {/* Header */}
+                    <motion.div
+                        initial="hidden"
+                        animate="visible"
+                        variants={staggerContainer}
+                        className="mb-8"
+                    >
+                        <motion.div variants={fadeInUp}>
+                            <Link
+                                href="/admin/dashboard"
+                                className={`inline-flex items-center gap-2 text-sm mb-4 ${isDark ? 'text-gray-400 hover:text-white' : 'text-gray-600 hover:text-gray-900'}`}
+                            >
+                                <FiArrowLeft className="w-4 h-4" />
+                                Dashboard
+                            </Link>
+                        </motion.div>
+                        <motion.h1
+                            variants={fadeInUp}
+                            className={`text-3xl font-bold ${isDark ? 'text-white' : 'text-gray-900'} mb-2`}
+                        >
+                            User Management
+                        </motion.h1>
+                        <motion.p
+                            variants={fadeInUp}
+                            className={`${isDark ? 'text-gray-400' : 'text-gray-600'}`}
+                        >
+                            Invite editors and viewers, assign roles and permissions, and unlock accounts
+                        </motion.p>
+                    </motion.div>
+
+                    {/* Controls */}
+                    <motion.div
+                        initial={{ opacity: 0, y: 20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        className={`${isDark ? 'bg-gray-800' : 'bg-white'} rounded-lg p-6 shadow-sm border ${isDark ? 'border-gray-700' : 'border-gray-200'} mb-6`}
+                    >
+                        <div className="flex flex-col md:flex-row gap-4 justify-between items-start md:items-center">
+                            <div className="flex flex-col sm:flex-row gap-4 flex-1">
+                                <div className="relative">
+                                    <FiSearch className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+                                    <input
+                                        type="text"
+                                        placeholder="Search users..."
+                                        value={searchTerm}
+                                        onChange={(e) => {
+                                            setSearchTerm(e.target.value);
+                                            setCurrentPage(1);
+                                        }}
+                                        className={`pl-10 pr-4 py-2 border rounded-lg ${
+                                            isDark
+                                                ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400'
+                                                : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'
+                                        } focus:ring-2 focus:ring-blue-500 focus:border-transparent`}
+                                    />
+                                </div>
+
+                                <select
+                                    value={filterRole}
+                                    onChange={(e) => {
+                                        setFilterRole(e.target.value);
+                                        setCurrentPage(1);
+                                    }}
+                                    className={`px-4 py-2 border rounded-lg ${
+                                        isDark
+                                            ? 'bg-gray-700 border-gray-600 text-white'
+                                            : 'bg-white border-gray-300 text-gray-900'
+                                    } focus:ring-2 focus:ring-blue-500 focus:border-transparent`}
+                                >
+                                    <option value="all">All Roles</option>
+                                    <option value="admin">Admin</option>
+                                    <option value="editor">Editor</option>
+                                    <option value="viewer">Viewer</option>
+                                </select>
+
+                                <select
+                                    value={filterStatus}
+                                    onChange={(e) => {
+                                        setFilterStatus(e.target.value);
+                                        setCurrentPage(1);
+                                    }}
+                                    className={`px-4 py-2 border rounded-lg ${
+                                        isDark
+                                            ? 'bg-gray-700 border-gray-600 text-white'
+                                            : 'bg-white border-gray-300 text-gray-900'
+                                    } focus:ring-2 focus:ring-blue-500 focus:border-transparent`}
+                                >
+                                    <option value="all">All Status</option>
+                                    <option value="active">Active</option>
+                                    <option value="inactive">Inactive</option>
+                                    <option value="locked">Locked</option>
+                                </select>
+                            </div>
+
+                            <button
+                                onClick={openInviteModal}
+                                className="flex items-center gap-2 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white px-4 py-2 rounded-lg transition-all duration-200"
+                            >
+                                <FiUserPlus className="w-4 h-4" />
+                                Invite User
+                            </button>
+                        </div>
+                    </motion.div>
+
+                    {/* Users Table */}
+                    <motion.div
+                        initial={{ opacity: 0, y: 20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        transition={{ delay: 0.2 }}
+                        className={`${isDark ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-sm border ${isDark ? 'border-gray-700' : 'border-gray-200'} overflow-hidden`}
+                    >
+                        <div className="overflow-x-auto">
+                            <table className="w-full">
+                                <thead className={`${isDark ? 'bg-gray-900' : 'bg-gray-50'}`}>
+                                    <tr>
+                                        {['User', 'Role', 'Permissions', 'Status', 'Last Login', 'Actions'].map(heading => (
+                                            <th
+                                                key={heading}
+                                                className={`px-6 py-3 text-left text-xs font-medium ${isDark ? 'text-gray-400' : 'text-gray-500'} uppercase tracking-wider`}
+                                            >
+                                                {heading}
+                                            </th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody className={`${isDark ? 'bg-gray-800' : 'bg-white'} divide-y ${isDark ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                                    {!loading && users.length === 0 && (
+                                        <tr>
+                                            <td colSpan={6} className={`px-6 py-8 text-center text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+                                                <FiUsers className="w-8 h-8 mx-auto mb-2 opacity-50" />
+                                                No users found
+                                            </td>
+                                        </tr>
+                                    )}
+                                    {users.map((user) => {
+                                        const status = getStatus(user);
+                                        return (
+                                            <tr key={user._id} className={`hover:${isDark ? 'bg-gray-700' : 'bg-gray-50'} transition-colors duration-200`}>
+                                                <td className="px-6 py-4">
+                                                    <div className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                                                        {user.firstName} {user.lastName}
+                                                        {currentUser?.email === user.email && (
+                                                            <span className={`ml-2 text-xs ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>(you)</span>
+                                                        )}
+                                                    </div>
+                                                    <div className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+                                                        {user.email}
+                                                    </div>
+                                                </td>
+                                                <td className="px-6 py-4">
+                                                    <span className={`text-sm font-medium capitalize ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                                                        {user.role}
+                                                    </span>
+                                                </td>
+                                                <td className="px-6 py-4">
+                                                    <span className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+                                                        {user.permissions?.length || 0} granted
+                                                    </span>
+                                                </td>
+                                                <td className="px-6 py-4">
+                                                    <div className="flex items-center gap-2">
+                                                        {status.icon}
+                                                        <span className={`text-sm font-medium capitalize ${status.color}`}>
+                                                            {status.label}
+                                                        </span>
+                                                    </div>
+                                                </td>
+                                                <td className="px-6 py-4">
+                                                    <span className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+                                                        {formatDate(user.lastLogin)}
+                                                    </span>
+                                                </td>
+                                                <td className="px-6 py-4">
+                                                    <div className="flex items-center gap-3">
+                                                        <button
+                                                            onClick={() => openEditModal(user)}
+                                                            className="text-blue-600 hover:text-blue-800 transition-colors duration-200"
+                                                            title="Edit user"
+                                                        >
+                                                            <FiEdit2 className="w-4 h-4" />
+                                                        </button>
+                                                        {user.isLocked && (
+                                                            <button
+                                                                onClick={() => handleUnlock(user)}
+                                                                className="text-orange-600 hover:text-orange-800 transition-colors duration-200"
+                                                                title="Unlock account"
+                                                            >
+                                                                <FiUnlock className="w-4 h-4" />
+                                                            </button>
+                                                        )}
+                                                        {!user.lastLogin && (
+                                                            <button
+                                                                onClick={() => handleResendInvitation(user)}
+                                                                className="text-purple-600 hover:text-purple-800 transition-colors duration-200"
+                                                                title="Resend invitation"
+                                                            >
+                                                                <FiSend className="w-4 h-4" />
+                                                            </button>
+                                                        )}
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        {/* Pagination */}
+                        {totalPages > 1 && (
+                            <div className={`px-6 py-3 border-t ${isDark ? 'border-gray-700' : 'border-gray-200'} flex justify-between items-center`}>
+                                <div className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+                                    Page {currentPage} of {totalPages}
+                                </div>
+                                <div className="flex gap-2">
+                                    <button
+                                        onClick={() => setCurrentPage(prev => Math.max(1, prev - 1))}
+                                        disabled={currentPage === 1}
+                                        className={`px-3 py-1 rounded ${
+                                            currentPage === 1
+                                                ? 'bg-gray-200 text-gray-400 cursor-not-allowed'
+                                                : 'bg-blue-600 text-white hover:bg-blue-700'
+                                        }`}
+                                    >
+                                        Previous
+                                    </button>
+                                    <button
+                                        onClick={() => setCurrentPage(prev => Math.min(totalPages, prev + 1))}
+                                        disabled={currentPage === totalPages}
+                                        className={`px-3 py-1 rounded ${
+                                            currentPage === totalPages
+                                                ? 'bg-gray-200 text-gray-400 cursor-not-allowed'
+                                                : 'bg-blue-600 text-white hover:bg-blue-700'
+                                        }`}
+                                    >
+                                        Next
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                    </motion.div>
+                </div>
+
+                {/* Invite / Edit Modal */}
+                <AnimatePresence>
+                    {showUserModal && (
+                        <motion.div
+                            initial={{ opacity: 0 }}
+                            animate={{ opacity: 1 }}
+                            exit={{ opacity: 0 }}
+                            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+                            onClick={() => setShowUserModal(false)}
+                        >
+                            <motion.div
+                                initial={{ scale: 0.9, opacity: 0 }}
+                                animate={{ scale: 1, opacity: 1 }}
+                                exit={{ scale: 0.9, opacity: 0 }}
+                                className={`${isDark ? 'bg-gray-800' : 'bg-white'} rounded-xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto`}
+                                onClick={(e) => e.stopPropagation()}
+                            >
+                                <div className="p-6">
+                                    <h3 className={`text-xl font-bold ${isDark ? 'text-white' : 'text-gray-900'} mb-4`}>
+                                        {editingUser ? 'Edit User' : 'Invite User'}
+                                    </h3>
+
+                                    {formError && (
+                                        <div className="mb-4 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-sm text-red-600">
+                                            {formError}
+                                        </div>
+                                    )}
+
+                                    <div className="space-y-4">
+                                        <div>
+                                            <label className={`block text-sm font-medium ${isDark ? 'text-gray-300' : 'text-gray-700'} mb-2`}>
+                                                Email
+                                            </label>
+                                            <input
+                                                type="email"
+                                                value={formData.email}
+                                                onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                                                disabled={!!editingUser}
+                                                className={`${inputClassName} disabled:opacity-60`}
+                                                placeholder="editor@example.com"
+                                            />
+                                        </div>
+
+                                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                                            <div>
+                                                <label className={`block text-sm font-medium ${isDark ? 'text-gray-300' : 'text-gray-700'} mb-2`}>
+                                                    First Name
+                                                </label>
+                                                <input
+                                                    type="text"
+                                                    value={formData.firstName}
+                                                    onChange={(e) => setFormData({ ...formData, firstName: e.target.value })}
+                                                    className={inputClassName}
+                                                />
+                                            </div>
+                                            <div>
+                                                <label className={`block text-sm font-medium ${isDark ? 'text-gray-300' : 'text-gray-700'} mb-2`}>
+                                                    Last Name
+                                                </label>
+                                                <input
+                                                    type="text"
+                                                    value={formData.lastName}
+                                                    onChange={(e) => setFormData({ ...formData, lastName: e.target.value })}
+                                                    className={inputClassName}
+                                                />
+                                            </div>
+                                        </div>
+
+                                        <div>
+                                            <label className={`block text-sm font-medium ${isDark ? 'text-gray-300' : 'text-gray-700'} mb-2`}>
+                                                Role
+                                            </label>
+                                            <select
+                                                value={formData.role}
+                                                onChange={(e) => handleRoleChange(e.target.value)}
+                                                className={inputClassName}
+                                            >
+                                                <option value="admin">Admin</option>
+                                                <option value="editor">Editor</option>
+                                                <option value="viewer">Viewer</option>
+                                            </select>
+                                            <p className={`mt-1 text-xs ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+                                                Changing the role resets permissions to that role&apos;s defaults.
+                                            </p>
+                                        </div>
+
+                                        <div>
+                                            <label className={`block text-sm font-medium ${isDark ? 'text-gray-300' : 'text-gray-700'} mb-2`}>
+                                                Permissions
+                                            </label>
+                                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                                                {availablePermissions.map(permission => (
+                                                    <label key={permission} className="flex items-center gap-2 cursor-pointer">
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={formData.permissions.includes(permission)}
+                                                            onChange={() => togglePermission(permission)}
+                                                            className="rounded"
+                                                        />
+                                                        <span className={`text-sm font-mono ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                                                            {permission}
+                                                        </span>
+                                                    </label>
+                                                ))}
+                                            </div>
+                                        </div>
+
+                                        {editingUser && (
+                                            <label className="flex items-center gap-2 cursor-pointer">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={formData.isActive}
+                                                    onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                                                    className="rounded"
+                                                />
+                                                <span className={`text-sm ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                                                    Account active
+                                                </span>
+                                            </label>
+                                        )}
+                                    </div>
+
+                                    <div className="flex justify-end gap-3 mt-6">
+                                        <button
+                                            onClick={() => setShowUserModal(false)}
+                                            className={`px-4 py-2 rounded-lg ${
+                                                isDark
+                                                    ? 'bg-gray-700 hover:bg-gray-600 text-white'
+                                                    : 'bg-gray-100 hover:bg-gray-200 text-gray-900'
+                                            } transition-colors duration-200`}
+                                        >
+                                            Cancel
+                                        </button>
+                                        <button
+                                            onClick={handleSaveUser}
+                                            disabled={saving}
+                                            className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white rounded-lg transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+                                        >
+                                            {saving ? (
+                                                <>
+                                                    <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                                                    Saving...
+                                                </>
+                                            ) : editingUser ? (
+                                                <>
+                                                    <FiCheckCircle className="w-4 h-4" />
+                                                    Save Changes
+                                                </>
+                                            ) : (
+                                                <>
+                                                    <FiSend className="w-4 h-4" />
+                                                    Send Invitation
+                                                </>
+                                            )}
+                                        </button>
+                                    </div>
+                                </div>
+                            </motion.div>
+                        </motion.div>
+                    )}
+                </AnimatePresence>
+            </div>
+        </>
+    );
+};
+
+UserManagement.requireAuth = true;
+
+export default UserManagement;
@@ -12,6 +12,7 @@ import Head from 'next/head';
 import Link from 'next/link';
 import Image from 'next/image';
 import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
 import { 
   FiCalendar, 
   FiClock, 
@@ -31,6 +32,7 @@ import BlogService from '../../services/blog-service';
 import BlogPost from '../../components/blog/BlogPost';
 import CommentList from '../../components/blog/CommentList';
 import CommentForm from '../../components/blog/CommentForm';
+import SeriesNavigation from '../../components/blog/SeriesNavigation';
 import SubscriptionForm from '../../components/SubscriptionForm';
 import useSubscriptionModal from '../../hooks/useSubscriptionModal';
 
@@ -47,8 +49,11 @@ export default function BlogDetailPage() {
   
   const [blog, setBlog] = useState(null);
   const [relatedBlogs, setRelatedBlogs] = useState([]);
+  const [series, setSeries] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [likes, setLikes] = useState({ count: 0, liked: false, likedComments: [] });
+  const [isLikePending, setIsLikePending] = useState(false);
 
   // Animation variants
   const fadeInUp = {
@@ -73,6 +78,13 @@ export default function BlogDetailPage() {
     }
   }, [slug]);
 
+  // Landing here from the "stop notifications" link in a reply email
+  useEffect(() => {
+    if (router.query.replyNotifications === 'off') {
+      toast.success('You will no longer get reply notifications for that comment');
+    }
+  }, [router.query.replyNotifications]);
+
   /**
    * Load blog by slug
    */
@@ -84,6 +96,9 @@ export default function BlogDetailPage() {
       const response = await BlogService.getBlogBySlug(slug);
       setBlog(response.data.blog);
       setRelatedBlogs(response.data.relatedBlogs || []);
+      setSeries(response.data.series || null);
+      setLikes({ count: response.data.blog.likes || 0, liked: false, likedComments: [] });
+      loadLikes(response.data.blog._id);
     } catch (error) {
       console.error('[BlogDetail] Error loading blog:', error);
       setError('Blog not found');
@@ -92,6 +107,47 @@ export default function BlogDetailPage() {
     }
   };
 
+  /**
+   * Load what this visitor has already liked on the post
+   * @param {string} blogId - Blog ID
+   */
+  const loadLikes = async (blogId) => {
+    try {
+      const response = await BlogService.getLikes(blogId);
+      setLikes({
+        count: response.data.likes,
+        liked: response.data.liked,
+        likedComments: response.data.likedComments
+      });
+    } catch (error) {
+      console.error('[BlogDetail] Error loading likes:', error);
+    }
+  };
+
+  /**
+   * Toggle the post like optimistically, rolling back if the request fails
+   */
+  const toggleLike = async () => {
+    if (isLikePending) return;
+
+    const previous = likes;
+    const liked = !previous.liked;
+
+    setLikes({ ...previous, liked, count: Math.max(0, previous.count + (liked ? 1 : -1)) });
+    setIsLikePending(true);
+
+    try {
+      const response = await BlogService.setBlogLiked(blog._id, liked);
+      setLikes(current => ({ ...current, liked: response.data.liked, count: response.data.likes }));
+    } catch (error) {
+      console.error('[BlogDetail] Error updating like:', error);
+      setLikes(previous);
+      toast.error(error.message || 'Could not update your like');
+    } finally {
+      setIsLikePending(false);
+    }
+  };
+
   /**
    * Format date
    */
@@ -147,6 +203,9 @@ export default function BlogDetailPage() {
     );
   }
 
+  // Without a custom image, the generated card for this post (see /og rewrite)
+  const ogImage = blog.seo?.ogImage || `${process.env.NEXT_PUBLIC_SITE_URL}/og/blog/${blog.slug}.png`;
+
   return (
     <>
       <Head>
@@ -155,12 +214,18 @@ export default function BlogDetailPage() {
         <meta name="keywords" content={blog.seo?.keywords?.join(', ') || blog.tags?.join(', ')} />
         <meta property="og:title" content={blog.title} />
         <meta property="og:description" content={blog.excerpt} />
-        <meta property="og:image" content={blog.featuredImage?.url || '/placeholder.svg'} />
+        <meta property="og:image" content={ogImage} />
+        {!blog.seo?.ogImage && (
+          <>
+            <meta property="og:image:width" content="1200" />
+            <meta property="og:image:height" content="630" />
+          </>
+        )}
         <meta property="og:type" content="article" />
         <meta name="twitter:card" content="summary_large_image" />
         <meta name="twitter:title" content={blog.title} />
         <meta name="twitter:description" content={blog.excerpt} />
-        <meta name="twitter:image" content={blog.featuredImage?.url || '/placeholder.svg'} />
+        <meta name="twitter:image" content={ogImage} />
         <link rel="canonical" href={`${process.env.NEXT_PUBLIC_SITE_URL}/blog/${blog.slug}`} />
       </Head>
 
@@ -237,9 +302,25 @@ export default function BlogDetailPage() {
                 <FiEye className="w-4 h-4" />
                 <span>{blog.views?.toLocaleString()} views</span>
               </div>
+              <div className="flex items-center space-x-2">
+                <FiHeart className="w-4 h-4" />
+                <span>{likes.count.toLocaleString()} likes</span>
+              </div>
             </motion.div>
           </motion.header>
 
+          {/* Series Contents */}
+          {series && (
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.1 }}
+              className="mb-8"
+            >
+              <SeriesNavigation series={series} currentSlug={blog.slug} isDark={isDark} />
+            </motion.div>
+          )}
+
           {/* Featured Image */}
           {blog.featuredImage?.url && (
             <motion.div
@@ -281,6 +362,18 @@ export default function BlogDetailPage() {
             />
           </motion.div>
 
+          {/* Series Previous/Next */}
+          {series && (
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.35 }}
+              className="mb-8"
+            >
+              <SeriesNavigation series={series} currentSlug={blog.slug} isDark={isDark} variant="pager" />
+            </motion.div>
+          )}
+
           {/* Tags */}
           {blog.tags && blog.tags.length > 0 && (
             <motion.div
@@ -318,6 +411,21 @@ export default function BlogDetailPage() {
               backgroundColor: isDark ? '#1f2937' : '#f9fafb'
             }}
           >
+            <button
+              onClick={toggleLike}
+              aria-pressed={likes.liked}
+              aria-label={likes.liked ? 'Unlike this article' : 'Like this article'}
+              className={`flex items-center space-x-2 px-3 py-2 rounded-full border text-sm font-medium transition-colors ${
+                likes.liked
+                  ? 'bg-red-500 border-red-500 text-white hover:bg-red-600'
+                  : isDark
+                    ? 'border-gray-600 text-gray-300 hover:border-red-400 hover:text-red-400'
+                    : 'border-gray-300 text-gray-700 hover:border-red-500 hover:text-red-500'
+              }`}
+            >
+              <FiHeart className={`w-4 h-4 ${likes.liked ? 'fill-current' : ''}`} />
+              <span>{likes.count.toLocaleString()}</span>
+            </button>
             <span className={`text-sm font-medium ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
               Share this article:
             </span>
@@ -365,7 +473,7 @@ export default function BlogDetailPage() {
             </div>
 
             {/* Comments List */}
-            <CommentList blogId={blog._id} />
+            <CommentList blogId={blog._id} likedComments={likes.likedComments} />
           </motion.section>
 
           {/* Newsletter Subscription */}
@@ -9,10 +9,10 @@
 import { useState, useEffect, useMemo, useCallback } from 'react';
 import Head from 'next/head';
 import Link from 'next/link';
+import { useRouter } from 'next/router';
 import Image from 'next/image';
 import { motion } from 'framer-motion';
 import { 
-  FiSearch, 
   FiFilter, 
   FiCalendar, 
   FiClock, 
@@ -21,7 +21,6 @@ import {
   FiArrowRight,
   FiArrowLeft,
   FiChevronDown,
-  FiX,
   FiEye,
   FiMessageSquare,
   FiHeart,
@@ -30,13 +29,15 @@ import {
   FiGithub,
   FiLinkedin,
   FiTwitter,
-  FiCode
+  FiCode,
+  FiX
 } from 'react-icons/fi';
 import { useTheme } from '../../context/ThemeContext';
 import ThemeToggle from '../../components/ui/ThemeToggle';
 import Loader, { LOADER_VARIANTS, LOADER_SIZES } from '../../components/ui/Loader';
 import BlogService from '../../services/blog-service';
 import SubscriptionForm from '../../components/SubscriptionForm';
+import BlogSearchBox from '../../components/blog/BlogSearchBox';
 
 /**
  * Blog Page Component - Professional Minimalistic Design
@@ -44,9 +45,11 @@ import SubscriptionForm from '../../components/SubscriptionForm';
  * @returns {JSX.Element} Redesigned blog page component with advanced SEO
  */
 export default function BlogPage() {
+  const router = useRouter();
   const { toggleTheme, isDark } = useTheme();
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('all');
+  const [selectedTag, setSelectedTag] = useState('');
   const [blogs, setBlogs] = useState([]);
   const [loading, setLoading] = useState(true);
   const [currentPage, setCurrentPage] = useState(1);
@@ -102,6 +105,29 @@ export default function BlogPage() {
     loadPopularBlogs();
   }, []);
 
+  /**
+   * Fetch one page of the grid: ranked search results while searching,
+   * the published listing otherwise
+   * @param {number} page - Page number
+   * @returns {Promise<Object>} { blogs, pagination }
+   */
+  const fetchBlogPage = useCallback(async (page) => {
+    const params = {
+      page,
+      limit: 9,
+      ...(selectedCategory !== 'all' && { category: selectedCategory }),
+      ...(selectedTag && { tag: selectedTag })
+    };
+
+    if (searchQuery) {
+      const response = await BlogService.searchBlogs({ ...params, q: searchQuery });
+      return { blogs: response?.data?.results, pagination: response?.data?.pagination };
+    }
+
+    const response = await BlogService.getPublishedBlogs(params);
+    return { blogs: response?.data?.blogs, pagination: response?.data?.pagination };
+  }, [selectedCategory, selectedTag, searchQuery]);
+
   /**
    * Load published blogs with optimized pagination
    */
@@ -114,23 +140,16 @@ export default function BlogPage() {
         setLoadingMore(true);
       }
       
-      const params = {
-        page: reset ? 1 : currentPage,
-        limit: 9,
-        ...(selectedCategory !== 'all' && { category: selectedCategory }),
-        ...(searchQuery && { search: searchQuery })
-      };
-
-      const response = await BlogService.getPublishedBlogs(params);
+      const { blogs: pageBlogs, pagination } = await fetchBlogPage(reset ? 1 : currentPage);
       
-      if (response?.data?.blogs) {
+      if (pageBlogs) {
         if (reset) {
-          setBlogs(response.data.blogs);
+          setBlogs(pageBlogs);
         } else {
-          setBlogs(prev => [...prev, ...response.data.blogs]);
+          setBlogs(prev => [...prev, ...pageBlogs]);
         }
         
-        setTotalPages(response.data.pagination?.totalPages || 1);
+        setTotalPages(pagination?.totalPages || 1);
       }
     } catch (error) {
       console.error('[Blog] Error loading blogs:', error);
@@ -143,7 +162,7 @@ export default function BlogPage() {
       setLoading(false);
       setLoadingMore(false);
     }
-  }, [currentPage, selectedCategory, searchQuery]);
+  }, [currentPage, fetchBlogPage]);
 
   /**
    * Load categories with caching
@@ -171,7 +190,7 @@ export default function BlogPage() {
   }, []);
 
   /**
-   * Handle search with debouncing
+   * Apply a search to the article grid (the search box shows instant results as you type)
    */
   const handleSearch = useCallback((query) => {
     setSearchQuery(query);
@@ -218,15 +237,10 @@ export default function BlogPage() {
     setLoadingMore(true);
     try {
       const nextPage = currentPage + 1;
-      const response = await BlogService.getPublishedBlogs({
-        page: nextPage,
-        limit: 9,
-        ...(selectedCategory !== 'all' && { category: selectedCategory }),
-        ...(searchQuery && { search: searchQuery })
-      });
+      const { blogs: pageBlogs } = await fetchBlogPage(nextPage);
 
-      if (response.success && response.data.blogs) {
-        setBlogs(prev => [...prev, ...response.data.blogs]);
+      if (pageBlogs) {
+        setBlogs(prev => [...prev, ...pageBlogs]);
         setCurrentPage(nextPage);
       }
     } catch (error) {
@@ -234,12 +248,12 @@ export default function BlogPage() {
     } finally {
       setLoadingMore(false);
     }
-  }, [loadingMore, currentPage, totalPages, selectedCategory, searchQuery]);
+  }, [loadingMore, currentPage, totalPages, fetchBlogPage]);
 
   // Load data on mount and when filters change
   useEffect(() => {
     loadBlogs(true); // Reset blogs when filters change
-  }, [selectedCategory, searchQuery]);
+  }, [selectedCategory, selectedTag, searchQuery]);
 
   useEffect(() => {
     if (currentPage > 1) {
@@ -252,20 +266,24 @@ export default function BlogPage() {
     loadPopularBlogs();
   }, []);
 
-  // Optimized filtered blogs with memoization
-  const filteredBlogs = useMemo(() => {
-    return blogs.filter(blog => {
-      const matchesSearch = !searchQuery || 
-        blog.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        blog.excerpt.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        (blog.tags || []).some(tag => tag.toLowerCase().includes(searchQuery.toLowerCase()));
-      
-      const matchesCategory = selectedCategory === 'all' || 
-        (blog.categories || []).includes(selectedCategory);
-      
-      return matchesSearch && matchesCategory;
-    });
-  }, [blogs, searchQuery, selectedCategory]);
+  // Shared links (and the SearchAction below) open with ?search=; feeds and
+  // the sitemap link here with ?category= and ?tag=
+  useEffect(() => {
+    if (!router.isReady) return;
+
+    if (typeof router.query.search === 'string') {
+      setSearchQuery(router.query.search);
+    }
+    if (typeof router.query.category === 'string') {
+      setSelectedCategory(router.query.category);
+    }
+    if (typeof router.query.tag === 'string') {
+      setSelectedTag(router.query.tag);
+    }
+  }, [router.isReady]);
+
+  // The API already filters and ranks; nothing left to filter here
+  const filteredBlogs = blogs;
 
   // Get featured blog with memoization
   const featuredBlog = useMemo(() => {
@@ -369,6 +387,15 @@ export default function BlogPage() {
         
         {/* Canonical URL */}
         <link rel="canonical" href={`https://yourdomain.com/blog${searchQuery ? `?search=${searchQuery}` : ''}${selectedCategory !== 'all' ? `?category=${selectedCategory}` : ''}`} />
+
+        {/* Category feeds, alongside the site-wide ones from _document */}
+        {selectedCategory !== 'all' && (
+          <>
+            <link rel="alternate" type="application/rss+xml" title={`Blog: ${selectedCategory} (RSS)`} href={`/blog/category/${selectedCategory}/feed.xml`} />
+            <link rel="alternate" type="application/atom+xml" title={`Blog: ${selectedCategory} (Atom)`} href={`/blog/category/${selectedCategory}/atom.xml`} />
+            <link rel="alternate" type="application/feed+json" title={`Blog: ${selectedCategory} (JSON Feed)`} href={`/blog/category/${selectedCategory}/feed.json`} />
+          </>
+        )}
         
         {/* Open Graph / Facebook */}
         <meta property="og:type" content="website" />
@@ -524,24 +551,12 @@ export default function BlogPage() {
             >
               <div className="bg-white dark:bg-slate-800 rounded-xl sm:rounded-2xl shadow-lg border border-slate-200 dark:border-slate-700 p-4 sm:p-6">
                 {/* Search Bar */}
-                <div className="relative mb-4 sm:mb-6">
-                  <FiSearch className="absolute left-3 sm:left-4 top-1/2 transform -translate-y-1/2 text-slate-400 w-4 h-4 sm:w-5 sm:h-5" />
-                  <input
-                    id="blog-content-search-input-field"
-                    type="text"
-                    placeholder="Search articles, technologies..."
+                <div className="mb-4 sm:mb-6">
+                  <BlogSearchBox
                     value={searchQuery}
-                    onChange={(e) => handleSearch(e.target.value)}
-                    className="w-full pl-10 sm:pl-12 pr-3 sm:pr-4 py-2.5 sm:py-3 bg-slate-50 dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg sm:rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm sm:text-base text-slate-900 dark:text-white placeholder-slate-500 dark:placeholder-slate-400 transition-all duration-200 outline-none"
+                    onSearch={handleSearch}
+                    onSelectCategory={handleCategoryFilter}
                   />
-                  {searchQuery && (
-                    <button
-                      onClick={() => handleSearch('')}
-                      className="absolute right-3 sm:right-4 top-1/2 transform -translate-y-1/2 text-slate-400 hover:text-slate-600 dark:hover:text-slate-300"
-                    >
-                      <FiX className="w-4 h-4" />
-                    </button>
-                  )}
                 </div>
 
                 {/* Category Pills */}
@@ -564,11 +579,23 @@ export default function BlogPage() {
                 {/* Results Info */}
                 <div className="mt-3 sm:mt-4 pt-3 sm:pt-4 border-t border-slate-200 dark:border-slate-700">
                   <p className="text-xs sm:text-sm text-slate-500 dark:text-slate-400 text-center">
-                    {searchQuery || selectedCategory !== 'all' ? (
+                    {searchQuery || selectedCategory !== 'all' || selectedTag ? (
                       <>
                         Found <span className="font-semibold text-slate-700 dark:text-slate-300">{filteredBlogs.length}</span> article{filteredBlogs.length !== 1 ? 's' : ''}
                         {searchQuery && <> for "<span className="font-medium">{searchQuery}</span>"</>}
                         {selectedCategory !== 'all' && <> in <span className="font-medium capitalize">{selectedCategory}</span></>}
+                        {selectedTag && (
+                          <>
+                            {' '}tagged <span className="font-medium">#{selectedTag}</span>
+                            <button
+                              onClick={() => setSelectedTag('')}
+                              aria-label="Clear tag filter"
+                              className="ml-1 align-middle text-slate-400 hover:text-slate-600 dark:hover:text-slate-300"
+                            >
+                              <FiX className="inline w-3 h-3" />
+                            </button>
+                          </>
+                        )}
                       </>
                     ) : (
                       <>Showing all <span className="font-semibold text-slate-700 dark:text-slate-300">{blogs.length}</span> articles</>
@@ -581,7 +608,7 @@ export default function BlogPage() {
         </section>
 
         {/* Featured Article */}
-        {featuredBlog && (!searchQuery && selectedCategory === 'all') && (
+        {featuredBlog && (!searchQuery && selectedCategory === 'all' && !selectedTag) && (
           <section className="px-3 sm:px-6 py-8 sm:py-12 bg-gradient-to-br from-blue-50 to-indigo-50 dark:from-slate-800 dark:to-slate-900">
             <div className="max-w-6xl mx-auto">
               <motion.div
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Series Landing Page - Every published part of a multi-part series in reading order
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import Link from 'next/link';
+import { motion } from 'framer-motion';
+import { FiArrowLeft, FiCalendar, FiClock, FiLayers } from 'react-icons/fi';
+import { useTheme } from '../../../context/ThemeContext';
+import BlogService from '../../../services/blog-service';
+
+/**
+ * Series Landing Page Component
+ * @function SeriesPage
+ * @returns {JSX.Element} Series landing page
+ */
+export default function SeriesPage() {
+  const router = useRouter();
+  const { slug } = router.query;
+  const { isDark } = useTheme();
+
+  const [series, setSeries] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fadeInUp = {
+    hidden: { opacity: 0, y: 20 },
+    visible: { opacity: 1, y: 0 }
+  };
+
+  useEffect(() => {
+    if (slug && typeof slug === 'string') {
+      loadSeries();
+    }
+  }, [slug]);
+
+  /**
+   * Load series by slug
+   */
+  const loadSeries = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await BlogService.getSeriesBySlug(slug);
+      setSeries(response.data);
+    } catch (error) {
+      console.error('[SeriesPage] Error loading series:', error);
+      setError('Series not found');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className={`min-h-screen ${isDark ? 'bg-gray-900' : 'bg-white'} flex items-center justify-center`}>
+        <div className={`${isDark ? 'text-white' : 'text-gray-900'} font-mono`}>Loading series...</div>
+      </div>
+    );
+  }
+
+  if (error || !series) {
+    return (
+      <div className={`min-h-screen ${isDark ? 'bg-gray-900' : 'bg-white'} flex items-center justify-center`}>
+        <div className="text-center">
+          <div className={`${isDark ? 'text-white' : 'text-gray-900'} font-mono text-xl mb-4`}>
+            {error || 'Series not found'}
+          </div>
+          <Link
+            href="/blog"
+            className={`${isDark ? 'text-blue-400 hover:text-blue-300' : 'text-blue-600 hover:text-blue-700'} font-mono underline`}
+          >
+            ← Back to Blog
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const totalReadTime = series.posts.reduce((total, post) => total + (post.readTime || 0), 0);
+  const description = series.description || `A ${series.posts.length}-part series: ${series.title}`;
+
+  return (
+    <>
+      <Head>
+        <title>{series.title} | Blog Series</title>
+        <meta name="description" content={description} />
+        <meta property="og:title" content={series.title} />
+        <meta property="og:description" content={description} />
+        <meta property="og:type" content="website" />
+        <link rel="canonical" href={`${process.env.NEXT_PUBLIC_SITE_URL}/blog/series/${series.slug}`} />
+      </Head>
+
+      <div className={`min-h-screen ${isDark ? 'bg-gray-900' : 'bg-white'} transition-colors duration-300`}>
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          {/* Back Link */}
+          <motion.div
+            initial={{ opacity: 0, x: -20 }}
+            animate={{ opacity: 1, x: 0 }}
+            className="mb-8"
+          >
+            <Link
+              href="/blog"
+              className={`inline-flex items-center space-x-2 ${isDark ? 'text-gray-400 hover:text-white' : 'text-gray-600 hover:text-gray-900'} font-mono text-sm transition-colors`}
+            >
+              <FiArrowLeft className="w-4 h-4" />
+              <span>Back to Blog</span>
+            </Link>
+          </motion.div>
+
+          {/* Series Header */}
+          <motion.header
+            variants={fadeInUp}
+            initial="hidden"
+            animate="visible"
+            className="mb-10"
+          >
+            <div className={`flex items-center space-x-2 text-sm font-mono mb-4 ${isDark ? 'text-blue-400' : 'text-blue-600'}`}>
+              <FiLayers className="w-4 h-4" />
+              <span>SERIES · {series.posts.length} PARTS · {totalReadTime} MIN READ</span>
+            </div>
+            <h1 className={`text-3xl sm:text-4xl lg:text-5xl font-bold mb-4 leading-tight ${isDark ? 'text-white' : 'text-gray-900'}`}>
+              {series.title}
+            </h1>
+            {series.description && (
+              <p className={`text-lg ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                {series.description}
+              </p>
+            )}
+          </motion.header>
+
+          {/* Parts */}
+          <ol className="space-y-4">
+            {series.posts.map((post, index) => (
+              <motion.li
+                key={post._id}
+                variants={fadeInUp}
+                initial="hidden"
+                animate="visible"
+                transition={{ delay: 0.1 + index * 0.05 }}
+              >
+                <Link
+                  href={`/blog/${post.slug}`}
+                  className={`flex gap-4 p-5 rounded-lg border transition-colors ${
+                    isDark
+                      ? 'bg-gray-800 border-gray-700 hover:border-blue-500/50'
+                      : 'bg-white border-gray-200 hover:border-blue-300'
+                  }`}
+                >
+                  <span className={`text-2xl font-bold font-mono ${isDark ? 'text-gray-600' : 'text-gray-300'}`}>
+                    {String(index + 1).padStart(2, '0')}
+                  </span>
+                  <div className="min-w-0">
+                    <h2 className={`text-lg font-semibold mb-1 ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                      {post.title}
+                    </h2>
+                    {post.excerpt && (
+                      <p className={`text-sm mb-2 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                        {post.excerpt}
+                      </p>
+                    )}
+                    <div className="flex flex-wrap items-center gap-4 text-xs text-gray-500">
+                      {post.publishedAt && (
+                        <span className="flex items-center space-x-1">
+                          <FiCalendar className="w-3 h-3" />
+                          <span>{BlogService.formatDate(post.publishedAt)}</span>
+                        </span>
+                      )}
+                      {post.readTime && (
+                        <span className="flex items-center space-x-1">
+                          <FiClock className="w-3 h-3" />
+                          <span>{post.readTime} min read</span>
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                </Link>
+              </motion.li>
+            ))}
+          </ol>
+        </div>
+      </div>
+    </>
+  );
+}
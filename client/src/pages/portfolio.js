@@ -36,6 +36,7 @@ import { usePortfolioData } from "../hooks/usePortfolioData"
 import Avatar3D from "../components/ui/Avatar3D"
 import ProjectPreview from "../components/ui/ProjectPreview"
 import SkillsMarquee from "../components/ui/SkillsMarquee"
+import ContactForm from "../components/ContactForm"
 import PortfolioManagementService from "../services/portfolio-management-service"
 
 export default function PortfolioPage() {
@@ -1131,17 +1132,15 @@ export default function PortfolioPage() {
                     </div>
                   </div>
 
-                  <motion.a
+                  <a
                     href={`mailto:${personalInfo.email}`}
-                    whileHover={{ scale: 1.02 }} // Reduced from 1.05
-                    whileTap={{ scale: 0.98 }} // Reduced from 0.95
-                    transition={{ duration: 0.15, ease: "easeOut" }} // Faster transition
-                    className="inline-flex items-center px-6 py-3 md:px-8 md:py-4 bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-400 hover:to-blue-500 text-white font-bold rounded-xl md:rounded-2xl transition-all duration-200 shadow-lg hover:shadow-cyan-500/50 text-sm md:text-base"
-                    style={{ willChange: 'transform' }} // Performance optimization
+                    className={`inline-flex items-center text-sm md:text-base font-semibold transition-colors ${
+                      isDark ? 'text-cyan-400 hover:text-cyan-300' : 'text-cyan-600 hover:text-cyan-500'
+                    }`}
                   >
-                    <Mail className="w-4 h-4 md:w-5 md:h-5 mr-1 md:mr-2" />
-                    Send Message
-                  </motion.a>
+                    <Mail className="w-4 h-4 mr-2" />
+                    Prefer your own mail app? Email me directly
+                  </a>
                 </div>
 
                 <div>
@@ -1197,6 +1196,13 @@ export default function PortfolioPage() {
                   </div>
                 </div>
               </div>
+
+              <div className={`mt-8 pt-8 border-t ${isDark ? 'border-white/10' : 'border-black/10'}`}>
+                <h3 className={`text-xl md:text-2xl font-bold mb-4 md:mb-6 ${
+                  isDark ? 'text-white' : 'text-gray-900'
+                }`}>Send a Message</h3>
+                <ContactForm isDark={isDark} />
+              </div>
             </motion.div>
           </div>
         </section>
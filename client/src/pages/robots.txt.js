@@ -0,0 +1,63 @@
+/**
+ * @fileoverview robots.txt - Crawl rules for the site, generated per request
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const SITE_URL = (process.env.NEXT_PUBLIC_SITE_URL || 'https://jasilmeledath.dev').replace(/\/+$/, '');
+
+// Never worth crawling: the admin area, the API proxy and one-off token links
+const PRIVATE_PATHS = ['/admin', '/api/', '/subscription/'];
+
+/**
+ * Whether this request is for the production site. Preview deployments,
+ * tunnels and local builds answer on other hosts and stay out of the index.
+ * @param {Object} req - Incoming request
+ * @returns {boolean} True when crawlers should index the site
+ */
+const isIndexable = (req) => {
+  if (process.env.NODE_ENV !== 'production' || process.env.NEXT_PUBLIC_DISABLE_INDEXING === 'true') {
+    return false;
+  }
+
+  const host = (req.headers['x-forwarded-host'] || req.headers.host || '').split(',')[0].trim();
+  return host === new URL(SITE_URL).host;
+};
+
+/**
+ * @param {boolean} indexable - From isIndexable
+ * @returns {string} robots.txt body
+ */
+const buildRobots = (indexable) => {
+  if (!indexable) {
+    return ['User-agent: *', 'Disallow: /', ''].join('\n');
+  }
+
+  return [
+    'User-agent: *',
+    'Allow: /',
+    ...PRIVATE_PATHS.map(path => `Disallow: ${path}`),
+    '',
+    `Sitemap: ${SITE_URL}/sitemap.xml`,
+    ''
+  ].join('\n');
+};
+
+export async function getServerSideProps({ req, res }) {
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  res.end(buildRobots(isIndexable(req)));
+
+  return { props: {} };
+}
+
+/**
+ * Never rendered; getServerSideProps writes the response
+ * @function RobotsTxt
+ * @returns {null}
+ */
+export default function RobotsTxt() {
+  return null;
+}
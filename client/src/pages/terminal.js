@@ -112,6 +112,7 @@ export default function TerminalPage() {
         "🚀 Navigation:",
         "  portfolio     - Switch to portfolio mode",
         "  blog          - Switch to blog mode",
+        "  message       - Open the contact form",
         "  home          - Return to main page",
         "",
         "🎯 Fun Commands:",
@@ -312,14 +313,14 @@ export default function TerminalPage() {
           ...socialLinks.map(link => `  ${link.icon || '�'} ${link.platform}: ${link.url}`),
           "",
           "💬 Preferred Contact Methods:",
-          "  1. Email (fastest response)",
-          "  2. LinkedIn message",
-          "  3. Professional inquiry form",
+          "  1. Contact form (type 'message' to open it)",
+          "  2. Email",
+          "  3. LinkedIn message",
           "",
           "⏰ Response Time:",
+          "  • Contact form: Within 24 hours, with an instant confirmation",
           "  • Email: Within 24 hours",
           "  • LinkedIn: Within 48 hours",
-          "  • Professional inquiries: Same day",
           "",
           "🤝 Open to:",
           "  • Full-time opportunities",
@@ -630,6 +631,9 @@ export default function TerminalPage() {
     blog: () => {
       window.location.href = "/blog"
     },
+    message: () => {
+      window.location.href = "/portfolio#contact"
+    },
     home: () => {
       window.location.href = "/"
     },
@@ -278,8 +278,7 @@ class AuthService {
    */
   async resetPassword(token, newPassword) {
     try {
-      const response = await apiClient.post('/auth/reset-password', {
-        token,
+      const response = await apiClient.post(`/auth/reset-password/${token}`, {
         newPassword,
       });
       
@@ -165,6 +165,100 @@ class BlogService {
     return this.handleResponse(response);
   }
 
+  /**
+   * Get the current user's autosaved editor draft
+   * @param {string} id - Blog ID, or 'new' for the create page
+   * @returns {Promise<Object>} API response (data is null when nothing is saved)
+   */
+  static async getAutosave(id) {
+    const response = await fetch(`${API_BASE_URL}/blogs/autosave/${id}`, {
+      method: 'GET',
+      headers: this.getAuthHeaders()
+    });
+    
+    return this.handleResponse(response, false);
+  }
+
+  /**
+   * Autosave editor state without touching the live post
+   * @param {string} id - Blog ID, or 'new' for the create page
+   * @param {Object} data - Editor form data
+   * @param {string} [baseUpdatedAt] - updatedAt of the blog the edits started from
+   * @returns {Promise<Object>} API response
+   */
+  static async autosave(id, data, baseUpdatedAt) {
+    const response = await fetch(`${API_BASE_URL}/blogs/autosave/${id}`, {
+      method: 'PUT',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ data, baseUpdatedAt })
+    });
+    
+    // Autosave runs in the background, so failures are reported by the editor instead of a toast
+    return this.handleResponse(response, false);
+  }
+
+  /**
+   * Discard the current user's autosaved draft
+   * @param {string} id - Blog ID, or 'new' for the create page
+   * @returns {Promise<Object>} API response
+   */
+  static async discardAutosave(id) {
+    const response = await fetch(`${API_BASE_URL}/blogs/autosave/${id}`, {
+      method: 'DELETE',
+      headers: this.getAuthHeaders()
+    });
+    
+    return this.handleResponse(response, false);
+  }
+
+  /**
+   * Get a blog's revision history, newest first
+   * @param {string} id - Blog ID
+   * @param {Object} params - Query parameters ({ page, limit })
+   * @returns {Promise<Object>} API response
+   */
+  static async getRevisions(id, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const response = await fetch(`${API_BASE_URL}/blogs/${id}/revisions${queryString ? `?${queryString}` : ''}`, {
+      method: 'GET',
+      headers: this.getAuthHeaders()
+    });
+    
+    return this.handleResponse(response);
+  }
+
+  /**
+   * Get a side-by-side diff between two revisions
+   * @param {string} id - Blog ID
+   * @param {number} from - Older revision number
+   * @param {number} [to] - Newer revision number (latest when omitted)
+   * @returns {Promise<Object>} API response
+   */
+  static async getRevisionDiff(id, from, to) {
+    const queryString = new URLSearchParams({ from, ...(to && { to }) }).toString();
+    const response = await fetch(`${API_BASE_URL}/blogs/${id}/revisions/diff?${queryString}`, {
+      method: 'GET',
+      headers: this.getAuthHeaders()
+    });
+    
+    return this.handleResponse(response);
+  }
+
+  /**
+   * Restore a revision onto the live blog
+   * @param {string} id - Blog ID
+   * @param {number} revision - Revision number to restore
+   * @returns {Promise<Object>} API response
+   */
+  static async restoreRevision(id, revision) {
+    const response = await fetch(`${API_BASE_URL}/blogs/${id}/revisions/${revision}/restore`, {
+      method: 'POST',
+      headers: this.getAuthHeaders()
+    });
+    
+    return this.handleResponse(response);
+  }
+
   /**
    * Get blog statistics
    * @returns {Promise<Object>} API response
@@ -195,6 +289,125 @@ class BlogService {
     return this.handleResponse(response);
   }
 
+  /**
+   * Get all series with their posts, for the editor
+   * @returns {Promise<Object>} API response
+   */
+  static async getAllSeries() {
+    const response = await fetch(`${API_BASE_URL}/series`, {
+      method: 'GET',
+      headers: this.getAuthHeaders()
+    });
+    
+    return this.handleResponse(response, false);
+  }
+
+  /**
+   * Create a series
+   * @param {Object} seriesData - Series data ({ title, slug, description })
+   * @returns {Promise<Object>} API response
+   */
+  static async createSeries(seriesData) {
+    const response = await fetch(`${API_BASE_URL}/series`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify(seriesData)
+    });
+    
+    return this.handleResponse(response);
+  }
+
+  /**
+   * Update a series' details or post order
+   * @param {string} id - Series ID
+   * @param {Object} seriesData - Updated fields; `posts` is the full new order
+   * @returns {Promise<Object>} API response
+   */
+  static async updateSeries(id, seriesData) {
+    const response = await fetch(`${API_BASE_URL}/series/${id}`, {
+      method: 'PUT',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify(seriesData)
+    });
+    
+    return this.handleResponse(response);
+  }
+
+  /**
+   * Delete a series (its posts are kept)
+   * @param {string} id - Series ID
+   * @returns {Promise<Object>} API response
+   */
+  static async deleteSeries(id) {
+    const response = await fetch(`${API_BASE_URL}/series/${id}`, {
+      method: 'DELETE',
+      headers: this.getAuthHeaders()
+    });
+    
+    return this.handleResponse(response);
+  }
+
+  /**
+   * Create a category
+   * @param {Object} categoryData - Category data ({ name, slug, description, color, icon, order })
+   * @returns {Promise<Object>} API response
+   */
+  static async createCategory(categoryData) {
+    const response = await fetch(`${API_BASE_URL}/categories`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify(categoryData)
+    });
+    
+    return this.handleResponse(response);
+  }
+
+  /**
+   * Update a category; a changed slug is rewritten on posts and subscriptions
+   * @param {string} id - Category ID
+   * @param {Object} categoryData - Updated fields
+   * @returns {Promise<Object>} API response
+   */
+  static async updateCategory(id, categoryData) {
+    const response = await fetch(`${API_BASE_URL}/categories/${id}`, {
+      method: 'PUT',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify(categoryData)
+    });
+    
+    return this.handleResponse(response);
+  }
+
+  /**
+   * Merge a category into another and delete it
+   * @param {string} id - Category to merge away
+   * @param {string} intoId - Category that receives its posts
+   * @returns {Promise<Object>} API response
+   */
+  static async mergeCategory(id, intoId) {
+    const response = await fetch(`${API_BASE_URL}/categories/${id}/merge`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ into: intoId })
+    });
+    
+    return this.handleResponse(response);
+  }
+
+  /**
+   * Delete a category no post uses
+   * @param {string} id - Category ID
+   * @returns {Promise<Object>} API response
+   */
+  static async deleteCategory(id) {
+    const response = await fetch(`${API_BASE_URL}/categories/${id}`, {
+      method: 'DELETE',
+      headers: this.getAuthHeaders()
+    });
+    
+    return this.handleResponse(response);
+  }
+
   // ==================== PUBLIC OPERATIONS ====================
 
   /**
@@ -214,6 +427,22 @@ class BlogService {
     return this.handleResponse(response);
   }
 
+  /**
+   * Search published blogs by relevance (public)
+   * @param {Object} params - Query parameters (q, category, tag, page, limit)
+   * @param {boolean} showToast - Whether to show error toasts (off for search-as-you-type)
+   * @returns {Promise<Object>} API response with results, facets and correctedQuery
+   */
+  static async searchBlogs(params = {}, showToast = true) {
+    const queryString = new URLSearchParams(params).toString();
+    const response = await fetch(`${API_BASE_URL}/blogs/search?${queryString}`, {
+      method: 'GET',
+      headers: { 'Content-Type': 'application/json' }
+    });
+    
+    return this.handleResponse(response, showToast);
+  }
+
   /**
    * Get single blog by slug (public)
    * @param {string} slug - Blog slug
@@ -228,13 +457,28 @@ class BlogService {
     return this.handleResponse(response);
   }
 
+  /**
+   * Get a series landing page by slug (public)
+   * @param {string} slug - Series slug
+   * @returns {Promise<Object>} API response
+   */
+  static async getSeriesBySlug(slug) {
+    const response = await fetch(`${API_BASE_URL}/series/public/${slug}`, {
+      method: 'GET',
+      headers: { 'Content-Type': 'application/json' }
+    });
+    
+    return this.handleResponse(response, false);
+  }
+
   /**
    * Get popular blogs
    * @param {number} limit - Number of blogs to return
+   * @param {string} sort - 'views' (most viewed) or 'likes' (most liked)
    * @returns {Promise<Object>} API response
    */
-  static async getPopularBlogs(limit = 5) {
-    const response = await fetch(`${API_BASE_URL}/blogs/popular?limit=${limit}`, {
+  static async getPopularBlogs(limit = 5, sort = 'views') {
+    const response = await fetch(`${API_BASE_URL}/blogs/popular?limit=${limit}&sort=${sort}`, {
       method: 'GET',
       headers: { 'Content-Type': 'application/json' }
     });
@@ -269,6 +513,19 @@ class BlogService {
     return this.handleResponse(response);
   }
 
+  /**
+   * Get every configured category in display order, with published post counts
+   * @returns {Promise<Object>} API response
+   */
+  static async getAllCategories() {
+    const response = await fetch(`${API_BASE_URL}/categories`, {
+      method: 'GET',
+      headers: { 'Content-Type': 'application/json' }
+    });
+    
+    return this.handleResponse(response, false);
+  }
+
   /**
    * Get all tags
    * @returns {Promise<Object>} API response
@@ -298,6 +555,51 @@ class BlogService {
     return this.handleResponse(response);
   }
 
+  /**
+   * Get a blog's like count and what this visitor has already liked
+   * @param {string} blogId - Blog ID
+   * @returns {Promise<Object>} API response with likes, liked and likedComments
+   */
+  static async getLikes(blogId) {
+    const response = await fetch(`${API_BASE_URL}/blogs/${blogId}/likes`, {
+      method: 'GET',
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    return this.handleResponse(response, false);
+  }
+
+  /**
+   * Like or unlike a blog post
+   * @param {string} blogId - Blog ID
+   * @param {boolean} liked - True to like, false to remove the like
+   * @returns {Promise<Object>} API response with the updated count
+   */
+  static async setBlogLiked(blogId, liked) {
+    const response = await fetch(`${API_BASE_URL}/blogs/${blogId}/like`, {
+      method: liked ? 'POST' : 'DELETE',
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    return this.handleResponse(response, false); // Callers roll back and report failures
+  }
+
+  /**
+   * Like or unlike a comment
+   * @param {string} blogId - Blog ID
+   * @param {string} commentId - Comment ID
+   * @param {boolean} liked - True to like, false to remove the like
+   * @returns {Promise<Object>} API response with the updated count
+   */
+  static async setCommentLiked(blogId, commentId, liked) {
+    const response = await fetch(`${API_BASE_URL}/blogs/${blogId}/comments/${commentId}/like`, {
+      method: liked ? 'POST' : 'DELETE',
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    return this.handleResponse(response, false); // Callers roll back and report failures
+  }
+
   // ==================== UTILITY METHODS ====================
 
   /**
@@ -325,6 +627,18 @@ class BlogService {
     return Math.ceil(wordCount / wordsPerMinute);
   }
 
+  /**
+   * Convert a date to the local "YYYY-MM-DDTHH:mm" value used by datetime-local inputs
+   * @param {string|Date} date - Date to convert
+   * @returns {string} Input value, or an empty string when no date is given
+   */
+  static toDateTimeLocalValue(date) {
+    if (!date) return '';
+    const value = new Date(date);
+    const offsetMs = value.getTimezoneOffset() * 60 * 1000;
+    return new Date(value.getTime() - offsetMs).toISOString().slice(0, 16);
+  }
+
   /**
    * Format date
    * @param {string|Date} date - Date to format
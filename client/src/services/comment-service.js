@@ -55,14 +55,13 @@ apiClient.interceptors.response.use(
 
 class CommentService {
   /**
-   * Get all pending comments for moderation
-   * @param {Object} params - Query parameters
-   * @returns {Promise<Object>} API response
+   * Get comments for moderation, one cursor page at a time
+   * @param {Object} params - Query parameters (status, search, sortOrder, limit, cursor)
+   * @returns {Promise<Object>} API response with pagination.nextCursor
    */
   static async getPendingComments(params = {}) {
     try {
       const queryParams = new URLSearchParams({
-        page: params.page || 1,
         limit: params.limit || 20,
         sortOrder: params.sortOrder || 'desc',
         ...params
@@ -96,6 +95,23 @@ class CommentService {
     }
   }
 
+  /**
+   * Publish a reply as the blog author; a pending parent is approved with it
+   * @param {string} blogId - Blog ID
+   * @param {string} commentId - Comment being replied to
+   * @param {string} content - Reply text
+   * @returns {Promise<Object>} API response
+   */
+  static async replyAsAuthor(blogId, commentId, content) {
+    try {
+      const response = await apiClient.post(`/comments/${blogId}/${commentId}/reply`, { content });
+      return response.data;
+    } catch (error) {
+      console.error('Error replying to comment:', error);
+      throw error;
+    }
+  }
+
   /**
    * Delete a comment
    * @param {string} blogId - Blog ID
@@ -129,6 +145,23 @@ class CommentService {
     }
   }
 
+  /**
+   * Delete several comments at once
+   * @param {Array<Object>} comments - Items with blogId and commentId
+   * @returns {Promise<Object>} API response with per-comment results
+   */
+  static async bulkDeleteComments(comments) {
+    try {
+      const response = await apiClient.post('/comments/bulk-delete', {
+        commentIds: comments
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error bulk deleting comments:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get comment statistics
    * @returns {Promise<Object>} API response
@@ -181,6 +214,24 @@ class CommentService {
       throw error;
     }
   }
+
+  /**
+   * Get a further page of replies in one comment thread
+   * @param {string} blogId - Blog ID
+   * @param {string} commentId - Comment whose replies to load
+   * @param {Object} params - Query parameters (page, limit, repliesLimit)
+   * @returns {Promise<Object>} API response with replies and pagination
+   */
+  static async getCommentReplies(blogId, commentId, params = {}) {
+    try {
+      const queryParams = new URLSearchParams(params).toString();
+      const response = await apiClient.get(`/comments/blog/${blogId}/replies/${commentId}?${queryParams}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching comment replies:', error);
+      throw error;
+    }
+  }
 }
 
 export default CommentService;
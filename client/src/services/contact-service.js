@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Contact Service - Contact form and admin inbox API calls
+ * @author jasilmeledath@gmail.com
+ * @created 2025-01-27
+ * @version 1.0.0
+ */
+
+import axios from 'axios';
+import Cookies from 'js-cookie';
+import { getApiBaseUrl } from '../utils/api-config';
+
+const API_BASE_URL = getApiBaseUrl();
+
+// Create axios instance with default configuration
+const apiClient = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: 15000,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Add request interceptor to include auth token
+apiClient.interceptors.request.use(
+  (config) => {
+    const token = Cookies.get('auth_token');
+
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  },
+  (error) => {
+    return Promise.reject(error);
+  }
+);
+
+// Add response interceptor for error handling
+apiClient.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    if (error.response?.status === 401 && Cookies.get('auth_token')) {
+      // Session expired in the inbox - remove token and redirect to login
+      Cookies.remove('auth_token');
+
+      if (typeof window !== 'undefined') {
+        window.location.href = '/admin/login';
+      }
+    }
+    return Promise.reject(error);
+  }
+);
+
+class ContactService {
+  /**
+   * Send a message from the contact form
+   * @param {Object} messageData - name, email, subject, message and the homepage honeypot
+   * @returns {Promise<Object>} API response
+   */
+  static async sendMessage(messageData) {
+    try {
+      const response = await apiClient.post('/contact', messageData);
+      return response.data;
+    } catch (error) {
+      console.error('Error sending contact message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get inbox messages, one cursor page at a time
+   * @param {Object} params - Query parameters (folder, unread, search, limit, cursor)
+   * @returns {Promise<Object>} API response with pagination.nextCursor
+   */
+  static async getMessages(params = {}) {
+    try {
+      const queryParams = new URLSearchParams(
+        Object.entries(params).filter(([, value]) => value !== undefined && value !== '')
+      ).toString();
+
+      const response = await apiClient.get(`/contact/messages?${queryParams}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching messages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get unread and per-folder message counts
+   * @returns {Promise<Object>} API response
+   */
+  static async getMessageStats() {
+    try {
+      const response = await apiClient.get('/contact/messages/stats');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching message stats:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single message
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} API response
+   */
+  static async getMessage(messageId) {
+    try {
+      const response = await apiClient.get(`/contact/messages/${messageId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a message read/unread or move it to another folder
+   * @param {string} messageId - Message ID
+   * @param {Object} changes - { read, folder }
+   * @returns {Promise<Object>} API response
+   */
+  static async updateMessage(messageId, changes) {
+    try {
+      const response = await apiClient.patch(`/contact/messages/${messageId}`, changes);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reply to the sender by email
+   * @param {string} messageId - Message ID
+   * @param {string} body - Reply text
+   * @returns {Promise<Object>} API response
+   */
+  static async replyToMessage(messageId, body) {
+    try {
+      const response = await apiClient.post(`/contact/messages/${messageId}/reply`, { body });
+      return response.data;
+    } catch (error) {
+      console.error('Error replying to message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a message permanently
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} API response
+   */
+  static async deleteMessage(messageId) {
+    try {
+      const response = await apiClient.delete(`/contact/messages/${messageId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting message:', error);
+      throw error;
+    }
+  }
+}
+
+export default ContactService;
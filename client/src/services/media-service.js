@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Media Service - Image uploads and the media library
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+import Cookies from 'js-cookie';
+import { getApiBaseUrl } from '../utils/api-config';
+
+const MEDIA_URL = `${getApiBaseUrl()}/media`;
+
+/**
+ * Media Service Class
+ * @class MediaService
+ */
+class MediaService {
+
+  /**
+   * Get authentication headers
+   * @returns {Object} Headers object with auth token
+   */
+  static getAuthHeaders() {
+    const token = typeof window !== 'undefined' ? Cookies.get('auth_token') : null;
+
+    return {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` })
+    };
+  }
+
+  /**
+   * Make authenticated API request
+   * @param {string} endpoint - API endpoint relative to /media
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Object>} API response
+   */
+  static async makeRequest(endpoint = '', options = {}) {
+    try {
+      const headers = this.getAuthHeaders();
+
+      // Let the browser set the multipart boundary
+      if (options.body instanceof FormData) {
+        delete headers['Content-Type'];
+      }
+
+      const response = await fetch(`${MEDIA_URL}${endpoint}`, {
+        ...options,
+        headers: {
+          ...headers,
+          ...options.headers
+        }
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('[MediaService] API Error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload an image to embed in content
+   * @param {File} file - Image file
+   * @param {string} [alt] - Alt text to remember for reuse
+   * @returns {Promise<Object>} API response with url, storage and responsiveUrls
+   */
+  static async uploadImage(file, alt) {
+    const formData = new FormData();
+    formData.append('image', file);
+    if (alt) {
+      formData.append('alt', alt);
+    }
+
+    return this.makeRequest('/upload', {
+      method: 'POST',
+      body: formData
+    });
+  }
+
+  /**
+   * List library assets
+   * @param {Object} params - Query parameters (page, limit, search, kind, storage, status)
+   * @returns {Promise<Object>} Media with pagination
+   */
+  static async getMedia(params = {}) {
+    const queryParams = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        queryParams.append(key, value);
+      }
+    });
+
+    const queryString = queryParams.toString();
+    return this.makeRequest(queryString ? `?${queryString}` : '');
+  }
+
+  /**
+   * Get an asset with its current usage
+   * @param {string} id - Media ID
+   * @returns {Promise<Object>} API response
+   */
+  static async getMediaItem(id) {
+    return this.makeRequest(`/${id}`);
+  }
+
+  /**
+   * Update an asset's default alt text
+   * @param {string} id - Media ID
+   * @param {string} alt - Alt text
+   * @returns {Promise<Object>} API response
+   */
+  static async updateMedia(id, alt) {
+    return this.makeRequest(`/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ alt })
+    });
+  }
+
+  /**
+   * Delete an asset (refused while it is referenced)
+   * @param {string} id - Media ID
+   * @returns {Promise<Object>} API response
+   */
+  static async deleteMedia(id) {
+    return this.makeRequest(`/${id}`, { method: 'DELETE' });
+  }
+
+  /**
+   * Reconcile the library now
+   * @param {boolean} purge - Also delete orphans past the grace period
+   * @returns {Promise<Object>} API response with the run report
+   */
+  static async reconcile(purge = false) {
+    return this.makeRequest('/reconcile', {
+      method: 'POST',
+      body: JSON.stringify({ purge })
+    });
+  }
+}
+
+export default MediaService;
@@ -90,7 +90,10 @@ class PortfolioManagementService {
 
       if (!response.ok) {
         console.error(`[PortfolioManagementService] HTTP error: ${response.status}`, data);
-        throw new Error(data.error || data.message || `HTTP error! status: ${response.status}`);
+        // `error` is a string from older endpoints and an object with details from newer ones
+        const requestError = new Error((typeof data.error === 'string' && data.error) || data.message || `HTTP error! status: ${response.status}`);
+        requestError.details = data.error?.details;
+        throw requestError;
       }
 
       return data;
@@ -364,6 +367,113 @@ class PortfolioManagementService {
     }
   }
 
+  /**
+   * Get which resume the public download serves and the generator templates
+   * @returns {Promise<Object>} { source, template, hasUpload, hasPersonalInfo, templates }
+   */
+  static async getResumeSettings() {
+    return this.makeRequest('/resume/settings');
+  }
+
+  /**
+   * Serve the uploaded or the generated resume publicly
+   * @param {Object} settings
+   * @param {string} [settings.source] - 'upload' or 'generated'
+   * @param {string} [settings.template] - Generator template ID
+   * @returns {Promise<Object>} Saved settings
+   */
+  static async updateResumeSettings(settings) {
+    return this.makeRequest('/resume/settings', {
+      method: 'PUT',
+      body: JSON.stringify(settings)
+    });
+  }
+
+  /**
+   * Fetch the generated resume PDF for a template. The admin endpoint needs
+   * the auth header, so the PDF comes back as a blob rather than a URL.
+   * @param {string} template - Generator template ID
+   * @returns {Promise<Object>} { blob, fileName }
+   */
+  static async getGeneratedResume(template) {
+    const params = new URLSearchParams({ source: 'generated', template });
+    const headers = this.getAuthHeaders();
+    delete headers['Content-Type'];
+
+    const response = await fetch(`${PORTFOLIO_MANAGEMENT_URL}/resume/view?${params}`, { headers });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+
+    const contentDisposition = response.headers.get('content-disposition');
+    const matches = contentDisposition && /filename="?([^";]+)"?/.exec(contentDisposition);
+
+    return {
+      blob: await response.blob(),
+      fileName: matches ? matches[1] : 'resume.pdf'
+    };
+  }
+
+  /**
+   * Parse a JSON Resume file or LinkedIn export and list what importing it would do
+   * @param {File} file - .json, .csv or .zip
+   * @returns {Promise<Object>} { source, items, warnings }
+   */
+  static async previewResumeImport(file) {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    return this.makeRequest('/resume/import/preview', {
+      method: 'POST',
+      body: formData
+    });
+  }
+
+  /**
+   * Import reviewed items
+   * @param {Array<Object>} items - Accepted { section, data, defaults }
+   * @returns {Promise<Object>} Per-section created/updated counts
+   */
+  static async importResumeItems(items) {
+    return this.makeRequest('/resume/import', {
+      method: 'POST',
+      body: JSON.stringify({ items })
+    });
+  }
+
+  /**
+   * Download the portfolio as a JSON Resume file
+   * @returns {Promise<Object>} Download result with the file name
+   */
+  static async exportJsonResume() {
+    const headers = this.getAuthHeaders();
+    delete headers['Content-Type'];
+
+    const response = await fetch(`${PORTFOLIO_MANAGEMENT_URL}/resume/export/json-resume`, { headers });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+
+    const contentDisposition = response.headers.get('content-disposition');
+    const matches = contentDisposition && /filename="?([^";]+)"?/.exec(contentDisposition);
+    const fileName = matches ? matches[1] : 'resume.json';
+
+    const url = window.URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+
+    return { success: true, data: { fileName } };
+  }
+
   // ==================== SKILLS ====================
 
   /**
@@ -625,6 +735,21 @@ class PortfolioManagementService {
     });
   }
 
+  // ==================== ORDERING ====================
+
+  /**
+   * Save the display order of a collection
+   * @param {string} collection - 'social-links', 'skills', 'projects' or 'experience'
+   * @param {Array<string>} ids - Every item ID in the collection, first to last
+   * @returns {Promise<Object>} Saved order
+   */
+  static async reorderItems(collection, ids) {
+    return this.makeRequest(`/${collection}/reorder`, {
+      method: 'PATCH',
+      body: JSON.stringify({ ids })
+    });
+  }
+
   // ==================== UTILITY METHODS ====================
 
   /**
@@ -670,6 +795,77 @@ class PortfolioManagementService {
 
     return { isValid: true };
   }
+
+  // ==================== BACKUP & RESTORE ====================
+
+  /**
+   * Download all portfolio and blog content as an archive
+   * @param {Object} [options]
+   * @param {string} [options.format='json'] - 'json' or 'zip' (zip also carries local media files)
+   * @param {boolean} [options.includeMedia=false] - Include media library records
+   * @returns {Promise<Object>} Download result with the file name
+   */
+  static async exportContent({ format = 'json', includeMedia = false } = {}) {
+    const params = new URLSearchParams({ format, media: String(includeMedia) });
+    const headers = this.getAuthHeaders();
+    delete headers['Content-Type'];
+
+    const response = await fetch(`${PORTFOLIO_MANAGEMENT_URL}/export?${params}`, { headers });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+
+    const contentDisposition = response.headers.get('content-disposition');
+    const matches = contentDisposition && /filename="?([^";]+)"?/.exec(contentDisposition);
+    const fileName = matches ? matches[1] : `portfolio-content.${format}`;
+
+    const url = window.URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+
+    return { success: true, data: { fileName } };
+  }
+
+  /**
+   * Validate an archive and preview what importing it would change
+   * @param {File} file - .json or .zip archive
+   * @param {string} mode - 'merge' or 'replace'
+   * @returns {Promise<Object>} Validation result and per-collection changes
+   */
+  static async previewImport(file, mode) {
+    const formData = new FormData();
+    formData.append('archive', file);
+    formData.append('mode', mode);
+
+    return this.makeRequest('/import/preview', {
+      method: 'POST',
+      body: formData
+    });
+  }
+
+  /**
+   * Import an archive
+   * @param {File} file - .json or .zip archive
+   * @param {string} mode - 'merge' or 'replace'
+   * @returns {Promise<Object>} Per-collection created/updated/deleted counts
+   */
+  static async importContent(file, mode) {
+    const formData = new FormData();
+    formData.append('archive', file);
+    formData.append('mode', mode);
+
+    return this.makeRequest('/import', {
+      method: 'POST',
+      body: formData
+    });
+  }
 }
 
 export default PortfolioManagementService;
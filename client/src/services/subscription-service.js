@@ -95,12 +95,12 @@ class SubscriptionService {
      */
     static async getAnalytics() {
         try {
-            const token = Cookies.get('auth-token');
+            const token = Cookies.get('auth_token');
             if (!token) {
                 throw new Error('Authentication required');
             }
 
-            const response = await fetch(`${API_BASE_URL}/api/v1/subscriptions/admin/analytics`, {
+            const response = await fetch(`${API_BASE_URL}/api/v1/subscriptions/stats`, {
                 method: 'GET',
                 headers: {
                     'Authorization': `Bearer ${token}`,
@@ -129,7 +129,7 @@ class SubscriptionService {
      */
     static async getSubscribers(options = {}) {
         try {
-            const token = Cookies.get('auth-token');
+            const token = Cookies.get('auth_token');
             if (!token) {
                 throw new Error('Authentication required');
             }
@@ -141,7 +141,7 @@ class SubscriptionService {
             if (options.status) queryParams.append('status', options.status);
             if (options.search) queryParams.append('search', options.search);
 
-            const url = `${API_BASE_URL}/api/v1/subscriptions/admin/subscribers${queryParams.toString() ? `?${queryParams}` : ''}`;
+            const url = `${API_BASE_URL}/api/v1/subscriptions${queryParams.toString() ? `?${queryParams}` : ''}`;
 
             const response = await fetch(url, {
                 method: 'GET',
@@ -166,18 +166,18 @@ class SubscriptionService {
     }
 
     /**
-     * Send newsletter to all subscribers (Admin only)
-     * @param {Object} newsletterData - Newsletter content
+     * Queue a newsletter campaign for all active subscribers (Admin only)
+     * @param {Object} newsletterData - { blogId, testEmail? }
      * @returns {Promise<Object>} API response
      */
     static async sendNewsletter(newsletterData) {
         try {
-            const token = Cookies.get('auth-token');
+            const token = Cookies.get('auth_token');
             if (!token) {
                 throw new Error('Authentication required');
             }
 
-            const response = await fetch(`${API_BASE_URL}/api/v1/subscriptions/admin/send-newsletter`, {
+            const response = await fetch(`${API_BASE_URL}/api/v1/subscriptions/send-newsletter`, {
                 method: 'POST',
                 headers: {
                     'Authorization': `Bearer ${token}`,
@@ -200,6 +200,115 @@ class SubscriptionService {
         }
     }
 
+    /**
+     * Get recent newsletter campaigns with progress (Admin only)
+     * @param {Object} options - Query options ({ status, limit })
+     * @returns {Promise<Object>} API response
+     */
+    static async getCampaigns(options = {}) {
+        try {
+            const token = Cookies.get('auth_token');
+            if (!token) {
+                throw new Error('Authentication required');
+            }
+
+            const queryParams = new URLSearchParams();
+            if (options.status) queryParams.append('status', options.status);
+            if (options.limit) queryParams.append('limit', options.limit);
+
+            const url = `${API_BASE_URL}/api/v1/subscriptions/campaigns${queryParams.toString() ? `?${queryParams}` : ''}`;
+
+            const response = await fetch(url, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json',
+                },
+                credentials: 'include',
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to fetch campaigns');
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Get campaigns service error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a campaign's progress and failed recipients (Admin only)
+     * @param {string} campaignId - Campaign ID
+     * @returns {Promise<Object>} API response
+     */
+    static async getCampaign(campaignId) {
+        try {
+            const token = Cookies.get('auth_token');
+            if (!token) {
+                throw new Error('Authentication required');
+            }
+
+            const response = await fetch(`${API_BASE_URL}/api/v1/subscriptions/campaigns/${campaignId}`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json',
+                },
+                credentials: 'include',
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to fetch campaign');
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Get campaign service error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Pause, resume or cancel a campaign (Admin only)
+     * @param {string} campaignId - Campaign ID
+     * @param {'pause'|'resume'|'cancel'} action - Lifecycle action
+     * @returns {Promise<Object>} API response
+     */
+    static async updateCampaignStatus(campaignId, action) {
+        try {
+            const token = Cookies.get('auth_token');
+            if (!token) {
+                throw new Error('Authentication required');
+            }
+
+            const response = await fetch(`${API_BASE_URL}/api/v1/subscriptions/campaigns/${campaignId}/${action}`, {
+                method: 'PATCH',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json',
+                },
+                credentials: 'include',
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || `Failed to ${action} campaign`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Update campaign service error:', error);
+            throw error;
+        }
+    }
+
     /**
      * Delete subscriber (Admin only)
      * @param {string} subscriberId - Subscriber ID
@@ -207,7 +316,7 @@ class SubscriptionService {
      */
     static async deleteSubscriber(subscriberId) {
         try {
-            const token = Cookies.get('auth-token');
+            const token = Cookies.get('auth_token');
             if (!token) {
                 throw new Error('Authentication required');
             }
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview User Management Service - Admin panel user API integration
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+import Cookies from 'js-cookie';
+import { getApiBaseUrl } from '../utils/api-config';
+
+const USERS_URL = `${getApiBaseUrl()}/users`;
+
+/**
+ * User Management Service Class
+ * @class UserManagementService
+ */
+class UserManagementService {
+
+  /**
+   * Get authentication headers
+   * @returns {Object} Headers object with auth token
+   */
+  static getAuthHeaders() {
+    const token = typeof window !== 'undefined' ? Cookies.get('auth_token') : null;
+
+    return {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` })
+    };
+  }
+
+  /**
+   * Make authenticated API request
+   * @param {string} endpoint - API endpoint relative to /users
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Object>} API response
+   */
+  static async makeRequest(endpoint = '', options = {}) {
+    try {
+      const response = await fetch(`${USERS_URL}${endpoint}`, {
+        ...options,
+        headers: {
+          ...this.getAuthHeaders(),
+          ...options.headers
+        }
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('[UserManagementService] API Error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get assignable roles and permissions
+   * @returns {Promise<Object>} Roles with default permissions and the permission list
+   */
+  static async getRoles() {
+    return this.makeRequest('/roles');
+  }
+
+  /**
+   * Get users
+   * @param {Object} params - Query parameters (page, limit, role, status, search)
+   * @returns {Promise<Object>} Users with pagination
+   */
+  static async getUsers(params = {}) {
+    const queryParams = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        queryParams.append(key, value);
+      }
+    });
+
+    const query = queryParams.toString();
+    return this.makeRequest(query ? `?${query}` : '');
+  }
+
+  /**
+   * Invite a new user
+   * @param {Object} userData - Email, first name, last name, role and permissions
+   * @returns {Promise<Object>} Created user and whether the invitation was sent
+   */
+  static async inviteUser(userData) {
+    return this.makeRequest('', {
+      method: 'POST',
+      body: JSON.stringify(userData)
+    });
+  }
+
+  /**
+   * Update a user's name, role, permissions or active state
+   * @param {string} id - User ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated user
+   */
+  static async updateUser(id, updates) {
+    return this.makeRequest(`/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates)
+    });
+  }
+
+  /**
+   * Unlock an account locked after failed login attempts
+   * @param {string} id - User ID
+   * @returns {Promise<Object>} Updated user
+   */
+  static async unlockUser(id) {
+    return this.makeRequest(`/${id}/unlock`, {
+      method: 'PATCH'
+    });
+  }
+
+  /**
+   * Send a new invitation link
+   * @param {string} id - User ID
+   * @returns {Promise<Object>} Updated user
+   */
+  static async resendInvitation(id) {
+    return this.makeRequest(`/${id}/resend-invitation`, {
+      method: 'POST'
+    });
+  }
+}
+
+export default UserManagementService;
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Draft Storage - IndexedDB copy of editor drafts for offline and crash recovery
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const DB_NAME = 'portfolio-editor';
+const DB_VERSION = 1;
+const STORE_NAME = 'drafts';
+
+let dbPromise = null;
+
+/**
+ * Whether IndexedDB can be used (not during SSR, not in locked-down browsers)
+ * @returns {boolean} Availability
+ */
+const isAvailable = () => typeof window !== 'undefined' && !!window.indexedDB;
+
+/**
+ * Open (and create on first use) the drafts database
+ * @returns {Promise<IDBDatabase>} Database handle
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+/**
+ * Run one request against the drafts store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+const withStore = async (mode, operation) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Save a draft locally
+ * @param {string} key - Draft key
+ * @param {Object} data - Editor form data
+ * @returns {Promise<Object|null>} Stored record, or null when IndexedDB is unavailable
+ */
+export const saveLocalDraft = async (key, data) => {
+  if (!isAvailable()) return null;
+
+  const record = { key, data, savedAt: new Date().toISOString() };
+  await withStore('readwrite', store => store.put(record));
+  return record;
+};
+
+/**
+ * Read a locally saved draft
+ * @param {string} key - Draft key
+ * @returns {Promise<Object|null>} { key, data, savedAt } or null
+ */
+export const getLocalDraft = async (key) => {
+  if (!isAvailable()) return null;
+
+  try {
+    return (await withStore('readonly', store => store.get(key))) || null;
+  } catch (error) {
+    console.error('[DraftStorage] Failed to read local draft:', error);
+    return null;
+  }
+};
+
+/**
+ * Remove a locally saved draft
+ * @param {string} key - Draft key
+ * @returns {Promise<void>}
+ */
+export const deleteLocalDraft = async (key) => {
+  if (!isAvailable()) return;
+
+  try {
+    await withStore('readwrite', store => store.delete(key));
+  } catch (error) {
+    console.error('[DraftStorage] Failed to delete local draft:', error);
+  }
+};
@@ -124,3 +124,25 @@ export const hasMultipleImages = (project) => {
   const images = getProjectImages(project);
   return images.length > 1 && !(images.length === 1 && images[0] === "/placeholder.svg");
 };
+
+// Widths offered in srcset for images embedded in markdown content
+const CONTENT_IMAGE_WIDTHS = [480, 800, 1200, 1600];
+
+/**
+ * Build responsive <img> attributes for an image embedded in markdown content.
+ * Cloudinary URLs get width-limited variants; other URLs are returned as-is.
+ * @param {string} src - Image URL from the markdown
+ * @param {string} sizes - Value for the sizes attribute
+ * @returns {Object} { src, srcSet?, sizes? }
+ */
+export const getResponsiveImageProps = (src, sizes = '(max-width: 768px) 100vw, 768px') => {
+  if (typeof src !== 'string' || !/res\.cloudinary\.com\/[^/]+\/image\/upload\//.test(src)) {
+    return { src };
+  }
+
+  const srcSet = CONTENT_IMAGE_WIDTHS
+    .map(width => `${src.replace('/image/upload/', `/image/upload/c_limit,w_${width}/`)} ${width}w`)
+    .join(', ');
+
+  return { src, srcSet, sizes };
+};
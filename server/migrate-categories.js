@@ -0,0 +1,103 @@
+/**
+ * Migration script to create the categories collection from the old hard-coded enum
+ *
+ * Usage: node migrate-categories.js [--dry-run]
+ *
+ * Posts and subscribers are validated against the collection now, so run
+ * this before deploying. Any slug already stored on a post, draft or
+ * subscriber that the enum did not list gets a category too. Safe to
+ * re-run: existing categories are left as they are.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Category = require('./src/models/Category');
+const Blog = require('./src/models/Blog');
+const BlogDraft = require('./src/models/BlogDraft');
+const Subscriber = require('./src/models/Subscriber');
+
+const isDryRun = process.argv.includes('--dry-run');
+
+// The enum previously in Blog.js and Subscriber.js, in its original order
+const DEFAULT_CATEGORIES = [
+  { slug: 'technology', name: 'Technology', icon: 'FiCpu', color: '#3b82f6' },
+  { slug: 'web-development', name: 'Web Development', icon: 'FiGlobe', color: '#06b6d4' },
+  { slug: 'javascript', name: 'JavaScript', icon: 'FiCode', color: '#eab308' },
+  { slug: 'react', name: 'React', icon: 'FiBox', color: '#38bdf8' },
+  { slug: 'nextjs', name: 'Next.js', icon: 'FiLayers', color: '#64748b' },
+  { slug: 'nodejs', name: 'Node.js', icon: 'FiServer', color: '#22c55e' },
+  { slug: 'mongodb', name: 'MongoDB', icon: 'FiDatabase', color: '#16a34a' },
+  { slug: 'tutorial', name: 'Tutorial', icon: 'FiBookOpen', color: '#a855f7' },
+  { slug: 'tips', name: 'Tips', icon: 'FiZap', color: '#f97316' },
+  { slug: 'career', name: 'Career', icon: 'FiBriefcase', color: '#ec4899' },
+  { slug: 'personal', name: 'Personal', icon: 'FiUser', color: '#f43f5e' },
+  { slug: 'general', name: 'General', icon: 'FiFolder', color: '#6b7280' }
+];
+
+/**
+ * Display name for a slug found in the data but not in the old enum
+ * @param {string} slug - Category slug
+ * @returns {string} Title-cased name
+ */
+const nameFromSlug = (slug) => slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+async function migrateCategories() {
+  try {
+    console.log(`🔄 Starting category migration${isDryRun ? ' (dry run)' : ''}...`);
+
+    // Connect to database
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/portfolio');
+    console.log('✅ Connected to database');
+
+    await Category.init();
+
+    const [blogSlugs, draftSlugs, subscriberSlugs] = await Promise.all([
+      Blog.distinct('categories'),
+      BlogDraft.distinct('data.categories'),
+      Subscriber.distinct('preferences.categories')
+    ]);
+
+    const known = new Set(DEFAULT_CATEGORIES.map(category => category.slug));
+    const extra = [...new Set([...blogSlugs, ...draftSlugs, ...subscriberSlugs])]
+      .filter(slug => typeof slug === 'string' && /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug) && !known.has(slug))
+      .sort()
+      .map(slug => ({ slug, name: nameFromSlug(slug) }));
+
+    const categories = [...DEFAULT_CATEGORIES, ...extra].map((category, index) => ({ ...category, order: index }));
+
+    let createdCount = 0;
+
+    for (const category of categories) {
+      if (isDryRun) {
+        console.log(`  📦 ${category.slug} (${category.name})`);
+        continue;
+      }
+
+      // Run through the model for defaults and validation
+      const doc = new Category(category);
+      await doc.validate();
+      const { _id, ...fields } = doc.toObject();
+
+      const result = await Category.updateOne(
+        { slug: category.slug },
+        { $setOnInsert: fields },
+        { upsert: true }
+      );
+
+      if (result.upsertedCount > 0) {
+        createdCount++;
+        console.log(`  ✅ Created ${category.slug}`);
+      }
+    }
+
+    console.log(`\n✅ Migration completed! ${createdCount} categories created, ${categories.length - createdCount} already present`);
+
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrateCategories();
@@ -0,0 +1,105 @@
+/**
+ * Migration script to move comments embedded in Blog.comments into the comments collection
+ *
+ * Usage: node migrate-comments.js [--dry-run]
+ *
+ * Comments keep their _id, so likes, reply links and unsubscribe tokens keep
+ * working. Safe to re-run: comments already copied are left as they are, and
+ * a blog's embedded array is only removed once every comment in it is found
+ * in the new collection.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Blog = require('./src/models/Blog');
+const Comment = require('./src/models/Comment');
+
+const isDryRun = process.argv.includes('--dry-run');
+
+async function migrateEmbeddedComments() {
+  try {
+    console.log(`🔄 Starting comment migration${isDryRun ? ' (dry run)' : ''}...`);
+
+    // Connect to database
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/portfolio');
+    console.log('✅ Connected to database');
+
+    // Build the new indexes before copying into the collection
+    await Comment.init();
+
+    // `comments` is no longer part of the Blog schema, so read the raw documents
+    const cursor = Blog.collection.find(
+      { 'comments.0': { $exists: true } },
+      { projection: { title: 1, comments: 1 } }
+    );
+
+    let blogCount = 0;
+    let copiedCount = 0;
+    let skippedCount = 0;
+
+    for await (const blog of cursor) {
+      blogCount++;
+      console.log(`\n🔧 Processing blog: ${blog.title} (${blog.comments.length} comments)`);
+
+      if (isDryRun) {
+        continue;
+      }
+
+      // Run through the model for casting and defaults, but write with the
+      // driver so older comments that fail today's validation are kept as-is
+      const operations = blog.comments.map(embedded => {
+        const doc = new Comment({ ...embedded, blog: blog._id }).toObject();
+        delete doc._id;
+        doc.createdAt = embedded.createdAt || blog._id.getTimestamp();
+        doc.updatedAt = embedded.moderatedAt || doc.createdAt;
+
+        return {
+          updateOne: {
+            filter: { _id: embedded._id },
+            update: { $setOnInsert: doc },
+            upsert: true
+          }
+        };
+      });
+
+      const result = await Comment.collection.bulkWrite(operations, { ordered: false });
+      copiedCount += result.upsertedCount;
+      skippedCount += operations.length - result.upsertedCount;
+      console.log(`  📦 Copied ${result.upsertedCount}, already present ${operations.length - result.upsertedCount}`);
+
+      const migrated = await Comment.countDocuments({
+        _id: { $in: blog.comments.map(comment => comment._id) }
+      });
+
+      if (migrated !== blog.comments.length) {
+        console.log(`  ⚠️ Only ${migrated} of ${blog.comments.length} comments found, keeping embedded copy`);
+        continue;
+      }
+
+      // Raw update so the post's updatedAt is untouched
+      await Blog.collection.updateOne({ _id: blog._id }, { $unset: { comments: '' } });
+      console.log('  ✅ Removed embedded comments');
+    }
+
+    // Indexes on the old embedded paths are no longer used
+    const blogIndexes = await Blog.collection.indexes();
+    for (const index of blogIndexes) {
+      if (Object.keys(index.key).some(key => key.startsWith('comments.'))) {
+        if (!isDryRun) {
+          await Blog.collection.dropIndex(index.name);
+        }
+        console.log(`🗑️ ${isDryRun ? 'Would drop' : 'Dropped'} index ${index.name}`);
+      }
+    }
+
+    console.log(`\n✅ Migration completed! ${blogCount} blogs, ${copiedCount} comments copied, ${skippedCount} already present`);
+
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrateEmbeddedComments();
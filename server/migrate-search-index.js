@@ -0,0 +1,41 @@
+/**
+ * Migration script to replace the old blog text index with the weighted search index
+ *
+ * Usage: node migrate-search-index.js
+ *
+ * MongoDB allows one text index per collection, so the old
+ * title/content/excerpt index has to go before blog_search_text can be built.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Blog = require('./src/models/Blog');
+
+async function migrateSearchIndex() {
+  try {
+    console.log('🔄 Starting search index migration...');
+
+    // Connect to database
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/portfolio');
+    console.log('✅ Connected to database');
+
+    const indexes = await Blog.collection.indexes();
+    const oldTextIndexes = indexes.filter(index => index.key._fts === 'text' && index.name !== 'blog_search_text');
+
+    for (const index of oldTextIndexes) {
+      await Blog.collection.dropIndex(index.name);
+      console.log(`🗑️ Dropped text index ${index.name}`);
+    }
+
+    await Blog.createIndexes();
+    console.log('✅ Migration completed! blog_search_text is in place');
+
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrateSearchIndex();
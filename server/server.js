@@ -11,6 +11,10 @@ require('dotenv').config();
 
 const createApp = require('./src/app');
 const { connectToDatabase } = require('./src/config/database');
+const CampaignWorker = require('./src/services/campaign-worker');
+const DigestScheduler = require('./src/services/digest-scheduler');
+const BlogScheduler = require('./src/services/blog-scheduler');
+const MediaReconciler = require('./src/services/media-reconciler');
 
 /**
  * Server Configuration
@@ -44,6 +48,22 @@ const startServer = async () => {
             process.exit(1);
         }
         
+        // Start background newsletter delivery
+        const campaignWorker = new CampaignWorker();
+        campaignWorker.start();
+        
+        // Daily/weekly digests for subscribers who opted out of immediate emails
+        const digestScheduler = new DigestScheduler();
+        digestScheduler.start();
+        
+        // Publish scheduled blog posts when they come due
+        const blogScheduler = new BlogScheduler();
+        blogScheduler.start();
+        
+        // Keep media usage current and purge orphaned uploads
+        const mediaReconciler = new MediaReconciler();
+        mediaReconciler.start();
+        
         // Create Express app
         const app = createApp();
         
@@ -67,6 +87,12 @@ const startServer = async () => {
                 }
                 
                 try {
+                    // Let background senders finish the email in flight
+                    await campaignWorker.stop();
+                    await digestScheduler.stop();
+                    await blogScheduler.stop();
+                    await mediaReconciler.stop();
+                    
                     // Close database connection
                     const { disconnectFromDatabase } = require('./src/config/database');
                     await disconnectFromDatabase();
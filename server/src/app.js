@@ -30,6 +30,14 @@ const commentsRoutes = require('./routes/comments-routes');
 const portfolioRoutes = require('./routes/portfolio-routes');
 const portfolioManagementRoutes = require('./routes/portfolio-management-routes');
 const subscriptionRoutes = require('./routes/subscription-routes');
+const usersRoutes = require('./routes/users-routes');
+const mediaRoutes = require('./routes/media-routes');
+const feedRoutes = require('./routes/feed-routes');
+const sitemapRoutes = require('./routes/sitemap-routes');
+const ogImageRoutes = require('./routes/og-image-routes');
+const seriesRoutes = require('./routes/series-routes');
+const categoryRoutes = require('./routes/category-routes');
+const contactRoutes = require('./routes/contact-routes');
 // const adminRoutes = require('./routes/admin-routes');
 
 /**
@@ -189,10 +197,18 @@ const createApp = () => {
     app.use('/api/v1/health', healthRoutes);
     app.use('/api/v1/auth', authRoutes);
     app.use('/api/v1/blogs', blogRoutes);
+    app.use('/api/v1/series', seriesRoutes);
+    app.use('/api/v1/categories', categoryRoutes);
     app.use('/api/v1/comments', commentsRoutes);
+    app.use('/api/v1/contact', contactRoutes);
     app.use('/api/v1/portfolio', portfolioRoutes);
     app.use('/api/v1/portfolio-management', portfolioManagementRoutes);
     app.use('/api/v1/subscriptions', subscriptionRoutes);
+    app.use('/api/v1/users', usersRoutes);
+    app.use('/api/v1/media', mediaRoutes);
+    app.use('/api/v1/feeds', feedRoutes);
+    app.use('/api/v1/sitemaps', sitemapRoutes);
+    app.use('/api/v1/og', ogImageRoutes);
     // app.use('/api/v1/admin', adminRoutes);
 
     // Static file serving for uploads with CORS headers
@@ -287,7 +303,15 @@ const createApp = () => {
                     auth: '/api/v1/auth',
                     portfolio: '/api/v1/portfolio',
                     blog: '/api/v1/blogs',
+                    series: '/api/v1/series',
+                    categories: '/api/v1/categories',
                     comments: '/api/v1/comments',
+                    contact: '/api/v1/contact',
+                    users: '/api/v1/users',
+                    media: '/api/v1/media',
+                    feeds: '/api/v1/feeds',
+                    sitemaps: '/api/v1/sitemaps',
+                    og: '/api/v1/og',
                     admin: '/api/v1/admin'
                 },
                 documentation: '/api/docs',
@@ -234,6 +234,48 @@ const uploadCompanyLogo = async (filePath, folderName = 'companies') => {
   }
 };
 
+/**
+ * Upload an image embedded in blog content
+ * @param {string} filePath - Local file path
+ * @param {string} folderName - Cloudinary folder name
+ * @returns {Promise<Object>} Upload result with optimized URLs
+ */
+const uploadContentImage = async (filePath, folderName = 'blog') => {
+  try {
+    const uploadOptions = {
+      folder: folderName,
+      quality: 'auto:good'
+    };
+
+    const result = await uploadImage(filePath, uploadOptions);
+
+    // Width-limited (never upscaled) variants for srcset; crop would cut screenshots and diagrams
+    return {
+      ...result,
+      optimizedUrl: getProjectImageUrl(result.publicId),
+      thumbnailUrl: getProjectImageUrl(result.publicId, { width: 300, crop: 'limit' }),
+      responsiveUrls: {
+        small: getProjectImageUrl(result.publicId, { width: 480, crop: 'limit' }),
+        medium: getProjectImageUrl(result.publicId, { width: 800, crop: 'limit' }),
+        large: getProjectImageUrl(result.publicId, { width: 1200, crop: 'limit' }),
+        xlarge: getProjectImageUrl(result.publicId, { width: 1600, crop: 'limit' })
+      }
+    };
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Check whether Cloudinary credentials are set (not left at the .env.example placeholders)
+ * @returns {boolean} True when uploads can go to Cloudinary
+ */
+const isCloudinaryConfigured = () => {
+  const { CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET } = process.env;
+  return [CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET]
+    .every(value => value && !value.startsWith('your-'));
+};
+
 /**
  * Clean up local uploaded files
  * @param {Array} filePaths - Array of file paths to delete
@@ -265,5 +307,7 @@ module.exports = {
   uploadAvatarImage,
   uploadProjectImage,
   uploadCompanyLogo,
+  uploadContentImage,
+  isCloudinaryConfigured,
   cleanupLocalFiles
 };
\ No newline at end of file
@@ -167,6 +167,17 @@ const isDatabaseConnected = () => {
     return mongoose.connection.readyState === 1;
 };
 
+/**
+ * Checks whether the connected deployment can run multi-document transactions.
+ * A standalone server (the docker-compose dev database) cannot.
+ * @function supportsTransactions
+ * @returns {boolean} False for a standalone server
+ */
+const supportsTransactions = () => {
+    const topology = mongoose.connection.getClient()?.topology;
+    return topology?.description?.type !== 'Single';
+};
+
 /**
  * Creates database indexes for optimization
  * @async
@@ -203,6 +214,7 @@ module.exports = {
     disconnectFromDatabase,
     getConnectionStatus,
     isDatabaseConnected,
+    supportsTransactions,
     createDatabaseIndexes,
     DB_CONFIG
 };
\ No newline at end of file
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Spam Blocklist - Words and domains that raise a comment's spam score
+ * @author jasilmeledath@gmail.com
+ * @created 2025-01-27
+ * @version 1.0.0
+ */
+
+/**
+ * Built-in blocklisted words and phrases (matched case-insensitively on word boundaries)
+ * @constant {Array<string>}
+ */
+const DEFAULT_WORDS = [
+  'viagra',
+  'cialis',
+  'casino',
+  'payday loan',
+  'crypto giveaway',
+  'buy followers',
+  'seo services',
+  'work from home',
+  'earn money fast',
+  'escort'
+];
+
+/**
+ * Built-in blocklisted domains (subdomains match too)
+ * @constant {Array<string>}
+ */
+const DEFAULT_DOMAINS = [
+  'bit.ly',
+  'tinyurl.com',
+  'goo.gl',
+  'mailinator.com',
+  'guerrillamail.com',
+  '10minutemail.com'
+];
+
+/**
+ * Parse a comma separated environment variable
+ * @param {string} value - Raw value
+ * @returns {Array<string>} Lowercased, trimmed entries
+ */
+const parseList = (value) => {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+/**
+ * Blocklist with COMMENT_BLOCKLIST_WORDS / COMMENT_BLOCKLIST_DOMAINS appended
+ * @returns {Object} { words, domains }
+ */
+const getSpamBlocklist = () => ({
+  words: [...DEFAULT_WORDS, ...parseList(process.env.COMMENT_BLOCKLIST_WORDS)],
+  domains: [...DEFAULT_DOMAINS, ...parseList(process.env.COMMENT_BLOCKLIST_DOMAINS)]
+});
+
+module.exports = {
+  getSpamBlocklist
+};
@@ -7,6 +7,7 @@
  */
 
 const User = require('../models/User');
+const EmailService = require('../services/email-service');
 const { HTTP_STATUS } = require('../constants/http-status');
 const { API_RESPONSE_STATUS, API_MESSAGES } = require('../constants/api-response');
 const { 
@@ -454,6 +455,160 @@ class AuthController {
     }
   }
   
+  /**
+   * Request a password reset email
+   * @async
+   * @function forgotPassword
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  static async forgotPassword(req, res) {
+    // Same response whether or not the account exists to avoid leaking registered emails
+    const genericResponse = {
+      status: API_RESPONSE_STATUS.SUCCESS,
+      message: 'If an account exists for that email, a password reset link has been sent',
+      data: {
+        timestamp: new Date().toISOString()
+      }
+    };
+
+    try {
+      const { email } = req.body;
+
+      if (!email || typeof email !== 'string') {
+        throw new ValidationError('Email is required', [], 'MISSING_EMAIL');
+      }
+
+      const user = await User.findByEmail(email.trim());
+
+      if (!user || !user.isActive) {
+        return res.status(HTTP_STATUS.SUCCESS).json(genericResponse);
+      }
+
+      const resetToken = user.generatePasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        const emailServiceInstance = new EmailService();
+        await emailServiceInstance.sendPasswordResetEmail(user, resetToken);
+      } catch (emailError) {
+        console.error('[Auth] Password reset email failed:', emailError);
+
+        // Don't leave a usable token behind if the link never reached the user
+        user.clearPasswordResetToken();
+        await user.save({ validateBeforeSave: false });
+      }
+
+      res.status(HTTP_STATUS.SUCCESS).json(genericResponse);
+
+    } catch (error) {
+      console.error('Forgot password error:', error);
+
+      if (error instanceof ValidationError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          status: API_RESPONSE_STATUS.ERROR,
+          message: 'Validation failed',
+          error: {
+            code: error.errorCode,
+            details: error.message
+          }
+        });
+      }
+
+      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        status: API_RESPONSE_STATUS.ERROR,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: {
+          code: 'FORGOT_PASSWORD_ERROR',
+          details: 'An error occurred while requesting a password reset'
+        }
+      });
+    }
+  }
+
+  /**
+   * Reset password using a token from the reset email
+   * @async
+   * @function resetPassword
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  static async resetPassword(req, res) {
+    try {
+      const { token } = req.params;
+      const { newPassword } = req.body;
+
+      if (!token) {
+        throw new ValidationError('Reset token is required', [], 'MISSING_RESET_TOKEN');
+      }
+
+      if (!newPassword || typeof newPassword !== 'string') {
+        throw new ValidationError('New password is required', [], 'MISSING_PASSWORD');
+      }
+
+      if (newPassword.length < 8) {
+        throw new ValidationError('New password must be at least 8 characters long', [], 'PASSWORD_TOO_SHORT');
+      }
+
+      const user = await User.findByPasswordResetToken(token);
+
+      if (!user) {
+        throw new AuthenticationError('Password reset link is invalid or has expired', 'INVALID_RESET_TOKEN');
+      }
+
+      // Single-use: the token is cleared in the same save that sets the new password
+      user.password = newPassword;
+      user.clearPasswordResetToken();
+      user.loginAttempts = 0;
+      user.lockUntil = null;
+      await user.save();
+
+      res.status(HTTP_STATUS.SUCCESS).json({
+        status: API_RESPONSE_STATUS.SUCCESS,
+        message: 'Password has been reset successfully',
+        data: {
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      console.error('Reset password error:', error);
+
+      if (error instanceof ValidationError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          status: API_RESPONSE_STATUS.ERROR,
+          message: 'Validation failed',
+          error: {
+            code: error.errorCode,
+            details: error.message
+          }
+        });
+      }
+
+      if (error instanceof AuthenticationError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          status: API_RESPONSE_STATUS.ERROR,
+          message: 'Password reset failed',
+          error: {
+            code: error.errorCode,
+            details: error.message
+          }
+        });
+      }
+
+      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        status: API_RESPONSE_STATUS.ERROR,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: {
+          code: 'PASSWORD_RESET_ERROR',
+          details: 'An error occurred while resetting password'
+        }
+      });
+    }
+  }
+
   /**
    * Get user permissions
    * @async
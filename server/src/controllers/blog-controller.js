@@ -9,9 +9,16 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const Blog = require('../models/Blog');
+const BlogRevision = require('../models/BlogRevision');
+const BlogDraft = require('../models/BlogDraft');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const CommenterReputation = require('../models/CommenterReputation');
+const Series = require('../models/Series');
 const User = require('../models/User');
 const EmailService = require('../services/email-service');
-const Subscriber = require('../models/Subscriber');
+const BlogSearch = require('../services/blog-search');
+const CommentsController = require('./comments-controller');
 const { HTTP_STATUS } = require('../constants/http-status');
 const { 
   API_RESPONSE_STATUS, 
@@ -32,6 +39,29 @@ const {
  * @class BlogController
  */
 class BlogController {
+  /**
+   * Read the editor's series fields. `series` is a series ID, or empty to
+   * take the post out of its series; without it the assignment is untouched.
+   * @private
+   * @param {Object} body - Request body
+   * @returns {Promise<Object|null>} { seriesId, position }, or null to leave as is
+   * @throws {ValidationError} When the series does not exist
+   */
+  static async readSeriesAssignment(body) {
+    if (!('series' in body)) {
+      return null;
+    }
+
+    const seriesId = body.series || null;
+
+    if (seriesId && (!mongoose.Types.ObjectId.isValid(seriesId) || !await Series.exists({ _id: seriesId }))) {
+      throw new ValidationError('Series not found');
+    }
+
+    const position = parseInt(body.seriesPosition, 10);
+    return { seriesId, position: Number.isNaN(position) ? undefined : position };
+  }
+
   /**
    * Get all blogs with filtering and pagination
    * @param {Object} req - Express request object
@@ -152,6 +182,42 @@ class BlogController {
     }
   }
 
+  /**
+   * Search published blogs, ranked by relevance, with highlighted snippets
+   * and category/tag facets (public)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async searchBlogs(req, res, next) {
+    try {
+      const { q, category, tag } = req.query;
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+      if (typeof q !== 'string' || !q.trim()) {
+        throw new ValidationError('Search query is required');
+      }
+
+      if (q.length > 200) {
+        throw new ValidationError('Search query cannot exceed 200 characters');
+      }
+
+      const results = await BlogSearch.search({
+        q: q.trim(),
+        category: typeof category === 'string' ? category : undefined,
+        tag: typeof tag === 'string' ? tag : undefined,
+        page,
+        limit
+      });
+
+      const response = ApiResponse.success(results, 'Search results retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get single blog by ID
    * @param {Object} req - Express request object
@@ -164,12 +230,15 @@ class BlogController {
 
       const blog = await Blog.findById(id)
         .populate('author', 'firstName lastName email profileImage bio')
+        .populate('commentCount')
         .lean();
 
       if (!blog) {
         throw new NotFoundError('Blog not found');
       }
 
+      blog.series = await Series.getPostPlacement(blog._id);
+
       const response = ApiResponse.success(blog, 'Blog retrieved successfully');
       res.status(response.statusCode).json(response);
     } catch (error) {
@@ -204,9 +273,12 @@ class BlogController {
         3
       );
 
+      const series = await Series.getReaderView(blog._id);
+
       const response = ApiResponse.success({
         blog,
-        relatedBlogs
+        relatedBlogs,
+        series
       }, 'Blog retrieved successfully');
 
       res.status(response.statusCode).json(response);
@@ -224,67 +296,42 @@ class BlogController {
   static async createBlog(req, res, next) {
     try {
       
+      const { series, seriesPosition, ...body } = req.body;
+      const seriesAssignment = await BlogController.readSeriesAssignment(req.body);
+
       const blogData = {
-        ...req.body,
+        ...body,
         author: req.user._id  // Use _id from the authenticated user
       };
 
       const blog = new Blog(blogData);
       await blog.save();
 
+      if (seriesAssignment?.seriesId) {
+        await Series.assignPost(blog._id, seriesAssignment.seriesId, seriesAssignment.position);
+      }
+
+      await BlogRevision.record(blog, { author: req.user._id, source: 'create' })
+        .catch(error => console.error('Failed to record initial blog revision:', error));
+
+      // The autosave for the new-post editor has become this blog
+      await BlogDraft.clearSlot(req.user._id, null)
+        .catch(error => console.error('Failed to clear blog autosave:', error));
+
       await blog.populate('author', 'firstName lastName email');
       
 
       // Send newsletter email if blog is published
       if (blog.status === 'published') {
-        try {
-          // Get all active subscribers
-          const subscribers = await Subscriber.find({ 
-            status: 'active'
-          }).select('email firstName unsubscribeToken');
-              
-          if (subscribers.length > 0) {
-            // Capture blog data before setImmediate to avoid scope issues
-            const blogData = {
-              title: blog.title,
-              excerpt: blog.excerpt || blog.content.substring(0, 200) + '...',
-              slug: blog.slug,
-              featuredImage: blog.featuredImage?.url || null,
-              publishedAt: blog.publishedAt || blog.createdAt,
-              author: {
-                name: `${blog.author.firstName} ${blog.author.lastName}`,
-                email: blog.author.email
-              }
-            };
-
-            
-
-            const subscriberData = subscribers.map(sub => ({
-              email: sub.email,
-              firstName: sub?.firstName || 'Subscriber',
-              unsubscribeToken: sub.unsubscribeToken
-            }));
-
-            // Send blog notification emails in the background
-            setImmediate(async () => {
-              try {
-                const emailPromise = await EmailService.sendBlogNotification({
-                  blog: blogData,
-                  subscribers: subscriberData
-                });
-                if(!emailPromise){
-                  console.error(`Failed to send newsletter for blog (response received undefined): ${blogData.title}`);
-                }
-              } catch (emailError) {
-                console.error('Failed to send newsletter emails:', emailError);
-                // Don't fail the blog creation if email fails
-              }
-            });
+        // Send blog notification emails in the background
+        setImmediate(async () => {
+          try {
+            await EmailService.notifySubscribersOfNewBlog(blog);
+          } catch (emailError) {
+            console.error('Failed to send newsletter emails:', emailError);
+            // Don't fail the blog creation if email fails
           }
-        } catch (emailError) {
-          console.error('Error preparing newsletter emails:', emailError);
-          // Don't fail the blog creation if email preparation fails
-        }
+        });
       }
 
       const response = ApiResponse.created(blog, 'Blog created successfully');
@@ -328,7 +375,8 @@ class BlogController {
       }
 
       // Remove sensitive fields that shouldn't be updated directly
-      const { author, createdAt, updatedAt, ...allowedUpdateData } = updateData;
+      const { author, createdAt, updatedAt, series, seriesPosition, ...allowedUpdateData } = updateData;
+      const seriesAssignment = await BlogController.readSeriesAssignment(updateData);
 
       // Check if blog is being published for the first time
       const wasUnpublished = blog.status !== 'published';
@@ -339,58 +387,37 @@ class BlogController {
         allowedUpdateData.publishedAt = new Date();
       }
 
+      // Posts created before revision history existed get their current state kept as revision 1
+      await BlogRevision.ensureBaseline(blog);
+
       // Update blog with validation
       Object.assign(blog, allowedUpdateData);
       await blog.save();
 
+      await BlogRevision.record(blog, { author: req.user._id })
+        .catch(error => console.error('Failed to record blog revision:', error));
+
+      if (seriesAssignment) {
+        await Series.assignPost(blog._id, seriesAssignment.seriesId, seriesAssignment.position);
+      }
+
+      await BlogDraft.clearSlot(req.user._id, blog._id)
+        .catch(error => console.error('Failed to clear blog autosave:', error));
+
       // Populate author information for response
       await blog.populate('author', 'firstName lastName email profileImage');
 
       // Send newsletter email if blog was just published for the first time
       if (wasUnpublished && willBePublished) {
-        try {
-          // Get all active subscribers
-          const subscribers = await Subscriber.find({ 
-            status: 'active'
-          }).select('email firstName unsubscribeToken');
-
-          if (subscribers.length > 0) {
-            // Capture blog data before setImmediate to avoid scope issues
-            const blogData = {
-              title: blog.title,
-              excerpt: blog.excerpt || blog.content.substring(0, 200) + '...',
-              slug: blog.slug,
-              featuredImage: blog.featuredImage?.url || null,
-              publishedAt: blog.publishedAt || blog.updatedAt,
-              author: {
-                name: `${blog.author.firstName} ${blog.author.lastName}`,
-                email: blog.author.email
-              }
-            };
-
-            const subscriberData = subscribers.map(sub => ({
-              email: sub.email,
-              firstName: sub.firstName || 'Subscriber',
-              unsubscribeToken: sub.unsubscribeToken
-            }));
-
-            // Send blog notification emails in the background
-            setImmediate(async () => {
-              try {
-                await EmailService.sendBlogNotification({
-                  blog: blogData,
-                  subscribers: subscriberData
-                });
-              } catch (emailError) {
-                console.error('Failed to send newsletter emails:', emailError);
-                // Don't fail the blog update if email fails
-              }
-            });
+        // Send blog notification emails in the background
+        setImmediate(async () => {
+          try {
+            await EmailService.notifySubscribersOfNewBlog(blog);
+          } catch (emailError) {
+            console.error('Failed to send newsletter emails:', emailError);
+            // Don't fail the blog update if email fails
           }
-        } catch (emailError) {
-          console.error('Error preparing newsletter emails for update:', emailError);
-          // Don't fail the blog update if email preparation fails
-        }
+        });
       }
 
       const response = ApiResponse.success(blog, 'Blog updated successfully');
@@ -443,6 +470,11 @@ class BlogController {
 
       // Delete the blog
       await Blog.findByIdAndDelete(id);
+      await BlogRevision.deleteMany({ blog: id });
+      await BlogDraft.deleteMany({ blog: id });
+      await Comment.deleteMany({ blog: id });
+      await Like.deleteMany({ blog: id });
+      await Series.updateMany({ posts: id }, { $pull: { posts: id } });
 
       const response = ApiResponse.success(
         { deletedBlog: blogInfo }, 
@@ -465,8 +497,8 @@ class BlogController {
       const { id } = req.params;
       const { status } = req.body;
 
-      if (!['draft', 'published', 'archived'].includes(status)) {
-        throw new ValidationError('Invalid status. Must be draft, published, or archived');
+      if (!['draft', 'scheduled', 'published', 'archived'].includes(status)) {
+        throw new ValidationError('Invalid status. Must be draft, scheduled, published, or archived');
       }
 
       const blog = await Blog.findById(id);
@@ -488,55 +520,31 @@ class BlogController {
       if (status === 'published' && !blog.publishedAt) {
         blog.publishedAt = new Date();
       }
+      if (status === 'scheduled' && req.body.publishedAt) {
+        blog.publishedAt = new Date(req.body.publishedAt);
+      }
 
-      await blog.save();
+      try {
+        await blog.save();
+      } catch (error) {
+        if (error.name === 'ValidationError') {
+          throw new ValidationError(error.message);
+        }
+        throw error;
+      }
       await blog.populate('author', 'firstName lastName email');
 
       // Send newsletter email if blog was just published for the first time
       if (wasUnpublished && willBePublished) {
-        try {
-          // Get all active subscribers
-          const subscribers = await Subscriber.find({ 
-            status: 'active'
-          }).select('email firstName unsubscribeToken');
-
-          if (subscribers.length > 0) {
-            // Capture blog data before setImmediate to avoid scope issues
-            const blogData = {
-              title: blog.title,
-              excerpt: blog.excerpt || blog.content.substring(0, 200) + '...',
-              slug: blog.slug,
-              featuredImage: blog.featuredImage?.url || null,
-              publishedAt: blog.publishedAt || blog.updatedAt,
-              author: {
-                name: `${blog.author.firstName} ${blog.author.lastName}`,
-                email: blog.author.email
-              }
-            };
-
-            const subscriberData = subscribers.map(sub => ({
-              email: sub.email,
-              firstName: sub.firstName || 'Subscriber',
-              unsubscribeToken: sub.unsubscribeToken
-            }));
-
-            // Send blog notification emails in the background
-            setImmediate(async () => {
-              try {
-                await EmailService.sendBlogNotification({
-                  blog: blogData,
-                  subscribers: subscriberData
-                });
-              } catch (emailError) {
-                console.error('Failed to send newsletter emails on status toggle:', emailError);
-                // Don't fail the blog status toggle if email fails
-              }
-            });
+        // Send blog notification emails in the background
+        setImmediate(async () => {
+          try {
+            await EmailService.notifySubscribersOfNewBlog(blog);
+          } catch (emailError) {
+            console.error('Failed to send newsletter emails on status toggle:', emailError);
+            // Don't fail the blog status toggle if email fails
           }
-        } catch (emailError) {
-          console.error('Error preparing newsletter emails for status toggle:', emailError);
-          // Don't fail the blog status toggle if email preparation fails
-        }
+        });
       }
 
       const response = ApiResponse.success(blog, `Blog ${status} successfully`);
@@ -557,22 +565,20 @@ class BlogController {
       const totalBlogs = await Blog.countDocuments();
       const publishedBlogs = await Blog.countDocuments({ status: 'published' });
       const draftBlogs = await Blog.countDocuments({ status: 'draft' });
+      const scheduledBlogs = await Blog.countDocuments({ status: 'scheduled' });
       const totalViews = await Blog.aggregate([
         { $group: { _id: null, totalViews: { $sum: '$views' } } }
       ]);
-      const totalComments = await Blog.aggregate([
-        { $unwind: '$comments' },
-        { $match: { 'comments.status': 'approved' } },
-        { $group: { _id: null, count: { $sum: 1 } } }
-      ]);
+      const totalComments = await Comment.countDocuments({ status: 'approved' });
 
       const stats = {
         totalBlogs,
         publishedBlogs,
         draftBlogs,
-        archivedBlogs: totalBlogs - publishedBlogs - draftBlogs,
+        scheduledBlogs,
+        archivedBlogs: totalBlogs - publishedBlogs - draftBlogs - scheduledBlogs,
         totalViews: totalViews[0]?.totalViews || 0,
-        totalComments: totalComments[0]?.count || 0
+        totalComments
       };
 
       const response = ApiResponse.success(stats, 'Blog statistics retrieved successfully');
@@ -583,16 +589,16 @@ class BlogController {
   }
 
   /**
-   * Get popular blogs
+   * Get popular blogs (`?sort=likes` for most liked, most viewed otherwise)
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware
    */
   static async getPopularBlogs(req, res, next) {
     try {
-      const { limit = 5 } = req.query;
+      const { limit = 5, sort = 'views' } = req.query;
 
-      const blogs = await Blog.getPopular(parseInt(limit));
+      const blogs = await Blog.getPopular(parseInt(limit), sort);
 
       const response = ApiResponse.success(blogs, 'Popular blogs retrieved successfully');
       res.status(response.statusCode).json(response);
@@ -621,41 +627,15 @@ class BlogController {
   }
 
   /**
-   * Add comment to blog
+   * Add comment to blog. Kept for older clients; runs the same validation,
+   * email normalisation and spam scoring as CommentsController.addComment
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware
    */
   static async addComment(req, res, next) {
-    try {
-      const { id } = req.params;
-      const { author, content, parentComment } = req.body;
-
-      const blog = await Blog.findOne({ _id: id, status: 'published' });
-
-      if (!blog) {
-        throw new NotFoundError('Blog not found');
-      }
-
-      const comment = {
-        author,
-        content,
-        parentComment: parentComment || null,
-        status: 'pending' // Default to pending for moderation
-      };
-
-      blog.comments.push(comment);
-      await blog.save();
-
-      const response = ApiResponse.created(null, 'Comment added successfully. It will be visible after moderation.');
-      res.status(response.statusCode).json(response);
-    } catch (error) {
-      if (error.name === 'ValidationError') {
-        next(new ValidationError(error.message));
-      } else {
-        next(error);
-      }
-    }
+    req.params.blogId = req.params.id;
+    return CommentsController.addComment(req, res, next);
   }
 
   /**
@@ -669,24 +649,37 @@ class BlogController {
       const { id, commentId } = req.params;
       const { status } = req.body;
 
-      if (!['pending', 'approved', 'rejected'].includes(status)) {
-        throw new ValidationError('Invalid status. Must be pending, approved, or rejected');
+      if (!['pending', 'approved', 'rejected', 'spam'].includes(status)) {
+        throw new ValidationError('Invalid status. Must be pending, approved, rejected, or spam');
       }
 
-      const blog = await Blog.findById(id);
+      const blog = await Blog.findById(id).select('title slug');
 
       if (!blog) {
         throw new NotFoundError('Blog not found');
       }
 
-      const comment = blog.comments.id(commentId);
+      const comment = await Comment.findOne({ _id: commentId, blog: blog._id });
 
       if (!comment) {
         throw new NotFoundError('Comment not found');
       }
 
+      const previousStatus = comment.status;
       comment.status = status;
-      await blog.save();
+      await comment.save();
+
+      if (!comment.isAuthorReply) {
+        CommenterReputation.recordModeration(comment.author.email, previousStatus, status).catch(error => {
+          console.error('[BlogController] Reputation update failed:', error.message);
+        });
+      }
+
+      if (status === 'approved') {
+        EmailService.notifyCommentReply(blog, comment).catch(error => {
+          console.error('[BlogController] Reply notification failed:', error.message);
+        });
+      }
 
       const response = ApiResponse.success(null, `Comment ${status} successfully`);
       res.status(response.statusCode).json(response);
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Blog Draft Controller - Editor autosave that never modifies the live blog post
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Blog = require('../models/Blog');
+const BlogDraft = require('../models/BlogDraft');
+const ApiResponse = require('../utils/ApiResponse');
+const {
+  ValidationError,
+  AuthorizationError,
+  NotFoundError
+} = require('../errors/custom-errors');
+
+// Editor fields accepted in an autosave; anything else in the payload is dropped
+const DRAFT_FIELDS = [
+  'title',
+  'slug',
+  'content',
+  'excerpt',
+  'featuredImage',
+  'categories',
+  'tags',
+  'featured',
+  'sticky',
+  'seo',
+  'series',
+  'seriesPosition'
+];
+
+// Autosaves larger than this are rejected rather than stored
+const MAX_DRAFT_BYTES = 1024 * 1024;
+
+/**
+ * Blog Draft Controller Class
+ * @class BlogDraftController
+ */
+class BlogDraftController {
+  /**
+   * Resolve the `:id` route param to a blog the user may edit, or null for "new"
+   * @private
+   * @param {string} id - Blog ID or "new"
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Blog|null>} Blog document, or null for a post not created yet
+   */
+  static async resolveBlog(id, user) {
+    if (id === 'new') return null;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ValidationError('Invalid blog ID format');
+    }
+
+    const blog = await Blog.findById(id).select('author updatedAt');
+
+    if (!blog) {
+      throw new NotFoundError('Blog not found');
+    }
+
+    if (blog.author.toString() !== user._id.toString() && user.role !== 'admin') {
+      throw new AuthorizationError('Unauthorized to edit this blog');
+    }
+
+    return blog;
+  }
+
+  /**
+   * Get the current user's autosave for a post
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async getDraft(req, res, next) {
+    try {
+      const blog = await BlogDraftController.resolveBlog(req.params.id, req.user);
+      const draft = await BlogDraft.findSlot(req.user._id, blog?._id);
+
+      // A draft started before the post was last saved no longer describes unsaved work on top of it
+      const stale = !!(draft && blog && draft.baseUpdatedAt && blog.updatedAt > draft.baseUpdatedAt);
+
+      const response = ApiResponse.success(
+        draft ? { ...draft.toJSON(), stale } : null,
+        draft ? 'Draft retrieved successfully' : 'No draft saved'
+      );
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Autosave editor state for a post
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async saveDraft(req, res, next) {
+    try {
+      const blog = await BlogDraftController.resolveBlog(req.params.id, req.user);
+      const { data, baseUpdatedAt } = req.body;
+
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new ValidationError('Draft data is required');
+      }
+
+      const fields = DRAFT_FIELDS.reduce((picked, field) => {
+        if (data[field] !== undefined) picked[field] = data[field];
+        return picked;
+      }, {});
+
+      if (Buffer.byteLength(JSON.stringify(fields)) > MAX_DRAFT_BYTES) {
+        throw new ValidationError('Draft is too large to autosave');
+      }
+
+      const draft = await BlogDraft.findOneAndUpdate(
+        { user: req.user._id, blog: blog?._id || null },
+        {
+          $set: {
+            data: fields,
+            baseUpdatedAt: baseUpdatedAt ? new Date(baseUpdatedAt) : (blog?.updatedAt || null),
+            savedAt: new Date()
+          }
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+
+      const response = ApiResponse.success({ savedAt: draft.savedAt }, 'Draft autosaved');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Discard the current user's autosave for a post
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async discardDraft(req, res, next) {
+    try {
+      const blog = await BlogDraftController.resolveBlog(req.params.id, req.user);
+      await BlogDraft.clearSlot(req.user._id, blog?._id);
+
+      const response = ApiResponse.success(null, 'Draft discarded');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = BlogDraftController;
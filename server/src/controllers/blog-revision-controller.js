@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Blog Revision Controller - Revision history, diffs and restore for blog posts
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Blog = require('../models/Blog');
+const BlogRevision = require('../models/BlogRevision');
+const ApiResponse = require('../utils/ApiResponse');
+const { sideBySideDiff } = require('../utils/text-diff');
+const {
+  ValidationError,
+  AuthorizationError,
+  NotFoundError
+} = require('../errors/custom-errors');
+
+/**
+ * Blog Revision Controller Class
+ * @class BlogRevisionController
+ */
+class BlogRevisionController {
+  /**
+   * Load a blog the current user may edit
+   * @private
+   * @param {string} id - Blog ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Blog>} Blog document
+   */
+  static async findEditableBlog(id, user) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ValidationError('Invalid blog ID format');
+    }
+
+    const blog = await Blog.findById(id);
+
+    if (!blog) {
+      throw new NotFoundError('Blog not found');
+    }
+
+    if (blog.author.toString() !== user._id.toString() && user.role !== 'admin') {
+      throw new AuthorizationError('Unauthorized to access this blog\'s history');
+    }
+
+    return blog;
+  }
+
+  /**
+   * Load one revision of a blog by its revision number
+   * @private
+   * @param {string} blogId - Blog ID
+   * @param {string|number} revision - Revision number
+   * @returns {Promise<BlogRevision>} Revision document
+   */
+  static async findRevision(blogId, revision) {
+    const number = parseInt(revision, 10);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new ValidationError('Invalid revision number');
+    }
+
+    const found = await BlogRevision.findOne({ blog: blogId, revision: number })
+      .populate('author', 'firstName lastName email');
+
+    if (!found) {
+      throw new NotFoundError(`Revision ${number} not found`);
+    }
+
+    return found;
+  }
+
+  /**
+   * List a blog's revisions, newest first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async getRevisions(req, res, next) {
+    try {
+      const blog = await BlogRevisionController.findEditableBlog(req.params.id, req.user);
+      const { page = 1, limit = 20 } = req.query;
+
+      const [revisions, total] = await Promise.all([
+        BlogRevision.find({ blog: blog._id })
+          .select('-content')
+          .populate('author', 'firstName lastName email')
+          .sort({ revision: -1 })
+          .skip((parseInt(page) - 1) * parseInt(limit))
+          .limit(parseInt(limit)),
+        BlogRevision.countDocuments({ blog: blog._id })
+      ]);
+
+      const response = ApiResponse.success({
+        revisions,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }, 'Revisions retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a single revision with its full content
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async getRevision(req, res, next) {
+    try {
+      const blog = await BlogRevisionController.findEditableBlog(req.params.id, req.user);
+      const revision = await BlogRevisionController.findRevision(blog._id, req.params.revision);
+
+      const response = ApiResponse.success(revision, 'Revision retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Diff two revisions (?from=&to=); `to` defaults to the latest revision
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async getRevisionDiff(req, res, next) {
+    try {
+      const blog = await BlogRevisionController.findEditableBlog(req.params.id, req.user);
+      const { from, to } = req.query;
+
+      if (!from) {
+        throw new ValidationError('The "from" revision is required');
+      }
+
+      let toRevision;
+      if (to) {
+        toRevision = await BlogRevisionController.findRevision(blog._id, to);
+      } else {
+        toRevision = await BlogRevision.findOne({ blog: blog._id })
+          .sort({ revision: -1 })
+          .populate('author', 'firstName lastName email');
+
+        if (!toRevision) {
+          throw new NotFoundError('This blog has no revisions yet');
+        }
+      }
+      const fromRevision = await BlogRevisionController.findRevision(blog._id, from);
+
+      const summarize = ({ _id, revision, author, source, restoredFrom, createdAt }) => ({
+        _id, revision, author, source, restoredFrom, createdAt
+      });
+
+      const response = ApiResponse.success({
+        from: summarize(fromRevision),
+        to: summarize(toRevision),
+        title: { from: fromRevision.title, to: toRevision.title, changed: fromRevision.title !== toRevision.title },
+        excerpt: { from: fromRevision.excerpt, to: toRevision.excerpt, changed: fromRevision.excerpt !== toRevision.excerpt },
+        content: sideBySideDiff(fromRevision.content, toRevision.content)
+      }, 'Revision diff generated');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Restore a revision's title, content and excerpt onto the live blog.
+   * The restore itself is recorded as a new revision.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async restoreRevision(req, res, next) {
+    try {
+      const blog = await BlogRevisionController.findEditableBlog(req.params.id, req.user);
+      const revision = await BlogRevisionController.findRevision(blog._id, req.params.revision);
+
+      await BlogRevision.ensureBaseline(blog);
+
+      blog.title = revision.title;
+      blog.content = revision.content;
+      blog.excerpt = revision.excerpt;
+      await blog.save();
+
+      await BlogRevision.record(blog, {
+        author: req.user._id,
+        source: 'restore',
+        restoredFrom: revision.revision
+      });
+
+      await blog.populate('author', 'firstName lastName email profileImage');
+
+      const response = ApiResponse.success(blog, `Revision ${revision.revision} restored successfully`);
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      if (error.name === 'ValidationError' && !error.type) {
+        next(new ValidationError(error.message));
+      } else {
+        next(error);
+      }
+    }
+  }
+}
+
+module.exports = BlogRevisionController;
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Campaign Controller - Progress and lifecycle of newsletter campaigns
+ * @author jasilmeledath@gmail.com
+ * @created 2025-08-03
+ * @version 1.0.0
+ */
+
+const Campaign = require('../models/Campaign');
+const ApiResponse = require('../utils/ApiResponse');
+const {
+  NotFoundError,
+  BusinessLogicError
+} = require('../errors/custom-errors');
+
+/**
+ * Allowed status transitions for admin actions
+ * @constant {Object<string, Object>}
+ */
+const TRANSITIONS = {
+  pause: { from: ['queued', 'sending'], to: 'paused', message: 'Campaign paused' },
+  resume: { from: ['paused'], to: 'queued', message: 'Campaign resumed' },
+  cancel: { from: ['queued', 'sending', 'paused'], to: 'cancelled', message: 'Campaign cancelled' }
+};
+
+/**
+ * Campaign Controller Class
+ * @class CampaignController
+ */
+class CampaignController {
+  /**
+   * Get recent campaigns with their progress (Admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async getCampaigns(req, res, next) {
+    try {
+      const { status, limit = 10 } = req.query;
+
+      const filter = {};
+      if (status) filter.status = { $in: status.split(',') };
+
+      const campaigns = await Campaign.find(filter)
+        .select('-recipients')
+        .populate('blog', 'title slug')
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit));
+
+      const response = ApiResponse.success({ campaigns }, 'Campaigns retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a campaign's progress, including recipients that failed (Admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async getCampaignProgress(req, res, next) {
+    try {
+      const campaign = await Campaign.findById(req.params.id)
+        .populate('blog', 'title slug');
+
+      if (!campaign) {
+        throw new NotFoundError('Campaign not found', 'Campaign');
+      }
+
+      const { recipients, ...summary } = campaign.toJSON();
+
+      const response = ApiResponse.success({
+        ...summary,
+        failures: recipients
+          .filter(recipient => recipient.status === 'failed' || (recipient.status === 'pending' && recipient.lastError))
+          .map(({ email, status, attempts, lastError, nextAttemptAt }) => ({
+            email,
+            status,
+            attempts,
+            lastError,
+            nextAttemptAt: status === 'pending' ? nextAttemptAt : null
+          }))
+      }, 'Campaign progress retrieved');
+
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Apply a pause/resume/cancel transition
+   * @private
+   * @param {string} id - Campaign ID
+   * @param {string} action - Key of TRANSITIONS
+   * @returns {Promise<Campaign>} Updated campaign
+   */
+  static async transition(id, action) {
+    const { from, to } = TRANSITIONS[action];
+
+    const update = { status: to };
+    if (to === 'cancelled') update.completedAt = new Date();
+
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: id, status: { $in: from } },
+      { $set: update },
+      { new: true, projection: { recipients: 0 } }
+    );
+
+    if (!campaign) {
+      const exists = await Campaign.exists({ _id: id });
+      if (!exists) {
+        throw new NotFoundError('Campaign not found', 'Campaign');
+      }
+      throw new BusinessLogicError(`Cannot ${action} a campaign in its current status`, 'CAMPAIGN_STATUS', 'INVALID_CAMPAIGN_TRANSITION');
+    }
+
+    return campaign;
+  }
+
+  /**
+   * Pause a queued or sending campaign (Admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async pauseCampaign(req, res, next) {
+    try {
+      const campaign = await CampaignController.transition(req.params.id, 'pause');
+      const response = ApiResponse.success(campaign, TRANSITIONS.pause.message);
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Resume a paused campaign (Admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async resumeCampaign(req, res, next) {
+    try {
+      const campaign = await CampaignController.transition(req.params.id, 'resume');
+      const response = ApiResponse.success(campaign, TRANSITIONS.resume.message);
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel a campaign; recipients not yet emailed stay pending (Admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async cancelCampaign(req, res, next) {
+    try {
+      const campaign = await CampaignController.transition(req.params.id, 'cancel');
+      const response = ApiResponse.success(campaign, TRANSITIONS.cancel.message);
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = CampaignController;
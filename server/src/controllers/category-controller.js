@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Category Controller - Blog category management
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+const Category = require('../models/Category');
+const Blog = require('../models/Blog');
+const BlogDraft = require('../models/BlogDraft');
+const Subscriber = require('../models/Subscriber');
+const ApiResponse = require('../utils/ApiResponse');
+const {
+  ValidationError,
+  NotFoundError,
+  BusinessLogicError
+} = require('../errors/custom-errors');
+
+const EDITABLE_FIELDS = ['name', 'description', 'color', 'icon', 'order'];
+
+/**
+ * Category Controller Class
+ * @class CategoryController
+ */
+class CategoryController {
+  /**
+   * Load a category by ID for an admin action
+   * @private
+   * @param {string} id - Category ID
+   * @returns {Promise<Category>} Category document
+   */
+  static async findCategory(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ValidationError('Invalid category ID format');
+    }
+
+    const category = await Category.findById(id);
+
+    if (!category) {
+      throw new NotFoundError('Category not found', 'Category');
+    }
+
+    return category;
+  }
+
+  /**
+   * Map save errors onto API errors
+   * @private
+   * @param {Error} error - Error from save
+   * @returns {Error} Error to pass on
+   */
+  static toApiError(error) {
+    if (error.name === 'ValidationError') {
+      return new ValidationError(error.message);
+    }
+    if (error.code === 11000) {
+      return new ValidationError('Category with this slug already exists');
+    }
+    return error;
+  }
+
+  /**
+   * Replace one category slug with another on every post, unsaved editor
+   * draft and subscriber preference. A post keeps the category's position;
+   * one that already has `to` just loses `from`. Timestamps are left alone
+   * so feeds and sitemaps do not treat every post as edited.
+   * @private
+   * @param {string} from - Slug being retired
+   * @param {string} to - Slug replacing it
+   * @returns {Promise<Object>} { posts, drafts, subscribers } documents changed
+   */
+  static async replaceSlug(from, to) {
+    const targets = [
+      { Model: Blog, path: 'categories' },
+      { Model: BlogDraft, path: 'data.categories' },
+      { Model: Subscriber, path: 'preferences.categories' }
+    ];
+
+    const counts = await Promise.all(targets.map(async ({ Model, path }) => {
+      const renamed = await Model.updateMany(
+        { [path]: { $eq: from, $ne: to } },
+        { $set: { [`${path}.$[category]`]: to } },
+        { arrayFilters: [{ category: from }], timestamps: false }
+      );
+      const deduped = await Model.updateMany(
+        { [path]: from },
+        { $pull: { [path]: from } },
+        { timestamps: false }
+      );
+
+      return renamed.modifiedCount + deduped.modifiedCount;
+    }));
+
+    return { posts: counts[0], drafts: counts[1], subscribers: counts[2] };
+  }
+
+  /**
+   * All categories in display order, with how many published posts use each
+   * @route GET /api/v1/categories
+   * @access Public
+   */
+  static async getCategories(req, res, next) {
+    try {
+      const [categories, counts] = await Promise.all([
+        Category.find().sort({ order: 1, name: 1 }).lean(),
+        Blog.aggregate([
+          { $match: { status: 'published' } },
+          { $unwind: '$categories' },
+          { $group: { _id: '$categories', count: { $sum: 1 } } }
+        ])
+      ]);
+
+      const countBySlug = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+      const response = ApiResponse.success(
+        categories.map(category => ({ ...category, postCount: countBySlug.get(category.slug) || 0 })),
+        'Categories retrieved successfully'
+      );
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a category; the slug defaults to one built from the name
+   * @route POST /api/v1/categories
+   * @access Private (blog:write)
+   */
+  static async createCategory(req, res, next) {
+    try {
+      const { name = '', slug } = req.body;
+      const fields = Object.fromEntries(EDITABLE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]));
+
+      const category = new Category({
+        ...fields,
+        slug: slug || slugify(name, { lower: true, strict: true })
+      });
+      await category.save();
+
+      const response = ApiResponse.created(category, 'Category created successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(CategoryController.toApiError(error));
+    }
+  }
+
+  /**
+   * Update a category. Changing the slug renames it everywhere it is used.
+   * @route PUT /api/v1/categories/:id
+   * @access Private (blog:write)
+   */
+  static async updateCategory(req, res, next) {
+    try {
+      const category = await CategoryController.findCategory(req.params.id);
+      const previousSlug = category.slug;
+
+      EDITABLE_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) category[field] = req.body[field];
+      });
+      if (req.body.slug !== undefined) category.slug = req.body.slug;
+
+      // Saving first claims the new slug, so a clash fails before anything is rewritten
+      await category.save();
+
+      const renamed = category.slug !== previousSlug
+        ? await CategoryController.replaceSlug(previousSlug, category.slug)
+        : null;
+
+      const response = ApiResponse.success({ category, renamed }, 'Category updated successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(CategoryController.toApiError(error));
+    }
+  }
+
+  /**
+   * Fold a category into another: its posts and subscribers move to the
+   * target and the category is deleted
+   * @route POST /api/v1/categories/:id/merge
+   * @access Private (blog:delete)
+   */
+  static async mergeCategory(req, res, next) {
+    try {
+      const source = await CategoryController.findCategory(req.params.id);
+      const target = await CategoryController.findCategory(req.body.into);
+
+      if (source._id.equals(target._id)) {
+        throw new ValidationError('Cannot merge a category into itself');
+      }
+
+      const moved = await CategoryController.replaceSlug(source.slug, target.slug);
+      await source.deleteOne();
+
+      const response = ApiResponse.success({ category: target, moved }, `Merged ${source.name} into ${target.name}`);
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete an unused category. One that still has posts has to be merged.
+   * @route DELETE /api/v1/categories/:id
+   * @access Private (blog:delete)
+   */
+  static async deleteCategory(req, res, next) {
+    try {
+      const category = await CategoryController.findCategory(req.params.id);
+      const postCount = await Blog.countDocuments({ categories: category.slug });
+
+      if (postCount > 0) {
+        throw new BusinessLogicError(
+          `Category is used by ${postCount} post${postCount === 1 ? '' : 's'}; merge it into another category instead`,
+          'Categories with posts cannot be deleted',
+          'CATEGORY_IN_USE'
+        );
+      }
+
+      await Promise.all([
+        BlogDraft.updateMany({ 'data.categories': category.slug }, { $pull: { 'data.categories': category.slug } }, { timestamps: false }),
+        Subscriber.updateMany({ 'preferences.categories': category.slug }, { $pull: { 'preferences.categories': category.slug } }, { timestamps: false })
+      ]);
+      await category.deleteOne();
+
+      const response = ApiResponse.success(null, 'Category deleted successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = CategoryController;
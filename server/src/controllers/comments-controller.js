@@ -7,6 +7,21 @@
 
 const mongoose = require('mongoose');
 const Blog = require('../models/Blog');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const CommenterReputation = require('../models/CommenterReputation');
+const EmailService = require('../services/email-service');
+const SpamScorer = require('../services/spam-scorer');
+const {
+  MAX_COMMENT_DEPTH,
+  DEFAULT_REPLIES_PER_THREAD,
+  buildCommentIndex,
+  getRootComments,
+  buildThreadNode,
+  getRepliesPage
+} = require('../utils/comment-tree');
+const { buildCursorQuery, toCursorPage } = require('../utils/cursor-pagination');
+const { verifyReplyUnsubscribeToken } = require('../utils/email-tracking');
 const { HTTP_STATUS } = require('../constants/http-status');
 const { 
   API_RESPONSE_STATUS, 
@@ -22,6 +37,8 @@ const {
   ConflictError 
 } = require('../errors/custom-errors');
 
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected', 'spam'];
+
 /**
  * Comments Controller Class
  * @class CommentsController
@@ -36,7 +53,7 @@ class CommentsController {
   static async addComment(req, res, next) {
     try {
       const { blogId } = req.params;
-      const { author, content, parentComment } = req.body;
+      const { author, content, parentComment, notifyOnReply } = req.body;
 
       // Validate required fields
       if (!author?.name || !author?.email || !content) {
@@ -50,15 +67,17 @@ class CommentsController {
       }
 
       // Find the blog
-      const blog = await Blog.findOne({ _id: blogId, status: 'published' });
+      const blog = await Blog.exists({ _id: blogId, status: 'published' });
 
       if (!blog) {
         throw new NotFoundError('Blog not found or not published');
       }
 
-      // If parentComment is provided, validate it exists
+      // If parentComment is provided, validate it exists and is visible
       if (parentComment) {
-        const parentExists = blog.comments.id(parentComment);
+        const parentExists = mongoose.Types.ObjectId.isValid(parentComment) &&
+          await Comment.exists({ _id: parentComment, blog: blog._id, status: 'approved' });
+
         if (!parentExists) {
           throw new ValidationError('Parent comment not found');
         }
@@ -66,6 +85,7 @@ class CommentsController {
 
       // Create comment object
       const comment = {
+        blog: blog._id,
         author: {
           name: author.name.trim(),
           email: author.email.toLowerCase().trim(),
@@ -73,15 +93,14 @@ class CommentsController {
         },
         content: content.trim(),
         parentComment: parentComment || null,
+        notifyOnReply: notifyOnReply === true,
         status: 'pending' // Always pending for moderation
       };
 
-      // Add comment to blog
-      blog.comments.push(comment);
-      await blog.save();
+      // High scores are filed as spam; the response is the same either way
+      Object.assign(comment, await SpamScorer.evaluate(req, comment));
 
-      // Get the newly added comment
-      const newComment = blog.comments[blog.comments.length - 1];
+      const newComment = await Comment.create(comment);
 
       const response = ApiResponse.created(
         { commentId: newComment._id }, 
@@ -98,7 +117,9 @@ class CommentsController {
   }
 
   /**
-   * Get approved comments for a blog (Public endpoint)
+   * Get approved comments for a blog as a reply tree (Public endpoint).
+   * Top-level comments are paginated; each thread includes its first
+   * `repliesLimit` replies, with the rest available from getCommentReplies.
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware
@@ -106,64 +127,43 @@ class CommentsController {
   static async getBlogComments(req, res, next) {
     try {
       const { blogId } = req.params;
-      const { page = 1, limit = 10, sortOrder = 'desc' } = req.query;
+      const { sortOrder = 'desc' } = req.query;
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+      const repliesPerThread = Math.min(Math.max(parseInt(req.query.repliesLimit) || DEFAULT_REPLIES_PER_THREAD, 1), 20);
 
-      const blog = await Blog.findOne({ _id: blogId, status: 'published' });
+      const blog = await Blog.exists({ _id: blogId, status: 'published' });
 
       if (!blog) {
         throw new NotFoundError('Blog not found');
       }
 
-      // Filter approved comments only
-      const approvedComments = blog.comments.filter(comment => comment.status === 'approved');
-      
-      // Sort comments
-      approvedComments.sort((a, b) => {
+      // Approved comments only
+      const approvedComments = await Comment.find({ blog: blog._id, status: 'approved' }).lean();
+      const index = buildCommentIndex(approvedComments);
+
+      // Sort threads
+      const rootComments = getRootComments(approvedComments).sort((a, b) => {
         const dateA = new Date(a.createdAt);
         const dateB = new Date(b.createdAt);
         return sortOrder === 'desc' ? dateB - dateA : dateA - dateB;
       });
 
-      // Implement pagination
-      const startIndex = (page - 1) * limit;
-      const endIndex = startIndex + parseInt(limit);
-      const paginatedComments = approvedComments.slice(startIndex, endIndex);
-
-      // Organize comments with replies
-      const rootComments = [];
-      const commentMap = new Map();
-
-      // First pass: create map of all comments
-      paginatedComments.forEach(comment => {
-        commentMap.set(comment._id.toString(), {
-          ...comment.toObject(),
-          replies: []
-        });
-      });
-
-      // Second pass: organize into tree structure
-      paginatedComments.forEach(comment => {
-        const commentObj = commentMap.get(comment._id.toString());
-        
-        if (comment.parentComment) {
-          const parent = commentMap.get(comment.parentComment.toString());
-          if (parent) {
-            parent.replies.push(commentObj);
-          }
-        } else {
-          rootComments.push(commentObj);
-        }
-      });
+      const threads = rootComments
+        .slice((page - 1) * limit, page * limit)
+        .map(comment => buildThreadNode(index, comment, 0, { repliesPerThread }));
 
-      const totalComments = approvedComments.length;
-      const totalPages = Math.ceil(totalComments / limit);
+      const totalThreads = rootComments.length;
+      const totalPages = Math.ceil(totalThreads / limit);
 
       const response = ApiResponse.success({
-        comments: rootComments,
+        comments: threads,
+        maxDepth: MAX_COMMENT_DEPTH,
         pagination: {
-          currentPage: parseInt(page),
+          currentPage: page,
           totalPages,
-          totalComments,
+          totalThreads,
+          totalComments: approvedComments.length,
           hasNextPage: page < totalPages,
           hasPrevPage: page > 1
         }
@@ -176,97 +176,113 @@ class CommentsController {
   }
 
   /**
-   * Get all pending comments (Admin only)
+   * Get a page of replies under one approved comment (Public endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async getCommentReplies(req, res, next) {
+    try {
+      const { blogId, commentId } = req.params;
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+      const repliesPerThread = Math.min(Math.max(parseInt(req.query.repliesLimit) || DEFAULT_REPLIES_PER_THREAD, 1), 20);
+
+      const blog = await Blog.exists({ _id: blogId, status: 'published' });
+
+      if (!blog) {
+        throw new NotFoundError('Blog not found');
+      }
+
+      const index = buildCommentIndex(await Comment.find({ blog: blog._id, status: 'approved' }).lean());
+      const comment = index.byId.get(commentId);
+
+      if (!comment) {
+        throw new NotFoundError('Comment not found');
+      }
+
+      const result = getRepliesPage(index, comment, { page, limit, repliesPerThread });
+
+      const response = ApiResponse.success(result, 'Replies retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get comments for moderation, filtered by status (Admin only). Paginated by
+   * cursor: pass `pagination.nextCursor` back as `cursor` for the next page.
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware
    */
   static async getPendingComments(req, res, next) {
     try {
-      const { 
-        page = 1, 
-        limit = 20, 
+      const {
         sortOrder = 'desc',
         status = 'pending',
-        search = ''
+        search = '',
+        cursor
       } = req.query;
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
 
-      // Build match conditions
-      const matchConditions = { status: 'published' };
-      
-      // Comment status filter
-      let commentStatusMatch;
-      if (status === 'all') {
-        commentStatusMatch = { 'comments.status': { $in: ['pending', 'approved', 'rejected'] } };
-      } else {
-        commentStatusMatch = { 'comments.status': status };
+      if (!['all', ...MODERATION_STATUSES].includes(status)) {
+        throw new ValidationError(`Invalid status. Must be all, ${MODERATION_STATUSES.join(', ')}`);
       }
 
-      // Build the aggregation pipeline
-      const pipeline = [
-        { $match: matchConditions },
-        { $unwind: '$comments' },
-        { $match: commentStatusMatch },
-        {
-          $lookup: {
-            from: 'users',
-            localField: 'author',
-            foreignField: '_id',
-            as: 'blogAuthor'
-          }
-        },
-        {
-          $project: {
-            blogId: '$_id',
-            blogTitle: '$title',
-            blogSlug: '$slug',
-            blogAuthor: { $arrayElemAt: ['$blogAuthor', 0] },
-            comment: '$comments'
-          }
-        }
-      ];
-
-      // Add search functionality if search term is provided
-      if (search && search.trim()) {
-        pipeline.push({
-          $match: {
-            $or: [
-              { 'comment.content': { $regex: search, $options: 'i' } },
-              { 'comment.author.name': { $regex: search, $options: 'i' } },
-              { 'comment.author.email': { $regex: search, $options: 'i' } },
-              { 'blogTitle': { $regex: search, $options: 'i' } }
-            ]
-          }
-        });
+      // 'all' is the regular queue; spam is only listed when asked for
+      const filter = {
+        status: status === 'all' ? { $in: ['pending', 'approved', 'rejected'] } : status
+      };
+
+      if (typeof search === 'string' && search.trim()) {
+        const pattern = new RegExp(search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        const matchingBlogs = await Blog.find({ title: pattern }).distinct('_id');
+
+        filter.$or = [
+          { content: pattern },
+          { 'author.name': pattern },
+          { 'author.email': pattern },
+          { blog: { $in: matchingBlogs } }
+        ];
       }
 
-      // Add sorting and pagination
-      pipeline.push(
-        { $sort: { 'comment.createdAt': sortOrder === 'desc' ? -1 : 1 } },
-        {
-          $facet: {
-            data: [
-              { $skip: (page - 1) * parseInt(limit) },
-              { $limit: parseInt(limit) }
-            ],
-            totalCount: [{ $count: 'count' }]
-          }
-        }
-      );
+      const { sort, filter: cursorFilter } = buildCursorQuery(cursor, sortOrder);
+
+      const [docs, totalComments] = await Promise.all([
+        Comment.find({ $and: [filter, cursorFilter] })
+          .sort(sort)
+          .limit(limit + 1)
+          .lean(),
+        Comment.countDocuments(filter)
+      ]);
+
+      const { items, nextCursor, hasNextPage } = toCursorPage(docs, limit);
+
+      const blogs = await Blog.find({ _id: { $in: [...new Set(items.map(c => c.blog.toString()))] } })
+        .select('title slug')
+        .lean();
+      const blogsById = new Map(blogs.map(blog => [blog._id.toString(), blog]));
 
-      const result = await Blog.aggregate(pipeline);
-      const comments = result[0].data;
-      const totalCount = result[0].totalCount[0]?.count || 0;
-      const totalPages = Math.ceil(totalCount / limit);
+      const comments = items.map(comment => {
+        const blog = blogsById.get(comment.blog.toString());
+
+        return {
+          blogId: comment.blog,
+          blogTitle: blog?.title || '',
+          blogSlug: blog?.slug || '',
+          comment
+        };
+      });
 
       const response = ApiResponse.success({
-        comments: comments,
+        comments,
         pagination: {
-          currentPage: parseInt(page),
-          totalPages,
-          totalComments: totalCount,
-          hasNextPage: page < totalPages,
-          hasPrevPage: page > 1
+          limit,
+          totalComments,
+          nextCursor,
+          hasNextPage
         }
       }, `Comments retrieved successfully (${status === 'all' ? 'all statuses' : status})`);
 
@@ -287,23 +303,24 @@ class CommentsController {
       const { blogId, commentId } = req.params;
       const { status, moderatorNote } = req.body;
 
-      if (!['pending', 'approved', 'rejected'].includes(status)) {
-        throw new ValidationError('Invalid status. Must be pending, approved, or rejected');
+      if (!MODERATION_STATUSES.includes(status)) {
+        throw new ValidationError('Invalid status. Must be pending, approved, rejected, or spam');
       }
 
-      const blog = await Blog.findById(blogId);
+      const blog = await Blog.findById(blogId).select('title slug');
 
       if (!blog) {
         throw new NotFoundError('Blog not found');
       }
 
-      const comment = blog.comments.id(commentId);
+      const comment = await Comment.findOne({ _id: commentId, blog: blog._id });
 
       if (!comment) {
         throw new NotFoundError('Comment not found');
       }
 
       // Update comment status
+      const previousStatus = comment.status;
       comment.status = status;
       
       // Add moderation metadata
@@ -313,7 +330,12 @@ class CommentsController {
         comment.moderatorNote = moderatorNote;
       }
 
-      await blog.save();
+      await comment.save();
+
+      CommentsController.recordReputation(comment, previousStatus, status);
+      if (status === 'approved') {
+        CommentsController.notifyReply(blog, comment);
+      }
 
       // Return the updated comment with blog info
       const updatedComment = {
@@ -346,8 +368,8 @@ class CommentsController {
         throw new ValidationError('Comment IDs array is required');
       }
 
-      if (!['approved', 'rejected'].includes(status)) {
-        throw new ValidationError('Status must be approved or rejected for bulk operations');
+      if (!['approved', 'rejected', 'spam'].includes(status)) {
+        throw new ValidationError('Status must be approved, rejected, or spam for bulk operations');
       }
 
       const results = [];
@@ -359,20 +381,21 @@ class CommentsController {
         try {
           const { blogId, commentId } = commentData;
           
-          const blog = await Blog.findById(blogId);
+          const blog = await Blog.findById(blogId).select('title slug');
           if (!blog) {
             results.push({ commentId, status: 'error', message: 'Blog not found' });
             errorCount++;
             continue;
           }
 
-          const comment = blog.comments.id(commentId);
+          const comment = await Comment.findOne({ _id: commentId, blog: blog._id });
           if (!comment) {
             results.push({ commentId, status: 'error', message: 'Comment not found' });
             errorCount++;
             continue;
           }
 
+          const previousStatus = comment.status;
           comment.status = status;
           comment.moderatedBy = req.user._id;
           comment.moderatedAt = new Date();
@@ -380,7 +403,11 @@ class CommentsController {
             comment.moderatorNote = moderatorNote;
           }
 
-          await blog.save();
+          await comment.save();
+          CommentsController.recordReputation(comment, previousStatus, status);
+          if (status === 'approved') {
+            CommentsController.notifyReply(blog, comment);
+          }
           results.push({ commentId, status: 'success', newStatus: status });
           successCount++;
         } catch (error) {
@@ -405,39 +432,235 @@ class CommentsController {
   }
 
   /**
-   * Delete comment (Admin only)
+   * Reply to a comment as the signed-in author (Admin only). The reply is
+   * published immediately; a pending parent is approved along with it.
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware
    */
-  static async deleteComment(req, res, next) {
+  static async replyAsAuthor(req, res, next) {
     try {
       const { blogId, commentId } = req.params;
+      const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+
+      if (!content) {
+        throw new ValidationError('Reply content is required');
+      }
 
-      const blog = await Blog.findById(blogId);
+      const blog = await Blog.findById(blogId).select('title slug');
 
       if (!blog) {
         throw new NotFoundError('Blog not found');
       }
 
-      const comment = blog.comments.id(commentId);
+      const parent = await Comment.findOne({ _id: commentId, blog: blog._id });
+
+      if (!parent) {
+        throw new NotFoundError('Comment not found');
+      }
+
+      if (['rejected', 'spam'].includes(parent.status)) {
+        throw new ValidationError(`Cannot reply to a ${parent.status} comment`);
+      }
+
+      const now = new Date();
+      const parentWasPending = parent.status === 'pending';
+
+      if (parentWasPending) {
+        parent.status = 'approved';
+        parent.moderatedBy = req.user._id;
+        parent.moderatedAt = now;
+        await parent.save();
+      }
+
+      const reply = await Comment.create({
+        blog: blog._id,
+        author: {
+          name: `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim() || 'Author',
+          email: req.user.email,
+          website: process.env.FRONTEND_URL || ''
+        },
+        content,
+        parentComment: parent._id,
+        status: 'approved',
+        isAuthorReply: true,
+        moderatedBy: req.user._id,
+        moderatedAt: now
+      });
+
+      if (parentWasPending) {
+        CommentsController.recordReputation(parent, 'pending', 'approved');
+        CommentsController.notifyReply(blog, parent);
+      }
+      CommentsController.notifyReply(blog, reply);
+
+      const response = ApiResponse.created({
+        ...reply.toObject(),
+        blogTitle: blog.title,
+        blogSlug: blog.slug
+      }, 'Reply published successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        next(new ValidationError(error.message));
+      } else {
+        next(error);
+      }
+    }
+  }
+
+  /**
+   * Turn off reply notifications from the link in a notification email (Public endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async unsubscribeReplyNotifications(req, res, next) {
+    try {
+      const target = verifyReplyUnsubscribeToken(req.params.token);
+
+      if (!target || !mongoose.Types.ObjectId.isValid(target.blogId) ||
+          !mongoose.Types.ObjectId.isValid(target.commentId)) {
+        throw new ValidationError('Invalid or expired unsubscribe link');
+      }
+
+      const comment = await Comment.findOneAndUpdate(
+        { _id: target.commentId, blog: target.blogId },
+        { $set: { notifyOnReply: false } },
+        { timestamps: false }
+      ).populate('blog', 'slug');
+
+      if (!comment || !comment.blog) {
+        throw new NotFoundError('Comment not found');
+      }
+
+      const frontendUrl = process.env.FRONTEND_URL || 'https://jasilmeledath.dev';
+      res.redirect(`${frontendUrl}/blog/${comment.blog.slug}?replyNotifications=off`);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Bulk delete comments (Admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async bulkDeleteComments(req, res, next) {
+    try {
+      const { commentIds } = req.body;
+
+      if (!Array.isArray(commentIds) || commentIds.length === 0) {
+        throw new ValidationError('Comment IDs array is required');
+      }
+
+      const results = [];
+      let successCount = 0;
+      let errorCount = 0;
+
+      for (const { blogId, commentId } of commentIds) {
+        try {
+          const comment = await Comment.findOne({ _id: commentId, blog: blogId });
+
+          if (!comment) {
+            results.push({ commentId, status: 'error', message: 'Comment not found' });
+            errorCount++;
+            continue;
+          }
+
+          if (await Comment.exists({ parentComment: comment._id })) {
+            results.push({ commentId, status: 'error', message: 'Comment has replies' });
+            errorCount++;
+            continue;
+          }
+
+          await comment.deleteOne();
+          await Like.deleteMany({ blog: comment.blog, comment: comment._id });
+
+          if (comment.status === 'pending') {
+            CommentsController.recordReputation(comment, 'pending', 'rejected');
+          }
+
+          results.push({ commentId, status: 'success' });
+          successCount++;
+        } catch (error) {
+          results.push({ commentId, status: 'error', message: error.message });
+          errorCount++;
+        }
+      }
+
+      const response = ApiResponse.success({
+        results,
+        summary: {
+          total: commentIds.length,
+          successful: successCount,
+          failed: errorCount
+        }
+      }, `Bulk delete completed. ${successCount} comments deleted, ${errorCount} failed.`);
+
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update the commenter's reputation in the background; failures are only logged
+   * @private
+   * @param {Object} comment - Moderated comment
+   * @param {string} fromStatus - Status before moderation
+   * @param {string} toStatus - Status after moderation
+   */
+  static recordReputation(comment, fromStatus, toStatus) {
+    if (comment.isAuthorReply) return;
+
+    CommenterReputation.recordModeration(comment.author.email, fromStatus, toStatus).catch(error => {
+      console.error('[CommentsController] Reputation update failed:', error.message);
+    });
+  }
+
+  /**
+   * Send the reply notification in the background; failures are only logged
+   * @private
+   * @param {Object} blog - Blog document
+   * @param {Object} comment - Newly approved comment
+   */
+  static notifyReply(blog, comment) {
+    EmailService.notifyCommentReply(blog, comment).catch(error => {
+      console.error('[CommentsController] Reply notification failed:', error.message);
+    });
+  }
+
+  /**
+   * Delete comment (Admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async deleteComment(req, res, next) {
+    try {
+      const { blogId, commentId } = req.params;
+
+      const comment = await Comment.findOne({ _id: commentId, blog: blogId });
 
       if (!comment) {
         throw new NotFoundError('Comment not found');
       }
 
       // Check if comment has replies
-      const hasReplies = blog.comments.some(c => 
-        c.parentComment && c.parentComment.toString() === commentId
-      );
-
-      if (hasReplies) {
+      if (await Comment.exists({ parentComment: comment._id })) {
         throw new ValidationError('Cannot delete comment with replies. Please delete replies first.');
       }
 
       // Remove the comment
-      blog.comments.pull(commentId);
-      await blog.save();
+      await comment.deleteOne();
+      await Like.deleteMany({ blog: comment.blog, comment: comment._id });
+
+      // Deleting an unmoderated comment counts as rejecting it
+      if (comment.status === 'pending') {
+        CommentsController.recordReputation(comment, 'pending', 'rejected');
+      }
 
       const response = ApiResponse.success(
         null, 
@@ -457,61 +680,45 @@ class CommentsController {
    */
   static async getCommentStats(req, res, next) {
     try {
-      const pipeline = [
-        { $match: { status: 'published' } },
-        { $unwind: '$comments' },
+      const statusCounts = await Comment.aggregate([
         {
           $group: {
-            _id: '$comments.status',
+            _id: '$status',
             count: { $sum: 1 }
           }
         }
-      ];
-
-      const statusCounts = await Blog.aggregate(pipeline);
-      
-      // Get total comments count
-      const totalPipeline = [
-        { $match: { status: 'published' } },
-        { $project: { commentCount: { $size: '$comments' } } },
-        { $group: { _id: null, total: { $sum: '$commentCount' } } }
-      ];
-
-      const totalResult = await Blog.aggregate(totalPipeline);
-      const totalComments = totalResult[0]?.total || 0;
+      ]);
 
       // Format the response
       const stats = {
-        total: totalComments,
+        total: 0,
         pending: 0,
         approved: 0,
-        rejected: 0
+        rejected: 0,
+        spam: 0
       };
 
       statusCounts.forEach(stat => {
         stats[stat._id] = stat.count;
+        stats.total += stat.count;
       });
 
       // Get recent comments activity (last 30 days)
       const thirtyDaysAgo = new Date();
       thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
-      const recentActivityPipeline = [
-        { $match: { status: 'published' } },
-        { $unwind: '$comments' },
-        { $match: { 'comments.createdAt': { $gte: thirtyDaysAgo } } },
+      const recentActivity = await Comment.aggregate([
+        { $match: { createdAt: { $gte: thirtyDaysAgo } } },
         {
           $group: {
             _id: {
-              $dateToString: { format: '%Y-%m-%d', date: '$comments.createdAt' }
+              $dateToString: { format: '%Y-%m-%d', date: '$createdAt' }
             },
             count: { $sum: 1 }
           }
         },
         { $sort: { _id: 1 } }
-      ];
-
-      const recentActivity = await Blog.aggregate(recentActivityPipeline);
+      ]);
 
       const response = ApiResponse.success({
         stats,
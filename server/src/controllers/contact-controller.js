@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Contact Controller - Contact form submissions and the admin inbox
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const ContactMessage = require('../models/ContactMessage');
+const EmailService = require('../services/email-service');
+const SpamScorer = require('../services/spam-scorer');
+const ApiResponse = require('../utils/ApiResponse');
+const { buildCursorQuery, toCursorPage } = require('../utils/cursor-pagination');
+const {
+  ValidationError,
+  NotFoundError
+} = require('../errors/custom-errors');
+
+/**
+ * Contact Controller Class
+ * @class ContactController
+ */
+class ContactController {
+  /**
+   * Load a message by ID for an admin action
+   * @private
+   * @param {string} id - Message ID
+   * @returns {Promise<ContactMessage>} Message document
+   */
+  static async findMessage(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ValidationError('Invalid message ID format');
+    }
+
+    const message = await ContactMessage.findById(id);
+
+    if (!message) {
+      throw new NotFoundError('Message not found', 'ContactMessage');
+    }
+
+    return message;
+  }
+
+  /**
+   * Send a message to the site owner. Messages the spam checks flag are
+   * filed under spam without any email going out; the response is the same
+   * either way so bots learn nothing.
+   * @route POST /api/v1/contact
+   * @access Public (rate limited)
+   */
+  static async submitMessage(req, res, next) {
+    try {
+      const { name, email, subject = '', message } = req.body;
+
+      if (typeof name !== 'string' || typeof email !== 'string' || typeof message !== 'string' ||
+          !name.trim() || !email.trim() || !message.trim()) {
+        throw new ValidationError('Name, email and message are required');
+      }
+
+      const contactMessage = new ContactMessage({
+        name,
+        email,
+        subject: typeof subject === 'string' ? subject : '',
+        message,
+        userAgent: req.get('User-Agent')?.slice(0, 500) || null
+      });
+      await contactMessage.validate();
+
+      const verdict = await SpamScorer.evaluateContact(req, contactMessage);
+
+      contactMessage.set({
+        folder: verdict.isSpam ? 'spam' : 'inbox',
+        spamScore: verdict.spamScore,
+        spamReasons: verdict.spamReasons,
+        submitterHash: verdict.submitterHash,
+        contentHash: verdict.contentHash
+      });
+      await contactMessage.save();
+
+      if (!verdict.isSpam) {
+        // Mail delivery can be slow; the message is already saved
+        EmailService.notifyContactMessage(contactMessage).catch(error => {
+          console.error('[ContactController] Contact emails failed:', error.message);
+        });
+      }
+
+      const response = ApiResponse.created(
+        { messageId: contactMessage._id },
+        'Thanks for your message. A confirmation is on its way to your inbox.'
+      );
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        next(new ValidationError(error.message));
+      } else {
+        next(error);
+      }
+    }
+  }
+
+  /**
+   * List messages in a folder, newest first. Paginated by cursor: pass
+   * `pagination.nextCursor` back as `cursor` for the next page.
+   * @route GET /api/v1/contact/messages
+   * @access Private (Admin)
+   */
+  static async getMessages(req, res, next) {
+    try {
+      const { folder = 'inbox', unread, search = '', cursor } = req.query;
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const folders = ContactMessage.getFolders();
+
+      if (!folders.includes(folder)) {
+        throw new ValidationError(`Invalid folder. Must be ${folders.join(', ')}`);
+      }
+
+      const filter = { folder };
+
+      if (unread === 'true') {
+        filter.readAt = null;
+      }
+
+      if (typeof search === 'string' && search.trim()) {
+        const pattern = new RegExp(search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+
+        filter.$or = [
+          { name: pattern },
+          { email: pattern },
+          { subject: pattern },
+          { message: pattern }
+        ];
+      }
+
+      const { sort, filter: cursorFilter } = buildCursorQuery(cursor, 'desc');
+
+      const [docs, totalMessages] = await Promise.all([
+        ContactMessage.find({ $and: [filter, cursorFilter] })
+          .sort(sort)
+          .limit(limit + 1)
+          .populate('replies.sentBy', 'firstName lastName')
+          .lean(),
+        ContactMessage.countDocuments(filter)
+      ]);
+
+      const { items, nextCursor, hasNextPage } = toCursorPage(docs, limit);
+
+      const response = ApiResponse.success({
+        messages: items,
+        pagination: {
+          limit,
+          totalMessages,
+          nextCursor,
+          hasNextPage
+        }
+      }, 'Messages retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Unread and per-folder counts for the inbox tabs and dashboard
+   * @route GET /api/v1/contact/messages/stats
+   * @access Private (Admin)
+   */
+  static async getMessageStats(req, res, next) {
+    try {
+      const counts = await ContactMessage.getCounts();
+
+      const response = ApiResponse.success(counts, 'Message statistics retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a single message
+   * @route GET /api/v1/contact/messages/:id
+   * @access Private (Admin)
+   */
+  static async getMessage(req, res, next) {
+    try {
+      const message = await ContactController.findMessage(req.params.id);
+      await message.populate('replies.sentBy', 'firstName lastName');
+
+      const response = ApiResponse.success(message, 'Message retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Mark a message read or unread and/or move it to another folder
+   * @route PATCH /api/v1/contact/messages/:id
+   * @access Private (Admin)
+   */
+  static async updateMessage(req, res, next) {
+    try {
+      const { read, folder } = req.body;
+      const message = await ContactController.findMessage(req.params.id);
+
+      if (read === undefined && folder === undefined) {
+        throw new ValidationError('Nothing to update. Send read and/or folder');
+      }
+
+      if (folder !== undefined) {
+        const folders = ContactMessage.getFolders();
+        if (!folders.includes(folder)) {
+          throw new ValidationError(`Invalid folder. Must be ${folders.join(', ')}`);
+        }
+        message.folder = folder;
+      }
+
+      if (read !== undefined) {
+        message.readAt = read ? (message.readAt || new Date()) : null;
+      }
+
+      await message.save();
+
+      const response = ApiResponse.success(message, 'Message updated successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reply to the sender by email. The reply is kept on the message and the
+   * message is marked read.
+   * @route POST /api/v1/contact/messages/:id/reply
+   * @access Private (Admin)
+   */
+  static async replyToMessage(req, res, next) {
+    try {
+      const { body } = req.body;
+      const message = await ContactController.findMessage(req.params.id);
+
+      if (typeof body !== 'string' || !body.trim()) {
+        throw new ValidationError('Reply body is required');
+      }
+
+      const reply = { body: body.trim(), sentBy: req.user._id, sentAt: new Date() };
+      message.replies.push(reply);
+      // Validate before sending so an overlong reply is not emailed and then lost
+      await message.validate();
+
+      const emailService = new EmailService();
+      await emailService.sendContactReply(message, reply.body);
+
+      message.readAt = message.readAt || new Date();
+      await message.save();
+      await message.populate('replies.sentBy', 'firstName lastName');
+
+      const response = ApiResponse.success(message, `Reply sent to ${message.email}`);
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        next(new ValidationError(error.message));
+      } else {
+        next(error);
+      }
+    }
+  }
+
+  /**
+   * Delete a message permanently
+   * @route DELETE /api/v1/contact/messages/:id
+   * @access Private (Admin)
+   */
+  static async deleteMessage(req, res, next) {
+    try {
+      const message = await ContactController.findMessage(req.params.id);
+      await message.deleteOne();
+
+      const response = ApiResponse.success(null, 'Message deleted successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = ContactController;
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Content Archive Controller - Backup and restore of portfolio and blog content
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const ContentArchive = require('../services/content-archive');
+const ApiResponse = require('../utils/ApiResponse');
+const { ValidationError } = require('../errors/custom-errors');
+
+const IMPORT_MODES = ['merge', 'replace'];
+
+/**
+ * Content Archive Controller Class
+ * @class ContentArchiveController
+ */
+class ContentArchiveController {
+  /**
+   * Read the uploaded archive and import mode from a request
+   * @private
+   * @param {Object} req - Express request object
+   * @returns {Object} { archive, mode }
+   */
+  static readUpload(req) {
+    if (!req.file) {
+      throw new ValidationError('Archive file is required');
+    }
+
+    const mode = req.body.mode || 'merge';
+
+    if (!IMPORT_MODES.includes(mode)) {
+      throw new ValidationError(`Invalid mode. Must be ${IMPORT_MODES.join(' or ')}`);
+    }
+
+    return { archive: ContentArchive.readArchive(req.file.buffer), mode };
+  }
+
+  /**
+   * Download everything as a versioned archive. `format=zip` bundles local
+   * media files; `media=true` adds the media library records.
+   * @route GET /api/v1/portfolio-management/export
+   * @access Private (admin)
+   */
+  static async exportContent(req, res, next) {
+    try {
+      const format = req.query.format === 'zip' ? 'zip' : 'json';
+      const includeMedia = req.query.media === 'true';
+      const exported = await ContentArchive.exportContent(req.user.id, { includeMedia });
+      const fileName = `portfolio-content-${exported.manifest.exportedAt.slice(0, 10)}.${format}`;
+
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.setHeader('Cache-Control', 'no-store');
+
+      if (format === 'zip') {
+        res.setHeader('Content-Type', 'application/zip');
+        res.send(ContentArchive.toZip(exported));
+      } else {
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.send(JSON.stringify(exported.manifest, null, 2));
+      }
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Validate an archive and report what importing it would change. Nothing
+   * is written.
+   * @route POST /api/v1/portfolio-management/import/preview
+   * @access Private (admin)
+   */
+  static async previewImport(req, res, next) {
+    try {
+      const { archive, mode } = ContentArchiveController.readUpload(req);
+
+      const [validation, changes] = await Promise.all([
+        ContentArchive.validate(archive, req.user.id, mode),
+        ContentArchive.diff(archive, req.user.id, mode)
+      ]);
+
+      const response = ApiResponse.success({
+        archive: {
+          version: archive.manifest.version,
+          exportedAt: archive.manifest.exportedAt,
+          counts: archive.manifest.counts,
+          mediaFiles: archive.mediaFiles.size
+        },
+        mode,
+        validation,
+        changes
+      }, validation.valid ? 'Archive is ready to import' : 'Archive has validation errors');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Import an archive. It is validated again first and nothing is written
+   * unless every record passes.
+   * @route POST /api/v1/portfolio-management/import
+   * @access Private (admin)
+   */
+  static async importContent(req, res, next) {
+    try {
+      const { archive, mode } = ContentArchiveController.readUpload(req);
+      const validation = await ContentArchive.validate(archive, req.user.id, mode);
+
+      if (!validation.valid) {
+        throw new ValidationError('Archive has validation errors; nothing was imported', validation.errors, 'IMPORT_INVALID');
+      }
+
+      const summary = await ContentArchive.apply(archive, req.user.id, mode);
+
+      const response = ApiResponse.success({ mode, summary, warnings: validation.warnings }, 'Content imported successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = ContentArchiveController;
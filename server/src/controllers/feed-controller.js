@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Feed Controller - RSS, Atom and JSON Feed endpoints for the blog
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const BlogFeed = require('../services/blog-feed');
+
+const CONTENT_TYPES = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+// Readers poll often; let them and any CDN reuse a copy for a while
+const FEED_CACHE_CONTROL = 'public, max-age=900, stale-while-revalidate=3600';
+
+/**
+ * Feed Controller Class
+ * @class FeedController
+ */
+class FeedController {
+  /**
+   * Send a feed, or 304 when the reader's copy is still current
+   * @private
+   * @param {string} format - 'rss', 'atom' or 'json'
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  static async sendFeed(format, req, res, next) {
+    try {
+      const scope = await BlogFeed.resolveScope(req.params);
+      const { ids, version, lastModified } = await BlogFeed.getVersion(scope);
+
+      res.set({
+        'Cache-Control': FEED_CACHE_CONTROL,
+        ETag: `W/"${format}-${version}"`,
+        ...(lastModified && { 'Last-Modified': lastModified.toUTCString() })
+      });
+
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      const body = await BlogFeed.render(format, scope, ids);
+      res.type(CONTENT_TYPES[format]).send(body);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * RSS 2.0 feed
+   * @route GET /api/v1/feeds/feed.xml
+   * @route GET /api/v1/feeds/category/:category/feed.xml
+   * @route GET /api/v1/feeds/tag/:tag/feed.xml
+   * @access Public
+   */
+  static async getRssFeed(req, res, next) {
+    return FeedController.sendFeed('rss', req, res, next);
+  }
+
+  /**
+   * Atom 1.0 feed
+   * @route GET /api/v1/feeds/atom.xml
+   * @route GET /api/v1/feeds/category/:category/atom.xml
+   * @route GET /api/v1/feeds/tag/:tag/atom.xml
+   * @access Public
+   */
+  static async getAtomFeed(req, res, next) {
+    return FeedController.sendFeed('atom', req, res, next);
+  }
+
+  /**
+   * JSON Feed 1.1
+   * @route GET /api/v1/feeds/feed.json
+   * @route GET /api/v1/feeds/category/:category/feed.json
+   * @route GET /api/v1/feeds/tag/:tag/feed.json
+   * @access Public
+   */
+  static async getJsonFeed(req, res, next) {
+    return FeedController.sendFeed('json', req, res, next);
+  }
+}
+
+module.exports = FeedController;
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Like Controller - Public likes on blog posts and comments
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Blog = require('../models/Blog');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const ApiResponse = require('../utils/ApiResponse');
+const { getVisitorFingerprint } = require('../utils/visitor-fingerprint');
+const { ValidationError, NotFoundError } = require('../errors/custom-errors');
+
+// Counter updates must not bump updatedAt, which the editor uses to detect stale drafts
+const COUNTER_UPDATE_OPTIONS = { new: true, timestamps: false };
+
+/**
+ * Like Controller Class
+ * @class LikeController
+ */
+class LikeController {
+  /**
+   * Validate route IDs and resolve the like target
+   * @private
+   * @param {Object} params - Route params (id, commentId)
+   * @returns {Promise<Object>} Target descriptor with the current like count
+   */
+  static async findTarget({ id, commentId }) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ValidationError('Invalid blog ID format');
+    }
+
+    if (commentId !== undefined && !mongoose.Types.ObjectId.isValid(commentId)) {
+      throw new ValidationError('Invalid comment ID format');
+    }
+
+    const blog = await Blog.findOne({ _id: id, status: 'published' })
+      .select('likes')
+      .lean();
+
+    if (!blog) {
+      throw new NotFoundError('Blog not found');
+    }
+
+    if (commentId === undefined) {
+      return { blogId: blog._id, commentId: null, likes: blog.likes || 0 };
+    }
+
+    const comment = await Comment.findOne({ _id: commentId, blog: blog._id, status: 'approved' })
+      .select('likes')
+      .lean();
+
+    if (!comment) {
+      throw new NotFoundError('Comment not found');
+    }
+
+    return { blogId: blog._id, commentId: comment._id, likes: comment.likes || 0 };
+  }
+
+  /**
+   * Apply a +1/-1 change to the target's counter, never going below zero
+   * @private
+   * @param {Object} target - Target descriptor
+   * @param {number} delta - 1 or -1
+   * @returns {Promise<number>} Updated like count
+   */
+  static async updateCounter(target, delta) {
+    if (!target.commentId) {
+      const filter = { _id: target.blogId };
+      if (delta < 0) filter.likes = { $gt: 0 };
+
+      const blog = await Blog.findOneAndUpdate(filter, { $inc: { likes: delta } }, COUNTER_UPDATE_OPTIONS)
+        .select('likes')
+        .lean();
+
+      return blog ? blog.likes : 0;
+    }
+
+    const filter = { _id: target.commentId, blog: target.blogId };
+    if (delta < 0) filter.likes = { $gt: 0 };
+
+    const comment = await Comment.findOneAndUpdate(filter, { $inc: { likes: delta } }, COUNTER_UPDATE_OPTIONS)
+      .select('likes')
+      .lean();
+
+    return comment ? comment.likes : 0;
+  }
+
+  /**
+   * Like a post, or one of its approved comments when `commentId` is given;
+   * repeated likes from the same visitor are no-ops
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async like(req, res, next) {
+    try {
+      const target = await LikeController.findTarget(req.params);
+      let likes = target.likes;
+
+      try {
+        await Like.create({
+          targetType: target.commentId ? 'comment' : 'blog',
+          blog: target.blogId,
+          comment: target.commentId,
+          fingerprint: getVisitorFingerprint(req)
+        });
+        likes = await LikeController.updateCounter(target, 1);
+      } catch (error) {
+        // Duplicate key: this visitor already liked the target
+        if (error.code !== 11000) throw error;
+      }
+
+      const response = ApiResponse.success({ liked: true, likes }, 'Liked successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove the visitor's like from a post or comment, if any
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async unlike(req, res, next) {
+    try {
+      const target = await LikeController.findTarget(req.params);
+      let likes = target.likes;
+
+      const { deletedCount } = await Like.deleteOne({
+        blog: target.blogId,
+        comment: target.commentId,
+        fingerprint: getVisitorFingerprint(req)
+      });
+
+      if (deletedCount > 0) {
+        likes = await LikeController.updateCounter(target, -1);
+      }
+
+      const response = ApiResponse.success({ liked: false, likes }, 'Like removed successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a post's like count and what the current visitor has liked on it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async getLikeStatus(req, res, next) {
+    try {
+      const target = await LikeController.findTarget({ id: req.params.id });
+
+      const likes = await Like.find({
+        blog: target.blogId,
+        fingerprint: getVisitorFingerprint(req)
+      })
+        .select('comment')
+        .lean();
+
+      const response = ApiResponse.success({
+        likes: target.likes,
+        liked: likes.some(like => !like.comment),
+        likedComments: likes.filter(like => like.comment).map(like => like.comment.toString())
+      }, 'Like status retrieved successfully');
+
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = LikeController;
@@ -0,0 +1,301 @@
+/**
+ * @fileoverview Media Controller - Image uploads and the admin media library
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Media = require('../models/Media');
+const MediaLibrary = require('../services/media-library');
+const ApiResponse = require('../utils/ApiResponse');
+const {
+  ValidationError,
+  NotFoundError,
+  BusinessLogicError
+} = require('../errors/custom-errors');
+const {
+  uploadContentImage,
+  isCloudinaryConfigured,
+  cleanupLocalFiles
+} = require('../config/cloudinary');
+
+// Served by the /uploads static handler in app.js
+const LOCAL_MEDIA_DIR = path.join(__dirname, '../../uploads/media');
+
+/**
+ * Media Controller Class
+ * @class MediaController
+ */
+class MediaController {
+  /**
+   * Move an uploaded temp file into the public uploads folder
+   * @private
+   * @param {Object} file - Multer file
+   * @param {Object} req - Express request object, used to build an absolute URL
+   * @returns {Promise<Object>} Stored media descriptor
+   */
+  static async storeLocally(file, req) {
+    await fs.promises.mkdir(LOCAL_MEDIA_DIR, { recursive: true });
+
+    const filename = file.filename.replace(/^image_/, '');
+    await fs.promises.rename(file.path, path.join(LOCAL_MEDIA_DIR, filename));
+
+    // Absolute URL so the image also loads from the frontend's origin
+    const baseUrl = process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+    return {
+      storage: 'local',
+      localPath: `media/${filename}`,
+      url: `${baseUrl.replace(/\/+$/, '')}/uploads/media/${filename}`,
+      publicId: null,
+      responsiveUrls: null,
+      bytes: file.size,
+      format: path.extname(filename).slice(1).toLowerCase()
+    };
+  }
+
+  /**
+   * Load a media document by route ID
+   * @private
+   * @param {string} id - Media ID
+   * @returns {Promise<Media>} Media document
+   */
+  static async findMedia(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ValidationError('Invalid media ID format');
+    }
+
+    const media = await Media.findById(id);
+
+    if (!media) {
+      throw new NotFoundError('Media not found');
+    }
+
+    return media;
+  }
+
+  /**
+   * Upload a single image for use inside post content
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async uploadImage(req, res, next) {
+    const file = req.files?.image?.[0];
+
+    try {
+      if (!file) {
+        throw new ValidationError('An image file is required');
+      }
+
+      let media = null;
+
+      if (isCloudinaryConfigured()) {
+        try {
+          const result = await uploadContentImage(file.path, 'portfolio/blog');
+          media = {
+            storage: 'cloudinary',
+            url: result.optimizedUrl,
+            publicId: result.publicId,
+            thumbnailUrl: result.thumbnailUrl,
+            responsiveUrls: result.responsiveUrls,
+            width: result.width,
+            height: result.height,
+            bytes: result.bytes,
+            format: result.format
+          };
+          cleanupLocalFiles(file.path);
+        } catch (error) {
+          console.error('[MediaController] Cloudinary upload failed, storing locally:', error.message);
+        }
+      }
+
+      if (!media) {
+        media = await MediaController.storeLocally(file, req);
+      }
+
+      const record = await MediaLibrary.register(
+        { ...media, originalName: file.originalname },
+        {
+          storage: media.storage,
+          kind: 'content',
+          localPath: media.localPath,
+          uploadedBy: req.user._id,
+          alt: req.body.alt
+        }
+      );
+
+      const response = ApiResponse.success(
+        { ...media, originalName: file.originalname, mediaId: record?._id || null },
+        'Image uploaded successfully',
+        201
+      );
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      if (file) {
+        cleanupLocalFiles(file.path);
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * List library assets with search and filters
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async getMedia(req, res, next) {
+    try {
+      const {
+        page = 1,
+        limit = 24,
+        search,
+        kind,
+        storage,
+        status
+      } = req.query;
+
+      const query = {};
+
+      if (kind) query.kind = kind;
+      if (storage) query.storage = storage;
+      if (status === 'orphaned') query.orphanedAt = { $ne: null };
+      if (status === 'in-use') query['usage.0'] = { $exists: true };
+      if (search) {
+        const pattern = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+        query.$or = [
+          { originalName: pattern },
+          { alt: pattern },
+          { url: pattern }
+        ];
+      }
+
+      const pageSize = Math.min(parseInt(limit) || 24, 100);
+
+      const [media, totalMedia] = await Promise.all([
+        Media.find(query)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * pageSize)
+          .limit(pageSize)
+          .populate('uploadedBy', 'firstName lastName email'),
+        Media.countDocuments(query)
+      ]);
+
+      const totalPages = Math.ceil(totalMedia / pageSize);
+
+      const response = ApiResponse.success({
+        media,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalMedia,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }, 'Media retrieved successfully');
+
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get one asset with a freshly checked usage list
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async getMediaById(req, res, next) {
+    try {
+      const media = await MediaController.findMedia(req.params.id);
+      await MediaLibrary.refreshUsage(media);
+
+      const response = ApiResponse.success(media, 'Media retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update the default alt text of an asset
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async updateMedia(req, res, next) {
+    try {
+      const media = await MediaController.findMedia(req.params.id);
+      const { alt } = req.body;
+
+      if (typeof alt !== 'string') {
+        throw new ValidationError('Alt text must be a string');
+      }
+
+      media.alt = alt;
+      await media.save();
+
+      const response = ApiResponse.success(media, 'Media updated successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete an asset from storage; refused while anything still references it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async deleteMedia(req, res, next) {
+    try {
+      const media = await MediaController.findMedia(req.params.id);
+      await MediaLibrary.refreshUsage(media);
+
+      if (media.usage.length > 0) {
+        const names = media.usage
+          .map(usage => `${usage.model}${usage.label ? ` "${usage.label}"` : ''}`)
+          .join(', ');
+        throw new BusinessLogicError(
+          `Media is still used by ${names}`,
+          'Media cannot be deleted while it is referenced',
+          'MEDIA_IN_USE'
+        );
+      }
+
+      await MediaLibrary.removeAsset(media);
+
+      const response = ApiResponse.success(null, 'Media deleted successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Run the reconciliation now; orphans are only purged when `purge` is true.
+   * Answers 409 while another run, manual or scheduled, is in progress.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async reconcile(req, res, next) {
+    try {
+      const report = await MediaLibrary.reconcile({ purge: req.body.purge === true });
+
+      const response = ApiResponse.success(report, 'Media library reconciled');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = MediaController;
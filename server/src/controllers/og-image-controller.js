@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Open Graph Image Controller - Preview card images for shared links
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const OgImage = require('../services/og-image');
+const { NotFoundError } = require('../errors/custom-errors');
+
+// The URL stays the same when a post changes, so caches revalidate daily
+const OG_CACHE_CONTROL = 'public, max-age=86400';
+
+/**
+ * Open Graph Image Controller Class
+ * @class OgImageController
+ */
+class OgImageController {
+  /**
+   * Send the cached card, rendering it first if needed
+   * @private
+   * @param {Object} card - Card content from OgImage
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async sendCard(card, req, res) {
+    const { filePath, hash } = await OgImage.getImage(card);
+
+    res.set({
+      'Cache-Control': OG_CACHE_CONTROL,
+      ETag: `"${hash}"`
+    });
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.type('png').sendFile(filePath);
+  }
+
+  /**
+   * Preview card for a published blog post
+   * @route GET /api/v1/og/blog/:slug.png
+   * @access Public
+   */
+  static async getBlogImage(req, res, next) {
+    try {
+      const card = await OgImage.getBlogCard(req.params.slug);
+      await OgImageController.sendCard(card, req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Preview card for a project
+   * @route GET /api/v1/og/projects/:id.png
+   * @access Public
+   */
+  static async getProjectImage(req, res, next) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        throw new NotFoundError('Project not found', 'Project');
+      }
+
+      const card = await OgImage.getProjectCard(req.params.id);
+      await OgImageController.sendCard(card, req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = OgImageController;
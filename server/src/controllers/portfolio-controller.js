@@ -8,6 +8,7 @@
 
 const User = require('../models/User');
 const PersonalInfo = require('../models/PersonalInfo');
+const ResumeGenerator = require('../services/resume-generator');
 const ApiResponse = require('../utils/ApiResponse');
 const { HTTP_STATUS } = require('../constants/http-status');
 const { CustomError } = require('../errors/custom-errors');
@@ -515,9 +516,9 @@ class PortfolioController {
       ] = await Promise.all([
         PersonalInfo.findOne({ userId: userIdString }), // Use string for PersonalInfo
         SocialLink.find({ userId: userIdString, isActive: true }).sort({ order: 1 }),
-        Skill.find({ userId: userIdString, isActive: true }).sort({ level: -1, name: 1 }), // Fixed: level instead of proficiency
-        Project.find({ userId: userIdString, isActive: true }).sort({ priority: -1, createdAt: -1 }),
-        Experience.find({ userId: userIdString }).sort({ startDate: -1 })
+        Skill.find({ userId: userIdString, isActive: true }).sort({ order: 1, level: -1, name: 1 }),
+        Project.find({ userId: userIdString, isActive: true }).sort({ order: 1, priority: -1, createdAt: -1 }),
+        Experience.find({ userId: userIdString }).sort({ order: 1, startDate: -1 })
       ]);
 
       // Debug skills data
@@ -590,7 +591,7 @@ class PortfolioController {
       const skills = await Skill.find({ 
         userId: portfolioOwner._id, 
         isActive: true 
-      }).sort({ proficiency: -1, name: 1 });
+      }).sort({ order: 1, level: -1, name: 1 });
 
       res.status(HTTP_STATUS.SUCCESS).json(
         ApiResponse.success(skills, 'Skills retrieved successfully')
@@ -618,7 +619,7 @@ class PortfolioController {
 
       const experience = await Experience.find({ 
         userId: portfolioOwner._id 
-      }).sort({ startDate: -1 });
+      }).sort({ order: 1, startDate: -1 });
 
       res.status(HTTP_STATUS.SUCCESS).json(
         ApiResponse.success(experience, 'Experience retrieved successfully')
@@ -658,57 +659,74 @@ class PortfolioController {
   }
 
   /**
-   * Download resume file
-   * @param {Object} req - Express request object
+   * Send the public resume: the generated PDF when the owner has chosen it,
+   * otherwise the uploaded file
+   * @private
    * @param {Object} res - Express response object
-   * @param {Function} next - Express next middleware function
+   * @param {string} disposition - 'attachment' or 'inline'
    */
-  static async downloadResume(req, res, next) {
+  static async sendResume(res, disposition) {
     const fs = require('fs');
     const path = require('path');
-    
-    try {
-      // Get personal info from the PersonalInfo collection
-      const personalInfo = await PersonalInfo.findOne({ isActive: true });
-      
-      if (!personalInfo || !personalInfo.resumeUrl) {
-        return res.status(HTTP_STATUS.NOT_FOUND).json(
-          ApiResponse.error('Resume not found', HTTP_STATUS.NOT_FOUND)
-        );
-      }
 
-      let resumePath = personalInfo.resumeUrl;
-      
-      // If it's a URL, extract the file path
-      if (resumePath.startsWith('http://') || resumePath.startsWith('https://')) {
-        // Extract the path from the URL (e.g., /uploads/resumes/filename.pdf)
-        const url = new URL(resumePath);
-        resumePath = url.pathname;
-      }
-      
-      // Construct full file path from server root
-      const fullPath = path.join(__dirname, '../../', resumePath);
-      
-      // Check if file exists
-      if (!fs.existsSync(fullPath)) {
-        return res.status(HTTP_STATUS.NOT_FOUND).json(
-          ApiResponse.error('Resume file not found', HTTP_STATUS.NOT_FOUND)
-        );
-      }
+    // Get personal info from the PersonalInfo collection
+    const personalInfo = await PersonalInfo.findOne({ isActive: true });
+
+    if (personalInfo?.resumeSource === 'generated') {
+      const { filePath, fileName } = await ResumeGenerator.getResume(personalInfo.userId, personalInfo.resumeTemplate);
 
-      // Get file stats
-      const stats = fs.statSync(fullPath);
-      const customFileName = 'jasil-meledath-resume.pdf';
-      
-      // Set headers for download
       res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `attachment; filename="${customFileName}"`);
-      res.setHeader('Content-Length', stats.size);
-      
-      // Create read stream and pipe to response
-      const fileStream = fs.createReadStream(fullPath);
-      fileStream.pipe(res);
-      
+      res.setHeader('Content-Disposition', `${disposition}; filename="${fileName}"`);
+      res.setHeader('Cache-Control', 'no-cache');
+      return res.sendFile(filePath);
+    }
+
+    if (!personalInfo || !personalInfo.resumeUrl) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        ApiResponse.error('Resume not found', HTTP_STATUS.NOT_FOUND)
+      );
+    }
+
+    let resumePath = personalInfo.resumeUrl;
+
+    // If it's a URL, extract the file path
+    if (resumePath.startsWith('http://') || resumePath.startsWith('https://')) {
+      // Extract the path from the URL (e.g., /uploads/resumes/filename.pdf)
+      const url = new URL(resumePath);
+      resumePath = url.pathname;
+    }
+
+    // Construct full file path from server root
+    const fullPath = path.join(__dirname, '../../', resumePath);
+
+    // Check if file exists
+    if (!fs.existsSync(fullPath)) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        ApiResponse.error('Resume file not found', HTTP_STATUS.NOT_FOUND)
+      );
+    }
+
+    // Get file stats
+    const stats = fs.statSync(fullPath);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${disposition}; filename="${ResumeGenerator.fileName(personalInfo.name)}"`);
+    res.setHeader('Content-Length', stats.size);
+
+    // Create read stream and pipe to response
+    const fileStream = fs.createReadStream(fullPath);
+    fileStream.pipe(res);
+  }
+
+  /**
+   * Download resume file
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async downloadResume(req, res, next) {
+    try {
+      await PortfolioController.sendResume(res, 'attachment');
     } catch (error) {
       next(error);
     }
@@ -721,51 +739,8 @@ class PortfolioController {
    * @param {Function} next - Express next middleware function
    */
   static async viewResume(req, res, next) {
-    const fs = require('fs');
-    const path = require('path');
-    
     try {
-      // Get personal info from the PersonalInfo collection
-      const personalInfo = await PersonalInfo.findOne({ isActive: true });
-      
-      if (!personalInfo || !personalInfo.resumeUrl) {
-        return res.status(HTTP_STATUS.NOT_FOUND).json(
-          ApiResponse.error('Resume not found', HTTP_STATUS.NOT_FOUND)
-        );
-      }
-
-      let resumePath = personalInfo.resumeUrl;
-      
-      // If it's a URL, extract the file path
-      if (resumePath.startsWith('http://') || resumePath.startsWith('https://')) {
-        // Extract the path from the URL (e.g., /uploads/resumes/filename.pdf)
-        const url = new URL(resumePath);
-        resumePath = url.pathname;
-      }
-      
-      // Construct full file path from server root
-      const fullPath = path.join(__dirname, '../../', resumePath);
-      
-      // Check if file exists
-      if (!fs.existsSync(fullPath)) {
-        return res.status(HTTP_STATUS.NOT_FOUND).json(
-          ApiResponse.error('Resume file not found', HTTP_STATUS.NOT_FOUND)
-        );
-      }
-
-      // Get file stats
-      const stats = fs.statSync(fullPath);
-      const customFileName = 'jasil-meledath-resume.pdf';
-      
-      // Set headers for inline viewing
-      res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `inline; filename="${customFileName}"`);
-      res.setHeader('Content-Length', stats.size);
-      
-      // Create read stream and pipe to response
-      const fileStream = fs.createReadStream(fullPath);
-      fileStream.pipe(res);
-      
+      await PortfolioController.sendResume(res, 'inline');
     } catch (error) {
       next(error);
     }
@@ -16,9 +16,21 @@ const User = require('../models/User');
 const Portfolio = require('../models/Portfolio');
 const ApiResponse = require('../utils/ApiResponse');
 const { HTTP_STATUS } = require('../constants/http-status');
-const { CustomError } = require('../errors/custom-errors');
+const { CustomError, ValidationError } = require('../errors/custom-errors');
+const ResumeGenerator = require('../services/resume-generator');
 const { getFileUrl, deleteOldFiles } = require('../middleware/upload-enhanced');
 const { deleteImage } = require('../config/cloudinary');
+const { supportsTransactions } = require('../config/database');
+
+/**
+ * Collections with a manual display order, by the URL segment used for them
+ */
+const SORTABLE_COLLECTIONS = {
+  'social-links': SocialLink,
+  skills: Skill,
+  projects: Project,
+  experience: Experience
+};
 
 /**
  * Portfolio Management Controller Class
@@ -314,7 +326,7 @@ class PortfolioManagementController {
         url,
         username,
         isActive: isActive !== undefined ? isActive : true,
-        order: order || 0
+        order: order ?? await PortfolioManagementController.nextOrder(SocialLink, userId)
       });
       
       await newSocialLink.save();
@@ -421,7 +433,7 @@ class PortfolioManagementController {
       const query = { userId };
       if (category) query.category = category;
       
-      const skills = await Skill.find(query).sort({ category: 1, order: 1 });
+      const skills = await Skill.find(query).sort({ order: 1, category: 1 });
       
       return res.status(HTTP_STATUS.SUCCESS).json(
         ApiResponse.success('Skills retrieved successfully', skills)
@@ -454,7 +466,7 @@ class PortfolioManagementController {
         category,
         yearsOfExperience,
         isActive: isActive !== undefined ? isActive : true,
-        order: order || 0
+        order: order ?? await PortfolioManagementController.nextOrder(Skill, userId)
       });
       
       await newSkill.save();
@@ -706,7 +718,7 @@ class PortfolioManagementController {
         myRole,
         challenges: challenges || [],
         learnings: learnings || [],
-        order: order || 0
+        order: order ? parseInt(order) : await PortfolioManagementController.nextOrder(Project, userId)
       });
       
       await newProject.save();
@@ -1048,7 +1060,7 @@ class PortfolioManagementController {
         companyLogo,
         technologies: parsedTechnologies,
         achievements: parsedAchievements,
-        order: parseInt(order) || 0
+        order: order ? parseInt(order) : await PortfolioManagementController.nextOrder(Experience, userId)
       });
       
       await newExperience.save();
@@ -1136,7 +1148,7 @@ class PortfolioManagementController {
         companyLogo,
         technologies: parsedTechnologies,
         achievements: parsedAchievements,
-        order: parseInt(order) || 0
+        order: order ? parseInt(order) : undefined
       };
       
       const updatedExperience = await Experience.findOneAndUpdate(
@@ -1193,57 +1205,156 @@ class PortfolioManagementController {
     }
   }
 
-  // ==================== RESUME MANAGEMENT ====================
+  // ==================== ORDERING ====================
 
   /**
-   * Download resume file
+   * Order value that puts a new item after the existing ones
+   * @private
+   * @param {mongoose.Model} Model - Sortable collection model
+   * @param {string} userId - Owner ID
+   * @returns {Promise<number>} Next order value
+   */
+  static async nextOrder(Model, userId) {
+    const last = await Model.findOne({ userId }, 'order').sort({ order: -1 }).lean();
+    return last ? (last.order || 0) + 1 : 0;
+  }
+
+  /**
+   * Check that `ids` lists exactly the owner's items, then write their order
+   * @private
+   * @param {mongoose.Model} Model - Sortable collection model
+   * @param {string} userId - Owner ID
+   * @param {Array<string>} ids - Item IDs, first to last
+   * @param {mongoose.ClientSession} [session] - Transaction session
+   * @returns {Promise<void>}
+   * @throws {ValidationError} When the list doesn't match the collection
+   */
+  static async writeOrder(Model, userId, ids, session = null) {
+    const current = await Model.find({ userId }, '_id').session(session).lean();
+    const currentIds = new Set(current.map(item => item._id.toString()));
+
+    if (ids.length !== currentIds.size || ids.some(id => !currentIds.has(id))) {
+      throw new ValidationError('Reordering must list exactly the items already in the collection');
+    }
+
+    await Model.bulkWrite(ids.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id, userId },
+        update: { $set: { order: index } }
+      }
+    })), { session, ordered: true });
+  }
+
+  /**
+   * Save a new display order for a collection. `ids` must list every item in
+   * the collection, first to last. On a replica set all orders are written in
+   * one transaction; a standalone server gets a single ordered bulk write.
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware function
    */
-  static async downloadResume(req, res, next) {
+  static async reorderCollection(req, res, next) {
+    const Model = SORTABLE_COLLECTIONS[req.params.collection];
+    if (!Model) {
+      return next(new CustomError('Unknown collection', HTTP_STATUS.NOT_FOUND));
+    }
+
+    const userId = req.user.id;
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string') || new Set(ids).size !== ids.length) {
+      return next(new ValidationError('ids must be a list of distinct item IDs'));
+    }
+
+    const session = supportsTransactions()
+      ? await mongoose.startSession()
+      : null;
+
     try {
-      const userId = req.user.id;
-      
-      
-      // Get personal info with resume URL
-      const personalInfo = await PersonalInfo.findOne({ userId });
-      if (!personalInfo || !personalInfo.resumeUrl) {
-        return next(new CustomError('Resume not found', HTTP_STATUS.NOT_FOUND));
-      }
-      
-      // Extract filename from URL
-      const resumeFileName = personalInfo.resumeUrl.split('/').pop();
-      const fs = require('fs');
-      const path = require('path');
-      
-      // Construct file path
-      const resumeFilePath = path.join(process.cwd(), 'uploads', 'resumes', resumeFileName);
-      
-      // Check if file exists
-      if (!fs.existsSync(resumeFilePath)) {
-        console.error(`[PortfolioController] Resume file not found at: ${resumeFilePath}`);
-        return next(new CustomError('Resume file not found on server', HTTP_STATUS.NOT_FOUND));
+      if (session) {
+        await session.withTransaction(() => PortfolioManagementController.writeOrder(Model, userId, ids, session));
+      } else {
+        await PortfolioManagementController.writeOrder(Model, userId, ids);
       }
-      
-      // Set appropriate headers for download
+
+      const response = ApiResponse.success({ ids }, 'Order saved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    } finally {
+      await session?.endSession();
+    }
+  }
+
+  // ==================== RESUME MANAGEMENT ====================
+
+  /**
+   * Stream the uploaded resume, or the generated one when `?source=generated`
+   * is passed. `?template=` picks the layout to preview and defaults to the
+   * saved choice.
+   * @private
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {string} disposition - 'attachment' or 'inline'
+   */
+  static async sendResume(req, res, disposition) {
+    const userId = req.user.id;
+    const personalInfo = await PersonalInfo.findOne({ userId });
+
+    if (req.query.source === 'generated') {
+      const template = req.query.template || personalInfo?.resumeTemplate || 'classic';
+      const { filePath, fileName } = await ResumeGenerator.getResume(userId, template);
+
       res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `attachment; filename="${resumeFileName}"`);
+      res.setHeader('Content-Disposition', `${disposition}; filename="${fileName}"`);
       res.setHeader('Cache-Control', 'no-cache');
-      
-      // Stream the file
-      const fileStream = fs.createReadStream(resumeFilePath);
-      fileStream.pipe(res);
-      
-      fileStream.on('error', (error) => {
-        console.error('[PortfolioController] File stream error:', error);
-        next(new CustomError('Error reading resume file', HTTP_STATUS.INTERNAL_SERVER_ERROR));
-      });
-      
-      
+      return res.sendFile(filePath);
+    }
+
+    if (!personalInfo || !personalInfo.resumeUrl) {
+      throw new CustomError('Resume not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    // Extract filename from URL
+    const resumeFileName = personalInfo.resumeUrl.split('/').pop();
+    const fs = require('fs');
+    const path = require('path');
+
+    // Construct file path
+    const resumeFilePath = path.join(process.cwd(), 'uploads', 'resumes', resumeFileName);
+
+    // Check if file exists
+    if (!fs.existsSync(resumeFilePath)) {
+      console.error(`[PortfolioController] Resume file not found at: ${resumeFilePath}`);
+      throw new CustomError('Resume file not found on server', HTTP_STATUS.NOT_FOUND);
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${disposition}; filename="${ResumeGenerator.fileName(personalInfo.name)}"`);
+    res.setHeader('Cache-Control', 'no-cache');
+
+    // Stream the file
+    const fileStream = fs.createReadStream(resumeFilePath);
+    fileStream.pipe(res);
+
+    fileStream.on('error', (error) => {
+      console.error('[PortfolioController] File stream error:', error);
+      res.destroy(error);
+    });
+  }
+
+  /**
+   * Download resume file
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async downloadResume(req, res, next) {
+    try {
+      await PortfolioManagementController.sendResume(req, res, 'attachment');
     } catch (error) {
       console.error('[PortfolioController] Download resume error:', error);
-      next(new CustomError('Failed to download resume', HTTP_STATUS.INTERNAL_SERVER_ERROR));
+      next(error instanceof CustomError ? error : new CustomError('Failed to download resume', HTTP_STATUS.INTERNAL_SERVER_ERROR));
     }
   }
 
@@ -1254,48 +1365,79 @@ class PortfolioManagementController {
    * @param {Function} next - Express next middleware function
    */
   static async viewResume(req, res, next) {
+    try {
+      await PortfolioManagementController.sendResume(req, res, 'inline');
+    } catch (error) {
+      console.error('[PortfolioController] View resume error:', error);
+      next(error instanceof CustomError ? error : new CustomError('Failed to view resume', HTTP_STATUS.INTERNAL_SERVER_ERROR));
+    }
+  }
+
+  /**
+   * Which resume the public download serves, and the available templates
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async getResumeSettings(req, res, next) {
+    try {
+      const personalInfo = await PersonalInfo.findOne({ userId: req.user.id }).lean();
+
+      const response = ApiResponse.success({
+        source: personalInfo?.resumeSource || 'upload',
+        template: personalInfo?.resumeTemplate || 'classic',
+        hasUpload: !!personalInfo?.resumeUrl,
+        hasPersonalInfo: !!personalInfo,
+        templates: ResumeGenerator.getTemplates()
+      }, 'Resume settings retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Choose between the uploaded and the generated resume for the public
+   * download, and the template to generate with. Switching to the generated
+   * resume renders it first so a broken profile is reported here rather than
+   * to visitors.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async updateResumeSettings(req, res, next) {
     try {
       const userId = req.user.id;
-      
-      
-      // Get personal info with resume URL
       const personalInfo = await PersonalInfo.findOne({ userId });
-      if (!personalInfo || !personalInfo.resumeUrl) {
-        return next(new CustomError('Resume not found', HTTP_STATUS.NOT_FOUND));
+
+      if (!personalInfo) {
+        throw new ValidationError('Add your personal info before choosing a resume');
       }
-      
-      // Extract filename from URL
-      const resumeFileName = personalInfo.resumeUrl.split('/').pop();
-      const fs = require('fs');
-      const path = require('path');
-      
-      // Construct file path
-      const resumeFilePath = path.join(process.cwd(), 'uploads', 'resumes', resumeFileName);
-      
-      // Check if file exists
-      if (!fs.existsSync(resumeFilePath)) {
-        console.error(`[PortfolioController] Resume file not found at: ${resumeFilePath}`);
-        return next(new CustomError('Resume file not found on server', HTTP_STATUS.NOT_FOUND));
+
+      const { source = personalInfo.resumeSource, template = personalInfo.resumeTemplate } = req.body;
+
+      if (!['upload', 'generated'].includes(source)) {
+        throw new ValidationError('Invalid source. Must be upload or generated');
       }
-      
-      // Set appropriate headers for inline viewing
-      res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `inline; filename="${resumeFileName}"`);
-      res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
-      
-      // Stream the file
-      const fileStream = fs.createReadStream(resumeFilePath);
-      fileStream.pipe(res);
-      
-      fileStream.on('error', (error) => {
-        console.error('[PortfolioController] File stream error:', error);
-        next(new CustomError('Error reading resume file', HTTP_STATUS.INTERNAL_SERVER_ERROR));
-      });
-      
-      
+
+      ResumeGenerator.assertTemplate(template);
+
+      if (source === 'upload' && !personalInfo.resumeUrl) {
+        throw new ValidationError('Upload a resume in Personal Info before serving it');
+      }
+
+      if (source === 'generated') {
+        await ResumeGenerator.getResume(userId, template);
+      }
+
+      personalInfo.resumeSource = source;
+      personalInfo.resumeTemplate = template;
+      await personalInfo.save();
+
+      const response = ApiResponse.success({ source, template }, 'Resume settings updated successfully');
+      res.status(response.statusCode).json(response);
     } catch (error) {
-      console.error('[PortfolioController] View resume error:', error);
-      next(new CustomError('Failed to view resume', HTTP_STATUS.INTERNAL_SERVER_ERROR));
+      next(error);
     }
   }
 }
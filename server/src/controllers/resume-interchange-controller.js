@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Resume Interchange Controller - JSON Resume and LinkedIn import, JSON Resume export
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const ResumeInterchange = require('../services/resume-interchange');
+const ResumeGenerator = require('../services/resume-generator');
+const ApiResponse = require('../utils/ApiResponse');
+const { ValidationError } = require('../errors/custom-errors');
+
+/**
+ * Resume Interchange Controller Class
+ * @class ResumeInterchangeController
+ */
+class ResumeInterchangeController {
+  /**
+   * Parse an uploaded JSON Resume file or LinkedIn export and list what it
+   * would add or change, for review. Nothing is written.
+   * @route POST /api/v1/portfolio-management/resume/import/preview
+   * @access Private (admin)
+   */
+  static async previewImport(req, res, next) {
+    try {
+      if (!req.file) {
+        throw new ValidationError('File is required');
+      }
+
+      const parsed = ResumeInterchange.parseUpload(req.file.buffer);
+      const preview = await ResumeInterchange.preview(parsed, req.user.id);
+
+      const response = ApiResponse.success(preview, `Found ${preview.items.length} items to review`);
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Import the items accepted on the review screen
+   * @route POST /api/v1/portfolio-management/resume/import
+   * @access Private (admin)
+   */
+  static async importItems(req, res, next) {
+    try {
+      const summary = await ResumeInterchange.apply(req.body.items, req.user.id);
+
+      const response = ApiResponse.success({ summary }, 'Resume data imported successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download the portfolio as a JSON Resume document
+   * @route GET /api/v1/portfolio-management/resume/export/json-resume
+   * @access Private (admin)
+   */
+  static async exportJsonResume(req, res, next) {
+    try {
+      const resume = await ResumeInterchange.toJsonResume(req.user.id);
+
+      res.setHeader('Content-Disposition', `attachment; filename="${ResumeGenerator.fileName(resume.basics.name, 'json')}"`);
+      res.setHeader('Cache-Control', 'no-store');
+      res.type('json').send(JSON.stringify(resume, null, 2));
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = ResumeInterchangeController;
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Series Controller - Multi-part blog series
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+const Series = require('../models/Series');
+const ApiResponse = require('../utils/ApiResponse');
+const { ValidationError, NotFoundError } = require('../errors/custom-errors');
+
+/**
+ * Series Controller Class
+ * @class SeriesController
+ */
+class SeriesController {
+  /**
+   * Load a series by ID for an admin action
+   * @private
+   * @param {string} id - Series ID
+   * @returns {Promise<Series>} Series document
+   */
+  static async findSeries(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ValidationError('Invalid series ID format');
+    }
+
+    const series = await Series.findById(id);
+
+    if (!series) {
+      throw new NotFoundError('Series not found');
+    }
+
+    return series;
+  }
+
+  /**
+   * Map save errors onto API errors
+   * @private
+   * @param {Error} error - Error from save
+   * @returns {Error} Error to pass on
+   */
+  static toApiError(error) {
+    if (error.name === 'ValidationError') {
+      return new ValidationError(error.message);
+    }
+    if (error.code === 11000) {
+      return new ValidationError('Series with this slug already exists');
+    }
+    return error;
+  }
+
+  /**
+   * Series landing page data with its published posts in order
+   * @route GET /api/v1/series/public/:slug
+   * @access Public
+   */
+  static async getPublicSeries(req, res, next) {
+    try {
+      const series = await Series.findOne({ slug: req.params.slug.toLowerCase() })
+        .populate('author', 'firstName lastName')
+        .lean();
+
+      const posts = series ? await Series.getPublishedPosts(series) : [];
+
+      // A series with nothing live yet is not public
+      if (posts.length === 0) {
+        throw new NotFoundError('Series not found');
+      }
+
+      const { posts: postIds, ...seriesData } = series;
+
+      const response = ApiResponse.success({ ...seriesData, posts }, 'Series retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * All series with every post (any status) for the editor
+   * @route GET /api/v1/series
+   * @access Private (blog:write)
+   */
+  static async getAllSeries(req, res, next) {
+    try {
+      const series = await Series.find()
+        .sort({ updatedAt: -1 })
+        .populate('posts', 'title slug status')
+        .lean();
+
+      const response = ApiResponse.success(series, 'Series retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a series; the slug defaults to one built from the title
+   * @route POST /api/v1/series
+   * @access Private (blog:write)
+   */
+  static async createSeries(req, res, next) {
+    try {
+      const { title = '', slug, description } = req.body;
+
+      const series = new Series({
+        title,
+        slug: slug || slugify(title, { lower: true, strict: true }),
+        description,
+        author: req.user._id
+      });
+      await series.save();
+
+      const response = ApiResponse.created(series, 'Series created successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(SeriesController.toApiError(error));
+    }
+  }
+
+  /**
+   * Update a series' details and/or the order of its posts. `posts` must list
+   * the series' current posts; use the blog editor to add or remove one.
+   * @route PUT /api/v1/series/:id
+   * @access Private (blog:write)
+   */
+  static async updateSeries(req, res, next) {
+    try {
+      const series = await SeriesController.findSeries(req.params.id);
+      const { title, slug, description, posts } = req.body;
+
+      if (posts !== undefined) {
+        const current = series.posts.map(id => id.toString()).sort();
+        const requested = Array.isArray(posts) ? posts.map(String) : [];
+
+        if (requested.length !== current.length || [...requested].sort().some((id, index) => id !== current[index])) {
+          throw new ValidationError('Reordering must list exactly the posts already in the series');
+        }
+
+        series.posts = requested;
+      }
+
+      if (title !== undefined) series.title = title;
+      if (slug !== undefined) series.slug = slug;
+      if (description !== undefined) series.description = description;
+
+      await series.save();
+      await series.populate('posts', 'title slug status');
+
+      const response = ApiResponse.success(series, 'Series updated successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(SeriesController.toApiError(error));
+    }
+  }
+
+  /**
+   * Delete a series; its posts stay published as standalone posts
+   * @route DELETE /api/v1/series/:id
+   * @access Private (blog:delete)
+   */
+  static async deleteSeries(req, res, next) {
+    try {
+      const series = await SeriesController.findSeries(req.params.id);
+      await series.deleteOne();
+
+      const response = ApiResponse.success({ deletedSeries: { id: series._id, title: series.title } }, 'Series deleted successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = SeriesController;
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Sitemap Controller - sitemap.xml endpoints for search engines
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const Sitemap = require('../services/sitemap');
+
+const SITEMAP_CACHE_CONTROL = 'public, max-age=3600';
+
+/**
+ * Sitemap Controller Class
+ * @class SitemapController
+ */
+class SitemapController {
+  /**
+   * Send a sitemap document
+   * @private
+   * @param {Object} res - Express response object
+   * @param {string} xml - Sitemap XML
+   */
+  static sendXml(res, xml) {
+    res.set('Cache-Control', SITEMAP_CACHE_CONTROL);
+    res.type('application/xml; charset=utf-8').send(xml);
+  }
+
+  /**
+   * Root sitemap, or the sitemap index once the site outgrows one file
+   * @route GET /api/v1/sitemaps/sitemap.xml
+   * @access Public
+   */
+  static async getSitemap(req, res, next) {
+    try {
+      SitemapController.sendXml(res, await Sitemap.buildRoot());
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Static, category and tag pages (only linked from the index)
+   * @route GET /api/v1/sitemaps/pages.xml
+   * @access Public
+   */
+  static async getPagesSitemap(req, res, next) {
+    try {
+      SitemapController.sendXml(res, await Sitemap.buildPages());
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * One chunk of blog posts (only linked from the index)
+   * @route GET /api/v1/sitemaps/blog-:page.xml
+   * @access Public
+   */
+  static async getBlogSitemap(req, res, next) {
+    try {
+      SitemapController.sendXml(res, await Sitemap.buildBlogChunk(Number(req.params.page)));
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = SitemapController;
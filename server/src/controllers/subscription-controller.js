@@ -6,6 +6,8 @@
  */
 
 const Subscriber = require('../models/Subscriber');
+const NewsletterSend = require('../models/NewsletterSend');
+const Campaign = require('../models/Campaign');
 const EmailService = require('../services/email-service');
 const { HTTP_STATUS } = require('../constants/http-status');
 const { 
@@ -20,6 +22,10 @@ const {
   ConflictError 
 } = require('../errors/custom-errors');
 const crypto = require('crypto');
+const { verifyTrackingToken, verifyRedirect } = require('../utils/email-tracking');
+
+// 1x1 transparent GIF served by the open-tracking pixel
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
 
 /**
  * Subscription Controller Class
@@ -290,7 +296,7 @@ class SubscriptionController {
       const stats = await Subscriber.getStats();
       
       // Get additional analytics
-      const [recentSubscriptions, topSources] = await Promise.all([
+      const [recentSubscriptions, topSources, newsletters] = await Promise.all([
         Subscriber.aggregate([
           {
             $match: {
@@ -313,13 +319,28 @@ class SubscriptionController {
             }
           },
           { $sort: { count: -1 } }
-        ])
+        ]),
+        NewsletterSend.getRecentPerformance(10)
       ]);
 
+      const totals = newsletters.reduce((acc, send) => ({
+        sent: acc.sent + send.sentCount,
+        uniqueOpens: acc.uniqueOpens + send.uniqueOpens,
+        uniqueClicks: acc.uniqueClicks + send.uniqueClicks
+      }), { sent: 0, uniqueOpens: 0, uniqueClicks: 0 });
+
+      const engagement = {
+        ...totals,
+        openRate: totals.sent ? (totals.uniqueOpens / totals.sent) * 100 : 0,
+        clickRate: totals.sent ? (totals.uniqueClicks / totals.sent) * 100 : 0
+      };
+
       const response = ApiResponse.success({
         stats,
         recentSubscriptions,
         topSources,
+        newsletters,
+        engagement,
         generatedAt: new Date()
       }, 'Subscription statistics retrieved');
 
@@ -330,7 +351,7 @@ class SubscriptionController {
   }
 
   /**
-   * Send newsletter to all active subscribers (Admin only)
+   * Queue a newsletter campaign for all matching subscribers (Admin only)
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware
@@ -355,23 +376,32 @@ class SubscriptionController {
         throw new ValidationError('Only published blogs can be sent as newsletter');
       }
 
-      let recipients;
       if (testEmail) {
-        // Send test email
-        recipients = [{ email: testEmail, firstName: 'Test User', unsubscribeToken: 'test' }];
-      } else {
-        // Get active subscribers
-        const filters = {};
-        if (blog.categories && blog.categories.length > 0) {
-          filters.$or = [
-            { 'preferences.categories': { $size: 0 } }, // Users with no category preferences (get all)
-            { 'preferences.categories': { $in: blog.categories } } // Users interested in blog categories
-          ];
-        }
+        // Test sends go out immediately and are not tracked, so they never skew open/click rates
+        const emailServiceInstance = new EmailService();
+        await emailServiceInstance.sendSingleBlogNotification(
+          { email: testEmail, firstName: 'Test User', unsubscribeToken: 'test' },
+          blog
+        );
+
+        const response = ApiResponse.success({
+          message: 'Test email sent successfully',
+          blogTitle: blog.title
+        }, 'Test email sent');
+        return res.status(response.statusCode).json(response);
+      }
 
-        recipients = await Subscriber.findActiveSubscribers(filters);
+      // Digest subscribers get the post in their next daily/weekly email instead
+      const filters = {};
+      if (blog.categories && blog.categories.length > 0) {
+        filters.$or = [
+          { 'preferences.categories': { $size: 0 } }, // Users with no category preferences (get all)
+          { 'preferences.categories': { $in: blog.categories } } // Users interested in blog categories
+        ];
       }
 
+      const recipients = await Subscriber.findImmediateSubscribers(filters).select('_id email');
+
       if (recipients.length === 0) {
         const response = ApiResponse.success(
           { message: 'No active subscribers found' },
@@ -380,43 +410,33 @@ class SubscriptionController {
         return res.status(response.statusCode).json(response);
       }
 
-      // Send emails in batches to avoid overwhelming the email service
-      const batchSize = 10;
-      let sentCount = 0;
-      let errorCount = 0;
-
-      for (let i = 0; i < recipients.length; i += batchSize) {
-        const batch = recipients.slice(i, i + batchSize);
-        const emailPromises = batch.map(async (subscriber) => {
-          try {
-            const emailServiceInstance = new EmailService();
-            await emailServiceInstance.sendBlogNotification(subscriber, blog);
-            if (!testEmail) {
-              subscriber.recordEmailSent();
-              await subscriber.save();
-            }
-            sentCount++;
-          } catch (error) {
-            console.error(`Failed to send email to subscriber:`, error?.message || 'Unknown error');
-            errorCount++;
-          }
-        });
+      const subject = `📚 New Post: ${blog.title}`;
+      const send = await NewsletterSend.create({
+        kind: 'newsletter',
+        blog: blog._id,
+        subject,
+        recipientCount: recipients.length
+      });
 
-        await Promise.all(emailPromises);
-        
-        // Small delay between batches
-        if (i + batchSize < recipients.length) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-      }
+      // Delivery happens in the background campaign worker
+      const campaign = await Campaign.create({
+        blog: blog._id,
+        subject,
+        send: send._id,
+        createdBy: req.user?._id || null,
+        totalRecipients: recipients.length,
+        recipients: recipients.map(subscriber => ({
+          subscriber: subscriber._id,
+          email: subscriber.email
+        }))
+      });
 
       const response = ApiResponse.success({
-        message: testEmail ? 'Test email sent successfully' : 'Newsletter sent successfully',
+        message: 'Newsletter queued for delivery',
+        campaignId: campaign._id,
         totalRecipients: recipients.length,
-        sentCount,
-        errorCount,
         blogTitle: blog.title
-      }, 'Newsletter delivery completed');
+      }, 'Newsletter campaign queued', HTTP_STATUS.ACCEPTED);
 
       res.status(response.statusCode).json(response);
     } catch (error) {
@@ -424,6 +444,81 @@ class SubscriptionController {
     }
   }
 
+  /**
+   * Record an email open and serve the tracking pixel (Public endpoint)
+   * Always answers with the pixel so a bad token never shows a broken image.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async trackOpen(req, res) {
+    const tracking = verifyTrackingToken(req.params.token);
+
+    if (tracking) {
+      try {
+        const firstOpen = await NewsletterSend.registerOpen(tracking.sendId, tracking.subscriberId);
+        if (firstOpen) {
+          const subscriber = await Subscriber.findById(tracking.subscriberId);
+          if (subscriber) {
+            subscriber.recordEmailOpened();
+            await subscriber.save();
+          }
+        }
+      } catch (error) {
+        console.error('Failed to record email open:', error?.message || 'Unknown error');
+      }
+    }
+
+    res.set({
+      'Content-Type': 'image/gif',
+      'Content-Length': TRACKING_PIXEL.length,
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+      'Pragma': 'no-cache'
+    });
+    res.status(HTTP_STATUS.SUCCESS).end(TRACKING_PIXEL);
+  }
+
+  /**
+   * Record an email link click and redirect to the original URL (Public endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async trackClick(req, res) {
+    const { token } = req.params;
+    const { url, sig } = req.query;
+    const fallbackUrl = process.env.FRONTEND_URL || 'https://jasilmeledath.dev';
+
+    // Only redirect to URLs we signed when the email was generated
+    if (!url || !verifyRedirect(token, url, sig)) {
+      return res.redirect(302, fallbackUrl);
+    }
+
+    const tracking = verifyTrackingToken(token);
+
+    if (tracking) {
+      try {
+        const [firstClick, firstOpen] = await Promise.all([
+          NewsletterSend.registerClick(tracking.sendId, tracking.subscriberId),
+          // A click proves the email was opened even if images were blocked
+          NewsletterSend.registerImpliedOpen(tracking.sendId, tracking.subscriberId)
+        ]);
+
+        if (firstClick || firstOpen) {
+          const subscriber = await Subscriber.findById(tracking.subscriberId);
+          if (subscriber) {
+            if (firstOpen) subscriber.recordEmailOpened();
+            if (firstClick) subscriber.recordEmailClicked();
+            await subscriber.save();
+          }
+        }
+      } catch (error) {
+        console.error('Failed to record email click:', error?.message || 'Unknown error');
+      }
+    }
+
+    res.redirect(302, url);
+  }
+
   /**
    * Update subscriber preferences (Public endpoint with token)
    * @param {Object} req - Express request object
@@ -0,0 +1,355 @@
+/**
+ * @fileoverview Users Controller - Admin panel user management
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const EmailService = require('../services/email-service');
+const ApiResponse = require('../utils/ApiResponse');
+const {
+  ValidationError,
+  NotFoundError,
+  BusinessLogicError
+} = require('../errors/custom-errors');
+
+const USER_ROLES = ['admin', 'editor', 'viewer'];
+const INVITATION_TTL_MS = 72 * 60 * 60 * 1000;
+
+/**
+ * Users Controller Class
+ * @class UsersController
+ */
+class UsersController {
+  /**
+   * Shape a user document for API responses
+   * @private
+   * @param {Object} user - User document
+   * @returns {Object} Serialized user with lock and invitation state
+   */
+  static formatUser(user) {
+    return {
+      ...user.toJSON(),
+      isLocked: user.isLocked,
+      invitationPending: !user.lastLogin && !!user.passwordResetToken
+    };
+  }
+
+  /**
+   * Validate a permissions array against the User schema enum
+   * @private
+   * @param {*} permissions - Permissions from the request body
+   * @returns {Array<string>} Deduplicated permissions
+   */
+  static validatePermissions(permissions) {
+    if (!Array.isArray(permissions)) {
+      throw new ValidationError('Permissions must be an array', [], 'INVALID_PERMISSIONS');
+    }
+
+    const available = User.getAvailablePermissions();
+    const invalid = permissions.filter(permission => !available.includes(permission));
+
+    if (invalid.length > 0) {
+      throw new ValidationError(
+        `Unknown permissions: ${invalid.join(', ')}`,
+        invalid.map(permission => ({ field: 'permissions', value: permission })),
+        'INVALID_PERMISSIONS'
+      );
+    }
+
+    return [...new Set(permissions)];
+  }
+
+  /**
+   * Check whether the target user is the one making the request
+   * @private
+   */
+  static isSelf(req, user) {
+    return String(req.user._id || req.user.id) === String(user._id);
+  }
+
+  /**
+   * Get roles and permissions that can be assigned
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async getRoles(req, res, next) {
+    try {
+      const roles = USER_ROLES.map(role => ({
+        role,
+        defaultPermissions: User.getDefaultPermissions(role)
+      }));
+
+      const response = ApiResponse.success({
+        roles,
+        permissions: User.getAvailablePermissions()
+      }, 'Roles retrieved successfully');
+
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get all users with filtering and pagination
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async getUsers(req, res, next) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        role,
+        status,
+        search
+      } = req.query;
+
+      const query = {};
+
+      if (role) query.role = role;
+      if (status === 'active') query.isActive = true;
+      if (status === 'inactive') query.isActive = false;
+      if (status === 'locked') query.lockUntil = { $gt: new Date() };
+      if (typeof search === 'string' && search) {
+        const pattern = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+        query.$or = [
+          { email: pattern },
+          { firstName: pattern },
+          { lastName: pattern }
+        ];
+      }
+
+      const users = await User.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit));
+
+      const totalUsers = await User.countDocuments(query);
+      const totalPages = Math.ceil(totalUsers / limit);
+
+      const response = ApiResponse.success({
+        users: users.map(user => UsersController.formatUser(user)),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalUsers,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }, 'Users retrieved successfully');
+
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a single user by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async getUserById(req, res, next) {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        throw new NotFoundError('User not found', 'User');
+      }
+
+      const response = ApiResponse.success(
+        UsersController.formatUser(user),
+        'User retrieved successfully'
+      );
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Invite a new user. The account is created with an unusable random
+   * password and the invitee picks their own through the reset link.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async inviteUser(req, res, next) {
+    try {
+      const { email, firstName, lastName, role = 'editor', permissions } = req.body;
+
+      if (!email || !firstName || !lastName) {
+        throw new ValidationError('Email, first name and last name are required', [], 'MISSING_FIELDS');
+      }
+
+      if (!USER_ROLES.includes(role)) {
+        throw new ValidationError(`Role must be one of: ${USER_ROLES.join(', ')}`, [], 'INVALID_ROLE');
+      }
+
+      const existingUser = await User.findByEmail(email);
+      if (existingUser) {
+        throw new BusinessLogicError('A user with this email already exists', 'UNIQUE_EMAIL', 'USER_EXISTS');
+      }
+
+      const user = new User({
+        email,
+        firstName,
+        lastName,
+        role,
+        password: crypto.randomBytes(32).toString('hex'),
+        permissions: permissions !== undefined
+          ? UsersController.validatePermissions(permissions)
+          : User.getDefaultPermissions(role)
+      });
+
+      const inviteToken = user.generatePasswordResetToken(INVITATION_TTL_MS);
+      await user.save();
+
+      let invitationSent = true;
+      try {
+        const emailServiceInstance = new EmailService();
+        await emailServiceInstance.sendUserInvitationEmail(user, inviteToken, req.user);
+      } catch (emailError) {
+        console.error('Failed to send user invitation email:', emailError);
+        invitationSent = false;
+      }
+
+      const response = ApiResponse.created(
+        { user: UsersController.formatUser(user), invitationSent },
+        invitationSent
+          ? 'User invited successfully'
+          : 'User created, but the invitation email could not be sent'
+      );
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Send a fresh invitation link to a user who has not signed in yet
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async resendInvitation(req, res, next) {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        throw new NotFoundError('User not found', 'User');
+      }
+
+      if (user.lastLogin) {
+        throw new BusinessLogicError('User has already activated their account', 'INVITATION_PENDING', 'ALREADY_ACTIVATED');
+      }
+
+      const inviteToken = user.generatePasswordResetToken(INVITATION_TTL_MS);
+      await user.save({ validateBeforeSave: false });
+
+      const emailServiceInstance = new EmailService();
+      await emailServiceInstance.sendUserInvitationEmail(user, inviteToken, req.user);
+
+      const response = ApiResponse.success(
+        UsersController.formatUser(user),
+        'Invitation sent successfully'
+      );
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a user's profile, role, permissions or active state
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async updateUser(req, res, next) {
+    try {
+      const { firstName, lastName, role, permissions, isActive } = req.body;
+
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        throw new NotFoundError('User not found', 'User');
+      }
+
+      if (role !== undefined && !USER_ROLES.includes(role)) {
+        throw new ValidationError(`Role must be one of: ${USER_ROLES.join(', ')}`, [], 'INVALID_ROLE');
+      }
+
+      let nextPermissions = user.permissions;
+      if (permissions !== undefined) {
+        nextPermissions = UsersController.validatePermissions(permissions);
+      } else if (role !== undefined && role !== user.role) {
+        nextPermissions = User.getDefaultPermissions(role);
+      }
+
+      // Stop administrators from locking themselves out of this screen
+      if (UsersController.isSelf(req, user)) {
+        if (isActive === false) {
+          throw new BusinessLogicError('You cannot deactivate your own account', 'SELF_MANAGEMENT', 'SELF_DEACTIVATION');
+        }
+        if (!nextPermissions.includes('users:manage')) {
+          throw new BusinessLogicError('You cannot remove your own users:manage permission', 'SELF_MANAGEMENT', 'SELF_PERMISSION_REMOVAL');
+        }
+      }
+
+      if (firstName !== undefined) user.firstName = firstName;
+      if (lastName !== undefined) user.lastName = lastName;
+      if (role !== undefined) user.role = role;
+      if (isActive !== undefined) user.isActive = Boolean(isActive);
+      user.permissions = nextPermissions;
+
+      await user.save();
+
+      const response = ApiResponse.success(
+        UsersController.formatUser(user),
+        'User updated successfully'
+      );
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Unlock an account locked by repeated failed login attempts
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware
+   */
+  static async unlockUser(req, res, next) {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        throw new NotFoundError('User not found', 'User');
+      }
+
+      user.loginAttempts = 0;
+      user.lockUntil = null;
+      await user.save({ validateBeforeSave: false });
+
+      const response = ApiResponse.success(
+        UsersController.formatUser(user),
+        'User account unlocked successfully'
+      );
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = UsersController;
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Comment Rate Limit - Shared limiter for public comment submissions
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const rateLimit = require('express-rate-limit');
+
+/**
+ * Rate limiting for public comment submissions. Both comment endpoints use
+ * this one instance so they draw from the same per-IP budget.
+ * @constant {Object} commentRateLimit
+ */
+const commentRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // Limit each IP to 10 comments per hour
+  message: {
+    status: 'error',
+    message: 'Too many comments posted, please try again later.',
+    error: {
+      code: 'COMMENT_RATE_LIMIT_EXCEEDED',
+      details: 'Maximum 10 comments allowed per hour.'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => process.env.NODE_ENV === 'development'
+});
+
+module.exports = commentRateLimit;
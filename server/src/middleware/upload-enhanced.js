@@ -10,6 +10,7 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { uploadAvatarImage, uploadProjectImage, uploadCompanyLogo, cleanupLocalFiles } = require('../config/cloudinary');
+const MediaLibrary = require('../services/media-library');
 
 // Create uploads directory if it doesn't exist
 const uploadsDir = path.join(__dirname, '../../uploads');
@@ -68,6 +69,10 @@ const uploadConfigs = {
   
   experience: upload.fields([
     { name: 'companyLogo', maxCount: 1 }
+  ]),
+
+  media: upload.fields([
+    { name: 'image', maxCount: 1 }
   ])
 };
 
@@ -92,6 +97,13 @@ const processUploads = async (req, res, next) => {
 
     const filesToCleanup = [];
 
+    // Record each upload in the media library so it can be browsed and reconciled
+    const register = (upload, kind) => MediaLibrary.register(upload, {
+      storage: 'cloudinary',
+      kind,
+      uploadedBy: req.user?._id
+    });
+
     // Process avatar upload
     if (req.files.avatar && req.files.avatar[0]) {
       const avatarFile = req.files.avatar[0];
@@ -108,6 +120,7 @@ const processUploads = async (req, res, next) => {
         originalName: avatarFile.originalname
       };
       
+      await register(uploadResults.avatar, 'avatar');
       console.log('✅ Avatar uploaded successfully:', result.optimizedUrl);
     }
 
@@ -129,6 +142,7 @@ const processUploads = async (req, res, next) => {
           originalName: imageFile.originalname
         });
         
+        await register(uploadResults.projectImages[uploadResults.projectImages.length - 1], 'project');
         console.log('✅ Project image uploaded:', result.optimizedUrl);
       }
     }
@@ -149,6 +163,7 @@ const processUploads = async (req, res, next) => {
         originalName: thumbnailFile.originalname
       };
       
+      await register(uploadResults.thumbnailImage, 'project');
       console.log('✅ Thumbnail uploaded successfully:', result.optimizedUrl);
     }
 
@@ -168,6 +183,7 @@ const processUploads = async (req, res, next) => {
         originalName: logoFile.originalname
       };
       
+      await register(uploadResults.companyLogo, 'company-logo');
       console.log('✅ Company logo uploaded successfully:', result.optimizedUrl);
     }
 
@@ -7,6 +7,7 @@
  */
 
 const mongoose = require('mongoose');
+const Category = require('./Category');
 
 /**
  * Blog Schema Definition
@@ -70,29 +71,22 @@ const blogSchema = new mongoose.Schema({
 
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: ['draft', 'scheduled', 'published', 'archived'],
     default: 'draft'
   },
 
-  categories: [{
-    type: String,
-    trim: true,
-    lowercase: true,
-    enum: [
-      'technology',
-      'web-development',
-      'javascript',
-      'react',
-      'nextjs',
-      'nodejs',
-      'mongodb',
-      'tutorial',
-      'tips',
-      'career',
-      'personal',
-      'general'
-    ]
-  }],
+  // Slugs from the categories collection
+  categories: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    validate: {
+      validator: (slugs) => Category.allExist(slugs),
+      message: 'Unknown blog category'
+    }
+  },
 
   tags: [{
     type: String,
@@ -121,68 +115,6 @@ const blogSchema = new mongoose.Schema({
     default: 0
   },
 
-  comments: [{
-    author: {
-      name: {
-        type: String,
-        required: true,
-        trim: true,
-        maxlength: [100, 'Name cannot exceed 100 characters']
-      },
-      email: {
-        type: String,
-        required: true,
-        lowercase: true,
-        trim: true,
-        match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email']
-      },
-      website: {
-        type: String,
-        default: '',
-        trim: true
-      }
-    },
-    content: {
-      type: String,
-      required: true,
-      trim: true,
-      maxlength: [1000, 'Comment cannot exceed 1000 characters'],
-      minlength: [5, 'Comment must be at least 5 characters']
-    },
-    status: {
-      type: String,
-      enum: ['pending', 'approved', 'rejected'],
-      default: 'pending'
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    },
-    parentComment: {
-      type: mongoose.Schema.Types.ObjectId,
-      default: null
-    },
-    likes: {
-      type: Number,
-      default: 0
-    },
-    moderatedBy: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      default: null
-    },
-    moderatedAt: {
-      type: Date,
-      default: null
-    },
-    moderatorNote: {
-      type: String,
-      default: '',
-      trim: true,
-      maxlength: [500, 'Moderator note cannot exceed 500 characters']
-    }
-  }],
-
   seo: {
     metaTitle: {
       type: String,
@@ -229,7 +161,14 @@ blogSchema.index({ author: 1 });
 blogSchema.index({ categories: 1 });
 blogSchema.index({ tags: 1 });
 blogSchema.index({ featured: 1, publishedAt: -1 });
-blogSchema.index({ title: 'text', content: 'text', excerpt: 'text' });
+// Full-text search; weights rank title and taxonomy matches above body text
+blogSchema.index(
+  { title: 'text', tags: 'text', categories: 'text', excerpt: 'text', content: 'text' },
+  {
+    name: 'blog_search_text',
+    weights: { title: 10, tags: 6, categories: 6, excerpt: 4, content: 1 }
+  }
+);
 
 /**
  * Virtual for full author name
@@ -239,17 +178,30 @@ blogSchema.virtual('fullTitle').get(function() {
 });
 
 /**
- * Virtual for comment count
+ * Virtual for approved comment count (populate with `.populate('commentCount')`)
  */
-blogSchema.virtual('commentCount').get(function() {
-  return this.comments ? this.comments.filter(comment => comment.status === 'approved').length : 0;
+blogSchema.virtual('commentCount', {
+  ref: 'Comment',
+  localField: '_id',
+  foreignField: 'blog',
+  count: true,
+  match: { status: 'approved' }
 });
 
 /**
- * Virtual for approved comments only
+ * Pre-validate middleware
  */
-blogSchema.virtual('approvedComments').get(function() {
-  return this.comments ? this.comments.filter(comment => comment.status === 'approved') : [];
+blogSchema.pre('validate', function(next) {
+  // A scheduled post is only meaningful with a publish time still ahead of us
+  if (this.status === 'scheduled' && (this.isModified('status') || this.isModified('publishedAt'))) {
+    if (!this.publishedAt) {
+      this.invalidate('publishedAt', 'Scheduled posts need a publish date');
+    } else if (this.publishedAt <= new Date()) {
+      this.invalidate('publishedAt', 'Scheduled publish date must be in the future');
+    }
+  }
+
+  next();
 });
 
 /**
@@ -273,8 +225,8 @@ blogSchema.pre('save', function(next) {
     this.readTime = Math.ceil(wordCount / wordsPerMinute);
   }
 
-  // Set published date when status changes to published
-  if (this.isModified('status') && this.status === 'published' && !this.publishedAt) {
+  // Set published date when status changes to published (publishing a scheduled post early moves it to now)
+  if (this.isModified('status') && this.status === 'published' && (!this.publishedAt || this.publishedAt > new Date())) {
     this.publishedAt = new Date();
   }
 
@@ -338,15 +290,20 @@ blogSchema.statics.findBySlug = function(slug) {
 };
 
 /**
- * Get popular blogs based on views
+ * Get popular blogs based on views, or on likes when `sortBy` is 'likes'
  * @param {Number} limit - Number of blogs to return
+ * @param {String} sortBy - 'views' or 'likes'
  * @returns {Promise} Popular blogs
  */
-blogSchema.statics.getPopular = function(limit = 5) {
+blogSchema.statics.getPopular = function(limit = 5, sortBy = 'views') {
+  const sort = sortBy === 'likes'
+    ? { likes: -1, views: -1, publishedAt: -1 }
+    : { views: -1, publishedAt: -1 };
+
   return this.find({ status: 'published' })
-    .sort({ views: -1, publishedAt: -1 })
+    .sort(sort)
     .limit(limit)
-    .select('title slug excerpt featuredImage views publishedAt readTime')
+    .select('title slug excerpt featuredImage views likes publishedAt readTime')
     .lean();
 };
 
@@ -387,6 +344,18 @@ blogSchema.statics.getRelated = function(blogId, categories = [], tags = [], lim
     .lean();
 };
 
+/**
+ * Atomically publish the next scheduled blog whose publish time has passed
+ * @returns {Promise} Published blog with author, or null when none are due
+ */
+blogSchema.statics.publishNextDue = function() {
+  return this.findOneAndUpdate(
+    { status: 'scheduled', publishedAt: { $lte: new Date() } },
+    { $set: { status: 'published' } },
+    { new: true, sort: { publishedAt: 1 } }
+  ).populate('author', 'firstName lastName email');
+};
+
 /**
  * Instance methods
  */
@@ -400,31 +369,6 @@ blogSchema.methods.incrementViews = function() {
   return this.save();
 };
 
-/**
- * Add comment to blog
- * @param {Object} commentData - Comment data
- * @returns {Promise} Updated blog
- */
-blogSchema.methods.addComment = function(commentData) {
-  this.comments.push(commentData);
-  return this.save();
-};
-
-/**
- * Update comment status
- * @param {String} commentId - Comment ID
- * @param {String} status - New status
- * @returns {Promise} Updated blog
- */
-blogSchema.methods.updateCommentStatus = function(commentId, status) {
-  const comment = this.comments.id(commentId);
-  if (comment) {
-    comment.status = status;
-    return this.save();
-  }
-  throw new Error('Comment not found');
-};
-
 /**
  * Create the model
  */
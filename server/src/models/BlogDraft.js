@@ -0,0 +1,89 @@
+/**
+ * @fileoverview BlogDraft Model - Autosaved editor state kept apart from the live blog post
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+// Autosaves nobody came back for are dropped after this long
+const DRAFT_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * BlogDraft Schema Definition
+ * @description One autosave slot per user and post. `blog` is null for a post
+ * that has not been created yet. Writing here never touches the Blog document,
+ * so its updatedAt only moves on a real save.
+ */
+const blogDraftSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    default: null
+  },
+
+  // Editor form fields as the client holds them
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Draft data is required']
+  },
+
+  // updatedAt of the blog the draft was started from, to spot drafts made stale by a later save
+  baseUpdatedAt: {
+    type: Date,
+    default: null
+  },
+
+  savedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  minimize: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Static method to find the autosave slot for a user and post
+ * @param {string} userId - User ID
+ * @param {string|null} blogId - Blog ID, or null for a new post
+ * @returns {Promise<BlogDraft|null>} Draft
+ */
+blogDraftSchema.statics.findSlot = function(userId, blogId) {
+  return this.findOne({ user: userId, blog: blogId || null });
+};
+
+/**
+ * Static method to drop a user's autosave for a post once it has been saved for real
+ * @param {string} userId - User ID
+ * @param {string|null} blogId - Blog ID, or null for a new post
+ * @returns {Promise<Object>} Delete result
+ */
+blogDraftSchema.statics.clearSlot = function(userId, blogId) {
+  return this.deleteOne({ user: userId, blog: blogId || null });
+};
+
+// Indexes for better performance
+blogDraftSchema.index({ user: 1, blog: 1 }, { unique: true });
+blogDraftSchema.index({ savedAt: 1 }, { expireAfterSeconds: DRAFT_TTL_SECONDS });
+
+/**
+ * BlogDraft Model
+ * @type {mongoose.Model}
+ */
+const BlogDraft = mongoose.model('BlogDraft', blogDraftSchema);
+
+module.exports = BlogDraft;
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview BlogRevision Model - Immutable snapshots of a blog post's editable content
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * BlogRevision Schema Definition
+ * @description One saved state of a blog. Revisions are append-only: every
+ * field is immutable and there is no update path, restoring creates a new
+ * revision instead of rewriting history.
+ */
+const blogRevisionSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: [true, 'Blog is required'],
+    immutable: true
+  },
+
+  // Sequential per blog, starting at 1
+  revision: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+
+  title: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+
+  content: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+
+  excerpt: {
+    type: String,
+    default: '',
+    immutable: true
+  },
+
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    immutable: true
+  },
+
+  source: {
+    type: String,
+    enum: ['create', 'update', 'restore', 'baseline'],
+    default: 'update',
+    immutable: true
+  },
+
+  restoredFrom: {
+    type: Number,
+    default: null,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Revisions cannot be changed once written
+ */
+blogRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Blog revisions are immutable'));
+});
+
+/**
+ * Static method to snapshot a blog's current title, content and excerpt
+ * @param {Object} blog - Blog document
+ * @param {Object} [options] - Snapshot options
+ * @param {string} [options.author] - User who made the change
+ * @param {string} [options.source='update'] - What produced the revision
+ * @param {number} [options.restoredFrom] - Revision number that was restored
+ * @returns {Promise<BlogRevision>} Created revision
+ */
+blogRevisionSchema.statics.record = async function(blog, options = {}) {
+  const { author = null, source = 'update', restoredFrom = null } = options;
+
+  // Two concurrent saves can pick the same number; the unique index rejects one and it retries
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await this.findOne({ blog: blog._id }).sort({ revision: -1 }).select('revision').lean();
+
+    try {
+      return await this.create({
+        blog: blog._id,
+        revision: (latest?.revision || 0) + 1,
+        title: blog.title,
+        content: blog.content,
+        excerpt: blog.excerpt || '',
+        author,
+        source,
+        restoredFrom
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error('Could not allocate a revision number');
+};
+
+/**
+ * Static method to record the current state as a baseline if the blog has no history yet
+ * @param {Object} blog - Blog document, before any pending changes are applied
+ * @returns {Promise<BlogRevision|null>} Baseline revision, or null when history already exists
+ */
+blogRevisionSchema.statics.ensureBaseline = async function(blog) {
+  const exists = await this.exists({ blog: blog._id });
+  if (exists) return null;
+
+  return this.record(blog, { author: blog.author, source: 'baseline' });
+};
+
+// Indexes for better performance
+blogRevisionSchema.index({ blog: 1, revision: -1 }, { unique: true });
+
+/**
+ * BlogRevision Model
+ * @type {mongoose.Model}
+ */
+const BlogRevision = mongoose.model('BlogRevision', blogRevisionSchema);
+
+module.exports = BlogRevision;
@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Campaign Model - Persistent newsletter campaign with per-recipient delivery status
+ * @author jasilmeledath@gmail.com
+ * @created 2025-08-03
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Recipient Schema Definition
+ * @description Delivery state of one subscriber within a campaign
+ */
+const recipientSchema = new mongoose.Schema({
+  subscriber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscriber',
+    required: true
+  },
+
+  email: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed', 'skipped'],
+    default: 'pending'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lastError: {
+    type: String,
+    default: null
+  },
+
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: true });
+
+/**
+ * Campaign Schema Definition
+ * @description A newsletter send that is processed by the background campaign worker
+ */
+const campaignSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['newsletter'],
+    default: 'newsletter'
+  },
+
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: [true, 'Blog is required']
+  },
+
+  subject: {
+    type: String,
+    trim: true,
+    required: [true, 'Subject is required']
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'paused', 'completed', 'cancelled'],
+    default: 'queued'
+  },
+
+  // Links the campaign to open/click tracking
+  send: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NewsletterSend',
+    default: null
+  },
+
+  recipients: [recipientSchema],
+
+  // Denormalized counters so progress can be read without loading recipients
+  totalRecipients: {
+    type: Number,
+    default: 0
+  },
+
+  sentCount: {
+    type: Number,
+    default: 0
+  },
+
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+
+  skippedCount: {
+    type: Number,
+    default: 0
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  startedAt: {
+    type: Date,
+    default: null
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Earliest nextAttemptAt among pending recipients, so campaigns waiting
+  // out a retry backoff aren't claimed ahead of ones with work to do
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Worker lease; an expired lease means the worker holding it died
+  lockedBy: {
+    type: String,
+    default: null
+  },
+
+  lockedUntil: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.lockedBy;
+      delete ret.lockedUntil;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Virtual property for recipients still waiting to be processed
+ * @virtual
+ */
+campaignSchema.virtual('pendingCount').get(function() {
+  return Math.max(0, this.totalRecipients - this.sentCount - this.failedCount - this.skippedCount);
+});
+
+/**
+ * Virtual property for completion percentage
+ * @virtual
+ */
+campaignSchema.virtual('progress').get(function() {
+  if (!this.totalRecipients) return 100;
+  return ((this.sentCount + this.failedCount + this.skippedCount) / this.totalRecipients) * 100;
+});
+
+/**
+ * Whether the campaign can still deliver email
+ * @function isActive
+ * @returns {boolean} True while queued or sending
+ */
+campaignSchema.methods.isActive = function() {
+  return ['queued', 'sending'].includes(this.status);
+};
+
+/**
+ * Static method to claim the campaign that has waited longest for a due
+ * recipient
+ * @function claimNext
+ * @param {string} workerId - Identifier of the claiming worker
+ * @param {number} leaseMs - How long the claim is valid
+ * @returns {Promise<Campaign|null>} Claimed campaign without recipients
+ */
+campaignSchema.statics.claimNext = function(workerId, leaseMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      status: { $in: ['queued', 'sending'] },
+      $and: [
+        {
+          $or: [
+            { lockedUntil: null },
+            { lockedUntil: { $lte: now } },
+            { lockedBy: workerId }
+          ]
+        },
+        {
+          $or: [
+            { nextAttemptAt: null },
+            { nextAttemptAt: { $lte: now } }
+          ]
+        }
+      ]
+    },
+    {
+      $set: {
+        status: 'sending',
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + leaseMs)
+      }
+    },
+    { new: true, sort: { nextAttemptAt: 1, createdAt: 1 }, projection: { recipients: 0 } }
+  );
+};
+
+/**
+ * Static method to release a worker lease
+ * @function releaseLock
+ * @param {string} campaignId - Campaign ID
+ * @param {string} workerId - Worker that holds the lease
+ * @returns {Promise<Object>} Update result
+ */
+campaignSchema.statics.releaseLock = function(campaignId, workerId) {
+  return this.updateOne(
+    { _id: campaignId, lockedBy: workerId },
+    { $set: { lockedBy: null, lockedUntil: null } }
+  );
+};
+
+// Indexes for better performance
+campaignSchema.index({ status: 1, lockedUntil: 1 });
+campaignSchema.index({ status: 1, nextAttemptAt: 1 });
+campaignSchema.index({ createdAt: -1 });
+
+/**
+ * Campaign Model
+ * @type {mongoose.Model}
+ */
+const Campaign = mongoose.model('Campaign', campaignSchema);
+
+module.exports = Campaign;
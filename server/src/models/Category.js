@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Category Model - Blog categories managed from the admin
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Category Schema Definition
+ * @description Posts and subscriber preferences store the slug, so renaming
+ * or merging a category goes through the controller, which rewrites them.
+ */
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [50, 'Category name cannot exceed 50 characters']
+  },
+
+  slug: {
+    type: String,
+    required: [true, 'Category slug is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [
+      /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+      'Slug can only contain lowercase letters, numbers, and hyphens'
+    ]
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Category description cannot exceed 300 characters'],
+    default: ''
+  },
+
+  color: {
+    type: String,
+    trim: true,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #22c55e'],
+    default: '#3b82f6'
+  },
+
+  // react-icons/fi component name, e.g. "FiCode"
+  icon: {
+    type: String,
+    trim: true,
+    match: [/^Fi[A-Za-z0-9]+$/, 'Icon must be a Feather icon name like FiCode'],
+    default: 'FiFolder'
+  },
+
+  order: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ order: 1, name: 1 });
+
+/**
+ * Check that every slug is a known category
+ * @param {Array<string>} slugs - Category slugs
+ * @returns {Promise<boolean>} Whether all exist
+ */
+categorySchema.statics.allExist = async function(slugs = []) {
+  const unique = [...new Set(slugs)];
+
+  if (unique.length === 0) {
+    return true;
+  }
+
+  return await this.countDocuments({ slug: { $in: unique } }) === unique.length;
+};
+
+/**
+ * Category Model
+ * @type {mongoose.Model}
+ */
+const Category = mongoose.model('Category', categorySchema);
+
+module.exports = Category;
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Comment Model - Reader comments on blog posts
+ * @author jasilmeledath@gmail.com
+ * @created 2025-01-27
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Comment Schema Definition
+ * @description Comments used to be embedded in Blog.comments; migrate-comments.js
+ * moves existing ones here, keeping their IDs so likes and replies still match.
+ */
+const commentSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: [true, 'Blog is required']
+  },
+
+  author: {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email']
+    },
+    website: {
+      type: String,
+      default: '',
+      trim: true
+    }
+  },
+
+  content: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters'],
+    minlength: [5, 'Comment must be at least 5 characters']
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'spam'],
+    default: 'pending'
+  },
+
+  // 0-100 from the spam scorer, with the signals that contributed
+  spamScore: {
+    type: Number,
+    default: 0
+  },
+
+  spamReasons: [{
+    type: String
+  }],
+
+  // Keyed hashes used for duplicate and velocity checks
+  submitterHash: {
+    type: String,
+    default: null
+  },
+
+  contentHash: {
+    type: String,
+    default: null
+  },
+
+  parentComment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+
+  likes: {
+    type: Number,
+    default: 0
+  },
+
+  // Opt-in: email the commenter when a reply to this comment is approved
+  notifyOnReply: {
+    type: Boolean,
+    default: false
+  },
+
+  // Set once the parent commenter has been told about this reply
+  replyNotifiedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Posted by the blog author from the moderation screen
+  isAuthorReply: {
+    type: Boolean,
+    default: false
+  },
+
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+
+  moderatorNote: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: [500, 'Moderator note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Indexes for better query performance
+ */
+commentSchema.index({ blog: 1, status: 1, createdAt: -1 });
+commentSchema.index({ status: 1, createdAt: -1, _id: -1 });
+commentSchema.index({ parentComment: 1 });
+commentSchema.index({ contentHash: 1, createdAt: -1 });
+commentSchema.index({ submitterHash: 1, createdAt: -1 });
+commentSchema.index({ 'author.email': 1, createdAt: -1 });
+
+/**
+ * Comment Model
+ * @type {mongoose.Model}
+ */
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
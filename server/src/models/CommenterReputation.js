@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Commenter Reputation Model - Moderation history per commenter email
+ * @author jasilmeledath@gmail.com
+ * @created 2025-01-27
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+// Approved comments needed, with no spam, before a commenter counts as known-good
+const TRUSTED_MIN_APPROVED = 3;
+
+const COUNTED_STATUSES = {
+  approved: 'approvedCount',
+  rejected: 'rejectedCount',
+  spam: 'spamCount'
+};
+
+/**
+ * Commenter Reputation Schema Definition
+ * @description Counts reflect the current status of the commenter's comments,
+ * so re-moderating a comment moves it from one counter to another.
+ */
+const commenterReputationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+
+  approvedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  rejectedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  spamCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  lastModeratedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Whether the commenter has a clean record of approved comments
+ * @returns {boolean} Trusted status
+ */
+commenterReputationSchema.methods.isTrusted = function() {
+  return this.approvedCount >= TRUSTED_MIN_APPROVED && this.spamCount === 0;
+};
+
+/**
+ * Record a moderation decision for a commenter
+ * @param {string} email - Commenter email
+ * @param {string} fromStatus - Status before moderation
+ * @param {string} toStatus - Status after moderation
+ * @returns {Promise<Object|null>} Updated reputation, or null when nothing changed
+ */
+commenterReputationSchema.statics.recordModeration = async function(email, fromStatus, toStatus) {
+  const fromField = COUNTED_STATUSES[fromStatus];
+  const toField = COUNTED_STATUSES[toStatus];
+
+  if (!email || fromField === toField) {
+    return null;
+  }
+
+  const inc = {};
+  if (fromField) inc[fromField] = -1;
+  if (toField) inc[toField] = 1;
+
+  const reputation = await this.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { $inc: inc, $set: { lastModeratedAt: new Date() } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  // A decrement can dip below zero for comments moderated before tracking began
+  if (fromField && reputation[fromField] < 0) {
+    reputation[fromField] = 0;
+    await reputation.save();
+  }
+
+  return reputation;
+};
+
+/**
+ * Commenter Reputation Model
+ * @type {mongoose.Model}
+ */
+const CommenterReputation = mongoose.model('CommenterReputation', commenterReputationSchema);
+
+module.exports = CommenterReputation;
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Contact Message Model - Messages sent to the owner from the site's contact form
+ * @author jasilmeledath@gmail.com
+ * @created 2025-01-27
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Folders a message can be filed in
+ * @constant {Array<string>}
+ */
+const CONTACT_FOLDERS = ['inbox', 'archived', 'spam'];
+
+/**
+ * Contact Message Schema Definition
+ */
+const contactMessageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email']
+  },
+
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [150, 'Subject cannot exceed 150 characters'],
+    default: ''
+  },
+
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    trim: true,
+    minlength: [10, 'Message must be at least 10 characters'],
+    maxlength: [5000, 'Message cannot exceed 5000 characters']
+  },
+
+  folder: {
+    type: String,
+    enum: CONTACT_FOLDERS,
+    default: 'inbox'
+  },
+
+  readAt: {
+    type: Date,
+    default: null
+  },
+
+  // 0-100 from the spam scorer, with the signals that contributed
+  spamScore: {
+    type: Number,
+    default: 0
+  },
+
+  spamReasons: [{
+    type: String
+  }],
+
+  // Keyed hashes used for duplicate checks; the IP itself is not stored
+  submitterHash: {
+    type: String,
+    default: null
+  },
+
+  contentHash: {
+    type: String,
+    default: null
+  },
+
+  userAgent: {
+    type: String,
+    default: null
+  },
+
+  autoRepliedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Replies sent from the admin inbox
+  replies: [{
+    body: {
+      type: String,
+      required: true,
+      maxlength: [10000, 'Reply cannot exceed 10000 characters']
+    },
+    sentBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+contactMessageSchema.index({ folder: 1, createdAt: -1, _id: -1 });
+contactMessageSchema.index({ folder: 1, readAt: 1 });
+contactMessageSchema.index({ contentHash: 1, createdAt: -1 });
+
+/**
+ * Folders a message can be filed in
+ * @returns {Array<string>} Folder names
+ */
+contactMessageSchema.statics.getFolders = function() {
+  return [...CONTACT_FOLDERS];
+};
+
+/**
+ * Message counts for the inbox tabs and the dashboard
+ * @returns {Promise<Object>} { unread, inbox, archived, spam, lastWeek }
+ */
+contactMessageSchema.statics.getCounts = async function() {
+  const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+  const [byFolder, unread, lastWeek] = await Promise.all([
+    this.aggregate([{ $group: { _id: '$folder', count: { $sum: 1 } } }]),
+    this.countDocuments({ folder: 'inbox', readAt: null }),
+    this.countDocuments({ folder: { $ne: 'spam' }, createdAt: { $gte: weekAgo } })
+  ]);
+
+  const counts = Object.fromEntries(CONTACT_FOLDERS.map(folder => [folder, 0]));
+  byFolder.forEach(({ _id, count }) => { counts[_id] = count; });
+
+  return { unread, ...counts, lastWeek };
+};
+
+/**
+ * Contact Message Model
+ * @type {mongoose.Model}
+ */
+const ContactMessage = mongoose.model('ContactMessage', contactMessageSchema);
+
+module.exports = ContactMessage;
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Like Model - One visitor's like on a blog post or a comment
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Like Schema Definition
+ * @description The counters on Blog and Comment (`likes`) are the
+ * source for display; these records only exist to stop the same visitor
+ * from counting twice.
+ */
+const likeSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['blog', 'comment'],
+    required: [true, 'Target type is required']
+  },
+
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: [true, 'Blog is required']
+  },
+
+  // Comment likes only
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+
+  // Keyed hash of the visitor, see utils/visitor-fingerprint
+  fingerprint: {
+    type: String,
+    required: [true, 'Fingerprint is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One like per visitor per target
+likeSchema.index({ blog: 1, comment: 1, fingerprint: 1 }, { unique: true });
+likeSchema.index({ blog: 1, fingerprint: 1 });
+
+/**
+ * Like Model
+ * @type {mongoose.Model}
+ */
+const Like = mongoose.model('Like', likeSchema);
+
+module.exports = Like;
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Media Model - Every uploaded asset and the documents that reference it
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Usage Schema Definition
+ * @description One document that currently references the asset
+ */
+const usageSchema = new mongoose.Schema({
+  model: {
+    type: String,
+    required: true
+  },
+
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  // Human readable name of the referencing document (post title, project title...)
+  label: {
+    type: String,
+    default: ''
+  },
+
+  fields: [{
+    type: String
+  }]
+}, { _id: false });
+
+/**
+ * Media Schema Definition
+ * @description Stored in Cloudinary when it is configured, otherwise on local
+ * disk under uploads/. `usage` is a snapshot refreshed by the media library
+ * whenever the asset is inspected, deleted or reconciled.
+ */
+const mediaSchema = new mongoose.Schema({
+  storage: {
+    type: String,
+    enum: ['cloudinary', 'local'],
+    required: [true, 'Storage is required']
+  },
+
+  kind: {
+    type: String,
+    enum: ['content', 'avatar', 'project', 'company-logo', 'other'],
+    default: 'other'
+  },
+
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true
+  },
+
+  // Cloudinary public ID (cloudinary storage)
+  publicId: {
+    type: String,
+    default: undefined
+  },
+
+  // Path relative to the uploads directory (local storage)
+  localPath: {
+    type: String,
+    default: null
+  },
+
+  thumbnailUrl: {
+    type: String,
+    default: null
+  },
+
+  responsiveUrls: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  originalName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Default alt text offered when the asset is reused
+  alt: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Alt text cannot exceed 300 characters'],
+    default: ''
+  },
+
+  format: String,
+  bytes: Number,
+  width: Number,
+  height: Number,
+
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // 'backfill' marks assets found by the reconciler that predate the library
+  source: {
+    type: String,
+    enum: ['upload', 'backfill'],
+    default: 'upload'
+  },
+
+  usage: [usageSchema],
+
+  usageCheckedAt: {
+    type: Date,
+    default: null
+  },
+
+  // First time the reconciler found the asset unreferenced; cleared once it is used again
+  orphanedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Virtual for the number of referencing documents
+ */
+mediaSchema.virtual('usageCount').get(function() {
+  return this.usage ? this.usage.length : 0;
+});
+
+/**
+ * String that appears in every URL pointing at this asset, including
+ * Cloudinary transformation variants
+ * @returns {string} Match token
+ */
+mediaSchema.methods.getMatchToken = function() {
+  if (this.storage === 'cloudinary' && this.publicId) {
+    return this.publicId;
+  }
+
+  return this.localPath ? `/uploads/${this.localPath}` : this.url;
+};
+
+// Indexes for better performance
+mediaSchema.index({ publicId: 1 }, { unique: true, sparse: true });
+mediaSchema.index({ url: 1 });
+mediaSchema.index({ createdAt: -1 });
+mediaSchema.index({ orphanedAt: 1 });
+
+/**
+ * Media Model
+ * @type {mongoose.Model}
+ */
+const Media = mongoose.model('Media', mediaSchema);
+
+module.exports = Media;
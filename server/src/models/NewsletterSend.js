@@ -0,0 +1,206 @@
+/**
+ * @fileoverview NewsletterSend Model - One delivery of a newsletter or blog notification
+ * @author jasilmeledath@gmail.com
+ * @created 2025-08-03
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * NewsletterSend Schema Definition
+ * @description Tracks delivery, open and click counts for a single email send
+ */
+const newsletterSendSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['blog-notification', 'newsletter', 'digest'],
+    default: 'blog-notification'
+  },
+
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    default: null
+  },
+
+  subject: {
+    type: String,
+    trim: true,
+    required: [true, 'Subject is required']
+  },
+
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  recipientCount: {
+    type: Number,
+    default: 0
+  },
+
+  sentCount: {
+    type: Number,
+    default: 0
+  },
+
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Total pixel loads and link clicks, including repeats
+  opens: {
+    type: Number,
+    default: 0
+  },
+
+  clicks: {
+    type: Number,
+    default: 0
+  },
+
+  // Subscribers who opened / clicked at least once, for unique rates
+  openedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscriber'
+  }],
+
+  clickedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscriber'
+  }]
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.openedBy;
+      delete ret.clickedBy;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Virtual property for unique open rate
+ * @virtual
+ */
+newsletterSendSchema.virtual('openRate').get(function() {
+  if (!this.sentCount) return 0;
+  return (this.openedBy.length / this.sentCount) * 100;
+});
+
+/**
+ * Virtual property for unique click rate
+ * @virtual
+ */
+newsletterSendSchema.virtual('clickRate').get(function() {
+  if (!this.sentCount) return 0;
+  return (this.clickedBy.length / this.sentCount) * 100;
+});
+
+/**
+ * Record an open for a subscriber
+ * @function registerOpen
+ * @param {string} sendId - NewsletterSend ID
+ * @param {string} subscriberId - Subscriber ID
+ * @returns {Promise<boolean>} Whether this was the subscriber's first open of this send
+ */
+newsletterSendSchema.statics.registerOpen = async function(sendId, subscriberId) {
+  const firstOpen = await this.updateOne(
+    { _id: sendId, openedBy: { $ne: subscriberId } },
+    { $addToSet: { openedBy: subscriberId } }
+  );
+
+  await this.updateOne({ _id: sendId }, { $inc: { opens: 1 } });
+
+  return firstOpen.modifiedCount > 0;
+};
+
+/**
+ * Record the open implied by a click, for subscribers whose client blocked
+ * the tracking pixel. Counts only when the subscriber had not opened yet.
+ * @function registerImpliedOpen
+ * @param {string} sendId - NewsletterSend ID
+ * @param {string} subscriberId - Subscriber ID
+ * @returns {Promise<boolean>} Whether this was the subscriber's first open of this send
+ */
+newsletterSendSchema.statics.registerImpliedOpen = async function(sendId, subscriberId) {
+  const firstOpen = await this.updateOne(
+    { _id: sendId, openedBy: { $ne: subscriberId } },
+    { $addToSet: { openedBy: subscriberId }, $inc: { opens: 1 } }
+  );
+
+  return firstOpen.modifiedCount > 0;
+};
+
+/**
+ * Record a click for a subscriber
+ * @function registerClick
+ * @param {string} sendId - NewsletterSend ID
+ * @param {string} subscriberId - Subscriber ID
+ * @returns {Promise<boolean>} Whether this was the subscriber's first click in this send
+ */
+newsletterSendSchema.statics.registerClick = async function(sendId, subscriberId) {
+  const firstClick = await this.updateOne(
+    { _id: sendId, clickedBy: { $ne: subscriberId } },
+    { $addToSet: { clickedBy: subscriberId } }
+  );
+
+  await this.updateOne({ _id: sendId }, { $inc: { clicks: 1 } });
+
+  return firstClick.modifiedCount > 0;
+};
+
+/**
+ * Static method to get per-send engagement for the most recent sends
+ * @function getRecentPerformance
+ * @param {number} limit - Number of sends to return
+ * @returns {Promise<Array>} Sends with unique open/click counts and rates
+ */
+newsletterSendSchema.statics.getRecentPerformance = function(limit = 10) {
+  return this.aggregate([
+    { $sort: { sentAt: -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        kind: 1,
+        blog: 1,
+        subject: 1,
+        sentAt: 1,
+        recipientCount: 1,
+        sentCount: 1,
+        failedCount: 1,
+        opens: 1,
+        clicks: 1,
+        uniqueOpens: { $size: '$openedBy' },
+        uniqueClicks: { $size: '$clickedBy' }
+      }
+    },
+    {
+      $addFields: {
+        openRate: {
+          $cond: [{ $gt: ['$sentCount', 0] }, { $multiply: [{ $divide: ['$uniqueOpens', '$sentCount'] }, 100] }, 0]
+        },
+        clickRate: {
+          $cond: [{ $gt: ['$sentCount', 0] }, { $multiply: [{ $divide: ['$uniqueClicks', '$sentCount'] }, 100] }, 0]
+        }
+      }
+    }
+  ]);
+};
+
+// Indexes for better performance
+newsletterSendSchema.index({ sentAt: -1 });
+newsletterSendSchema.index({ blog: 1 });
+
+/**
+ * NewsletterSend Model
+ * @type {mongoose.Model}
+ */
+const NewsletterSend = mongoose.model('NewsletterSend', newsletterSendSchema);
+
+module.exports = NewsletterSend;
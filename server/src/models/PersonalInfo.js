@@ -67,6 +67,16 @@ const personalInfoSchema = new mongoose.Schema({
     type: String,
     default: null // URL to uploaded resume PDF
   },
+  resumeSource: {
+    type: String,
+    enum: ['upload', 'generated'],
+    default: 'upload' // Which resume the public download serves
+  },
+  resumeTemplate: {
+    type: String,
+    enum: ['classic', 'modern'],
+    default: 'classic' // Layout used when resumeSource is 'generated'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Series Model - An ordered set of blog posts read as one piece
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Series Schema Definition
+ * @description `posts` is the reading order and the only record of which
+ * series a post belongs to; a post is in at most one series.
+ */
+const seriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Series title is required'],
+    trim: true,
+    maxlength: [120, 'Series title cannot exceed 120 characters'],
+    minlength: [3, 'Series title must be at least 3 characters long']
+  },
+
+  slug: {
+    type: String,
+    required: [true, 'Series slug is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [
+      /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+      'Slug can only contain lowercase letters, numbers, and hyphens'
+    ]
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Series description cannot exceed 1000 characters'],
+    default: ''
+  },
+
+  posts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog'
+  }],
+
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  }
+}, {
+  timestamps: true
+});
+
+seriesSchema.index({ posts: 1 });
+
+/**
+ * Series containing a post
+ * @param {ObjectId} blogId - Blog ID
+ * @returns {Query} Series document or null
+ */
+seriesSchema.statics.findForPost = function(blogId) {
+  return this.findOne({ posts: blogId });
+};
+
+/**
+ * Move a post into a series at a position, or out of any series
+ * @param {ObjectId} blogId - Blog ID
+ * @param {ObjectId|null} seriesId - Target series, or null to remove the post
+ * @param {number} [position] - 1-based position; the end of the series when omitted
+ * @returns {Promise<Object|null>} The target series, or null when removed
+ */
+seriesSchema.statics.assignPost = async function(blogId, seriesId, position) {
+  const target = seriesId ? await this.findById(seriesId) : null;
+
+  if (seriesId && !target) {
+    return null;
+  }
+
+  await this.updateMany(
+    { posts: blogId, ...(target && { _id: { $ne: target._id } }) },
+    { $pull: { posts: blogId } }
+  );
+
+  if (!target) {
+    return null;
+  }
+
+  const posts = target.posts.filter(id => id.toString() !== blogId.toString());
+  const index = Number.isInteger(position) && position >= 1
+    ? Math.min(position - 1, posts.length)
+    : posts.length;
+
+  posts.splice(index, 0, blogId);
+  target.posts = posts;
+  await target.save();
+
+  return target;
+};
+
+/**
+ * Published posts of a series in reading order. Drafts and scheduled posts
+ * keep their place but are left out until they go live.
+ * @param {Object} series - Series document
+ * @param {string} [fields] - Blog fields to select
+ * @returns {Promise<Array<Object>>} Lean blog documents
+ */
+seriesSchema.statics.getPublishedPosts = async function(series, fields = 'title slug excerpt featuredImage publishedAt readTime') {
+  const blogs = await mongoose.model('Blog')
+    .find({ _id: { $in: series.posts }, status: 'published' })
+    .select(fields)
+    .lean();
+
+  const byId = new Map(blogs.map(blog => [blog._id.toString(), blog]));
+  return series.posts.map(id => byId.get(id.toString())).filter(Boolean);
+};
+
+/**
+ * A post's place in its series, for the editor
+ * @param {ObjectId} blogId - Blog ID
+ * @returns {Promise<Object|null>} { _id, title, slug, position, total }
+ */
+seriesSchema.statics.getPostPlacement = async function(blogId) {
+  const series = await this.findForPost(blogId).select('title slug posts').lean();
+
+  if (!series) {
+    return null;
+  }
+
+  return {
+    _id: series._id,
+    title: series.title,
+    slug: series.slug,
+    position: series.posts.findIndex(id => id.toString() === blogId.toString()) + 1,
+    total: series.posts.length
+  };
+};
+
+/**
+ * A published post's series as readers see it, with only live posts listed
+ * @param {ObjectId} blogId - Blog ID
+ * @returns {Promise<Object|null>} { _id, title, slug, posts }
+ */
+seriesSchema.statics.getReaderView = async function(blogId) {
+  const series = await this.findForPost(blogId).select('title slug posts').lean();
+
+  if (!series) {
+    return null;
+  }
+
+  const posts = await this.getPublishedPosts(series, 'title slug');
+  return { _id: series._id, title: series.title, slug: series.slug, posts };
+};
+
+/**
+ * Series Model
+ * @type {mongoose.Model}
+ */
+const Series = mongoose.model('Series', seriesSchema);
+
+module.exports = Series;
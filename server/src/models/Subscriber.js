@@ -7,6 +7,7 @@
 
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const Category = require('./Category');
 
 /**
  * Subscriber Schema Definition
@@ -75,23 +76,13 @@ const subscriberSchema = new mongoose.Schema({
       enum: ['immediate', 'daily', 'weekly'],
       default: 'immediate'
     },
-    categories: [{
-      type: String,
-      enum: [
-        'technology',
-        'web-development',
-        'javascript',
-        'react',
-        'nextjs',
-        'nodejs',
-        'mongodb',
-        'tutorial',
-        'tips',
-        'career',
-        'personal',
-        'general'
-      ]
-    }]
+    categories: {
+      type: [String],
+      validate: {
+        validator: (slugs) => Category.allExist(slugs),
+        message: 'Unknown blog category'
+      }
+    }
   },
   
   source: {
@@ -143,6 +134,25 @@ const subscriberSchema = new mongoose.Schema({
   lastClickedAt: {
     type: Date,
     default: null
+  },
+  
+  // Daily/weekly digest bookkeeping
+  digest: {
+    // Last digest that was actually delivered; the next one covers posts since then
+    lastSentAt: {
+      type: Date,
+      default: null
+    },
+    // Last time the scheduler picked this subscriber up, sent or not
+    lastAttemptAt: {
+      type: Date,
+      default: null
+    },
+    // Posts already delivered in a digest (most recent only)
+    receivedBlogs: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Blog'
+    }]
   }
 }, {
   timestamps: true,
@@ -259,6 +269,19 @@ subscriberSchema.statics.findActiveSubscribers = function(filters = {}) {
   });
 };
 
+/**
+ * Static method to find active subscribers who want every post as it is published
+ * @function findImmediateSubscribers
+ * @param {Object} filters - Additional filters
+ * @returns {Promise<Array>} Active subscribers not on a daily/weekly digest
+ */
+subscriberSchema.statics.findImmediateSubscribers = function(filters = {}) {
+  return this.findActiveSubscribers({
+    'preferences.frequency': { $nin: ['daily', 'weekly'] },
+    ...filters
+  });
+};
+
 /**
  * Static method to find subscribers by category preference
  * @function findByCategory
@@ -310,6 +333,7 @@ subscriberSchema.index({ subscriptionDate: -1 });
 subscriberSchema.index({ confirmationToken: 1 }, { sparse: true });
 subscriberSchema.index({ unsubscribeToken: 1 }, { sparse: true });
 subscriberSchema.index({ 'preferences.categories': 1 });
+subscriberSchema.index({ status: 1, 'preferences.frequency': 1, 'digest.lastAttemptAt': 1 });
 
 /**
  * Subscriber Model
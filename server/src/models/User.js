@@ -10,6 +10,44 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
+/**
+ * Every permission a user can be granted
+ * @constant {Array<string>}
+ */
+const AVAILABLE_PERMISSIONS = [
+  'portfolio:read',
+  'portfolio:write',
+  'blog:read',
+  'blog:write',
+  'blog:delete',
+  'comments:moderate',
+  'media:upload',
+  'media:delete',
+  'analytics:view',
+  'settings:manage',
+  'users:manage'
+];
+
+/**
+ * Permissions granted by default when a role is assigned
+ * @constant {Object<string, Array<string>>}
+ */
+const ROLE_DEFAULT_PERMISSIONS = {
+  admin: AVAILABLE_PERMISSIONS,
+  editor: [
+    'portfolio:read',
+    'blog:read',
+    'blog:write',
+    'comments:moderate',
+    'media:upload'
+  ],
+  viewer: [
+    'portfolio:read',
+    'blog:read',
+    'analytics:view'
+  ]
+};
+
 /**
  * User Schema Definition
  * @description Defines the structure for user documents in MongoDB
@@ -57,19 +95,7 @@ const userSchema = new mongoose.Schema({
   
   permissions: [{
     type: String,
-    enum: [
-      'portfolio:read',
-      'portfolio:write',
-      'blog:read',
-      'blog:write',
-      'blog:delete',
-      'comments:moderate',
-      'media:upload',
-      'media:delete',
-      'analytics:view',
-      'settings:manage',
-      'users:manage'
-    ]
+    enum: AVAILABLE_PERMISSIONS
   }],
   
   profileImage: {
@@ -176,19 +202,7 @@ userSchema.pre('save', async function(next) {
     
     // Set default permissions based on role
     if (this.isNew && this.role === 'admin') {
-      this.permissions = [
-        'portfolio:read',
-        'portfolio:write',
-        'blog:read',
-        'blog:write',
-        'blog:delete',
-        'comments:moderate',
-        'media:upload',
-        'media:delete',
-        'analytics:view',
-        'settings:manage',
-        'users:manage'
-      ];
+      this.permissions = [...ROLE_DEFAULT_PERMISSIONS.admin];
     }
     
     next();
@@ -238,9 +252,10 @@ userSchema.methods.generateAuthToken = function() {
 /**
  * Generate password reset token
  * @function generatePasswordResetToken
+ * @param {number} [expiresInMs=600000] - Token lifetime in milliseconds
  * @returns {string} Reset token
  */
-userSchema.methods.generatePasswordResetToken = function() {
+userSchema.methods.generatePasswordResetToken = function(expiresInMs = 10 * 60 * 1000) {
   const crypto = require('crypto');
   const resetToken = crypto.randomBytes(32).toString('hex');
   
@@ -249,12 +264,21 @@ userSchema.methods.generatePasswordResetToken = function() {
     .update(resetToken)
     .digest('hex');
   
-  // Token expires in 10 minutes
-  this.passwordResetExpires = Date.now() + 10 * 60 * 1000;
+  // Token expires in 10 minutes unless the caller asks otherwise (invitations)
+  this.passwordResetExpires = Date.now() + expiresInMs;
   
   return resetToken;
 };
 
+/**
+ * Clear password reset token so it cannot be reused
+ * @function clearPasswordResetToken
+ */
+userSchema.methods.clearPasswordResetToken = function() {
+  this.passwordResetToken = null;
+  this.passwordResetExpires = null;
+};
+
 /**
  * Handle failed login attempts
  * @function handleFailedLoginAttempt
@@ -352,11 +376,50 @@ userSchema.statics.findByEmailWithPassword = function(email) {
   return this.findOne({ email: email.toLowerCase() }).select('+password');
 };
 
+/**
+ * Static method to find user by a valid (unexpired) password reset token
+ * @function findByPasswordResetToken
+ * @param {string} token - Plain reset token from the email link
+ * @returns {Promise<User>} User document
+ */
+userSchema.statics.findByPasswordResetToken = function(token) {
+  const crypto = require('crypto');
+  const hashedToken = crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+
+  return this.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: Date.now() }
+  });
+};
+
+/**
+ * Static method to get the default permissions for a role
+ * @function getDefaultPermissions
+ * @param {string} role - User role
+ * @returns {Array<string>} Default permissions for the role
+ */
+userSchema.statics.getDefaultPermissions = function(role) {
+  return [...(ROLE_DEFAULT_PERMISSIONS[role] || [])];
+};
+
+/**
+ * Static method to list every assignable permission
+ * @function getAvailablePermissions
+ * @returns {Array<string>} Available permissions
+ */
+userSchema.statics.getAvailablePermissions = function() {
+  return [...AVAILABLE_PERMISSIONS];
+};
+
 // Indexes for better performance
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ lockUntil: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
 
 /**
  * User Model
@@ -73,6 +73,32 @@ const passwordChangeRateLimit = rateLimit({
   }
 });
 
+/**
+ * Rate limiting for password reset requests
+ * @constant {Object} passwordResetRateLimit
+ */
+const passwordResetRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // Limit each IP to 5 reset requests per hour
+  message: {
+    status: 'error',
+    message: 'Too many password reset attempts, please try again later.',
+    error: {
+      code: 'PASSWORD_RESET_RATE_LIMIT_EXCEEDED',
+      details: 'Maximum 5 password reset attempts allowed per hour.'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  // Skip rate limiting for development environment
+  skip: (req) => {
+    return process.env.NODE_ENV === 'development' || 
+           req.ip === '127.0.0.1' || 
+           req.ip === '::1' || 
+           req.ip === '::ffff:127.0.0.1';
+  }
+});
+
 /**
  * @route POST /api/v1/auth/login
  * @description User login
@@ -129,6 +155,22 @@ router.put('/change-password',
   AuthController.changePassword
 );
 
+/**
+ * @route POST /api/v1/auth/forgot-password
+ * @description Send a password reset link to the account email
+ * @access Public
+ * @rateLimit 5 requests per hour per IP
+ */
+router.post('/forgot-password', passwordResetRateLimit, AuthController.forgotPassword);
+
+/**
+ * @route POST /api/v1/auth/reset-password/:token
+ * @description Reset password using a single-use token from the reset email
+ * @access Public
+ * @rateLimit 5 requests per hour per IP
+ */
+router.post('/reset-password/:token', passwordResetRateLimit, AuthController.resetPassword);
+
 /**
  * @route GET /api/v1/auth/permissions
  * @description Get user permissions
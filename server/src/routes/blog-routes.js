@@ -7,11 +7,54 @@
  */
 
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const BlogController = require('../controllers/blog-controller');
+const BlogRevisionController = require('../controllers/blog-revision-controller');
+const BlogDraftController = require('../controllers/blog-draft-controller');
+const LikeController = require('../controllers/like-controller');
 const { authenticate, authorize } = require('../middleware/auth-middleware');
+const commentRateLimit = require('../middleware/comment-rate-limit');
 
 const router = express.Router();
 
+/**
+ * Rate limiting for public like/unlike requests
+ * @constant {Object} likeRateLimit
+ */
+const likeRateLimit = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // Limit each IP to 30 like/unlike requests per minute
+  message: {
+    status: 'error',
+    message: 'Too many like requests, please slow down.',
+    error: {
+      code: 'LIKE_RATE_LIMIT_EXCEEDED',
+      details: 'Maximum 30 like requests allowed per minute.'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * Rate limiting for public search (search-as-you-type sends a request per pause)
+ * @constant {Object} searchRateLimit
+ */
+const searchRateLimit = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60, // Limit each IP to 60 searches per minute
+  message: {
+    status: 'error',
+    message: 'Too many search requests, please slow down.',
+    error: {
+      code: 'SEARCH_RATE_LIMIT_EXCEEDED',
+      details: 'Maximum 60 search requests allowed per minute.'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 /**
  * Public routes (no authentication required)
  */
@@ -19,6 +62,9 @@ const router = express.Router();
 // Get published blogs for public view
 router.get('/public', BlogController.getPublishedBlogs);
 
+// Full-text search with relevance ranking, snippets and facets
+router.get('/search', searchRateLimit, BlogController.searchBlogs);
+
 // Get single blog by slug (public)
 router.get('/public/:slug', BlogController.getBlogBySlug);
 
@@ -35,7 +81,14 @@ router.get('/categories', BlogController.getCategories);
 router.get('/tags', BlogController.getTags);
 
 // Add comment to blog (public, but requires author info)
-router.post('/:id/comments', BlogController.addComment);
+router.post('/:id/comments', commentRateLimit, BlogController.addComment);
+
+// Likes (deduplicated per visitor fingerprint)
+router.get('/:id/likes', LikeController.getLikeStatus);
+router.post('/:id/like', likeRateLimit, LikeController.like);
+router.delete('/:id/like', likeRateLimit, LikeController.unlike);
+router.post('/:id/comments/:commentId/like', likeRateLimit, LikeController.like);
+router.delete('/:id/comments/:commentId/like', likeRateLimit, LikeController.unlike);
 
 /**
  * Protected routes (authentication required)
@@ -44,6 +97,11 @@ router.post('/:id/comments', BlogController.addComment);
 // Get all blogs (admin/author view with filtering)
 router.get('/', authenticate, BlogController.getAllBlogs);
 
+// Editor autosave (":id" is a blog ID or "new"); registered before "/:id" so it is not shadowed
+router.get('/autosave/:id', authenticate, authorize(['blog:write']), BlogDraftController.getDraft);
+router.put('/autosave/:id', authenticate, authorize(['blog:write']), BlogDraftController.saveDraft);
+router.delete('/autosave/:id', authenticate, authorize(['blog:write']), BlogDraftController.discardDraft);
+
 // Get single blog by ID
 router.get('/:id', authenticate, BlogController.getBlogById);
 
@@ -59,6 +117,12 @@ router.delete('/:id', authenticate, authorize(['blog:delete']), BlogController.d
 // Toggle blog status (publish/unpublish)
 router.patch('/:id/status', authenticate, authorize(['blog:write']), BlogController.toggleBlogStatus);
 
+// Revision history
+router.get('/:id/revisions', authenticate, authorize(['blog:write']), BlogRevisionController.getRevisions);
+router.get('/:id/revisions/diff', authenticate, authorize(['blog:write']), BlogRevisionController.getRevisionDiff);
+router.get('/:id/revisions/:revision', authenticate, authorize(['blog:write']), BlogRevisionController.getRevision);
+router.post('/:id/revisions/:revision/restore', authenticate, authorize(['blog:write']), BlogRevisionController.restoreRevision);
+
 // Get blog statistics (admin only)
 router.get('/stats/overview', authenticate, authorize(['analytics:view']), BlogController.getBlogStats);
 
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Category Routes - API endpoints for blog categories
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const CategoryController = require('../controllers/category-controller');
+const { authenticate, authorize } = require('../middleware/auth-middleware');
+
+const router = express.Router();
+
+/**
+ * Public routes (no authentication required)
+ */
+
+// All categories with published post counts
+router.get('/', CategoryController.getCategories);
+
+/**
+ * Protected routes (authentication required)
+ */
+
+// Create category
+router.post('/', authenticate, authorize(['blog:write']), CategoryController.createCategory);
+
+// Update category (a new slug renames it on posts and subscriptions)
+router.put('/:id', authenticate, authorize(['blog:write']), CategoryController.updateCategory);
+
+// Merge category into another ({ into: categoryId })
+router.post('/:id/merge', authenticate, authorize(['blog:delete']), CategoryController.mergeCategory);
+
+// Delete unused category
+router.delete('/:id', authenticate, authorize(['blog:delete']), CategoryController.deleteCategory);
+
+module.exports = router;
@@ -8,6 +8,7 @@
 const express = require('express');
 const CommentsController = require('../controllers/comments-controller');
 const { authenticate, authorize } = require('../middleware/auth-middleware');
+const commentRateLimit = require('../middleware/comment-rate-limit');
 
 const router = express.Router();
 
@@ -16,11 +17,17 @@ const router = express.Router();
  */
 
 // Add comment to blog
-router.post('/blog/:blogId', CommentsController.addComment);
+router.post('/blog/:blogId', commentRateLimit, CommentsController.addComment);
 
 // Get approved comments for a blog
 router.get('/blog/:blogId', CommentsController.getBlogComments);
 
+// Get more replies in one thread
+router.get('/blog/:blogId/replies/:commentId', CommentsController.getCommentReplies);
+
+// Turn off reply notifications (link from the notification email)
+router.get('/notifications/unsubscribe/:token', CommentsController.unsubscribeReplyNotifications);
+
 /**
  * Admin routes (authentication + authorization required)
  */
@@ -39,6 +46,13 @@ router.patch('/:blogId/:commentId/moderate',
   CommentsController.moderateComment
 );
 
+// Reply as the blog author
+router.post('/:blogId/:commentId/reply', 
+  authenticate, 
+  authorize(['comments:moderate']), 
+  CommentsController.replyAsAuthor
+);
+
 // Bulk moderate comments
 router.patch('/bulk-moderate', 
   authenticate, 
@@ -46,6 +60,13 @@ router.patch('/bulk-moderate',
   CommentsController.bulkModerateComments
 );
 
+// Bulk delete comments
+router.post('/bulk-delete', 
+  authenticate, 
+  authorize(['comments:moderate']), 
+  CommentsController.bulkDeleteComments
+);
+
 // Delete comment
 router.delete('/:blogId/:commentId', 
   authenticate, 
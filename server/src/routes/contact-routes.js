@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Contact Routes - Contact form and admin inbox endpoints
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const ContactController = require('../controllers/contact-controller');
+const { authenticate, requireAdmin } = require('../middleware/auth-middleware');
+
+const router = express.Router();
+
+/**
+ * Rate limiting for contact form submissions
+ * @constant {Object} contactRateLimit
+ */
+const contactRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // Limit each IP to 5 messages per hour
+  message: {
+    status: 'error',
+    message: 'Too many messages sent, please try again later.',
+    error: {
+      code: 'CONTACT_RATE_LIMIT_EXCEEDED',
+      details: 'Maximum 5 messages allowed per hour.'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => process.env.NODE_ENV === 'development'
+});
+
+/**
+ * Public routes (no authentication required)
+ */
+
+// Send a message to the site owner
+router.post('/', contactRateLimit, ContactController.submitMessage);
+
+/**
+ * Admin routes (authentication + admin role required)
+ */
+
+// Unread and per-folder counts
+router.get('/messages/stats',
+  authenticate,
+  requireAdmin,
+  ContactController.getMessageStats
+);
+
+// List messages in a folder
+router.get('/messages',
+  authenticate,
+  requireAdmin,
+  ContactController.getMessages
+);
+
+// Get single message
+router.get('/messages/:id',
+  authenticate,
+  requireAdmin,
+  ContactController.getMessage
+);
+
+// Mark read/unread or move to another folder
+router.patch('/messages/:id',
+  authenticate,
+  requireAdmin,
+  ContactController.updateMessage
+);
+
+// Reply to the sender by email
+router.post('/messages/:id/reply',
+  authenticate,
+  requireAdmin,
+  ContactController.replyToMessage
+);
+
+// Delete message
+router.delete('/messages/:id',
+  authenticate,
+  requireAdmin,
+  ContactController.deleteMessage
+);
+
+module.exports = router;
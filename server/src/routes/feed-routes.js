@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Feed Routes - Syndication feeds for the blog
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const FeedController = require('../controllers/feed-controller');
+
+const router = express.Router();
+
+/**
+ * Public routes (no authentication required). The site rewrites /feed.xml,
+ * /atom.xml, /feed.json and /blog/{category,tag}/:value/<file> to these.
+ */
+
+// Site-wide feeds
+router.get('/feed.xml', FeedController.getRssFeed);
+router.get('/atom.xml', FeedController.getAtomFeed);
+router.get('/feed.json', FeedController.getJsonFeed);
+
+// Per-category feeds
+router.get('/category/:category/feed.xml', FeedController.getRssFeed);
+router.get('/category/:category/atom.xml', FeedController.getAtomFeed);
+router.get('/category/:category/feed.json', FeedController.getJsonFeed);
+
+// Per-tag feeds
+router.get('/tag/:tag/feed.xml', FeedController.getRssFeed);
+router.get('/tag/:tag/atom.xml', FeedController.getAtomFeed);
+router.get('/tag/:tag/feed.json', FeedController.getJsonFeed);
+
+module.exports = router;
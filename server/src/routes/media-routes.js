@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Media Routes - Image uploads and the admin media library
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const MediaController = require('../controllers/media-controller');
+const { authenticate, authorize } = require('../middleware/auth-middleware');
+const { uploadConfigs, handleUploadError } = require('../middleware/upload-enhanced');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/v1/media/upload
+ * @desc    Upload an image to embed in post content (multipart field "image")
+ * @access  Private (media:upload)
+ */
+router.post('/upload',
+  authenticate,
+  authorize(['media:upload']),
+  uploadConfigs.media,
+  handleUploadError,
+  MediaController.uploadImage
+);
+
+/**
+ * @route   GET /api/v1/media
+ * @desc    List library assets (search, kind, storage, status=orphaned|in-use)
+ * @access  Private (media:upload)
+ */
+router.get('/', authenticate, authorize(['media:upload']), MediaController.getMedia);
+
+/**
+ * @route   POST /api/v1/media/reconcile
+ * @desc    Refresh usage, record untracked assets and optionally purge orphans
+ * @access  Private (media:delete)
+ */
+router.post('/reconcile', authenticate, authorize(['media:delete']), MediaController.reconcile);
+
+/**
+ * @route   GET /api/v1/media/:id
+ * @desc    Get an asset and the documents that reference it
+ * @access  Private (media:upload)
+ */
+router.get('/:id', authenticate, authorize(['media:upload']), MediaController.getMediaById);
+
+/**
+ * @route   PATCH /api/v1/media/:id
+ * @desc    Update an asset's default alt text
+ * @access  Private (media:upload)
+ */
+router.patch('/:id', authenticate, authorize(['media:upload']), MediaController.updateMedia);
+
+/**
+ * @route   DELETE /api/v1/media/:id
+ * @desc    Delete an asset that nothing references any more
+ * @access  Private (media:delete)
+ */
+router.delete('/:id', authenticate, authorize(['media:delete']), MediaController.deleteMedia);
+
+module.exports = router;
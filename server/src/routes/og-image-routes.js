@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Open Graph Image Routes - Generated preview cards
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const OgImageController = require('../controllers/og-image-controller');
+
+const router = express.Router();
+
+/**
+ * Public routes (no authentication required). The site rewrites /og/<file>
+ * to these so cards are served from its own domain.
+ */
+
+router.get('/blog/:slug.png', OgImageController.getBlogImage);
+router.get('/projects/:id.png', OgImageController.getProjectImage);
+
+module.exports = router;
@@ -7,11 +7,32 @@
  */
 
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const PortfolioManagementController = require('../controllers/portfolio-management-controller');
-const { authenticate } = require('../middleware/auth-middleware');
+const ContentArchiveController = require('../controllers/content-archive-controller');
+const ResumeInterchangeController = require('../controllers/resume-interchange-controller');
+const { authenticate, authorize, requireAdmin } = require('../middleware/auth-middleware');
 const { uploadConfigs, processUploads, handleUploadError } = require('../middleware/upload-enhanced');
 
+// Archives are parsed in memory and never written to uploads/ as-is
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB, enough for content plus local media
+    files: 1
+  }
+}).single('archive');
+
+// Resume imports are small text files or a LinkedIn export zip
+const resumeImportUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+    files: 1
+  }
+}).single('file');
+
 // Apply authentication middleware to all routes
 router.use(authenticate);
 
@@ -20,32 +41,33 @@ router.use(authenticate);
 /**
  * @route   GET /api/portfolio-management/overview
  * @desc    Get complete portfolio data
- * @access  Private (Admin)
+ * @access  Private (portfolio:read)
  */
-router.get('/overview', PortfolioManagementController.getCompletePortfolio);
+router.get('/overview', authorize(['portfolio:read']), PortfolioManagementController.getCompletePortfolio);
 
 /**
  * @route   GET /api/portfolio-management/stats
  * @desc    Get portfolio statistics
- * @access  Private (Admin)
+ * @access  Private (portfolio:read)
  */
-router.get('/stats', PortfolioManagementController.getPortfolioStats);
+router.get('/stats', authorize(['portfolio:read']), PortfolioManagementController.getPortfolioStats);
 
 // ==================== PERSONAL INFO ROUTES ====================
 
 /**
  * @route   GET /api/portfolio-management/personal-info
  * @desc    Get personal information
- * @access  Private (Admin)
+ * @access  Private (portfolio:read)
  */
-router.get('/personal-info', PortfolioManagementController.getPersonalInfo);
+router.get('/personal-info', authorize(['portfolio:read']), PortfolioManagementController.getPersonalInfo);
 
 /**
  * @route   POST /api/portfolio-management/personal-info
  * @desc    Create or update personal information
- * @access  Private (Admin)
+ * @access  Private (portfolio:write)
  */
 router.post('/personal-info', 
+  authorize(['portfolio:write']),
   uploadConfigs.personalInfo,
   processUploads,
   handleUploadError,
@@ -55,9 +77,10 @@ router.post('/personal-info',
 /**
  * @route   PUT /api/portfolio-management/personal-info
  * @desc    Update personal information
- * @access  Private (Admin)
+ * @access  Private (portfolio:write)
  */
 router.put('/personal-info', 
+  authorize(['portfolio:write']),
   uploadConfigs.personalInfo,
   processUploads,
   handleUploadError,
@@ -69,83 +92,84 @@ router.put('/personal-info',
 /**
  * @route   GET /api/portfolio-management/social-links
  * @desc    Get all social links
- * @access  Private (Admin)
+ * @access  Private (portfolio:read)
  */
-router.get('/social-links', PortfolioManagementController.getSocialLinks);
+router.get('/social-links', authorize(['portfolio:read']), PortfolioManagementController.getSocialLinks);
 
 /**
  * @route   POST /api/portfolio-management/social-links
  * @desc    Create new social link
- * @access  Private (Admin)
+ * @access  Private (portfolio:write)
  */
-router.post('/social-links', PortfolioManagementController.createSocialLink);
+router.post('/social-links', authorize(['portfolio:write']), PortfolioManagementController.createSocialLink);
 
 /**
  * @route   PUT /api/portfolio-management/social-links/:id
  * @desc    Update social link
- * @access  Private (Admin)
+ * @access  Private (portfolio:write)
  */
-router.put('/social-links/:id', PortfolioManagementController.updateSocialLink);
+router.put('/social-links/:id', authorize(['portfolio:write']), PortfolioManagementController.updateSocialLink);
 
 /**
  * @route   DELETE /api/portfolio-management/social-links/:id
  * @desc    Delete social link
- * @access  Private (Admin)
+ * @access  Private (portfolio:write)
  */
-router.delete('/social-links/:id', PortfolioManagementController.deleteSocialLink);
+router.delete('/social-links/:id', authorize(['portfolio:write']), PortfolioManagementController.deleteSocialLink);
 
 // ==================== SKILLS ROUTES ====================
 
 /**
  * @route   GET /api/portfolio-management/skills
  * @desc    Get all skills
- * @access  Private (Admin)
+ * @access  Private (portfolio:read)
  */
-router.get('/skills', PortfolioManagementController.getSkills);
+router.get('/skills', authorize(['portfolio:read']), PortfolioManagementController.getSkills);
 
 /**
  * @route   POST /api/portfolio-management/skills
  * @desc    Create new skill
- * @access  Private (Admin)
+ * @access  Private (portfolio:write)
  */
-router.post('/skills', PortfolioManagementController.createSkill);
+router.post('/skills', authorize(['portfolio:write']), PortfolioManagementController.createSkill);
 
 /**
  * @route   PUT /api/portfolio-management/skills/:id
  * @desc    Update skill
- * @access  Private (Admin)
+ * @access  Private (portfolio:write)
  */
-router.put('/skills/:id', PortfolioManagementController.updateSkill);
+router.put('/skills/:id', authorize(['portfolio:write']), PortfolioManagementController.updateSkill);
 
 /**
  * @route   DELETE /api/portfolio-management/skills/:id
  * @desc    Delete skill
- * @access  Private (Admin)
+ * @access  Private (portfolio:write)
  */
-router.delete('/skills/:id', PortfolioManagementController.deleteSkill);
+router.delete('/skills/:id', authorize(['portfolio:write']), PortfolioManagementController.deleteSkill);
 
 // ==================== PROJECTS ROUTES ====================
 
 /**
  * @route   GET /api/portfolio-management/projects
  * @desc    Get all projects
- * @access  Private (Admin)
+ * @access  Private (portfolio:read)
  */
-router.get('/projects', PortfolioManagementController.getProjects);
+router.get('/projects', authorize(['portfolio:read']), PortfolioManagementController.getProjects);
 
 /**
  * @route   GET /api/portfolio-management/projects/:id
  * @desc    Get single project by ID
- * @access  Private (Admin)
+ * @access  Private (portfolio:read)
  */
-router.get('/projects/:id', PortfolioManagementController.getProject);
+router.get('/projects/:id', authorize(['portfolio:read']), PortfolioManagementController.getProject);
 
 /**
  * @route   POST /api/portfolio-management/projects
  * @desc    Create new project
- * @access  Private (Admin)
+ * @access  Private (portfolio:write)
  */
 router.post('/projects',
+  authorize(['portfolio:write']),
   uploadConfigs.project,
   processUploads,
   handleUploadError,
@@ -155,9 +179,10 @@ router.post('/projects',
 /**
  * @route   PUT /api/portfolio-management/projects/:id
  * @desc    Update project
- * @access  Private (Admin)
+ * @access  Private (portfolio:write)
  */
 router.put('/projects/:id',
+  authorize(['portfolio:write']),
   uploadConfigs.project,
   processUploads,
   handleUploadError,
@@ -167,25 +192,26 @@ router.put('/projects/:id',
 /**
  * @route   DELETE /api/portfolio-management/projects/:id
  * @desc    Delete project
- * @access  Private (Admin)
+ * @access  Private (portfolio:write)
  */
-router.delete('/projects/:id', PortfolioManagementController.deleteProject);
+router.delete('/projects/:id', authorize(['portfolio:write']), PortfolioManagementController.deleteProject);
 
 // ==================== EXPERIENCE ROUTES ====================
 
 /**
  * @route   GET /api/portfolio-management/experience
  * @desc    Get all experience entries
- * @access  Private (Admin)
+ * @access  Private (portfolio:read)
  */
-router.get('/experience', PortfolioManagementController.getExperience);
+router.get('/experience', authorize(['portfolio:read']), PortfolioManagementController.getExperience);
 
 /**
  * @route   POST /api/portfolio-management/experience
  * @desc    Create new experience entry
- * @access  Private (Admin)
+ * @access  Private (portfolio:write)
  */
 router.post('/experience',
+  authorize(['portfolio:write']),
   uploadConfigs.experience,
   handleUploadError,
   PortfolioManagementController.createExperience
@@ -194,9 +220,10 @@ router.post('/experience',
 /**
  * @route   PUT /api/portfolio-management/experience/:id
  * @desc    Update experience entry
- * @access  Private (Admin)
+ * @access  Private (portfolio:write)
  */
 router.put('/experience/:id',
+  authorize(['portfolio:write']),
   uploadConfigs.experience,
   handleUploadError,
   PortfolioManagementController.updateExperience
@@ -205,24 +232,91 @@ router.put('/experience/:id',
 /**
  * @route   DELETE /api/portfolio-management/experience/:id
  * @desc    Delete experience entry
- * @access  Private (Admin)
+ * @access  Private (portfolio:write)
  */
-router.delete('/experience/:id', PortfolioManagementController.deleteExperience);
+router.delete('/experience/:id', authorize(['portfolio:write']), PortfolioManagementController.deleteExperience);
+
+// ==================== ORDERING ROUTES ====================
+
+/**
+ * @route   PATCH /api/portfolio-management/:collection/reorder
+ * @desc    Save the display order of social-links, skills, projects or experience from an ordered ID list
+ * @access  Private (portfolio:write)
+ */
+router.patch('/:collection/reorder', authorize(['portfolio:write']), PortfolioManagementController.reorderCollection);
 
 // ==================== RESUME MANAGEMENT ROUTES ====================
 
 /**
  * @route   GET /api/portfolio-management/resume/download
- * @desc    Download resume file
- * @access  Private (Admin)
+ * @desc    Download resume file (?source=generated&template= for the generated PDF)
+ * @access  Private (portfolio:read)
  */
-router.get('/resume/download', PortfolioManagementController.downloadResume);
+router.get('/resume/download', authorize(['portfolio:read']), PortfolioManagementController.downloadResume);
 
 /**
  * @route   GET /api/portfolio-management/resume/view
- * @desc    View resume in browser
+ * @desc    View resume in browser (?source=generated&template= for the generated PDF)
+ * @access  Private (portfolio:read)
+ */
+router.get('/resume/view', authorize(['portfolio:read']), PortfolioManagementController.viewResume);
+
+/**
+ * @route   GET /api/portfolio-management/resume/settings
+ * @desc    Get the public resume source and generator templates
+ * @access  Private (Admin)
+ */
+router.get('/resume/settings', requireAdmin, PortfolioManagementController.getResumeSettings);
+
+/**
+ * @route   PUT /api/portfolio-management/resume/settings
+ * @desc    Serve the uploaded or the generated resume, and pick its template
+ * @access  Private (Admin)
+ */
+router.put('/resume/settings', requireAdmin, PortfolioManagementController.updateResumeSettings);
+
+/**
+ * @route   POST /api/portfolio-management/resume/import/preview
+ * @desc    Review a JSON Resume file or LinkedIn export before importing it
+ * @access  Private (Admin)
+ */
+router.post('/resume/import/preview', requireAdmin, resumeImportUpload, ResumeInterchangeController.previewImport);
+
+/**
+ * @route   POST /api/portfolio-management/resume/import
+ * @desc    Import the reviewed items
+ * @access  Private (Admin)
+ */
+router.post('/resume/import', requireAdmin, ResumeInterchangeController.importItems);
+
+/**
+ * @route   GET /api/portfolio-management/resume/export/json-resume
+ * @desc    Download the portfolio as JSON Resume
+ * @access  Private (Admin)
+ */
+router.get('/resume/export/json-resume', requireAdmin, ResumeInterchangeController.exportJsonResume);
+
+// ==================== BACKUP & RESTORE ROUTES ====================
+
+/**
+ * @route   GET /api/portfolio-management/export
+ * @desc    Download portfolio and blog content (?format=json|zip&media=true)
+ * @access  Private (Admin)
+ */
+router.get('/export', requireAdmin, ContentArchiveController.exportContent);
+
+/**
+ * @route   POST /api/portfolio-management/import/preview
+ * @desc    Validate an archive and preview the changes (multipart: archive, mode)
+ * @access  Private (Admin)
+ */
+router.post('/import/preview', requireAdmin, archiveUpload, ContentArchiveController.previewImport);
+
+/**
+ * @route   POST /api/portfolio-management/import
+ * @desc    Import an archive, merging into or replacing existing content
  * @access  Private (Admin)
  */
-router.get('/resume/view', PortfolioManagementController.viewResume);
+router.post('/import', requireAdmin, archiveUpload, ContentArchiveController.importContent);
 
 module.exports = router;
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Series Routes - API endpoints for multi-part blog series
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const SeriesController = require('../controllers/series-controller');
+const { authenticate, authorize } = require('../middleware/auth-middleware');
+
+const router = express.Router();
+
+/**
+ * Public routes (no authentication required)
+ */
+
+// Series landing page
+router.get('/public/:slug', SeriesController.getPublicSeries);
+
+/**
+ * Protected routes (authentication required)
+ */
+
+// List series for the blog editor
+router.get('/', authenticate, authorize(['blog:write']), SeriesController.getAllSeries);
+
+// Create series
+router.post('/', authenticate, authorize(['blog:write']), SeriesController.createSeries);
+
+// Update series details or post order
+router.put('/:id', authenticate, authorize(['blog:write']), SeriesController.updateSeries);
+
+// Delete series (posts are kept)
+router.delete('/:id', authenticate, authorize(['blog:delete']), SeriesController.deleteSeries);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Sitemap Routes - sitemap.xml for search engines
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const SitemapController = require('../controllers/sitemap-controller');
+
+const router = express.Router();
+
+/**
+ * Public routes (no authentication required). The site rewrites /sitemap.xml
+ * and /sitemaps/<file> to these.
+ */
+
+router.get('/sitemap.xml', SitemapController.getSitemap);
+router.get('/pages.xml', SitemapController.getPagesSitemap);
+router.get('/blog-:page.xml', SitemapController.getBlogSitemap);
+
+module.exports = router;
@@ -7,6 +7,7 @@
 
 const express = require('express');
 const SubscriptionController = require('../controllers/subscription-controller');
+const CampaignController = require('../controllers/campaign-controller');
 const { authenticate, authorize } = require('../middleware/auth-middleware');
 
 const router = express.Router();
@@ -27,6 +28,12 @@ router.post('/unsubscribe/:token', SubscriptionController.unsubscribe);
 // Update subscriber preferences (with token)
 router.put('/preferences/:token', SubscriptionController.updatePreferences);
 
+// Email open tracking pixel (signed per-subscriber, per-send token)
+router.get('/track/open/:token', SubscriptionController.trackOpen);
+
+// Email click tracking redirect
+router.get('/track/click/:token', SubscriptionController.trackClick);
+
 /**
  * Admin routes (authentication + authorization required)
  */
@@ -52,4 +59,39 @@ router.post('/send-newsletter',
   SubscriptionController.sendNewsletter
 );
 
+// List newsletter campaigns with progress
+router.get('/campaigns', 
+  authenticate, 
+  authorize(['analytics:view']), 
+  CampaignController.getCampaigns
+);
+
+// Get progress of a single campaign
+router.get('/campaigns/:id', 
+  authenticate, 
+  authorize(['analytics:view']), 
+  CampaignController.getCampaignProgress
+);
+
+// Pause a running campaign
+router.patch('/campaigns/:id/pause', 
+  authenticate, 
+  authorize(['blog:write']), 
+  CampaignController.pauseCampaign
+);
+
+// Resume a paused campaign
+router.patch('/campaigns/:id/resume', 
+  authenticate, 
+  authorize(['blog:write']), 
+  CampaignController.resumeCampaign
+);
+
+// Cancel a campaign
+router.patch('/campaigns/:id/cancel', 
+  authenticate, 
+  authorize(['blog:write']), 
+  CampaignController.cancelCampaign
+);
+
 module.exports = router;
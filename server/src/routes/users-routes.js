@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Users Routes - Admin panel user management endpoints
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const UsersController = require('../controllers/users-controller');
+const { authenticate, authorize } = require('../middleware/auth-middleware');
+
+const router = express.Router();
+
+// Every user management route requires users:manage
+router.use(authenticate, authorize(['users:manage']));
+
+/**
+ * @route   GET /api/v1/users/roles
+ * @desc    Get assignable roles and permissions
+ * @access  Private (users:manage)
+ */
+router.get('/roles', UsersController.getRoles);
+
+/**
+ * @route   GET /api/v1/users
+ * @desc    List users with search, role and status filters
+ * @access  Private (users:manage)
+ */
+router.get('/', UsersController.getUsers);
+
+/**
+ * @route   POST /api/v1/users
+ * @desc    Invite a new user by email
+ * @access  Private (users:manage)
+ */
+router.post('/', UsersController.inviteUser);
+
+/**
+ * @route   GET /api/v1/users/:id
+ * @desc    Get a single user
+ * @access  Private (users:manage)
+ */
+router.get('/:id', UsersController.getUserById);
+
+/**
+ * @route   PATCH /api/v1/users/:id
+ * @desc    Update name, role, permissions or active state
+ * @access  Private (users:manage)
+ */
+router.patch('/:id', UsersController.updateUser);
+
+/**
+ * @route   PATCH /api/v1/users/:id/unlock
+ * @desc    Clear failed login attempts and lift an account lock
+ * @access  Private (users:manage)
+ */
+router.patch('/:id/unlock', UsersController.unlockUser);
+
+/**
+ * @route   POST /api/v1/users/:id/resend-invitation
+ * @desc    Send a new invitation link to a user who has not signed in yet
+ * @access  Private (users:manage)
+ */
+router.post('/:id/resend-invitation', UsersController.resendInvitation);
+
+module.exports = router;
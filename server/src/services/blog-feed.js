@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Blog Feed - RSS 2.0, Atom and JSON Feed output for published
+ * posts, site-wide or narrowed to a category or tag
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const { marked } = require('marked');
+const Blog = require('../models/Blog');
+const Category = require('../models/Category');
+const { escapeXml } = require('../utils/xml');
+const { NotFoundError } = require('../errors/custom-errors');
+
+const FEED_LIMIT = 20;
+const FEED_FILES = { rss: 'feed.xml', atom: 'atom.xml', json: 'feed.json' };
+
+const siteUrl = () => (process.env.FRONTEND_URL || 'https://jasilmeledath.dev').replace(/\/+$/, '');
+const apiBaseUrl = () => (process.env.API_BASE_URL || '').replace(/\/+$/, '');
+
+// jsdom is heavy, so the sanitizer is only built once a feed is first rendered
+let purifier = null;
+
+/**
+ * Make a link from post content absolute. Uploads are served by the API,
+ * everything else relative belongs to the site.
+ * @param {string} url - URL as written in the post
+ * @returns {string} Absolute URL
+ */
+const toAbsoluteUrl = (url) => {
+  if (!url || /^[a-z][a-z0-9+.-]*:/i.test(url) || url.startsWith('//') || url.startsWith('#')) {
+    return url;
+  }
+
+  const base = url.startsWith('/uploads/') && apiBaseUrl() ? apiBaseUrl() : siteUrl();
+  return new URL(url, `${base}/`).toString();
+};
+
+/**
+ * DOMPurify bound to a jsdom window, rewriting relative links as it goes
+ * @returns {Object} DOMPurify instance
+ */
+const getPurifier = () => {
+  if (!purifier) {
+    const createDOMPurify = require('dompurify');
+    const { JSDOM } = require('jsdom');
+
+    purifier = createDOMPurify(new JSDOM('').window);
+    purifier.addHook('afterSanitizeAttributes', (node) => {
+      ['href', 'src'].forEach(attribute => {
+        if (node.hasAttribute(attribute)) {
+          node.setAttribute(attribute, toAbsoluteUrl(node.getAttribute(attribute)));
+        }
+      });
+    });
+  }
+
+  return purifier;
+};
+
+/**
+ * Post content as sanitized HTML that reads correctly outside the site
+ * @param {string} content - Markdown (or HTML) content
+ * @returns {string} HTML
+ */
+const renderContent = (content = '') => {
+  const html = marked.parse(content, { mangle: false, headerIds: false });
+  return getPurifier().sanitize(html);
+};
+
+const authorName = (author) => {
+  return [author?.firstName, author?.lastName].filter(Boolean).join(' ') || 'Jasil Meledath';
+};
+
+/**
+ * Blog Feed Class
+ * @class BlogFeed
+ */
+class BlogFeed {
+  /**
+   * Work out which posts a feed covers and where it lives
+   * @param {Object} params - Route params
+   * @param {string} [params.category] - Category slug
+   * @param {string} [params.tag] - Tag
+   * @returns {Promise<Object>} { filter, title, htmlUrl, path }
+   * @throws {NotFoundError} When the category does not exist
+   */
+  static async resolveScope({ category, tag } = {}) {
+    const siteTitle = process.env.SITE_TITLE || 'Jasil Meledath - Full Stack Developer';
+
+    if (category) {
+      const slug = category.toLowerCase();
+      const found = await Category.findOne({ slug }).select('name').lean();
+      if (!found) {
+        throw new NotFoundError('Feed not found', 'Feed');
+      }
+
+      return {
+        filter: { categories: slug },
+        title: `${siteTitle} - ${found.name}`,
+        htmlUrl: `${siteUrl()}/blog?category=${encodeURIComponent(slug)}`,
+        path: `/blog/category/${encodeURIComponent(slug)}`
+      };
+    }
+
+    if (tag) {
+      const value = tag.toLowerCase().trim();
+
+      return {
+        filter: { tags: value },
+        title: `${siteTitle} - #${value}`,
+        htmlUrl: `${siteUrl()}/blog?tag=${encodeURIComponent(value)}`,
+        path: `/blog/tag/${encodeURIComponent(value)}`
+      };
+    }
+
+    return {
+      filter: {},
+      title: siteTitle,
+      htmlUrl: `${siteUrl()}/blog`,
+      path: ''
+    };
+  }
+
+  /**
+   * The posts a feed would list, with a version that changes whenever any
+   * of them is edited, published or removed. Cheap enough to run before
+   * deciding whether the feed has to be rendered at all.
+   * @param {Object} scope - From resolveScope
+   * @returns {Promise<Object>} { ids, version, lastModified }
+   */
+  static async getVersion(scope) {
+    const posts = await Blog.find({ ...scope.filter, status: 'published' })
+      .select('_id updatedAt')
+      .sort({ publishedAt: -1, _id: -1 })
+      .limit(FEED_LIMIT)
+      .lean();
+
+    const hash = crypto.createHash('sha1').update(`${scope.title};`);
+    posts.forEach(post => hash.update(`${post._id}:${new Date(post.updatedAt).getTime()};`));
+
+    const newest = posts.reduce((latest, post) => Math.max(latest, new Date(post.updatedAt).getTime()), 0);
+
+    return {
+      ids: posts.map(post => post._id),
+      version: hash.digest('hex').slice(0, 16),
+      lastModified: newest ? new Date(newest) : null
+    };
+  }
+
+  /**
+   * Render a feed
+   * @param {string} format - 'rss', 'atom' or 'json'
+   * @param {Object} scope - From resolveScope
+   * @param {Array} ids - Post IDs from getVersion, newest first
+   * @returns {Promise<string>} Feed document
+   */
+  static async render(format, scope, ids) {
+    const blogs = await Blog.find({ _id: { $in: ids } })
+      .populate('author', 'firstName lastName')
+      .lean();
+
+    // Keep getVersion's order, which $in does not preserve
+    const order = new Map(ids.map((id, index) => [id.toString(), index]));
+    blogs.sort((a, b) => order.get(a._id.toString()) - order.get(b._id.toString()));
+
+    const items = blogs.map(blog => ({
+      id: blog._id.toString(),
+      url: `${siteUrl()}/blog/${blog.slug}`,
+      title: blog.title,
+      summary: blog.excerpt,
+      html: renderContent(blog.content),
+      image: blog.featuredImage?.url && !blog.featuredImage.url.endsWith('/placeholder.svg')
+        ? toAbsoluteUrl(blog.featuredImage.url)
+        : null,
+      author: authorName(blog.author),
+      categories: [...(blog.categories || []), ...(blog.tags || [])],
+      published: new Date(blog.publishedAt || blog.createdAt),
+      updated: new Date(blog.updatedAt)
+    }));
+
+    const feed = {
+      ...scope,
+      description: process.env.SITE_DESCRIPTION || 'Articles on web development, JavaScript and building for the web',
+      feedUrl: (fileFormat) => `${siteUrl()}${scope.path}/${FEED_FILES[fileFormat]}`,
+      updated: items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), new Date(0)),
+      items
+    };
+
+    if (format === 'atom') return BlogFeed.toAtom(feed);
+    if (format === 'json') return BlogFeed.toJsonFeed(feed);
+    return BlogFeed.toRss(feed);
+  }
+
+  /**
+   * @param {Object} feed - Feed built by render
+   * @returns {string} RSS 2.0 XML
+   */
+  static toRss(feed) {
+    const items = feed.items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(item.author)}</dc:creator>
+${item.categories.map(category => `      <category>${escapeXml(category)}</category>`).join('\n')}
+      <description>${escapeXml(item.summary)}</description>
+      <content:encoded>${escapeXml(item.html)}</content:encoded>
+    </item>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.htmlUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>en</language>
+    <lastBuildDate>${(feed.items.length ? feed.updated : new Date()).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.feedUrl('rss'))}" rel="self" type="application/rss+xml" />
+${items}
+  </channel>
+</rss>
+`;
+  }
+
+  /**
+   * @param {Object} feed - Feed built by render
+   * @returns {string} Atom 1.0 XML
+   */
+  static toAtom(feed) {
+    const entries = feed.items.map(item => `  <entry>
+    <id>${escapeXml(`tag:${new URL(siteUrl()).hostname},2025:blog/${item.id}`)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}" />
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+    <author><name>${escapeXml(item.author)}</name></author>
+${item.categories.map(category => `    <category term="${escapeXml(category)}" />`).join('\n')}
+    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.html)}</content>
+  </entry>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.feedUrl('atom'))}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <updated>${(feed.items.length ? feed.updated : new Date()).toISOString()}</updated>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl('atom'))}" />
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.htmlUrl)}" />
+${entries}
+</feed>
+`;
+  }
+
+  /**
+   * @param {Object} feed - Feed built by render
+   * @returns {string} JSON Feed 1.1
+   */
+  static toJsonFeed(feed) {
+    return JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      title: feed.title,
+      home_page_url: feed.htmlUrl,
+      feed_url: feed.feedUrl('json'),
+      description: feed.description,
+      language: 'en',
+      items: feed.items.map(item => ({
+        id: item.id,
+        url: item.url,
+        title: item.title,
+        summary: item.summary,
+        content_html: item.html,
+        ...(item.image && { image: item.image }),
+        date_published: item.published.toISOString(),
+        date_modified: item.updated.toISOString(),
+        authors: [{ name: item.author }],
+        tags: item.categories
+      }))
+    });
+  }
+}
+
+module.exports = BlogFeed;
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Blog Scheduler - Publishes scheduled blog posts when their publish time arrives
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const Blog = require('../models/Blog');
+const EmailService = require('./email-service');
+
+/**
+ * Blog Scheduler Class
+ * @class BlogScheduler
+ * @description Polls for posts in the `scheduled` state whose publishedAt has
+ * passed, flips them to `published` and notifies subscribers exactly as a
+ * manual publish does. Posts that came due while the server was down are
+ * published on the first poll after start-up.
+ */
+class BlogScheduler {
+  /**
+   * @param {Object} [options] - Scheduler options
+   * @param {number} [options.pollIntervalMs=60000] - Delay between checks
+   */
+  constructor(options = {}) {
+    this.pollIntervalMs = options.pollIntervalMs || 60 * 1000;
+
+    this.timer = null;
+    this.currentTick = null;
+  }
+
+  /**
+   * Start checking for due posts
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    setImmediate(() => this.tick());
+
+    console.log('[BlogScheduler] Started');
+  }
+
+  /**
+   * Stop checking and wait for the post being published to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.currentTick) {
+      await this.currentTick;
+    }
+  }
+
+  /**
+   * Publish every post that is due unless the previous check is still running
+   * @returns {Promise<void>}
+   */
+  tick() {
+    if (this.currentTick) return this.currentTick;
+
+    this.currentTick = (async () => {
+      try {
+        let blog;
+        while (this.timer && (blog = await Blog.publishNextDue())) {
+          console.log(`[BlogScheduler] Published scheduled post "${blog.title}"`);
+          await this.notify(blog);
+        }
+      } catch (error) {
+        console.error('[BlogScheduler] Check failed:', error?.message || error);
+      } finally {
+        this.currentTick = null;
+      }
+    })();
+
+    return this.currentTick;
+  }
+
+  /**
+   * Send the new-post notification; failures never roll back the publish
+   * @param {Object} blog - Newly published blog
+   * @returns {Promise<void>}
+   */
+  async notify(blog) {
+    try {
+      await EmailService.notifySubscribersOfNewBlog(blog);
+    } catch (error) {
+      console.error(`[BlogScheduler] Failed to send newsletter emails for "${blog.title}":`, error?.message || error);
+    }
+  }
+}
+
+module.exports = BlogScheduler;
@@ -0,0 +1,354 @@
+/**
+ * @fileoverview Blog Search - Ranked full-text search over published posts with
+ * typo correction, prefix matching, facets and highlighted snippets
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const Blog = require('../models/Blog');
+
+const MAX_QUERY_TERMS = 10;
+const PREFIX_EXPANSIONS = 5;
+const FACET_LIMIT = 20;
+const SNIPPET_LENGTH = 180;
+
+// Words seen in published posts, used for typo correction and prefix matching
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+let vocabularyCache = { terms: null, builtAt: 0 };
+
+/**
+ * Lowercase words of a text
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Words
+ */
+const tokenize = (text = '') => text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Markdown/HTML content as plain text for snippets
+ * @param {string} content - Post content
+ * @returns {string} Plain text
+ */
+const toPlainText = (content = '') => {
+  return content
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/[#>*_`~|]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Edit distance counting adjacent swaps as one edit, giving up past `max`
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance, or max + 1 when further apart
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+
+  return prev[b.length];
+};
+
+/**
+ * Whether a word in the text counts as a hit for a query term; loose enough
+ * to cover the stemming the text index does ("configure" -> "configuration")
+ * @param {string} word - Lowercase word from the text
+ * @param {string} term - Query term
+ * @returns {boolean} Match
+ */
+const matchesTerm = (word, term) => {
+  return word.startsWith(term) || (term.length >= 5 && word.startsWith(term.slice(0, -2)));
+};
+
+/**
+ * Split text into plain and highlighted segments
+ * @param {string} text - Text to highlight
+ * @param {Array<string>} terms - Query terms
+ * @returns {Array<Object>} Segments of { text, highlight }
+ */
+const highlight = (text, terms) => {
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const word = match[0].toLowerCase();
+    if (!terms.some(term => matchesTerm(word, term))) continue;
+
+    if (match.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, match.index), highlight: false });
+    }
+    segments.push({ text: match[0], highlight: true });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), highlight: false });
+  }
+
+  return segments;
+};
+
+/**
+ * Excerpt of the text around the first hit, trimmed to whole words
+ * @param {string} text - Plain text
+ * @param {Array<string>} terms - Query terms
+ * @returns {string|null} Snippet, or null when nothing matches
+ */
+const extractSnippet = (text, terms) => {
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const word = match[0].toLowerCase();
+    if (!terms.some(term => matchesTerm(word, term))) continue;
+
+    let start = Math.max(0, match.index - Math.floor(SNIPPET_LENGTH / 3));
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+  }
+
+  return null;
+};
+
+/**
+ * Blog Search Class
+ * @class BlogSearch
+ */
+class BlogSearch {
+  /**
+   * Word frequencies across published posts, rebuilt every few minutes
+   * @returns {Promise<Map<string, number>>} Word -> occurrence count
+   */
+  static async getVocabulary() {
+    if (vocabularyCache.terms && Date.now() - vocabularyCache.builtAt < VOCABULARY_TTL_MS) {
+      return vocabularyCache.terms;
+    }
+
+    const blogs = await Blog.find({ status: 'published' })
+      .select('title excerpt content tags categories')
+      .lean();
+
+    const terms = new Map();
+    blogs.forEach(blog => {
+      const text = [blog.title, blog.excerpt, toPlainText(blog.content), ...(blog.tags || []), ...(blog.categories || [])].join(' ');
+      tokenize(text)
+        .filter(word => word.length >= 3 && word.length <= 30)
+        .forEach(word => terms.set(word, (terms.get(word) || 0) + 1));
+    });
+
+    vocabularyCache = { terms, builtAt: Date.now() };
+    return terms;
+  }
+
+  /**
+   * Replace unknown words with the closest known one. Words under four
+   * letters are left alone; longer words allow more edits.
+   * @param {Array<string>} terms - Query terms
+   * @param {Map<string, number>} vocabulary - Known words
+   * @returns {Object} { terms, corrected }
+   */
+  static correctTerms(terms, vocabulary) {
+    let corrected = false;
+
+    const result = terms.map(term => {
+      if (term.length < 4 || vocabulary.has(term)) return term;
+
+      const maxDistance = term.length <= 6 ? 1 : 2;
+      let best = null;
+
+      vocabulary.forEach((count, word) => {
+        const distance = editDistance(term, word, maxDistance);
+        if (distance > maxDistance) return;
+
+        if (!best || distance < best.distance || (distance === best.distance && count > best.count)) {
+          best = { word, distance, count };
+        }
+      });
+
+      if (!best) return term;
+      corrected = true;
+      return best.word;
+    });
+
+    return { terms: result, corrected };
+  }
+
+  /**
+   * Most frequent known words starting with a partial word, for search-as-you-type
+   * @param {string} term - Partial word
+   * @param {Map<string, number>} vocabulary - Known words
+   * @returns {Array<string>} Completions
+   */
+  static completeTerm(term, vocabulary) {
+    if (!term || term.length < 2) return [];
+
+    return [...vocabulary.entries()]
+      .filter(([word]) => word !== term && word.startsWith(term))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, PREFIX_EXPANSIONS)
+      .map(([word]) => word);
+  }
+
+  /**
+   * Search published posts
+   * @param {Object} options - Search options
+   * @param {string} options.q - Query text
+   * @param {string} [options.category] - Only results in this category
+   * @param {string} [options.tag] - Only results with this tag
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=10] - Results per page
+   * @returns {Promise<Object>} { query, correctedQuery, results, facets, pagination }
+   */
+  static async search({ q, category, tag, page = 1, limit = 10 }) {
+    const queryTerms = [...new Set(tokenize(q))].slice(0, MAX_QUERY_TERMS);
+    const empty = {
+      query: q,
+      correctedQuery: null,
+      results: [],
+      facets: { categories: [], tags: [] },
+      pagination: { currentPage: page, totalPages: 0, totalResults: 0, hasNextPage: false, hasPrevPage: page > 1 }
+    };
+
+    if (queryTerms.length === 0) {
+      return empty;
+    }
+
+    const vocabulary = await BlogSearch.getVocabulary();
+
+    // The last word may still be being typed: complete it rather than correct it
+    const lastTerm = queryTerms[queryTerms.length - 1];
+    const completions = BlogSearch.completeTerm(lastTerm, vocabulary);
+    const toCorrect = completions.length > 0 ? queryTerms.slice(0, -1) : queryTerms;
+    const { terms: correctedTerms, corrected } = BlogSearch.correctTerms(toCorrect, vocabulary);
+    const terms = completions.length > 0 ? [...correctedTerms, lastTerm] : correctedTerms;
+
+    const searchTerms = [...new Set([...terms, ...completions])];
+
+    // Facets ignore the category/tag filter so other choices keep their counts
+    const resultFilter = {
+      ...(category && { categories: category }),
+      ...(tag && { tags: tag })
+    };
+
+    const [result] = await Blog.aggregate([
+      { $match: { status: 'published', $text: { $search: searchTerms.join(' ') } } },
+      { $addFields: { score: { $meta: 'textScore' } } },
+      {
+        $facet: {
+          results: [
+            { $match: resultFilter },
+            { $sort: { score: -1, publishedAt: -1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $lookup: {
+                from: 'users',
+                localField: 'author',
+                foreignField: '_id',
+                as: 'author'
+              }
+            },
+            { $addFields: { author: { $arrayElemAt: ['$author', 0] } } },
+            {
+              $project: {
+                title: 1,
+                slug: 1,
+                excerpt: 1,
+                content: 1,
+                featuredImage: 1,
+                categories: 1,
+                tags: 1,
+                publishedAt: 1,
+                readTime: 1,
+                views: 1,
+                likes: 1,
+                score: 1,
+                'author._id': 1,
+                'author.firstName': 1,
+                'author.lastName': 1
+              }
+            }
+          ],
+          total: [{ $match: resultFilter }, { $count: 'count' }],
+          categories: [
+            { $unwind: '$categories' },
+            { $group: { _id: '$categories', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: FACET_LIMIT }
+          ],
+          tags: [
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: FACET_LIMIT }
+          ]
+        }
+      }
+    ]);
+
+    const totalResults = result.total[0]?.count || 0;
+    const totalPages = Math.ceil(totalResults / limit);
+
+    const results = result.results.map(({ content, ...blog }) => {
+      const snippet = extractSnippet(toPlainText(content), searchTerms) || blog.excerpt || '';
+
+      return {
+        ...blog,
+        score: Math.round(blog.score * 100) / 100,
+        highlights: {
+          title: highlight(blog.title, searchTerms),
+          snippet: highlight(snippet, searchTerms)
+        }
+      };
+    });
+
+    return {
+      ...empty,
+      correctedQuery: corrected ? terms.join(' ') : null,
+      results,
+      facets: {
+        categories: result.categories.map(({ _id, count }) => ({ value: _id, count })),
+        tags: result.tags.map(({ _id, count }) => ({ value: _id, count }))
+      },
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalResults,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+}
+
+module.exports = BlogSearch;
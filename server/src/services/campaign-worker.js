@@ -0,0 +1,339 @@
+/**
+ * @fileoverview Campaign Worker - Mongo-backed background sender for newsletter campaigns
+ * @author jasilmeledath@gmail.com
+ * @created 2025-08-03
+ * @version 1.0.0
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const Campaign = require('../models/Campaign');
+const Subscriber = require('../models/Subscriber');
+const NewsletterSend = require('../models/NewsletterSend');
+const Blog = require('../models/Blog');
+const EmailService = require('./email-service');
+
+// Network-level failures worth retrying; SMTP 4xx replies are handled separately
+const TRANSIENT_ERROR_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'ECONNRESET', 'ECONNREFUSED', 'EDNS'];
+
+/**
+ * Campaign Worker Class
+ * @class CampaignWorker
+ * @description Polls MongoDB for queued campaigns and delivers them in small
+ * batches. All progress lives in the Campaign document, so a restarted
+ * process picks up where the previous one stopped once its lease expires.
+ * Delivery is at-least-once: a crash between the SMTP hand-off and the
+ * status update can resend that one email.
+ */
+class CampaignWorker {
+  /**
+   * @param {Object} [options] - Worker options
+   * @param {number} [options.pollIntervalMs=5000] - Delay between polls
+   * @param {number} [options.batchSize=25] - Recipients processed per claim
+   * @param {number} [options.leaseMs=60000] - Claim lifetime before another worker may take over
+   * @param {number} [options.maxAttempts=5] - Attempts before a transient failure becomes permanent
+   * @param {number} [options.sendDelayMs=100] - Pause between emails
+   */
+  constructor(options = {}) {
+    this.pollIntervalMs = options.pollIntervalMs || 5000;
+    this.batchSize = options.batchSize || 25;
+    this.leaseMs = options.leaseMs || 60 * 1000;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.sendDelayMs = options.sendDelayMs ?? 100;
+
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.timer = null;
+    this.currentTick = null;
+    this.emailService = null;
+  }
+
+  /**
+   * Start polling for campaigns
+   */
+  start() {
+    if (this.timer) return;
+
+    this.emailService = new EmailService();
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    setImmediate(() => this.tick());
+
+    console.log(`[CampaignWorker] Started (${this.workerId})`);
+  }
+
+  /**
+   * Stop polling and wait for the email in flight to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.currentTick) {
+      await this.currentTick;
+    }
+  }
+
+  /**
+   * Run one poll cycle unless the previous one is still running
+   * @returns {Promise<void>}
+   */
+  tick() {
+    if (this.currentTick) return this.currentTick;
+
+    this.currentTick = (async () => {
+      try {
+        const campaign = await Campaign.claimNext(this.workerId, this.leaseMs);
+        if (campaign) {
+          await this.processBatch(campaign);
+        }
+      } catch (error) {
+        console.error('[CampaignWorker] Poll failed:', error?.message || error);
+      } finally {
+        this.currentTick = null;
+      }
+    })();
+
+    return this.currentTick;
+  }
+
+  /**
+   * Deliver the next batch of due recipients for a claimed campaign
+   * @param {Object} campaign - Claimed campaign (without recipients)
+   * @returns {Promise<void>}
+   */
+  async processBatch(campaign) {
+    try {
+      if (!campaign.startedAt) {
+        await Campaign.updateOne({ _id: campaign._id, startedAt: null }, { $set: { startedAt: new Date() } });
+      }
+
+      const blog = await Blog.findById(campaign.blog);
+      if (!blog) {
+        console.error(`[CampaignWorker] Blog for campaign ${campaign._id} no longer exists, cancelling`);
+        await Campaign.updateOne({ _id: campaign._id }, { $set: { status: 'cancelled', completedAt: new Date() } });
+        return;
+      }
+
+      const dueRecipients = await this.getDueRecipients(campaign._id);
+
+      if (dueRecipients.length === 0) {
+        const hasPending = await Campaign.exists({ _id: campaign._id, 'recipients.status': 'pending' });
+        if (!hasPending) {
+          await this.completeCampaign(campaign);
+        }
+        return;
+      }
+
+      for (const recipient of dueRecipients) {
+        // Stopped mid-batch; the rest stays pending for the next claim
+        if (!this.timer) break;
+
+        const current = await Campaign.findById(campaign._id).select('status').lean();
+        if (!current || current.status !== 'sending') break;
+
+        await this.deliver(campaign, blog, recipient);
+        await this.extendLease(campaign._id);
+
+        if (this.sendDelayMs) {
+          await new Promise(resolve => setTimeout(resolve, this.sendDelayMs));
+        }
+      }
+    } finally {
+      await this.scheduleNextAttempt(campaign._id);
+      await Campaign.releaseLock(campaign._id, this.workerId);
+    }
+  }
+
+  /**
+   * Record when the campaign next has a recipient due, so it isn't claimed
+   * again before then
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<void>}
+   */
+  async scheduleNextAttempt(campaignId) {
+    const [result] = await Campaign.aggregate([
+      { $match: { _id: campaignId } },
+      {
+        $project: {
+          nextAttemptAt: {
+            $min: {
+              $map: {
+                input: {
+                  $filter: {
+                    input: '$recipients',
+                    as: 'recipient',
+                    cond: { $eq: ['$$recipient.status', 'pending'] }
+                  }
+                },
+                as: 'recipient',
+                in: '$$recipient.nextAttemptAt'
+              }
+            }
+          }
+        }
+      }
+    ]);
+
+    if (result?.nextAttemptAt) {
+      await Campaign.updateOne({ _id: campaignId }, { $set: { nextAttemptAt: result.nextAttemptAt } });
+    }
+  }
+
+  /**
+   * Get pending recipients whose next attempt is due
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Array>} Due recipients, at most one batch
+   */
+  async getDueRecipients(campaignId) {
+    const [result] = await Campaign.aggregate([
+      { $match: { _id: campaignId } },
+      {
+        $project: {
+          due: {
+            $slice: [
+              {
+                $filter: {
+                  input: '$recipients',
+                  as: 'recipient',
+                  cond: {
+                    $and: [
+                      { $eq: ['$$recipient.status', 'pending'] },
+                      { $lte: ['$$recipient.nextAttemptAt', new Date()] }
+                    ]
+                  }
+                }
+              },
+              this.batchSize
+            ]
+          }
+        }
+      }
+    ]);
+
+    return result?.due || [];
+  }
+
+  /**
+   * Send the campaign email to one recipient and record the outcome
+   * @param {Object} campaign - Campaign
+   * @param {Object} blog - Blog document
+   * @param {Object} recipient - Recipient subdocument
+   * @returns {Promise<void>}
+   */
+  async deliver(campaign, blog, recipient) {
+    const target = { _id: campaign._id, 'recipients._id': recipient._id };
+    const subscriber = await Subscriber.findById(recipient.subscriber);
+
+    // Subscribers who left after the campaign was queued are skipped, not emailed
+    if (!subscriber || subscriber.status !== 'active') {
+      await Campaign.updateOne(target, {
+        $set: { 'recipients.$.status': 'skipped' },
+        $inc: { skippedCount: 1 }
+      });
+      return;
+    }
+
+    const attempts = recipient.attempts + 1;
+
+    let sendError = null;
+    try {
+      await this.emailService.sendSingleBlogNotification(subscriber, blog, campaign.send);
+    } catch (error) {
+      sendError = error;
+    }
+
+    if (!sendError) {
+      await Campaign.updateOne(target, {
+        $set: {
+          'recipients.$.status': 'sent',
+          'recipients.$.attempts': attempts,
+          'recipients.$.sentAt': new Date(),
+          'recipients.$.lastError': null
+        },
+        $inc: { sentCount: 1 }
+      });
+
+      if (campaign.send) {
+        await NewsletterSend.updateOne({ _id: campaign.send }, { $inc: { sentCount: 1 } });
+      }
+
+      subscriber.recordEmailSent();
+      await subscriber.save();
+      return;
+    }
+
+    const retry = this.isTransientError(sendError) && attempts < this.maxAttempts;
+
+    if (retry) {
+      // Exponential backoff: 1, 2, 4, 8 minutes...
+      const delayMs = Math.pow(2, attempts - 1) * 60 * 1000;
+      await Campaign.updateOne(target, {
+        $set: {
+          'recipients.$.attempts': attempts,
+          'recipients.$.nextAttemptAt': new Date(Date.now() + delayMs),
+          'recipients.$.lastError': sendError.message
+        }
+      });
+    } else {
+      await Campaign.updateOne(target, {
+        $set: {
+          'recipients.$.status': 'failed',
+          'recipients.$.attempts': attempts,
+          'recipients.$.lastError': sendError.message
+        },
+        $inc: { failedCount: 1 }
+      });
+
+      if (campaign.send) {
+        await NewsletterSend.updateOne({ _id: campaign.send }, { $inc: { failedCount: 1 } });
+      }
+    }
+
+    console.error(`[CampaignWorker] Delivery to ${recipient.email} failed (attempt ${attempts}${retry ? ', will retry' : ''}):`, sendError.message);
+  }
+
+  /**
+   * Decide whether a send failure is worth retrying
+   * @param {Error} error - Error thrown by EmailService.sendEmail
+   * @returns {boolean} True for temporary SMTP or network failures
+   */
+  isTransientError(error) {
+    if (error.responseCode) {
+      return error.responseCode >= 400 && error.responseCode < 500;
+    }
+    return TRANSIENT_ERROR_CODES.includes(error.code);
+  }
+
+  /**
+   * Push the worker lease forward while a batch is running
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} Update result
+   */
+  extendLease(campaignId) {
+    return Campaign.updateOne(
+      { _id: campaignId, lockedBy: this.workerId },
+      { $set: { lockedUntil: new Date(Date.now() + this.leaseMs) } }
+    );
+  }
+
+  /**
+   * Mark a campaign as completed
+   * @param {Object} campaign - Campaign
+   * @returns {Promise<void>}
+   */
+  async completeCampaign(campaign) {
+    const completed = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, status: 'sending' },
+      { $set: { status: 'completed', completedAt: new Date() } },
+      { new: true, projection: { recipients: 0 } }
+    );
+
+    if (completed) {
+      console.log(`[CampaignWorker] Campaign ${completed._id} completed: ${completed.sentCount} sent, ${completed.failedCount} failed`);
+    }
+  }
+}
+
+module.exports = CampaignWorker;
@@ -0,0 +1,676 @@
+/**
+ * @fileoverview Content Archive - Versioned export and import of portfolio and blog content
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const fs = require('fs');
+const AdmZip = require('adm-zip');
+const mongoose = require('mongoose');
+const PersonalInfo = require('../models/PersonalInfo');
+const SocialLink = require('../models/SocialLink');
+const Skill = require('../models/Skill');
+const Project = require('../models/Project');
+const Experience = require('../models/Experience');
+const Category = require('../models/Category');
+const Blog = require('../models/Blog');
+const BlogDraft = require('../models/BlogDraft');
+const BlogRevision = require('../models/BlogRevision');
+const Series = require('../models/Series');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const Subscriber = require('../models/Subscriber');
+const Media = require('../models/Media');
+const { ValidationError } = require('../errors/custom-errors');
+const { supportsTransactions } = require('../config/database');
+
+const ARCHIVE_FORMAT = 'portfolio-content-archive';
+
+// Bump when the record shape changes; older archives must keep importing
+const ARCHIVE_VERSION = 1;
+
+const MANIFEST_ENTRY = 'content.json';
+const MEDIA_ENTRY_PREFIX = 'uploads/';
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+// Tied to one database: ids, owners and bookkeeping are never exported
+const ENVIRONMENT_FIELDS = ['_id', '__v', 'id', 'userId', 'author', 'uploadedBy', 'createdAt', 'updatedAt'];
+
+const isoDate = (value) => (value ? new Date(value).toISOString() : '');
+
+/**
+ * Everything an archive can hold, in the order it is applied: categories
+ * before the posts that use them, posts before the series that list them.
+ * `owned` collections belong to the importing user; the rest are site-wide.
+ * `key` identifies a record across databases, `match` finds it by that key.
+ * `keep` fields stay behind on export and are left untouched on import.
+ */
+const COLLECTIONS = [
+  {
+    name: 'media',
+    Model: Media,
+    key: (doc) => doc.publicId || doc.localPath || doc.url,
+    match: (doc) => (doc.publicId ? { publicId: doc.publicId } : doc.localPath ? { localPath: doc.localPath } : { url: doc.url }),
+    label: (doc) => doc.originalName || doc.url,
+    keep: ['usage', 'usageCheckedAt', 'orphanedAt'],
+    // Records only; replacing never deletes files another environment may still serve
+    mergeOnly: true
+  },
+  {
+    name: 'categories',
+    Model: Category,
+    key: (doc) => doc.slug,
+    match: (doc) => ({ slug: doc.slug }),
+    label: (doc) => doc.name
+  },
+  {
+    name: 'blogs',
+    Model: Blog,
+    key: (doc) => doc.slug,
+    match: (doc) => ({ slug: doc.slug }),
+    label: (doc) => doc.title,
+    keep: ['views', 'likes']
+  },
+  {
+    name: 'series',
+    Model: Series,
+    key: (doc) => doc.slug,
+    match: (doc) => ({ slug: doc.slug }),
+    label: (doc) => doc.title
+  },
+  {
+    name: 'personalInfo',
+    Model: PersonalInfo,
+    owned: true,
+    key: () => 'profile',
+    match: () => ({}),
+    label: (doc) => doc.name
+  },
+  {
+    name: 'socialLinks',
+    Model: SocialLink,
+    owned: true,
+    key: (doc) => doc.platform,
+    match: (doc) => ({ platform: doc.platform }),
+    label: (doc) => doc.platform
+  },
+  {
+    name: 'skills',
+    Model: Skill,
+    owned: true,
+    key: (doc) => doc.name,
+    match: (doc) => ({ name: doc.name }),
+    label: (doc) => doc.name
+  },
+  {
+    name: 'projects',
+    Model: Project,
+    owned: true,
+    key: (doc) => doc.title,
+    match: (doc) => ({ title: doc.title }),
+    label: (doc) => doc.title
+  },
+  {
+    name: 'experience',
+    Model: Experience,
+    owned: true,
+    key: (doc) => `${doc.company}|${doc.position}|${isoDate(doc.startDate)}`,
+    match: (doc) => ({ company: doc.company, position: doc.position, startDate: new Date(doc.startDate) }),
+    label: (doc) => `${doc.position} at ${doc.company}`
+  }
+];
+
+const COLLECTIONS_BY_NAME = new Map(COLLECTIONS.map(collection => [collection.name, collection]));
+
+/**
+ * JSON with object keys sorted, so equal records compare equal
+ * @param {*} value - Value to serialise
+ * @returns {string} Canonical JSON
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Content Archive Class
+ * @class ContentArchive
+ */
+class ContentArchive {
+  /**
+   * Collection names an archive may contain
+   * @returns {Array<string>} Names in apply order
+   */
+  static getCollectionNames() {
+    return COLLECTIONS.map(collection => collection.name);
+  }
+
+  /**
+   * Filter that limits a collection to what the user may export or replace
+   * @private
+   */
+  static scopeFilter(collection, userId) {
+    return collection.owned ? { userId } : {};
+  }
+
+  /**
+   * Turn a stored or freshly cast document into an archive record: plain
+   * JSON without ids, owners or the collection's `keep` fields. Series list
+   * their posts by slug.
+   * @private
+   * @param {Object} collection - Entry from COLLECTIONS
+   * @param {Object} doc - Plain document
+   * @param {Map<string, string>} [slugsById] - Blog id to slug, for series
+   * @returns {Object} Archive record
+   */
+  static toRecord(collection, doc, slugsById) {
+    const record = JSON.parse(JSON.stringify(doc, (key, value) => (key === '_id' || key === '__v' ? undefined : value)));
+
+    [...ENVIRONMENT_FIELDS, ...(collection.keep || [])].forEach(field => delete record[field]);
+
+    if (collection.name === 'series') {
+      record.posts = (doc.posts || []).map(id => slugsById.get(String(id))).filter(Boolean);
+    }
+
+    return record;
+  }
+
+  /**
+   * Writable fields of an archive record. Anything tied to the source
+   * database is dropped even if the file was edited to include it; series
+   * posts are resolved separately.
+   * @private
+   */
+  static recordFields(collection, record) {
+    const { posts, ...fields } = record;
+    [...ENVIRONMENT_FIELDS, ...(collection.keep || [])].forEach(field => delete fields[field]);
+    return fields;
+  }
+
+  /**
+   * Ownership fields for a record created by the importing user
+   * @private
+   */
+  static ownership(collection, userId) {
+    if (collection.owned) return { userId };
+    return ['blogs', 'series'].includes(collection.name) ? { author: userId } : {};
+  }
+
+  /**
+   * Cast an archive record through its schema so defaults, trimming and
+   * lowercasing match what would be stored, then back to record form
+   * @private
+   */
+  static normalizeRecord(collection, record) {
+    const doc = new collection.Model(ContentArchive.recordFields(collection, record)).toObject({ virtuals: false, depopulate: true });
+    const normalized = ContentArchive.toRecord(collection, doc, new Map());
+
+    if (collection.name === 'series') {
+      normalized.posts = Array.isArray(record.posts) ? record.posts.map(slug => String(slug).toLowerCase().trim()) : [];
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Export everything the user can manage into an archive manifest
+   * @param {string} userId - Exporting user
+   * @param {Object} [options]
+   * @param {boolean} [options.includeMedia=false] - Include media records and local files
+   * @returns {Promise<Object>} { manifest, mediaFiles } where mediaFiles are paths relative to uploads/
+   */
+  static async exportContent(userId, { includeMedia = false } = {}) {
+    const collections = {};
+    const blogs = await Blog.find().select('slug').lean();
+    const slugsById = new Map(blogs.map(blog => [String(blog._id), blog.slug]));
+
+    for (const collection of COLLECTIONS) {
+      if (collection.name === 'media' && !includeMedia) continue;
+
+      const docs = await collection.Model.find(ContentArchive.scopeFilter(collection, userId)).sort({ _id: 1 }).lean();
+      collections[collection.name] = docs.map(doc => ContentArchive.toRecord(collection, doc, slugsById));
+    }
+
+    const mediaFiles = (collections.media || [])
+      .filter(media => media.storage === 'local' && ContentArchive.resolveUploadPath(media.localPath))
+      .map(media => media.localPath)
+      .filter(localPath => fs.existsSync(ContentArchive.resolveUploadPath(localPath)));
+
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      source: {
+        // Local upload URLs start with this; imports elsewhere rewrite it
+        mediaBaseUrl: (process.env.API_BASE_URL || '').replace(/\/+$/, '')
+      },
+      counts: Object.fromEntries(Object.entries(collections).map(([name, records]) => [name, records.length])),
+      collections
+    };
+
+    return { manifest, mediaFiles };
+  }
+
+  /**
+   * Pack an export into a zip with the manifest and local media files
+   * @param {Object} exported - Result of exportContent
+   * @returns {Buffer} Zip file
+   */
+  static toZip({ manifest, mediaFiles }) {
+    const zip = new AdmZip();
+
+    zip.addFile(MANIFEST_ENTRY, Buffer.from(JSON.stringify(manifest, null, 2), 'utf8'));
+    mediaFiles.forEach(localPath => {
+      zip.addFile(`${MEDIA_ENTRY_PREFIX}${localPath}`, fs.readFileSync(ContentArchive.resolveUploadPath(localPath)));
+    });
+
+    return zip.toBuffer();
+  }
+
+  /**
+   * Absolute path for a path relative to uploads/, or null when it would
+   * land outside it
+   * @private
+   */
+  static resolveUploadPath(localPath) {
+    if (typeof localPath !== 'string' || !localPath) return null;
+
+    const filePath = path.resolve(UPLOADS_DIR, localPath);
+    return filePath.startsWith(UPLOADS_DIR + path.sep) ? filePath : null;
+  }
+
+  /**
+   * Read an uploaded archive (zip or bare JSON) and check its envelope.
+   * Upload URLs from the source environment are rewritten to this one.
+   * @param {Buffer} buffer - Uploaded file
+   * @returns {Object} { manifest, mediaFiles } where mediaFiles maps localPath to file contents getter
+   * @throws {ValidationError} When the file is not a readable archive
+   */
+  static readArchive(buffer) {
+    let manifest;
+    const mediaFiles = new Map();
+
+    try {
+      if (buffer.subarray(0, 4).toString('binary') === 'PK\u0003\u0004') {
+        const zip = new AdmZip(buffer);
+        const manifestEntry = zip.getEntry(MANIFEST_ENTRY);
+
+        if (!manifestEntry) {
+          throw new ValidationError(`Zip archive has no ${MANIFEST_ENTRY}`);
+        }
+
+        manifest = JSON.parse(manifestEntry.getData().toString('utf8'));
+
+        zip.getEntries()
+          .filter(entry => !entry.isDirectory && entry.entryName.startsWith(MEDIA_ENTRY_PREFIX))
+          .forEach(entry => mediaFiles.set(entry.entryName.slice(MEDIA_ENTRY_PREFIX.length), () => entry.getData()));
+      } else {
+        manifest = JSON.parse(buffer.toString('utf8'));
+      }
+    } catch (error) {
+      if (error instanceof ValidationError) throw error;
+      throw new ValidationError(`Archive could not be read: ${error.message}`);
+    }
+
+    if (!manifest || manifest.format !== ARCHIVE_FORMAT) {
+      throw new ValidationError('File is not a portfolio content archive');
+    }
+    if (!Number.isInteger(manifest.version) || manifest.version < 1) {
+      throw new ValidationError('Archive has no valid version');
+    }
+    if (manifest.version > ARCHIVE_VERSION) {
+      throw new ValidationError(`Archive version ${manifest.version} is newer than this server supports (${ARCHIVE_VERSION})`);
+    }
+    if (!manifest.collections || typeof manifest.collections !== 'object' || Array.isArray(manifest.collections)) {
+      throw new ValidationError('Archive has no collections');
+    }
+
+    const sourceBase = manifest.source?.mediaBaseUrl;
+    const targetBase = (process.env.API_BASE_URL || '').replace(/\/+$/, '');
+
+    if (sourceBase && targetBase && sourceBase !== targetBase) {
+      manifest.collections = JSON.parse(
+        JSON.stringify(manifest.collections).split(`${sourceBase}/uploads/`).join(`${targetBase}/uploads/`)
+      );
+    }
+
+    return { manifest, mediaFiles };
+  }
+
+  /**
+   * Collections in the archive, in apply order, with their normalised records
+   * @private
+   */
+  static collectionsIn(manifest) {
+    return COLLECTIONS
+      .filter(collection => Array.isArray(manifest.collections[collection.name]))
+      .map(collection => ({ collection, records: manifest.collections[collection.name] }));
+  }
+
+  /**
+   * Check every record against its schema and against the rest of the
+   * archive. Nothing is written.
+   * @param {Object} archive - Result of readArchive
+   * @param {string} userId - Importing user
+   * @param {string} mode - 'merge' or 'replace'
+   * @returns {Promise<Object>} { valid, errors, warnings }
+   */
+  static async validate({ manifest, mediaFiles }, userId, mode) {
+    const errors = [];
+    const warnings = [];
+    const keysByCollection = new Map();
+
+    Object.keys(manifest.collections)
+      .filter(name => !COLLECTIONS_BY_NAME.has(name))
+      .forEach(name => warnings.push(`Unknown collection "${name}" is ignored`));
+
+    Object.entries(manifest.collections)
+      .filter(([name, records]) => COLLECTIONS_BY_NAME.has(name) && !Array.isArray(records))
+      .forEach(([name]) => errors.push({ collection: name, messages: ['Collection must be an array'] }));
+
+    for (const { collection, records } of ContentArchive.collectionsIn(manifest)) {
+      const keys = new Set();
+
+      for (const [index, record] of records.entries()) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+          errors.push({ collection: collection.name, index, messages: ['Record must be an object'] });
+          continue;
+        }
+
+        const normalized = ContentArchive.normalizeRecord(collection, record);
+        const key = collection.key(normalized);
+
+        if (keys.has(key)) {
+          errors.push({ collection: collection.name, index, key, messages: ['Duplicate record in archive'] });
+          continue;
+        }
+        keys.add(key);
+
+        const doc = new collection.Model({
+          ...ContentArchive.recordFields(collection, record),
+          ...ContentArchive.ownership(collection, userId)
+        });
+
+        try {
+          // Categories are checked against the archive below, not the database
+          await doc.validate(undefined, { pathsToSkip: collection.name === 'blogs' ? ['categories'] : [] });
+        } catch (error) {
+          errors.push({
+            collection: collection.name,
+            index,
+            key,
+            messages: error.errors ? Object.values(error.errors).map(e => e.message) : [error.message]
+          });
+        }
+
+        if (collection.name === 'media' && normalized.storage === 'local') {
+          if (!ContentArchive.resolveUploadPath(normalized.localPath)) {
+            errors.push({ collection: collection.name, index, key, messages: ['Local media path must stay inside uploads/'] });
+          } else if (!mediaFiles.has(normalized.localPath) && !fs.existsSync(ContentArchive.resolveUploadPath(normalized.localPath))) {
+            warnings.push(`Media file ${normalized.localPath} is not in the archive or on this server; its record is imported without it`);
+          }
+        }
+      }
+
+      keysByCollection.set(collection.name, keys);
+    }
+
+    // What will exist once the import is done, for cross-references
+    const finalKeys = async (name, field) => {
+      const existing = await COLLECTIONS_BY_NAME.get(name).Model.distinct(field);
+      const imported = keysByCollection.get(name);
+
+      if (!imported) return new Set(existing);
+      return mode === 'replace' ? imported : new Set([...existing, ...imported]);
+    };
+
+    const categorySlugs = await finalKeys('categories', 'slug');
+    const blogSlugs = await finalKeys('blogs', 'slug');
+
+    const listed = (name) => (Array.isArray(manifest.collections[name]) ? manifest.collections[name] : []);
+
+    listed('blogs').forEach((record, index) => {
+      const missing = (Array.isArray(record?.categories) ? record.categories : [])
+        .map(slug => String(slug).toLowerCase().trim())
+        .filter(slug => !categorySlugs.has(slug));
+
+      if (missing.length > 0) {
+        errors.push({ collection: 'blogs', index, key: String(record?.slug).toLowerCase().trim(), messages: [`Unknown categories: ${missing.join(', ')}`] });
+      }
+    });
+
+    if (mode === 'replace' && keysByCollection.has('categories') && !keysByCollection.has('blogs')) {
+      const stranded = (await Blog.distinct('categories')).filter(slug => !categorySlugs.has(slug));
+
+      if (stranded.length > 0) {
+        errors.push({ collection: 'categories', messages: [`Existing posts use categories missing from the archive: ${stranded.join(', ')}`] });
+      }
+    }
+
+    const seriesPosts = new Set();
+    listed('series').forEach((record, index) => {
+      const posts = Array.isArray(record?.posts) ? record.posts.map(slug => String(slug).toLowerCase().trim()) : [];
+      const messages = [];
+
+      const missing = posts.filter(slug => !blogSlugs.has(slug));
+      if (missing.length > 0) messages.push(`Unknown posts: ${missing.join(', ')}`);
+
+      const shared = posts.filter(slug => seriesPosts.has(slug));
+      if (shared.length > 0) messages.push(`Posts already in another series: ${shared.join(', ')}`);
+      posts.forEach(slug => seriesPosts.add(slug));
+
+      if (messages.length > 0) {
+        errors.push({ collection: 'series', index, key: String(record?.slug).toLowerCase().trim(), messages });
+      }
+    });
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  /**
+   * What importing the archive would change, per collection
+   * @param {Object} archive - Result of readArchive
+   * @param {string} userId - Importing user
+   * @param {string} mode - 'merge' or 'replace'
+   * @returns {Promise<Object>} Map of collection name to { create, update, unchanged, delete }
+   */
+  static async diff({ manifest }, userId, mode) {
+    const blogs = await Blog.find().select('slug').lean();
+    const slugsById = new Map(blogs.map(blog => [String(blog._id), blog.slug]));
+    const result = {};
+
+    for (const { collection, records } of ContentArchive.collectionsIn(manifest)) {
+      const existingDocs = await collection.Model.find(ContentArchive.scopeFilter(collection, userId)).lean();
+      const existing = new Map(existingDocs.map(doc => {
+        const record = ContentArchive.toRecord(collection, doc, slugsById);
+        return [collection.key(record), record];
+      }));
+
+      const changes = { create: [], update: [], unchanged: 0, delete: [] };
+      const seen = new Set();
+
+      records.filter(record => record && typeof record === 'object').forEach(record => {
+        const incoming = ContentArchive.normalizeRecord(collection, record);
+        const key = collection.key(incoming);
+        const current = existing.get(key);
+        seen.add(key);
+
+        if (!current) {
+          changes.create.push(collection.label(incoming));
+          return;
+        }
+
+        const fields = [...new Set([...Object.keys(current), ...Object.keys(incoming)])]
+          .filter(field => stableStringify(current[field]) !== stableStringify(incoming[field]));
+
+        if (fields.length > 0) {
+          changes.update.push({ label: collection.label(incoming), fields });
+        } else {
+          changes.unchanged++;
+        }
+      });
+
+      if (mode === 'replace' && !collection.mergeOnly) {
+        existing.forEach((record, key) => {
+          if (!seen.has(key)) changes.delete.push(collection.label(record));
+        });
+      }
+
+      result[collection.name] = changes;
+    }
+
+    return result;
+  }
+
+  /**
+   * Write the archive into the database. Records are matched by key:
+   * matches are overwritten, the rest created. In replace mode, records of
+   * an archived collection that the archive does not contain are deleted;
+   * collections missing from the archive are never touched. On a replica set
+   * the whole import is one transaction; a standalone server deletes nothing
+   * until every record has been written, so a failure part way never leaves
+   * content removed without its replacement.
+   * @param {Object} archive - Result of readArchive (already validated)
+   * @param {string} userId - Importing user
+   * @param {string} mode - 'merge' or 'replace'
+   * @returns {Promise<Object>} Map of collection name to { created, updated, deleted }
+   */
+  static async apply(archive, userId, mode) {
+    if (!supportsTransactions()) {
+      return ContentArchive.applyInSession(archive, userId, mode, null);
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      let summary;
+      // withTransaction retries the callback on transient errors, so it starts from scratch each time
+      await session.withTransaction(async () => {
+        summary = await ContentArchive.applyInSession(archive, userId, mode, session);
+      });
+      return summary;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Write every record, then delete what a replace import dropped
+   * @private
+   * @param {Object} archive - Result of readArchive
+   * @param {string} userId - Importing user
+   * @param {string} mode - 'merge' or 'replace'
+   * @param {mongoose.ClientSession|null} session - Transaction session, if any
+   * @returns {Promise<Object>} Map of collection name to { created, updated, deleted }
+   */
+  static async applyInSession({ manifest, mediaFiles }, userId, mode, session) {
+    const summary = {};
+    const importedKeys = [];
+
+    for (const { collection, records } of ContentArchive.collectionsIn(manifest)) {
+      const counts = { created: 0, updated: 0, deleted: 0 };
+      const scope = ContentArchive.scopeFilter(collection, userId);
+      const keys = new Set();
+
+      for (const record of records) {
+        const fields = ContentArchive.recordFields(collection, record);
+        const normalized = ContentArchive.normalizeRecord(collection, record);
+        keys.add(collection.key(normalized));
+
+        if (collection.name === 'series') {
+          const postDocs = await Blog.find({ slug: { $in: normalized.posts } }).select('slug').session(session).lean();
+          const idsBySlug = new Map(postDocs.map(post => [post.slug, post._id]));
+          fields.posts = normalized.posts.map(slug => idsBySlug.get(slug)).filter(Boolean);
+
+          // A post is in at most one series; the archive's placement wins
+          await Series.updateMany(
+            { slug: { $ne: normalized.slug }, posts: { $in: fields.posts } },
+            { $pull: { posts: { $in: fields.posts } } },
+            { session }
+          );
+        }
+
+        if (collection.name === 'media' && normalized.storage === 'local' && mediaFiles.has(normalized.localPath)) {
+          const filePath = ContentArchive.resolveUploadPath(normalized.localPath);
+          await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+          await fs.promises.writeFile(filePath, mediaFiles.get(normalized.localPath)());
+        }
+
+        const doc = await collection.Model.findOne({ ...scope, ...collection.match(normalized) }).session(session);
+
+        if (doc) {
+          // Owners and the collection's `keep` fields are not part of the record
+          const preserved = Object.fromEntries(
+            ['userId', 'author', 'uploadedBy', ...(collection.keep || [])]
+              .filter(field => doc.get(field) !== undefined)
+              .map(field => [field, doc.get(field)])
+          );
+          // Cast first so fields the record leaves out fall back to defaults, not undefined
+          const { _id, ...incoming } = new collection.Model(fields).toObject({ depopulate: true, virtuals: false });
+          doc.overwrite({ ...incoming, ...preserved });
+          await doc.save({ session });
+          counts.updated++;
+        } else {
+          await collection.Model.create([{ ...fields, ...ContentArchive.ownership(collection, userId) }], { session });
+          counts.created++;
+        }
+      }
+
+      summary[collection.name] = counts;
+      importedKeys.push({ collection, scope, keys });
+    }
+
+    if (mode === 'replace') {
+      for (const { collection, scope, keys } of importedKeys.filter(entry => !entry.collection.mergeOnly)) {
+        const stale = (await collection.Model.find(scope).session(session).lean())
+          .filter(doc => !keys.has(collection.key(ContentArchive.toRecord(collection, doc, new Map()))));
+
+        if (stale.length > 0) {
+          await ContentArchive.removeRecords(collection, stale, session);
+          summary[collection.name].deleted = stale.length;
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Delete records a replace import dropped, with the cleanup a normal
+   * delete of that record would do. Writes run one at a time because a
+   * transaction session does not support parallel operations.
+   * @private
+   * @param {Object} collection - Entry from COLLECTIONS
+   * @param {Array<Object>} docs - Lean documents to delete
+   * @param {mongoose.ClientSession|null} session - Transaction session, if any
+   */
+  static async removeRecords(collection, docs, session) {
+    const ids = docs.map(doc => doc._id);
+
+    if (collection.name === 'blogs') {
+      await BlogRevision.deleteMany({ blog: { $in: ids } }, { session });
+      await BlogDraft.deleteMany({ blog: { $in: ids } }, { session });
+      await Comment.deleteMany({ blog: { $in: ids } }, { session });
+      await Like.deleteMany({ blog: { $in: ids } }, { session });
+      await Series.updateMany({ posts: { $in: ids } }, { $pull: { posts: { $in: ids } } }, { session });
+    }
+
+    if (collection.name === 'categories') {
+      const slugs = docs.map(doc => doc.slug);
+      await BlogDraft.updateMany({ 'data.categories': { $in: slugs } }, { $pull: { 'data.categories': { $in: slugs } } }, { timestamps: false, session });
+      await Subscriber.updateMany({ 'preferences.categories': { $in: slugs } }, { $pull: { 'preferences.categories': { $in: slugs } } }, { timestamps: false, session });
+    }
+
+    await collection.Model.deleteMany({ _id: { $in: ids } }, { session });
+  }
+}
+
+module.exports = ContentArchive;
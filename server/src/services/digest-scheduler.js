@@ -0,0 +1,257 @@
+/**
+ * @fileoverview Digest Scheduler - Daily and weekly digest emails for subscribers who opted out of immediate sends
+ * @author jasilmeledath@gmail.com
+ * @created 2025-08-03
+ * @version 1.0.0
+ */
+
+const Subscriber = require('../models/Subscriber');
+const NewsletterSend = require('../models/NewsletterSend');
+const Blog = require('../models/Blog');
+const EmailService = require('./email-service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Length of each digest period
+ * @constant {Object<string, number>}
+ */
+const DIGEST_PERIODS = {
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS
+};
+
+// receivedBlogs only needs to outlive the digest window, so it is trimmed to this many entries
+const RECEIVED_BLOGS_LIMIT = 200;
+
+/**
+ * Digest Scheduler Class
+ * @class DigestScheduler
+ * @description Wakes up periodically and sends each daily/weekly subscriber one
+ * email with the posts published since their last digest, limited to their
+ * category preferences. Due-ness is derived from timestamps on the subscriber,
+ * so missed runs (restarts, downtime) are caught up on the next poll.
+ */
+class DigestScheduler {
+  /**
+   * @param {Object} [options] - Scheduler options
+   * @param {number} [options.pollIntervalMs=900000] - Delay between checks
+   * @param {number} [options.sendHour=DIGEST_SEND_HOUR|8] - UTC hour digests go out
+   * @param {number} [options.weeklyDay=DIGEST_WEEKLY_DAY|1] - UTC weekday of the weekly digest (0 = Sunday)
+   * @param {number} [options.maxPosts=10] - Posts per digest
+   * @param {number} [options.sendDelayMs=100] - Pause between emails
+   */
+  constructor(options = {}) {
+    this.pollIntervalMs = options.pollIntervalMs || 15 * 60 * 1000;
+    this.sendHour = options.sendHour ?? parseInt(process.env.DIGEST_SEND_HOUR || '8', 10);
+    this.weeklyDay = options.weeklyDay ?? parseInt(process.env.DIGEST_WEEKLY_DAY || '1', 10);
+    this.maxPosts = options.maxPosts || 10;
+    this.sendDelayMs = options.sendDelayMs ?? 100;
+
+    this.timer = null;
+    this.currentTick = null;
+    this.emailService = null;
+  }
+
+  /**
+   * Start checking for due digests
+   */
+  start() {
+    if (this.timer) return;
+
+    this.emailService = new EmailService();
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    setImmediate(() => this.tick());
+
+    console.log(`[DigestScheduler] Started (daily at ${this.sendHour}:00 UTC, weekly on day ${this.weeklyDay})`);
+  }
+
+  /**
+   * Stop checking and wait for the digest in flight to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.currentTick) {
+      await this.currentTick;
+    }
+  }
+
+  /**
+   * Run one check for every frequency unless the previous one is still running
+   * @returns {Promise<void>}
+   */
+  tick() {
+    if (this.currentTick) return this.currentTick;
+
+    this.currentTick = (async () => {
+      try {
+        for (const frequency of Object.keys(DIGEST_PERIODS)) {
+          await this.runDigest(frequency);
+        }
+      } catch (error) {
+        console.error('[DigestScheduler] Run failed:', error?.message || error);
+      } finally {
+        this.currentTick = null;
+      }
+    })();
+
+    return this.currentTick;
+  }
+
+  /**
+   * Most recent scheduled send time at or before now
+   * @param {string} frequency - 'daily' or 'weekly'
+   * @param {Date} [now] - Reference time
+   * @returns {Date} Start of the current digest period
+   */
+  getPeriodStart(frequency, now = new Date()) {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), this.sendHour));
+    if (start > now) {
+      start.setUTCDate(start.getUTCDate() - 1);
+    }
+
+    if (frequency === 'weekly') {
+      const daysSince = (start.getUTCDay() - this.weeklyDay + 7) % 7;
+      start.setUTCDate(start.getUTCDate() - daysSince);
+    }
+
+    return start;
+  }
+
+  /**
+   * Send the digest to every subscriber of one frequency who has not had it this period
+   * @param {string} frequency - 'daily' or 'weekly'
+   * @returns {Promise<number>} Number of digests sent
+   */
+  async runDigest(frequency) {
+    const periodStart = this.getPeriodStart(frequency);
+    let send = null;
+    let sentCount = 0;
+
+    while (this.timer) {
+      // Claiming with lastAttemptAt keeps two processes from emailing the same subscriber
+      const subscriber = await Subscriber.findOneAndUpdate(
+        {
+          status: 'active',
+          'preferences.frequency': frequency,
+          $or: [
+            { 'digest.lastAttemptAt': null },
+            { 'digest.lastAttemptAt': { $lt: periodStart } }
+          ]
+        },
+        { $set: { 'digest.lastAttemptAt': new Date() } },
+        { new: true }
+      );
+
+      if (!subscriber) break;
+
+      const digest = await this.getDigestPosts(subscriber, frequency);
+      if (digest.posts.length === 0) continue;
+
+      if (!send) {
+        send = await NewsletterSend.create({
+          kind: 'digest',
+          subject: `${frequency === 'weekly' ? 'Weekly' : 'Daily'} digest`,
+          recipientCount: 0
+        });
+      }
+
+      if (await this.deliver(subscriber, digest, frequency, send)) {
+        sentCount++;
+      }
+
+      if (this.sendDelayMs) {
+        await new Promise(resolve => setTimeout(resolve, this.sendDelayMs));
+      }
+    }
+
+    if (sentCount > 0) {
+      console.log(`[DigestScheduler] Sent ${sentCount} ${frequency} digest(s)`);
+    }
+
+    return sentCount;
+  }
+
+  /**
+   * Published posts a subscriber has not received yet, at most maxPosts of them
+   * @param {Object} subscriber - Subscriber document
+   * @param {string} frequency - 'daily' or 'weekly'
+   * @returns {Promise<Object>} { posts (newest first), since, moreCount }
+   */
+  async getDigestPosts(subscriber, frequency) {
+    const now = new Date();
+    const since = subscriber.digest?.lastSentAt
+      || new Date(Math.max(subscriber.confirmedAt || 0, now.getTime() - DIGEST_PERIODS[frequency]));
+
+    const query = {
+      status: 'published',
+      publishedAt: { $gt: since, $lte: now },
+      _id: { $nin: subscriber.digest?.receivedBlogs || [] }
+    };
+
+    const categories = subscriber.preferences?.categories || [];
+    if (categories.length > 0) {
+      query.categories = { $in: categories };
+    }
+
+    const posts = await Blog.find(query)
+      .select('title slug excerpt categories publishedAt')
+      .sort({ publishedAt: -1 })
+      .limit(this.maxPosts)
+      .lean();
+
+    const moreCount = posts.length === this.maxPosts
+      ? await Blog.countDocuments(query) - posts.length
+      : 0;
+
+    return { posts, since, moreCount };
+  }
+
+  /**
+   * Email one digest and record what the subscriber received
+   * @param {Object} subscriber - Subscriber document
+   * @param {Object} digest - Result of getDigestPosts
+   * @param {string} frequency - 'daily' or 'weekly'
+   * @param {Object} send - NewsletterSend for this run
+   * @returns {Promise<boolean>} Whether the email was sent
+   */
+  async deliver(subscriber, { posts, since, moreCount }, frequency, send) {
+    await NewsletterSend.updateOne({ _id: send._id }, { $inc: { recipientCount: 1 } });
+
+    try {
+      await this.emailService.sendDigestEmail(subscriber, posts, frequency, send._id, moreCount);
+    } catch (error) {
+      // lastSentAt stays put, so these posts are picked up again next period
+      console.error(`[DigestScheduler] Digest to ${subscriber.email} failed:`, error?.message);
+      await NewsletterSend.updateOne({ _id: send._id }, { $inc: { failedCount: 1 } });
+      return false;
+    }
+
+    // When posts were left out, keep the window where it was so they're sent
+    // next time; receivedBlogs keeps the ones sent now from repeating
+    const now = new Date();
+    await Subscriber.updateOne(
+      { _id: subscriber._id },
+      {
+        $set: { 'digest.lastSentAt': moreCount > 0 ? since : now, lastEmailSent: now },
+        $inc: { emailsSent: 1 },
+        $push: {
+          'digest.receivedBlogs': {
+            $each: posts.map(post => post._id),
+            $slice: -RECEIVED_BLOGS_LIMIT
+          }
+        }
+      }
+    );
+    await NewsletterSend.updateOne({ _id: send._id }, { $inc: { sentCount: 1 } });
+
+    return true;
+  }
+}
+
+module.exports = DigestScheduler;
@@ -8,6 +8,15 @@
 const nodemailer = require('nodemailer');
 const path = require('path');
 const fs = require('fs');
+const NewsletterSend = require('../models/NewsletterSend');
+const Subscriber = require('../models/Subscriber');
+const Comment = require('../models/Comment');
+const ContactMessage = require('../models/ContactMessage');
+const {
+  createTrackingToken,
+  applyEmailTracking,
+  createReplyUnsubscribeToken
+} = require('../utils/email-tracking');
 
 /**
  * Email Service Class
@@ -49,6 +58,7 @@ class EmailService {
           address: process.env.EMAIL_FROM || 'noreply@jasilm.dev'
         },
         to: options.to,
+        replyTo: options.replyTo,
         subject: options.subject,
         html: options.html,
         text: options.text,
@@ -66,7 +76,11 @@ class EmailService {
       };
     } catch (error) {
       console.error('[EmailService] Failed to send email:', error);
-      throw new Error(`Email sending failed: ${error.message}`);
+      const sendError = new Error(`Email sending failed: ${error.message}`);
+      // Keep SMTP/network details so callers can tell transient failures apart
+      sendError.code = error.code;
+      sendError.responseCode = error.responseCode;
+      throw sendError;
     }
   }
 
@@ -107,13 +121,55 @@ class EmailService {
     });
   }
 
+  /**
+   * Send password reset email to an admin user
+   * @param {Object} user - User object
+   * @param {string} resetToken - Plain password reset token
+   * @returns {Promise<Object>} Email result
+   */
+  async sendPasswordResetEmail(user, resetToken) {
+    const resetUrl = `${process.env.FRONTEND_URL || 'https://jasilmeledath.dev'}/admin/reset-password/${resetToken}`;
+
+    const html = this.generatePasswordResetEmailTemplate(user, resetUrl);
+    const text = this.generatePasswordResetEmailText(user, resetUrl);
+
+    return this.sendEmail({
+      to: user.email,
+      subject: '🔐 Reset your admin password',
+      html,
+      text
+    });
+  }
+
+  /**
+   * Send invitation email to a newly created admin panel user
+   * @param {Object} user - Invited user object
+   * @param {string} inviteToken - Plain token used to set the first password
+   * @param {Object} [invitedBy] - User who sent the invitation
+   * @returns {Promise<Object>} Email result
+   */
+  async sendUserInvitationEmail(user, inviteToken, invitedBy = null) {
+    const inviteUrl = `${process.env.FRONTEND_URL || 'https://jasilmeledath.dev'}/admin/reset-password/${inviteToken}`;
+
+    const html = this.generateUserInvitationEmailTemplate(user, inviteUrl, invitedBy);
+    const text = this.generateUserInvitationEmailText(user, inviteUrl, invitedBy);
+
+    return this.sendEmail({
+      to: user.email,
+      subject: "✉️ You've been invited to the admin panel",
+      html,
+      text
+    });
+  }
+
   /**
    * Send new blog notification to a single subscriber
    * @param {Object} subscriber - Subscriber object
    * @param {Object} blog - Blog object
+   * @param {string} [sendId] - NewsletterSend ID; enables open/click tracking
    * @returns {Promise<Object>} Email result
    */
-  async sendSingleBlogNotification(subscriber, blog) {
+  async sendSingleBlogNotification(subscriber, blog, sendId = null) {
     console.log('[EmailService] Sending notification:', {
       subscriberEmail: subscriber?.email,
       blogTitle: blog?.title,
@@ -143,7 +199,11 @@ class EmailService {
       unsubscribeUrl: unsubscribeUrl.substring(0, 50) + '...'
     });
     
-    const html = this.generateBlogNotificationTemplate(subscriber, blog, blogUrl, unsubscribeUrl);
+    const trackingToken = sendId && subscriber._id
+      ? createTrackingToken(subscriber._id.toString(), sendId.toString())
+      : null;
+
+    const html = this.generateBlogNotificationTemplate(subscriber, blog, blogUrl, unsubscribeUrl, trackingToken);
     const text = this.generateBlogNotificationText(subscriber, blog, blogUrl, unsubscribeUrl);
 
     return this.sendEmail({
@@ -154,6 +214,231 @@ class EmailService {
     });
   }
 
+  /**
+   * Send a daily or weekly digest of recent posts to one subscriber
+   * @param {Object} subscriber - Subscriber data
+   * @param {Array<Object>} blogs - Posts to include, newest first
+   * @param {string} frequency - 'daily' or 'weekly'
+   * @param {string} [sendId] - NewsletterSend ID for open/click tracking
+   * @param {number} [moreCount=0] - Unsent posts left out of this digest
+   * @returns {Promise<Object>} Send result
+   */
+  async sendDigestEmail(subscriber, blogs, frequency, sendId = null, moreCount = 0) {
+    if (!subscriber?.email) {
+      throw new Error('Subscriber email is required');
+    }
+
+    if (!blogs || blogs.length === 0) {
+      throw new Error('A digest needs at least one post');
+    }
+
+    const baseUrl = process.env.FRONTEND_URL || 'https://jasilmeledath.dev';
+    const unsubscribeUrl = `${baseUrl}/subscription/unsubscribe/${subscriber.unsubscribeToken}`;
+    const posts = blogs.map(blog => ({ ...blog, url: `${baseUrl}/blog/${blog.slug}` }));
+
+    const trackingToken = sendId && subscriber._id
+      ? createTrackingToken(subscriber._id.toString(), sendId.toString())
+      : null;
+
+    const moreUrl = `${baseUrl}/blog`;
+
+    const html = this.generateDigestTemplate(subscriber, posts, frequency, unsubscribeUrl, trackingToken, { moreCount, moreUrl });
+    const text = this.generateDigestText(subscriber, posts, frequency, unsubscribeUrl, { moreCount, moreUrl });
+
+    return this.sendEmail({
+      to: subscriber.email,
+      subject: EmailService.getDigestSubject(frequency, posts.length),
+      html,
+      text
+    });
+  }
+
+  /**
+   * Tell a commenter that their comment received a reply
+   * @param {Object} parent - Comment that was replied to
+   * @param {Object} reply - Approved reply
+   * @param {Object} blog - Blog with _id, title and slug
+   * @returns {Promise<Object>} Email result
+   */
+  async sendCommentReplyNotification(parent, reply, blog) {
+    const baseUrl = process.env.FRONTEND_URL || 'https://jasilmeledath.dev';
+    const apiBaseUrl = process.env.API_BASE_URL || 'http://localhost:8000';
+    const commentUrl = `${baseUrl}/blog/${blog.slug}#comment-${reply._id}`;
+    const unsubscribeUrl = `${apiBaseUrl}/api/v1/comments/notifications/unsubscribe/${createReplyUnsubscribeToken(blog._id.toString(), parent._id.toString())}`;
+
+    const html = this.generateCommentReplyTemplate(parent, reply, blog, commentUrl, unsubscribeUrl);
+    const text = this.generateCommentReplyText(parent, reply, blog, commentUrl, unsubscribeUrl);
+
+    return this.sendEmail({
+      to: parent.author.email,
+      subject: `💬 ${reply.author.name} replied to your comment on "${blog.title}"`,
+      html,
+      text
+    });
+  }
+
+  /**
+   * Forward a contact form message to the site owner; replying to the
+   * email goes straight to the sender
+   * @param {Object} message - Contact message document
+   * @returns {Promise<Object|null>} Email result, or null when ADMIN_EMAIL is not set
+   */
+  async sendContactNotification(message) {
+    if (!process.env.ADMIN_EMAIL) {
+      console.warn('[EmailService] ADMIN_EMAIL is not set; skipping contact notification');
+      return null;
+    }
+
+    const inboxUrl = `${process.env.FRONTEND_URL || 'https://jasilmeledath.dev'}/admin/inbox?message=${message._id}`;
+
+    return this.sendEmail({
+      to: process.env.ADMIN_EMAIL,
+      replyTo: { name: message.name, address: message.email },
+      subject: `📨 ${message.subject || `New message from ${message.name}`}`,
+      html: this.generateContactNotificationTemplate(message, inboxUrl),
+      text: this.generateContactNotificationText(message, inboxUrl)
+    });
+  }
+
+  /**
+   * Confirm to the sender that their message arrived
+   * @param {Object} message - Contact message document
+   * @returns {Promise<Object>} Email result
+   */
+  async sendContactAutoReply(message) {
+    return this.sendEmail({
+      to: message.email,
+      subject: '✅ Thanks for getting in touch',
+      html: this.generateContactAutoReplyTemplate(message),
+      text: this.generateContactAutoReplyText(message)
+    });
+  }
+
+  /**
+   * Send the owner's reply to a contact message, quoting the original
+   * @param {Object} message - Contact message document
+   * @param {string} body - Reply text
+   * @returns {Promise<Object>} Email result
+   */
+  async sendContactReply(message, body) {
+    const subject = message.subject || 'Your message';
+
+    return this.sendEmail({
+      to: message.email,
+      replyTo: process.env.ADMIN_EMAIL || undefined,
+      subject: /^re:/i.test(subject) ? subject : `Re: ${subject}`,
+      html: this.generateContactReplyTemplate(message, body),
+      text: this.generateContactReplyText(message, body)
+    });
+  }
+
+  /**
+   * Notify the parent commenter about an approved reply, at most once per
+   * reply and only if they opted in. Replying to yourself sends nothing.
+   * @param {Object} blog - Blog with _id, title and slug
+   * @param {Object} reply - Reply comment document
+   * @returns {Promise<Object|null>} Email result, or null when nothing was sent
+   */
+  static async notifyCommentReply(blog, reply) {
+    if (!reply.parentComment || reply.status !== 'approved' || reply.replyNotifiedAt) {
+      return null;
+    }
+
+    const parent = await Comment.findById(reply.parentComment).lean();
+
+    if (!parent || !parent.notifyOnReply || parent.status !== 'approved' ||
+        parent.author.email === reply.author.email) {
+      return null;
+    }
+
+    const emailService = new EmailService();
+    const result = await emailService.sendCommentReplyNotification(parent, reply, blog);
+
+    await Comment.updateOne(
+      { _id: reply._id },
+      { $set: { replyNotifiedAt: new Date() } },
+      { timestamps: false }
+    );
+
+    return result;
+  }
+
+  /**
+   * Forward a new contact message to the owner and confirm receipt to the
+   * sender. The auto-reply goes out once per message; a failed owner
+   * notification does not stop it, since the message is in the inbox anyway.
+   * @param {Object} message - Contact message document (not spam)
+   * @returns {Promise<void>}
+   */
+  static async notifyContactMessage(message) {
+    const emailService = new EmailService();
+
+    try {
+      await emailService.sendContactNotification(message);
+    } catch (error) {
+      console.error('[EmailService] Contact notification failed:', error.message);
+    }
+
+    if (message.autoRepliedAt) {
+      return;
+    }
+
+    await emailService.sendContactAutoReply(message);
+
+    await ContactMessage.updateOne(
+      { _id: message._id },
+      { $set: { autoRepliedAt: new Date() } },
+      { timestamps: false }
+    );
+  }
+
+  /**
+   * Subject line for a digest email
+   * @param {string} frequency - 'daily' or 'weekly'
+   * @param {number} postCount - Number of posts in the digest
+   * @returns {string} Subject line
+   */
+  static getDigestSubject(frequency, postCount) {
+    const label = frequency === 'weekly' ? 'Weekly' : 'Daily';
+    return `📬 ${label} Digest: ${postCount} new post${postCount === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * Notify subscribers on immediate delivery that a blog post went live
+   * @param {Object} blog - Published blog document with author populated
+   * @returns {Promise<Array>} Send results
+   */
+  static async notifySubscribersOfNewBlog(blog) {
+    const subscribers = await Subscriber.findImmediateSubscribers()
+      .select('email firstName unsubscribeToken');
+
+    if (subscribers.length === 0) {
+      return [];
+    }
+
+    return EmailService.sendBlogNotification({
+      blog: {
+        _id: blog._id,
+        title: blog.title,
+        excerpt: blog.excerpt || blog.content.substring(0, 200) + '...',
+        slug: blog.slug,
+        categories: blog.categories,
+        featuredImage: blog.featuredImage?.url || null,
+        publishedAt: blog.publishedAt || blog.updatedAt,
+        author: {
+          name: `${blog.author?.firstName || ''} ${blog.author?.lastName || ''}`.trim(),
+          email: blog.author?.email
+        }
+      },
+      subscribers: subscribers.map(sub => ({
+        _id: sub._id,
+        email: sub.email,
+        firstName: sub.firstName || 'Subscriber',
+        unsubscribeToken: sub.unsubscribeToken
+      }))
+    });
+  }
+
   /**
    * Send blog notification to multiple subscribers
    * @param {Object} data - Notification data
@@ -190,6 +475,19 @@ class EmailService {
     // Create an instance of EmailService for sending emails
     const emailService = new EmailService();
 
+    // Record the send so opens and clicks can be attributed to it
+    let send = null;
+    try {
+      send = await NewsletterSend.create({
+        kind: 'blog-notification',
+        blog: blog._id || null,
+        subject: `📚 New Post: ${blog.title}`,
+        recipientCount: subscribers.length
+      });
+    } catch (error) {
+      console.error('[EmailService] Failed to record newsletter send, continuing without tracking:', error?.message);
+    }
+
     // Send emails to subscribers (with rate limiting to avoid spam detection)
     for (const subscriber of subscribers) {
       try {
@@ -201,8 +499,15 @@ class EmailService {
 
         // Sending blog notification
 
-        const result = await emailService.sendSingleBlogNotification(subscriberData, blog);
+        const result = await emailService.sendSingleBlogNotification(subscriberData, blog, send?._id);
         results.push({ success: true, result });
+
+        if (subscriber._id) {
+          await Subscriber.updateOne(
+            { _id: subscriber._id },
+            { $inc: { emailsSent: 1 }, $set: { lastEmailSent: new Date() } }
+          );
+        }
         
         // Small delay to avoid overwhelming the email server
         if (subscribers.length > 10) {
@@ -216,6 +521,13 @@ class EmailService {
 
     const successCount = results.filter(r => r.success).length;
     // Blog notification sent to subscribers
+
+    if (send) {
+      await NewsletterSend.updateOne(
+        { _id: send._id },
+        { $set: { sentCount: successCount, failedCount: results.length - successCount } }
+      ).catch(error => console.error('[EmailService] Failed to update newsletter send counts:', error?.message));
+    }
     
     return results;
   }
@@ -379,11 +691,155 @@ This email was sent to ${subscriber.email}
   }
 
   /**
-   * Generate blog notification HTML template
+   * Generate password reset email HTML template
+   * @private
+   */
+  generatePasswordResetEmailTemplate(user, resetUrl) {
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Reset Your Password</title>
+        <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f5f5f5; }
+            .container { max-width: 600px; margin: 0 auto; background-color: white; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+            .header { background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; padding: 40px 30px; text-align: center; }
+            .content { padding: 40px 30px; }
+            .button { display: inline-block; background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; text-decoration: none; padding: 15px 30px; border-radius: 8px; font-weight: bold; margin: 20px 0; }
+            .footer { background-color: #f8f9fa; padding: 20px 30px; text-align: center; font-size: 14px; color: #666; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>🔐 Password Reset</h1>
+                <p>Admin panel access</p>
+            </div>
+            <div class="content">
+                <p>Hi ${user.firstName || 'there'},</p>
+                <p>We received a request to reset the password for your admin account. Click the button below to choose a new password:</p>
+                <div style="text-align: center; margin: 30px 0;">
+                    <a href="${resetUrl}" class="button">Reset Password</a>
+                </div>
+                <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
+                <p style="word-break: break-all; background-color: #f8f9fa; padding: 10px; border-radius: 4px; font-family: monospace;">${resetUrl}</p>
+                <p>This link will expire in 10 minutes and can only be used once.</p>
+                <p>If you didn't request a password reset, you can safely ignore this email. Your password will not change.</p>
+            </div>
+            <div class="footer">
+                <p>This email was sent to ${user.email}</p>
+                <p>© 2025 Jasil M. All rights reserved.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * Generate password reset email text template
+   * @private
+   */
+  generatePasswordResetEmailText(user, resetUrl) {
+    return `
+Password Reset
+
+Hi ${user.firstName || 'there'},
+
+We received a request to reset the password for your admin account. Visit this link to choose a new password:
+
+${resetUrl}
+
+This link will expire in 10 minutes and can only be used once.
+
+If you didn't request a password reset, you can safely ignore this email. Your password will not change.
+
+This email was sent to ${user.email}
+© 2025 Jasil M. All rights reserved.
+    `;
+  }
+
+  /**
+   * Generate user invitation email HTML template
+   * @private
+   */
+  generateUserInvitationEmailTemplate(user, inviteUrl, invitedBy) {
+    const inviterName = invitedBy?.firstName ? `${invitedBy.firstName} ${invitedBy.lastName || ''}`.trim() : 'An administrator';
+
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Admin Panel Invitation</title>
+        <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f5f5f5; }
+            .container { max-width: 600px; margin: 0 auto; background-color: white; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+            .header { background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; padding: 40px 30px; text-align: center; }
+            .content { padding: 40px 30px; }
+            .role { display: inline-block; background-color: #ecfdf5; color: #059669; padding: 4px 12px; border-radius: 12px; font-weight: bold; text-transform: capitalize; }
+            .button { display: inline-block; background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; text-decoration: none; padding: 15px 30px; border-radius: 8px; font-weight: bold; margin: 20px 0; }
+            .footer { background-color: #f8f9fa; padding: 20px 30px; text-align: center; font-size: 14px; color: #666; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>✉️ You're Invited</h1>
+                <p>Admin panel access</p>
+            </div>
+            <div class="content">
+                <p>Hi ${user.firstName || 'there'},</p>
+                <p>${inviterName} has invited you to the admin panel as <span class="role">${user.role}</span>. Click the button below to set your password and activate your account:</p>
+                <div style="text-align: center; margin: 30px 0;">
+                    <a href="${inviteUrl}" class="button">Set Up Account</a>
+                </div>
+                <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
+                <p style="word-break: break-all; background-color: #f8f9fa; padding: 10px; border-radius: 4px; font-family: monospace;">${inviteUrl}</p>
+                <p>This invitation expires in 72 hours. After that, ask an administrator to send a new one.</p>
+            </div>
+            <div class="footer">
+                <p>This email was sent to ${user.email}</p>
+                <p>© 2025 Jasil M. All rights reserved.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * Generate user invitation email text template
    * @private
    */
-  generateBlogNotificationTemplate(subscriber, blog, blogUrl, unsubscribeUrl) {
+  generateUserInvitationEmailText(user, inviteUrl, invitedBy) {
+    const inviterName = invitedBy?.firstName ? `${invitedBy.firstName} ${invitedBy.lastName || ''}`.trim() : 'An administrator';
+
     return `
+You're Invited
+
+Hi ${user.firstName || 'there'},
+
+${inviterName} has invited you to the admin panel as ${user.role}. Visit this link to set your password and activate your account:
+
+${inviteUrl}
+
+This invitation expires in 72 hours. After that, ask an administrator to send a new one.
+
+This email was sent to ${user.email}
+© 2025 Jasil M. All rights reserved.
+    `;
+  }
+
+  /**
+   * Generate blog notification HTML template
+   * @private
+   */
+  generateBlogNotificationTemplate(subscriber, blog, blogUrl, unsubscribeUrl, trackingToken = null) {
+    const html = `
     <!DOCTYPE html>
     <html lang="en">
     <head>
@@ -436,6 +892,8 @@ This email was sent to ${subscriber.email}
     </body>
     </html>
     `;
+
+    return trackingToken ? applyEmailTracking(html, trackingToken) : html;
   }
 
   /**
@@ -468,6 +926,370 @@ Unsubscribe: ${unsubscribeUrl}
     `;
   }
 
+  /**
+   * Generate digest HTML template
+   * @private
+   */
+  generateDigestTemplate(subscriber, posts, frequency, unsubscribeUrl, trackingToken = null, { moreCount = 0, moreUrl } = {}) {
+    const period = frequency === 'weekly' ? 'week' : 'day';
+    const html = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${EmailService.getDigestSubject(frequency, posts.length)}</title>
+        <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f5f5f5; }
+            .container { max-width: 600px; margin: 0 auto; background-color: white; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+            .header { background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; padding: 40px 30px; text-align: center; }
+            .content { padding: 40px 30px; }
+            .blog-preview { border: 1px solid #e5e7eb; border-radius: 8px; padding: 20px; margin: 20px 0; }
+            .read-more { color: #059669; font-weight: bold; text-decoration: none; }
+            .footer { background-color: #f8f9fa; padding: 20px 30px; text-align: center; font-size: 14px; color: #666; }
+            .unsubscribe { color: #666; text-decoration: none; font-size: 12px; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>📬 Your ${frequency === 'weekly' ? 'Weekly' : 'Daily'} Digest</h1>
+                <p>Everything published in the last ${period}</p>
+            </div>
+            <div class="content">
+                <p>Hi ${subscriber.firstName || 'there'}! 👋</p>
+                <p>Here ${posts.length === 1 ? 'is the new post' : `are the ${posts.length} new posts`} since your last digest:</p>
+                
+                ${posts.map(post => `
+                <div class="blog-preview">
+                    <h2 style="margin-top: 0; color: #059669;">${post.title}</h2>
+                    <p style="color: #666; margin-bottom: 15px;">${post.excerpt || ''}</p>
+                    ${post.categories && post.categories.length > 0 ? `
+                    <div style="margin-bottom: 15px;">
+                        ${post.categories.map(cat => `<span style="background-color: #f0f9ff; color: #0369a1; padding: 4px 8px; border-radius: 4px; font-size: 12px; margin-right: 5px;">#${cat}</span>`).join('')}
+                    </div>
+                    ` : ''}
+                    <a href="${post.url}" class="read-more">Read article →</a>
+                </div>
+                `).join('')}
+                ${moreCount > 0 ? `
+                <p><a href="${moreUrl}" class="read-more">…and ${moreCount} more post${moreCount === 1 ? '' : 's'} on the blog →</a></p>
+                ` : ''}
+                <p>Happy reading!</p>
+                <p>Best regards,<br>Jasil M</p>
+            </div>
+            <div class="footer">
+                <p>You receive this ${frequency} digest at ${subscriber.email}</p>
+                <p><a href="${unsubscribeUrl}" class="unsubscribe">Unsubscribe</a> | <a href="${process.env.FRONTEND_URL || 'https://jasilmeledath.dev'}" class="unsubscribe">Visit Website</a></p>
+                <p>© 2025 Jasil M. All rights reserved.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+
+    return trackingToken ? applyEmailTracking(html, trackingToken) : html;
+  }
+
+  /**
+   * Generate digest text template
+   * @private
+   */
+  generateDigestText(subscriber, posts, frequency, unsubscribeUrl, { moreCount = 0, moreUrl } = {}) {
+    return `
+Your ${frequency === 'weekly' ? 'Weekly' : 'Daily'} Digest
+
+Hi ${subscriber.firstName || 'there'}!
+
+Here ${posts.length === 1 ? 'is the new post' : `are the ${posts.length} new posts`} since your last digest:
+
+${posts.map(post => `${post.title}
+${post.excerpt || ''}
+Read: ${post.url}`).join('\n\n')}
+${moreCount > 0 ? `\n...and ${moreCount} more post${moreCount === 1 ? '' : 's'}: ${moreUrl}\n` : ''}
+Happy reading!
+
+Best regards,
+Jasil M
+
+---
+You receive this ${frequency} digest at ${subscriber.email}
+Unsubscribe: ${unsubscribeUrl}
+© 2025 Jasil M. All rights reserved.
+    `;
+  }
+
+  /**
+   * Generate comment reply notification HTML template
+   * @private
+   */
+  generateCommentReplyTemplate(parent, reply, blog, commentUrl, unsubscribeUrl) {
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>New reply to your comment</title>
+        <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f5f5f5; }
+            .container { max-width: 600px; margin: 0 auto; background-color: white; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+            .header { background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; padding: 40px 30px; text-align: center; }
+            .content { padding: 40px 30px; }
+            .quote { border-left: 3px solid #e5e7eb; padding: 10px 15px; margin: 15px 0; color: #666; white-space: pre-line; }
+            .reply { border-left: 3px solid #059669; background-color: #ecfdf5; padding: 10px 15px; margin: 15px 0; white-space: pre-line; }
+            .button { display: inline-block; background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; text-decoration: none; padding: 15px 30px; border-radius: 8px; font-weight: bold; margin: 20px 0; }
+            .footer { background-color: #f8f9fa; padding: 20px 30px; text-align: center; font-size: 14px; color: #666; }
+            .unsubscribe { color: #666; text-decoration: none; font-size: 12px; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>💬 New Reply</h1>
+                <p>${blog.title}</p>
+            </div>
+            <div class="content">
+                <p>Hi ${EmailService.escapeHtml(parent.author.name)},</p>
+                <p>You commented:</p>
+                <div class="quote">${EmailService.escapeHtml(parent.content)}</div>
+                <p><strong>${EmailService.escapeHtml(reply.author.name)}</strong>${reply.isAuthorReply ? ' (author)' : ''} replied:</p>
+                <div class="reply">${EmailService.escapeHtml(reply.content)}</div>
+                <div style="text-align: center; margin: 30px 0;">
+                    <a href="${commentUrl}" class="button">View the Conversation</a>
+                </div>
+            </div>
+            <div class="footer">
+                <p>You asked to be notified about replies at ${parent.author.email}</p>
+                <p><a href="${unsubscribeUrl}" class="unsubscribe">Stop notifications for this comment</a></p>
+                <p>© 2025 Jasil M. All rights reserved.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * Generate comment reply notification text template
+   * @private
+   */
+  generateCommentReplyText(parent, reply, blog, commentUrl, unsubscribeUrl) {
+    return `
+New reply on "${blog.title}"
+
+Hi ${parent.author.name},
+
+You commented:
+${parent.content}
+
+${reply.author.name}${reply.isAuthorReply ? ' (author)' : ''} replied:
+${reply.content}
+
+View the conversation: ${commentUrl}
+
+---
+You asked to be notified about replies at ${parent.author.email}
+Stop notifications for this comment: ${unsubscribeUrl}
+© 2025 Jasil M. All rights reserved.
+    `;
+  }
+
+  /**
+   * Generate contact notification HTML template
+   * @private
+   */
+  generateContactNotificationTemplate(message, inboxUrl) {
+    const escape = EmailService.escapeHtml;
+
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>New contact message</title>
+        <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f5f5f5; }
+            .container { max-width: 600px; margin: 0 auto; background-color: white; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+            .header { background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; padding: 30px; text-align: center; }
+            .content { padding: 30px; }
+            .meta { color: #666; font-size: 14px; }
+            .message { border-left: 3px solid #059669; background-color: #ecfdf5; padding: 10px 15px; margin: 15px 0; white-space: pre-line; }
+            .button { display: inline-block; background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; text-decoration: none; padding: 12px 24px; border-radius: 8px; font-weight: bold; margin: 10px 0; }
+            .footer { background-color: #f8f9fa; padding: 20px 30px; text-align: center; font-size: 14px; color: #666; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>📨 New Message</h1>
+                <p>${escape(message.subject || 'No subject')}</p>
+            </div>
+            <div class="content">
+                <p class="meta"><strong>${escape(message.name)}</strong> &lt;${escape(message.email)}&gt;</p>
+                <div class="message">${escape(message.message)}</div>
+                <div style="text-align: center; margin: 20px 0;">
+                    <a href="${inboxUrl}" class="button">Open in Inbox</a>
+                </div>
+            </div>
+            <div class="footer">
+                <p>Reply to this email to answer ${escape(message.name)} directly.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * Generate contact notification text template
+   * @private
+   */
+  generateContactNotificationText(message, inboxUrl) {
+    return `
+New message from ${message.name} <${message.email}>
+Subject: ${message.subject || 'No subject'}
+
+${message.message}
+
+Open in inbox: ${inboxUrl}
+
+---
+Reply to this email to answer ${message.name} directly.
+    `;
+  }
+
+  /**
+   * Generate contact auto-reply HTML template
+   * @private
+   */
+  generateContactAutoReplyTemplate(message) {
+    const escape = EmailService.escapeHtml;
+
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Thanks for getting in touch</title>
+        <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f5f5f5; }
+            .container { max-width: 600px; margin: 0 auto; background-color: white; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+            .header { background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; padding: 40px 30px; text-align: center; }
+            .content { padding: 40px 30px; }
+            .quote { border-left: 3px solid #e5e7eb; padding: 10px 15px; margin: 15px 0; color: #666; white-space: pre-line; }
+            .footer { background-color: #f8f9fa; padding: 20px 30px; text-align: center; font-size: 14px; color: #666; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>✅ Message Received</h1>
+            </div>
+            <div class="content">
+                <p>Hi ${escape(message.name)},</p>
+                <p>Thanks for reaching out. Your message has arrived and I'll get back to you as soon as I can, usually within a couple of days.</p>
+                <p>For reference, you wrote:</p>
+                <div class="quote">${escape(message.message)}</div>
+                <p>Best regards,<br>Jasil</p>
+            </div>
+            <div class="footer">
+                <p>This is an automatic confirmation; there is no need to reply.</p>
+                <p>© 2025 Jasil M. All rights reserved.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * Generate contact auto-reply text template
+   * @private
+   */
+  generateContactAutoReplyText(message) {
+    return `
+Hi ${message.name},
+
+Thanks for reaching out. Your message has arrived and I'll get back to you as soon as I can, usually within a couple of days.
+
+For reference, you wrote:
+${message.message}
+
+Best regards,
+Jasil
+
+---
+This is an automatic confirmation; there is no need to reply.
+© 2025 Jasil M. All rights reserved.
+    `;
+  }
+
+  /**
+   * Generate contact reply HTML template
+   * @private
+   */
+  generateContactReplyTemplate(message, body) {
+    const escape = EmailService.escapeHtml;
+
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${escape(message.subject || 'Your message')}</title>
+        <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f5f5f5; }
+            .container { max-width: 600px; margin: 0 auto; background-color: white; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+            .content { padding: 40px 30px; }
+            .reply { white-space: pre-line; }
+            .quote { border-left: 3px solid #e5e7eb; padding: 10px 15px; margin: 25px 0 0; color: #666; font-size: 14px; white-space: pre-line; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="content">
+                <div class="reply">${escape(body)}</div>
+                <div class="quote">On ${new Date(message.createdAt).toUTCString()}, ${escape(message.name)} wrote:\n${escape(message.message)}</div>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * Generate contact reply text template
+   * @private
+   */
+  generateContactReplyText(message, body) {
+    const quoted = message.message.split('\n').map(line => `> ${line}`).join('\n');
+
+    return `
+${body}
+
+On ${new Date(message.createdAt).toUTCString()}, ${message.name} wrote:
+${quoted}
+    `;
+  }
+
+  /**
+   * Escape user-supplied text for an HTML email body
+   * @param {string} value - Raw text
+   * @returns {string} Escaped text
+   */
+  static escapeHtml(value = '') {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   /**
    * Test email configuration
    * @returns {Promise<boolean>} Configuration test result
@@ -0,0 +1,382 @@
+/**
+ * @fileoverview Media Library - Records uploads, finds where they are referenced and purges orphans
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const fs = require('fs');
+const Media = require('../models/Media');
+const Blog = require('../models/Blog');
+const BlogDraft = require('../models/BlogDraft');
+const BlogRevision = require('../models/BlogRevision');
+const Project = require('../models/Project');
+const PersonalInfo = require('../models/PersonalInfo');
+const Experience = require('../models/Experience');
+const {
+  cloudinary,
+  deleteImage,
+  isCloudinaryConfigured
+} = require('../config/cloudinary');
+const { CustomError } = require('../errors/custom-errors');
+const { HTTP_STATUS } = require('../constants/http-status');
+
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+const TEMP_DIR = path.join(UPLOADS_DIR, 'temp');
+
+// Local folders whose files belong to the library; everything else under uploads/ is left alone
+const LOCAL_MEDIA_FOLDERS = ['media'];
+
+// Cloudinary folders written by the upload middleware and the media endpoint
+const CLOUDINARY_PREFIX = 'portfolio/';
+
+const CLOUDINARY_FOLDER_KINDS = {
+  'portfolio/blog': 'content',
+  'portfolio/avatars': 'avatar',
+  'portfolio/projects': 'project',
+  'portfolio/companies': 'company-logo'
+};
+
+/**
+ * Documents that can reference an asset, and the fields to search.
+ * Free-text fields (post content) are matched by substring so markdown
+ * images and Cloudinary transformation variants count as usage.
+ */
+const REFERENCE_SOURCES = [
+  { name: 'Blog', model: Blog, label: 'title', fields: ['content', 'featuredImage.url', 'seo.ogImage'] },
+  // Unsaved editor work still points at the image even before the post is saved
+  { name: 'BlogDraft', model: BlogDraft, label: 'data.title', fields: ['data.content', 'data.featuredImage.url'] },
+  // Restoring an older revision brings its images back into the post
+  { name: 'BlogRevision', model: BlogRevision, label: 'title', fields: ['content'] },
+  { name: 'Project', model: Project, label: 'title', fields: ['images.url', 'images.publicId', 'thumbnailImage.url', 'thumbnailImage.publicId', 'description', 'longDescription'] },
+  { name: 'PersonalInfo', model: PersonalInfo, label: 'name', fields: ['avatar', 'avatarPublicId', 'avatarThumbnail', 'resumeUrl'] },
+  { name: 'Experience', model: Experience, label: 'company', fields: ['companyLogo'] }
+];
+
+// The reconciliation in progress, shared by the background job and the admin endpoint
+let activeRun = null;
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Read a dotted path from a plain object, flattening arrays on the way
+ * @param {Object} doc - Lean document
+ * @param {string} fieldPath - Dotted path
+ * @returns {Array} Values found at the path
+ */
+const valuesAtPath = (doc, fieldPath) => {
+  return fieldPath.split('.').reduce((values, key) => {
+    return values
+      .flatMap(value => (Array.isArray(value) ? value : [value]))
+      .filter(value => value !== null && value !== undefined)
+      .map(value => value[key]);
+  }, [doc]).flat().filter(value => typeof value === 'string');
+};
+
+/**
+ * Media Library Class
+ * @class MediaLibrary
+ */
+class MediaLibrary {
+  /**
+   * Record an upload in the library. Never throws: a failed record must not
+   * fail the upload it describes, and the reconciler backfills it later.
+   * @param {Object} upload - Upload result (url, publicId, thumbnailUrl, responsiveUrls, ...)
+   * @param {Object} options - Record options
+   * @param {string} options.storage - 'cloudinary' or 'local'
+   * @param {string} [options.kind] - Asset kind
+   * @param {string} [options.localPath] - Path relative to uploads/ for local files
+   * @param {string} [options.uploadedBy] - User ID
+   * @param {string} [options.alt] - Default alt text
+   * @returns {Promise<Media|null>} Media document
+   */
+  static async register(upload, options = {}) {
+    try {
+      return await Media.create({
+        storage: options.storage,
+        kind: options.kind || 'other',
+        url: upload.url,
+        publicId: upload.publicId || undefined,
+        localPath: options.localPath || null,
+        thumbnailUrl: upload.thumbnailUrl || null,
+        responsiveUrls: upload.responsiveUrls || null,
+        originalName: upload.originalName || '',
+        alt: options.alt || '',
+        format: upload.format,
+        bytes: upload.bytes,
+        width: upload.width,
+        height: upload.height,
+        uploadedBy: options.uploadedBy || null
+      });
+    } catch (error) {
+      console.error('[MediaLibrary] Failed to record upload:', error?.message || error);
+      return null;
+    }
+  }
+
+  /**
+   * Find every document that currently references an asset
+   * @param {Media} media - Media document
+   * @returns {Promise<Array<Object>>} Usage entries
+   */
+  static async findReferences(media) {
+    const token = media.getMatchToken();
+    if (!token) return [];
+
+    const pattern = new RegExp(escapeRegExp(token));
+
+    const results = await Promise.all(REFERENCE_SOURCES.map(async (source) => {
+      const docs = await source.model
+        .find({ $or: source.fields.map(field => ({ [field]: pattern })) })
+        .select([source.label, ...source.fields].join(' '))
+        .lean();
+
+      return docs.map(doc => ({
+        model: source.name,
+        document: doc._id,
+        label: valuesAtPath(doc, source.label)[0] || '',
+        fields: source.fields.filter(field => valuesAtPath(doc, field).some(value => value.includes(token)))
+      }));
+    }));
+
+    return results.flat();
+  }
+
+  /**
+   * Refresh the usage snapshot of an asset
+   * @param {Media} media - Media document
+   * @returns {Promise<Media>} Updated media document
+   */
+  static async refreshUsage(media) {
+    media.usage = await MediaLibrary.findReferences(media);
+    media.usageCheckedAt = new Date();
+
+    if (media.usage.length > 0) {
+      media.orphanedAt = null;
+    }
+
+    return media.save();
+  }
+
+  /**
+   * Delete the stored file behind an asset and its library record
+   * @param {Media} media - Media document
+   * @returns {Promise<void>}
+   */
+  static async removeAsset(media) {
+    if (media.storage === 'cloudinary' && media.publicId) {
+      const result = await deleteImage(media.publicId);
+      if (result.result !== 'ok' && result.result !== 'not found') {
+        throw new Error(`Cloudinary refused to delete ${media.publicId}: ${result.result}`);
+      }
+    } else if (media.storage === 'local' && media.localPath) {
+      const filePath = path.join(UPLOADS_DIR, media.localPath);
+
+      // Never follow a stored path outside uploads/
+      if (filePath.startsWith(UPLOADS_DIR + path.sep)) {
+        await fs.promises.unlink(filePath).catch(error => {
+          if (error.code !== 'ENOENT') throw error;
+        });
+      }
+    }
+
+    await Media.deleteOne({ _id: media._id });
+  }
+
+  /**
+   * Record assets that exist in storage or in documents but not in the library yet
+   * @returns {Promise<number>} Number of assets added
+   */
+  static async backfill() {
+    let added = 0;
+
+    const addIfMissing = async (query, record) => {
+      const exists = await Media.exists(query);
+      if (!exists) {
+        await Media.create({ ...record, source: 'backfill' });
+        added += 1;
+      }
+    };
+
+    // Files dropped into the library folders on disk
+    for (const folder of LOCAL_MEDIA_FOLDERS) {
+      const dir = path.join(UPLOADS_DIR, folder);
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+
+      for (const entry of entries.filter(item => item.isFile())) {
+        const localPath = `${folder}/${entry.name}`;
+        const stat = await fs.promises.stat(path.join(dir, entry.name));
+        const baseUrl = (process.env.API_BASE_URL || '').replace(/\/+$/, '');
+
+        await addIfMissing({ localPath }, {
+          storage: 'local',
+          kind: 'content',
+          url: `${baseUrl}/uploads/${localPath}`,
+          localPath,
+          originalName: entry.name,
+          format: path.extname(entry.name).slice(1).toLowerCase(),
+          bytes: stat.size
+        });
+      }
+    }
+
+    // Assets in the Cloudinary folders this app writes to
+    if (isCloudinaryConfigured()) {
+      let nextCursor;
+      do {
+        const page = await cloudinary.api.resources({
+          type: 'upload',
+          prefix: CLOUDINARY_PREFIX,
+          max_results: 500,
+          next_cursor: nextCursor
+        });
+
+        for (const resource of page.resources) {
+          const folder = resource.public_id.split('/').slice(0, -1).join('/');
+          await addIfMissing({ publicId: resource.public_id }, {
+            storage: 'cloudinary',
+            kind: CLOUDINARY_FOLDER_KINDS[folder] || 'other',
+            url: resource.secure_url,
+            publicId: resource.public_id,
+            originalName: resource.public_id.split('/').pop(),
+            format: resource.format,
+            bytes: resource.bytes,
+            width: resource.width,
+            height: resource.height
+          });
+        }
+
+        nextCursor = page.next_cursor;
+      } while (nextCursor);
+    }
+
+    return added;
+  }
+
+  /**
+   * Remove temp upload files that multer left behind after failed requests
+   * @param {number} maxAgeMs - Only files older than this are removed
+   * @returns {Promise<number>} Number of files removed
+   */
+  static async cleanTempFiles(maxAgeMs) {
+    const entries = await fs.promises.readdir(TEMP_DIR, { withFileTypes: true }).catch(() => []);
+    const cutoff = Date.now() - maxAgeMs;
+    let removed = 0;
+
+    for (const entry of entries.filter(item => item.isFile())) {
+      const filePath = path.join(TEMP_DIR, entry.name);
+      const stat = await fs.promises.stat(filePath).catch(() => null);
+
+      if (stat && stat.mtimeMs < cutoff) {
+        await fs.promises.unlink(filePath).catch(() => {});
+        removed += 1;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Whether a reconciliation is running in this process
+   * @returns {boolean} True while a run is in progress
+   */
+  static isReconciling() {
+    return activeRun !== null;
+  }
+
+  /**
+   * Reconcile the library with storage and the referencing documents.
+   * Unreferenced assets are marked orphaned; with `purge` they are deleted
+   * once they have stayed orphaned for the whole grace period. Only one run
+   * may be in progress at a time.
+   * @param {Object} options - Reconcile options
+   * @param {boolean} [options.purge=false] - Delete orphans past the grace period
+   * @param {number} [options.graceMs] - How long an asset must stay unreferenced before purge
+   * @param {Function} [options.shouldContinue] - Return false to stop early (shutdown)
+   * @returns {Promise<Object>} Report { backfilled, checked, orphaned, purged, failed, tempFilesRemoved }
+   * @throws {CustomError} 409 when another reconciliation is still running
+   */
+  static async reconcile(options = {}) {
+    if (activeRun) {
+      throw new CustomError('A media reconciliation is already running', HTTP_STATUS.CONFLICT);
+    }
+
+    activeRun = MediaLibrary.runReconcile(options);
+
+    try {
+      return await activeRun;
+    } finally {
+      activeRun = null;
+    }
+  }
+
+  /**
+   * One reconciliation pass; see reconcile
+   * @private
+   * @param {Object} options - Reconcile options
+   * @returns {Promise<Object>} Report
+   */
+  static async runReconcile(options) {
+    const graceMs = options.graceMs ?? MediaLibrary.getOrphanGraceMs();
+    const shouldContinue = options.shouldContinue || (() => true);
+    const report = { backfilled: 0, checked: 0, orphaned: 0, purged: 0, failed: 0, tempFilesRemoved: 0 };
+
+    report.tempFilesRemoved = await MediaLibrary.cleanTempFiles(24 * 60 * 60 * 1000);
+
+    try {
+      report.backfilled = await MediaLibrary.backfill();
+    } catch (error) {
+      console.error('[MediaLibrary] Backfill failed:', error?.message || error);
+    }
+
+    const now = Date.now();
+    const cursor = Media.find().sort({ _id: 1 }).cursor();
+
+    for (let media = await cursor.next(); media && shouldContinue(); media = await cursor.next()) {
+      report.checked += 1;
+
+      try {
+        await MediaLibrary.refreshUsage(media);
+        if (media.usage.length > 0) continue;
+
+        // Fresh uploads are usually not referenced until the post or project is saved
+        if (now - media.createdAt.getTime() < graceMs) continue;
+
+        if (!media.orphanedAt) {
+          media.orphanedAt = new Date(now);
+          await media.save();
+        }
+        report.orphaned += 1;
+
+        if (options.purge && now - media.orphanedAt.getTime() >= graceMs) {
+          await MediaLibrary.removeAsset(media);
+          report.purged += 1;
+        }
+      } catch (error) {
+        report.failed += 1;
+        console.error(`[MediaLibrary] Failed to reconcile ${media.url}:`, error?.message || error);
+      }
+    }
+
+    await cursor.close();
+    return report;
+  }
+
+  /**
+   * Grace period before an unreferenced asset counts as orphaned, and again before it is purged
+   * @returns {number} Milliseconds
+   */
+  static getOrphanGraceMs() {
+    const days = parseFloat(process.env.MEDIA_ORPHAN_GRACE_DAYS);
+    return (Number.isFinite(days) && days >= 0 ? days : 7) * 24 * 60 * 60 * 1000;
+  }
+}
+
+module.exports = MediaLibrary;
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Media Reconciler - Periodically refreshes media usage and purges orphaned uploads
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const MediaLibrary = require('./media-library');
+
+/**
+ * Media Reconciler Class
+ * @class MediaReconciler
+ * @description Runs MediaLibrary.reconcile on an interval. Orphans are only
+ * flagged for review in the media browser unless MEDIA_PURGE_ORPHANS=true,
+ * which deletes them once they pass the grace period.
+ */
+class MediaReconciler {
+  /**
+   * @param {Object} [options] - Reconciler options
+   * @param {number} [options.intervalMs] - Delay between runs (MEDIA_RECONCILE_INTERVAL_HOURS, default 6h)
+   * @param {boolean} [options.purge] - Delete orphans past the grace period
+   */
+  constructor(options = {}) {
+    const hours = parseFloat(process.env.MEDIA_RECONCILE_INTERVAL_HOURS);
+
+    this.intervalMs = options.intervalMs || (Number.isFinite(hours) && hours > 0 ? hours : 6) * 60 * 60 * 1000;
+    this.purge = options.purge ?? process.env.MEDIA_PURGE_ORPHANS === 'true';
+
+    this.timer = null;
+    this.currentTick = null;
+  }
+
+  /**
+   * Start reconciling
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    setImmediate(() => this.tick());
+
+    console.log('[MediaReconciler] Started');
+  }
+
+  /**
+   * Stop reconciling and wait for a run in progress to reach a safe point
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.currentTick) {
+      await this.currentTick;
+    }
+  }
+
+  /**
+   * Run one reconciliation unless the previous one, or one started from the
+   * media browser, is still running
+   * @returns {Promise<void>}
+   */
+  tick() {
+    if (this.currentTick) return this.currentTick;
+    if (MediaLibrary.isReconciling()) return Promise.resolve();
+
+    this.currentTick = (async () => {
+      try {
+        const report = await MediaLibrary.reconcile({
+          purge: this.purge,
+          shouldContinue: () => !!this.timer
+        });
+
+        if (report.backfilled || report.orphaned || report.purged || report.failed) {
+          console.log('[MediaReconciler] Run finished:', JSON.stringify(report));
+        }
+      } catch (error) {
+        console.error('[MediaReconciler] Run failed:', error?.message || error);
+      } finally {
+        this.currentTick = null;
+      }
+    })();
+
+    return this.currentTick;
+  }
+}
+
+module.exports = MediaReconciler;
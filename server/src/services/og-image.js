@@ -0,0 +1,301 @@
+/**
+ * @fileoverview Open Graph Images - Branded 1200x630 preview cards for blog
+ * posts and projects, rendered with sharp and cached on disk by content hash
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const Blog = require('../models/Blog');
+const Project = require('../models/Project');
+const PersonalInfo = require('../models/PersonalInfo');
+const { escapeXml } = require('../utils/xml');
+const { NotFoundError } = require('../errors/custom-errors');
+
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+const CACHE_DIR = path.join(UPLOADS_DIR, 'og');
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const AVATAR_SIZE = 96;
+
+// Bump when the layout changes so every card is rendered again
+const TEMPLATE_VERSION = 1;
+
+const FONT_FAMILY = "Inter, 'Helvetica Neue', Arial, sans-serif";
+const MAX_SOURCE_IMAGE_BYTES = 5 * 1024 * 1024;
+const SOURCE_IMAGE_TIMEOUT_MS = 5000;
+
+// Renders in progress, so simultaneous crawler hits share one render
+const pendingRenders = new Map();
+
+const siteHost = () => new URL(process.env.FRONTEND_URL || 'https://jasilmeledath.dev').host;
+
+/**
+ * Break text into at most `maxLines` lines of about `maxChars` characters,
+ * ending with an ellipsis when it does not fit
+ * @param {string} text - Text to wrap
+ * @param {number} maxChars - Characters per line
+ * @param {number} maxLines - Line limit
+ * @returns {Array<string>} Lines
+ */
+const wrapText = (text = '', maxChars, maxLines) => {
+  const lines = [];
+  let line = '';
+
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+
+    if (candidate.length <= maxChars || !line) {
+      line = candidate.length > maxChars ? `${candidate.slice(0, maxChars - 1)}…` : candidate;
+      continue;
+    }
+
+    lines.push(line);
+    line = word;
+
+    if (lines.length === maxLines) {
+      break;
+    }
+  }
+
+  if (line && lines.length < maxLines) {
+    lines.push(line);
+  } else if (line) {
+    lines[maxLines - 1] = `${lines[maxLines - 1].replace(/[\s.,;:!?-]*$/, '')}…`;
+  }
+
+  return lines;
+};
+
+/**
+ * Load an image referenced by a document: local uploads from disk, anything
+ * else over HTTP. A missing or broken image just leaves it off the card.
+ * @param {string} url - Image URL
+ * @returns {Promise<Buffer|null>} Image bytes
+ */
+const loadImage = async (url) => {
+  if (!url || url.endsWith('/placeholder.svg')) {
+    return null;
+  }
+
+  try {
+    if (url.startsWith('/uploads/')) {
+      const filePath = path.join(UPLOADS_DIR, decodeURIComponent(url.slice('/uploads/'.length).split('?')[0]));
+      return filePath.startsWith(UPLOADS_DIR + path.sep) ? await fs.promises.readFile(filePath) : null;
+    }
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(SOURCE_IMAGE_TIMEOUT_MS) });
+    if (!response.ok || Number(response.headers.get('content-length')) > MAX_SOURCE_IMAGE_BYTES) {
+      return null;
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    return buffer.length <= MAX_SOURCE_IMAGE_BYTES ? buffer : null;
+  } catch (error) {
+    console.error(`[OgImage] Could not load image ${url}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Card artwork as SVG; photos are composited on top of it by render
+ * @param {Object} card - Card content
+ * @param {boolean} hasBackground - Whether a photo sits underneath
+ * @param {boolean} hasAvatar - Whether the avatar is drawn
+ * @returns {string} SVG markup
+ */
+const buildSvg = (card, hasBackground, hasAvatar) => {
+  const titleSize = card.title.length > 70 ? 56 : 68;
+  const lineHeight = titleSize + 12;
+  // A subtitle takes the third title line so nothing runs into the footer
+  const titleLines = wrapText(card.title, titleSize === 56 ? 34 : 28, card.subtitle ? 2 : 3);
+  const subtitleLines = card.subtitle ? wrapText(card.subtitle, 60, 2) : [];
+  const titleTop = 240;
+  const subtitleTop = titleTop + (titleLines.length - 1) * lineHeight + 52;
+  const footerX = hasAvatar ? 80 + AVATAR_SIZE + 24 : 80;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="#0f172a" stop-opacity="${hasBackground ? 0.92 : 1}" />
+      <stop offset="1" stop-color="#1e3a8a" stop-opacity="${hasBackground ? 0.8 : 1}" />
+    </linearGradient>
+  </defs>
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="url(#bg)" />
+  <rect x="0" y="0" width="12" height="${HEIGHT}" fill="#3b82f6" />
+  <text x="80" y="96" font-family="${FONT_FAMILY}" font-size="28" font-weight="600" fill="#93c5fd">${escapeXml(siteHost())}</text>
+  ${card.label ? `<rect x="80" y="128" rx="20" ry="20" width="${card.label.length * 15 + 48}" height="40" fill="#3b82f6" fill-opacity="0.25" stroke="#3b82f6" />
+  <text x="104" y="156" font-family="${FONT_FAMILY}" font-size="22" font-weight="700" letter-spacing="2" fill="#bfdbfe">${escapeXml(card.label.toUpperCase())}</text>` : ''}
+  ${titleLines.map((line, index) => `<text x="80" y="${titleTop + index * lineHeight}" font-family="${FONT_FAMILY}" font-size="${titleSize}" font-weight="800" fill="#ffffff">${escapeXml(line)}</text>`).join('\n  ')}
+  ${subtitleLines.map((line, index) => `<text x="80" y="${subtitleTop + index * 36}" font-family="${FONT_FAMILY}" font-size="28" fill="#cbd5e1">${escapeXml(line)}</text>`).join('\n  ')}
+  <text x="${footerX}" y="${HEIGHT - 96}" font-family="${FONT_FAMILY}" font-size="30" font-weight="700" fill="#ffffff">${escapeXml(card.author)}</text>
+  ${card.meta ? `<text x="${footerX}" y="${HEIGHT - 58}" font-family="${FONT_FAMILY}" font-size="24" fill="#94a3b8">${escapeXml(card.meta)}</text>` : ''}
+</svg>`;
+};
+
+/**
+ * Open Graph Image Class
+ * @class OgImage
+ */
+class OgImage {
+  /**
+   * Card content for a published post
+   * @param {string} slug - Post slug
+   * @returns {Promise<Object>} Card
+   * @throws {NotFoundError} When the post is not published
+   */
+  static async getBlogCard(slug) {
+    const blog = await Blog.findOne({ slug, status: 'published' })
+      .select('title categories readTime author')
+      .populate('author', 'firstName lastName')
+      .lean();
+
+    if (!blog) {
+      throw new NotFoundError('Blog not found', 'Blog');
+    }
+
+    const profile = await PersonalInfo.findOne({ userId: blog.author?._id }).select('name avatar').lean();
+
+    return {
+      kind: 'blog',
+      id: blog._id.toString(),
+      label: blog.categories?.[0]?.replace(/-/g, ' ') || 'Blog',
+      title: blog.title,
+      subtitle: null,
+      author: profile?.name || [blog.author?.firstName, blog.author?.lastName].filter(Boolean).join(' ') || 'Jasil Meledath',
+      meta: `${blog.readTime || 1} min read`,
+      avatarUrl: profile?.avatar || null,
+      backgroundUrl: null
+    };
+  }
+
+  /**
+   * Card content for an active project
+   * @param {string} id - Project ID
+   * @returns {Promise<Object>} Card
+   * @throws {NotFoundError} When the project does not exist or is hidden
+   */
+  static async getProjectCard(id) {
+    const project = await Project.findOne({ _id: id, isActive: true })
+      .select('title description technologies images thumbnailImage userId')
+      .lean();
+
+    if (!project) {
+      throw new NotFoundError('Project not found', 'Project');
+    }
+
+    const profile = await PersonalInfo.findOne({ userId: project.userId }).select('name avatar').lean();
+
+    return {
+      kind: 'project',
+      id: project._id.toString(),
+      label: 'Project',
+      title: project.title,
+      subtitle: project.description,
+      author: profile?.name || 'Jasil Meledath',
+      meta: (project.technologies || []).slice(0, 5).map(tech => tech.name).join(' · '),
+      avatarUrl: profile?.avatar || null,
+      backgroundUrl: project.images?.[0]?.url || project.thumbnailImage?.url || null
+    };
+  }
+
+  /**
+   * Hash of everything that shows on the card
+   * @param {Object} card - Card content
+   * @returns {string} Hex hash
+   */
+  static hashCard(card) {
+    return crypto
+      .createHash('sha1')
+      .update(JSON.stringify({ ...card, host: siteHost(), version: TEMPLATE_VERSION }))
+      .digest('hex')
+      .slice(0, 20);
+  }
+
+  /**
+   * Render a card to PNG
+   * @param {Object} card - Card content
+   * @returns {Promise<Buffer>} PNG bytes
+   */
+  static async render(card) {
+    // Native module; only loaded when a card actually needs drawing
+    const sharp = require('sharp');
+
+    const [avatar, background] = await Promise.all([
+      loadImage(card.avatarUrl),
+      loadImage(card.backgroundUrl)
+    ]);
+
+    const layers = [];
+
+    const circularAvatar = avatar && await sharp(avatar)
+      .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'cover' })
+      .composite([{
+        input: Buffer.from(`<svg width="${AVATAR_SIZE}" height="${AVATAR_SIZE}"><circle cx="${AVATAR_SIZE / 2}" cy="${AVATAR_SIZE / 2}" r="${AVATAR_SIZE / 2}" /></svg>`),
+        blend: 'dest-in'
+      }])
+      .png()
+      .toBuffer()
+      .catch(() => null);
+
+    layers.push({ input: Buffer.from(buildSvg(card, !!background, !!circularAvatar)), top: 0, left: 0 });
+
+    if (circularAvatar) {
+      layers.push({ input: circularAvatar, top: HEIGHT - 80 - AVATAR_SIZE, left: 80 });
+    }
+
+    const base = background
+      ? sharp(background).resize(WIDTH, HEIGHT, { fit: 'cover' }).blur(2)
+      : sharp({ create: { width: WIDTH, height: HEIGHT, channels: 4, background: '#0f172a' } });
+
+    // Flatten first so the overlay is composited onto the resized photo
+    const canvas = await base.png().toBuffer().catch(() => (
+      sharp({ create: { width: WIDTH, height: HEIGHT, channels: 4, background: '#0f172a' } }).png().toBuffer()
+    ));
+
+    return sharp(canvas).composite(layers).png().toBuffer();
+  }
+
+  /**
+   * Path of the cached PNG for a card, rendering it first when the content
+   * has changed. Older renders of the same post or project are removed.
+   * @param {Object} card - Card content
+   * @returns {Promise<Object>} { filePath, hash }
+   */
+  static async getImage(card) {
+    const hash = OgImage.hashCard(card);
+    const prefix = `${card.kind}-${card.id}-`;
+    const filePath = path.join(CACHE_DIR, `${prefix}${hash}.png`);
+
+    if (fs.existsSync(filePath)) {
+      return { filePath, hash };
+    }
+
+    if (!pendingRenders.has(hash)) {
+      const renderJob = (async () => {
+        await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+
+        const png = await OgImage.render(card);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, png);
+        await fs.promises.rename(tempPath, filePath);
+
+        const stale = (await fs.promises.readdir(CACHE_DIR))
+          .filter(name => name.startsWith(prefix) && name !== path.basename(filePath));
+        await Promise.all(stale.map(name => fs.promises.unlink(path.join(CACHE_DIR, name)).catch(() => {})));
+      })().finally(() => pendingRenders.delete(hash));
+
+      pendingRenders.set(hash, renderJob);
+    }
+
+    await pendingRenders.get(hash);
+    return { filePath, hash };
+  }
+}
+
+module.exports = OgImage;
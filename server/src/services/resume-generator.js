@@ -0,0 +1,385 @@
+/**
+ * @fileoverview Resume Generator - Renders the portfolio's profile, experience,
+ * skills and featured projects into a PDF resume, cached on disk by content hash
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const slugify = require('slugify');
+const PersonalInfo = require('../models/PersonalInfo');
+const Experience = require('../models/Experience');
+const Skill = require('../models/Skill');
+const Project = require('../models/Project');
+const SocialLink = require('../models/SocialLink');
+const { NotFoundError, ValidationError } = require('../errors/custom-errors');
+
+const CACHE_DIR = path.join(__dirname, '../../uploads/resumes/generated');
+
+// Bump when a layout changes so every resume is rendered again
+const TEMPLATE_VERSION = 1;
+
+const MAX_FEATURED_PROJECTS = 4;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const SKILL_CATEGORY_LABELS = {
+  frontend: 'Frontend',
+  backend: 'Backend',
+  tools: 'Tools',
+  design: 'Design',
+  other: 'Other'
+};
+
+/**
+ * Layouts. Both use the PDF standard fonts, which need no font files but
+ * only cover Latin-1 characters.
+ */
+const TEMPLATES = {
+  classic: {
+    name: 'Classic',
+    description: 'Serif type, centred header, black and white. Prints well.',
+    fonts: { regular: 'Times-Roman', bold: 'Times-Bold', italic: 'Times-Italic' },
+    colors: { text: '#111111', muted: '#444444', heading: '#111111', rule: '#111111', link: '#111111' },
+    headerAlign: 'center',
+    headerBand: null,
+    nameSize: 24,
+    headingUppercase: true
+  },
+  modern: {
+    name: 'Modern',
+    description: 'Sans-serif type with a coloured header band and accents.',
+    fonts: { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' },
+    colors: { text: '#1f2937', muted: '#6b7280', heading: '#2563eb', rule: '#bfdbfe', link: '#2563eb' },
+    headerAlign: 'left',
+    headerBand: { fill: '#1e3a8a', text: '#ffffff', muted: '#bfdbfe' },
+    nameSize: 26,
+    headingUppercase: false
+  }
+};
+
+const TEMPLATE_IDS = PersonalInfo.schema.path('resumeTemplate').enumValues;
+
+// Renders in progress, so simultaneous downloads share one render
+const pendingRenders = new Map();
+
+/**
+ * "Jan 2023" style month and year
+ * @param {Date|string} date - Date
+ * @returns {string} Formatted date, or an empty string
+ */
+const formatMonth = (date) => {
+  if (!date) return '';
+  const value = new Date(date);
+  return Number.isNaN(value.getTime()) ? '' : `${MONTHS[value.getUTCMonth()]} ${value.getUTCFullYear()}`;
+};
+
+/**
+ * Date range for an experience entry
+ * @param {Object} entry - Experience entry
+ * @returns {string} e.g. "Mar 2021 - Present"
+ */
+const formatRange = ({ startDate, endDate, isCurrent }) => {
+  const start = formatMonth(startDate);
+  const end = isCurrent || !endDate ? 'Present' : formatMonth(endDate);
+  return start ? `${start} - ${end}` : end;
+};
+
+/**
+ * Resume Generator Class
+ * @class ResumeGenerator
+ */
+class ResumeGenerator {
+  /**
+   * Available templates for the admin picker
+   * @returns {Array<Object>} { id, name, description }
+   */
+  static getTemplates() {
+    return TEMPLATE_IDS.map(id => ({ id, name: TEMPLATES[id].name, description: TEMPLATES[id].description }));
+  }
+
+  /**
+   * Throw unless `template` is a known template
+   * @param {string} template - Template ID
+   * @throws {ValidationError} For unknown templates
+   */
+  static assertTemplate(template) {
+    if (!TEMPLATE_IDS.includes(template)) {
+      throw new ValidationError(`Invalid template. Must be ${TEMPLATE_IDS.join(' or ')}`);
+    }
+  }
+
+  /**
+   * Download file name for a resume, e.g. "jane-doe-resume.pdf"
+   * @param {string} [name] - Profile name
+   * @param {string} [extension='pdf'] - File extension
+   * @returns {string} File name
+   */
+  static fileName(name, extension = 'pdf') {
+    const slug = name ? slugify(name, { lower: true, strict: true }) : '';
+    return slug ? `${slug}-resume.${extension}` : `resume.${extension}`;
+  }
+
+  /**
+   * Everything that appears on a user's resume. Only printed fields are
+   * kept, so unrelated edits do not invalidate the cached PDF.
+   * @param {string} userId - Portfolio owner ID
+   * @returns {Promise<Object>} Resume content
+   * @throws {NotFoundError} When the user has no personal info
+   */
+  static async getResumeData(userId) {
+    const [profile, experience, skills, projects, socialLinks] = await Promise.all([
+      PersonalInfo.findOne({ userId }).lean(),
+      Experience.find({ userId }).sort({ order: 1, startDate: -1 }).lean(),
+      Skill.find({ userId, isActive: true }).sort({ order: 1, level: -1, name: 1 }).lean(),
+      Project.find({ userId, isActive: true, isFeatured: true })
+        .sort({ order: 1, createdAt: -1 })
+        .limit(MAX_FEATURED_PROJECTS)
+        .lean(),
+      SocialLink.find({ userId, isActive: true }).sort({ order: 1 }).lean()
+    ]);
+
+    if (!profile) {
+      throw new NotFoundError('Add your personal info before generating a resume', 'PersonalInfo');
+    }
+
+    const skillGroups = Object.keys(SKILL_CATEGORY_LABELS)
+      .map(category => ({
+        label: SKILL_CATEGORY_LABELS[category],
+        skills: skills.filter(skill => (skill.category || 'other') === category).map(skill => skill.name)
+      }))
+      .filter(group => group.skills.length > 0);
+
+    return {
+      name: profile.name,
+      title: profile.title || '',
+      summary: profile.description || '',
+      contact: [profile.location, profile.email, profile.phone].filter(Boolean),
+      links: socialLinks.map(link => ({ label: link.url.replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, ''), url: link.url })),
+      experience: experience.map(entry => ({
+        position: entry.position,
+        company: entry.company,
+        location: entry.location || '',
+        dates: formatRange(entry),
+        description: entry.description || '',
+        achievements: entry.achievements || [],
+        technologies: entry.technologies || []
+      })),
+      skillGroups,
+      projects: projects.map(project => ({
+        title: project.title,
+        description: project.description || '',
+        technologies: (project.technologies || []).map(tech => tech.name),
+        url: project.liveUrl || project.githubUrl || project.demoUrl || null
+      }))
+    };
+  }
+
+  /**
+   * Hash of the resume content and layout
+   * @param {Object} data - Resume content
+   * @param {string} template - Template ID
+   * @returns {string} Hex hash
+   */
+  static hashResume(data, template) {
+    return crypto
+      .createHash('sha1')
+      .update(JSON.stringify({ data, template, version: TEMPLATE_VERSION }))
+      .digest('hex')
+      .slice(0, 20);
+  }
+
+  /**
+   * Render a resume to PDF
+   * @param {Object} data - Resume content
+   * @param {string} template - Template ID
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  static render(data, template) {
+    // Only loaded when a resume actually needs drawing
+    const PDFDocument = require('pdfkit');
+    const style = TEMPLATES[template];
+    const { fonts, colors } = style;
+
+    const doc = new PDFDocument({
+      size: 'A4',
+      margins: { top: 48, bottom: 48, left: 54, right: 54 },
+      info: { Title: `${data.name} - Resume`, Author: data.name }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    // Header
+    if (style.headerBand) {
+      const bandHeight = data.title ? 118 : 96;
+      doc.rect(0, 0, doc.page.width, bandHeight).fill(style.headerBand.fill);
+      doc.y = 30;
+    }
+
+    const headerColors = style.headerBand || { text: colors.text, muted: colors.muted };
+
+    doc.font(fonts.bold).fontSize(style.nameSize).fillColor(headerColors.text)
+      .text(data.name, left, doc.y, { width, align: style.headerAlign });
+
+    if (data.title) {
+      doc.font(fonts.regular).fontSize(13).fillColor(headerColors.muted)
+        .text(data.title, { width, align: style.headerAlign });
+    }
+
+    doc.moveDown(0.3);
+    const contactLine = [...data.contact, ...data.links.map(link => link.label)].join('  |  ');
+    if (contactLine) {
+      doc.font(fonts.regular).fontSize(9.5).fillColor(headerColors.muted)
+        .text(contactLine, { width, align: style.headerAlign });
+    }
+
+    if (style.headerBand) {
+      doc.y = Math.max(doc.y, data.title ? 118 : 96) + 12;
+    } else {
+      doc.moveDown(0.6);
+    }
+
+    const heading = (text) => {
+      // Keep a heading on the same page as the first lines under it
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 60) {
+        doc.addPage();
+      } else {
+        doc.moveDown(0.6);
+      }
+      doc.font(fonts.bold).fontSize(12).fillColor(colors.heading)
+        .text(style.headingUppercase ? text.toUpperCase() : text, left, doc.y, { width, characterSpacing: style.headingUppercase ? 1 : 0 });
+      const ruleY = doc.y + 2;
+      doc.moveTo(left, ruleY).lineTo(left + width, ruleY).lineWidth(0.75).strokeColor(colors.rule).stroke();
+      doc.y = ruleY + 6;
+    };
+
+    const body = (text, options = {}) => {
+      const indent = options.indent || 0;
+      doc.font(options.font || fonts.regular).fontSize(options.size || 10).fillColor(options.color || colors.text)
+        .text(text, left + indent, doc.y, { width: width - indent, lineGap: 1.5 });
+    };
+
+    // Title on the left, dates flush right on the same line
+    const entryTitle = (title, aside) => {
+      const y = doc.y;
+      doc.font(fonts.regular).fontSize(9.5).fillColor(colors.muted)
+        .text(aside, left, y, { width, align: 'right' });
+      doc.font(fonts.bold).fontSize(11).fillColor(colors.text)
+        .text(title, left, y, { width: width - doc.widthOfString(aside) - 12 });
+    };
+
+    if (data.summary) {
+      heading('Summary');
+      body(data.summary);
+    }
+
+    if (data.experience.length > 0) {
+      heading('Experience');
+      data.experience.forEach((entry, index) => {
+        if (index > 0) doc.moveDown(0.5);
+        entryTitle(`${entry.position}, ${entry.company}`, entry.dates);
+        if (entry.location) {
+          body(entry.location, { font: fonts.italic, size: 9.5, color: colors.muted });
+        }
+        if (entry.description) {
+          doc.moveDown(0.15);
+          body(entry.description);
+        }
+        entry.achievements.forEach(achievement => {
+          body(`•  ${achievement}`, { indent: 8 });
+        });
+        if (entry.technologies.length > 0) {
+          body(entry.technologies.join(', '), { font: fonts.italic, size: 9.5, color: colors.muted });
+        }
+      });
+    }
+
+    if (data.skillGroups.length > 0) {
+      heading('Skills');
+      data.skillGroups.forEach(group => {
+        doc.font(fonts.bold).fontSize(10).fillColor(colors.text)
+          .text(`${group.label}: `, left, doc.y, { width, continued: true, lineGap: 1.5 })
+          .font(fonts.regular)
+          .text(group.skills.join(', '));
+      });
+    }
+
+    if (data.projects.length > 0) {
+      heading('Selected Projects');
+      data.projects.forEach((project, index) => {
+        if (index > 0) doc.moveDown(0.5);
+        doc.font(fonts.bold).fontSize(11).fillColor(colors.text)
+          .text(project.title, left, doc.y, { width, continued: !!project.url });
+        if (project.url) {
+          doc.font(fonts.regular).fontSize(9.5).fillColor(colors.link)
+            .text(`  ${project.url.replace(/^https?:\/\//, '')}`, { link: project.url });
+        }
+        if (project.technologies.length > 0) {
+          body(project.technologies.join(', '), { font: fonts.italic, size: 9.5, color: colors.muted });
+        }
+        if (project.description) {
+          body(project.description);
+        }
+      });
+    }
+
+    doc.end();
+    return finished;
+  }
+
+  /**
+   * Path of the cached PDF for a user's resume, rendering it first when the
+   * content has changed. Older renders for the same user and template are
+   * removed.
+   * @param {string} userId - Portfolio owner ID
+   * @param {string} template - Template ID
+   * @returns {Promise<Object>} { filePath, hash, fileName }
+   */
+  static async getResume(userId, template) {
+    ResumeGenerator.assertTemplate(template);
+
+    const data = await ResumeGenerator.getResumeData(userId);
+    const hash = ResumeGenerator.hashResume(data, template);
+    const prefix = `${userId}-${template}-`;
+    const filePath = path.join(CACHE_DIR, `${prefix}${hash}.pdf`);
+    const fileName = ResumeGenerator.fileName(data.name);
+
+    if (fs.existsSync(filePath)) {
+      return { filePath, hash, fileName };
+    }
+
+    if (!pendingRenders.has(filePath)) {
+      const renderJob = (async () => {
+        await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+
+        const pdf = await ResumeGenerator.render(data, template);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, pdf);
+        await fs.promises.rename(tempPath, filePath);
+
+        const stale = (await fs.promises.readdir(CACHE_DIR))
+          .filter(name => name.startsWith(prefix) && name !== path.basename(filePath));
+        await Promise.all(stale.map(name => fs.promises.unlink(path.join(CACHE_DIR, name)).catch(() => {})));
+      })().finally(() => pendingRenders.delete(filePath));
+
+      pendingRenders.set(filePath, renderJob);
+    }
+
+    await pendingRenders.get(filePath);
+    return { filePath, hash, fileName };
+  }
+}
+
+module.exports = ResumeGenerator;
@@ -0,0 +1,727 @@
+/**
+ * @fileoverview Resume Interchange - Imports JSON Resume files and LinkedIn
+ * data exports into the portfolio, and exports the portfolio as JSON Resume
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const AdmZip = require('adm-zip');
+const PersonalInfo = require('../models/PersonalInfo');
+const SocialLink = require('../models/SocialLink');
+const Experience = require('../models/Experience');
+const Skill = require('../models/Skill');
+const Project = require('../models/Project');
+const { readCsvRecords } = require('../utils/csv');
+const { ValidationError } = require('../errors/custom-errors');
+
+const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const PLACEHOLDER_IMAGE = {
+  url: '/placeholder.svg',
+  publicId: null,
+  thumbnailUrl: '/placeholder.svg',
+  responsiveUrls: null,
+  originalName: 'placeholder.svg'
+};
+
+const normalize = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Sections in the order they are applied. `fields` lists what an import may
+ * set; `defaults` fills required fields the sources have no equivalent for.
+ */
+const SECTIONS = {
+  personalInfo: {
+    Model: PersonalInfo,
+    single: true,
+    fields: ['name', 'title', 'location', 'email', 'phone', 'description'],
+    defaults: () => ({}),
+    key: () => 'profile',
+    label: record => record.name || 'Profile'
+  },
+  socialLinks: {
+    Model: SocialLink,
+    fields: ['platform', 'url', 'username'],
+    defaults: () => ({}),
+    key: record => normalize(record.platform),
+    label: record => `${record.platform}: ${record.url}`
+  },
+  experience: {
+    Model: Experience,
+    fields: ['company', 'position', 'description', 'startDate', 'endDate', 'isCurrent', 'location', 'companyUrl', 'technologies', 'achievements'],
+    defaults: () => ({}),
+    key: record => `${normalize(record.company)}|${normalize(record.position)}`,
+    label: record => `${record.position} at ${record.company}`
+  },
+  skills: {
+    Model: Skill,
+    fields: ['name', 'level', 'icon', 'category', 'yearsOfExperience'],
+    defaults: () => ({ level: 70, icon: '💡', category: 'other', yearsOfExperience: 1 }),
+    key: record => normalize(record.name),
+    label: record => record.name
+  },
+  projects: {
+    Model: Project,
+    fields: ['title', 'description', 'longDescription', 'technologies', 'liveUrl', 'githubUrl', 'startDate', 'endDate', 'status', 'myRole'],
+    defaults: () => ({ images: [{ ...PLACEHOLDER_IMAGE }], thumbnailImage: { ...PLACEHOLDER_IMAGE }, status: 'in-progress' }),
+    key: record => normalize(record.title),
+    label: record => record.title
+  }
+};
+
+// Social networks the SocialLink model has a platform for, and their profile URLs
+const PLATFORMS = {
+  github: { platform: 'github', name: 'GitHub', url: username => `https://github.com/${username}` },
+  linkedin: { platform: 'linkedin', name: 'LinkedIn', url: username => `https://www.linkedin.com/in/${username}` },
+  twitter: { platform: 'twitter', name: 'Twitter', url: username => `https://twitter.com/${username}` },
+  x: { platform: 'twitter', name: 'X', url: username => `https://x.com/${username}` },
+  instagram: { platform: 'instagram', name: 'Instagram', url: username => `https://www.instagram.com/${username}` },
+  dribbble: { platform: 'dribbble', name: 'Dribbble', url: username => `https://dribbble.com/${username}` }
+};
+
+// LinkedIn "Get a copy of your data" files, with the columns that identify each
+const LINKEDIN_FILES = [
+  { name: 'profile.csv', headers: ['First Name', 'Last Name'] },
+  { name: 'positions.csv', headers: ['Company Name', 'Title'] },
+  { name: 'projects.csv', headers: ['Title', 'Started On'] },
+  { name: 'email addresses.csv', headers: ['Email Address'] },
+  { name: 'phonenumbers.csv', headers: ['Number'] },
+  { name: 'skills.csv', headers: ['Name'] }
+];
+
+const SKILL_LEVELS = { master: 95, expert: 90, advanced: 80, proficient: 75, intermediate: 60, beginner: 40, basic: 40, novice: 30 };
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Parse "2021", "2021-03", "2021-03-15" (JSON Resume) or "Mar 2021" (LinkedIn)
+ * @param {string} value - Date text
+ * @returns {Date|undefined} Date at UTC midnight
+ */
+const parseDate = (value) => {
+  const text = String(value || '').trim();
+  let match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?/.exec(text);
+
+  if (match) {
+    return new Date(Date.UTC(Number(match[1]), Number(match[2] || 1) - 1, Number(match[3] || 1)));
+  }
+
+  match = /^([a-z]{3})[a-z]*\.?\s+(\d{4})$/i.exec(text);
+  const month = match && MONTHS.indexOf(match[1].toLowerCase());
+
+  return match && month !== -1 ? new Date(Date.UTC(Number(match[2]), month, 1)) : undefined;
+};
+
+/**
+ * "2021-03-01" for JSON Resume output
+ * @param {Date} date - Date
+ * @returns {string|undefined} ISO date
+ */
+const isoDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : undefined);
+
+/**
+ * Absolute http(s) URL, or undefined
+ * @param {string} value - URL, possibly without a scheme
+ * @returns {string|undefined} URL
+ */
+const toUrl = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return undefined;
+  if (/^https?:\/\//i.test(text)) return text;
+  return /^[\w-]+(\.[\w-]+)+(\/.*)?$/.test(text) ? `https://${text}` : undefined;
+};
+
+/**
+ * Skill category from a group name or skill name
+ * @param {string} text - Name
+ * @returns {string} Skill category
+ */
+const guessSkillCategory = (text) => {
+  const value = normalize(text);
+  if (/front|\bui\b|web|react|vue|angular|svelte|css|html|javascript|typescript/.test(value)) return 'frontend';
+  if (/back|server|api|database|node|python|java\b|golang|\bgo\b|sql|mongo|php|ruby/.test(value)) return 'backend';
+  if (/design|\bux\b|figma|sketch|photoshop|illustrator/.test(value)) return 'design';
+  if (/tool|devops|cloud|\bci\b|git|docker|kubernetes|aws|azure|gcp|linux/.test(value)) return 'tools';
+  return 'other';
+};
+
+/**
+ * Skill level 0-100 from "Advanced", "80" or "80%"
+ * @param {string|number} level - Level text
+ * @returns {number|undefined} Level
+ */
+const parseSkillLevel = (level) => {
+  const number = parseFloat(level);
+  if (!Number.isNaN(number)) return Math.min(Math.max(Math.round(number), 0), 100);
+  return SKILL_LEVELS[normalize(level)];
+};
+
+/**
+ * Last path segment of a profile URL, e.g. the username
+ * @param {string} url - Profile URL
+ * @returns {string} Username
+ */
+const usernameFromUrl = (url) => {
+  try {
+    const { hostname, pathname } = new URL(url);
+    return pathname.split('/').filter(Boolean).pop() || hostname.replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+};
+
+/**
+ * Social link candidate for a network, or null when the model has no platform for it
+ * @param {string} network - Network name
+ * @param {string} [username] - Username
+ * @param {string} [url] - Profile URL
+ * @returns {Object|null} Candidate
+ */
+const socialLinkCandidate = (network, username, url) => {
+  const platform = PLATFORMS[normalize(network)];
+  const name = String(username || '').trim().replace(/^@/, '');
+  const profileUrl = toUrl(url) || (platform && name ? platform.url(name) : undefined);
+
+  if (!platform || !profileUrl) {
+    return null;
+  }
+
+  return {
+    section: 'socialLinks',
+    data: { platform: platform.platform, url: profileUrl, username: name || usernameFromUrl(profileUrl) }
+  };
+};
+
+/**
+ * Project fields for a description that may exceed the 500 character summary
+ * @param {string} description - Description
+ * @returns {Object} { description, longDescription? }
+ */
+const projectDescription = (description) => {
+  const text = String(description || '').trim();
+  if (text.length <= 500) return { description: text };
+  return { description: `${text.slice(0, 497).replace(/\s+\S*$/, '')}...`, longDescription: text };
+};
+
+/**
+ * Drop empty values so they neither overwrite existing data nor show as changes
+ * @param {Object} data - Fields
+ * @returns {Object} Fields with values
+ */
+const compact = (data) => Object.fromEntries(Object.entries(data).filter(([, value]) => (
+  value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)
+)));
+
+/**
+ * Comparable form of a field value
+ * @param {*} value - Value
+ * @returns {string} JSON
+ */
+const comparable = (value) => JSON.stringify(value instanceof Date ? value.toISOString() : value ?? null);
+
+/**
+ * Resume Interchange Class
+ * @class ResumeInterchange
+ */
+class ResumeInterchange {
+  /**
+   * Candidates from a JSON Resume document
+   * @param {Object} resume - Parsed JSON Resume
+   * @returns {Object} { source, candidates, warnings }
+   * @throws {ValidationError} When the document is not a JSON Resume
+   */
+  static fromJsonResume(resume) {
+    if (!resume || typeof resume !== 'object' || Array.isArray(resume) ||
+        !['basics', 'work', 'skills', 'projects'].some(section => section in resume)) {
+      throw new ValidationError('File is not a JSON Resume document (expected basics, work, skills or projects)');
+    }
+
+    const candidates = [];
+    const warnings = [];
+    const list = value => (Array.isArray(value) ? value.filter(entry => entry && typeof entry === 'object') : []);
+    const { basics = {} } = resume;
+
+    if (basics && typeof basics === 'object') {
+      const location = basics.location || {};
+      const locationText = typeof location === 'string'
+        ? location
+        : [location.city, location.region, location.countryCode].filter(Boolean).join(', ') || location.address;
+
+      const profile = compact({
+        name: basics.name,
+        title: basics.label,
+        email: basics.email,
+        phone: basics.phone,
+        description: basics.summary,
+        location: locationText
+      });
+
+      if (Object.keys(profile).length > 0) {
+        candidates.push({ section: 'personalInfo', data: profile });
+      }
+
+      if (toUrl(basics.url)) {
+        candidates.push({ section: 'socialLinks', data: { platform: 'website', url: toUrl(basics.url), username: usernameFromUrl(toUrl(basics.url)) } });
+      }
+
+      list(basics.profiles).forEach(profileLink => {
+        const candidate = socialLinkCandidate(profileLink.network, profileLink.username, profileLink.url);
+        if (candidate) {
+          candidates.push(candidate);
+        } else if (profileLink.network) {
+          warnings.push(`${profileLink.network} profile skipped: no matching social platform`);
+        }
+      });
+    }
+
+    list(resume.work).forEach(job => {
+      candidates.push({
+        section: 'experience',
+        data: compact({
+          company: job.name || job.company,
+          position: job.position,
+          description: job.summary || job.description,
+          startDate: parseDate(job.startDate),
+          endDate: parseDate(job.endDate),
+          isCurrent: !job.endDate,
+          location: typeof job.location === 'string' ? job.location : undefined,
+          companyUrl: toUrl(job.url || job.website),
+          achievements: Array.isArray(job.highlights)
+            ? job.highlights.filter(highlight => typeof highlight === 'string')
+            : undefined
+        })
+      });
+    });
+
+    // Skill groups ("Web Development": [HTML, CSS]) become one skill per keyword.
+    // A group's level is too coarse to overwrite an existing skill's level.
+    list(resume.skills).forEach(group => {
+      const keywords = Array.isArray(group.keywords) ? group.keywords.filter(keyword => typeof keyword === 'string' && keyword.trim()) : [];
+      const names = keywords.length > 0 ? keywords : [group.name].filter(Boolean);
+
+      names.forEach(name => {
+        candidates.push({
+          section: 'skills',
+          data: { name: name.trim() },
+          defaults: compact({ category: guessSkillCategory(keywords.length > 0 ? group.name : name), level: parseSkillLevel(group.level) })
+        });
+      });
+    });
+
+    list(resume.projects).forEach(project => {
+      const highlights = Array.isArray(project.highlights) ? project.highlights.filter(highlight => typeof highlight === 'string') : [];
+      const description = projectDescription(project.description || highlights[0]);
+
+      candidates.push({
+        section: 'projects',
+        data: compact({
+          title: project.name,
+          ...description,
+          longDescription: description.longDescription || (highlights.length > 0 ? highlights.map(highlight => `- ${highlight}`).join('\n') : undefined),
+          technologies: Array.isArray(project.keywords)
+            ? project.keywords.filter(keyword => typeof keyword === 'string').map(name => ({ name, category: 'other' }))
+            : undefined,
+          liveUrl: toUrl(project.url),
+          startDate: parseDate(project.startDate),
+          endDate: parseDate(project.endDate),
+          status: project.startDate ? (project.endDate ? 'completed' : 'in-progress') : undefined,
+          myRole: Array.isArray(project.roles) ? project.roles.filter(Boolean).join(', ') : undefined
+        })
+      });
+    });
+
+    ['education', 'volunteer', 'awards', 'certificates', 'publications', 'languages', 'interests', 'references']
+      .filter(section => list(resume[section]).length > 0)
+      .forEach(section => warnings.push(`${list(resume[section]).length} ${section} entries are not imported: the portfolio has no ${section} section`));
+
+    return { source: 'json-resume', candidates, warnings };
+  }
+
+  /**
+   * Candidates from LinkedIn data export CSVs
+   * @param {Map<string, string>} files - Lowercase file name to CSV text
+   * @returns {Object} { source, candidates, warnings }
+   */
+  static fromLinkedIn(files) {
+    const candidates = [];
+    const warnings = [];
+    const records = name => {
+      const file = LINKEDIN_FILES.find(entry => entry.name === name);
+      return (files.has(name) && readCsvRecords(files.get(name), file.headers)) || [];
+    };
+
+    const [profile] = records('profile.csv');
+    const emails = records('email addresses.csv');
+    const email = emails.find(entry => entry.Primary === 'Yes') || emails[0];
+    const [phone] = records('phonenumbers.csv');
+
+    if (profile || email || phone) {
+      const personal = compact({
+        name: profile && [profile['First Name'], profile['Last Name']].filter(Boolean).join(' '),
+        title: profile?.Headline,
+        description: profile?.Summary,
+        location: profile?.['Geo Location'],
+        email: email?.['Email Address'],
+        phone: phone?.Number
+      });
+
+      if (Object.keys(personal).length > 0) {
+        candidates.push({ section: 'personalInfo', data: personal });
+      }
+    }
+
+    if (profile) {
+      // Websites look like "[PORTFOLIO:https://example.com,OTHER:https://github.com/me]"
+      (profile.Websites || '').match(/https?:\/\/[^\s,\]]+/g)?.forEach(url => {
+        const host = usernameFromUrl(url) && new URL(url).hostname.replace(/^www\./, '');
+        const network = Object.keys(PLATFORMS).find(name => host === `${name}.com`);
+        candidates.push(network
+          ? socialLinkCandidate(network, usernameFromUrl(url), url)
+          : { section: 'socialLinks', data: { platform: 'website', url, username: usernameFromUrl(url) } });
+      });
+
+      (profile['Twitter Handles'] || '').replace(/[[\]]/g, '').split(',').map(handle => handle.trim()).filter(Boolean)
+        .slice(0, 1)
+        .forEach(handle => candidates.push(socialLinkCandidate('twitter', handle)));
+    }
+
+    records('positions.csv').forEach(position => {
+      candidates.push({
+        section: 'experience',
+        data: compact({
+          company: position['Company Name'],
+          position: position.Title,
+          description: position.Description,
+          location: position.Location,
+          startDate: parseDate(position['Started On']),
+          endDate: parseDate(position['Finished On']),
+          isCurrent: !position['Finished On']
+        })
+      });
+    });
+
+    records('skills.csv').filter(skill => skill.Name).forEach(skill => {
+      candidates.push({
+        section: 'skills',
+        data: { name: skill.Name },
+        defaults: { category: guessSkillCategory(skill.Name) }
+      });
+    });
+
+    records('projects.csv').filter(project => project.Title).forEach(project => {
+      candidates.push({
+        section: 'projects',
+        data: compact({
+          title: project.Title,
+          ...projectDescription(project.Description),
+          liveUrl: toUrl(project.Url),
+          startDate: parseDate(project['Started On']),
+          endDate: parseDate(project['Finished On']),
+          status: project['Finished On'] ? 'completed' : 'in-progress'
+        })
+      });
+    });
+
+    if (candidates.length === 0) {
+      warnings.push('No profile, positions, skills or projects were found in the LinkedIn export');
+    }
+
+    return { source: 'linkedin', candidates: candidates.filter(Boolean), warnings };
+  }
+
+  /**
+   * Parse an uploaded file: a JSON Resume document, a LinkedIn export zip, or
+   * one CSV file from it
+   * @param {Buffer} buffer - File contents
+   * @returns {Object} { source, candidates, warnings }
+   * @throws {ValidationError} When the file is not recognised
+   */
+  static parseUpload(buffer) {
+    if (buffer.slice(0, 2).toString() === 'PK') {
+      let entries;
+      try {
+        entries = new AdmZip(buffer).getEntries();
+      } catch (error) {
+        throw new ValidationError('Zip file could not be read');
+      }
+
+      const files = new Map(entries
+        .filter(entry => !entry.isDirectory && entry.entryName.toLowerCase().endsWith('.csv'))
+        .map(entry => [path.basename(entry.entryName).toLowerCase(), entry.getData().toString('utf8')]));
+
+      if (!LINKEDIN_FILES.some(file => files.has(file.name))) {
+        throw new ValidationError('Zip file does not look like a LinkedIn data export (no Profile, Positions, Skills or Projects CSV)');
+      }
+
+      return ResumeInterchange.fromLinkedIn(files);
+    }
+
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+    if (/^\s*[{[]/.test(text)) {
+      let resume;
+      try {
+        resume = JSON.parse(text);
+      } catch (error) {
+        throw new ValidationError(`Invalid JSON: ${error.message}`);
+      }
+      return ResumeInterchange.fromJsonResume(resume);
+    }
+
+    const file = LINKEDIN_FILES.find(entry => readCsvRecords(text, entry.headers));
+    if (!file) {
+      throw new ValidationError('Unrecognised file. Upload a JSON Resume (.json), a LinkedIn export (.zip) or one of its CSV files');
+    }
+
+    return ResumeInterchange.fromLinkedIn(new Map([[file.name, text]]));
+  }
+
+  /**
+   * Keep only the fields an import may set
+   * @param {string} section - Section name
+   * @param {Object} data - Fields
+   * @returns {Object} Allowed fields
+   */
+  static pickFields(section, data) {
+    const { fields } = SECTIONS[section];
+    return Object.fromEntries(Object.entries(data || {}).filter(([field]) => fields.includes(field)));
+  }
+
+  /**
+   * Existing records for every section, keyed like imported ones
+   * @param {string} userId - Portfolio owner ID
+   * @returns {Promise<Object>} Section name to Map of key to lean document
+   */
+  static async loadExisting(userId) {
+    const existing = {};
+
+    for (const [name, section] of Object.entries(SECTIONS)) {
+      const docs = section.single
+        ? [await section.Model.findOne({ userId }).lean()].filter(Boolean)
+        : await section.Model.find({ userId }).lean();
+      existing[name] = new Map(docs.map(doc => [section.key(doc), doc]));
+    }
+
+    return existing;
+  }
+
+  /**
+   * Match a candidate against existing records and validate the result
+   * @param {Object} candidate - { section, data, defaults }
+   * @param {Object} existing - From loadExisting
+   * @param {string} userId - Portfolio owner ID
+   * @returns {Promise<Object>} { status, match, doc, changes, errors }
+   */
+  static async resolve(candidate, existing, userId) {
+    const section = SECTIONS[candidate.section];
+    const data = ResumeInterchange.pickFields(candidate.section, candidate.data);
+    const match = existing[candidate.section].get(section.key(data));
+    let doc;
+    let changes = [];
+
+    if (match) {
+      // Cast the incoming fields the same way as the stored ones before comparing
+      const incoming = new section.Model(data);
+      doc = section.Model.hydrate(match);
+      changes = Object.keys(data).filter(field => comparable(doc.get(field)) !== comparable(incoming.get(field)));
+      doc.set(data);
+    } else {
+      doc = new section.Model({
+        ...section.defaults(),
+        ...ResumeInterchange.pickFields(candidate.section, candidate.defaults),
+        ...data,
+        userId
+      });
+    }
+
+    let errors = {};
+    try {
+      await doc.validate();
+    } catch (error) {
+      errors = Object.fromEntries(Object.entries(error.errors || {}).map(([field, fieldError]) => [field, fieldError.message]));
+    }
+
+    const status = !match ? 'new' : changes.length > 0 ? 'update' : 'unchanged';
+    return { status, match, doc, changes, errors };
+  }
+
+  /**
+   * Review list for parsed candidates: each item says whether it is new,
+   * would update a matching record, or is already there
+   * @param {Object} parsed - From parseUpload
+   * @param {string} userId - Portfolio owner ID
+   * @returns {Promise<Object>} { source, items, warnings }
+   */
+  static async preview({ source, candidates, warnings }, userId) {
+    const existing = await ResumeInterchange.loadExisting(userId);
+    const seen = new Set();
+    const items = [];
+    let duplicates = 0;
+
+    for (const candidate of candidates) {
+      const section = SECTIONS[candidate.section];
+      const key = `${candidate.section}:${section.key(candidate.data)}`;
+
+      // Skill groups and LinkedIn files often repeat entries; the first one wins
+      if (seen.has(key)) {
+        duplicates++;
+        continue;
+      }
+      seen.add(key);
+
+      const { status, match, changes, errors } = await ResumeInterchange.resolve(candidate, existing, userId);
+
+      items.push({
+        id: items.length,
+        section: candidate.section,
+        label: section.label(candidate.data),
+        status,
+        data: candidate.data,
+        defaults: candidate.defaults || {},
+        existing: match ? { id: String(match._id), label: section.label(match) } : null,
+        changes,
+        errors
+      });
+    }
+
+    return {
+      source,
+      items,
+      warnings: duplicates > 0 ? [...warnings, `${duplicates} repeated entries in the file were merged`] : warnings
+    };
+  }
+
+  /**
+   * Import reviewed items. New items are created; items matching an existing
+   * record update only the fields the file provides. Everything is validated
+   * before anything is written.
+   * @param {Array<Object>} items - Accepted { section, data, defaults }
+   * @param {string} userId - Portfolio owner ID
+   * @returns {Promise<Object>} Per-section { created, updated }
+   * @throws {ValidationError} When an item is invalid
+   */
+  static async apply(items, userId) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ValidationError('Select at least one item to import');
+    }
+
+    const invalidSection = items.find(item => !item || !SECTIONS[item.section] || !item.data || typeof item.data !== 'object');
+    if (invalidSection) {
+      throw new ValidationError('Each item needs a known section and data');
+    }
+
+    const existing = await ResumeInterchange.loadExisting(userId);
+    const ordered = Object.keys(SECTIONS).flatMap(name => items.filter(item => item.section === name));
+    const resolved = [];
+    const errors = [];
+    const seen = new Set();
+
+    for (const item of ordered) {
+      const key = `${item.section}:${SECTIONS[item.section].key(item.data)}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const result = await ResumeInterchange.resolve(item, existing, userId);
+      const label = SECTIONS[item.section].label(item.data);
+
+      if (Object.keys(result.errors).length > 0) {
+        errors.push({ section: item.section, label, errors: result.errors });
+      }
+      resolved.push({ ...result, section: item.section });
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Some items are invalid; nothing was imported', errors, 'IMPORT_INVALID');
+    }
+
+    const summary = Object.fromEntries(Object.keys(SECTIONS).map(name => [name, { created: 0, updated: 0 }]));
+    const nextOrder = Object.fromEntries(Object.entries(existing).map(([name, records]) => [name, records.size]));
+
+    for (const { section, status, doc } of resolved) {
+      if (status === 'unchanged') continue;
+
+      if (status === 'new' && doc.schema.path('order')) {
+        doc.order = nextOrder[section]++;
+      }
+
+      await doc.save();
+      summary[section][status === 'new' ? 'created' : 'updated']++;
+    }
+
+    return summary;
+  }
+
+  /**
+   * The portfolio as a JSON Resume (v1.0.0) document
+   * @param {string} userId - Portfolio owner ID
+   * @returns {Promise<Object>} JSON Resume
+   */
+  static async toJsonResume(userId) {
+    const [profile, socialLinks, experience, skills, projects] = await Promise.all([
+      PersonalInfo.findOne({ userId }).lean(),
+      SocialLink.find({ userId, isActive: true }).sort({ order: 1 }).lean(),
+      Experience.find({ userId }).sort({ order: 1, startDate: -1 }).lean(),
+      Skill.find({ userId, isActive: true }).sort({ order: 1, level: -1 }).lean(),
+      Project.find({ userId, isActive: true }).sort({ order: 1, createdAt: -1 }).lean()
+    ]);
+
+    const website = socialLinks.find(link => link.platform === 'website');
+    const skillGroups = ['frontend', 'backend', 'tools', 'design', 'other']
+      .map(category => skills.filter(skill => skill.category === category))
+      .filter(group => group.length > 0);
+    const levelName = (level) => {
+      const name = Object.keys(SKILL_LEVELS).find(word => level >= SKILL_LEVELS[word]) || 'novice';
+      return name.charAt(0).toUpperCase() + name.slice(1);
+    };
+
+    return {
+      $schema: JSON_RESUME_SCHEMA,
+      basics: {
+        name: profile?.name,
+        label: profile?.title,
+        image: profile?.avatar || undefined,
+        email: profile?.email,
+        phone: profile?.phone,
+        url: website?.url,
+        summary: profile?.description,
+        location: profile?.location ? { address: profile.location } : undefined,
+        profiles: socialLinks
+          .filter(link => link.platform !== 'website')
+          .map(link => ({ network: PLATFORMS[link.platform]?.name || link.platform, username: link.username, url: link.url }))
+      },
+      work: experience.map(job => ({
+        name: job.company,
+        position: job.position,
+        location: job.location,
+        url: job.companyUrl,
+        startDate: isoDate(job.startDate),
+        endDate: job.isCurrent ? undefined : isoDate(job.endDate),
+        summary: job.description,
+        highlights: job.achievements?.length ? job.achievements : undefined
+      })),
+      skills: skillGroups.map(group => ({
+        name: group[0].category.charAt(0).toUpperCase() + group[0].category.slice(1),
+        level: levelName(group.reduce((sum, skill) => sum + skill.level, 0) / group.length),
+        keywords: group.map(skill => skill.name)
+      })),
+      projects: projects.map(project => ({
+        name: project.title,
+        description: project.longDescription || project.description,
+        keywords: project.technologies?.length ? project.technologies.map(tech => tech.name) : undefined,
+        startDate: isoDate(project.startDate),
+        endDate: isoDate(project.endDate),
+        url: project.liveUrl || project.githubUrl || project.demoUrl || undefined,
+        roles: project.myRole ? [project.myRole] : undefined
+      })),
+      meta: {
+        version: 'v1.0.0',
+        lastModified: new Date().toISOString()
+      }
+    };
+  }
+}
+
+module.exports = ResumeInterchange;
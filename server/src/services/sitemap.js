@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Sitemap - sitemap.xml for the site's static pages, blog posts
+ * and category/tag listings, split behind a sitemap index once it grows
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const Blog = require('../models/Blog');
+const PersonalInfo = require('../models/PersonalInfo');
+const Project = require('../models/Project');
+const Experience = require('../models/Experience');
+const Skill = require('../models/Skill');
+const SocialLink = require('../models/SocialLink');
+const Series = require('../models/Series');
+const { escapeXml } = require('../utils/xml');
+const { NotFoundError } = require('../errors/custom-errors');
+
+// Well under the protocol's 50,000 URLs / 50 MB per file
+const SITEMAP_URL_LIMIT = 10000;
+
+// Pages whose content comes from the portfolio collections
+const PORTFOLIO_PAGES = ['/', '/portfolio', '/terminal'];
+
+const siteUrl = () => (process.env.FRONTEND_URL || 'https://jasilmeledath.dev').replace(/\/+$/, '');
+
+const PUBLISHED = { status: 'published' };
+
+/**
+ * Latest of a list of dates, ignoring missing ones
+ * @param {Array<Date>} dates - Dates
+ * @returns {Date|null} Latest date
+ */
+const latest = (dates) => {
+  const times = dates.filter(Boolean).map(date => new Date(date).getTime());
+  return times.length ? new Date(Math.max(...times)) : null;
+};
+
+/**
+ * @param {Array<Object>} entries - { loc, lastmod }
+ * @returns {string} <urlset> document
+ */
+const toUrlset = (entries) => {
+  const urls = entries.map(({ loc, lastmod }) => `  <url>
+    <loc>${escapeXml(`${siteUrl()}${loc}`)}</loc>${lastmod ? `
+    <lastmod>${lastmod.toISOString()}</lastmod>` : ''}
+  </url>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls}
+</urlset>
+`;
+};
+
+/**
+ * @param {Array<Object>} sitemaps - { loc, lastmod }
+ * @returns {string} <sitemapindex> document
+ */
+const toSitemapIndex = (sitemaps) => {
+  const items = sitemaps.map(({ loc, lastmod }) => `  <sitemap>
+    <loc>${escapeXml(`${siteUrl()}${loc}`)}</loc>${lastmod ? `
+    <lastmod>${lastmod.toISOString()}</lastmod>` : ''}
+  </sitemap>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${items}
+</sitemapindex>
+`;
+};
+
+/**
+ * Sitemap Class
+ * @class Sitemap
+ */
+class Sitemap {
+  /**
+   * Static pages plus one listing per category and tag in use
+   * @returns {Promise<Array<Object>>} Entries of { loc, lastmod }
+   */
+  static async getPageEntries() {
+    const newestOf = (Model) => Model.findOne().sort({ updatedAt: -1 }).select('updatedAt').lean();
+
+    const [portfolioDocs, newestBlog, categories, tags, series] = await Promise.all([
+      Promise.all([PersonalInfo, Project, Experience, Skill, SocialLink].map(newestOf)),
+      Blog.findOne(PUBLISHED).sort({ updatedAt: -1 }).select('updatedAt').lean(),
+      Blog.aggregate([
+        { $match: PUBLISHED },
+        { $unwind: '$categories' },
+        { $group: { _id: '$categories', lastmod: { $max: '$updatedAt' } } },
+        { $sort: { _id: 1 } }
+      ]),
+      Blog.aggregate([
+        { $match: PUBLISHED },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', lastmod: { $max: '$updatedAt' } } },
+        { $sort: { _id: 1 } }
+      ]),
+      // Series landing pages only exist once a post in them is live
+      Series.aggregate([
+        { $lookup: { from: Blog.collection.name, localField: 'posts', foreignField: '_id', as: 'blogs' } },
+        { $set: { blogs: { $filter: { input: '$blogs', cond: { $eq: ['$$this.status', PUBLISHED.status] } } } } },
+        { $match: { 'blogs.0': { $exists: true } } },
+        { $project: { slug: 1, lastmod: { $max: ['$updatedAt', { $max: '$blogs.updatedAt' }] } } },
+        { $sort: { slug: 1 } }
+      ])
+    ]);
+
+    const portfolioLastmod = latest(portfolioDocs.map(doc => doc?.updatedAt));
+
+    return [
+      ...PORTFOLIO_PAGES.map(loc => ({ loc, lastmod: portfolioLastmod })),
+      { loc: '/blog', lastmod: newestBlog?.updatedAt || null },
+      ...categories.map(({ _id, lastmod }) => ({ loc: `/blog?category=${encodeURIComponent(_id)}`, lastmod })),
+      ...tags.map(({ _id, lastmod }) => ({ loc: `/blog?tag=${encodeURIComponent(_id)}`, lastmod })),
+      ...series.map(({ slug, lastmod }) => ({ loc: `/blog/series/${slug}`, lastmod }))
+    ].slice(0, SITEMAP_URL_LIMIT);
+  }
+
+  /**
+   * Published posts, oldest first so earlier chunks stay stable as posts are added
+   * @param {number} [page=1] - Chunk number
+   * @returns {Promise<Array<Object>>} Entries of { loc, lastmod }
+   */
+  static async getBlogEntries(page = 1) {
+    const blogs = await Blog.find(PUBLISHED)
+      .select('slug updatedAt')
+      .sort({ _id: 1 })
+      .skip((page - 1) * SITEMAP_URL_LIMIT)
+      .limit(SITEMAP_URL_LIMIT)
+      .lean();
+
+    return blogs.map(blog => ({ loc: `/blog/${blog.slug}`, lastmod: blog.updatedAt }));
+  }
+
+  /**
+   * The root sitemap: a single <urlset> while everything fits in one file,
+   * otherwise an index of /sitemaps/pages.xml and /sitemaps/blog-N.xml
+   * @returns {Promise<string>} XML
+   */
+  static async buildRoot() {
+    const [pages, blogCount] = await Promise.all([
+      Sitemap.getPageEntries(),
+      Blog.countDocuments(PUBLISHED)
+    ]);
+
+    if (pages.length + blogCount <= SITEMAP_URL_LIMIT) {
+      return toUrlset([...pages, ...await Sitemap.getBlogEntries()]);
+    }
+
+    const chunkCount = Math.ceil(blogCount / SITEMAP_URL_LIMIT);
+    const blogChunks = [];
+
+    for (let page = 1; page <= chunkCount; page++) {
+      const entries = await Sitemap.getBlogEntries(page);
+      blogChunks.push({
+        loc: `/sitemaps/blog-${page}.xml`,
+        lastmod: latest(entries.map(entry => entry.lastmod))
+      });
+    }
+
+    return toSitemapIndex([
+      { loc: '/sitemaps/pages.xml', lastmod: latest(pages.map(entry => entry.lastmod)) },
+      ...blogChunks
+    ]);
+  }
+
+  /**
+   * @returns {Promise<string>} <urlset> of static, category and tag pages
+   */
+  static async buildPages() {
+    return toUrlset(await Sitemap.getPageEntries());
+  }
+
+  /**
+   * @param {number} page - Chunk number from the index
+   * @returns {Promise<string>} <urlset> of one chunk of posts
+   * @throws {NotFoundError} When the chunk is empty
+   */
+  static async buildBlogChunk(page) {
+    const entries = Number.isInteger(page) && page >= 1 ? await Sitemap.getBlogEntries(page) : [];
+
+    if (entries.length === 0) {
+      throw new NotFoundError('Sitemap not found', 'Sitemap');
+    }
+
+    return toUrlset(entries);
+  }
+}
+
+module.exports = Sitemap;
@@ -0,0 +1,311 @@
+/**
+ * @fileoverview Spam Scorer - Local, pluggable spam scoring for incoming comments and contact messages
+ * @author jasilmeledath@gmail.com
+ * @created 2025-01-27
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const Comment = require('../models/Comment');
+const CommenterReputation = require('../models/CommenterReputation');
+const ContactMessage = require('../models/ContactMessage');
+const { getSpamBlocklist } = require('../config/spam-blocklist');
+const { getIpHash } = require('../utils/visitor-fingerprint');
+
+const LINK_PATTERN = /(?:https?:\/\/|www\.)[^\s<>"')]+/gi;
+
+// Comments shorter than this ("Thanks!", "Great post") are not checked for duplicates
+const DUPLICATE_MIN_LENGTH = 20;
+const DUPLICATE_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+const VELOCITY_WINDOW_MS = 10 * 60 * 1000;
+
+/**
+ * Registered checks, run in insertion order
+ * @type {Map<string, Function>}
+ */
+const checks = new Map();
+
+/**
+ * Spam score at or above which a comment is filed as spam
+ * @returns {number} Threshold (0-100)
+ */
+const getSpamThreshold = () => {
+  const threshold = parseInt(process.env.COMMENT_SPAM_THRESHOLD);
+  return Number.isFinite(threshold) ? threshold : 70;
+};
+
+/**
+ * Hostname of a URL or bare domain, lowercased and without "www."
+ * @param {string} value - URL, "www." link or email domain
+ * @returns {string|null} Hostname
+ */
+const getHostname = (value) => {
+  try {
+    const url = new URL(/^https?:\/\//i.test(value) ? value : `http://${value}`);
+    return url.hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Spam Scorer Class
+ * @class SpamScorer
+ */
+class SpamScorer {
+  /**
+   * Add or replace a check. A check receives the scoring context and
+   * resolves to `{ score, reason }`, an array of those, or null.
+   * @param {string} name - Check name
+   * @param {Function} check - Check function
+   */
+  static register(name, check) {
+    checks.set(name, check);
+  }
+
+  /**
+   * Remove a check
+   * @param {string} name - Check name
+   */
+  static unregister(name) {
+    checks.delete(name);
+  }
+
+  /**
+   * Hash of the comment text after normalising case, whitespace and punctuation
+   * @param {string} content - Comment text
+   * @returns {string} Hex SHA-256
+   */
+  static hashContent(content = '') {
+    const normalized = content
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Run the registered checks; a failing check is logged and skipped
+   * @param {Object} context - Scoring context
+   * @param {Array<string>} [only] - Names of the checks to run (all when omitted)
+   * @returns {Promise<Object>} { score, reasons, isSpam }
+   */
+  static async score(context, only = null) {
+    let total = 0;
+    const reasons = [];
+
+    for (const [name, check] of checks) {
+      if (only && !only.includes(name)) continue;
+
+      try {
+        const result = await check(context);
+        const results = Array.isArray(result) ? result : [result];
+
+        results.filter(Boolean).forEach(({ score, reason }) => {
+          total += score;
+          if (reason) reasons.push(reason);
+        });
+      } catch (error) {
+        console.error(`[SpamScorer] Check "${name}" failed:`, error.message);
+      }
+    }
+
+    const score = Math.max(0, Math.min(100, Math.round(total)));
+
+    return {
+      score,
+      reasons,
+      isSpam: score >= getSpamThreshold()
+    };
+  }
+
+  /**
+   * Score a new comment from a request and return the fields to store on it
+   * @param {Object} req - Express request object (body.homepage is the honeypot)
+   * @param {Object} comment - Comment being added (author, content, parentComment)
+   * @returns {Promise<Object>} { status, spamScore, spamReasons, submitterHash, contentHash }
+   */
+  static async evaluate(req, comment) {
+    const context = {
+      comment,
+      honeypot: req.body?.homepage,
+      submitterHash: getIpHash(req),
+      contentHash: SpamScorer.hashContent(comment.content),
+      now: new Date()
+    };
+
+    const { score, reasons, isSpam } = await SpamScorer.score(context);
+
+    return {
+      status: isSpam ? 'spam' : 'pending',
+      spamScore: score,
+      spamReasons: reasons,
+      submitterHash: context.submitterHash,
+      contentHash: context.contentHash
+    };
+  }
+
+  /**
+   * Score a contact form message. Only the content checks apply; the
+   * comment history checks do not, and the route is rate limited instead
+   * of relying on velocity. A repeat of a recent message counts against it.
+   * @param {Object} req - Express request object (body.homepage is the honeypot)
+   * @param {Object} message - Message being sent (name, email, subject, message)
+   * @returns {Promise<Object>} { isSpam, spamScore, spamReasons, submitterHash, contentHash }
+   */
+  static async evaluateContact(req, message) {
+    const content = [message.subject, message.message].filter(Boolean).join('\n');
+    const context = {
+      comment: { author: { name: message.name, email: message.email }, content },
+      honeypot: req.body?.homepage,
+      submitterHash: getIpHash(req),
+      contentHash: SpamScorer.hashContent(content),
+      now: new Date()
+    };
+
+    const { score, reasons } = await SpamScorer.score(context, ['honeypot', 'links', 'blocklist']);
+
+    const duplicate = await ContactMessage.exists({
+      contentHash: context.contentHash,
+      createdAt: { $gte: new Date(context.now.getTime() - DUPLICATE_WINDOW_MS) }
+    });
+
+    const spamScore = Math.min(100, score + (duplicate ? 40 : 0));
+
+    return {
+      isSpam: spamScore >= getSpamThreshold(),
+      spamScore,
+      spamReasons: duplicate ? [...reasons, 'Duplicate of a recent message'] : reasons,
+      submitterHash: context.submitterHash,
+      contentHash: context.contentHash
+    };
+  }
+}
+
+/**
+ * Bots fill every field, including the one hidden from people
+ */
+SpamScorer.register('honeypot', ({ honeypot }) => {
+  return honeypot && String(honeypot).trim()
+    ? { score: 100, reason: 'Hidden honeypot field was filled in' }
+    : null;
+});
+
+/**
+ * Many links, or text that is mostly links
+ */
+SpamScorer.register('links', ({ comment }) => {
+  const links = comment.content.match(LINK_PATTERN) || [];
+  if (links.length === 0) return null;
+
+  const results = [];
+  const linkLength = links.reduce((sum, link) => sum + link.length, 0);
+
+  if (links.length >= 3) {
+    results.push({ score: 40, reason: `Contains ${links.length} links` });
+  } else {
+    results.push({ score: 10 * links.length, reason: `Contains ${links.length} link${links.length === 1 ? '' : 's'}` });
+  }
+
+  if (linkLength / comment.content.length > 0.5) {
+    results.push({ score: 25, reason: 'Comment is mostly links' });
+  }
+
+  return results;
+});
+
+/**
+ * Blocklisted words in the text or name, blocklisted domains in links, website or email
+ */
+SpamScorer.register('blocklist', ({ comment }) => {
+  const { words, domains } = getSpamBlocklist();
+  const results = [];
+  const text = `${comment.author.name} ${comment.content}`.toLowerCase();
+
+  const matchedWords = words.filter(word => {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`\\b${escaped}\\b`, 'i').test(text);
+  });
+
+  if (matchedWords.length > 0) {
+    results.push({
+      score: Math.min(60, matchedWords.length * 30),
+      reason: `Blocklisted words: ${matchedWords.join(', ')}`
+    });
+  }
+
+  const hosts = [
+    ...(comment.content.match(LINK_PATTERN) || []),
+    comment.author.website,
+    comment.author.email?.split('@')[1]
+  ]
+    .filter(Boolean)
+    .map(getHostname)
+    .filter(Boolean);
+
+  const matchedDomains = [...new Set(hosts.filter(host =>
+    domains.some(domain => host === domain || host.endsWith(`.${domain}`))
+  ))];
+
+  if (matchedDomains.length > 0) {
+    results.push({ score: 50, reason: `Blocklisted domains: ${matchedDomains.join(', ')}` });
+  }
+
+  return results;
+});
+
+/**
+ * The same text was posted recently, on this or any other post
+ */
+SpamScorer.register('duplicate', async ({ comment, contentHash, now }) => {
+  if (comment.content.trim().length < DUPLICATE_MIN_LENGTH) return null;
+
+  const duplicate = await Comment.exists({
+    contentHash,
+    createdAt: { $gte: new Date(now.getTime() - DUPLICATE_WINDOW_MS) }
+  });
+
+  return duplicate ? { score: 40, reason: 'Duplicate of a recent comment' } : null;
+});
+
+/**
+ * Several submissions in a few minutes from the same network or email
+ */
+SpamScorer.register('velocity', async ({ comment, submitterHash, now }) => {
+  const since = new Date(now.getTime() - VELOCITY_WINDOW_MS);
+  const { email } = comment.author;
+
+  const recent = await Comment.countDocuments({
+    createdAt: { $gte: since },
+    $or: [{ submitterHash }, { 'author.email': email }]
+  });
+
+  if (recent >= 6) return { score: 50, reason: `${recent} comments in the last 10 minutes` };
+  if (recent >= 3) return { score: 30, reason: `${recent} comments in the last 10 minutes` };
+  return null;
+});
+
+/**
+ * Moderation history of the email: known-good commenters score lower, past spammers higher
+ */
+SpamScorer.register('reputation', async ({ comment }) => {
+  const reputation = await CommenterReputation.findOne({ email: comment.author.email });
+  if (!reputation) return null;
+
+  if (reputation.spamCount > 0) {
+    return {
+      score: Math.min(40, reputation.spamCount * 20),
+      reason: `Previously marked as spam ${reputation.spamCount} time${reputation.spamCount === 1 ? '' : 's'}`
+    };
+  }
+
+  if (reputation.isTrusted()) {
+    return { score: -30, reason: `Known commenter with ${reputation.approvedCount} approved comments` };
+  }
+
+  return null;
+});
+
+module.exports = SpamScorer;
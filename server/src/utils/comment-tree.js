@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Comment Tree Utilities - Build depth-limited, paginated reply threads from a post's comments
+ * @author jasilmeledath@gmail.com
+ * @created 2025-01-27
+ * @version 1.0.0
+ */
+
+// Deepest level rendered as its own nesting; anything below is folded into it
+const MAX_COMMENT_DEPTH = 3;
+
+// Replies shown per thread before "load more"
+const DEFAULT_REPLIES_PER_THREAD = 3;
+
+/**
+ * Comment fields that never leave the server
+ * @constant {Array<string>}
+ */
+const PRIVATE_FIELDS = [
+  'notifyOnReply',
+  'replyNotifiedAt',
+  'moderatedBy',
+  'moderatedAt',
+  'moderatorNote',
+  'spamScore',
+  'spamReasons',
+  'submitterHash',
+  'contentHash'
+];
+
+/**
+ * Plain public copy of a comment
+ * @param {Object} comment - Comment subdocument or plain object
+ * @returns {Object} Comment without moderation and notification fields
+ */
+const toPublicComment = (comment) => {
+  const plain = typeof comment.toObject === 'function' ? comment.toObject() : { ...comment };
+  PRIVATE_FIELDS.forEach(field => delete plain[field]);
+  return plain;
+};
+
+/**
+ * Index comments by ID and by parent, children oldest first
+ * @param {Array<Object>} comments - Comments to include (already filtered, e.g. approved only)
+ * @returns {Object} { byId, children } maps keyed by comment ID string
+ */
+const buildCommentIndex = (comments) => {
+  const byId = new Map();
+  const children = new Map();
+
+  comments.forEach(comment => {
+    byId.set(comment._id.toString(), comment);
+  });
+
+  comments.forEach(comment => {
+    if (!comment.parentComment) return;
+
+    const parentId = comment.parentComment.toString();
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(comment);
+  });
+
+  children.forEach(list => list.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)));
+
+  return { byId, children };
+};
+
+/**
+ * Root comments of the index, i.e. those without a parent
+ * @param {Array<Object>} comments - Indexed comments
+ * @returns {Array<Object>} Root comments
+ */
+const getRootComments = (comments) => comments.filter(comment => !comment.parentComment);
+
+/**
+ * Depth at which a comment is displayed (0 for roots, capped at the max depth)
+ * @param {Object} index - Comment index
+ * @param {Object} comment - Comment
+ * @returns {number|null} Display depth, or null when an ancestor is not in the index
+ */
+const getDisplayDepth = (index, comment) => {
+  let depth = 0;
+  let current = comment;
+
+  while (current.parentComment) {
+    current = index.byId.get(current.parentComment.toString());
+    if (!current) return null;
+    depth++;
+  }
+
+  return Math.min(depth, MAX_COMMENT_DEPTH);
+};
+
+/**
+ * All descendants of a comment, oldest first
+ * @private
+ */
+const getDescendants = (index, commentId) => {
+  const descendants = [];
+  const queue = [...(index.children.get(commentId) || [])];
+
+  while (queue.length > 0) {
+    const comment = queue.shift();
+    descendants.push(comment);
+    queue.push(...(index.children.get(comment._id.toString()) || []));
+  }
+
+  return descendants.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+/**
+ * Replies listed under a comment shown at `depth`. One level above the max
+ * depth the whole remaining subtree is flattened so nesting stops there.
+ * @param {Object} index - Comment index
+ * @param {Object} comment - Parent comment
+ * @param {number} depth - Display depth of the parent
+ * @returns {Array<Object>} Replies, oldest first
+ */
+const getThreadReplies = (index, comment, depth) => {
+  if (depth >= MAX_COMMENT_DEPTH) return [];
+
+  const commentId = comment._id.toString();
+
+  return depth + 1 < MAX_COMMENT_DEPTH
+    ? index.children.get(commentId) || []
+    : getDescendants(index, commentId);
+};
+
+/**
+ * Build a public thread node with its first page of replies
+ * @param {Object} index - Comment index
+ * @param {Object} comment - Comment to render
+ * @param {number} depth - Display depth
+ * @param {Object} [options] - Options
+ * @param {number} [options.repliesPerThread] - Replies included per level
+ * @param {Object} [options.displayParent] - Comment this node is listed under
+ * @returns {Object} Node with depth, replyTo, replies, replyCount and hasMoreReplies
+ */
+const buildThreadNode = (index, comment, depth, options = {}) => {
+  const { repliesPerThread = DEFAULT_REPLIES_PER_THREAD, displayParent = null } = options;
+  const replies = getThreadReplies(index, comment, depth);
+
+  // Flattened replies name who they answered, since nesting no longer shows it
+  let replyTo = null;
+  if (displayParent && comment.parentComment && !comment.parentComment.equals(displayParent._id)) {
+    const parent = index.byId.get(comment.parentComment.toString());
+    replyTo = parent ? { _id: parent._id, name: parent.author.name } : null;
+  }
+
+  return {
+    ...toPublicComment(comment),
+    depth,
+    replyTo,
+    replyCount: replies.length,
+    hasMoreReplies: replies.length > repliesPerThread,
+    replies: replies
+      .slice(0, repliesPerThread)
+      .map(reply => buildThreadNode(index, reply, depth + 1, { repliesPerThread, displayParent: comment }))
+  };
+};
+
+/**
+ * One page of the replies under a comment, each with its own first page of replies
+ * @param {Object} index - Comment index
+ * @param {Object} comment - Parent comment
+ * @param {Object} options - Options
+ * @param {number} options.page - Page number (1-based)
+ * @param {number} options.limit - Replies per page
+ * @param {number} [options.repliesPerThread] - Replies included per nested level
+ * @returns {Object} { replies, pagination }
+ */
+const getRepliesPage = (index, comment, { page, limit, repliesPerThread = DEFAULT_REPLIES_PER_THREAD }) => {
+  const depth = getDisplayDepth(index, comment);
+  const replies = depth === null ? [] : getThreadReplies(index, comment, depth);
+  const totalPages = Math.ceil(replies.length / limit);
+
+  return {
+    replies: replies
+      .slice((page - 1) * limit, page * limit)
+      .map(reply => buildThreadNode(index, reply, depth + 1, { repliesPerThread, displayParent: comment })),
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalReplies: replies.length,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+module.exports = {
+  MAX_COMMENT_DEPTH,
+  DEFAULT_REPLIES_PER_THREAD,
+  toPublicComment,
+  buildCommentIndex,
+  getRootComments,
+  getDisplayDepth,
+  buildThreadNode,
+  getRepliesPage
+};
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview CSV Utilities - Parsing for uploaded data exports
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+/**
+ * Parse RFC 4180 CSV: quoted fields may contain commas, doubled quotes and
+ * line breaks
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+const parseCsv = (text = '') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim()));
+};
+
+/**
+ * Parse CSV into objects keyed by header. The header is the first row that
+ * has every required column, so notes some exporters put above it are
+ * skipped.
+ * @param {string} text - CSV text
+ * @param {Array<string>} [requiredHeaders=[]] - Columns the header must have
+ * @returns {Array<Object>|null} Records, or null when no header row matches
+ */
+const readCsvRecords = (text, requiredHeaders = []) => {
+  const rows = parseCsv(text);
+  const headerIndex = rows.findIndex(fields => {
+    const headers = fields.map(value => value.trim());
+    return requiredHeaders.every(header => headers.includes(header));
+  });
+
+  if (headerIndex === -1) {
+    return null;
+  }
+
+  const headers = rows[headerIndex].map(value => value.trim());
+
+  return rows.slice(headerIndex + 1).map(fields => Object.fromEntries(
+    headers.map((header, index) => [header, (fields[index] || '').trim()])
+  ));
+};
+
+module.exports = {
+  parseCsv,
+  readCsvRecords
+};
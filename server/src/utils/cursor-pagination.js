@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Cursor Pagination Utilities - Keyset pagination on (createdAt, _id)
+ * @author jasilmeledath@gmail.com
+ * @created 2025-01-27
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { ValidationError } = require('../errors/custom-errors');
+
+/**
+ * Opaque cursor pointing just past a document
+ * @param {Object} doc - Last document of the page (createdAt, _id)
+ * @returns {string} base64url cursor
+ */
+const encodeCursor = (doc) => {
+  return Buffer.from(JSON.stringify({
+    createdAt: new Date(doc.createdAt).toISOString(),
+    id: doc._id.toString()
+  })).toString('base64url');
+};
+
+/**
+ * Decode a cursor from a query string
+ * @param {string} cursor - Cursor from encodeCursor
+ * @returns {Object} { createdAt, id }
+ * @throws {ValidationError} When the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { createdAt, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const date = new Date(createdAt);
+
+    if (Number.isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error('Invalid cursor fields');
+    }
+
+    return { createdAt: date, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw new ValidationError('Invalid pagination cursor');
+  }
+};
+
+/**
+ * Sort and filter for the page after `cursor`. _id breaks ties between
+ * documents created in the same millisecond.
+ * @param {string} [cursor] - Cursor of the previous page, if any
+ * @param {string} [sortOrder='desc'] - 'asc' or 'desc' by createdAt
+ * @returns {Object} { sort, filter } where filter is {} for the first page
+ */
+const buildCursorQuery = (cursor, sortOrder = 'desc') => {
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  const sort = { createdAt: direction, _id: direction };
+
+  if (!cursor) {
+    return { sort, filter: {} };
+  }
+
+  const { createdAt, id } = decodeCursor(cursor);
+  const op = direction === 1 ? '$gt' : '$lt';
+
+  return {
+    sort,
+    filter: {
+      $or: [
+        { createdAt: { [op]: createdAt } },
+        { createdAt, _id: { [op]: id } }
+      ]
+    }
+  };
+};
+
+/**
+ * Split a result fetched with `limit + 1` into the page and its next cursor
+ * @param {Array<Object>} docs - Documents, at most limit + 1
+ * @param {number} limit - Page size
+ * @returns {Object} { items, nextCursor, hasNextPage }
+ */
+const toCursorPage = (docs, limit) => {
+  const hasNextPage = docs.length > limit;
+  const items = hasNextPage ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    nextCursor: hasNextPage ? encodeCursor(items[items.length - 1]) : null,
+    hasNextPage
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery,
+  toCursorPage
+};
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Email Tracking Utilities - Signed open/click tracking tokens and link rewriting
+ * @author jasilmeledath@gmail.com
+ * @created 2025-08-03
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Secret used to sign tracking tokens and redirect targets
+ * @returns {string} Signing secret
+ */
+const getTrackingSecret = () => {
+  return process.env.EMAIL_TRACKING_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+};
+
+/**
+ * Base URL of the tracking endpoints (must be the API server, not the frontend)
+ * @returns {string} Tracking base URL
+ */
+const getTrackingBaseUrl = () => {
+  return `${process.env.API_BASE_URL || 'http://localhost:8000'}/api/v1/subscriptions/track`;
+};
+
+/**
+ * HMAC-sign a value with the tracking secret
+ * @param {string} value - Value to sign
+ * @returns {string} base64url signature
+ */
+const sign = (value) => {
+  return crypto
+    .createHmac('sha256', getTrackingSecret())
+    .update(value)
+    .digest('base64url');
+};
+
+/**
+ * Constant-time comparison of two signatures
+ * @param {string} a - First signature
+ * @param {string} b - Second signature
+ * @returns {boolean} Whether the signatures match
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Create a signed tracking token for one subscriber in one send
+ * @param {string} subscriberId - Subscriber ID
+ * @param {string} sendId - NewsletterSend ID
+ * @returns {string} Tracking token
+ */
+const createTrackingToken = (subscriberId, sendId) => {
+  const payload = Buffer.from(`${subscriberId}.${sendId}`).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Verify a tracking token and extract its IDs
+ * @param {string} token - Tracking token
+ * @returns {Object|null} { subscriberId, sendId } or null if the token is invalid
+ */
+const verifyTrackingToken = (token) => {
+  if (!token || typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature || !safeEqual(signature, sign(payload))) {
+    return null;
+  }
+
+  const [subscriberId, sendId] = Buffer.from(payload, 'base64url').toString().split('.');
+  if (!subscriberId || !sendId) return null;
+
+  return { subscriberId, sendId };
+};
+
+/**
+ * Create a signed token that turns off reply notifications for one comment
+ * @param {string} blogId - Blog ID
+ * @param {string} commentId - Comment ID
+ * @returns {string} Unsubscribe token
+ */
+const createReplyUnsubscribeToken = (blogId, commentId) => {
+  const payload = Buffer.from(`reply.${blogId}.${commentId}`).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Verify a reply-notification unsubscribe token
+ * @param {string} token - Unsubscribe token
+ * @returns {Object|null} { blogId, commentId } or null if the token is invalid
+ */
+const verifyReplyUnsubscribeToken = (token) => {
+  if (!token || typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature || !safeEqual(signature, sign(payload))) {
+    return null;
+  }
+
+  const [scope, blogId, commentId] = Buffer.from(payload, 'base64url').toString().split('.');
+  if (scope !== 'reply' || !blogId || !commentId) return null;
+
+  return { blogId, commentId };
+};
+
+/**
+ * Sign a redirect target so the click endpoint cannot be used as an open redirect
+ * @param {string} token - Tracking token
+ * @param {string} url - Destination URL
+ * @returns {string} Signature
+ */
+const signRedirect = (token, url) => sign(`${token}|${url}`);
+
+/**
+ * Verify a signed redirect target
+ * @param {string} token - Tracking token
+ * @param {string} url - Destination URL
+ * @param {string} signature - Signature from the query string
+ * @returns {boolean} Whether the redirect was issued by us
+ */
+const verifyRedirect = (token, url, signature) => {
+  return !!signature && safeEqual(signature, signRedirect(token, url));
+};
+
+/**
+ * Build the open-tracking pixel URL
+ * @param {string} token - Tracking token
+ * @returns {string} Pixel URL
+ */
+const buildPixelUrl = (token) => `${getTrackingBaseUrl()}/open/${token}`;
+
+/**
+ * Build the click-tracking redirect URL
+ * @param {string} token - Tracking token
+ * @param {string} url - Destination URL
+ * @returns {string} Redirect URL
+ */
+const buildClickUrl = (token, url) => {
+  const params = new URLSearchParams({ url, sig: signRedirect(token, url) });
+  return `${getTrackingBaseUrl()}/click/${token}?${params.toString()}`;
+};
+
+/**
+ * Rewrite every http(s) link in an email through the click tracker and
+ * append an open-tracking pixel. Unsubscribe links are left untouched so
+ * opting out never counts as engagement.
+ * @param {string} html - Email HTML
+ * @param {string} token - Tracking token
+ * @returns {string} Tracked HTML
+ */
+const applyEmailTracking = (html, token) => {
+  const tracked = html.replace(/href="(https?:\/\/[^"]+)"/g, (match, url) => {
+    if (url.includes('/unsubscribe/')) return match;
+    return `href="${buildClickUrl(token, url)}"`;
+  });
+
+  const pixel = `<img src="${buildPixelUrl(token)}" width="1" height="1" alt="" style="display:block;width:1px;height:1px;border:0;" />`;
+
+  return tracked.includes('</body>')
+    ? tracked.replace('</body>', `${pixel}\n    </body>`)
+    : `${tracked}${pixel}`;
+};
+
+module.exports = {
+  createTrackingToken,
+  verifyTrackingToken,
+  createReplyUnsubscribeToken,
+  verifyReplyUnsubscribeToken,
+  verifyRedirect,
+  buildPixelUrl,
+  buildClickUrl,
+  applyEmailTracking
+};
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Text Diff Utilities - Line-based diff for side-by-side comparison
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+// Above this many cells the LCS table gets too expensive; the differing middle is shown as one replaced block instead
+const MAX_LCS_CELLS = 4 * 1000 * 1000;
+
+/**
+ * Split text into lines, normalizing line endings
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Lines
+ */
+const splitLines = (text) => (text || '').replace(/\r\n?/g, '\n').split('\n');
+
+/**
+ * Line-level edit script between two arrays of lines using a longest common subsequence
+ * @param {Array<string>} oldLines - Lines before
+ * @param {Array<string>} newLines - Lines after
+ * @returns {Array<Object>} Operations: { type: 'equal'|'removed'|'added', oldIndex?, newIndex? }
+ */
+const diffLines = (oldLines, newLines) => {
+  const ops = [];
+
+  // Common prefix and suffix are cheap to peel off and usually cover most of a post
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    ops.push({ type: 'equal', oldIndex: start, newIndex: start });
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  const suffix = [];
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+    suffix.unshift({ type: 'equal', oldIndex: oldEnd, newIndex: newEnd });
+  }
+
+  const n = oldEnd - start;
+  const m = newEnd - start;
+
+  if (n * m > MAX_LCS_CELLS) {
+    for (let i = start; i < oldEnd; i++) ops.push({ type: 'removed', oldIndex: i });
+    for (let j = start; j < newEnd; j++) ops.push({ type: 'added', newIndex: j });
+    return ops.concat(suffix);
+  }
+
+  // lengths[i][j] = LCS length of oldLines[start+i..] and newLines[start+j..]
+  const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = oldLines[start + i] === newLines[start + j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[start + i] === newLines[start + j]) {
+      ops.push({ type: 'equal', oldIndex: start + i, newIndex: start + j });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push({ type: 'removed', oldIndex: start + i });
+      i++;
+    } else {
+      ops.push({ type: 'added', newIndex: start + j });
+      j++;
+    }
+  }
+  for (; i < n; i++) ops.push({ type: 'removed', oldIndex: start + i });
+  for (; j < m; j++) ops.push({ type: 'added', newIndex: start + j });
+
+  return ops.concat(suffix);
+};
+
+/**
+ * Build side-by-side rows from two texts. Runs of removed lines followed by
+ * added lines are paired up as `changed` rows so edits line up visually.
+ * @param {string} oldText - Text before
+ * @param {string} newText - Text after
+ * @returns {Object} { rows, stats: { added, removed, changed, unchanged } }
+ */
+const sideBySideDiff = (oldText, newText) => {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+  const ops = diffLines(oldLines, newLines);
+
+  const rows = [];
+  const stats = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+  const left = (index) => ({ number: index + 1, text: oldLines[index] });
+  const right = (index) => ({ number: index + 1, text: newLines[index] });
+
+  let k = 0;
+  while (k < ops.length) {
+    if (ops[k].type === 'equal') {
+      rows.push({ type: 'equal', left: left(ops[k].oldIndex), right: right(ops[k].newIndex) });
+      stats.unchanged++;
+      k++;
+      continue;
+    }
+
+    const removed = [];
+    const added = [];
+    while (k < ops.length && ops[k].type === 'removed') removed.push(ops[k++].oldIndex);
+    while (k < ops.length && ops[k].type === 'added') added.push(ops[k++].newIndex);
+
+    const paired = Math.min(removed.length, added.length);
+    for (let p = 0; p < Math.max(removed.length, added.length); p++) {
+      if (p < paired) {
+        rows.push({ type: 'changed', left: left(removed[p]), right: right(added[p]) });
+        stats.changed++;
+      } else if (p < removed.length) {
+        rows.push({ type: 'removed', left: left(removed[p]), right: null });
+        stats.removed++;
+      } else {
+        rows.push({ type: 'added', left: null, right: right(added[p]) });
+        stats.added++;
+      }
+    }
+  }
+
+  return { rows, stats };
+};
+
+module.exports = {
+  diffLines,
+  sideBySideDiff
+};
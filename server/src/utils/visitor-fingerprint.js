@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Visitor Fingerprint - Anonymous, non-reversible visitor identity for public reactions
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Secret used to key the fingerprint hash
+ * @returns {string} Hash secret
+ */
+const getFingerprintSecret = () => {
+  return process.env.LIKE_FINGERPRINT_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+};
+
+/**
+ * Derive a fingerprint for the visitor behind a request. It is keyed on the
+ * IP address only: headers are chosen by the client, so mixing them in would
+ * let one client pose as any number of visitors. Only the keyed hash is ever
+ * stored, so the IP address cannot be recovered from it.
+ * @param {Object} req - Express request object
+ * @returns {string} Hex encoded HMAC-SHA256
+ */
+const getVisitorFingerprint = (req) => {
+  return crypto
+    .createHmac('sha256', getFingerprintSecret())
+    .update(`visitor|${req.ip || ''}`)
+    .digest('hex');
+};
+
+/**
+ * Keyed hash of the request IP alone, for per-network checks such as
+ * submission velocity where the user agent should not matter
+ * @param {Object} req - Express request object
+ * @returns {string} Hex encoded HMAC-SHA256
+ */
+const getIpHash = (req) => {
+  return crypto
+    .createHmac('sha256', getFingerprintSecret())
+    .update(`ip|${req.ip || ''}`)
+    .digest('hex');
+};
+
+module.exports = {
+  getVisitorFingerprint,
+  getIpHash
+};
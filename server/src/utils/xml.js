@@ -0,0 +1,25 @@
+/**
+ * @fileoverview XML Utilities - Escaping for hand-built XML documents (feeds, sitemaps)
+ * @author jasilmeledath@gmail.com
+ * @created 2025-01-27
+ * @version 1.0.0
+ */
+
+/**
+ * Escape text for XML, dropping characters XML 1.0 does not allow
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value = '') => {
+  return String(value)
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+module.exports = {
+  escapeXml
+};
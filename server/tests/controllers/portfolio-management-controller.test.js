@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Portfolio management controller - collection reordering
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Skill = require('../../src/models/Skill');
+const PortfolioManagementController = require('../../src/controllers/portfolio-management-controller');
+
+const STORED_IDS = ['64b000000000000000000001', '64b000000000000000000002', '64b000000000000000000003'];
+
+/**
+ * Run reorderCollection and resolve with the status it answered or passed on
+ * @param {Object} body - Request body
+ * @param {string} [collection] - Collection segment
+ * @returns {Promise<Object>} { status, body } or { error }
+ */
+const reorder = (body, collection = 'skills') => new Promise((resolve) => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      resolve({ status: this.statusCode, body: payload });
+    }
+  };
+
+  PortfolioManagementController.reorderCollection(
+    { params: { collection }, body, user: { id: 'owner' } },
+    res,
+    (error) => resolve({ error })
+  );
+});
+
+const useTopology = (type) => jest
+  .spyOn(mongoose.connection, 'getClient')
+  .mockReturnValue({ topology: { description: { type } } });
+
+describe('PortfolioManagementController.reorderCollection', () => {
+  let bulkWrite;
+  let startSession;
+
+  beforeEach(() => {
+    jest.spyOn(Skill, 'find').mockReturnValue({
+      session: () => ({ lean: async () => STORED_IDS.map(id => ({ _id: new mongoose.Types.ObjectId(id) })) })
+    });
+    bulkWrite = jest.spyOn(Skill, 'bulkWrite').mockResolvedValue({});
+    startSession = jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: async (fn) => fn(),
+      endSession: jest.fn().mockResolvedValue()
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('writes each item its position in the list', async () => {
+    useTopology('ReplicaSetWithPrimary');
+    const ids = [STORED_IDS[2], STORED_IDS[0], STORED_IDS[1]];
+
+    const result = await reorder({ ids });
+
+    expect(result.status).toBe(200);
+    expect(bulkWrite.mock.calls[0][0]).toEqual(ids.map((id, index) => ({
+      updateOne: { filter: { _id: id, userId: 'owner' }, update: { $set: { order: index } } }
+    })));
+  });
+
+  it('uses a transaction on a replica set', async () => {
+    useTopology('ReplicaSetWithPrimary');
+
+    await reorder({ ids: STORED_IDS });
+
+    expect(startSession).toHaveBeenCalledTimes(1);
+    expect(bulkWrite.mock.calls[0][1].session).toBeTruthy();
+  });
+
+  it('falls back to a plain ordered bulk write on a standalone server', async () => {
+    useTopology('Single');
+
+    const result = await reorder({ ids: STORED_IDS });
+
+    expect(result.status).toBe(200);
+    expect(startSession).not.toHaveBeenCalled();
+    expect(bulkWrite.mock.calls[0][1]).toEqual({ session: null, ordered: true });
+  });
+
+  it.each([
+    ['misses an item', STORED_IDS.slice(1)],
+    ['lists an item from elsewhere', [...STORED_IDS.slice(1), '64b000000000000000000009']]
+  ])('rejects a list that %s', async (label, ids) => {
+    useTopology('Single');
+
+    const { error } = await reorder({ ids });
+
+    expect(error.name).toBe('ValidationError');
+    expect(bulkWrite).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['is not an array', { ids: 'abc' }],
+    ['repeats an ID', { ids: [STORED_IDS[0], STORED_IDS[0]] }],
+    ['holds a non-string', { ids: [1, 2] }]
+  ])('rejects ids that %s', async (label, body) => {
+    const { error } = await reorder(body);
+
+    expect(error.name).toBe('ValidationError');
+    expect(Skill.find).not.toHaveBeenCalled();
+  });
+
+  it('answers 404 for an unknown collection', async () => {
+    const { error } = await reorder({ ids: STORED_IDS }, 'secrets');
+
+    expect(error.statusCode).toBe(404);
+  });
+});
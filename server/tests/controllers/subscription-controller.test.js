@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Subscription controller - click tracking and the opens it implies
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const Subscriber = require('../../src/models/Subscriber');
+const NewsletterSend = require('../../src/models/NewsletterSend');
+const SubscriptionController = require('../../src/controllers/subscription-controller');
+const { createTrackingToken, buildClickUrl } = require('../../src/utils/email-tracking');
+
+const SEND_ID = '64b0000000000000000000a1';
+const SUBSCRIBER_ID = '64b0000000000000000000b1';
+const TARGET_URL = 'https://example.com/blog/post';
+
+/**
+ * Request for a signed click-through link, as built into the email
+ * @returns {Object} Express-like request
+ */
+const clickRequest = () => {
+  const token = createTrackingToken(SUBSCRIBER_ID, SEND_ID);
+  const { searchParams } = new URL(buildClickUrl(token, TARGET_URL));
+  return { params: { token }, query: Object.fromEntries(searchParams) };
+};
+
+const mockResponse = () => ({ redirect: jest.fn() });
+
+describe('NewsletterSend.registerImpliedOpen', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adds the reader and counts the open in one update', async () => {
+    const updateOne = jest.spyOn(NewsletterSend, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const firstOpen = await NewsletterSend.registerImpliedOpen(SEND_ID, SUBSCRIBER_ID);
+
+    expect(firstOpen).toBe(true);
+    expect(updateOne).toHaveBeenCalledTimes(1);
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: SEND_ID, openedBy: { $ne: SUBSCRIBER_ID } },
+      { $addToSet: { openedBy: SUBSCRIBER_ID }, $inc: { opens: 1 } }
+    );
+  });
+
+  it('counts nothing for a reader who already opened the email', async () => {
+    jest.spyOn(NewsletterSend, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(NewsletterSend.registerImpliedOpen(SEND_ID, SUBSCRIBER_ID)).resolves.toBe(false);
+  });
+});
+
+describe('SubscriptionController.trackClick', () => {
+  let subscriber;
+
+  beforeEach(() => {
+    subscriber = {
+      recordEmailOpened: jest.fn(),
+      recordEmailClicked: jest.fn(),
+      save: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(Subscriber, 'findById').mockResolvedValue(subscriber);
+    jest.spyOn(NewsletterSend, 'registerClick').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records an open for a reader whose client blocked the pixel', async () => {
+    jest.spyOn(NewsletterSend, 'registerImpliedOpen').mockResolvedValue(true);
+    const res = mockResponse();
+
+    await SubscriptionController.trackClick(clickRequest(), res);
+
+    expect(NewsletterSend.registerImpliedOpen).toHaveBeenCalledWith(SEND_ID, SUBSCRIBER_ID);
+    expect(subscriber.recordEmailOpened).toHaveBeenCalled();
+    expect(subscriber.recordEmailClicked).toHaveBeenCalled();
+    expect(res.redirect).toHaveBeenCalledWith(302, TARGET_URL);
+  });
+
+  it('does not count the open again for a reader who loaded the pixel', async () => {
+    jest.spyOn(NewsletterSend, 'registerImpliedOpen').mockResolvedValue(false);
+
+    await SubscriptionController.trackClick(clickRequest(), mockResponse());
+
+    expect(subscriber.recordEmailOpened).not.toHaveBeenCalled();
+    expect(subscriber.recordEmailClicked).toHaveBeenCalled();
+  });
+
+  it('records nothing for a link it did not sign', async () => {
+    jest.spyOn(NewsletterSend, 'registerImpliedOpen');
+    const req = clickRequest();
+    req.query.url = 'https://attacker.example/';
+    const res = mockResponse();
+
+    await SubscriptionController.trackClick(req, res);
+
+    expect(NewsletterSend.registerImpliedOpen).not.toHaveBeenCalled();
+    expect(res.redirect).not.toHaveBeenCalledWith(302, 'https://attacker.example/');
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Test helpers for signing requests in as users of a given role
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const User = require('../../src/models/User');
+
+const accounts = new Map();
+
+/**
+ * Make User.findById resolve the accounts created by authHeaderFor, so the
+ * real authenticate middleware runs without a database
+ * @returns {jest.SpyInstance} The findById spy
+ */
+const mockAccountLookup = () => jest
+  .spyOn(User, 'findById')
+  .mockImplementation(async (id) => accounts.get(String(id)) || null);
+
+/**
+ * Create an account and return an Authorization header for it
+ * @param {string} role - admin, editor or viewer
+ * @param {Array<string>} [permissions] - Defaults to the role's default permissions
+ * @returns {string} Bearer header value
+ */
+const authHeaderFor = (role, permissions = User.getDefaultPermissions(role)) => {
+  const user = new User({
+    email: `${role}-${accounts.size}@example.com`,
+    password: 'not-used-in-tests',
+    firstName: 'Test',
+    lastName: role,
+    role,
+    permissions,
+    isActive: true
+  });
+
+  accounts.set(String(user._id), user);
+  return `Bearer ${user.generateAuthToken()}`;
+};
+
+module.exports = {
+  mockAccountLookup,
+  authHeaderFor
+};
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Comment submission routes - shared rate limit
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/controllers/comments-controller', () => new Proxy({}, {
+  get: () => (req, res) => res.status(200).json({ reached: true })
+}));
+jest.mock('../../src/controllers/blog-controller', () => new Proxy({}, {
+  get: () => (req, res) => res.status(200).json({ reached: true })
+}));
+jest.mock('../../src/controllers/blog-revision-controller', () => new Proxy({}, {
+  get: () => (req, res) => res.status(200).json({ reached: true })
+}));
+jest.mock('../../src/controllers/blog-draft-controller', () => new Proxy({}, {
+  get: () => (req, res) => res.status(200).json({ reached: true })
+}));
+jest.mock('../../src/controllers/like-controller', () => new Proxy({}, {
+  get: () => (req, res) => res.status(200).json({ reached: true })
+}));
+
+const commentsRoutes = require('../../src/routes/comments-routes');
+const blogRoutes = require('../../src/routes/blog-routes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/comments', commentsRoutes);
+app.use('/api/v1/blogs', blogRoutes);
+
+const comment = { author: { name: 'Reader', email: 'reader@example.com' }, content: 'Nice post' };
+
+describe('comment submission rate limit', () => {
+  it('shares one per-IP budget between both comment endpoints', async () => {
+    const statuses = [];
+
+    for (let i = 0; i < 10; i++) {
+      const path = i % 2 ? '/api/v1/comments/blog/abc' : '/api/v1/blogs/abc/comments';
+      statuses.push((await request(app).post(path).send(comment)).status);
+    }
+
+    const overLimit = await request(app).post('/api/v1/comments/blog/abc').send(comment);
+    const otherPath = await request(app).post('/api/v1/blogs/abc/comments').send(comment);
+
+    expect(statuses).toEqual(Array(10).fill(200));
+    expect(overLimit.status).toBe(429);
+    expect(overLimit.body.error.code).toBe('COMMENT_RATE_LIMIT_EXCEEDED');
+    expect(otherPath.status).toBe(429);
+  });
+
+  it('still serves comments to a client over the posting limit', async () => {
+    const res = await request(app).get('/api/v1/comments/blog/abc');
+
+    expect(res.status).toBe(200);
+  });
+});
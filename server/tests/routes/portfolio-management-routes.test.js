@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Portfolio management routes - role and permission guards
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { mockAccountLookup, authHeaderFor } = require('../helpers/auth');
+
+// Every handler answers 200, so a response other than 200 came from a guard
+jest.mock('../../src/controllers/portfolio-management-controller', () => new Proxy({}, {
+  get: () => (req, res) => res.status(200).json({ reached: true })
+}));
+jest.mock('../../src/controllers/content-archive-controller', () => new Proxy({}, {
+  get: () => (req, res) => res.status(200).json({ reached: true })
+}));
+jest.mock('../../src/controllers/resume-interchange-controller', () => new Proxy({}, {
+  get: () => (req, res) => res.status(200).json({ reached: true })
+}));
+jest.mock('../../src/middleware/upload-enhanced', () => ({
+  uploadConfigs: new Proxy({}, { get: () => (req, res, next) => next() }),
+  processUploads: (req, res, next) => next(),
+  handleUploadError: (req, res, next) => next()
+}));
+
+const portfolioManagementRoutes = require('../../src/routes/portfolio-management-routes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/portfolio-management', portfolioManagementRoutes);
+
+const READ_ROUTES = [
+  ['get', '/overview'],
+  ['get', '/stats'],
+  ['get', '/personal-info'],
+  ['get', '/social-links'],
+  ['get', '/skills'],
+  ['get', '/projects'],
+  ['get', '/projects/abc'],
+  ['get', '/experience'],
+  ['get', '/resume/download'],
+  ['get', '/resume/view']
+];
+
+const WRITE_ROUTES = [
+  ['post', '/personal-info'],
+  ['put', '/personal-info'],
+  ['post', '/social-links'],
+  ['put', '/social-links/abc'],
+  ['delete', '/social-links/abc'],
+  ['post', '/skills'],
+  ['put', '/skills/abc'],
+  ['delete', '/skills/abc'],
+  ['post', '/projects'],
+  ['put', '/projects/abc'],
+  ['delete', '/projects/abc'],
+  ['post', '/experience'],
+  ['put', '/experience/abc'],
+  ['delete', '/experience/abc'],
+  ['patch', '/skills/reorder']
+];
+
+const ADMIN_ROUTES = [
+  ['get', '/resume/settings'],
+  ['put', '/resume/settings'],
+  ['post', '/resume/import/preview'],
+  ['post', '/resume/import'],
+  ['get', '/resume/export/json-resume'],
+  ['get', '/export'],
+  ['post', '/import/preview'],
+  ['post', '/import']
+];
+
+const call = (method, path, role, permissions) => {
+  const req = request(app)[method](`/api/portfolio-management${path}`);
+  return role ? req.set('Authorization', authHeaderFor(role, permissions)) : req;
+};
+
+describe('portfolio management routes', () => {
+  beforeEach(() => {
+    mockAccountLookup();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('requires a signed-in user', async () => {
+    const res = await call('get', '/skills');
+
+    expect(res.status).toBe(401);
+  });
+
+  describe.each(['viewer', 'editor'])('%s with default permissions', (role) => {
+    it.each(READ_ROUTES)('may %s %s', async (method, path) => {
+      const res = await call(method, path, role);
+
+      expect(res.status).toBe(200);
+    });
+
+    it.each(WRITE_ROUTES)('may not %s %s', async (method, path) => {
+      const res = await call(method, path, role);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  it.each(ADMIN_ROUTES)('keeps %s %s admin-only, even with portfolio:write', async (method, path) => {
+    const res = await call(method, path, 'editor', ['portfolio:read', 'portfolio:write']);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('lets an editor granted portfolio:write make changes', async () => {
+    const res = await call('post', '/skills', 'editor', ['portfolio:read', 'portfolio:write']);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('hides content from a user without portfolio:read', async () => {
+    const res = await call('get', '/skills', 'viewer', ['blog:read']);
+
+    expect(res.status).toBe(403);
+  });
+
+  it.each([...READ_ROUTES, ...WRITE_ROUTES, ...ADMIN_ROUTES])('lets an admin %s %s', async (method, path) => {
+    const res = await call(method, path, 'admin');
+
+    expect(res.status).toBe(200);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Users routes - users:manage guard
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { mockAccountLookup, authHeaderFor } = require('../helpers/auth');
+
+jest.mock('../../src/controllers/users-controller', () => new Proxy({}, {
+  get: () => (req, res) => res.status(200).json({ reached: true })
+}));
+
+const usersRoutes = require('../../src/routes/users-routes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/users', usersRoutes);
+
+const ROUTES = [
+  ['get', '/roles'],
+  ['get', '/'],
+  ['post', '/'],
+  ['get', '/abc'],
+  ['patch', '/abc'],
+  ['patch', '/abc/unlock'],
+  ['post', '/abc/resend-invitation']
+];
+
+describe('users routes', () => {
+  beforeEach(() => {
+    mockAccountLookup();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe.each(['viewer', 'editor'])('%s with default permissions', (role) => {
+    it.each(ROUTES)('may not %s %s', async (method, path) => {
+      const res = await request(app)[method](`/api/v1/users${path}`)
+        .set('Authorization', authHeaderFor(role));
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  it.each(ROUTES)('lets an admin %s %s', async (method, path) => {
+    const res = await request(app)[method](`/api/v1/users${path}`)
+      .set('Authorization', authHeaderFor('admin'));
+
+    expect(res.status).toBe(200);
+  });
+
+  it('lets a non-admin granted users:manage in', async () => {
+    const res = await request(app).get('/api/v1/users')
+      .set('Authorization', authHeaderFor('editor', ['users:manage']));
+
+    expect(res.status).toBe(200);
+  });
+});
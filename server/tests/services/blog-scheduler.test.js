@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Blog scheduler - publishing due posts and notifying subscribers
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const Blog = require('../../src/models/Blog');
+const EmailService = require('../../src/services/email-service');
+const BlogScheduler = require('../../src/services/blog-scheduler');
+
+/**
+ * Scheduler that is "running" without a real poll timer
+ * @returns {BlogScheduler} Scheduler
+ */
+const runningScheduler = () => {
+  const scheduler = new BlogScheduler();
+  scheduler.timer = {};
+  return scheduler;
+};
+
+describe('Blog.publishNextDue', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('publishes the oldest scheduled post whose time has come', async () => {
+    const populate = jest.fn().mockResolvedValue(null);
+    const findOneAndUpdate = jest.spyOn(Blog, 'findOneAndUpdate').mockReturnValue({ populate });
+
+    await Blog.publishNextDue();
+
+    const [filter, update, options] = findOneAndUpdate.mock.calls[0];
+    expect(filter.status).toBe('scheduled');
+    expect(filter.publishedAt.$lte.getTime()).toBeLessThanOrEqual(Date.now());
+    expect(update).toEqual({ $set: { status: 'published' } });
+    expect(options).toMatchObject({ new: true, sort: { publishedAt: 1 } });
+  });
+});
+
+describe('BlogScheduler', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('publishes every due post in one check and notifies for each', async () => {
+    const first = { title: 'First' };
+    const second = { title: 'Second' };
+    jest.spyOn(Blog, 'publishNextDue')
+      .mockResolvedValueOnce(first)
+      .mockResolvedValueOnce(second)
+      .mockResolvedValueOnce(null);
+    const notify = jest.spyOn(EmailService, 'notifySubscribersOfNewBlog').mockResolvedValue();
+
+    await runningScheduler().tick();
+
+    expect(Blog.publishNextDue).toHaveBeenCalledTimes(3);
+    expect(notify.mock.calls).toEqual([[first], [second]]);
+  });
+
+  it('keeps publishing when a notification fails', async () => {
+    jest.spyOn(Blog, 'publishNextDue')
+      .mockResolvedValueOnce({ title: 'First' })
+      .mockResolvedValueOnce({ title: 'Second' })
+      .mockResolvedValueOnce(null);
+    const notify = jest.spyOn(EmailService, 'notifySubscribersOfNewBlog')
+      .mockRejectedValueOnce(new Error('SMTP down'))
+      .mockResolvedValueOnce();
+
+    await runningScheduler().tick();
+
+    expect(notify).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not overlap checks', async () => {
+    let finishPublish;
+    jest.spyOn(Blog, 'publishNextDue').mockImplementationOnce(() => new Promise((resolve) => {
+      finishPublish = resolve;
+    }));
+    const scheduler = runningScheduler();
+
+    const firstCheck = scheduler.tick();
+    const secondCheck = scheduler.tick();
+
+    expect(secondCheck).toBe(firstCheck);
+    finishPublish(null);
+    await firstCheck;
+    expect(Blog.publishNextDue).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops publishing once stopped', async () => {
+    const scheduler = runningScheduler();
+    jest.spyOn(Blog, 'publishNextDue').mockResolvedValue({ title: 'Due' });
+    jest.spyOn(EmailService, 'notifySubscribersOfNewBlog').mockImplementation(async () => {
+      scheduler.timer = null;
+    });
+
+    await scheduler.tick();
+
+    expect(Blog.publishNextDue).toHaveBeenCalledTimes(1);
+  });
+
+  it('survives a failed check', async () => {
+    jest.spyOn(Blog, 'publishNextDue').mockRejectedValue(new Error('database unavailable'));
+    const scheduler = runningScheduler();
+
+    await expect(scheduler.tick()).resolves.toBeUndefined();
+    expect(scheduler.currentTick).toBeNull();
+  });
+});
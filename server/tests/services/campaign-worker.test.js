@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Campaign worker - leasing, retry backoff and batch scheduling
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const Campaign = require('../../src/models/Campaign');
+const Subscriber = require('../../src/models/Subscriber');
+const NewsletterSend = require('../../src/models/NewsletterSend');
+const Blog = require('../../src/models/Blog');
+const CampaignWorker = require('../../src/services/campaign-worker');
+
+const MINUTE = 60 * 1000;
+
+const campaign = { _id: 'c1', blog: 'b1', send: 'n1', startedAt: new Date() };
+const recipient = { _id: 'r1', subscriber: 's1', email: 'reader@example.com', attempts: 0 };
+
+/**
+ * Error shaped like the ones nodemailer throws
+ * @param {Object} fields - responseCode and/or code
+ * @returns {Error} Send error
+ */
+const sendError = (fields) => Object.assign(new Error('send failed'), fields);
+
+/**
+ * Worker that is "running" without a real poll timer
+ * @param {Object} [options] - Worker options
+ * @returns {CampaignWorker} Worker
+ */
+const runningWorker = (options = {}) => {
+  const worker = new CampaignWorker({ sendDelayMs: 0, ...options });
+  worker.timer = {};
+  worker.emailService = { sendSingleBlogNotification: jest.fn().mockResolvedValue() };
+  return worker;
+};
+
+describe('Campaign.claimNext', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only claims campaigns that are unleased and have a recipient due', async () => {
+    const findOneAndUpdate = jest.spyOn(Campaign, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await Campaign.claimNext('worker-a', MINUTE);
+
+    const [filter, update, options] = findOneAndUpdate.mock.calls[0];
+    const [lease, backoff] = filter.$and;
+
+    expect(filter.status).toEqual({ $in: ['queued', 'sending'] });
+    expect(lease.$or).toEqual(expect.arrayContaining([
+      { lockedUntil: null },
+      { lockedUntil: { $lte: expect.any(Date) } },
+      { lockedBy: 'worker-a' }
+    ]));
+    expect(backoff.$or).toEqual(expect.arrayContaining([
+      { nextAttemptAt: null },
+      { nextAttemptAt: { $lte: expect.any(Date) } }
+    ]));
+    expect(update.$set).toMatchObject({ status: 'sending', lockedBy: 'worker-a' });
+    expect(update.$set.lockedUntil.getTime() - Date.now()).toBeGreaterThan(MINUTE - 1000);
+    expect(options).toMatchObject({ sort: { nextAttemptAt: 1, createdAt: 1 }, projection: { recipients: 0 } });
+  });
+});
+
+describe('CampaignWorker', () => {
+  let updateOne;
+
+  beforeEach(() => {
+    updateOne = jest.spyOn(Campaign, 'updateOne').mockResolvedValue({});
+    jest.spyOn(NewsletterSend, 'updateOne').mockResolvedValue({});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('isTransientError', () => {
+    const worker = new CampaignWorker();
+
+    it.each([
+      [{ responseCode: 421 }, true],
+      [{ responseCode: 450 }, true],
+      [{ responseCode: 550 }, false],
+      [{ code: 'ETIMEDOUT' }, true],
+      [{ code: 'ECONNRESET' }, true],
+      [{ code: 'EAUTH' }, false],
+      [{}, false]
+    ])('treats %p as transient: %p', (fields, expected) => {
+      expect(worker.isTransientError(sendError(fields))).toBe(expected);
+    });
+  });
+
+  describe('deliver', () => {
+    let subscriber;
+
+    beforeEach(() => {
+      subscriber = { status: 'active', recordEmailSent: jest.fn(), save: jest.fn().mockResolvedValue() };
+      jest.spyOn(Subscriber, 'findById').mockResolvedValue(subscriber);
+    });
+
+    it('marks the recipient sent and counts it on the newsletter send', async () => {
+      const worker = runningWorker();
+
+      await worker.deliver(campaign, {}, recipient);
+
+      const [, update] = updateOne.mock.calls[0];
+      expect(update.$set).toMatchObject({ 'recipients.$.status': 'sent', 'recipients.$.attempts': 1 });
+      expect(update.$inc).toEqual({ sentCount: 1 });
+      expect(NewsletterSend.updateOne).toHaveBeenCalledWith({ _id: 'n1' }, { $inc: { sentCount: 1 } });
+      expect(subscriber.save).toHaveBeenCalled();
+    });
+
+    it('skips subscribers who left after the campaign was queued', async () => {
+      subscriber.status = 'unsubscribed';
+      const worker = runningWorker();
+
+      await worker.deliver(campaign, {}, recipient);
+
+      expect(worker.emailService.sendSingleBlogNotification).not.toHaveBeenCalled();
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: 'c1', 'recipients._id': 'r1' },
+        { $set: { 'recipients.$.status': 'skipped' }, $inc: { skippedCount: 1 } }
+      );
+    });
+
+    it.each([
+      [0, 1],
+      [1, 2],
+      [2, 4],
+      [3, 8]
+    ])('after %i earlier attempts waits %i minute(s) before retrying', async (attempts, minutes) => {
+      const worker = runningWorker();
+      worker.emailService.sendSingleBlogNotification.mockRejectedValue(sendError({ responseCode: 421 }));
+      const before = Date.now();
+
+      await worker.deliver(campaign, {}, { ...recipient, attempts });
+
+      const [, update] = updateOne.mock.calls[0];
+      const delay = update.$set['recipients.$.nextAttemptAt'].getTime() - before;
+      expect(update.$set['recipients.$.attempts']).toBe(attempts + 1);
+      expect(update.$set['recipients.$.status']).toBeUndefined();
+      expect(delay).toBeGreaterThanOrEqual(minutes * MINUTE);
+      expect(delay).toBeLessThan(minutes * MINUTE + 1000);
+      expect(NewsletterSend.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('fails the recipient once the attempts run out', async () => {
+      const worker = runningWorker({ maxAttempts: 3 });
+      worker.emailService.sendSingleBlogNotification.mockRejectedValue(sendError({ code: 'ETIMEDOUT' }));
+
+      await worker.deliver(campaign, {}, { ...recipient, attempts: 2 });
+
+      const [, update] = updateOne.mock.calls[0];
+      expect(update.$set).toMatchObject({ 'recipients.$.status': 'failed', 'recipients.$.attempts': 3 });
+      expect(update.$inc).toEqual({ failedCount: 1 });
+      expect(NewsletterSend.updateOne).toHaveBeenCalledWith({ _id: 'n1' }, { $inc: { failedCount: 1 } });
+    });
+
+    it('fails the recipient straight away on a permanent rejection', async () => {
+      const worker = runningWorker();
+      worker.emailService.sendSingleBlogNotification.mockRejectedValue(sendError({ responseCode: 550 }));
+
+      await worker.deliver(campaign, {}, recipient);
+
+      const [, update] = updateOne.mock.calls[0];
+      expect(update.$set['recipients.$.status']).toBe('failed');
+    });
+  });
+
+  describe('scheduleNextAttempt', () => {
+    it('records the earliest pending retry on the campaign', async () => {
+      const nextAttemptAt = new Date(Date.now() + 4 * MINUTE);
+      jest.spyOn(Campaign, 'aggregate').mockResolvedValue([{ nextAttemptAt }]);
+
+      await new CampaignWorker().scheduleNextAttempt('c1');
+
+      expect(updateOne).toHaveBeenCalledWith({ _id: 'c1' }, { $set: { nextAttemptAt } });
+    });
+
+    it('leaves the campaign alone when nothing is pending', async () => {
+      jest.spyOn(Campaign, 'aggregate').mockResolvedValue([{ nextAttemptAt: null }]);
+
+      await new CampaignWorker().scheduleNextAttempt('c1');
+
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processBatch', () => {
+    let worker;
+
+    beforeEach(() => {
+      worker = runningWorker();
+      jest.spyOn(Blog, 'findById').mockResolvedValue({ _id: 'b1' });
+      jest.spyOn(Campaign, 'findById').mockReturnValue({
+        select: () => ({ lean: async () => ({ status: 'sending' }) })
+      });
+      jest.spyOn(Campaign, 'releaseLock').mockResolvedValue({});
+      jest.spyOn(worker, 'scheduleNextAttempt').mockResolvedValue();
+    });
+
+    it('delivers the due recipients and releases the lease afterwards', async () => {
+      jest.spyOn(worker, 'getDueRecipients').mockResolvedValue([recipient, { ...recipient, _id: 'r2' }]);
+      const deliver = jest.spyOn(worker, 'deliver').mockResolvedValue();
+
+      await worker.processBatch(campaign);
+
+      expect(deliver).toHaveBeenCalledTimes(2);
+      expect(worker.scheduleNextAttempt).toHaveBeenCalledWith('c1');
+      expect(Campaign.releaseLock).toHaveBeenCalledWith('c1', worker.workerId);
+      expect(Campaign.releaseLock.mock.invocationCallOrder[0])
+        .toBeGreaterThan(worker.scheduleNextAttempt.mock.invocationCallOrder[0]);
+    });
+
+    it('stays queued while its only pending recipients wait out a backoff', async () => {
+      jest.spyOn(worker, 'getDueRecipients').mockResolvedValue([]);
+      jest.spyOn(Campaign, 'exists').mockResolvedValue({ _id: 'c1' });
+      const complete = jest.spyOn(worker, 'completeCampaign').mockResolvedValue();
+
+      await worker.processBatch(campaign);
+
+      expect(complete).not.toHaveBeenCalled();
+      expect(worker.scheduleNextAttempt).toHaveBeenCalledWith('c1');
+    });
+
+    it('completes the campaign once no recipient is pending', async () => {
+      jest.spyOn(worker, 'getDueRecipients').mockResolvedValue([]);
+      jest.spyOn(Campaign, 'exists').mockResolvedValue(null);
+      const complete = jest.spyOn(worker, 'completeCampaign').mockResolvedValue();
+
+      await worker.processBatch(campaign);
+
+      expect(complete).toHaveBeenCalledWith(campaign);
+    });
+
+    it('stops sending when the campaign is cancelled mid-batch', async () => {
+      Campaign.findById.mockReturnValue({ select: () => ({ lean: async () => ({ status: 'cancelled' }) }) });
+      jest.spyOn(worker, 'getDueRecipients').mockResolvedValue([recipient]);
+      const deliver = jest.spyOn(worker, 'deliver').mockResolvedValue();
+
+      await worker.processBatch(campaign);
+
+      expect(deliver).not.toHaveBeenCalled();
+      expect(Campaign.releaseLock).toHaveBeenCalled();
+    });
+
+    it('releases the lease when delivery throws', async () => {
+      jest.spyOn(worker, 'getDueRecipients').mockResolvedValue([recipient]);
+      jest.spyOn(worker, 'deliver').mockRejectedValue(new Error('database unavailable'));
+
+      await expect(worker.processBatch(campaign)).rejects.toThrow('database unavailable');
+
+      expect(Campaign.releaseLock).toHaveBeenCalledWith('c1', worker.workerId);
+    });
+  });
+});
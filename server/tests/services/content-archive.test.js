@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Content archive - applying an import without losing content on failure
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Skill = require('../../src/models/Skill');
+const Project = require('../../src/models/Project');
+const ContentArchive = require('../../src/services/content-archive');
+
+const USER_ID = '64b0000000000000000000aa';
+
+const archive = {
+  manifest: {
+    collections: {
+      skills: [{ name: 'TypeScript', category: 'frontend' }],
+      projects: [{ title: 'Portfolio', description: 'This site' }]
+    }
+  },
+  mediaFiles: new Map()
+};
+
+const useTopology = (type) => jest
+  .spyOn(mongoose.connection, 'getClient')
+  .mockReturnValue({ topology: { description: { type } } });
+
+/**
+ * Stub a model as if it held the given documents and matched none of the imported ones
+ * @param {mongoose.Model} Model - Model to stub
+ * @param {Array<Object>} storedDocs - Lean documents already in the collection
+ * @returns {Object} The create and deleteMany spies
+ */
+const stubCollection = (Model, storedDocs) => {
+  jest.spyOn(Model, 'findOne').mockReturnValue({ session: () => Promise.resolve(null) });
+  jest.spyOn(Model, 'find').mockReturnValue({ session: () => ({ lean: async () => storedDocs }) });
+
+  return {
+    create: jest.spyOn(Model, 'create').mockResolvedValue([{}]),
+    deleteMany: jest.spyOn(Model, 'deleteMany').mockResolvedValue({ deletedCount: storedDocs.length })
+  };
+};
+
+describe('ContentArchive.apply', () => {
+  let skills;
+  let projects;
+
+  beforeEach(() => {
+    skills = stubCollection(Skill, [{ _id: 's1', name: 'jQuery', category: 'frontend', userId: USER_ID }]);
+    projects = stubCollection(Project, [{ _id: 'p1', title: 'Old site', description: 'Retired', userId: USER_ID }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('on a standalone server', () => {
+    beforeEach(() => {
+      useTopology('Single');
+    });
+
+    it('deletes dropped records only after every record is written', async () => {
+      const summary = await ContentArchive.apply(archive, USER_ID, 'replace');
+
+      expect(summary).toEqual({
+        skills: { created: 1, updated: 0, deleted: 1 },
+        projects: { created: 1, updated: 0, deleted: 1 }
+      });
+      expect(skills.deleteMany.mock.invocationCallOrder[0])
+        .toBeGreaterThan(projects.create.mock.invocationCallOrder[0]);
+    });
+
+    it('keeps existing content when a write fails part way', async () => {
+      projects.create.mockRejectedValue(new Error('write failed'));
+
+      await expect(ContentArchive.apply(archive, USER_ID, 'replace')).rejects.toThrow('write failed');
+
+      expect(skills.create).toHaveBeenCalled();
+      expect(skills.deleteMany).not.toHaveBeenCalled();
+      expect(projects.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it('never deletes in merge mode', async () => {
+      const summary = await ContentArchive.apply(archive, USER_ID, 'merge');
+
+      expect(summary.skills.deleted).toBe(0);
+      expect(skills.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('on a replica set', () => {
+    let session;
+
+    beforeEach(() => {
+      useTopology('ReplicaSetWithPrimary');
+      session = {
+        withTransaction: jest.fn(async (fn) => fn()),
+        endSession: jest.fn().mockResolvedValue()
+      };
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    });
+
+    it('runs every write in one transaction', async () => {
+      await ContentArchive.apply(archive, USER_ID, 'replace');
+
+      expect(session.withTransaction).toHaveBeenCalledTimes(1);
+      expect(skills.create).toHaveBeenCalledWith(expect.any(Array), { session });
+      expect(projects.create).toHaveBeenCalledWith(expect.any(Array), { session });
+      expect(skills.deleteMany).toHaveBeenCalledWith(expect.anything(), { session });
+      expect(session.endSession).toHaveBeenCalled();
+    });
+
+    it('reports one attempt when the transaction is retried', async () => {
+      session.withTransaction.mockImplementation(async (fn) => {
+        await fn();
+        return fn();
+      });
+
+      const summary = await ContentArchive.apply(archive, USER_ID, 'replace');
+
+      expect(summary.skills).toEqual({ created: 1, updated: 0, deleted: 1 });
+    });
+
+    it('ends the session when the import fails', async () => {
+      projects.create.mockRejectedValue(new Error('write failed'));
+
+      await expect(ContentArchive.apply(archive, USER_ID, 'replace')).rejects.toThrow('write failed');
+
+      expect(session.endSession).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Digest scheduler - send periods and the posts each digest covers
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const Subscriber = require('../../src/models/Subscriber');
+const NewsletterSend = require('../../src/models/NewsletterSend');
+const Blog = require('../../src/models/Blog');
+const DigestScheduler = require('../../src/services/digest-scheduler');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Serve the given posts from Blog.find() and total from Blog.countDocuments()
+ * @param {Array<Object>} posts - Lean posts returned by the query
+ * @param {number} [total] - Posts matching the query in all
+ * @returns {Object} The find and countDocuments spies
+ */
+const stubPosts = (posts, total = posts.length) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    limit: () => query,
+    lean: async () => posts
+  };
+
+  return {
+    find: jest.spyOn(Blog, 'find').mockReturnValue(query),
+    countDocuments: jest.spyOn(Blog, 'countDocuments').mockResolvedValue(total)
+  };
+};
+
+const postsWithIds = (count) => Array.from({ length: count }, (_, i) => ({ _id: `p${i}`, title: `Post ${i}` }));
+
+describe('DigestScheduler', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getPeriodStart', () => {
+    const scheduler = new DigestScheduler({ sendHour: 8, weeklyDay: 1 });
+
+    it.each([
+      ['after the send hour', '2025-03-05T09:30:00Z', '2025-03-05T08:00:00Z'],
+      ['before the send hour', '2025-03-05T07:59:00Z', '2025-03-04T08:00:00Z'],
+      ['on the send hour', '2025-03-05T08:00:00Z', '2025-03-05T08:00:00Z']
+    ])('starts the daily period at the latest send time %s', (_, now, expected) => {
+      expect(scheduler.getPeriodStart('daily', new Date(now)).toISOString()).toBe(new Date(expected).toISOString());
+    });
+
+    it.each([
+      ['mid-week', '2025-03-05T09:30:00Z', '2025-03-03T08:00:00Z'],
+      ['on the send day before the send hour', '2025-03-10T07:00:00Z', '2025-03-03T08:00:00Z'],
+      ['on the send day after the send hour', '2025-03-10T09:00:00Z', '2025-03-10T08:00:00Z']
+    ])('starts the weekly period on the last send day %s', (_, now, expected) => {
+      expect(scheduler.getPeriodStart('weekly', new Date(now)).toISOString()).toBe(new Date(expected).toISOString());
+    });
+  });
+
+  describe('getDigestPosts', () => {
+    const scheduler = new DigestScheduler({ maxPosts: 3 });
+
+    it('covers posts since the last digest the subscriber received', async () => {
+      const lastSentAt = new Date(Date.now() - 2 * DAY);
+      const { find } = stubPosts(postsWithIds(1));
+
+      const digest = await scheduler.getDigestPosts({ digest: { lastSentAt, receivedBlogs: ['p9'] } }, 'daily');
+
+      const [query] = find.mock.calls[0];
+      expect(digest.since).toBe(lastSentAt);
+      expect(query.publishedAt.$gt).toBe(lastSentAt);
+      expect(query._id).toEqual({ $nin: ['p9'] });
+    });
+
+    it('looks back one period for a subscriber who never had a digest', async () => {
+      stubPosts([]);
+      const before = Date.now();
+
+      const { since } = await scheduler.getDigestPosts({ confirmedAt: new Date(0) }, 'weekly');
+
+      expect(before - since.getTime()).toBeGreaterThanOrEqual(7 * DAY);
+      expect(before - since.getTime()).toBeLessThan(7 * DAY + 1000);
+    });
+
+    it('never reaches back before the subscription was confirmed', async () => {
+      const confirmedAt = new Date(Date.now() - DAY);
+      stubPosts([]);
+
+      const { since } = await scheduler.getDigestPosts({ confirmedAt }, 'weekly');
+
+      expect(since.getTime()).toBe(confirmedAt.getTime());
+    });
+
+    it('limits the posts to the subscriber\'s categories', async () => {
+      const { find } = stubPosts([]);
+
+      await scheduler.getDigestPosts({ preferences: { categories: ['javascript'] } }, 'daily');
+
+      expect(find.mock.calls[0][0].categories).toEqual({ $in: ['javascript'] });
+    });
+
+    it('counts the posts left out of a full digest', async () => {
+      const { countDocuments } = stubPosts(postsWithIds(3), 8);
+
+      const { posts, moreCount } = await scheduler.getDigestPosts({}, 'daily');
+
+      expect(posts).toHaveLength(3);
+      expect(moreCount).toBe(5);
+      expect(countDocuments).toHaveBeenCalled();
+    });
+
+    it('skips the count when everything fits', async () => {
+      const { countDocuments } = stubPosts(postsWithIds(2));
+
+      const { moreCount } = await scheduler.getDigestPosts({}, 'daily');
+
+      expect(moreCount).toBe(0);
+      expect(countDocuments).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deliver', () => {
+    const send = { _id: 'n1' };
+    const subscriber = { _id: 's1', email: 'reader@example.com' };
+    const since = new Date(Date.now() - DAY);
+    let scheduler;
+    let subscriberUpdate;
+
+    beforeEach(() => {
+      scheduler = new DigestScheduler();
+      scheduler.emailService = { sendDigestEmail: jest.fn().mockResolvedValue() };
+      subscriberUpdate = jest.spyOn(Subscriber, 'updateOne').mockResolvedValue({});
+      jest.spyOn(NewsletterSend, 'updateOne').mockResolvedValue({});
+    });
+
+    it('moves the window forward when every post was sent', async () => {
+      const before = Date.now();
+
+      await scheduler.deliver(subscriber, { posts: postsWithIds(2), since, moreCount: 0 }, 'daily', send);
+
+      const [, update] = subscriberUpdate.mock.calls[0];
+      expect(update.$set['digest.lastSentAt'].getTime()).toBeGreaterThanOrEqual(before);
+      expect(update.$push['digest.receivedBlogs'].$each).toEqual(['p0', 'p1']);
+    });
+
+    it('keeps the window open when posts were left out', async () => {
+      await scheduler.deliver(subscriber, { posts: postsWithIds(3), since, moreCount: 5 }, 'daily', send);
+
+      const [, update] = subscriberUpdate.mock.calls[0];
+      expect(update.$set['digest.lastSentAt']).toBe(since);
+      expect(update.$push['digest.receivedBlogs'].$each).toEqual(['p0', 'p1', 'p2']);
+      expect(scheduler.emailService.sendDigestEmail)
+        .toHaveBeenCalledWith(subscriber, expect.any(Array), 'daily', 'n1', 5);
+    });
+
+    it('records nothing against the subscriber when the email fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      scheduler.emailService.sendDigestEmail.mockRejectedValue(new Error('SMTP down'));
+
+      const sent = await scheduler.deliver(subscriber, { posts: postsWithIds(1), since, moreCount: 0 }, 'daily', send);
+
+      expect(sent).toBe(false);
+      expect(subscriberUpdate).not.toHaveBeenCalled();
+      expect(NewsletterSend.updateOne).toHaveBeenCalledWith({ _id: 'n1' }, { $inc: { failedCount: 1 } });
+    });
+  });
+});
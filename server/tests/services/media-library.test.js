@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Media library - usage lookup and orphan reconciliation
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const Media = require('../../src/models/Media');
+const Blog = require('../../src/models/Blog');
+const BlogDraft = require('../../src/models/BlogDraft');
+const BlogRevision = require('../../src/models/BlogRevision');
+const Project = require('../../src/models/Project');
+const PersonalInfo = require('../../src/models/PersonalInfo');
+const Experience = require('../../src/models/Experience');
+const MediaLibrary = require('../../src/services/media-library');
+const MediaReconciler = require('../../src/services/media-reconciler');
+
+const DAY = 24 * 60 * 60 * 1000;
+const GRACE_MS = 7 * DAY;
+const REFERENCE_MODELS = [Blog, BlogDraft, BlogRevision, Project, PersonalInfo, Experience];
+
+/**
+ * Make every referencing model return the given documents, none by default
+ * @param {Map<mongoose.Model, Array<Object>>} [docsByModel] - Lean documents per model
+ */
+const stubReferences = (docsByModel = new Map()) => {
+  REFERENCE_MODELS.forEach((model) => {
+    jest.spyOn(model, 'find').mockImplementation((filter) => ({
+      select: () => ({
+        lean: async () => (docsByModel.get(model) || []).filter(doc => filter.$or.some(condition => {
+          const [field, pattern] = Object.entries(condition)[0];
+          return pattern.test(String(field.split('.').reduce((value, key) => value?.[key], doc) ?? ''));
+        }))
+      })
+    }));
+  });
+};
+
+/**
+ * Serve the given media documents from Media.find().sort().cursor()
+ * @param {Array<Media>} items - Media documents
+ */
+const stubLibrary = (items) => {
+  const queue = [...items];
+  jest.spyOn(Media, 'find').mockReturnValue({
+    sort: () => ({
+      cursor: () => ({
+        next: async () => queue.shift() || null,
+        close: async () => {}
+      })
+    })
+  });
+};
+
+const cloudinaryAsset = (publicId, overrides = {}) => new Media({
+  storage: 'cloudinary',
+  kind: 'content',
+  url: `https://res.cloudinary.com/demo/image/upload/v1/${publicId}.jpg`,
+  publicId,
+  createdAt: new Date(Date.now() - 30 * DAY),
+  ...overrides
+});
+
+describe('MediaLibrary', () => {
+  beforeEach(() => {
+    jest.spyOn(MediaLibrary, 'cleanTempFiles').mockResolvedValue(0);
+    jest.spyOn(MediaLibrary, 'backfill').mockResolvedValue(0);
+    jest.spyOn(MediaLibrary, 'removeAsset').mockResolvedValue();
+    jest.spyOn(Media.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('findReferences', () => {
+    it('counts an image that only an older revision of a post still uses', async () => {
+      const revision = { _id: 'rev1', title: 'Launch notes', content: '![old](https://res.cloudinary.com/demo/image/upload/w_800/v1/portfolio/blog/old-hero.jpg)' };
+      stubReferences(new Map([[BlogRevision, [revision]]]));
+
+      const usage = await MediaLibrary.findReferences(cloudinaryAsset('portfolio/blog/old-hero'));
+
+      expect(usage).toEqual([{ model: 'BlogRevision', document: 'rev1', label: 'Launch notes', fields: ['content'] }]);
+    });
+
+    it('ignores revisions that use other images', async () => {
+      stubReferences(new Map([[BlogRevision, [{ _id: 'rev1', title: 'Post', content: 'portfolio/blog/another' }]]]));
+
+      const usage = await MediaLibrary.findReferences(cloudinaryAsset('portfolio/blog/old-hero'));
+
+      expect(usage).toEqual([]);
+    });
+  });
+
+  describe('reconcile', () => {
+    it('keeps an asset referenced only by a revision', async () => {
+      const asset = cloudinaryAsset('portfolio/blog/old-hero', { orphanedAt: new Date(Date.now() - 30 * DAY) });
+      stubReferences(new Map([[BlogRevision, [{ _id: 'rev1', title: 'Post', content: 'portfolio/blog/old-hero.jpg' }]]]));
+      stubLibrary([asset]);
+
+      const report = await MediaLibrary.reconcile({ purge: true, graceMs: GRACE_MS });
+
+      expect(report).toMatchObject({ checked: 1, orphaned: 0, purged: 0 });
+      expect(asset.orphanedAt).toBeNull();
+      expect(MediaLibrary.removeAsset).not.toHaveBeenCalled();
+    });
+
+    it('only flags an unreferenced asset when purging is off', async () => {
+      const asset = cloudinaryAsset('portfolio/blog/unused', { orphanedAt: new Date(Date.now() - 30 * DAY) });
+      stubReferences();
+      stubLibrary([asset]);
+
+      const report = await MediaLibrary.reconcile({ graceMs: GRACE_MS });
+
+      expect(report).toMatchObject({ orphaned: 1, purged: 0 });
+      expect(MediaLibrary.removeAsset).not.toHaveBeenCalled();
+    });
+
+    it('purges an asset that stayed orphaned for the grace period', async () => {
+      const asset = cloudinaryAsset('portfolio/blog/unused', { orphanedAt: new Date(Date.now() - 8 * DAY) });
+      stubReferences();
+      stubLibrary([asset]);
+
+      const report = await MediaLibrary.reconcile({ purge: true, graceMs: GRACE_MS });
+
+      expect(report).toMatchObject({ orphaned: 1, purged: 1 });
+      expect(MediaLibrary.removeAsset).toHaveBeenCalledWith(asset);
+    });
+
+    it('waits a full grace period after first flagging an orphan', async () => {
+      const asset = cloudinaryAsset('portfolio/blog/unused');
+      stubReferences();
+      stubLibrary([asset]);
+
+      const report = await MediaLibrary.reconcile({ purge: true, graceMs: GRACE_MS });
+
+      expect(report).toMatchObject({ orphaned: 1, purged: 0 });
+      expect(asset.orphanedAt).toBeInstanceOf(Date);
+    });
+
+    it('leaves recent uploads alone', async () => {
+      const asset = cloudinaryAsset('portfolio/blog/fresh', { createdAt: new Date(Date.now() - DAY) });
+      stubReferences();
+      stubLibrary([asset]);
+
+      const report = await MediaLibrary.reconcile({ purge: true, graceMs: GRACE_MS });
+
+      expect(report).toMatchObject({ checked: 1, orphaned: 0, purged: 0 });
+      expect(asset.orphanedAt).toBeNull();
+    });
+  });
+});
+
+describe('concurrent runs', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses a manual run while another is in progress', async () => {
+    let finishFirstRun;
+    jest.spyOn(MediaLibrary, 'runReconcile').mockImplementationOnce(() => new Promise((resolve) => {
+      finishFirstRun = resolve;
+    }));
+
+    const firstRun = MediaLibrary.reconcile();
+
+    await expect(MediaLibrary.reconcile({ purge: true })).rejects.toMatchObject({ statusCode: 409 });
+    expect(MediaLibrary.isReconciling()).toBe(true);
+
+    finishFirstRun({ checked: 0 });
+    await expect(firstRun).resolves.toEqual({ checked: 0 });
+    expect(MediaLibrary.isReconciling()).toBe(false);
+  });
+
+  it('frees the guard when a run fails', async () => {
+    jest.spyOn(MediaLibrary, 'runReconcile')
+      .mockRejectedValueOnce(new Error('storage unavailable'))
+      .mockResolvedValueOnce({ checked: 1 });
+
+    await expect(MediaLibrary.reconcile()).rejects.toThrow('storage unavailable');
+    await expect(MediaLibrary.reconcile()).resolves.toEqual({ checked: 1 });
+  });
+
+  it('skips its tick while a manual run is in progress', async () => {
+    let finishManualRun;
+    const runReconcile = jest.spyOn(MediaLibrary, 'runReconcile').mockImplementationOnce(() => new Promise((resolve) => {
+      finishManualRun = resolve;
+    }));
+    const manualRun = MediaLibrary.reconcile();
+
+    await new MediaReconciler().tick();
+
+    expect(runReconcile).toHaveBeenCalledTimes(1);
+    finishManualRun({ checked: 0 });
+    await manualRun;
+  });
+});
+
+describe('MediaReconciler', () => {
+  const originalPurge = process.env.MEDIA_PURGE_ORPHANS;
+
+  afterEach(() => {
+    if (originalPurge === undefined) {
+      delete process.env.MEDIA_PURGE_ORPHANS;
+    } else {
+      process.env.MEDIA_PURGE_ORPHANS = originalPurge;
+    }
+  });
+
+  it.each([
+    [undefined, false],
+    ['', false],
+    ['false', false],
+    ['1', false],
+    ['true', true]
+  ])('with MEDIA_PURGE_ORPHANS=%p purges: %p', (value, expected) => {
+    if (value === undefined) {
+      delete process.env.MEDIA_PURGE_ORPHANS;
+    } else {
+      process.env.MEDIA_PURGE_ORPHANS = value;
+    }
+
+    expect(new MediaReconciler().purge).toBe(expected);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Visitor fingerprint - like deduplication key
+ * @author jasilmeledath@gmail.com <jasil.portfolio.com>
+ * @created 2025-01-27
+ * @lastModified 2025-01-27
+ * @version 1.0.0
+ */
+
+const { getVisitorFingerprint, getIpHash } = require('../../src/utils/visitor-fingerprint');
+
+/**
+ * Minimal stand-in for an Express request
+ * @param {string} ip - Client IP
+ * @param {Object} [headers] - Request headers
+ * @returns {Object} Request
+ */
+const requestFrom = (ip, headers = {}) => ({
+  ip,
+  get: (name) => headers[name]
+});
+
+describe('getVisitorFingerprint', () => {
+  it('gives the same visitor whatever headers the client sends', () => {
+    const first = requestFrom('203.0.113.7', { 'User-Agent': 'Firefox', 'Accept-Language': 'en' });
+    const second = requestFrom('203.0.113.7', { 'User-Agent': 'curl/8.0', 'Accept-Language': 'de' });
+
+    expect(getVisitorFingerprint(second)).toBe(getVisitorFingerprint(first));
+  });
+
+  it('tells different IP addresses apart', () => {
+    expect(getVisitorFingerprint(requestFrom('203.0.113.7')))
+      .not.toBe(getVisitorFingerprint(requestFrom('203.0.113.8')));
+  });
+
+  it('does not store the IP address or reuse the spam-check hash', () => {
+    const req = requestFrom('203.0.113.7');
+    const fingerprint = getVisitorFingerprint(req);
+
+    expect(fingerprint).toMatch(/^[0-9a-f]{64}$/);
+    expect(fingerprint).not.toContain('203.0.113.7');
+    expect(fingerprint).not.toBe(getIpHash(req));
+  });
+});